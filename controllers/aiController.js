@@ -1,7 +1,19 @@
+import mongoose from "mongoose";
 import File from "../models/File.js";
 import ChatSession from "../models/ChatSession.js";
+import Patient from "../models/Patient.js";
 import PatientDataService from "../services/patientDataService.js";
 import azureOpenAIService from '../services/azureOpenAIService.js';
+import documentExtractionService from "../services/documentExtractionService.js";
+import documentRetrievalService from "../services/documentRetrievalService.js";
+import organizationService from "../services/organizationService.js";
+import { streamAiChat, providerReasons, isAiEnabled } from "../services/ai/index.js";
+import {
+  wantsEventStream,
+  openEventStream,
+  sendEvent,
+  endEventStream,
+} from "../utils/sse.js";
 import {
   analyzeDocument,
   generateSOAPNote,
@@ -87,6 +99,14 @@ export const analyzeFile = async (req, res) => {
       await file.save();
     }
 
+    if (["queued", "running"].includes(file.extraction?.status)) {
+      return res.status(409).json({
+        success: false,
+        message: "Text extraction is still in progress; analyze once it completes",
+        processingStatus: file.processingStatus,
+      });
+    }
+
     // Update processing status
     console.log("Updating file status to processing");
     file.processingStatus = "processing";
@@ -99,6 +119,10 @@ export const analyzeFile = async (req, res) => {
       const patientContext = {
         name: file.patientName,
         id: file.patientId,
+        // Text from the extraction job, with page markers for citations
+        extractedText: file.extractedText
+          ? documentExtractionService.textWithPageMarkers(file)
+          : undefined,
       };
 
       // Analyze the document with enhanced clinical analysis using Azure OpenAI
@@ -725,6 +749,98 @@ ${text.substring(0, 8000)}`;
   }
 };
 
+/**
+ * Append a user/AI exchange to the patient's chat session and save it.
+ * Failures are logged rather than thrown so the reply still reaches the user.
+ */
+const saveChatExchange = async (
+  chatSession,
+  { message, aiResponse, chatContext, context, model, hallucinationFlags }
+) => {
+  if (!chatSession) {
+    console.log("⚠️  No chat session available, conversation not saved");
+    return;
+  }
+
+  console.log(
+    `💾 Saving conversation to chat session: ${chatSession.sessionId}`
+  );
+  try {
+    const contextInfo = {
+      hasDocumentContent:
+        chatContext.documentContent.length > 0 || chatContext.retrievedChunks.length > 0,
+      focusedDocument: chatContext.focusedDocument,
+      insightsIncluded: chatContext.clinicalInsights.length,
+      hasOasisScores: !!chatContext.patientData.oasisScores,
+      hasSoapNote: !!chatContext.patientData.soapNote,
+    };
+
+    // Add user message
+    console.log(`📝 Adding user message: "${message.substring(0, 50)}..."`);
+    chatSession.addMessage({
+      type: "user",
+      content: message,
+      contextInfo,
+    });
+
+    // Add AI response
+    console.log(`🤖 Adding AI response: "${aiResponse.substring(0, 50)}..."`);
+    chatSession.addMessage({
+      type: "ai",
+      content: aiResponse,
+      contextInfo,
+      metadata: {
+        ...(model ? { model } : {}),
+        ...(hallucinationFlags ? { hallucinationFlags } : {}),
+      },
+    });
+
+    // Update context with latest information
+    chatSession.updateContext({
+      latestSummary: chatContext.latestSummary,
+      documentContext: context?.documentContext || {},
+    });
+
+    console.log(
+      `💾 Saving chat session with ${chatSession.messages.length} messages`
+    );
+    await chatSession.save();
+    console.log("✅ Conversation saved to chat session successfully");
+  } catch (error) {
+    console.error("❌ Could not save conversation:", error);
+    console.error("Save error details:", error.message);
+    console.error("Save error stack:", error.stack);
+  }
+};
+
+/**
+ * Passages of the patient's documents most relevant to a chat message:
+ * from the focused file only, or from the user's uploads for the patient
+ * plus the patient's PatientDocuments when the user can access the patient.
+ */
+const retrieveChatExcerpts = async (message, { patientId, userId, focusedFile }) => {
+  try {
+    if (focusedFile) {
+      return await documentRetrievalService.retrieve(message, {
+        userId,
+        fileIds: [focusedFile._id],
+      });
+    }
+    const patient = mongoose.Types.ObjectId.isValid(String(patientId))
+      ? await Patient.findById(patientId).lean()
+      : null;
+    return await documentRetrievalService.retrieve(message, {
+      patientId,
+      userId,
+      includePatientDocuments:
+        Boolean(patient) && (await organizationService.canAccessPatient(patient, userId)),
+    });
+  } catch (error) {
+    console.log("Could not retrieve document passages for chat:", error.message);
+    return [];
+  }
+};
+
 /**
  * Chat with AI assistant for clinical insights with enhanced context awareness
  * @param {Object} req - Express request object
@@ -741,6 +857,14 @@ export const chatWithAI = async (req, res) => {
       });
     }
 
+    // Gate both the streaming and the JSON reply, as the doctor AI routes do
+    if (!isAiEnabled()) {
+      return res.status(503).json({
+        success: false,
+        message: "AI disabled",
+      });
+    }
+
     console.log("Chat request received:", {
       message,
       patientId,
@@ -825,6 +949,7 @@ export const chatWithAI = async (req, res) => {
       primaryDiagnosis: context?.primaryDiagnosis,
       recentDocuments: [],
       documentContent: [],
+      retrievedChunks: [],
       latestSummary: context?.latestSummary || null,
       clinicalInsights: [],
       patientData: {},
@@ -905,12 +1030,19 @@ export const chatWithAI = async (req, res) => {
             }
           }
 
-          // If we have a specific file to focus on, prioritize that one
-          const filesToProcess =
-            specificFileRequested && focusedFile
+          chatContext.retrievedChunks = await retrieveChatExcerpts(message, {
+            patientId,
+            userId: req.userId,
+            focusedFile,
+          });
+
+          // Without indexed passages, fall back to the start of the focused
+          // file, or of the most recent file
+          const filesToProcess = chatContext.retrievedChunks.length
+            ? []
+            : specificFileRequested && focusedFile
               ? [focusedFile]
-              : // Otherwise use the most recent file
-                [recentFiles[0]];
+              : [recentFiles[0]];
 
           // Extract content from the file(s)
           for (const file of filesToProcess) {
@@ -971,6 +1103,17 @@ export const chatWithAI = async (req, res) => {
             chatContext.patientData.soapNote = latestFileWithSoap.soapNote;
             console.log("Added SOAP note to context");
           }
+        } else {
+          chatContext.retrievedChunks = await retrieveChatExcerpts(message, {
+            patientId,
+            userId: req.userId,
+          });
+        }
+
+        if (chatContext.retrievedChunks.length > 0) {
+          console.log(
+            `Added ${chatContext.retrievedChunks.length} retrieved document passages to context`
+          );
         }
       } catch (error) {
         console.log(
@@ -980,85 +1123,80 @@ export const chatWithAI = async (req, res) => {
       }
     }
 
-    // Use Azure OpenAI directly for enhanced chat with rich context
-    console.log("🤖 [ChatPanel] Sending chat request to Azure OpenAI with enhanced context");
-    const aiResponse = await azureOpenAIService.chatWithAI(message, chatContext);
+    const responseContext = {
+      patientId,
+      hasContext: !!context,
+      documentsIncluded: chatContext.recentDocuments.length,
+      insightsIncluded: chatContext.clinicalInsights.length,
+      hasDocumentContent:
+        chatContext.documentContent.length > 0 || chatContext.retrievedChunks.length > 0,
+      retrievedPassages: chatContext.retrievedChunks.length,
+      hasOasisScores: !!chatContext.patientData.oasisScores,
+      hasSoapNote: !!chatContext.patientData.soapNote,
+      isManualEntry: chatContext.isManualEntry,
+      focusedDocument:
+        specificFileRequested && chatContext.documentContent.length > 0
+          ? chatContext.documentContent.find((doc) => doc.isFocused)?.fileId
+          : null,
+    };
 
-    // Save conversation to chat session
-    if (chatSession) {
-      console.log(
-        `💾 Saving conversation to chat session: ${chatSession.sessionId}`
-      );
+    // Opt-in SSE mode: stream tokens from whichever provider answers, then
+    // save the full exchange once the stream completes
+    if (wantsEventStream(req)) {
+      const signal = openEventStream(req, res);
       try {
-        // Add user message
-        console.log(`📝 Adding user message: "${message.substring(0, 50)}..."`);
-        chatSession.addMessage({
-          type: "user",
-          content: message,
-          contextInfo: {
-            hasDocumentContent: chatContext.documentContent.length > 0,
-            focusedDocument: chatContext.focusedDocument,
-            insightsIncluded: chatContext.clinicalInsights.length,
-            hasOasisScores: !!chatContext.patientData.oasisScores,
-            hasSoapNote: !!chatContext.patientData.soapNote,
-          },
+        const { output, model, hallucinationFlags } = await streamAiChat({
+          message,
+          chatContext,
+          signal,
+          onToken: (text) => sendEvent(res, "token", { text }),
         });
-
-        // Add AI response
-        console.log(
-          `🤖 Adding AI response: "${aiResponse.substring(0, 50)}..."`
-        );
-        chatSession.addMessage({
-          type: "ai",
-          content: aiResponse,
-          contextInfo: {
-            hasDocumentContent: chatContext.documentContent.length > 0,
-            focusedDocument: chatContext.focusedDocument,
-            insightsIncluded: chatContext.clinicalInsights.length,
-            hasOasisScores: !!chatContext.patientData.oasisScores,
-            hasSoapNote: !!chatContext.patientData.soapNote,
-          },
+        await saveChatExchange(chatSession, {
+          message,
+          aiResponse: output,
+          chatContext,
+          context,
+          model,
+          hallucinationFlags,
         });
-
-        // Update context with latest information
-        chatSession.updateContext({
-          latestSummary: chatContext.latestSummary,
-          documentContext: context?.documentContext || {},
+        return endEventStream(res, "done", {
+          success: true,
+          response: output,
+          model,
+          hallucinationFlags,
+          citations: documentRetrievalService.citations(output, chatContext.retrievedChunks),
+          sessionId: chatSession?.sessionId,
+          context: responseContext,
         });
-
-        console.log(
-          `💾 Saving chat session with ${chatSession.messages.length} messages`
-        );
-        await chatSession.save();
-        console.log("✅ Conversation saved to chat session successfully");
       } catch (error) {
-        console.error("❌ Could not save conversation:", error);
-        console.error("Save error details:", error.message);
-        console.error("Save error stack:", error.stack);
+        console.error("Error streaming AI chat:", error);
+        return endEventStream(res, "error", {
+          success: false,
+          message: "Error processing chat request",
+          error: error.message,
+          providers: providerReasons(error.details),
+        });
       }
-    } else {
-      console.log("⚠️  No chat session available, conversation not saved");
     }
 
+    // Use Azure OpenAI directly for enhanced chat with rich context
+    console.log("🤖 [ChatPanel] Sending chat request to Azure OpenAI with enhanced context");
+    const aiResponse = await azureOpenAIService.chatWithAI(message, chatContext);
+
+    await saveChatExchange(chatSession, {
+      message,
+      aiResponse,
+      chatContext,
+      context,
+    });
+
     // Return the AI response with context metadata
     res.status(200).json({
       success: true,
       response: aiResponse,
+      citations: documentRetrievalService.citations(aiResponse, chatContext.retrievedChunks),
       sessionId: chatSession?.sessionId,
-      context: {
-        patientId,
-        hasContext: !!context,
-        documentsIncluded: chatContext.recentDocuments.length,
-        insightsIncluded: chatContext.clinicalInsights.length,
-        hasDocumentContent: chatContext.documentContent.length > 0,
-        hasOasisScores: !!chatContext.patientData.oasisScores,
-        hasSoapNote: !!chatContext.patientData.soapNote,
-        isManualEntry: chatContext.isManualEntry,
-        focusedDocument:
-          specificFileRequested && chatContext.documentContent.length > 0
-            ? chatContext.documentContent.find((doc) => doc.isFocused)?.fileId
-            : null,
-      },
+      context: responseContext,
     });
   } catch (error) {
     console.error("Error in AI chat:", error);
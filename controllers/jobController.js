@@ -0,0 +1,75 @@
+import jobScheduler from "../services/jobSchedulerService.js";
+
+function sendError(res, error, context) {
+  if (error.name === "JobSchedulerError") {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ success: false, message: error.message });
+}
+
+// List jobs, optionally by ?status=, ?handler=, ?scope= and ?paused=
+export const listJobs = async (req, res) => {
+  try {
+    const jobs = await jobScheduler.list({
+      status: req.query.status,
+      handler: req.query.handler,
+      scope: req.query.scope,
+      paused: req.query.paused,
+    });
+    res.json({ success: true, jobs, instanceId: jobScheduler.instanceId });
+  } catch (error) {
+    sendError(res, error, "listing jobs");
+  }
+};
+
+// Get one job with its recent runs
+export const getJob = async (req, res) => {
+  try {
+    const job = await jobScheduler.get(req.params.name);
+    res.json({ success: true, job });
+  } catch (error) {
+    sendError(res, error, "getting job");
+  }
+};
+
+// Stop a job from running until it is resumed
+export const pauseJob = async (req, res) => {
+  try {
+    const job = await jobScheduler.pause(req.params.name);
+    res.json({ success: true, message: "Job paused", job });
+  } catch (error) {
+    sendError(res, error, "pausing job");
+  }
+};
+
+export const resumeJob = async (req, res) => {
+  try {
+    const job = await jobScheduler.resume(req.params.name);
+    res.json({ success: true, message: "Job resumed", job });
+  } catch (error) {
+    sendError(res, error, "resuming job");
+  }
+};
+
+// Run a job at the next scheduler poll, including failed one-off jobs
+export const runJob = async (req, res) => {
+  try {
+    const job = await jobScheduler.runNow(req.params.name);
+    res.status(202).json({ success: true, message: "Job queued to run", job });
+  } catch (error) {
+    sendError(res, error, "running job");
+  }
+};
+
+export default {
+  listJobs,
+  getJob,
+  pauseJob,
+  resumeJob,
+  runJob,
+};
@@ -0,0 +1,80 @@
+import medicalLexiconService from "../services/medicalLexiconService.js";
+
+function sendError(res, error, context) {
+  if (error.name === "OrganizationError" || error.name === "MedicalLexiconError") {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ success: false, message: error.message });
+}
+
+// List the organization's lexicon terms, optionally by ?category= (members only)
+export const listTerms = async (req, res) => {
+  try {
+    const terms = await medicalLexiconService.listTerms(
+      req.params.organizationId,
+      req.userId,
+      { category: req.query.category }
+    );
+    res.json({ success: true, terms });
+  } catch (error) {
+    sendError(res, error, "listing lexicon terms");
+  }
+};
+
+// Add a term (admin)
+export const addTerm = async (req, res) => {
+  try {
+    const term = await medicalLexiconService.addTerm(
+      req.params.organizationId,
+      req.userId,
+      req.body
+    );
+    res.status(201).json({ success: true, term });
+  } catch (error) {
+    sendError(res, error, "adding lexicon term");
+  }
+};
+
+// Update a term (admin)
+export const updateTerm = async (req, res) => {
+  try {
+    const term = await medicalLexiconService.updateTerm(
+      req.params.organizationId,
+      req.userId,
+      req.params.termId,
+      req.body
+    );
+    res.json({ success: true, term });
+  } catch (error) {
+    sendError(res, error, "updating lexicon term");
+  }
+};
+
+// Remove a term (admin)
+export const removeTerm = async (req, res) => {
+  try {
+    const term = await medicalLexiconService.removeTerm(
+      req.params.organizationId,
+      req.userId,
+      req.params.termId
+    );
+    res.json({ success: true, term });
+  } catch (error) {
+    sendError(res, error, "removing lexicon term");
+  }
+};
+
+export default {
+  listTerms,
+  addTerm,
+  updateTerm,
+  removeTerm,
+};
@@ -1,6 +1,10 @@
+import Medication from '../../models/nursing/Medication.js';
+import MedicationManagementService from '../../services/nursing/MedicationManagementService.js';
+import organizationService from '../../services/organizationService.js';
+
 class MedicationManagementController {
   constructor() {
-    // Initialize any required services
+    this.medicationService = new MedicationManagementService();
   }
 
   // Helper method to extract user ID from request
@@ -120,25 +124,37 @@ class MedicationManagementController {
     try {
       const userId = this.validateUserId(this.getUserId(req));
       const { medicationId } = req.params;
-      
-      const interactions = {
+
+      const scope = await organizationService.scopeFor(userId);
+      const medication = await Medication.findOne({ _id: medicationId, ...scope });
+      if (!medication) {
+        return res.status(404).json({
+          success: false,
+          message: 'Medication not found'
+        });
+      }
+
+      const otherMedications = await Medication.find({
+        ...scope,
+        patientId: medication.patientId,
+        status: 'active',
+        _id: { $ne: medication._id }
+      });
+
+      const result = await this.medicationService.checkDrugInteractions(
+        medication,
+        otherMedications
+      );
+
+      res.json({
         medicationId,
-        interactions: [
-          {
-            medication: 'Lisinopril',
-            interactsWith: 'Metformin',
-            severity: 'Low',
-            description: 'No significant interactions'
-          }
-        ],
+        ...result,
         checkedBy: userId,
         checkedAt: new Date()
-      };
-
-      res.json(interactions);
+      });
     } catch (error) {
       console.error('Check drug interactions error:', error);
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
         message: 'Failed to check drug interactions',
         error: error.message
@@ -0,0 +1,177 @@
+import observationService, {
+  ObservationError,
+} from "../../services/nursing/ObservationService.js";
+
+class ObservationController {
+  constructor() {
+    this.observationService = observationService;
+  }
+
+  // Helper method to extract user ID from request
+  getUserId(req) {
+    return req.userId || req.user?.id || req.user?._id || req.user?.userId;
+  }
+
+  handleError(res, error, message) {
+    if (error instanceof ObservationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        details: error.details,
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      success: false,
+      message,
+      error: error.message,
+    });
+  }
+
+  /**
+   * POST /observations/:patientId
+   * Body: a single observation or { observations: [...] }
+   */
+  async recordObservations(req, res) {
+    try {
+      const observations = await this.observationService.recordObservations(
+        req.params.patientId,
+        this.getUserId(req),
+        req.body?.observations ?? req.body,
+        { source: req.body?.source === "device" ? "device" : "manual" }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Observations recorded successfully",
+        data: observations,
+      });
+    } catch (error) {
+      this.handleError(res, error, "Failed to record observations");
+    }
+  }
+
+  /**
+   * GET /observations/:patientId?types=heart_rate,pain&since=&until=&limit=
+   */
+  async getObservations(req, res) {
+    try {
+      const { types, since, until, limit } = req.query;
+      const observations = await this.observationService.getObservations(
+        req.params.patientId,
+        {
+          types: types ? String(types).split(",") : undefined,
+          since,
+          until,
+          limit,
+        }
+      );
+
+      res.json({
+        success: true,
+        data: observations,
+        total: observations.length,
+      });
+    } catch (error) {
+      this.handleError(res, error, "Failed to retrieve observations");
+    }
+  }
+
+  /**
+   * GET /observations/:patientId/summary?hours=72
+   * The vital-sign summary used by risk stratification.
+   */
+  async getVitalsSummary(req, res) {
+    try {
+      const hours = Math.min(Math.max(Number(req.query.hours) || 72, 1), 24 * 30);
+      const summary = await this.observationService.getVitalsSummary(
+        req.params.patientId,
+        { hours }
+      );
+
+      res.json({
+        success: true,
+        data: summary,
+      });
+    } catch (error) {
+      this.handleError(res, error, "Failed to summarize observations");
+    }
+  }
+
+  /**
+   * POST /observations/:patientId/sync-visits
+   * Copies vital signs from the patient's visit records.
+   */
+  async syncVisitRecords(req, res) {
+    try {
+      const copied = await this.observationService.syncVisitRecords(
+        req.params.patientId
+      );
+
+      res.json({
+        success: true,
+        message: `${copied} reading(s) copied from visit records`,
+        data: { copied },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Failed to sync visit records");
+    }
+  }
+
+  /**
+   * PATCH /observations/:patientId/:observationId/entered-in-error
+   */
+  async markEnteredInError(req, res) {
+    try {
+      const observation = await this.observationService.markEnteredInError(
+        req.params.patientId,
+        req.params.observationId,
+        this.getUserId(req),
+        req.body?.reason
+      );
+
+      res.json({
+        success: true,
+        message: "Observation marked as entered in error",
+        data: observation,
+      });
+    } catch (error) {
+      this.handleError(res, error, "Failed to update observation");
+    }
+  }
+
+  /**
+   * POST /observations/import
+   * multipart "file" (CSV) or { csv: "..." }; rows name their patientId,
+   * or body.patientId applies to rows without one.
+   */
+  async importCsv(req, res) {
+    try {
+      const input = req.file?.buffer ?? req.body?.csv;
+      if (!input) {
+        return res.status(400).json({
+          success: false,
+          message: "A CSV file is required",
+        });
+      }
+
+      const result = await this.observationService.importCsv(
+        input,
+        this.getUserId(req),
+        { defaultPatientId: req.body?.patientId }
+      );
+
+      res.status(result.imported > 0 ? 201 : 422).json({
+        success: result.imported > 0,
+        message: `${result.imported} of ${result.totalRows} row(s) imported`,
+        data: result,
+      });
+    } catch (error) {
+      this.handleError(res, error, "Failed to import observations");
+    }
+  }
+}
+
+export default ObservationController;
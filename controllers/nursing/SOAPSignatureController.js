@@ -0,0 +1,148 @@
+import soapService, {
+  SOAPServiceError,
+} from "../../services/nursing/SOAPService.js";
+
+class SOAPSignatureController {
+  constructor() {
+    this.soapService = soapService;
+  }
+
+  // Helper method to extract user ID from request
+  getUserId(req) {
+    return req.userId || req.user?.id || req.user?._id || req.user?.userId;
+  }
+
+  handleError(res, error, message) {
+    if (error instanceof SOAPServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      success: false,
+      message,
+      error: error.message,
+    });
+  }
+
+  /**
+   * POST /soap/notes/:id/sign
+   * Body: { cosignerId?, witnessedBy? }
+   */
+  async signNote(req, res) {
+    try {
+      const { soapNote } = await this.soapService.signSOAPNote(
+        req.params.id,
+        String(this.getUserId(req)),
+        {
+          cosignerId: req.body?.cosignerId,
+          witnessedBy: req.body?.witnessedBy,
+          ipAddress: req.ip,
+        }
+      );
+
+      res.json({
+        success: true,
+        message:
+          soapNote.status === "pending_cosignature"
+            ? "SOAP note signed; awaiting co-signature"
+            : "SOAP note signed",
+        data: soapNote,
+      });
+    } catch (error) {
+      this.handleError(res, error, "Failed to sign SOAP note");
+    }
+  }
+
+  /**
+   * PUT /soap/notes/:id/cosignature-request
+   * Body: { cosignerId }
+   */
+  async requestCosignature(req, res) {
+    try {
+      const { soapNote } = await this.soapService.requestCosignature(
+        req.params.id,
+        String(this.getUserId(req)),
+        req.body?.cosignerId
+      );
+
+      res.json({
+        success: true,
+        message: "Co-signature request updated",
+        data: soapNote,
+      });
+    } catch (error) {
+      this.handleError(res, error, "Failed to request co-signature");
+    }
+  }
+
+  /**
+   * POST /soap/notes/:id/cosign
+   * Body: { notes? }
+   */
+  async cosignNote(req, res) {
+    try {
+      const { soapNote } = await this.soapService.cosignSOAPNote(
+        req.params.id,
+        String(this.getUserId(req)),
+        { notes: req.body?.notes, ipAddress: req.ip }
+      );
+
+      res.json({
+        success: true,
+        message: "SOAP note co-signed",
+        data: soapNote,
+      });
+    } catch (error) {
+      this.handleError(res, error, "Failed to co-sign SOAP note");
+    }
+  }
+
+  /**
+   * POST /soap/notes/:id/amendments
+   * Body: { type: "addendum" | "amendment", reason, text?, changes? }
+   */
+  async amendNote(req, res) {
+    try {
+      const { type, reason, text, changes } = req.body || {};
+      const { soapNote, amendment } = await this.soapService.amendSOAPNote(
+        req.params.id,
+        String(this.getUserId(req)),
+        { type, reason, text, changes, ipAddress: req.ip }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `SOAP note ${amendment.type} signed`,
+        data: { amendment, soapNote },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Failed to amend SOAP note");
+    }
+  }
+
+  /**
+   * GET /soap/notes/:id/signature/verify
+   */
+  async verifySignature(req, res) {
+    try {
+      const verification = await this.soapService.verifySignatureChain(
+        req.params.id,
+        String(this.getUserId(req))
+      );
+
+      res.json({
+        success: true,
+        data: verification,
+      });
+    } catch (error) {
+      this.handleError(res, error, "Failed to verify SOAP note signature");
+    }
+  }
+}
+
+export default SOAPSignatureController;
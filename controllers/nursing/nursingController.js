@@ -1,4 +1,5 @@
 import { validationResult } from "express-validator";
+import fs from "fs";
 import User from "../../models/User.js";
 import Patient from "../../models/Patient.js";
 
@@ -11,6 +12,12 @@ import CarePlansService from "../../services/nursing/CarePlansService.js";
 import OutcomeMeasuresService from "../../services/nursing/OutcomeMeasuresService.js";
 import ClinicalDecisionSupportService from "../../services/nursing/ClinicalDecisionSupportService.js";
 import MedicationManagementService from "../../services/nursing/MedicationManagementService.js";
+import observationService from "../../services/nursing/ObservationService.js";
+import clinicalGuidelineLibrary, {
+  citationFor,
+  diagnosisCodes,
+} from "../../services/nursing/ClinicalGuidelineLibrary.js";
+import earlyWarningScoreService from "../../services/nursing/EarlyWarningScoreService.js";
 
 class NursingController {
   constructor() {
@@ -234,6 +241,107 @@ class NursingController {
     }
   }
 
+  // Map OASISService errors onto HTTP status codes
+  oasisErrorStatus(error) {
+    if (error.name === "ValidationError") return 400;
+    if (error.name === "RateLimitError") return 429;
+    if (error.name === "ServiceUnavailableError") return 503;
+    if (["ASSESSMENT_NOT_FOUND", "REPORT_NOT_FOUND", "PATIENT_NOT_FOUND"].includes(error.code)) return 404;
+    if (error.code === "UNAUTHORIZED_ACCESS") return 403;
+    if (["SUBMISSION_SPEC_MISSING", "INVALID_SUBMISSION_SPEC"].includes(error.code)) return 503;
+    if (error.code === "INVALID_BATCH_RECORD") return 422;
+    return 500;
+  }
+
+  async generateOASISReport(req, res) {
+    try {
+      const userId = this.validateUserId(this.getUserId(req));
+      const { id } = req.params;
+      const format = req.body?.format || req.query.format || "pdf";
+
+      const result = await this.oasisService.generateReport(id, String(userId), format);
+
+      res.status(201).json({
+        success: true,
+        data: result.report,
+        message: "OASIS report generated successfully",
+      });
+    } catch (error) {
+      console.error("Generate OASIS report error:", error);
+      res.status(this.oasisErrorStatus(error)).json({
+        success: false,
+        message: "Failed to generate OASIS report",
+        error: error.message,
+      });
+    }
+  }
+
+  async downloadOASISReport(req, res) {
+    try {
+      const userId = this.validateUserId(this.getUserId(req));
+      const { id, reportId } = req.params;
+
+      const file = await this.oasisService.getReportFile(id, reportId, String(userId));
+
+      const disposition = file.format === "pdf" ? "inline" : "attachment";
+      res.setHeader("Content-Disposition", `${disposition}; filename="${file.fileName}"`);
+      res.setHeader("Content-Type", file.contentType);
+      res.setHeader("Cache-Control", "private, no-store");
+
+      const fileStream = fs.createReadStream(file.filePath);
+      fileStream.on("error", (error) => {
+        console.error("OASIS report stream error:", error);
+        res.destroy(error);
+      });
+      fileStream.pipe(res);
+    } catch (error) {
+      console.error("Download OASIS report error:", error);
+      res.status(this.oasisErrorStatus(error)).json({
+        success: false,
+        message: "Failed to download OASIS report",
+        error: error.message,
+      });
+    }
+  }
+
+  // CMS submission batch. ?dryRun=true returns only the edit check results.
+  async exportOASISSubmissions(req, res) {
+    try {
+      const userId = this.validateUserId(this.getUserId(req));
+      const { startDate, endDate, dryRun } = req.query;
+
+      const result = await this.oasisService.exportSubmissionBatch(String(userId), {
+        startDate,
+        endDate,
+      });
+      const { content, ...summary } = result;
+
+      if (dryRun === "true") {
+        return res.json({ success: true, data: summary });
+      }
+      if (result.exportedCount === 0) {
+        return res.status(422).json({
+          success: false,
+          message: "No assessments passed the CMS edit checks for this period",
+          data: summary,
+        });
+      }
+
+      res.setHeader("Content-Type", "text/plain; charset=us-ascii");
+      res.setHeader("Content-Disposition", `attachment; filename="${result.fileName}"`);
+      res.setHeader("X-OASIS-Exported-Count", String(result.exportedCount));
+      res.setHeader("X-OASIS-Rejected-Count", String(result.rejectedCount));
+      res.send(content);
+    } catch (error) {
+      console.error("Export OASIS submissions error:", error);
+      res.status(this.oasisErrorStatus(error)).json({
+        success: false,
+        message: "Failed to export OASIS submissions",
+        error: error.message,
+      });
+    }
+  }
+
   // ===========================================
   // SOAP NOTES
   // ===========================================
@@ -1276,25 +1384,22 @@ class NursingController {
         });
       }
 
-      const interactions = {
+      const result = await this.medicationService.checkMedicationListInteractions(
+        req.body.medications
+      );
+
+      res.json({
         medications: req.body.medications,
-        interactions: [
-          {
-            medication1: req.body.medications[0],
-            medication2: req.body.medications[1] || "None",
-            severity: "Low",
-            description: "No significant interactions found",
-          },
-        ],
+        ...result,
         checkedBy: userId,
         checkedAt: new Date(),
-      };
-
-      res.json(interactions);
+      });
     } catch (error) {
       console.error("Check drug interactions error:", error);
-      res.status(400).json({
-        error: "Medication name is required",
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: "Failed to check drug interactions",
+        error: error.message,
       });
     }
   }
@@ -2044,37 +2149,52 @@ class NursingController {
   async getClinicalGuidelines(req, res) {
     try {
       const userId = this.validateUserId(this.getUserId(req));
-      const { patientId } = req.query;
+      const { patientId, conditionCodes, q, category } = req.query;
 
-      // Mock clinical guidelines data
-      const guidelines = [
-        {
-          id: "guideline_1",
-          title: "Heart Failure Management Guidelines",
-          category: "Cardiovascular",
-          evidenceLevel: "A",
-          lastUpdated: new Date().toISOString(),
-          applicability: patientId ? "High" : "Medium",
-          recommendations: [
-            "Monitor daily weights",
-            "Assess fluid status regularly",
-            "Educate on sodium restriction",
-          ],
-        },
-        {
-          id: "guideline_2",
-          title: "Diabetes Care Standards",
-          category: "Endocrine",
-          evidenceLevel: "A",
-          lastUpdated: new Date().toISOString(),
-          applicability: patientId ? "Medium" : "Low",
-          recommendations: [
-            "Monitor blood glucose levels",
-            "Assess for complications",
-            "Provide diabetes education",
-          ],
-        },
-      ];
+      // Codes asked for, or else those in the patient's diagnoses (access
+      // to the patient is checked by authorizePatient on the route)
+      let codes = conditionCodes
+        ? String(conditionCodes).split(",").map((code) => code.trim()).filter(Boolean)
+        : [];
+      if (codes.length === 0 && patientId) {
+        const patient = await Patient.findById(patientId)
+          .select("primaryDiagnosis secondaryDiagnoses conditions")
+          .lean();
+        codes = diagnosisCodes(patient || {});
+      }
+
+      const matches = await clinicalGuidelineLibrary.findGuidelines({
+        codes,
+        query: q,
+        category,
+      });
+
+      const guidelines = matches.map(({ guideline, matched }) => ({
+        id: guideline._id ? String(guideline._id) : guideline.key,
+        key: guideline.key,
+        title: guideline.title,
+        category: guideline.category,
+        source: guideline.organization,
+        version: guideline.version,
+        publicationDate: guideline.publicationDate,
+        effectiveDate: guideline.effectiveDate,
+        url: guideline.url,
+        summary: guideline.summary,
+        conditionCodes: guideline.conditionCodes,
+        matchedConditionCodes: matched,
+        // Condition-specific guidelines that matched rank above general ones
+        applicability: matched.length ? "High" : "General",
+        sections: guideline.sections.map((section) => ({
+          sectionId: section.sectionId,
+          title: section.title,
+          text: section.text,
+          recommendations: section.recommendations.map((recommendation) => ({
+            ...recommendation,
+            citation: citationFor(guideline, section, recommendation),
+          })),
+        })),
+      }));
+      guidelines.sort((a, b) => b.matchedConditionCodes.length - a.matchedConditionCodes.length);
 
       res.json(guidelines);
     } catch (error) {
@@ -2087,6 +2207,100 @@ class NursingController {
     }
   }
 
+  /**
+   * POST /clinical/vitals-analysis
+   * Body: { patientId, vitals: { respiratoryRate, oxygenSaturation,
+   *   onSupplementalOxygen, systolic, diastolic, heartRate, consciousness,
+   *   temperature }, scoringSystems: ["NEWS2", "MEWS"], spo2Scale: 1 | 2 }
+   * Records the vitals, computes the early warning scores and raises
+   * escalation alerts for the care team.
+   */
+  async recordVitalsAnalysis(req, res) {
+    try {
+      const userId = this.validateUserId(this.getUserId(req));
+      const { patientId, vitals = {}, scoringSystems, spo2Scale } = req.body;
+      const systems = [].concat(scoringSystems || "NEWS2").map((system) =>
+        String(system).toUpperCase()
+      );
+
+      const unsupported = systems.filter((system) => !["NEWS2", "MEWS"].includes(system));
+      if (unsupported.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported scoring system: ${unsupported.join(", ")}`,
+        });
+      }
+
+      // Validate before anything is stored
+      const normalized = earlyWarningScoreService.normalizeVitals(vitals);
+      const entries = this.vitalsToObservations(normalized, vitals);
+      const observations = entries.length
+        ? await observationService.recordObservations(patientId, userId, entries)
+        : [];
+
+      const { scores, alerts } = await earlyWarningScoreService.scoreAndAlert(
+        patientId,
+        vitals,
+        { userId, systems, spo2Scale }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Vital signs recorded and scored",
+        data: {
+          patientId,
+          scores,
+          alerts,
+          observations: observations.map((observation) => observation._id),
+        },
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          details: error.details,
+        });
+      }
+      console.error("recordVitalsAnalysis error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record vital signs",
+        error: error.message,
+      });
+    }
+  }
+
+  // Observation store entries for the measured vitals in a scoring request
+  vitalsToObservations(normalized, raw) {
+    const observedAt = raw.observedAt || new Date();
+    const entries = [];
+    const add = (type, value) => {
+      if (value !== null) entries.push({ type, value, observedAt });
+    };
+
+    add("respiratory_rate", normalized.respiratoryRate);
+    add("oxygen_saturation", normalized.oxygenSaturation);
+    add("heart_rate", normalized.heartRate);
+    add("temperature", normalized.temperature);
+
+    const diastolic =
+      raw.diastolic ??
+      raw.bloodPressure?.diastolic ??
+      (typeof raw.bloodPressure === "string" ? raw.bloodPressure.split("/")[1] : null);
+    if (normalized.systolic !== null && diastolic !== null && diastolic !== undefined) {
+      entries.push({
+        type: "blood_pressure",
+        systolic: normalized.systolic,
+        diastolic,
+        observedAt,
+      });
+    }
+
+    return entries;
+  }
+
   async getVitalsAnalysis(req, res) {
     try {
       const userId = this.validateUserId(this.getUserId(req));
@@ -2522,28 +2736,29 @@ class NursingController {
     }
   }
 
+  // Item definitions come from the scoring engine that scores submissions
+  sendAssessmentTools(res, assessmentType, message) {
+    const tools = this.assessmentService.scoringEngine.instrumentsFor(assessmentType);
+    res.json({
+      success: true,
+      message,
+      data: {
+        assessmentType,
+        tools,
+        total: tools.length,
+      },
+    });
+  }
+
   async getPainScales(req, res) {
     try {
-      const userId = this.validateUserId(this.getUserId(req));
-
-      // Mock response for getPainScales
-      const response = {
-        success: true,
-        message: "getPainScales executed successfully",
-        data: {
-          userId: userId,
-          timestamp: new Date(),
-          method: "getPainScales",
-          // Add method-specific mock data here
-        },
-      };
-
-      res.json(response);
+      this.validateUserId(this.getUserId(req));
+      this.sendAssessmentTools(res, "pain", "Pain scales retrieved successfully");
     } catch (error) {
       console.error("getPainScales error:", error);
       res.status(400).json({
         success: false,
-        message: "Failed to execute getPainScales",
+        message: "Failed to retrieve pain scales",
         error: error.message,
       });
     }
@@ -2551,26 +2766,17 @@ class NursingController {
 
   async getFallRiskTools(req, res) {
     try {
-      const userId = this.validateUserId(this.getUserId(req));
-
-      // Mock response for getFallRiskTools
-      const response = {
-        success: true,
-        message: "getFallRiskTools executed successfully",
-        data: {
-          userId: userId,
-          timestamp: new Date(),
-          method: "getFallRiskTools",
-          // Add method-specific mock data here
-        },
-      };
-
-      res.json(response);
+      this.validateUserId(this.getUserId(req));
+      this.sendAssessmentTools(
+        res,
+        "fall-risk",
+        "Fall risk tools retrieved successfully"
+      );
     } catch (error) {
       console.error("getFallRiskTools error:", error);
       res.status(400).json({
         success: false,
-        message: "Failed to execute getFallRiskTools",
+        message: "Failed to retrieve fall risk tools",
         error: error.message,
       });
     }
@@ -2578,57 +2784,116 @@ class NursingController {
 
   async getMentalStatusTools(req, res) {
     try {
-      const userId = this.validateUserId(this.getUserId(req));
-
-      // Mock response for getMentalStatusTools
-      const response = {
-        success: true,
-        message: "getMentalStatusTools executed successfully",
-        data: {
-          userId: userId,
-          timestamp: new Date(),
-          method: "getMentalStatusTools",
-          // Add method-specific mock data here
-        },
-      };
-
-      res.json(response);
+      this.validateUserId(this.getUserId(req));
+      this.sendAssessmentTools(
+        res,
+        "mental-status",
+        "Mental status tools retrieved successfully"
+      );
     } catch (error) {
       console.error("getMentalStatusTools error:", error);
       res.status(400).json({
         success: false,
-        message: "Failed to execute getMentalStatusTools",
+        message: "Failed to retrieve mental status tools",
         error: error.message,
       });
     }
   }
 
+  /**
+   * GET /assessment-tools/:assessmentType
+   * Accepts an instrument id (e.g. "braden") or an assessment type (e.g. "wound").
+   */
   async getAssessmentTools(req, res) {
+    try {
+      this.validateUserId(this.getUserId(req));
+      const { assessmentType } = req.params;
+      const engine = this.assessmentService.scoringEngine;
+
+      const instrument = engine.getInstrument(assessmentType);
+      if (instrument) {
+        return res.json({
+          success: true,
+          message: "Assessment tool retrieved successfully",
+          data: engine.describe(instrument),
+        });
+      }
+
+      if (engine.instrumentsFor(assessmentType).length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `No assessment tools for ${assessmentType}`,
+          available: engine.listInstruments().map((tool) => tool.id),
+        });
+      }
+
+      this.sendAssessmentTools(
+        res,
+        assessmentType,
+        "Assessment tools retrieved successfully"
+      );
+    } catch (error) {
+      console.error("getAssessmentTools error:", error);
+      res.status(400).json({
+        success: false,
+        message: "Failed to retrieve assessment tools",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * POST /assessment-tools/:toolId/assessments
+   * Body: { patientId, responses: { [itemId]: value } }
+   * Scores the responses and stores them on a new nursing assessment.
+   */
+  async createStandardizedAssessment(req, res) {
     try {
       const userId = this.validateUserId(this.getUserId(req));
+      const { toolId } = req.params;
+      const { patientId, responses } = req.body;
 
-      // Mock response for getAssessmentTools
-      const response = {
+      if (!patientId) {
+        return res.status(400).json({
+          success: false,
+          message: "patientId is required",
+        });
+      }
+
+      const result = await this.assessmentService.performStandardizedAssessment(
+        patientId,
+        userId,
+        toolId,
+        responses
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error || "Failed to score assessment",
+          code: result.code,
+          details: result.details,
+        });
+      }
+
+      res.status(201).json({
         success: true,
-        message: "getAssessmentTools executed successfully",
+        message: "Assessment scored and saved successfully",
         data: {
-          userId: userId,
-          timestamp: new Date(),
-          method: "getAssessmentTools",
-          // Add method-specific mock data here
+          assessment: result.assessment,
+          score: result.scores,
         },
-      };
-
-      res.json(response);
+      });
     } catch (error) {
-      console.error("getAssessmentTools error:", error);
-      res.status(400).json({
+      console.error("createStandardizedAssessment error:", error);
+      res.status(500).json({
         success: false,
-        message: "Failed to execute getAssessmentTools",
+        message: "Failed to score assessment",
         error: error.message,
       });
     }
   }
+
   // ===========================================
   // PATIENT CLINICAL DATA
   // ===========================================
@@ -0,0 +1,153 @@
+import organizationService from "../services/organizationService.js";
+
+function sendError(res, error, context) {
+  if (error.name === "OrganizationError") {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ success: false, message: error.message });
+}
+
+// Create an organization; the creator becomes its admin (authenticated)
+export const createOrganization = async (req, res) => {
+  try {
+    const { organization, adopted } = await organizationService.createOrganization(
+      req.userId,
+      req.body
+    );
+    res.status(201).json({ success: true, organization, adopted });
+  } catch (error) {
+    sendError(res, error, "creating organization");
+  }
+};
+
+// Get the current user's organization, members and role (authenticated)
+export const getCurrentOrganization = async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganizationForUser(req.userId);
+    res.json({ success: true, organization });
+  } catch (error) {
+    sendError(res, error, "fetching current organization");
+  }
+};
+
+// Get an organization the user belongs to (authenticated)
+export const getOrganization = async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(
+      req.params.organizationId,
+      req.userId
+    );
+    res.json({ success: true, organization });
+  } catch (error) {
+    sendError(res, error, "fetching organization");
+  }
+};
+
+// Update organization details (admin)
+export const updateOrganization = async (req, res) => {
+  try {
+    const organization = await organizationService.updateOrganization(
+      req.params.organizationId,
+      req.userId,
+      req.body
+    );
+    res.json({ success: true, organization });
+  } catch (error) {
+    sendError(res, error, "updating organization");
+  }
+};
+
+// Invite a member by email (admin)
+export const inviteMember = async (req, res) => {
+  try {
+    const result = await organizationService.inviteMember(
+      req.params.organizationId,
+      req.userId,
+      req.body
+    );
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "inviting organization member");
+  }
+};
+
+// Revoke a pending invitation (admin)
+export const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await organizationService.revokeInvitation(
+      req.params.organizationId,
+      req.userId,
+      req.params.invitationId
+    );
+    res.json({ success: true, invitationId: invitation._id, status: invitation.status });
+  } catch (error) {
+    sendError(res, error, "revoking invitation");
+  }
+};
+
+// Accept an invitation sent to the current user's email (authenticated)
+export const acceptInvitation = async (req, res) => {
+  try {
+    const { organization, role, adopted } = await organizationService.acceptInvitation(
+      req.userId,
+      req.body.token
+    );
+    res.json({
+      success: true,
+      organization: { _id: organization._id, name: organization.name, type: organization.type },
+      role,
+      adopted,
+    });
+  } catch (error) {
+    sendError(res, error, "accepting invitation");
+  }
+};
+
+// Change a member's role (admin)
+export const updateMemberRole = async (req, res) => {
+  try {
+    const member = await organizationService.updateMemberRole(
+      req.params.organizationId,
+      req.userId,
+      req.params.userId,
+      req.body.role
+    );
+    res.json({ success: true, member });
+  } catch (error) {
+    sendError(res, error, "updating member role");
+  }
+};
+
+// Remove a member (admin) or leave the organization (self)
+export const removeMember = async (req, res) => {
+  try {
+    const result = await organizationService.removeMember(
+      req.params.organizationId,
+      req.userId,
+      req.params.userId
+    );
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "removing member");
+  }
+};
+
+export default {
+  createOrganization,
+  getCurrentOrganization,
+  getOrganization,
+  updateOrganization,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+};
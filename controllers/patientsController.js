@@ -1,6 +1,21 @@
+import mongoose from "mongoose";
 import Patient from "../models/Patient.js";
 import File from "../models/File.js";
+import User from "../models/User.js";
 import PatientDataService from "../services/patientDataService.js";
+import organizationService from "../services/organizationService.js";
+import clinicalTimelineService from "../services/clinicalTimelineService.js";
+import {
+  buildPatientBundle,
+  importPatientBundle,
+} from "../services/fhir/patientBundle.js";
+
+// Tenant filter: the user's organization, or their own unassigned patients
+const tenantScope = (userId) =>
+  organizationService.scopeFor(userId, ["createdBy", "userId"]);
+
+// tenantScope() plus patients whose care team includes the user
+const patientScope = (userId) => organizationService.patientScopeFor(userId);
 
 // Create a new patient (authenticated)
 export const createPatient = async (req, res) => {
@@ -50,6 +65,7 @@ export const createPatient = async (req, res) => {
       notes: req.body.notes || "",
       userId: req.userId, // Keep for legacy compatibility
       createdBy: req.userId, // Add for new format
+      organizationId: await organizationService.organizationIdFor(req.userId),
     };
 
     const patient = new Patient(patientData);
@@ -70,27 +86,26 @@ export const getAllPatients = async (req, res) => {
     const { page = 1, limit = 50, search, condition } = req.query; // Increased default limit
     const skip = (page - 1) * limit;
 
-    // Build query
-    let query = { 
-      $or: [
-        { userId: req.userId }, // Old format
-        { createdBy: req.userId }, // New format
-      ]
-    };
+    // Build query; every condition is ANDed with the tenant scope
+    const conditions = [await patientScope(req.userId)];
 
     // Add search functionality
     if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { phone: { $regex: search, $options: "i" } },
-      ];
+      conditions.push({
+        $or: [
+          { name: { $regex: search, $options: "i" } },
+          { phone: { $regex: search, $options: "i" } },
+        ],
+      });
     }
 
     // Filter by condition
     if (condition) {
-      query.condition = condition;
+      conditions.push({ condition });
     }
 
+    const query = { $and: conditions };
+
     console.log("Query:", query); // Debug log
 
     // First get patients with basic info
@@ -170,10 +185,7 @@ export const getPatientById = async (req, res) => {
     // Support both old and new user field formats
     const patient = await Patient.findOne({
       _id: id,
-      $or: [
-        { userId: req.userId }, // Old format
-        { createdBy: req.userId }, // New format
-      ],
+      ...(await patientScope(req.userId)),
     }).populate({
       path: "documents",
       select:
@@ -202,11 +214,13 @@ export const getPatientById = async (req, res) => {
 export const updatePatient = async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    // Ownership and the care team are not updatable here; userId is the
+    // legacy owner field, so setting it would make a care team member owner
+    const { organizationId, createdBy, userId, careTeam, ...allowedUpdates } = req.body;
 
     const patient = await Patient.findOneAndUpdate(
-      { _id: id, userId: req.userId },
-      updates,
+      { _id: id, ...(await patientScope(req.userId)) },
+      allowedUpdates,
       { new: true, runValidators: true }
     );
 
@@ -229,9 +243,10 @@ export const deletePatient = async (req, res) => {
   try {
     const { id } = req.params;
 
+    // Care team members cannot delete the chart
     const patient = await Patient.findOneAndDelete({
       _id: id,
-      userId: req.userId,
+      ...(await tenantScope(req.userId)),
     });
 
     if (!patient) {
@@ -254,14 +269,15 @@ export const deletePatient = async (req, res) => {
 // Get patient statistics (authenticated)
 export const getPatientStats = async (req, res) => {
   try {
-    const userId = req.userId;
+    const scope = await tenantScope(req.userId);
+    const match = await organizationService.matchFor(req.userId, ["createdBy", "userId"]);
 
     // Get total count
-    const totalPatients = await Patient.countDocuments({ userId });
+    const totalPatients = await Patient.countDocuments(scope);
 
     // Get condition breakdown
     const conditionStats = await Patient.aggregate([
-      { $match: { userId: req.userId } },
+      { $match: match },
       { $group: { _id: "$condition", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
     ]);
@@ -271,13 +287,13 @@ export const getPatientStats = async (req, res) => {
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
     const recentPatients = await Patient.countDocuments({
-      userId,
+      ...scope,
       createdAt: { $gte: thirtyDaysAgo },
     });
 
     // Get gender breakdown
     const genderStats = await Patient.aggregate([
-      { $match: { userId: req.userId } },
+      { $match: match },
       { $group: { _id: "$gender", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
     ]);
@@ -316,12 +332,7 @@ export const searchPatients = async (req, res) => {
     // Search in both old and new patient fields and populate documents
     const patients = await Patient.find({
       $and: [
-        {
-          $or: [
-            { userId: req.userId }, // Old format
-            { createdBy: req.userId }, // New format
-          ],
-        },
+        await patientScope(req.userId),
         {
           $or: [
             { isActive: { $ne: false } }, // Include records where isActive is not false
@@ -388,17 +399,59 @@ export const getPatientSummary = async (req, res) => {
 export const getClinicalTimeline = async (req, res) => {
   try {
     const { id } = req.params;
-    const timeline = await PatientDataService.getClinicalTimeline(
+    const { types, from, to, cursor, limit } = req.query;
+    const { entries, nextCursor, hasMore } =
+      await PatientDataService.getClinicalTimeline(id, req.userId, {
+        types,
+        from,
+        to,
+        cursor,
+        limit,
+      });
+
+    res.json({
+      success: true,
+      timeline: entries,
+      pagination: { nextCursor, hasMore },
+    });
+  } catch (error) {
+    if (error.name === "ClinicalTimelineError") {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error("Error getting clinical timeline:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Get the source record behind a timeline entry (authenticated)
+export const getTimelineRecord = async (req, res) => {
+  try {
+    const { id, type, recordId } = req.params;
+    const record = await clinicalTimelineService.getRecord(
       id,
-      req.userId
+      req.userId,
+      type,
+      recordId
     );
 
     res.json({
       success: true,
-      timeline,
+      type,
+      record,
     });
   } catch (error) {
-    console.error("Error getting clinical timeline:", error);
+    if (error.name === "ClinicalTimelineError") {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error("Error getting timeline record:", error);
     res.status(500).json({ success: false, message: error.message });
   }
 };
@@ -473,10 +526,7 @@ export const fixPatientDocuments = async (req, res) => {
     // Find the patient
     const patient = await Patient.findOne({
       _id: id,
-      $or: [
-        { userId: req.userId }, // Old format
-        { createdBy: req.userId }, // New format
-      ],
+      ...(await patientScope(req.userId)),
     });
 
     if (!patient) {
@@ -571,6 +621,138 @@ export const fixPatientDocuments = async (req, res) => {
   }
 };
 
+// Export a patient as a FHIR R4 Bundle (authenticated)
+export const exportPatientFhir = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const patient = await Patient.findOne({
+      _id: id,
+      ...(await patientScope(req.userId)),
+    });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: "Patient not found",
+      });
+    }
+
+    const bundle = buildPatientBundle(patient);
+    res.type("application/fhir+json").json(bundle);
+  } catch (error) {
+    console.error("Error exporting patient to FHIR:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Create or update a patient from a FHIR R4 Bundle, matched on MRN (authenticated)
+export const importPatientFhir = async (req, res) => {
+  try {
+    const result = await importPatientBundle(req.body, req.userId);
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      created: result.created,
+      patient: result.patient,
+      imported: result.imported,
+      warnings: result.warnings,
+    });
+  } catch (error) {
+    console.error("Error importing FHIR bundle:", error);
+    if (error.name === "FHIRImportError") {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        issues: error.issues,
+      });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(422).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Add a clinician to the patient's care team (authenticated)
+export const addCareTeamMember = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, role } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid userId is required",
+      });
+    }
+
+    // Only the owning tenant manages the care team
+    const patient = await Patient.findOne({
+      _id: id,
+      ...(await tenantScope(req.userId)),
+    });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: "Patient not found",
+      });
+    }
+
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const existing = patient.careTeam.find(
+      (member) => String(member.userId) === String(userId)
+    );
+    if (existing) {
+      existing.role = role ?? existing.role;
+    } else {
+      patient.careTeam.push({ userId, role, addedBy: req.userId });
+    }
+    await patient.save();
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      careTeam: patient.careTeam,
+    });
+  } catch (error) {
+    console.error("Error adding care team member:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Remove a clinician from the patient's care team (authenticated)
+export const removeCareTeamMember = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const patient = await Patient.findOneAndUpdate(
+      { _id: id, ...(await tenantScope(req.userId)) },
+      { $pull: { careTeam: { userId } } },
+      { new: true }
+    );
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: "Patient not found",
+      });
+    }
+
+    res.json({ success: true, careTeam: patient.careTeam });
+  } catch (error) {
+    console.error("Error removing care team member:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 export default {
   createPatient,
   getAllPatients,
@@ -581,8 +763,13 @@ export default {
   searchPatients,
   getPatientSummary,
   getClinicalTimeline,
+  getTimelineRecord,
   getVisitHistory,
   associateDocument,
   getPatientDocuments,
   fixPatientDocuments,
+  exportPatientFhir,
+  importPatientFhir,
+  addCareTeamMember,
+  removeCareTeamMember,
 };
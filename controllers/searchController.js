@@ -0,0 +1,41 @@
+import searchService from "../services/searchService.js";
+import { resolvePermissionRole } from "../middleware/permissions.js";
+
+function sendError(res, error, context) {
+  if (error.name === "SearchError") {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ success: false, message: error.message });
+}
+
+// Search with ?q= and optional ?types=, ?patientId=, ?authorId=, ?from=,
+// ?to=, ?page= and ?limit=
+export const search = async (req, res) => {
+  try {
+    const role = await resolvePermissionRole(req);
+    const result = await searchService.search(req.userId, req.query, { role });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "searching");
+  }
+};
+
+// Rebuild the search index in the background
+export const reindex = async (req, res) => {
+  try {
+    const job = await searchService.reindex();
+    res.status(202).json({ success: true, message: "Search reindex queued", job });
+  } catch (error) {
+    sendError(res, error, "queueing search reindex");
+  }
+};
+
+export default {
+  search,
+  reindex,
+};
@@ -1,6 +1,7 @@
 import File from "../models/File.js";
 import fs from "fs";
-import azureOpenAIService from "../services/azureOpenAIService.js";
+import documentExtractionService from "../services/documentExtractionService.js";
+import documentRetrievalService from "../services/documentRetrievalService.js";
 
 // Controller for handling file uploads
 export const uploadFile = async (req, res) => {
@@ -11,23 +12,8 @@ export const uploadFile = async (req, res) => {
         .json({ success: false, message: "No file uploaded" });
     }
 
-    // Extract text content from the uploaded file
-    let extractedText = null;
-    let contentLength = 0;
-    
-    try {
-      console.log(`Extracting text from uploaded file: ${req.file.originalname}`);
-      extractedText = await azureOpenAIService.extractTextFromFile(req.file.path, req.file.mimetype);
-      contentLength = extractedText ? extractedText.length : 0;
-      console.log(`Successfully extracted ${contentLength} characters from ${req.file.originalname}`);
-    } catch (extractError) {
-      console.error(`Failed to extract text from ${req.file.originalname}:`, extractError.message);
-      // Continue with upload even if text extraction fails
-      extractedText = null;
-      contentLength = 0;
-    }
-
-    // Create a new file record in the database
+    // Create a new file record in the database; text is extracted by a
+    // background job that updates processingStatus as it goes
     const newFile = new File({
       filename: req.file.filename,
       originalname: req.file.originalname,
@@ -37,8 +23,6 @@ export const uploadFile = async (req, res) => {
       userId: req.userId, // From authentication middleware
       patientName: req.body.patientName || null,
       patientId: req.body.patientId || null,
-      extractedText: extractedText,
-      contentLength: contentLength,
     });
 
     await newFile.save();
@@ -47,65 +31,10 @@ export const uploadFile = async (req, res) => {
     const shouldAutoAnalyze =
       req.body.analyze === "true" || req.body.analyze === true;
 
-    if (shouldAutoAnalyze && extractedText && contentLength > 0) {
-      // Start analysis asynchronously
-      console.log(`Starting auto-analysis for file: ${newFile.originalname}`);
-
-      // Update status to processing
-      newFile.processingStatus = "processing";
-      newFile.processingStarted = new Date();
-
-      // Start analysis in background without blocking the response
-      setImmediate(async () => {
-        try {
-          // Import AI controller
-          const aiController = await import("./aiController.js");
-
-          // Create a mock request object for the analysis
-          const analysisReq = {
-            params: { fileId: newFile._id.toString() },
-            userId: req.userId,
-          };
-
-          // Create a mock response object that properly handles the response
-          const analysisRes = {
-            status: (code) => ({
-              json: async (data) => {
-                console.log(`Analysis response for ${newFile.originalname}:`, data);
-              }
-            }),
-          };
-
-          await aiController.analyzeFile(analysisReq, analysisRes);
-        } catch (error) {
-          console.error(`Auto-analysis failed for file ${newFile._id}:`, error);
-
-          // Update file status to failed
-          try {
-            const failedFile = await File.findById(newFile._id);
-            if (failedFile) {
-              failedFile.processingStatus = "failed";
-              failedFile.processingError =
-                error.message || "Auto-analysis failed";
-              failedFile.processingCompleted = new Date();
-              await failedFile.save();
-              console.log(
-                `File ${newFile.originalname} marked as failed due to error`
-              );
-            }
-          } catch (updateError) {
-            console.error("Error updating failed file status:", updateError);
-          }
-        }
-      });
-    } else if (shouldAutoAnalyze && (!extractedText || contentLength === 0)) {
-      // Mark as failed if text extraction failed but analysis was requested
-      newFile.processingStatus = "failed";
-      newFile.processingError = "Text extraction failed - no content available for analysis";
-      newFile.processingCompleted = new Date();
-      await newFile.save();
-      console.log(`File ${newFile.originalname} marked as failed due to text extraction failure`);
-    }
+    await documentExtractionService.enqueue(newFile._id, {
+      analyze: shouldAutoAnalyze,
+      userId: req.userId,
+    });
 
     // Return success response
     res.status(201).json({
@@ -117,8 +46,8 @@ export const uploadFile = async (req, res) => {
         originalname: newFile.originalname,
         mimetype: newFile.mimetype,
         size: newFile.size,
-        processingStatus: newFile.processingStatus,
-        contentLength: newFile.contentLength,
+        processingStatus: "pending",
+        extractionStatus: "queued",
         createdAt: newFile.createdAt,
       },
     });
@@ -152,6 +81,9 @@ export const getAllFiles = async (req, res) => {
         processingStarted: file.processingStarted,
         processingCompleted: file.processingCompleted,
         processingError: file.processingError,
+        extraction: file.extraction,
+        pages: file.pages,
+        contentLength: file.contentLength,
         patientName: file.patientName,
         patientId: file.patientId,
         // Include all AI analysis fields
@@ -204,6 +136,9 @@ export const getFileById = async (req, res) => {
         processingStarted: file.processingStarted,
         processingCompleted: file.processingCompleted,
         processingError: file.processingError,
+        extraction: file.extraction,
+        pages: file.pages,
+        contentLength: file.contentLength,
         patientName: file.patientName,
         patientId: file.patientId,
         // Include all AI analysis fields
@@ -330,6 +265,48 @@ export const updateFile = async (req, res) => {
   }
 };
 
+// Controller for re-running text extraction (e.g. after OCR is installed)
+export const extractFile = async (req, res) => {
+  try {
+    const file = await File.findOne({ _id: req.params.id, userId: req.userId });
+
+    if (!file) {
+      return res
+        .status(404)
+        .json({ success: false, message: "File not found" });
+    }
+
+    if (["queued", "running"].includes(file.extraction?.status)) {
+      return res.status(409).json({
+        success: false,
+        message: "Text extraction is already in progress",
+      });
+    }
+
+    await documentExtractionService.enqueue(file._id, {
+      analyze: req.body?.analyze === "true" || req.body?.analyze === true,
+      userId: req.userId,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Text extraction queued",
+      file: {
+        id: file._id,
+        processingStatus: "pending",
+        extractionStatus: "queued",
+      },
+    });
+  } catch (error) {
+    console.error("Error queueing text extraction:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error queueing text extraction",
+      error: error.message,
+    });
+  }
+};
+
 // Controller for deleting a file
 export const deleteFile = async (req, res) => {
   try {
@@ -348,6 +325,7 @@ export const deleteFile = async (req, res) => {
 
     // Delete the file record from the database
     await File.findByIdAndDelete(req.params.id);
+    await documentRetrievalService.removeSource("file", file._id);
 
     res
       .status(200)
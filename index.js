@@ -41,20 +41,26 @@ import uploadRoutes from "./routes/upload.js";
 import aiRoutes from "./routes/ai.js";
 import authRoutes from "./routes/auth.js";
 import patientsRoutes from "./routes/patients.js";
+import organizationRoutes from "./routes/organizations.js";
 import billingRoutes from "./routes/billing.js";
-import newNursingRoutes from "./nursing/routes/nursingRoutes.js";
-import trainingProgressRoutes from "./nursing/routes/trainingProgressRoutes.js";
-import dataIntegrationRoutes from "./nursing/routes/dataIntegrationRoutes.js";
-import taskManagementRoutes from "./nursing/routes/taskManagementRoutes.js";
-import riskManagementRoutes from "./nursing/routes/riskManagementRoutes.js";
-import oasisAssessmentRoutes from "./nursing/routes/oasisAssessmentRoutes.js";
+import nursingRoutes from "./routes/nursing.js";
 import validationMetricsRoutes from "./routes/validationMetrics.js";
 import doctorRoutes from "./routes/doctor.js";
 import healthRoutes from "./routes/health.js";
 import patientCommunicationRoutes from "./routes/patientCommunication.js";
+import jobRoutes from "./routes/jobs.js";
+import searchRoutes from "./routes/search.js";
 
 // import WebSocketManager from "./services/nursing/WebSocketManager.js"; // Temporarily disabled
 import PatientCommunicationWebSocket from "./services/patientCommunicationWebSocket.js";
+import DictationWebSocket from "./services/dictationWebSocket.js";
+import earlyWarningScoreService from "./services/nursing/EarlyWarningScoreService.js";
+import documentExtractionService from "./services/documentExtractionService.js";
+import jobScheduler from "./services/jobSchedulerService.js";
+import taskManagementService from "./nursing/services/taskManagementService.js";
+import searchService from "./services/searchService.js";
+import clinicalGuidelineLibrary from "./services/nursing/ClinicalGuidelineLibrary.js";
+import ResilienceKernel from "./services/nursing/ResilienceKernel.js";
 import { createServer } from "http";
 
 // Create Express app
@@ -71,6 +77,15 @@ patientCommWS.initialize(server);
 // Make WebSocket manager available to routes
 app.locals.patientCommWS = patientCommWS;
 
+// Streaming voice dictation with live SOAP structuring
+const dictationWS = new DictationWebSocket();
+dictationWS.initialize(server);
+app.locals.dictationWS = dictationWS;
+
+// Early warning alerts are pushed to care teams over the same socket
+earlyWarningScoreService.setNotifier(patientCommWS);
+taskManagementService.setNotifier(patientCommWS);
+
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -138,7 +153,7 @@ app.use('/api/auth', (req, res, next) => {
 });
 
 // Increase body parser limits for voice transcription
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({ limit: '50mb', type: ['application/json', 'application/fhir+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Session middleware for passport
@@ -166,15 +181,13 @@ app.use("/api/upload", uploadRoutes);
 app.use("/api/ai", aiRoutes);
 app.use("/api/doctor", doctorRoutes);
 app.use("/api/patients", patientsRoutes);
+app.use("/api/organizations", organizationRoutes);
 app.use("/api/billing", billingRoutes);
-app.use("/api/nursing", newNursingRoutes);
-app.use("/api/nursing/training-progress", trainingProgressRoutes);
-app.use("/api/nursing/data-integration", dataIntegrationRoutes);
-app.use("/api/nursing/task-management", taskManagementRoutes);
-app.use("/api/nursing/risk-management", riskManagementRoutes);
-app.use("/api/nursing/oasis-assessments", oasisAssessmentRoutes);
+app.use("/api/nursing", nursingRoutes);
 app.use("/api/patient-communication", patientCommunicationRoutes);
 app.use("/api/validation-metrics", validationMetricsRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/search", searchRoutes);
 
 app.use("/api/health", healthRoutes);
 
@@ -306,10 +319,25 @@ const startServer = async () => {
     
     if (dbConnected) {
       console.log("🚀 Starting server with database connection...");
+      earlyWarningScoreService.startEscalationMonitor();
+      taskManagementService.startBackgroundJobs();
+      searchService.startBackgroundJobs();
+      clinicalGuidelineLibrary.startBackgroundJobs();
+      documentExtractionService
+        .resumePending()
+        .catch((error) => console.error("❌ Could not resume text extraction jobs:", error.message));
     } else {
       console.log("⚠️  Starting server without database connection (fallback mode)...");
     }
 
+    // Instance jobs run without the database; cluster jobs wait for it
+    jobScheduler.start();
+
+    // Shared store for nursing service rate limits, circuit breakers and cache
+    ResilienceKernel.connect()
+      .then((backend) => console.log(`🛡️  Nursing resilience store: ${backend}`))
+      .catch((error) => console.error("❌ Nursing resilience store unavailable:", error.message));
+
     // Start the server
     server.listen(PORT, () => {
       console.log(`✅ Server is running on port ${PORT}`);
@@ -6,6 +6,12 @@ import User from "../models/User.js";
  * Verifies JWT token and attaches user to request object
  */
 export const authenticateToken = async (req, res, next) => {
+  // Already authenticated by an enclosing router (e.g. /api/nursing in front
+  // of its sub-routers)
+  if (req.authenticated) {
+    return next();
+  }
+
   try {
     // Extract token from Authorization header
     const authHeader = req.headers.authorization;
@@ -22,6 +28,7 @@ export const authenticateToken = async (req, res, next) => {
           subscriptions: []
         };
         req.userId = "68a49366faf7ae8a360e9b93";
+        req.authenticated = true;
         return next();
       } else {
         return res.status(401).json({
@@ -52,6 +59,7 @@ export const authenticateToken = async (req, res, next) => {
     // Attach user to request object
     req.user = user;
     req.userId = user._id.toString();
+    req.authenticated = true;
 
     next();
   } catch (error) {
@@ -0,0 +1,212 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import Patient from "../models/Patient.js";
+import securityComplianceService from "../services/nursing/SecurityComplianceService.js";
+import auditService from "../services/auditService.js";
+import organizationService from "../services/organizationService.js";
+
+// SecurityComplianceService roles by User.profession
+const PROFESSION_ROLES = {
+  nursing: "nurse",
+  "physical-therapy": "therapist",
+  "medical-provider": "doctor",
+  doctor: "doctor",
+};
+
+// Organization roles that replace the profession role; clinicians keep theirs
+const ORGANIZATION_ROLE_OVERRIDES = {
+  admin: "admin",
+  reviewer: "viewer",
+  billing: "billing",
+};
+
+const METHOD_ACTIONS = {
+  GET: "read",
+  HEAD: "read",
+  POST: "create",
+  PUT: "update",
+  PATCH: "update",
+  DELETE: "delete",
+};
+
+const requestContext = (req) => ({
+  userId: req.userId,
+  ipAddress: req.ip,
+  userAgent: req.get("user-agent"),
+  method: req.method,
+  path: req.originalUrl,
+});
+
+// Persist the denial; the in-memory security log is written by checkPermission
+const auditDenial = (req, action, resource, meta = {}) =>
+  auditService.logPermissionDenied(
+    mongoose.Types.ObjectId.isValid(String(req.userId)) ? req.userId : null,
+    action,
+    resource,
+    { ...requestContext(req), ...meta }
+  );
+
+const deny = (res, message) =>
+  res.status(403).json({
+    success: false,
+    error: {
+      code: "INSUFFICIENT_PERMISSIONS",
+      message,
+    },
+  });
+
+/**
+ * Role used for the permission matrix: the organization role for admins,
+ * reviewers and billing staff, otherwise the user's profession.
+ */
+export const resolvePermissionRole = async (req) => {
+  if (!req.permissionRole) {
+    const tenant = await organizationService.getTenant(req.userId);
+    req.permissionRole =
+      ORGANIZATION_ROLE_OVERRIDES[tenant.role] ||
+      PROFESSION_ROLES[req.user?.profession] ||
+      "clinician";
+  }
+  return req.permissionRole;
+};
+
+/**
+ * Resource/action authorization driven by SecurityComplianceService.checkPermission.
+ * The action defaults to the one implied by the HTTP method.
+ */
+export const authorize = (resource, action = null) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: "NO_USER",
+            message: "User not authenticated",
+          },
+        });
+      }
+
+      const requiredAction = action || METHOD_ACTIONS[req.method] || "read";
+      const role = await resolvePermissionRole(req);
+
+      if (
+        !securityComplianceService.checkPermission(
+          role,
+          resource,
+          requiredAction,
+          requestContext(req)
+        )
+      ) {
+        await auditDenial(req, requiredAction, resource, { role });
+        return deny(res, `Access denied. Role ${role} cannot ${requiredAction} ${resource}.`);
+      }
+
+      next();
+    } catch (error) {
+      console.error("Permission check error:", error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: "AUTHORIZATION_ERROR",
+          message: "Authorization check failed",
+        },
+      });
+    }
+  };
+};
+
+/**
+ * Gate for operations that span every tenant. Requires the system role on
+ * User.role; organization roles, including an organization's admin, do not
+ * qualify since any user can create an organization.
+ */
+export const requireSystemAdmin = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: "NO_USER",
+        message: "User not authenticated",
+      },
+    });
+  }
+  if (req.user.role !== "admin") {
+    await auditDenial(req, "manage", "system", { role: req.user.role || "user" });
+    return deny(res, "Access denied. System administrator privileges required.");
+  }
+  next();
+};
+
+/**
+ * Record-level check that the patient is in the user's tenant or that the
+ * user is on its care team. getPatientId is a route param name or a
+ * function of the request; with optional, requests naming no patient pass.
+ */
+export const authorizePatient = (getPatientId = "id", { optional = false } = {}) => {
+  const readId =
+    typeof getPatientId === "function"
+      ? getPatientId
+      : (req) => req.params[getPatientId];
+
+  return async (req, res, next) => {
+    try {
+      const patientId = readId(req);
+      if (!patientId && optional) return next();
+
+      const patient = mongoose.Types.ObjectId.isValid(String(patientId))
+        ? await Patient.findById(patientId)
+            .select("createdBy userId organizationId careTeam")
+            .lean()
+        : null;
+
+      if (!patient) {
+        discardUpload(req);
+        return res.status(404).json({
+          success: false,
+          message: "Patient not found",
+        });
+      }
+
+      if (!(await organizationService.canAccessPatient(patient, req.userId))) {
+        discardUpload(req);
+        securityComplianceService.logSecurityEvent("access_denied", {
+          ...requestContext(req),
+          resource: "patients",
+          patientId: String(patientId),
+          reason: "not_owner_or_care_team",
+        });
+        await auditDenial(req, METHOD_ACTIONS[req.method] || "read", "patients", {
+          patientId,
+          reason: "not_owner_or_care_team",
+        });
+        return deny(res, "Access denied. You are not on this patient's care team.");
+      }
+
+      req.patientRecord = patient;
+      next();
+    } catch (error) {
+      console.error("Patient access check error:", error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: "AUTHORIZATION_ERROR",
+          message: "Authorization check failed",
+        },
+      });
+    }
+  };
+};
+
+/**
+ * router.param() handler applying authorizePatient to a :patientId segment.
+ */
+export const patientParamAccess = (req, res, next, patientId) =>
+  authorizePatient(() => patientId)(req, res, next);
+
+// Multer has already written the file when a denied upload reaches us
+function discardUpload(req) {
+  if (req.file?.path) {
+    fs.unlink(req.file.path, () => {});
+  }
+}
@@ -15,6 +15,7 @@ const PLAN_FEATURES = {
     "nursing_assessments",
     "progress_tracking",
     "outcome_measures",
+    "patient_management",
   ],
   "nursing-annual": [
     "advanced_oasis_scoring",
@@ -25,6 +26,7 @@ const PLAN_FEATURES = {
     "nursing_assessments",
     "progress_tracking",
     "outcome_measures",
+    "patient_management",
   ],
   "nursing-professional": [
     "advanced_oasis_scoring",
@@ -35,6 +37,7 @@ const PLAN_FEATURES = {
     "nursing_assessments",
     "progress_tracking",
     "outcome_measures",
+    "patient_management",
   ],
 
   // Physical therapy plans
@@ -66,6 +69,7 @@ const NURSING_FEATURES = [
   "nursing_assessments",
   "progress_tracking",
   "outcome_measures",
+  "patient_management",
 ];
 
 /**
@@ -15,6 +15,12 @@ const AuditLogSchema = new mongoose.Schema({
   },
   metadata: { 
     type: Object 
+  },
+  entity: {
+    type: Object
+  },
+  meta: {
+    type: Object
   }
 }, { 
   timestamps: { 
@@ -24,5 +30,6 @@ const AuditLogSchema = new mongoose.Schema({
 });
 
 AuditLogSchema.index({ timestamp: -1 });
+AuditLogSchema.index({ action: 1, timestamp: -1 });
 
 export default mongoose.model('AuditLog', AuditLogSchema);
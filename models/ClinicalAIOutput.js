@@ -39,7 +39,20 @@ const ClinicalAIOutputSchema = new mongoose.Schema({
   },
   hallucinationFlags: [{ 
     reason: String, 
-    span: String 
+    span: String,
+    type: { 
+      type: String, 
+      enum: ["medication","dose","allergy","diagnosis","lab_value","date"] 
+    },
+    start: Number,
+    end: Number,
+    severity: { 
+      type: String, 
+      enum: ["critical","high","medium","low"], 
+      default: "medium" 
+    },
+    documentId: String,
+    sourceValues: [Number]
   }],
   createdBy: { 
     type: mongoose.Schema.Types.ObjectId, 
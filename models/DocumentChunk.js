@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+// A passage of a File's extracted text or a PatientDocument with its
+// embedding, kept by services/documentRetrievalService.js for retrieval in
+// AI chat and tasks
+const documentChunkSchema = new mongoose.Schema(
+  {
+    // "<sourceId>:<index>", cited by AI answers
+    chunkId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    sourceType: {
+      type: String,
+      enum: ["file", "patient_document"],
+      required: true,
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Files store patient IDs as strings, so both sources do here
+    patientId: {
+      type: String,
+      default: null,
+    },
+    // Owner of a File; files are only retrieved for their uploader
+    userId: {
+      type: String,
+      default: null,
+    },
+    title: String,
+    index: {
+      type: Number,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    pageNumber: {
+      type: Number,
+      default: null,
+    },
+    pageLabel: String,
+    // Offsets in the source text
+    start: Number,
+    end: Number,
+    // Hash of the source text; chunks are rebuilt when it changes
+    sourceHash: {
+      type: String,
+      required: true,
+    },
+    // "<provider>:<model>" that produced the embedding
+    embeddingModel: {
+      type: String,
+      required: true,
+    },
+    embedding: {
+      type: [Number],
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+documentChunkSchema.index({ patientId: 1, embeddingModel: 1 });
+documentChunkSchema.index({ sourceType: 1, sourceId: 1, index: 1 });
+
+export default mongoose.model("DocumentChunk", documentChunkSchema);
@@ -35,9 +35,11 @@ const fileSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // pending -> extracting -> extracted -> processing (AI analysis) -> completed;
+  // failed at any step
   processingStatus: {
     type: String,
-    enum: ["pending", "processing", "completed", "failed"],
+    enum: ["pending", "extracting", "extracted", "processing", "completed", "failed"],
     default: "pending",
   },
   processingStarted: {
@@ -69,6 +71,51 @@ const fileSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Where each page (PDF page, spreadsheet sheet) sits in extractedText, so
+  // AI output can cite a page
+  pages: [
+    {
+      _id: false,
+      pageNumber: Number,
+      label: String,
+      method: {
+        type: String,
+        enum: ["text", "ocr", "none"],
+      },
+      confidence: Number, // OCR only (0-1)
+      start: Number,
+      end: Number,
+    },
+  ],
+  // Background text extraction job (services/documentExtractionService.js)
+  extraction: {
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed", null],
+      default: null,
+    },
+    method: {
+      type: String,
+      enum: ["text", "ocr", "mixed", null],
+      default: null,
+    },
+    pageCount: Number,
+    ocrPageCount: Number,
+    ocrConfidence: Number,
+    warnings: [String],
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    analyzeWhenDone: {
+      type: Boolean,
+      default: false,
+    },
+    queuedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    error: String,
+  },
   // AI analysis results
   aiSummary: {
     type: Object,
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+export const LEXICON_CATEGORIES = [
+  "drug",
+  "abbreviation",
+  "anatomy",
+  "diagnosis",
+  "symptom",
+  "finding",
+  "procedure",
+  "lab",
+];
+
+// An agency's own addition to the built-in medical lexicon used to correct
+// voice transcripts (services/medicalLexiconService.js)
+const medicalLexiconTermSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Canonical spelling written into transcripts
+    term: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // Lowercased term, for uniqueness within the organization
+    normalizedTerm: {
+      type: String,
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: LEXICON_CATEGORIES,
+      required: true,
+    },
+    // Mishearings and alternate spellings replaced with the term
+    variants: [
+      {
+        type: String,
+        trim: true,
+        maxlength: 100,
+      },
+    ],
+    // Abbreviations only: the expansion written into transcripts
+    expansion: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    // Whether near-miss spellings of the term are corrected
+    fuzzy: {
+      type: Boolean,
+      default: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+medicalLexiconTermSchema.index(
+  { organizationId: 1, category: 1, normalizedTerm: 1 },
+  { unique: true }
+);
+
+medicalLexiconTermSchema.pre("validate", function (next) {
+  if (this.term) this.normalizedTerm = this.term.trim().toLowerCase();
+  next();
+});
+
+export default mongoose.model("MedicalLexiconTerm", medicalLexiconTermSchema);
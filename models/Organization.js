@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+
+export const ORGANIZATION_ROLES = ["admin", "clinician", "reviewer", "billing"];
+
+const memberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ORGANIZATION_ROLES,
+      required: true,
+      default: "clinician",
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { _id: false }
+);
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    required: true,
+  },
+  tokenHash: {
+    type: String, // sha256 of the token sent by email; the token itself is never stored
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "revoked"],
+    default: "pending",
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// An agency, practice or facility. Patients and clinical records carry an
+// organizationId, and every member sees the organization's records.
+// A user belongs to at most one organization.
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    type: {
+      type: String,
+      enum: ["home_health", "hospice", "hospital", "clinic", "skilled_nursing", "other"],
+      default: "home_health",
+    },
+    npi: {
+      type: String,
+      trim: true,
+    },
+    members: [memberSchema],
+    invitations: [invitationSchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+organizationSchema.index({ "members.userId": 1 });
+organizationSchema.index({ "invitations.tokenHash": 1 });
+
+organizationSchema.methods.getMember = function (userId) {
+  return this.members.find(
+    (member) => String(member.userId?._id || member.userId) === String(userId)
+  );
+};
+
+organizationSchema.methods.getAdminCount = function () {
+  return this.members.filter((member) => member.role === "admin").length;
+};
+
+export default mongoose.model("Organization", organizationSchema);
@@ -253,6 +253,34 @@ const patientSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Owning organization; members share the patient panel. null for
+    // patients of users not in an organization
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    // Clinicians outside the owning tenant who may view and update the chart
+    careTeam: [{
+      _id: false,
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      role: {
+        type: String,
+        trim: true,
+      },
+      addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
     isActive: {
       type: Boolean,
       default: true,
@@ -274,6 +302,8 @@ const patientSchema = new mongoose.Schema(
 patientSchema.index({ mrn: 1 });
 patientSchema.index({ "clinicalTimeline.date": 1 });
 patientSchema.index({ createdBy: 1 });
+patientSchema.index({ organizationId: 1, status: 1 });
+patientSchema.index({ "careTeam.userId": 1 });
 patientSchema.index({ status: 1 });
 patientSchema.index({ "demographics.name": 1 });
 
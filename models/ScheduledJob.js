@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+
+// A recurring or one-off job run by services/jobSchedulerService.js
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    // Function registered with jobScheduler.define()
+    handler: {
+      type: String,
+      required: true,
+    },
+    // cluster: one instance runs each occurrence (locked)
+    // instance: every instance runs it against its own in-process state
+    scope: {
+      type: String,
+      enum: ["cluster", "instance"],
+      default: "cluster",
+    },
+    // Five-field cron expression, evaluated in UTC
+    cron: {
+      type: String,
+      default: null,
+    },
+    // Fixed interval in milliseconds
+    every: {
+      type: Number,
+      default: null,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["scheduled", "running", "completed", "failed"],
+      default: "scheduled",
+    },
+    paused: {
+      type: Boolean,
+      default: false,
+    },
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    // Recurring jobs stop after this time
+    endAt: {
+      type: Date,
+      default: null,
+    },
+    // Instance jobs: "run now" requests each instance picks up
+    runRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    // First retry delay; doubles on each further attempt
+    backoffMs: {
+      type: Number,
+      default: 30000,
+    },
+    timeoutMs: {
+      type: Number,
+      default: 10 * 60 * 1000,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastRunAt: Date,
+    lastFinishedAt: Date,
+    lastDurationMs: Number,
+    lastStatus: {
+      type: String,
+      enum: ["succeeded", "failed", null],
+      default: null,
+    },
+    lastError: String,
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+    failCount: {
+      type: Number,
+      default: 0,
+    },
+    recentRuns: [
+      {
+        _id: false,
+        instance: String,
+        startedAt: Date,
+        finishedAt: Date,
+        durationMs: Number,
+        status: {
+          type: String,
+          enum: ["succeeded", "failed"],
+        },
+        error: String,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+scheduledJobSchema.index({ scope: 1, status: 1, paused: 1, nextRunAt: 1 });
+
+export default mongoose.model("ScheduledJob", scheduledJobSchema);
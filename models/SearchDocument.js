@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+export const SEARCH_TYPES = [
+  "patient",
+  "soap_note",
+  "oasis",
+  "document",
+  "transcript",
+  "communication",
+];
+
+// Searchable text of a clinical record, kept in sync by
+// services/searchService.js. This collection is the local search index and
+// the source for the Elasticsearch index when one is configured.
+const searchDocumentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: SEARCH_TYPES,
+      required: true,
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      default: null,
+    },
+    patientName: String,
+    // Access: members of the organization, or the owners when it is null
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    // Author of the record and owners of its patient
+    ownerIds: [String],
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    title: {
+      type: String,
+      default: "",
+    },
+    body: {
+      type: String,
+      default: "",
+    },
+    // Clinical date of the record (visit, assessment, upload, message)
+    date: Date,
+  },
+  { timestamps: true }
+);
+
+searchDocumentSchema.index({ type: 1, sourceId: 1 }, { unique: true });
+searchDocumentSchema.index({ organizationId: 1, date: -1 });
+searchDocumentSchema.index({ patientId: 1, date: -1 });
+searchDocumentSchema.index(
+  { title: "text", patientName: "text", body: "text" },
+  {
+    name: "search_text",
+    weights: { title: 5, patientName: 3, body: 1 },
+    default_language: "english",
+  }
+);
+
+export default mongoose.model("SearchDocument", searchDocumentSchema);
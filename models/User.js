@@ -84,6 +84,28 @@ const userSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Licensure level; students, LPNs and LVNs need a co-signature on
+    // signed clinical documentation. Set by a system administrator after
+    // verification (scripts/set-clinical-credential.js), never at signup.
+    clinicalCredential: {
+      type: String,
+      enum: [
+        "RN",
+        "LPN",
+        "LVN",
+        "NP",
+        "CNA",
+        "student",
+        "MD",
+        "DO",
+        "PA",
+        "PT",
+        "PTA",
+        "OT",
+        null,
+      ],
+      default: null,
+    },
     institution: {
       type: String,
       trim: true,
@@ -230,6 +252,14 @@ const userSchema = new mongoose.Schema(
       zipCode: String,
       country: { type: String, default: "US" },
     },
+    // System-wide role, separate from organization membership roles. "admin"
+    // administers cross-tenant operations (background jobs, search index) and
+    // is only granted with scripts/set-system-admin.js, never from a request.
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
     isEmailVerified: {
       type: Boolean,
       default: false,
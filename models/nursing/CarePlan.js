@@ -13,6 +13,12 @@ const CarePlanSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Owning organization; null for records of users not in one
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
     // Care Plan Details
     planName: {
       type: String,
@@ -468,6 +474,7 @@ const CarePlanSchema = new mongoose.Schema(
 // Indexes
 CarePlanSchema.index({ patientId: 1, status: 1 });
 CarePlanSchema.index({ userId: 1, createdAt: -1 });
+CarePlanSchema.index({ organizationId: 1, patientId: 1 });
 CarePlanSchema.index({ status: 1, "metadata.nextReviewDue": 1 });
 CarePlanSchema.index({ "goals.status": 1, "goals.targetDate": 1 });
 CarePlanSchema.index({
@@ -0,0 +1,137 @@
+import mongoose from "mongoose";
+
+// One version of a clinical guideline, imported from a Markdown/JSON package
+// by services/nursing/ClinicalGuidelineLibrary.js. Versions share a `key`;
+// the newest effective version is active and older ones are superseded.
+const recommendationSchema = new mongoose.Schema(
+  {
+    recommendationId: {
+      type: String,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    strength: {
+      type: String,
+      enum: ["strong", "moderate", "weak", "conditional", "consensus"],
+      required: true,
+    },
+    // As graded by the source, e.g. "Level A", "Class I, LOE B", "1C"
+    evidence: String,
+    urgency: {
+      type: String,
+      enum: ["immediate", "high", "moderate", "low"],
+      default: "moderate",
+    },
+    // Rule over assessment scores that triggers the recommendation in
+    // clinical decision support, e.g. "morse_score >= 45"
+    condition: String,
+    interventions: [String],
+  },
+  { _id: false }
+);
+
+const clinicalGuidelineSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    version: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    organization: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    publicationDate: {
+      type: Date,
+      required: true,
+    },
+    // When this version takes over from the previous one
+    effectiveDate: {
+      type: Date,
+      required: true,
+    },
+    url: String,
+    summary: String,
+    category: String,
+    // Conditions the guideline applies to; codes match by prefix, so
+    // "E11" covers "E11.9"
+    conditionCodes: [
+      {
+        system: {
+          type: String,
+          default: "ICD-10-CM",
+        },
+        code: {
+          type: String,
+          required: true,
+        },
+        display: String,
+        _id: false,
+      },
+    ],
+    // Other guideline keys this one replaces
+    replaces: [String],
+    sections: [
+      {
+        sectionId: {
+          type: String,
+          required: true,
+        },
+        title: {
+          type: String,
+          required: true,
+        },
+        text: String,
+        recommendations: [recommendationSchema],
+        _id: false,
+      },
+    ],
+
+    // pending: effective date not reached; superseded: a newer version or a
+    // replacing guideline is in effect; retired: withdrawn by an admin
+    status: {
+      type: String,
+      enum: ["pending", "active", "superseded", "retired"],
+      default: "pending",
+    },
+    supersededBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ClinicalGuideline",
+      default: null,
+    },
+    retiredAt: Date,
+    retiredReason: String,
+
+    package: String, // file the version was imported from
+    checksum: {
+      type: String, // sha256 of the guideline as imported
+      required: true,
+    },
+    importedBy: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+clinicalGuidelineSchema.index({ key: 1, version: 1 }, { unique: true });
+clinicalGuidelineSchema.index({ status: 1, key: 1 });
+clinicalGuidelineSchema.index({ "conditionCodes.code": 1, status: 1 });
+
+const ClinicalGuideline = mongoose.model("ClinicalGuideline", clinicalGuidelineSchema);
+
+export default ClinicalGuideline;
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// One drug pair from a DrugInteractionDataset. pairKey is the two drugIds
+// sorted and joined with "|", so a pair is stored once regardless of order.
+const drugInteractionSchema = new mongoose.Schema(
+  {
+    datasetVersion: {
+      type: String,
+      required: true,
+    },
+    pairKey: {
+      type: String,
+      required: true,
+    },
+    drugs: {
+      type: [String],
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: ["minor", "moderate", "major", "contraindicated"],
+      required: true,
+    },
+    mechanism: String,
+    clinicalEffect: String,
+    management: String,
+    evidence: {
+      type: String,
+      enum: ["theoretical", "case-report", "study", "established"],
+      default: "established",
+    },
+    references: [String],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+drugInteractionSchema.index({ datasetVersion: 1, pairKey: 1 }, { unique: true });
+
+const DrugInteraction = mongoose.model("DrugInteraction", drugInteractionSchema);
+
+export default DrugInteraction;
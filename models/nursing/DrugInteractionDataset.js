@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+
+// A versioned drug-interaction dataset imported from a file.
+// Drug concepts live here; interaction pairs are in DrugInteraction,
+// keyed by datasetVersion. Exactly one dataset is active at a time.
+const drugInteractionDatasetSchema = new mongoose.Schema(
+  {
+    version: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    source: {
+      type: String,
+      trim: true,
+    },
+    description: String,
+    checksum: {
+      type: String, // sha256 of the imported file contents
+      required: true,
+    },
+    active: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Drug concepts: every name and synonym normalises to drugId
+    drugs: [
+      {
+        drugId: {
+          type: String,
+          required: true,
+        },
+        name: {
+          type: String,
+          required: true,
+        },
+        synonyms: [String],
+        rxcui: String,
+        therapeuticClass: String,
+        _id: false,
+      },
+    ],
+
+    drugCount: {
+      type: Number,
+      default: 0,
+    },
+    interactionCount: {
+      type: Number,
+      default: 0,
+    },
+    importedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    importedBy: String,
+    activatedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+drugInteractionDatasetSchema.index({ active: 1 });
+
+const DrugInteractionDataset = mongoose.model(
+  "DrugInteractionDataset",
+  drugInteractionDatasetSchema
+);
+
+export default DrugInteractionDataset;
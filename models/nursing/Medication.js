@@ -13,6 +13,12 @@ const medicationSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Owning organization; null for records of users not in one
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
 
     // Medication Information
     medication: {
@@ -223,6 +229,9 @@ const medicationSchema = new mongoose.Schema(
             min: 0,
             max: 100,
           },
+          source: String,
+          datasetVersion: String, // DrugInteractionDataset that produced this entry
+          references: [String],
         },
       ],
       contraindications: [
@@ -429,6 +438,7 @@ const medicationSchema = new mongoose.Schema(
 // Indexes for performance
 medicationSchema.index({ patientId: 1, "administration.status": 1 });
 medicationSchema.index({ userId: 1, createdAt: -1 });
+medicationSchema.index({ organizationId: 1, patientId: 1 });
 medicationSchema.index({
   "medication.name": "text",
   "medication.genericName": "text",
@@ -534,12 +544,13 @@ medicationSchema.methods.generateSummary = function () {
 };
 
 // Static method to get medication statistics
+// scopeMatch is the caller's tenant $match (organizationService.matchFor)
 medicationSchema.statics.getMedicationStats = function (
-  userId,
+  scopeMatch,
   patientId = null
 ) {
-  const matchStage = { userId };
-  if (patientId) matchStage.patientId = patientId;
+  const matchStage = { ...scopeMatch };
+  if (patientId) matchStage.patientId = new mongoose.Types.ObjectId(patientId);
 
   return this.aggregate([
     { $match: matchStage },
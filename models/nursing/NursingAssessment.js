@@ -242,6 +242,41 @@ const nursingAssessmentSchema = new mongoose.Schema(
       },
     ],
 
+    // Standardized instrument scores (services/nursing/AssessmentScoringEngine.js)
+    instrumentScores: [
+      {
+        instrument: {
+          type: String,
+          required: true,
+        },
+        version: {
+          type: String,
+          required: true,
+        },
+        totalScore: Number,
+        minScore: Number,
+        maxScore: Number,
+        level: String,
+        label: String,
+        itemScores: mongoose.Schema.Types.Mixed,
+        responses: mongoose.Schema.Types.Mixed,
+        alerts: [
+          {
+            item: String,
+            severity: {
+              type: String,
+              enum: ["low", "medium", "high", "critical"],
+            },
+            message: String,
+          },
+        ],
+        scoredAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
     // AI Analysis and Clinical Decision Support
     aiAnalysis: {
       completenessScore: {
@@ -362,6 +397,11 @@ nursingAssessmentSchema.index({
   "aiAnalysis.riskAssessment.fallRisk.level": 1,
 });
 nursingAssessmentSchema.index({ assessmentType: 1, createdAt: -1 });
+nursingAssessmentSchema.index({
+  patientId: 1,
+  "instrumentScores.instrument": 1,
+  createdAt: -1,
+});
 
 // Virtual for assessment completion percentage
 nursingAssessmentSchema.virtual("completionPercentage").get(function () {
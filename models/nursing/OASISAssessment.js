@@ -13,6 +13,12 @@ const oasisAssessmentSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Owning organization; null for records of users not in one
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
 
     // Assessment Type and Episode Information
     assessmentType: {
@@ -266,6 +272,13 @@ const oasisAssessmentSchema = new mongoose.Schema(
         ref: "User",
       },
       confirmationNumber: String,
+      // 0 for the original submission, incremented on each resubmission
+      // and written to the CMS record as the correction number
+      correctionNumber: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
       errors: [String],
       warnings: [String],
       cmsResponse: mongoose.Schema.Types.Mixed,
@@ -292,6 +305,32 @@ const oasisAssessmentSchema = new mongoose.Schema(
       },
     ],
 
+    // Rendered reports (files live in OASIS_REPORTS_DIR, not in uploads/)
+    reports: [
+      {
+        reportId: {
+          type: String,
+          required: true,
+        },
+        format: {
+          type: String,
+          enum: ["pdf", "csv"],
+          required: true,
+        },
+        fileName: String,
+        size: Number,
+        checksum: String, // sha256 of the file contents
+        generatedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        generatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      },
+    ],
+
     // Metadata
     metadata: {
       startTime: Date,
@@ -312,6 +351,7 @@ const oasisAssessmentSchema = new mongoose.Schema(
 // Indexes for performance
 oasisAssessmentSchema.index({ patientId: 1, createdAt: -1 });
 oasisAssessmentSchema.index({ userId: 1, status: 1 });
+oasisAssessmentSchema.index({ organizationId: 1, patientId: 1 });
 oasisAssessmentSchema.index({ episodeId: 1 });
 oasisAssessmentSchema.index({ assessmentType: 1, createdAt: -1 });
 oasisAssessmentSchema.index({ "scoring.totalScore": -1 });
@@ -408,7 +448,8 @@ oasisAssessmentSchema.methods.validateCompleteness = function () {
 
 // Static method to get assessments by patient
 oasisAssessmentSchema.statics.getByPatient = function (patientId, options = {}) {
-  const query = { patientId };
+  // options.filter narrows the query, e.g. to the caller's organization
+  const query = { ...(options.filter || {}), patientId };
   
   return this.find(query)
     .populate("userId", "firstName lastName email")
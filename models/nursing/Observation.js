@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+
+export const OBSERVATION_TYPES = [
+  "blood_pressure",
+  "heart_rate",
+  "temperature",
+  "respiratory_rate",
+  "oxygen_saturation",
+  "weight",
+  "blood_glucose",
+  "pain",
+  "fall",
+  "incident",
+];
+
+export const OBSERVATION_SOURCES = ["manual", "device", "csv_import", "visit_record"];
+
+// One reading or event for a patient: a vital sign, a point-of-care
+// measurement, or a fall/incident report. Readings are append-only; a
+// mistaken entry is marked entered_in_error rather than deleted.
+const observationSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+    },
+    // The patient's organization when recorded
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    type: {
+      type: String,
+      enum: OBSERVATION_TYPES,
+      required: true,
+    },
+    observedAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Numeric readings; blood pressure uses systolic/diastolic instead
+    value: Number,
+    systolic: Number,
+    diastolic: Number,
+    unit: String,
+    // Body position for orthostatic blood pressure / heart rate pairs
+    position: {
+      type: String,
+      enum: ["lying", "sitting", "standing"],
+    },
+
+    // Falls and other incidents
+    incident: {
+      category: String, // e.g. fall, near_miss, medication_error, wound
+      severity: {
+        type: String,
+        enum: ["none", "minor", "moderate", "major", "death"],
+      },
+      injury: Boolean,
+      description: {
+        type: String,
+        maxlength: 2000,
+      },
+    },
+
+    notes: {
+      type: String,
+      maxlength: 2000,
+    },
+    source: {
+      type: String,
+      enum: OBSERVATION_SOURCES,
+      default: "manual",
+    },
+    // Originating record, e.g. the VisitRecord a reading was copied from
+    sourceRef: String,
+    status: {
+      type: String,
+      enum: ["final", "entered_in_error"],
+      default: "final",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+observationSchema.index({ patientId: 1, type: 1, observedAt: -1 });
+observationSchema.index({ patientId: 1, observedAt: -1 });
+// A visit record is copied at most once per reading type
+observationSchema.index(
+  { source: 1, sourceRef: 1, type: 1 },
+  { unique: true, partialFilterExpression: { sourceRef: { $type: "string" } } }
+);
+
+export default mongoose.model("Observation", observationSchema);
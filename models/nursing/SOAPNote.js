@@ -13,6 +13,12 @@ const soapNoteSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Owning organization; null for records of users not in one
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
     visitDate: {
       type: Date,
       required: true,
@@ -200,6 +206,8 @@ const soapNoteSchema = new mongoose.Schema(
         "completed",
         "reviewed",
         "signed",
+        "pending_cosignature",
+        "amended",
         "locked",
       ],
       default: "draft",
@@ -216,6 +224,9 @@ const soapNoteSchema = new mongoose.Schema(
         ref: "User",
       },
       signedAt: Date,
+      signerCredential: String,
+      // SHA-256 of the canonical S/O/A/P content at signing
+      contentHash: String,
       signatureHash: String,
       witnessedBy: {
         type: mongoose.Schema.Types.ObjectId,
@@ -224,6 +235,76 @@ const soapNoteSchema = new mongoose.Schema(
       ipAddress: String,
     },
 
+    // Co-signature by a supervising clinician (students, LPNs, LVNs)
+    cosignature: {
+      required: {
+        type: Boolean,
+        default: false,
+      },
+      requestedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      requestedAt: Date,
+      status: {
+        type: String,
+        enum: ["pending", "signed", null],
+        default: null,
+      },
+      signedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      signedAt: Date,
+      signerCredential: String,
+      previousHash: String,
+      signatureHash: String,
+      notes: String,
+      ipAddress: String,
+    },
+
+    // Addenda and amendments made after signing. Each entry is signed by
+    // its author and its hash chains to the entry before it (or to the
+    // original signature / co-signature).
+    amendments: [
+      {
+        sequence: {
+          type: Number,
+          required: true,
+        },
+        type: {
+          type: String,
+          enum: ["addendum", "amendment"],
+          required: true,
+        },
+        reason: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        text: String,
+        // Amendments only: each S/O/A/P path changed, with its prior value
+        changes: [
+          {
+            _id: false,
+            path: String,
+            value: mongoose.Schema.Types.Mixed,
+            previousValue: mongoose.Schema.Types.Mixed,
+          },
+        ],
+        contentHash: String,
+        previousHash: String,
+        signatureHash: String,
+        signedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        signerCredential: String,
+        signedAt: Date,
+        ipAddress: String,
+      },
+    ],
+
     // Version Control
     version: {
       type: Number,
@@ -292,10 +373,12 @@ const soapNoteSchema = new mongoose.Schema(
 // Indexes for performance
 soapNoteSchema.index({ patientId: 1, visitDate: -1 });
 soapNoteSchema.index({ userId: 1, status: 1 });
+soapNoteSchema.index({ organizationId: 1, patientId: 1 });
 soapNoteSchema.index({ visitDate: -1, status: 1 });
 soapNoteSchema.index({ template: 1, createdAt: -1 });
 soapNoteSchema.index({ "aiEnhancements.qualityScore": -1 });
 soapNoteSchema.index({ "signature.signed": 1, "signature.signedAt": -1 });
+soapNoteSchema.index({ "cosignature.requestedFrom": 1, "cosignature.status": 1 });
 
 // Virtual for note completeness
 soapNoteSchema.virtual("completeness").get(function () {
@@ -391,6 +474,14 @@ soapNoteSchema.methods.generateSummary = function () {
   };
 };
 
+// Instance method to calculate the quality score that gates signing: the
+// note's completeness, also kept on aiEnhancements.completenessScore
+soapNoteSchema.methods.calculateQualityScore = function () {
+  const score = this.completeness;
+  this.aiEnhancements.completenessScore = score;
+  return score;
+};
+
 // Instance method to validate required fields
 soapNoteSchema.methods.validateRequiredFields = function () {
   const errors = [];
@@ -2,6 +2,7 @@ import nursingAIService from '../services/aiService.js';
 import historyService from '../services/historyService.js';
 import riskAssessmentService from '../services/riskAssessmentService.js';
 import ClinicalAlert from '../models/ClinicalAlert.js';
+import earlyWarningScoreService from '../../services/nursing/EarlyWarningScoreService.js';
 import { validationResult } from 'express-validator';
 
 class ClinicalDecisionController {
@@ -917,9 +918,16 @@ class ClinicalDecisionController {
   }
 
   async acknowledgeClinicalAlert(userId, alertId, notes) {
-    // Acknowledge a clinical alert
-    console.log(`Alert ${alertId} acknowledged by user ${userId} with notes: ${notes}`);
-    return { success: true };
+    // Persisting the acknowledgement also stops early-warning re-escalation
+    try {
+      await earlyWarningScoreService.acknowledgeAlert(alertId, userId, notes);
+      return { success: true };
+    } catch (error) {
+      if (error.code === 'ALERT_NOT_FOUND') {
+        return { success: false };
+      }
+      throw error;
+    }
   }
 }
 
@@ -1,4 +1,5 @@
 import knowledgeTrainingService from '../services/knowledgeTrainingService.js';
+import clinicalGuidelineLibrary from '../../services/nursing/ClinicalGuidelineLibrary.js';
 
 class KnowledgeTrainingController {
   // Knowledge Base Controllers
@@ -581,6 +582,103 @@ class KnowledgeTrainingController {
       });
     }
   }
+
+  // Clinical Guideline Controllers
+  async listGuidelines(req, res) {
+    try {
+      const { status, key, code } = req.query;
+      const guidelines = await clinicalGuidelineLibrary.list({ status, key, code });
+      res.json({
+        success: true,
+        data: guidelines
+      });
+    } catch (error) {
+      sendGuidelineError(res, error, 'listGuidelines');
+    }
+  }
+
+  async getGuideline(req, res) {
+    try {
+      const guideline = await clinicalGuidelineLibrary.get(req.params.guidelineId);
+      res.json({
+        success: true,
+        data: guideline
+      });
+    } catch (error) {
+      sendGuidelineError(res, error, 'getGuideline');
+    }
+  }
+
+  async getGuidelineVersions(req, res) {
+    try {
+      const versions = await clinicalGuidelineLibrary.versions(req.params.key);
+      res.json({
+        success: true,
+        data: versions
+      });
+    } catch (error) {
+      sendGuidelineError(res, error, 'getGuidelineVersions');
+    }
+  }
+
+  // Markdown or JSON guideline package, uploaded as `package`
+  async importGuidelines(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'A guideline package file is required'
+        });
+      }
+
+      const results = await clinicalGuidelineLibrary.importPackage(
+        req.file.buffer.toString('utf8'),
+        req.file.originalname,
+        { importedBy: String(req.user._id || req.user.id) }
+      );
+      const imported = results.filter((result) => result.imported).length;
+
+      res.status(imported ? 201 : 200).json({
+        success: true,
+        message: `${imported} guideline version(s) imported, ${results.length - imported} unchanged`,
+        data: results
+      });
+    } catch (error) {
+      sendGuidelineError(res, error, 'importGuidelines');
+    }
+  }
+
+  async retireGuideline(req, res) {
+    try {
+      const guideline = await clinicalGuidelineLibrary.retire(req.params.guidelineId, {
+        reason: req.body?.reason,
+        retiredBy: String(req.user._id || req.user.id)
+      });
+      res.json({
+        success: true,
+        message: 'Guideline retired successfully',
+        data: guideline
+      });
+    } catch (error) {
+      sendGuidelineError(res, error, 'retireGuideline');
+    }
+  }
+}
+
+// Guideline library errors carry their own status; anything else is a 500
+function sendGuidelineError(res, error, action) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+  }
+  console.error(`Error in ${action} controller:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error'
+  });
 }
 
 export default new KnowledgeTrainingController();
@@ -18,7 +18,8 @@ class TaskManagementController {
         res.status(201).json({
           success: true,
           message: 'Task created successfully',
-          data: result.data
+          data: result.data,
+          upcoming: result.upcoming
         });
       } else {
         res.status(400).json({
@@ -194,7 +195,8 @@ class TaskManagementController {
         res.json({
           success: true,
           message: 'Task completed successfully',
-          data: result.data
+          data: result.data,
+          upcoming: result.upcoming
         });
       } else {
         res.status(404).json({
@@ -2,6 +2,7 @@ import workflowAutomationService from '../services/workflowAutomationService.js'
 import historyService from '../services/historyService.js';
 import nursingAIService from '../services/aiService.js';
 import voiceTranscriptionHistoryService from '../services/voiceTranscriptionHistoryService.js';
+import organizationService from '../../services/organizationService.js';
 import { validationResult } from 'express-validator';
 
 class WorkflowAutomationController {
@@ -48,7 +49,8 @@ class WorkflowAutomationController {
       const result = await workflowAutomationService.processVoiceTranscription(
         audioData,
         patientContext,
-        context
+        context,
+        { organizationId: await organizationService.organizationIdFor(userId) }
       );
       console.log('✅ Voice transcription processed:', result.success);
 
@@ -67,6 +69,8 @@ class WorkflowAutomationController {
         audioSize,
         audioDuration,
         transcriptionText: result.transcriptionText || result.structuredDocumentation?.rawResponse || 'Voice transcription processed successfully',
+        originalText: result.originalText,
+        corrections: result.corrections,
         structuredDocumentation: result.structuredDocumentation,
         processingTime: result.processingTime,
         confidence: result.confidence,
@@ -130,6 +134,8 @@ class WorkflowAutomationController {
           patientId,
           transcriptionId: saveResult.data?._id,
           sessionId: transcriptionData.sessionId,
+          transcriptionText: transcriptionData.transcriptionText,
+          corrections: result.corrections,
           structuredDocumentation: result.structuredDocumentation,
           timestamp: result.timestamp
         }
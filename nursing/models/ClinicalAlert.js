@@ -75,6 +75,32 @@ const clinicalAlertSchema = new mongoose.Schema({
     default: null
   },
   
+  // Care team members notified; they see the alert alongside its author
+  recipients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // Early warning score escalation (NEWS2 / MEWS)
+  escalation: {
+    system: {
+      type: String,
+      enum: ['NEWS2', 'MEWS']
+    },
+    score: Number,
+    level: {
+      type: String,
+      enum: ['low', 'low-medium', 'medium', 'high']
+    },
+    requiredResponseMinutes: Number,
+    respondBy: Date,
+    escalationCount: {
+      type: Number,
+      default: 0
+    },
+    lastEscalatedAt: Date
+  },
+  
   // Metadata
   metadata: {
     confidence: {
@@ -110,6 +136,8 @@ clinicalAlertSchema.index({ userId: 1, acknowledged: 1, createdAt: -1 });
 clinicalAlertSchema.index({ type: 1, severity: 1, acknowledged: 1 });
 clinicalAlertSchema.index({ createdAt: -1 });
 clinicalAlertSchema.index({ expiresAt: 1 });
+clinicalAlertSchema.index({ recipients: 1, acknowledged: 1, createdAt: -1 });
+clinicalAlertSchema.index({ acknowledged: 1, 'escalation.respondBy': 1 });
 
 // Virtual for formatted timestamp
 clinicalAlertSchema.virtual('timestamp').get(function() {
@@ -129,11 +157,10 @@ clinicalAlertSchema.methods.acknowledge = function(userId, notes = '') {
 clinicalAlertSchema.statics.getActiveAlerts = function(patientId, userId) {
   return this.find({
     patientId,
-    userId,
     acknowledged: false,
-    $or: [
-      { expiresAt: null },
-      { expiresAt: { $gt: new Date() } }
+    $and: [
+      { $or: [{ userId }, { recipients: userId }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] }
     ]
   }).sort({ createdAt: -1 });
 };
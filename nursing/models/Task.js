@@ -115,10 +115,23 @@ const taskSchema = new mongoose.Schema({
     max: 365,
     default: 1
   },
+  // RRULE for the 'custom' pattern, e.g. FREQ=WEEKLY;BYDAY=MO,TH;COUNT=8
+  // (see nursing/services/taskRecurrence.js)
+  recurrenceRule: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // First task of the series; unset on the first task itself
   parentTaskId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Task'
   },
+  // Position in the series, from 1
+  occurrence: {
+    type: Number,
+    min: 1
+  },
   
   // Dependencies
   dependencies: [{
@@ -186,6 +199,11 @@ const taskSchema = new mongoose.Schema({
     sentAt: {
       type: Date
     },
+    // Channels that accepted the reminder when it was sent
+    deliveredVia: [{
+      type: String,
+      enum: ['websocket', 'email']
+    }],
     isRead: {
       type: Boolean,
       default: false
@@ -212,6 +230,12 @@ taskSchema.index({ dueDate: 1, status: 1 });
 taskSchema.index({ assignedTo: 1, status: 1 });
 taskSchema.index({ category: 1, priority: 1 });
 taskSchema.index({ createdAt: -1 });
+taskSchema.index({ 'notifications.sentAt': 1, 'notifications.scheduledFor': 1 });
+// One task per series position, so concurrent roll-forwards cannot duplicate
+taskSchema.index(
+  { parentTaskId: 1, occurrence: 1 },
+  { unique: true, partialFilterExpression: { parentTaskId: { $exists: true } } }
+);
 
 // Pre-save middleware
 taskSchema.pre('save', function(next) {
@@ -32,6 +32,23 @@ const voiceTranscriptionHistorySchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Recognizer output before medical lexicon corrections
+  originalText: {
+    type: String,
+    required: false
+  },
+  // What the medical lexicon changed, so nurses can review it
+  corrections: [{
+    _id: false,
+    original: String,
+    corrected: String,
+    type: {
+      type: String,
+      enum: ['mishearing', 'fuzzy_match', 'abbreviation_expansion', 'dosage_standardization']
+    },
+    category: String,
+    confidence: Number
+  }],
   structuredDocumentation: {
     type: mongoose.Schema.Types.Mixed,
     required: false
@@ -1,9 +1,13 @@
 import express from 'express';
 import dataIntegrationController, { uploadMiddleware } from '../controllers/dataIntegrationController.js';
 import { authenticateToken } from '../../middleware/auth.js';
+import { patientParamAccess } from '../../middleware/permissions.js';
 
 const router = express.Router();
 
+// Routes naming a patient are limited to the user's tenant and care teams
+router.param('patientId', patientParamAccess);
+
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
 
@@ -1,9 +1,13 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import historyService from '../services/historyService.js';
+import { patientParamAccess } from '../../middleware/permissions.js';
 
 const router = express.Router();
 
+// Routes naming a patient are limited to the user's tenant and care teams
+router.param('patientId', patientParamAccess);
+
 // Middleware to validate request
 const validateRequest = (req, res, next) => {
   const errors = validationResult(req);
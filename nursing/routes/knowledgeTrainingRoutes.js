@@ -1,9 +1,27 @@
 import express from 'express';
+import multer from 'multer';
 import knowledgeTrainingController from '../controllers/knowledgeTrainingController.js';
 import { authenticateToken } from '../../middleware/auth.js';
+import { patientParamAccess, requireSystemAdmin } from '../../middleware/permissions.js';
 
 const router = express.Router();
 
+// Routes naming a patient are limited to the user's tenant and care teams
+router.param('patientId', patientParamAccess);
+
+// Guideline packages are parsed in memory
+const guidelineUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(md|markdown|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Guideline packages must be Markdown (.md) or JSON (.json) files'), false);
+    }
+  }
+});
+
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
 
@@ -22,6 +40,15 @@ router.get('/training/popular', knowledgeTrainingController.getPopularTraining);
 router.get('/training/category/:category', knowledgeTrainingController.getTrainingByCategory);
 router.get('/training/:trainingId', knowledgeTrainingController.getTrainingModule);
 
+// Clinical Guideline Routes
+// The guideline library is shared by every tenant, so only system
+// administrators import or retire guidelines
+router.get('/guidelines', knowledgeTrainingController.listGuidelines);
+router.post('/guidelines/import', requireSystemAdmin, guidelineUpload.single('package'), knowledgeTrainingController.importGuidelines);
+router.get('/guidelines/key/:key/versions', knowledgeTrainingController.getGuidelineVersions);
+router.get('/guidelines/:guidelineId', knowledgeTrainingController.getGuideline);
+router.post('/guidelines/:guidelineId/retire', requireSystemAdmin, knowledgeTrainingController.retireGuideline);
+
 // Patient Knowledge Context Routes
 router.get('/patient/:patientId/context', knowledgeTrainingController.getPatientKnowledgeContext);
 router.post('/patient/:patientId/analyze-document', knowledgeTrainingController.analyzePatientDocument);
@@ -31,8 +58,4 @@ router.put('/patient/:patientId/training/:trainingId/progress', knowledgeTrainin
 router.get('/patient/:patientId/analytics', knowledgeTrainingController.getPatientLearningAnalytics);
 router.put('/patient/:patientId/care-plan', knowledgeTrainingController.updateCarePlanIntegration);
 
-// Create new content routes
-router.post('/training', knowledgeTrainingController.createTrainingModule);
-router.post('/knowledge', knowledgeTrainingController.createKnowledgeArticle);
-
 export default router;
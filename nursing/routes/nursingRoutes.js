@@ -1,6 +1,8 @@
 import express from 'express';
 import { body, param, query } from 'express-validator';
 import { authenticateToken } from '../../middleware/auth.js';
+import { patientParamAccess } from '../../middleware/permissions.js';
+import { validateNursingFeature } from '../../middleware/planValidation.js';
 import clinicalDecisionController from '../controllers/clinicalDecisionController.js';
 import workflowAutomationController from '../controllers/workflowAutomationController.js';
 import templateController from '../controllers/templateController.js';
@@ -18,6 +20,9 @@ import knowledgeTrainingRoutes from './knowledgeTrainingRoutes.js';
 
 const router = express.Router();
 
+// Routes naming a patient are limited to the user's tenant and care teams
+router.param('patientId', patientParamAccess);
+
 // Health check endpoint (no authentication required)
 router.get('/health', (req, res) => {
   res.json({
@@ -72,6 +77,7 @@ const requireNursingAccess = (req, res, next) => {
 // Clinical Decision Support Routes
 router.post('/clinical-decision',
   authenticateToken,
+  validateNursingFeature('clinical_decision_support'),
   [
     body('patientId').isString().notEmpty().withMessage('Patient ID is required'),
     body('query').isString().notEmpty().withMessage('Clinical query is required'),
@@ -82,6 +88,7 @@ router.post('/clinical-decision',
 
 router.post('/risk-assessment',
   authenticateToken,
+  validateNursingFeature('clinical_decision_support'),
   [
     body('patientId').isString().notEmpty().withMessage('Patient ID is required'),
     body('includeVitalSigns').optional().isBoolean().withMessage('Include vital signs must be a boolean'),
@@ -92,6 +99,7 @@ router.post('/risk-assessment',
 
 router.post('/vital-signs-analysis',
   authenticateToken,
+  validateNursingFeature('clinical_decision_support'),
   [
     body('patientId').isString().notEmpty().withMessage('Patient ID is required'),
     body('vitalSigns').isObject().withMessage('Vital signs data is required'),
@@ -102,6 +110,7 @@ router.post('/vital-signs-analysis',
 
 router.post('/medication-analysis',
   authenticateToken,
+  validateNursingFeature('clinical_decision_support'),
   [
     body('patientId').isString().notEmpty().withMessage('Patient ID is required'),
     body('medications').isArray().withMessage('Medications must be an array')
@@ -111,6 +120,7 @@ router.post('/medication-analysis',
 
 router.get('/clinical-alerts/:patientId',
   authenticateToken,
+  validateNursingFeature('clinical_decision_support'),
   [
     param('patientId').isString().notEmpty().withMessage('Patient ID is required')
   ],
@@ -119,6 +129,7 @@ router.get('/clinical-alerts/:patientId',
 
 router.get('/clinical-history/:patientId',
   authenticateToken,
+  validateNursingFeature('clinical_decision_support'),
   [
     param('patientId').isString().notEmpty().withMessage('Patient ID is required'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
@@ -129,6 +140,7 @@ router.get('/clinical-history/:patientId',
 
 router.put('/clinical-alerts/:alertId/acknowledge',
   authenticateToken,
+  validateNursingFeature('clinical_decision_support'),
   [
     param('alertId').isString().notEmpty().withMessage('Alert ID is required'),
     body('notes').optional().isString().withMessage('Notes must be a string')
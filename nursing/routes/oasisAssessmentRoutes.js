@@ -1,6 +1,7 @@
 import express from 'express';
 import { body, param, query } from 'express-validator';
 import { authenticateToken } from '../../middleware/auth.js';
+import { patientParamAccess } from '../../middleware/permissions.js';
 import {
   createOASISAssessment,
   getOASISAssessments,
@@ -13,6 +14,9 @@ import {
 
 const router = express.Router();
 
+// Routes naming a patient are limited to the user's tenant and care teams
+router.param('patientId', patientParamAccess);
+
 // Create a new OASIS assessment
 router.post('/',
   authenticateToken,
@@ -36,6 +40,17 @@ router.get('/patient/:patientId',
   getOASISAssessments
 );
 
+// Get OASIS assessment statistics (before /:assessmentId)
+router.get('/stats',
+  authenticateToken,
+  [
+    query('patientId').optional().isMongoId().withMessage('Valid patient ID is required'),
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date')
+  ],
+  getOASISAssessmentStats
+);
+
 // Get a specific OASIS assessment
 router.get('/:assessmentId',
   authenticateToken,
@@ -77,15 +92,4 @@ router.delete('/:assessmentId',
   deleteOASISAssessment
 );
 
-// Get OASIS assessment statistics
-router.get('/stats',
-  authenticateToken,
-  [
-    query('patientId').optional().isMongoId().withMessage('Valid patient ID is required'),
-    query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
-    query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date')
-  ],
-  getOASISAssessmentStats
-);
-
 export default router;
@@ -12,9 +12,13 @@ import {
   deleteAlert
 } from '../controllers/riskManagementController.js';
 import { authenticateToken } from '../../middleware/auth.js';
+import { patientParamAccess } from '../../middleware/permissions.js';
 
 const router = express.Router();
 
+// Routes naming a patient are limited to the user's tenant and care teams
+router.param('patientId', patientParamAccess);
+
 // Risk Management Routes
 router.post('/risks', authenticateToken, createRisk);
 router.get('/risks', authenticateToken, getRisks);
@@ -1,5 +1,6 @@
 import DataIntegration from '../models/DataIntegration.js';
 import azureOpenAIService from '../../services/azureOpenAIService.js';
+import documentExtractionService from '../../services/documentExtractionService.js';
 import fs from 'fs';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
@@ -416,8 +417,18 @@ class DataIntegrationService {
           mimeType: file.mimeType,
           fileName: file.originalName
         };
+      } else if (documentExtractionService.detectFormat(file.mimeType, file.originalName)) {
+        // PDFs (OCR for scanned pages), Word, spreadsheets and images
+        const extracted = await documentExtractionService.extractFile(filePath, file.mimeType, file.originalName);
+        return {
+          content: extracted.text,
+          pages: extracted.pages,
+          extractionMethod: extracted.method,
+          mimeType: file.mimeType,
+          fileName: file.originalName
+        };
       } else {
-        // For binary files (PDF, images, etc.), read as buffer and convert to base64
+        // Other binary files are analyzed from their metadata only
         const buffer = fs.readFileSync(filePath);
         const content = buffer.toString('base64');
         return {
@@ -469,6 +480,7 @@ class DataIntegrationService {
         // For text files, use Azure OpenAI analysis
         try {
           const azureAnalysis = await this.azureOpenAI.analyzeDocument(file.filePath, file.mimeType, {
+            extractedText: fileContent.content,
             analysisType: 'comprehensive',
             includeRecommendations: true,
             includeRiskAssessment: true,
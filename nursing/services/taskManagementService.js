@@ -1,26 +1,66 @@
 import Task from '../models/Task.js';
 import { analyzeDocumentWithAI, generateKnowledgeRecommendations } from '../../services/aiService.js';
 import azureOpenAIService from '../../services/azureOpenAIService.js';
+import emailService from '../../services/emailService.js';
+import jobScheduler from '../../services/jobSchedulerService.js';
+import User from '../../models/User.js';
+import { occurrences, ruleForTask } from './taskRecurrence.js';
+
+const OPEN_STATUSES = ['todo', 'in_progress', 'review'];
+const RECURRENCE_FIELDS = ['isRecurring', 'recurringPattern', 'recurringInterval', 'recurrenceRule'];
+// Recurring tasks are created this far ahead of their due date
+const RECURRENCE_HORIZON_MS = (parseInt(process.env.TASK_RECURRENCE_HORIZON_DAYS) || 7) * 24 * 60 * 60 * 1000;
+// due_soon reminders are sent this long before the due date
+const REMINDER_LEAD_MS = (parseInt(process.env.TASK_REMINDER_LEAD_MINUTES) || 60) * 60 * 1000;
+const REMINDER_EMAILS = process.env.TASK_REMINDER_EMAILS !== 'false';
+const EMAIL_REMINDER_TYPES = ['reminder', 'due_soon', 'overdue'];
+const REMINDER_BATCH_SIZE = 200;
+const USER_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// Reminders go to the assignee; assignedTo is free text, so anything that is
+// not a user id falls back to the task's creator
+const reminderRecipient = (task) =>
+  USER_ID_PATTERN.test(String(task.assignedTo ?? '').trim())
+    ? String(task.assignedTo).trim()
+    : String(task.userId);
 
 class TaskManagementService {
   constructor() {
     this.azureOpenAI = azureOpenAIService;
+    this.notifier = null;
+  }
+
+  /**
+   * WebSocket layer used to push reminders; anything with sendToUser(userId, message).
+   */
+  setNotifier(notifier) {
+    this.notifier = notifier;
   }
 
   // Task CRUD Operations
   async createTask(taskData) {
     try {
       const task = new Task(taskData);
+      if (task.isRecurring) {
+        // A new recurring task starts its own series
+        ruleForTask(task);
+        task.parentTaskId = undefined;
+        task.occurrence = 1;
+      }
+      task.notifications.push(...this.buildReminders(task));
       await task.save();
       
       // Generate AI analysis if enabled
       if (taskData.settings?.autoPrioritization) {
         await this.analyzeTaskWithAI(task._id);
       }
+
+      const upcoming = task.isRecurring ? await this.materializeSeries(task) : [];
       
       return {
         success: true,
-        data: task
+        data: task,
+        upcoming
       };
     } catch (error) {
       console.error('Error creating task:', error);
@@ -95,6 +135,12 @@ class TaskManagementService {
 
   async updateTask(taskId, updateData) {
     try {
+      if (RECURRENCE_FIELDS.some((field) => field in updateData)) {
+        const current = await Task.findById(taskId).lean();
+        const merged = { ...current, ...updateData };
+        if (current && merged.isRecurring) ruleForTask(merged);
+      }
+
       const task = await Task.findByIdAndUpdate(
         taskId,
         { ...updateData, updatedAt: new Date() },
@@ -107,6 +153,12 @@ class TaskManagementService {
           error: 'Task not found'
         };
       }
+
+      // Reminders follow the due date
+      if ('dueDate' in updateData || 'title' in updateData) {
+        this.refreshReminders(task);
+        await task.save();
+      }
       
       return {
         success: true,
@@ -371,10 +423,18 @@ class TaskManagementService {
       }
       
       await task.complete(completedBy);
+
+      // Roll a recurring series forward so its next task exists
+      let upcoming = [];
+      if (task.isRecurring) {
+        const root = task.parentTaskId ? await Task.findById(task.parentTaskId) : task;
+        upcoming = await this.materializeSeries(root);
+      }
       
       return {
         success: true,
-        data: task
+        data: task,
+        upcoming
       };
     } catch (error) {
       console.error('Error completing task:', error);
@@ -421,17 +481,20 @@ class TaskManagementService {
       // Generate system notifications based on task status
       const systemNotifications = this.generateSystemNotifications(tasks);
       
-      // Get task-based notifications
+      // Get task-based notifications; reminders appear once they are due
+      const now = new Date();
       const taskNotifications = tasks.flatMap(task => 
-        task.notifications.map(notification => ({
-          ...notification.toObject(),
-          taskId: task._id,
-          taskTitle: task.title,
-          taskStatus: task.status,
-          taskDueDate: task.dueDate,
-          taskPriority: task.priority,
-          taskCategory: task.category
-        }))
+        task.notifications
+          .filter(notification => notification.sentAt || notification.scheduledFor <= now)
+          .map(notification => ({
+            ...notification.toObject(),
+            taskId: task._id,
+            taskTitle: task.title,
+            taskStatus: task.status,
+            taskDueDate: task.dueDate,
+            taskPriority: task.priority,
+            taskCategory: task.category
+          }))
       );
       
       // Combine and sort all notifications
@@ -601,6 +664,203 @@ class TaskManagementService {
     }
   }
 
+  // Recurring tasks and reminders
+
+  /**
+   * due_soon and overdue reminders for an open task, to be delivered by
+   * deliverDueReminders at their scheduledFor time
+   */
+  buildReminders(task) {
+    if (!task.dueDate || !OPEN_STATUSES.includes(task.status || 'todo')) return [];
+    const dueDate = new Date(task.dueDate);
+    return [
+      {
+        type: 'due_soon',
+        message: `${task.title} is due at ${dueDate.toISOString()}`,
+        scheduledFor: new Date(dueDate.getTime() - REMINDER_LEAD_MS)
+      },
+      {
+        type: 'overdue',
+        message: `${task.title} is overdue`,
+        scheduledFor: dueDate
+      }
+    ];
+  }
+
+  // Replace unsent due_soon/overdue reminders after the task changed
+  refreshReminders(task) {
+    const kept = task.notifications.filter(
+      (notification) => notification.sentAt || !['due_soon', 'overdue'].includes(notification.type)
+    );
+    task.notifications = [...kept, ...this.buildReminders(task)];
+  }
+
+  buildOccurrence(root, dueDate, occurrence) {
+    const task = {
+      title: root.title,
+      description: root.description,
+      patientId: root.patientId,
+      userId: root.userId,
+      category: root.category,
+      priority: root.priority,
+      estimatedDuration: root.estimatedDuration,
+      assignedTo: root.assignedTo,
+      assignedBy: root.assignedBy,
+      tags: root.tags,
+      isRecurring: true,
+      recurringPattern: root.recurringPattern,
+      recurringInterval: root.recurringInterval,
+      recurrenceRule: root.recurrenceRule,
+      parentTaskId: root._id,
+      occurrence,
+      dueDate,
+      status: 'todo'
+    };
+    task.notifications = this.buildReminders(task);
+    return task;
+  }
+
+  /**
+   * Create the series' tasks due before `until`, and always at least one open
+   * future task so completing the last one rolls the series forward.
+   * Occurrences already in the past are skipped rather than created overdue.
+   * @param {Object} root - First task of the series
+   * @returns {Promise<Array>} Tasks created
+   */
+  async materializeSeries(root, until = new Date(Date.now() + RECURRENCE_HORIZON_MS)) {
+    if (!root?.isRecurring || root.parentTaskId) return [];
+
+    const now = new Date();
+    const rule = ruleForTask(root);
+    const [latest, openAhead] = await Promise.all([
+      Task.findOne({ parentTaskId: root._id }).sort({ occurrence: -1 }).select('occurrence').lean(),
+      Task.countDocuments({
+        $or: [{ _id: root._id }, { parentTaskId: root._id }],
+        status: { $in: OPEN_STATUSES },
+        dueDate: { $gt: now }
+      })
+    ]);
+    const lastOccurrence = latest?.occurrence || root.occurrence || 1;
+
+    const created = [];
+    for (const { date, index } of occurrences(rule, new Date(root.dueDate))) {
+      if (index <= lastOccurrence || date <= now) continue;
+      if (date > until && openAhead + created.length > 0) break;
+      created.push(this.buildOccurrence(root, date, index));
+    }
+    if (created.length === 0) return [];
+
+    try {
+      return await Task.insertMany(created, { ordered: false });
+    } catch (error) {
+      // Another instance created the same occurrences
+      if (error.code === 11000) return [];
+      throw error;
+    }
+  }
+
+  // Scheduler job: top up every active series to the horizon
+  async materializeRecurringTasks() {
+    let created = 0;
+    const roots = Task.find({ isRecurring: true, parentTaskId: { $exists: false } }).cursor();
+    for await (const root of roots) {
+      try {
+        created += (await this.materializeSeries(root)).length;
+      } catch (error) {
+        console.error(`Error materializing recurring task ${root._id}:`, error.message);
+      }
+    }
+    if (created > 0) {
+      console.log(`🔁 [TaskManagement] Created ${created} recurring task occurrence(s)`);
+    }
+    return created;
+  }
+
+  // Scheduler job: send reminders whose scheduledFor has passed
+  async deliverDueReminders() {
+    const now = new Date();
+    const tasks = await Task.find({
+      status: { $in: OPEN_STATUSES },
+      notifications: { $elemMatch: { sentAt: null, scheduledFor: { $lte: now } } }
+    })
+      .select('title dueDate priority category patientId userId assignedTo notifications')
+      .limit(REMINDER_BATCH_SIZE)
+      .lean();
+
+    let sent = 0;
+    for (const task of tasks) {
+      for (const notification of task.notifications) {
+        if (notification.sentAt || notification.scheduledFor > now) continue;
+
+        // A due-soon reminder first picked up after the due date is superseded
+        // by the overdue one
+        const superseded = notification.type === 'due_soon' && task.dueDate <= now;
+        const deliveredVia = superseded ? [] : await this.deliverReminder(task, notification);
+
+        await Task.updateOne(
+          { _id: task._id },
+          {
+            $set: {
+              'notifications.$[reminder].sentAt': now,
+              'notifications.$[reminder].deliveredVia': deliveredVia
+            }
+          },
+          { arrayFilters: [{ 'reminder._id': notification._id }] }
+        );
+        if (deliveredVia.length > 0) sent++;
+      }
+    }
+    return sent;
+  }
+
+  async deliverReminder(task, notification) {
+    const deliveredVia = [];
+    const recipient = reminderRecipient(task);
+
+    const pushed = this.notifier?.sendToUser(recipient, {
+      type: 'task_reminder',
+      reminder: {
+        id: String(notification._id),
+        taskId: String(task._id),
+        patientId: String(task.patientId),
+        type: notification.type,
+        message: notification.message,
+        title: task.title,
+        dueDate: task.dueDate,
+        priority: task.priority,
+        category: task.category
+      },
+      timestamp: new Date().toISOString()
+    });
+    if (pushed > 0) deliveredVia.push('websocket');
+
+    if (REMINDER_EMAILS && EMAIL_REMINDER_TYPES.includes(notification.type)) {
+      try {
+        const user = await User.findById(recipient).select('email firstName name').lean();
+        if (user?.email) {
+          const result = await emailService.sendTaskReminderEmail(user.email, {
+            title: task.title,
+            dueDate: task.dueDate,
+            type: notification.type,
+            userName: user.firstName || user.name
+          });
+          if (result.success) deliveredVia.push('email');
+        }
+      } catch (error) {
+        console.error('Error emailing task reminder:', error.message);
+      }
+    }
+
+    return deliveredVia;
+  }
+
+  startBackgroundJobs() {
+    Promise.all([
+      jobScheduler.schedule('tasks.materialize-recurring', { cron: '*/15 * * * *' }),
+      jobScheduler.schedule('tasks.deliver-reminders', { every: 60 * 1000, maxAttempts: 1 })
+    ]).catch((error) => console.error('Error scheduling task jobs:', error.message));
+  }
+
   // Analytics
   async getTaskAnalytics(patientId, userId, dateRange = null) {
     try {
@@ -1297,5 +1557,10 @@ class TaskManagementService {
   }
 }
 
-export default new TaskManagementService();
+const taskManagementService = new TaskManagementService();
+
+jobScheduler.define('tasks.materialize-recurring', () => taskManagementService.materializeRecurringTasks());
+jobScheduler.define('tasks.deliver-reminders', () => taskManagementService.deliverDueReminders());
+
+export default taskManagementService;
 
@@ -0,0 +1,189 @@
+/**
+ * Recurrence rules for nursing tasks.
+ *
+ * Supports the subset of RFC 5545 RRULE used for visit schedules:
+ * FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL, BYDAY (weekly), BYMONTHDAY
+ * (monthly, negative values count from the month end), COUNT and UNTIL.
+ * Dates are evaluated in UTC and keep the time of day of the first task.
+ */
+
+export class RecurrenceRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecurrenceRuleError';
+    this.code = 'INVALID_RECURRENCE_RULE';
+    this.statusCode = 400;
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const PATTERN_FREQUENCIES = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY' };
+// Periods scanned without an occurrence before a rule is treated as exhausted
+const MAX_EMPTY_PERIODS = 1000;
+
+const parseInteger = (value, name, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new RecurrenceRuleError(`${name} must be an integer from ${min} to ${max}`);
+  }
+  return number;
+};
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    throw new RecurrenceRuleError(`UNTIL must be a date such as 20261231 or 20261231T235959Z`);
+  }
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+/**
+ * Parse an RRULE string ("RRULE:" prefix optional).
+ * @returns {{freq: string, interval: number, byDay: number[], byMonthDay: number[], count: number|null, until: Date|null}}
+ */
+export function parseRecurrenceRule(source) {
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+  const body = String(source || '').trim().replace(/^RRULE:/i, '');
+  if (!body) {
+    throw new RecurrenceRuleError('Recurrence rule is required for custom recurring tasks');
+  }
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [rawKey, value = ''] = part.split('=');
+    const key = rawKey.toUpperCase();
+    switch (key) {
+      case 'FREQ':
+        if (!Object.values(PATTERN_FREQUENCIES).includes(value.toUpperCase())) {
+          throw new RecurrenceRuleError('FREQ must be DAILY, WEEKLY or MONTHLY');
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInteger(value, 'INTERVAL', 1, 365);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map((day) => {
+          const index = WEEKDAYS.indexOf(day.toUpperCase());
+          if (index < 0) {
+            throw new RecurrenceRuleError(`BYDAY supports plain weekdays (MO,TU,...), not ${day}`);
+          }
+          return index;
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map((day) => {
+          const number = parseInteger(day, 'BYMONTHDAY', -31, 31);
+          if (number === 0) throw new RecurrenceRuleError('BYMONTHDAY cannot be 0');
+          return number;
+        });
+        break;
+      case 'COUNT':
+        rule.count = parseInteger(value, 'COUNT', 1, 1000);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'WKST':
+        break;
+      default:
+        throw new RecurrenceRuleError(`Unsupported recurrence rule part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) throw new RecurrenceRuleError('Recurrence rule needs FREQ');
+  if (rule.count && rule.until) throw new RecurrenceRuleError('Use COUNT or UNTIL, not both');
+  if (rule.byDay.length && rule.freq !== 'WEEKLY') {
+    throw new RecurrenceRuleError('BYDAY is only supported with FREQ=WEEKLY');
+  }
+  if (rule.byMonthDay.length && rule.freq !== 'MONTHLY') {
+    throw new RecurrenceRuleError('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+  return rule;
+}
+
+/**
+ * The rule a task recurs by: its RRULE for the 'custom' pattern, otherwise
+ * its pattern and interval.
+ */
+export function ruleForTask(task) {
+  if (task.recurringPattern === 'custom') {
+    return parseRecurrenceRule(task.recurrenceRule);
+  }
+  const freq = PATTERN_FREQUENCIES[task.recurringPattern || 'daily'];
+  return parseRecurrenceRule(`FREQ=${freq};INTERVAL=${task.recurringInterval || 1}`);
+}
+
+const withTimeOf = (date, start) =>
+  new Date(
+    Date.UTC(
+      date.getUTCFullYear(),
+      date.getUTCMonth(),
+      date.getUTCDate(),
+      start.getUTCHours(),
+      start.getUTCMinutes(),
+      start.getUTCSeconds(),
+      start.getUTCMilliseconds()
+    )
+  );
+
+// Candidate dates of one period (day, week or month), in order
+function periodDates(rule, start, period) {
+  const step = period * rule.interval;
+
+  if (rule.freq === 'DAILY') {
+    return [new Date(start.getTime() + step * DAY_MS)];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const days = rule.byDay.length ? rule.byDay : [start.getUTCDay()];
+    // Weeks start on Monday (RRULE default WKST=MO)
+    const weekStart = new Date(start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS);
+    return [...new Set(days)]
+      .map((day) => (day + 6) % 7)
+      .sort((a, b) => a - b)
+      .map((offset) => new Date(weekStart.getTime() + (step * 7 + offset) * DAY_MS));
+  }
+
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + step;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const days = rule.byMonthDay.length ? rule.byMonthDay : [start.getUTCDate()];
+  return [...new Set(days.map((day) => (day < 0 ? daysInMonth + day + 1 : day)))]
+    .filter((day) => day >= 1 && day <= daysInMonth)
+    .sort((a, b) => a - b)
+    .map((day) => withTimeOf(new Date(Date.UTC(year, month, day)), start));
+}
+
+/**
+ * Occurrences of a rule from the series start. As with an RRULE's DTSTART,
+ * the first task is always occurrence 1 and counts towards COUNT.
+ * Yields { date, index }.
+ */
+export function* occurrences(rule, start) {
+  let index = 1;
+  let emptyPeriods = 0;
+  yield { date: new Date(start), index };
+  if (rule.count === 1) return;
+
+  for (let period = 0; emptyPeriods < MAX_EMPTY_PERIODS; period++) {
+    let found = false;
+    for (const date of periodDates(rule, start, period)) {
+      if (date <= start) continue;
+      if (rule.until && date > rule.until) return;
+      found = true;
+      index++;
+      yield { date, index };
+      if (rule.count && index >= rule.count) return;
+    }
+    emptyPeriods = found ? 0 : emptyPeriods + 1;
+  }
+}
+
+export default {
+  RecurrenceRuleError,
+  parseRecurrenceRule,
+  ruleForTask,
+  occurrences
+};
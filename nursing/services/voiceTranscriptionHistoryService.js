@@ -19,6 +19,8 @@ class VoiceTranscriptionHistoryService {
         audioSize,
         audioDuration,
         transcriptionText,
+        originalText,
+        corrections = [],
         structuredDocumentation,
         processingTime,
         confidence,
@@ -38,6 +40,8 @@ class VoiceTranscriptionHistoryService {
         audioSize,
         audioDuration,
         transcriptionText,
+        originalText,
+        corrections,
         structuredDocumentation,
         processingTime,
         confidence,
@@ -1,4 +1,6 @@
 import nursingAIService from './aiService.js';
+import localSpeechToTextService from '../../services/localSpeechToTextService.js';
+import medicalLexiconService from '../../services/medicalLexiconService.js';
 
 class WorkflowAutomationService {
   constructor() {
@@ -17,7 +19,7 @@ class WorkflowAutomationService {
   /**
    * Process voice transcription and convert to structured nursing documentation
    */
-  async processVoiceTranscription(audioData, patientContext, context = '') {
+  async processVoiceTranscription(audioData, patientContext, context = '', options = {}) {
     try {
       const startTime = Date.now();
       
@@ -45,10 +47,18 @@ class WorkflowAutomationService {
         };
       }
 
-      const transcriptionText = transcriptionResult.text.trim();
+      // Correct medical terminology with the agency's lexicon
+      const lexiconResult = await medicalLexiconService.correctTranscript(
+        transcriptionResult.text.trim(),
+        { organizationId: options.organizationId }
+      );
+      const transcriptionText = lexiconResult.text;
       
       // Log the actual transcription for debugging
       console.log('🎤 ACTUAL TRANSCRIPTION:', transcriptionText);
+      if (lexiconResult.correctionCount > 0) {
+        console.log(`📖 Medical lexicon applied ${lexiconResult.correctionCount} correction(s)`);
+      }
       
       // Generate dynamic response based on actual transcription content
       const transcriptionLower = transcriptionText.toLowerCase();
@@ -110,6 +120,8 @@ Then provide your answer based on the patient information.
       return {
         success: true,
         transcriptionText: transcriptionText, // Real transcription from speech-to-text
+        originalText: lexiconResult.originalText, // Before medical lexicon corrections
+        corrections: lexiconResult.corrections,
         structuredDocumentation: response, // AI response to actual question
         responseFormat: responseFormat, // Determined from actual question
         isCarePlanRequest: transcriptionLower.includes('care plan') || transcriptionLower.includes('careplan'),
@@ -134,6 +146,16 @@ Then provide your answer based on the patient information.
    */
   async performSpeechToText(audioBuffer) {
     try {
+      // Local speech-to-text is configured when audio must not leave the
+      // server, so it never falls back to a cloud or simulated transcript
+      if (localSpeechToTextService.isEnabled()) {
+        console.log('🎤 Using local speech-to-text...');
+        return await localSpeechToTextService.transcribeAudio(audioBuffer, {
+          language: 'en',
+          prompt: 'This is a medical voice recording for nursing documentation'
+        });
+      }
+
       // Priority 1: Try Azure OpenAI Speech-to-Text if available (working)
       if (process.env.AZURE_OPENAI_API_KEY) {
         console.log('🎤 Using Azure OpenAI for speech-to-text...');
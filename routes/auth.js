@@ -168,6 +168,7 @@ router.post('/signup', async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         profession: user.profession,
+        clinicalCredential: user.clinicalCredential,
         subscriptions: user.subscriptions || [],
         subscriptionStatus: user.subscriptionStatus || null,
         signupSource: user.signupSource
@@ -1,23 +1,49 @@
 import { Router } from "express";
 import { authenticateToken, authorizeRole } from "../middleware/auth.js";
 import { noMock } from "../middleware/noMock.js";
+import { authorize, authorizePatient } from "../middleware/permissions.js";
 import Patient from "../models/Patient.js";
 import PatientDocument from "../models/PatientDocument.js";
 import ClinicalAIOutput from "../models/ClinicalAIOutput.js";
-import { runAiTask } from "../services/ai/index.js";
+import { runAiTask, streamAiTask, taskInstruction, providerReasons, assertAiEnabled } from "../services/ai/index.js";
+import documentRetrievalService from "../services/documentRetrievalService.js";
 import { audit } from "../services/audit.js";
+import organizationService from "../services/organizationService.js";
+import { wantsEventStream, openEventStream, sendEvent, endEventStream } from "../utils/sse.js";
 
 const r = Router();
 
+// Where the AI routes name their patient
+const bodyPatientId = (req) => req.body?.patientId;
+const queryPatientId = (req) => req.query.patientId;
+
+// Persist a completed AI task run and audit it
+async function saveAiOutput(req, { patientId, documentIds, task, inputContext }, result) {
+  const record = await ClinicalAIOutput.create({
+    patientId,
+    documentIds,
+    task,
+    inputContext,
+    output: result.output,
+    model: result.model,
+    hallucinationFlags: result.hallucinationFlags,
+    createdBy: req.userId
+  });
+
+  await audit(req.userId, "RUN_AI_TASK", { patientId, task, model: result.model });
+  return record;
+}
+
 // Apply authentication and role-based access control to all doctor routes
 r.use(authenticateToken, authorizeRole(["medical-provider", "doctor"]), noMock);
 
 // GET /patients
-r.get("/patients", async (req, res) => {
+r.get("/patients", authorize("patients"), async (req, res) => {
   try {
     const q = (req.query.q || "").trim();
     const filter = q ? { name: new RegExp(q, "i") } : {};
-    const patients = await Patient.find(filter).sort({ updatedAt: -1 }).limit(50);
+    const scope = await organizationService.patientScopeFor(req.userId);
+    const patients = await Patient.find({ $and: [scope, filter] }).sort({ updatedAt: -1 }).limit(50);
     
     await audit(req.userId, "VIEW_PATIENT_LIST");
     res.json({ success: true, patients });
@@ -28,7 +54,7 @@ r.get("/patients", async (req, res) => {
 });
 
 // GET /patients/:id/context
-r.get("/patients/:id/context", async (req, res) => {
+r.get("/patients/:id/context", authorize("patients"), authorizePatient(), async (req, res) => {
   try {
     const patient = await Patient.findById(req.params.id);
     if (!patient) return res.status(404).json({ success: false, error: "Patient not found" });
@@ -58,7 +84,7 @@ r.get("/patients/:id/context", async (req, res) => {
 });
 
 // GET /patients/:id/documents
-r.get("/patients/:id/documents", async (req, res) => {
+r.get("/patients/:id/documents", authorize("documents"), authorizePatient(), async (req, res) => {
   try {
     const { type, q, from, to } = req.query;
     const f = { patientId: req.params.id };
@@ -78,15 +104,19 @@ r.get("/patients/:id/documents", async (req, res) => {
   }
 });
 
-// POST /ai/run  { patientId, documentIds:[], task }
-r.post("/ai/run", async (req, res) => {
+// POST /ai/run  { patientId, documentIds:[], task, question?, stream? }
+// The prompt gets the document passages most relevant to the question (or
+// to the task), and the response lists the passages the output cites.
+// With ?stream=true (or Accept: text/event-stream) tokens are sent as SSE
+// and the record is saved once the stream completes.
+r.post("/ai/run", authorize("clinical-decisions"), authorizePatient(bodyPatientId, { optional: true }), async (req, res) => {
   console.log("🔍 AI Route Hit: /api/doctor/ai/run");
   console.log("🔍 Request Body:", req.body);
   console.log("🔍 Request Method:", req.method);
   console.log("🔍 Request URL:", req.url);
   
   try {
-    const { patientId, documentIds, task } = req.body || {};
+    const { patientId, documentIds, task, question } = req.body || {};
 
     if (!patientId || !Array.isArray(documentIds) || !documentIds.length || !task) {
       return res.status(400).json({ 
@@ -95,6 +125,9 @@ r.post("/ai/run", async (req, res) => {
       });
     }
 
+    // Checked before the event stream opens so both modes answer 503
+    assertAiEnabled();
+
     const patient = await Patient.findById(patientId);
     if (!patient) return res.status(404).json({ success: false, error: "Patient not found" });
 
@@ -115,29 +148,57 @@ r.post("/ai/run", async (req, res) => {
         type: d.type,
         title: d.title,
         text: d.text
-      }))
+      })),
+      ...(question && { question })
     };
 
+    try {
+      const excerpts = await documentRetrievalService.retrieve(question || taskInstruction(task), {
+        documentIds: docs.map(d => d._id)
+      });
+      if (excerpts.length) inputContext.excerpts = excerpts;
+    } catch (error) {
+      console.error("❌ Document retrieval failed, using document text:", error.message);
+    }
+    const citationsFor = (output) => documentRetrievalService.citations(output, inputContext.excerpts || []);
+
+    if (wantsEventStream(req)) {
+      const signal = openEventStream(req, res);
+      try {
+        const result = await streamAiTask({
+          task,
+          inputContext,
+          signal,
+          onToken: (text) => sendEvent(res, "token", { text })
+        });
+        const record = await saveAiOutput(req, { patientId, documentIds, task, inputContext }, result);
+        return endEventStream(res, "done", {
+          success: true,
+          id: record._id,
+          version: record.version,
+          ...result,
+          citations: citationsFor(result.output)
+        });
+      } catch (error) {
+        console.error("Error streaming AI task:", error);
+        return endEventStream(res, "error", {
+          success: false,
+          error: error.message || "Failed to run AI task",
+          providers: providerReasons(error.details)
+        });
+      }
+    }
+
     const result = await runAiTask({ task, inputContext });
     // result: { output, model, hallucinationFlags }
 
-    const record = await ClinicalAIOutput.create({
-      patientId,
-      documentIds,
-      task,
-      inputContext,
-      output: result.output,
-      model: result.model,
-      hallucinationFlags: result.hallucinationFlags,
-      createdBy: req.userId
-    });
-
-    await audit(req.userId, "RUN_AI_TASK", { patientId, task, model: result.model });
+    const record = await saveAiOutput(req, { patientId, documentIds, task, inputContext }, result);
     res.json({ 
       success: true, 
       id: record._id, 
       version: record.version, 
-      ...result 
+      ...result,
+      citations: citationsFor(result.output)
     });
   } catch (error) {
     console.error("Error running AI task:", error);
@@ -157,17 +218,21 @@ r.post("/ai/run", async (req, res) => {
     res.status(statusCode).json({ 
       success: false, 
       error: errorMessage,
+      providers: statusCode === 503 ? providerReasons(error.details) : undefined,
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
 // GET /ai/outputs
-r.get("/ai/outputs", async (req, res) => {
+r.get("/ai/outputs", authorize("clinical-decisions"), authorizePatient(queryPatientId, { optional: true }), async (req, res) => {
   try {
     const { patientId, task, limit = 20 } = req.query;
     const f = {};
-    if (patientId) f.patientId = patientId;
+    // Without a patient, list outputs for every patient the user can access
+    f.patientId = patientId || {
+      $in: await Patient.distinct("_id", await organizationService.patientScopeFor(req.userId))
+    };
     if (task) f.task = task;
     
     const list = await ClinicalAIOutput.find(f).sort({ createdAt: -1 }).limit(Number(limit));
@@ -179,10 +244,22 @@ r.get("/ai/outputs", async (req, res) => {
 });
 
 // GET /ai/outputs/:id
-r.get("/ai/outputs/:id", async (req, res) => {
+r.get("/ai/outputs/:id", authorize("clinical-decisions"), async (req, res) => {
   try {
     const o = await ClinicalAIOutput.findById(req.params.id);
     if (!o) return res.status(404).json({ success: false, error: "Not found" });
+
+    const patient = await Patient.findById(o.patientId)
+      .select("createdBy userId organizationId careTeam")
+      .lean();
+    if (!(await organizationService.canAccessPatient(patient, req.userId))) {
+      await audit(req.userId, "permission_denied", {
+        patientId: o.patientId,
+        resource: "clinical-decisions",
+        outputId: o._id
+      });
+      return res.status(403).json({ success: false, error: "Access denied" });
+    }
     res.json({ success: true, output: o });
   } catch (error) {
     console.error("Error fetching AI output:", error);
@@ -0,0 +1,23 @@
+import express from "express";
+import jobController from "../controllers/jobController.js";
+import { authenticateToken } from "../middleware/auth.js";
+import { requireSystemAdmin } from "../middleware/permissions.js";
+const router = express.Router();
+
+// Jobs run across every tenant, so only system administrators manage them
+router.use(authenticateToken, requireSystemAdmin);
+
+// List scheduled jobs
+router.get("/", jobController.listJobs);
+
+// Get a job with its recent runs
+router.get("/:name", jobController.getJob);
+
+// Pause / resume a job
+router.post("/:name/pause", jobController.pauseJob);
+router.post("/:name/resume", jobController.resumeJob);
+
+// Re-run a job now
+router.post("/:name/run", jobController.runJob);
+
+export default router;
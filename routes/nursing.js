@@ -1,5 +1,11 @@
 import express from "express";
+import multer from "multer";
 import { authenticateToken as auth } from "../middleware/auth.js";
+import {
+  authorize,
+  authorizePatient,
+  patientParamAccess,
+} from "../middleware/permissions.js";
 import {
   validateNursingAccess,
   validateNursingFeature,
@@ -9,7 +15,18 @@ import {
 import NursingController from "../controllers/nursing/nursingController.js";
 import OutcomeMeasuresController from "../controllers/nursing/OutcomeMeasuresController.js";
 import MedicationManagementController from "../controllers/nursing/MedicationManagementController.js";
-// QualityComplianceController moved to server/nursing/routes/nursingRoutes.js
+import ObservationController from "../controllers/nursing/ObservationController.js";
+import SOAPSignatureController from "../controllers/nursing/SOAPSignatureController.js";
+import enhancedProgressTrackingRoutes from "./nursing/progressTracking.js";
+
+// Clinical decision, voice, template, quality-compliance, history and
+// knowledge-training routes (authenticate per route)
+import clinicalNursingRoutes from "../nursing/routes/nursingRoutes.js";
+import trainingProgressRoutes from "../nursing/routes/trainingProgressRoutes.js";
+import dataIntegrationRoutes from "../nursing/routes/dataIntegrationRoutes.js";
+import taskManagementRoutes from "../nursing/routes/taskManagementRoutes.js";
+import riskManagementRoutes from "../nursing/routes/riskManagementRoutes.js";
+import oasisAssessmentRoutes from "../nursing/routes/oasisAssessmentRoutes.js";
 
 const router = express.Router();
 
@@ -17,11 +34,87 @@ const router = express.Router();
 const nursingController = new NursingController();
 const outcomeMeasuresController = new OutcomeMeasuresController();
 const medicationController = new MedicationManagementController();
+const observationController = new ObservationController();
+const soapSignatureController = new SOAPSignatureController();
+
+// Observation CSV imports are parsed in memory
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === "text/csv" || file.originalname.toLowerCase().endsWith(".csv")) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only CSV files are allowed"), false);
+    }
+  },
+});
 // qualityComplianceController moved to server/nursing/routes/nursingRoutes.js
 
-// Apply authentication and nursing access validation to all routes
-router.use(auth);
-router.use(validateNursingAccess);
+// This router is the single /api/nursing surface. The routers below are
+// mounted before the plan guard, but their routes are authenticated and
+// checked against the permission matrix here, by prefix, like the feature
+// routes further down. Each of them checks patient access with its own
+// router.param("patientId"), since params declared in a sub-router never
+// reach this router's router.param.
+const SUB_ROUTER_RESOURCES = {
+  "/clinical-decision": "clinical-decisions",
+  "/risk-assessment": "clinical-decisions",
+  "/vital-signs-analysis": "clinical-decisions",
+  "/medication-analysis": "clinical-decisions",
+  "/clinical-alerts": "clinical-decisions",
+  "/clinical-history": "clinical-decisions",
+  "/voice-transcription": "documents",
+  "/quality-compliance": "outcomes",
+  "/history": "patients",
+  "/knowledge-training": "documents",
+  "/training-progress": "progress",
+  "/data-integration": "documents",
+  "/task-management": "care-plans",
+  "/risk-management": "assessments",
+  "/oasis-assessments": "oasis",
+};
+for (const [prefix, resource] of Object.entries(SUB_ROUTER_RESOURCES)) {
+  router.use(prefix, auth, authorize(resource));
+}
+
+router.use(clinicalNursingRoutes);
+router.use("/training-progress", trainingProgressRoutes);
+router.use("/data-integration", dataIntegrationRoutes);
+router.use("/task-management", taskManagementRoutes);
+router.use("/risk-management", riskManagementRoutes);
+router.use("/oasis-assessments", oasisAssessmentRoutes);
+
+// Authentication and nursing plan access for the feature routes declared in
+// this file. Scoped by prefix so it does not also catch the public routes
+// above (e.g. /health, /templates/conditions). Each prefix maps to its
+// resource in the SecurityComplianceService permission matrix.
+const NURSING_FEATURE_RESOURCES = {
+  "/oasis": "oasis",
+  "/soap": "soap-notes",
+  "/progress": "progress",
+  "/progress-tracking": "progress",
+  "/outcome-measures": "outcomes",
+  "/medications": "medications",
+  "/medication-optimizations": "medications",
+  "/clinical": "clinical-decisions",
+  "/ai": "clinical-decisions",
+  "/assessments": "assessments",
+  "/assessment-templates": "assessments",
+  "/assessment-tools": "assessments",
+  "/patients": "patients",
+  "/observations": "observations",
+  "/care-plans": "care-plans",
+  "/dashboard": "outcomes",
+  "/storage": "documents",
+};
+router.use(Object.keys(NURSING_FEATURE_RESOURCES), auth, validateNursingAccess);
+for (const [prefix, resource] of Object.entries(NURSING_FEATURE_RESOURCES)) {
+  router.use(prefix, authorize(resource));
+}
+
+// Routes naming a patient are limited to the user's tenant and care teams
+router.param("patientId", patientParamAccess);
 
 // OASIS Assessment Routes - with specific feature validation
 router.post(
@@ -40,7 +133,24 @@ router.put(
   nursingController.updateOASISAssessment.bind(nursingController)
 );
 router.get(
-  "/oasis-assessments/patient/:patientId",
+  "/oasis/submissions/export",
+  validateNursingFeature("advanced_oasis_scoring"),
+  nursingController.exportOASISSubmissions.bind(nursingController)
+);
+router.post(
+  "/oasis/assessments/:id/reports",
+  validateNursingFeature("advanced_oasis_scoring"),
+  nursingController.generateOASISReport.bind(nursingController)
+);
+router.get(
+  "/oasis/assessments/:id/reports/:reportId",
+  validateNursingFeature("advanced_oasis_scoring"),
+  nursingController.downloadOASISReport.bind(nursingController)
+);
+// Namespaced under /oasis: /oasis-assessments/patient/:patientId belongs to
+// oasisAssessmentRoutes
+router.get(
+  "/oasis/assessments/patient/:patientId",
   validateNursingFeature("advanced_oasis_scoring"),
   nursingController.getAssessmentHistory.bind(nursingController)
 );
@@ -72,6 +182,33 @@ router.delete(
   nursingController.deleteSOAPNote.bind(nursingController)
 );
 
+// SOAP note signing: sign and lock, co-sign, addenda/amendments, verify
+router.post(
+  "/soap/notes/:id/sign",
+  validateNursingFeature("soap_note_generator"),
+  soapSignatureController.signNote.bind(soapSignatureController)
+);
+router.put(
+  "/soap/notes/:id/cosignature-request",
+  validateNursingFeature("soap_note_generator"),
+  soapSignatureController.requestCosignature.bind(soapSignatureController)
+);
+router.post(
+  "/soap/notes/:id/cosign",
+  validateNursingFeature("soap_note_generator"),
+  soapSignatureController.cosignNote.bind(soapSignatureController)
+);
+router.post(
+  "/soap/notes/:id/amendments",
+  validateNursingFeature("soap_note_generator"),
+  soapSignatureController.amendNote.bind(soapSignatureController)
+);
+router.get(
+  "/soap/notes/:id/signature/verify",
+  validateNursingFeature("soap_note_generator"),
+  soapSignatureController.verifySignature.bind(soapSignatureController)
+);
+
 // Progress Tracking Routes - with specific feature validation
 router.post(
   "/progress/entries",
@@ -85,36 +222,46 @@ router.get(
 );
 
 // Enhanced Progress Tracking Routes with Advanced AI-ML-NLP
-import enhancedProgressTrackingRoutes from "./nursing/progressTracking.js";
-router.use("/progress-tracking", enhancedProgressTrackingRoutes);
+router.use(
+  "/progress-tracking",
+  validateNursingFeature("progress_tracking"),
+  enhancedProgressTrackingRoutes
+);
 
 // Advanced Progress Analytics Routes
 router.post(
   "/progress/predict",
+  validateNursingFeature("progress_tracking"),
   nursingController.generateProgressPrediction.bind(nursingController)
 );
 router.post(
   "/progress/risk-assessment",
+  validateNursingFeature("progress_tracking"),
   nursingController.performRiskAssessment.bind(nursingController)
 );
 router.post(
   "/progress/optimize-interventions",
+  validateNursingFeature("progress_tracking"),
   nursingController.optimizeInterventions.bind(nursingController)
 );
 router.get(
   "/progress/reports/:patientId",
+  validateNursingFeature("progress_tracking"),
   nursingController.generateAdvancedProgressReport.bind(nursingController)
 );
 router.post(
   "/progress/monitoring/setup",
+  validateNursingFeature("progress_tracking"),
   nursingController.setupRealtimeMonitoring.bind(nursingController)
 );
 router.get(
   "/progress/trends/:patientId",
+  validateNursingFeature("progress_tracking"),
   nursingController.performTrendAnalysis.bind(nursingController)
 );
 router.get(
   "/progress/goals/:patientId/:goalId/predict",
+  validateNursingFeature("progress_tracking"),
   nursingController.predictGoalAchievement.bind(nursingController)
 );
 
@@ -173,48 +320,7 @@ router.delete(
   )
 );
 
-// Parameterized routes after specific routes
-router.post(
-  "/outcome-measures",
-  validateNursingFeature("outcome_measures"),
-  outcomeMeasuresController.createOutcomeMeasure.bind(outcomeMeasuresController)
-);
-router.get(
-  "/outcome-measures/:patientId",
-  validateNursingFeature("outcome_measures"),
-  outcomeMeasuresController.getPatientOutcomeMeasures.bind(
-    outcomeMeasuresController
-  )
-);
-router.put(
-  "/outcome-measures/:id",
-  validateNursingFeature("outcome_measures"),
-  outcomeMeasuresController.updateOutcomeMeasure.bind(outcomeMeasuresController)
-);
-router.delete(
-  "/outcome-measures/:id",
-  validateNursingFeature("outcome_measures"),
-  outcomeMeasuresController.deleteOutcomeMeasure.bind(outcomeMeasuresController)
-);
-router.get(
-  "/outcome-measures/collection-status",
-  validateNursingFeature("outcome_measures"),
-  outcomeMeasuresController.getCollectionStatus.bind(outcomeMeasuresController)
-);
-router.post(
-  "/outcome-measures/configure-collection",
-  validateNursingFeature("outcome_measures"),
-  outcomeMeasuresController.configureAutomatedCollection.bind(
-    outcomeMeasuresController
-  )
-);
-router.post(
-  "/outcome-measures/generate-report",
-  validateNursingFeature("outcome_measures"),
-  outcomeMeasuresController.generateReport.bind(outcomeMeasuresController)
-);
-
-// Advanced Analytics Routes (Task 7.2)
+// Advanced Analytics Routes (Task 7.2) - before parameterized routes
 router.post(
   "/outcome-measures/pattern-recognition",
   validateNursingFeature("outcome_measures"),
@@ -251,6 +357,30 @@ router.get(
   )
 );
 
+// Parameterized routes after specific routes
+router.post(
+  "/outcome-measures",
+  validateNursingFeature("outcome_measures"),
+  outcomeMeasuresController.createOutcomeMeasure.bind(outcomeMeasuresController)
+);
+router.get(
+  "/outcome-measures/:patientId",
+  validateNursingFeature("outcome_measures"),
+  outcomeMeasuresController.getPatientOutcomeMeasures.bind(
+    outcomeMeasuresController
+  )
+);
+router.put(
+  "/outcome-measures/:id",
+  validateNursingFeature("outcome_measures"),
+  outcomeMeasuresController.updateOutcomeMeasure.bind(outcomeMeasuresController)
+);
+router.delete(
+  "/outcome-measures/:id",
+  validateNursingFeature("outcome_measures"),
+  outcomeMeasuresController.deleteOutcomeMeasure.bind(outcomeMeasuresController)
+);
+
 // Medication Management Routes - with specific feature validation
 // Specific routes first (before parameterized routes)
 router.get(
@@ -288,6 +418,38 @@ router.get(
   validateNursingFeature("medication_management"),
   nursingController.getMedicationAdherence.bind(nursingController)
 );
+// Record-level interaction check and administration (not per medicationId)
+router.post(
+  "/medications/check-interactions",
+  validateNursingFeature("medication_management"),
+  nursingController.checkDrugInteractions.bind(nursingController)
+);
+router.post(
+  "/medications/administration",
+  validateNursingFeature("medication_management"),
+  nursingController.recordMedicationAdministration.bind(nursingController)
+);
+
+// Search and filtering
+router.get(
+  "/medications/search",
+  validateNursingFeature("medication_management"),
+  medicationController.searchMedications.bind(medicationController)
+);
+
+// Refill management
+router.get(
+  "/medications/due-for-refill",
+  validateNursingFeature("medication_management"),
+  medicationController.getMedicationsDueForRefill.bind(medicationController)
+);
+
+// High-risk medications
+router.get(
+  "/medications/high-risk",
+  validateNursingFeature("medication_management"),
+  medicationController.getHighRiskMedications.bind(medicationController)
+);
 
 // Core medication management (parameterized routes)
 router.post(
@@ -329,16 +491,6 @@ router.post(
   validateNursingFeature("medication_management"),
   medicationController.recordAdministration.bind(medicationController)
 );
-router.post(
-  "/medications/check-interactions",
-  validateNursingFeature("medication_management"),
-  nursingController.checkDrugInteractions.bind(nursingController)
-);
-router.post(
-  "/medications/administration",
-  validateNursingFeature("medication_management"),
-  nursingController.recordMedicationAdministration.bind(nursingController)
-);
 
 // Clinical Decision Support Routes
 router.get(
@@ -371,6 +523,12 @@ router.get(
   validateNursingFeature("clinical_decision_support"),
   nursingController.getVitalsAnalysis.bind(nursingController)
 );
+router.post(
+  "/clinical/vitals-analysis",
+  validateNursingFeature("clinical_decision_support"),
+  authorizePatient((req) => req.body?.patientId),
+  nursingController.recordVitalsAnalysis.bind(nursingController)
+);
 router.get(
   "/clinical/lab-results",
   validateNursingFeature("clinical_decision_support"),
@@ -384,6 +542,7 @@ router.post(
 router.get(
   "/clinical/guidelines",
   validateNursingFeature("clinical_decision_support"),
+  authorizePatient((req) => req.query.patientId, { optional: true }),
   nursingController.getClinicalGuidelines.bind(nursingController)
 );
 
@@ -457,39 +616,6 @@ router.get(
   medicationController.getMedicationStatistics.bind(medicationController)
 );
 
-// Search and filtering
-router.get(
-  "/medications/search",
-  validateNursingFeature("medication_management"),
-  medicationController.searchMedications.bind(medicationController)
-);
-
-// Refill management
-router.get(
-  "/medications/due-for-refill",
-  validateNursingFeature("medication_management"),
-  medicationController.getMedicationsDueForRefill.bind(medicationController)
-);
-
-// High-risk medications
-router.get(
-  "/medications/high-risk",
-  validateNursingFeature("medication_management"),
-  medicationController.getHighRiskMedications.bind(medicationController)
-);
-
-// Legacy routes for backward compatibility
-router.post(
-  "/medications/records",
-  validateNursingFeature("medication_management"),
-  nursingController.createMedicationRecord.bind(nursingController)
-);
-router.get(
-  "/medications/records",
-  validateNursingFeature("medication_management"),
-  nursingController.getMedicationRecords.bind(nursingController)
-);
-
 // Nursing Assessments Routes - with specific feature validation
 router.post(
   "/assessments",
@@ -570,47 +696,57 @@ router.get(
   validateNursingFeature("nursing_assessments"),
   nursingController.getAssessmentTools.bind(nursingController)
 );
+router.post(
+  "/assessment-tools/:toolId/assessments",
+  validateNursingFeature("nursing_assessments"),
+  authorizePatient((req) => req.body?.patientId),
+  nursingController.createStandardizedAssessment.bind(nursingController)
+);
 
-// Care Plans Routes - with specific feature validation
+// Patient Observation Routes (vital signs, readings, falls and incidents)
 router.post(
-  "/care-plans",
-  validateNursingFeature("care_plan_builder"),
-  nursingController.createCarePlan.bind(nursingController)
+  "/observations/import",
+  validateNursingFeature("patient_management"),
+  csvUpload.single("file"),
+  observationController.importCsv.bind(observationController)
 );
-router.get(
-  "/care-plans",
-  validateNursingFeature("care_plan_builder"),
-  nursingController.getCarePlans.bind(nursingController)
+router.post(
+  "/observations/:patientId",
+  validateNursingFeature("patient_management"),
+  observationController.recordObservations.bind(observationController)
 );
 router.get(
-  "/care-plans/:id",
-  validateNursingFeature("care_plan_builder"),
-  nursingController.getCarePlan.bind(nursingController)
+  "/observations/:patientId",
+  validateNursingFeature("patient_management"),
+  observationController.getObservations.bind(observationController)
 );
-router.put(
-  "/care-plans/:id",
-  validateNursingFeature("care_plan_builder"),
-  nursingController.updateCarePlan.bind(nursingController)
+router.get(
+  "/observations/:patientId/summary",
+  validateNursingFeature("patient_management"),
+  observationController.getVitalsSummary.bind(observationController)
 );
-router.delete(
-  "/care-plans/:id",
-  validateNursingFeature("care_plan_builder"),
-  nursingController.deleteCarePlan.bind(nursingController)
+router.post(
+  "/observations/:patientId/sync-visits",
+  validateNursingFeature("patient_management"),
+  observationController.syncVisitRecords.bind(observationController)
 );
-router.put(
-  "/care-plans/:id/goals/:goalId/progress",
-  validateNursingFeature("care_plan_builder"),
-  nursingController.updateGoalProgress.bind(nursingController)
+router.patch(
+  "/observations/:patientId/:observationId/entered-in-error",
+  validateNursingFeature("patient_management"),
+  observationController.markEnteredInError.bind(observationController)
 );
-router.put(
-  "/care-plans/:id/interventions/:interventionId/complete",
+
+// Care Plans Routes - with specific feature validation
+// Specific routes first (before parameterized routes)
+router.post(
+  "/care-plans",
   validateNursingFeature("care_plan_builder"),
-  nursingController.completeIntervention.bind(nursingController)
+  nursingController.createCarePlan.bind(nursingController)
 );
 router.get(
-  "/care-plans/:id/progress",
+  "/care-plans",
   validateNursingFeature("care_plan_builder"),
-  nursingController.getCarePlanProgress.bind(nursingController)
+  nursingController.getCarePlans.bind(nursingController)
 );
 router.get(
   "/care-plans/analytics",
@@ -622,6 +758,8 @@ router.post(
   validateNursingFeature("care_plan_builder"),
   nursingController.generateCarePlanSuggestions.bind(nursingController)
 );
+
+// Parameterized routes after specific routes
 router.get(
   "/care-plans/:id",
   validateNursingFeature("care_plan_builder"),
@@ -652,15 +790,11 @@ router.get(
   validateNursingFeature("care_plan_builder"),
   nursingController.getCarePlanProgress.bind(nursingController)
 );
-router.get(
-  "/care-plans/analytics",
-  validateNursingFeature("care_plan_builder"),
-  nursingController.getCarePlanAnalytics.bind(nursingController)
-);
 
 // Patient Clinical Data Routes
 router.get(
   "/patients/:patientId/clinical-data",
+  validateNursingFeature("patient_management"),
   nursingController.getPatientClinicalData.bind(nursingController)
 );
 
@@ -0,0 +1,82 @@
+import express from "express";
+import organizationController from "../controllers/organizationController.js";
+import medicalLexiconController from "../controllers/medicalLexiconController.js";
+import { authenticateToken } from "../middleware/auth.js";
+const router = express.Router();
+
+// Create organization (authenticated; creator becomes admin)
+router.post("/", authenticateToken, organizationController.createOrganization);
+
+// Current user's organization (authenticated)
+router.get("/current", authenticateToken, organizationController.getCurrentOrganization);
+
+// Accept an invitation (authenticated; email must match the invitation)
+router.post(
+  "/invitations/accept",
+  authenticateToken,
+  organizationController.acceptInvitation
+);
+
+// Get organization (members only)
+router.get("/:organizationId", authenticateToken, organizationController.getOrganization);
+
+// Update organization (admin)
+router.patch("/:organizationId", authenticateToken, organizationController.updateOrganization);
+
+// Invite member (admin)
+router.post(
+  "/:organizationId/invitations",
+  authenticateToken,
+  organizationController.inviteMember
+);
+
+// Revoke invitation (admin)
+router.delete(
+  "/:organizationId/invitations/:invitationId",
+  authenticateToken,
+  organizationController.revokeInvitation
+);
+
+// Change member role (admin)
+router.patch(
+  "/:organizationId/members/:userId",
+  authenticateToken,
+  organizationController.updateMemberRole
+);
+
+// Remove member (admin) or leave (self)
+router.delete(
+  "/:organizationId/members/:userId",
+  authenticateToken,
+  organizationController.removeMember
+);
+
+// Medical lexicon used to correct voice transcripts (members only)
+router.get(
+  "/:organizationId/lexicon",
+  authenticateToken,
+  medicalLexiconController.listTerms
+);
+
+// Add lexicon term (admin)
+router.post(
+  "/:organizationId/lexicon",
+  authenticateToken,
+  medicalLexiconController.addTerm
+);
+
+// Update lexicon term (admin)
+router.patch(
+  "/:organizationId/lexicon/:termId",
+  authenticateToken,
+  medicalLexiconController.updateTerm
+);
+
+// Remove lexicon term (admin)
+router.delete(
+  "/:organizationId/lexicon/:termId",
+  authenticateToken,
+  medicalLexiconController.removeTerm
+);
+
+export default router;
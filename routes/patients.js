@@ -1,41 +1,101 @@
 import express from "express";
 import patientsController from "../controllers/patientsController.js";
 import { authenticateToken } from "../middleware/auth.js";
+import { authorize, authorizePatient } from "../middleware/permissions.js";
 const router = express.Router();
 
 // Get patient statistics (authenticated)
-router.get("/stats", authenticateToken, patientsController.getPatientStats);
+router.get(
+  "/stats",
+  authenticateToken,
+  authorize("patients"),
+  patientsController.getPatientStats
+);
 
 // Search patients (authenticated)
-router.get("/search", authenticateToken, patientsController.searchPatients);
+router.get(
+  "/search",
+  authenticateToken,
+  authorize("patients"),
+  patientsController.searchPatients
+);
 
 // Create patient (authenticated)
-router.post("/", authenticateToken, patientsController.createPatient);
+router.post(
+  "/",
+  authenticateToken,
+  authorize("patients"),
+  patientsController.createPatient
+);
+
+// Create or update a patient from a FHIR R4 Bundle (authenticated)
+router.post(
+  "/fhir",
+  authenticateToken,
+  authorize("patients"),
+  patientsController.importPatientFhir
+);
 
 // Get all patients (authenticated)
-router.get("/", authenticateToken, patientsController.getAllPatients);
+router.get(
+  "/",
+  authenticateToken,
+  authorize("patients"),
+  patientsController.getAllPatients
+);
 
 // Get single patient by ID (authenticated)
-router.get("/:id", authenticateToken, patientsController.getPatientById);
+router.get(
+  "/:id",
+  authenticateToken,
+  authorize("patients"),
+  authorizePatient(),
+  patientsController.getPatientById
+);
+
+// Export patient as a FHIR R4 Bundle (authenticated)
+router.get(
+  "/:id/fhir",
+  authenticateToken,
+  authorize("patients"),
+  authorizePatient(),
+  patientsController.exportPatientFhir
+);
 
 // Get patient summary for chat (authenticated)
 router.get(
   "/:id/summary",
   authenticateToken,
+  authorize("patients"),
+  authorizePatient(),
   patientsController.getPatientSummary
 );
 
 // Get clinical timeline (authenticated)
+// ?types=soap_note,visit&from=&to=&cursor=&limit=
 router.get(
   "/:id/timeline",
   authenticateToken,
+  authorize("patients"),
+  authorizePatient(),
   patientsController.getClinicalTimeline
 );
 
+// Get the source record behind a timeline entry (authenticated)
+router.get(
+  "/:id/timeline/:type/:recordId",
+  authenticateToken,
+  authorize("patients"),
+  authorizePatient(),
+  patientsController.getTimelineRecord
+);
+
 // Get visit history (authenticated)
 router.get(
   "/:id/visits",
   authenticateToken,
+  authorize("patients"),
+  authorizePatient(),
   patientsController.getVisitHistory
 );
 
@@ -43,6 +103,8 @@ router.get(
 router.get(
   "/:id/documents",
   authenticateToken,
+  authorize("documents"),
+  authorizePatient(),
   patientsController.getPatientDocuments
 );
 
@@ -50,6 +112,8 @@ router.get(
 router.post(
   "/:id/documents",
   authenticateToken,
+  authorize("documents"),
+  authorizePatient(),
   patientsController.associateDocument
 );
 
@@ -57,13 +121,43 @@ router.post(
 router.post(
   "/:id/fix-documents",
   authenticateToken,
+  authorize("documents", "update"),
+  authorizePatient(),
   patientsController.fixPatientDocuments
 );
 
+// Add or update a care team member (authenticated)
+router.post(
+  "/:id/care-team",
+  authenticateToken,
+  authorize("patients", "update"),
+  patientsController.addCareTeamMember
+);
+
+// Remove a care team member (authenticated)
+router.delete(
+  "/:id/care-team/:userId",
+  authenticateToken,
+  authorize("patients", "update"),
+  patientsController.removeCareTeamMember
+);
+
 // Update patient (authenticated)
-router.put("/:id", authenticateToken, patientsController.updatePatient);
+router.put(
+  "/:id",
+  authenticateToken,
+  authorize("patients"),
+  authorizePatient(),
+  patientsController.updatePatient
+);
 
 // Delete patient (authenticated)
-router.delete("/:id", authenticateToken, patientsController.deletePatient);
+router.delete(
+  "/:id",
+  authenticateToken,
+  authorize("patients"),
+  authorizePatient(),
+  patientsController.deletePatient
+);
 
 export default router;
@@ -0,0 +1,15 @@
+import express from "express";
+import searchController from "../controllers/searchController.js";
+import { authenticateToken } from "../middleware/auth.js";
+import { requireSystemAdmin } from "../middleware/permissions.js";
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Search patients, notes, assessments, documents, transcripts and messages
+router.get("/", searchController.search);
+
+// Rebuild the index for every tenant (system administrators only)
+router.post("/reindex", requireSystemAdmin, searchController.reindex);
+
+export default router;
@@ -3,6 +3,7 @@ import multer from "multer";
 import { dirname, join } from "path";
 import { fileURLToPath } from "url";
 import { authenticateToken } from "../middleware/auth.js";
+import { authorize, authorizePatient } from "../middleware/permissions.js";
 import {
   uploadFile,
   getAllFiles,
@@ -10,6 +11,7 @@ import {
   downloadFile,
   updateFile,
   deleteFile,
+  extractFile,
 } from "../controllers/uploadController.js";
 
 const router = express.Router();
@@ -55,13 +57,21 @@ const fileFilter = (req, file, cb) => {
     // JSON files
     "application/json",
     
+    // Scanned documents and faxes (OCR)
+    "image/png",
+    "image/jpeg",
+    "image/tiff",
+    "image/bmp",
+    "image/webp",
+    
     // Generic binary type (for files that browsers can't properly detect)
     "application/octet-stream"
   ];
   
   // Define allowed file extensions for when MIME type detection fails
   const allowedExtensions = [
-    'pdf', 'doc', 'docx', 'txt', 'csv', 'xls', 'xlsx', 'html', 'htm', 'json'
+    'pdf', 'doc', 'docx', 'txt', 'csv', 'xls', 'xlsx', 'html', 'htm', 'json',
+    'png', 'jpg', 'jpeg', 'tif', 'tiff', 'bmp', 'webp'
   ];
   
   // Check if file is allowed by MIME type or extension
@@ -73,7 +83,7 @@ const fileFilter = (req, file, cb) => {
   } else {
     cb(
       new Error(
-        `Unsupported file type: ${file.mimetype} (.${fileExtension}). Please upload PDF, DOCX, DOC, TXT, CSV, XLSX, XLS, HTML, or JSON files only.`
+        `Unsupported file type: ${file.mimetype} (.${fileExtension}). Please upload PDF, DOCX, DOC, TXT, CSV, XLSX, XLS, HTML, JSON or scanned image (PNG, JPEG, TIFF) files only.`
       ),
       false
     );
@@ -89,16 +99,29 @@ const upload = multer({
   },
 });
 
-// Apply authentication middleware to all routes
-router.use(authenticateToken);
+// Apply authentication and document permissions to all routes
+router.use(authenticateToken, authorize("documents"));
+
+// Files may name a patient; it must be one the user can access
+const bodyPatientId = (req) => req.body?.patientId;
 
 // Routes
-router.post("/", upload.single("file"), uploadFile);
+router.post(
+  "/",
+  upload.single("file"),
+  authorizePatient(bodyPatientId, { optional: true }),
+  uploadFile
+);
 router.get("/", getAllFiles);
 router.get("/:id", getFileById);
 router.get("/download/:id", downloadFile);
 router.get("/view/:id", downloadFile); // Uses same function but serves files inline for viewing
-router.patch("/:id", updateFile);
+router.patch(
+  "/:id",
+  authorizePatient(bodyPatientId, { optional: true }),
+  updateFile
+);
+router.post("/:id/extract", extractFile); // Re-run text extraction
 router.delete("/:id", deleteFile);
 
 export default router;
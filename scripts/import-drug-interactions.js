@@ -0,0 +1,55 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import path from "path";
+import drugInteractionKB from "../services/nursing/DrugInteractionKnowledgeBase.js";
+
+dotenv.config();
+
+// Usage:
+//   node scripts/import-drug-interactions.js <dataset.json> [--activate]
+//   node scripts/import-drug-interactions.js --activate-version <version>
+//   node scripts/import-drug-interactions.js --list
+
+async function main() {
+  const args = process.argv.slice(2);
+  const mongoURI = process.env.MONGODB_URI || "mongodb://localhost:27017/jawbreakers";
+  await mongoose.connect(mongoURI);
+
+  if (args.includes("--list")) {
+    const datasets = await drugInteractionKB.listDatasets();
+    for (const d of datasets) {
+      console.log(
+        `${d.active ? "*" : " "} ${d.version}  ${d.drugCount} drugs  ${d.interactionCount} interactions  imported ${d.importedAt.toISOString()}`
+      );
+    }
+    return;
+  }
+
+  const activateIndex = args.indexOf("--activate-version");
+  if (activateIndex !== -1) {
+    const version = args[activateIndex + 1];
+    const result = await drugInteractionKB.activateDataset(version);
+    console.log(`✅ Activated drug interaction dataset ${result.version}`);
+    return;
+  }
+
+  const file = args.find((arg) => !arg.startsWith("--"));
+  if (!file) {
+    throw new Error("Dataset file path is required");
+  }
+
+  const result = await drugInteractionKB.importDatasetFile(path.resolve(file), {
+    activate: args.includes("--activate"),
+    importedBy: process.env.USER || "cli",
+  });
+  console.log(
+    `✅ Imported drug interaction dataset ${result.version} (${result.drugCount} drugs, ${result.interactionCount} interactions)${result.active ? ", active" : ""}`
+  );
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,53 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import path from "path";
+import clinicalGuidelineLibrary from "../services/nursing/ClinicalGuidelineLibrary.js";
+
+dotenv.config();
+
+// Usage:
+//   node scripts/import-guidelines.js <package.md|package.json|directory>
+//   node scripts/import-guidelines.js --retire-superseded
+//   node scripts/import-guidelines.js --list [key]
+
+async function main() {
+  const args = process.argv.slice(2);
+  const mongoURI = process.env.MONGODB_URI || "mongodb://localhost:27017/jawbreakers";
+  await mongoose.connect(mongoURI);
+
+  if (args.includes("--list")) {
+    const key = args.find((arg) => !arg.startsWith("--"));
+    const guidelines = await clinicalGuidelineLibrary.list({ key });
+    for (const g of guidelines) {
+      console.log(
+        `${g.status.padEnd(10)} ${g.key} ${g.version}  ${g.organization}  effective ${g.effectiveDate.toISOString().slice(0, 10)}${g.retiredReason ? `  (${g.retiredReason})` : ""}`
+      );
+    }
+    return;
+  }
+
+  if (args.includes("--retire-superseded")) {
+    const result = await clinicalGuidelineLibrary.retireSuperseded();
+    console.log(`✅ ${result.activated} guideline version(s) activated, ${result.superseded} superseded`);
+    return;
+  }
+
+  const target = args.find((arg) => !arg.startsWith("--"));
+  if (!target) {
+    throw new Error("Guideline package file or directory is required");
+  }
+
+  const results = await clinicalGuidelineLibrary.importPath(path.resolve(target), {
+    importedBy: process.env.USER || "cli",
+  });
+  for (const r of results) {
+    console.log(`${r.imported ? "✅ Imported" : "   Unchanged"} ${r.key} ${r.version} (${r.status})`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,46 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+
+dotenv.config();
+
+// Record a user's verified clinical credential (User.clinicalCredential),
+// which decides whether their SOAP note signatures need a co-signature and
+// whether they may co-sign others' notes. Verify the licence first.
+//
+// Usage:
+//   node scripts/set-clinical-credential.js <email> <credential>
+//   node scripts/set-clinical-credential.js <email> --clear
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [email, credential] = args.filter((arg) => !arg.startsWith("--"));
+  if (!email || (!credential && !args.includes("--clear"))) {
+    throw new Error("User email and credential (or --clear) are required");
+  }
+
+  const allowed = User.schema.path("clinicalCredential").enumValues.filter(Boolean);
+  if (credential && !allowed.includes(credential)) {
+    throw new Error(`Credential must be one of ${allowed.join(", ")}`);
+  }
+
+  const mongoURI = process.env.MONGODB_URI || "mongodb://localhost:27017/jawbreakers";
+  await mongoose.connect(mongoURI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { $set: { clinicalCredential: credential || null } },
+    { new: true }
+  );
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+  console.log(`✅ ${user.email} credential: ${user.clinicalCredential || "none"}`);
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,50 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+
+dotenv.config();
+
+// Grant or revoke the system administrator role (User.role), which manages
+// cross-tenant operations such as background jobs and the search index.
+//
+// Usage:
+//   node scripts/set-system-admin.js <email>
+//   node scripts/set-system-admin.js <email> --revoke
+//   node scripts/set-system-admin.js --list
+
+async function main() {
+  const args = process.argv.slice(2);
+  const mongoURI = process.env.MONGODB_URI || "mongodb://localhost:27017/jawbreakers";
+  await mongoose.connect(mongoURI);
+
+  if (args.includes("--list")) {
+    const admins = await User.find({ role: "admin" }).select("email name").lean();
+    for (const u of admins) {
+      console.log(`${u.email}  ${u.name || ""}`);
+    }
+    return;
+  }
+
+  const email = args.find((arg) => !arg.startsWith("--"));
+  if (!email) {
+    throw new Error("User email is required");
+  }
+
+  const role = args.includes("--revoke") ? "user" : "admin";
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { $set: { role } },
+    { new: true }
+  );
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+  console.log(`✅ ${user.email} is ${role === "admin" ? "now a system administrator" : "no longer a system administrator"}`);
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
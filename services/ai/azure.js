@@ -0,0 +1,18 @@
+import azureOpenAIService from "../azureOpenAIService.js";
+
+// azureOpenAIService.chatWithAI builds its own clinical system prompt and
+// returns canned text when unconfigured, so configuration is checked here
+// rather than trusting a non-empty answer. It is handed the raw `prompt`
+// (task prompt or chat message) instead of the pre-built `user` prompt.
+export default {
+  name: "azure-openai",
+  isConfigured: () => Boolean(azureOpenAIService.apiKey && azureOpenAIService.fullEndpoint),
+  model: () => ({
+    provider: "azure-openai",
+    name: azureOpenAIService.deploymentName,
+    temperature: 0.2
+  }),
+  run: ({ prompt, inputContext }) => azureOpenAIService.chatWithAI(prompt, inputContext),
+  stream: ({ prompt, inputContext, signal }) =>
+    azureOpenAIService.streamChatWithAI(prompt, inputContext, { signal })
+};
@@ -0,0 +1,104 @@
+// Clinical vocabulary used to pick entities out of AI output.
+// Lists are intentionally conservative: a term missing here is simply not
+// checked, while a noisy term would flood clinicians with false flags.
+
+export const DRUG_NAMES = [
+  "acetaminophen", "albuterol", "allopurinol", "alprazolam", "amiodarone", "amlodipine",
+  "amoxicillin", "ampicillin", "apixaban", "aripiprazole", "aspirin", "atenolol",
+  "atorvastatin", "azithromycin", "baclofen", "bumetanide", "buprenorphine", "bupropion",
+  "captopril", "carbamazepine", "carvedilol", "cefazolin", "ceftriaxone", "cephalexin",
+  "cetirizine", "ciprofloxacin", "citalopram", "clonazepam", "clonidine", "clopidogrel",
+  "cyclobenzaprine", "dabigatran", "dexamethasone", "diazepam", "diclofenac", "digoxin",
+  "diltiazem", "diphenhydramine", "docusate", "donepezil", "doxycycline", "duloxetine",
+  "enalapril", "enoxaparin", "escitalopram", "esomeprazole", "famotidine", "fentanyl",
+  "ferrous sulfate", "fluconazole", "fluoxetine", "folic acid", "furosemide", "gabapentin",
+  "glimepiride", "glipizide", "glyburide", "haloperidol", "heparin", "hydralazine",
+  "hydrochlorothiazide", "hydrocodone", "hydromorphone", "ibuprofen", "insulin",
+  "insulin glargine", "insulin lispro", "ipratropium", "isosorbide", "ketorolac",
+  "labetalol", "lamotrigine", "lansoprazole", "levetiracetam", "levofloxacin",
+  "levothyroxine", "lisinopril", "lithium", "loratadine", "lorazepam", "losartan",
+  "magnesium oxide", "meclizine", "meloxicam", "memantine", "metformin", "methadone",
+  "methotrexate", "methylprednisolone", "metoclopramide", "metolazone", "metoprolol",
+  "metronidazole", "mirtazapine", "montelukast", "morphine", "naloxone", "naproxen",
+  "nifedipine", "nitrofurantoin", "nitroglycerin", "olanzapine", "omeprazole",
+  "ondansetron", "oxybutynin", "oxycodone", "pantoprazole", "paroxetine", "penicillin",
+  "phenytoin", "pioglitazone", "potassium chloride", "pravastatin", "prednisone",
+  "pregabalin", "promethazine", "propranolol", "quetiapine", "ramipril", "ranitidine",
+  "risperidone", "rivaroxaban", "rosuvastatin", "senna", "sertraline", "simvastatin",
+  "sitagliptin", "spironolactone", "sulfamethoxazole", "tamsulosin", "tiotropium",
+  "topiramate", "torsemide", "tramadol", "trazodone", "valproate", "valsartan",
+  "vancomycin", "venlafaxine", "verapamil", "warfarin", "zolpidem",
+];
+
+// Drug-class suffixes for names not in DRUG_NAMES (e.g. "bisoprolol")
+export const DRUG_SUFFIXES = [
+  "olol", "pril", "sartan", "statin", "prazole", "tidine", "cillin", "mycin",
+  "floxacin", "cycline", "azole", "gliptin", "gliflozin", "parin", "xaban",
+  "oxetine", "azepam", "azolam", "triptan", "dipine", "semide", "thiazide",
+];
+
+// Diagnosis terms grouped by synonym; any member grounds the whole group
+export const DIAGNOSIS_SYNONYMS = [
+  ["heart failure", "chf", "congestive heart failure", "hfref", "hfpef"],
+  ["copd", "chronic obstructive pulmonary disease", "emphysema"],
+  ["diabetes", "diabetes mellitus", "dm2", "t2dm", "type 2 diabetes", "type 1 diabetes", "iddm", "niddm"],
+  ["hypertension", "htn", "high blood pressure"],
+  ["atrial fibrillation", "afib", "a-fib"],
+  ["myocardial infarction", "mi", "heart attack", "stemi", "nstemi"],
+  ["coronary artery disease", "cad"],
+  ["stroke", "cva", "cerebrovascular accident"],
+  ["transient ischemic attack", "tia"],
+  ["deep vein thrombosis", "dvt"],
+  ["pulmonary embolism"],
+  ["pneumonia"],
+  ["sepsis", "septic shock"],
+  ["urinary tract infection", "uti"],
+  ["cellulitis"],
+  ["acute kidney injury", "aki", "acute renal failure"],
+  ["chronic kidney disease", "ckd"],
+  ["dementia", "alzheimer's disease", "alzheimer disease"],
+  ["depression", "major depressive disorder", "mdd"],
+  ["anxiety", "generalized anxiety disorder", "gad"],
+  ["asthma"],
+  ["osteoarthritis", "oa"],
+  ["rheumatoid arthritis"],
+  ["osteoporosis"],
+  ["hypothyroidism"],
+  ["hyperthyroidism"],
+  ["anemia"],
+  ["hyperlipidemia", "hld", "dyslipidemia", "high cholesterol"],
+  ["pressure injury", "pressure ulcer", "decubitus ulcer"],
+  ["delirium"],
+  ["hip fracture"],
+  ["cancer", "malignancy", "carcinoma"],
+];
+
+// Lab names grouped by synonym
+export const LAB_SYNONYMS = [
+  ["creatinine", "cr", "scr"],
+  ["bun", "blood urea nitrogen"],
+  ["egfr", "gfr"],
+  ["potassium", "k"],
+  ["sodium", "na"],
+  ["chloride"],
+  ["bicarbonate", "hco3", "co2"],
+  ["glucose", "blood glucose", "bg"],
+  ["hemoglobin a1c", "a1c", "hba1c"],
+  ["hemoglobin", "hgb", "hb"],
+  ["hematocrit", "hct"],
+  ["wbc", "white blood cell count", "white count"],
+  ["platelets", "plt", "platelet count"],
+  ["inr"],
+  ["troponin"],
+  ["bnp", "nt-probnp"],
+  ["lactate", "lactic acid"],
+  ["alt"],
+  ["ast"],
+  ["bilirubin"],
+  ["albumin"],
+  ["tsh"],
+  ["magnesium", "mg"],
+  ["calcium", "ca"],
+];
+
+export const DOSE_UNITS = ["mg", "mcg", "g", "units", "unit", "ml", "meq", "iu", "mg/kg", "mcg/hr", "mg/hr"];
@@ -0,0 +1,189 @@
+import OpenAI from "openai";
+import axios from "axios";
+import fetch from "node-fetch";
+
+// Embedding providers for document retrieval (services/documentRetrievalService.js).
+//
+// A provider is a plain object:
+//   {
+//     name: "openai",
+//     isConfigured: () => boolean,
+//     model: () => string,
+//     embed: async (texts: string[]) => number[][]
+//   }
+//
+// EMBEDDING_PROVIDER picks one (local, openai, azure-openai, ollama); the
+// default is "local", a hashed bag-of-words model that needs no network or
+// model files, so tests and offline installs get deterministic vectors.
+// Chunks record the provider and model that embedded them and are
+// re-embedded when either changes.
+
+const DEFAULT_PROVIDER = "local";
+const LOCAL_DIMENSIONS = 512;
+const BATCH_SIZE = 64;
+
+const providers = new Map();
+
+export function registerEmbeddingProvider(provider) {
+  if (!provider || !provider.name || typeof provider.embed !== "function") {
+    throw new Error("Embedding provider must have a name and an embed() function");
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+export function unregisterEmbeddingProvider(name) {
+  return providers.delete(name);
+}
+
+/**
+ * The configured provider. Throws if it is unknown or missing its settings,
+ * rather than silently embedding with a different model.
+ */
+export function getEmbeddingProvider() {
+  const name = process.env.EMBEDDING_PROVIDER || DEFAULT_PROVIDER;
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown embedding provider "${name}"`);
+  }
+  if (provider.isConfigured && !provider.isConfigured()) {
+    throw new Error(`Embedding provider "${name}" is not configured`);
+  }
+  return provider;
+}
+
+// Identifies the vector space a chunk was embedded in
+export const embeddingModelId = (provider) => `${provider.name}:${provider.model()}`;
+
+/**
+ * Embed texts with the configured provider, in batches.
+ * @returns {Promise<{model: string, vectors: number[][]}>}
+ */
+export async function embedTexts(texts) {
+  const provider = getEmbeddingProvider();
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+    const batch = texts.slice(i, i + BATCH_SIZE);
+    const embedded = await provider.embed(batch);
+    if (!Array.isArray(embedded) || embedded.length !== batch.length) {
+      throw new Error(`Embedding provider "${provider.name}" returned ${embedded?.length} vectors for ${batch.length} texts`);
+    }
+    vectors.push(...embedded.map(normalize));
+  }
+  return { model: embeddingModelId(provider), vectors };
+}
+
+export function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map((value) => value / norm) : vector;
+}
+
+// Dot product; vectors from embedTexts are unit length, so this is cosine similarity
+export function similarity(a, b) {
+  let sum = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// ===== Local hashed bag-of-words =====
+
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const stem = (word) => (word.length > 4 ? word.replace(/(ies|es|s|ing|ed|ly)$/, "") : word);
+
+/**
+ * Feature-hashed term vector: stemmed words and adjacent word pairs, with
+ * log-scaled counts and a hash-derived sign to offset collisions.
+ */
+export function hashEmbedding(text, dimensions = LOCAL_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((word) => word.length > 1)
+    .map(stem);
+  const counts = new Map();
+  words.forEach((word, i) => {
+    counts.set(word, (counts.get(word) || 0) + 1);
+    if (i > 0) counts.set(`${words[i - 1]} ${word}`, (counts.get(`${words[i - 1]} ${word}`) || 0) + 0.5);
+  });
+  for (const [feature, count] of counts) {
+    const hash = fnv1a(feature);
+    vector[hash % dimensions] += (hash & 0x80000000 ? -1 : 1) * (1 + Math.log(count + 1));
+  }
+  return vector;
+}
+
+registerEmbeddingProvider({
+  name: "local",
+  isConfigured: () => true,
+  model: () => `hash-${LOCAL_DIMENSIONS}`,
+  embed: async (texts) => texts.map((text) => hashEmbedding(text)),
+});
+
+// ===== Hosted models =====
+
+registerEmbeddingProvider({
+  name: "openai",
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  model: () => process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small",
+  embed: async (texts) => {
+    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const resp = await client.embeddings.create({
+      model: process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small",
+      input: texts,
+    });
+    return resp.data.sort((a, b) => a.index - b.index).map((item) => item.embedding);
+  },
+});
+
+registerEmbeddingProvider({
+  name: "azure-openai",
+  isConfigured: () =>
+    Boolean(
+      process.env.AZURE_OPENAI_API_KEY &&
+        process.env.AZURE_OPENAI_ENDPOINT &&
+        process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT
+    ),
+  model: () => process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT,
+  embed: async (texts) => {
+    const endpoint = process.env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, "");
+    const apiVersion = process.env.AZURE_OPENAI_API_VERSION || "2024-02-15-preview";
+    const resp = await axios.post(
+      `${endpoint}/openai/deployments/${process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT}/embeddings?api-version=${apiVersion}`,
+      { input: texts },
+      {
+        headers: { "api-key": process.env.AZURE_OPENAI_API_KEY, "Content-Type": "application/json" },
+        timeout: 60000,
+      }
+    );
+    return resp.data.data.sort((a, b) => a.index - b.index).map((item) => item.embedding);
+  },
+});
+
+// Local model served by Ollama, e.g. `ollama pull nomic-embed-text`
+registerEmbeddingProvider({
+  name: "ollama",
+  isConfigured: () => Boolean(process.env.OLLAMA_ENDPOINT),
+  model: () => process.env.OLLAMA_EMBEDDING_MODEL || "nomic-embed-text",
+  embed: async (texts) => {
+    const r = await fetch(`${process.env.OLLAMA_ENDPOINT}/api/embed`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ model: process.env.OLLAMA_EMBEDDING_MODEL || "nomic-embed-text", input: texts }),
+    });
+    if (!r.ok) {
+      const e = new Error(`Ollama embedding request failed (${r.status})`);
+      e.status = r.status;
+      throw e;
+    }
+    const json = await r.json();
+    return json.embeddings;
+  },
+});
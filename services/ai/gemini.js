@@ -0,0 +1,15 @@
+import { generateContent, generateContentStream } from "../geminiService.js";
+
+const GEMINI_MODEL = "gemini-1.5-flash";
+
+export default {
+  name: "gemini",
+  isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+  model: () => ({
+    provider: "gemini",
+    name: GEMINI_MODEL,
+    temperature: 0.2
+  }),
+  run: ({ user }) => generateContent(user, { model: GEMINI_MODEL }),
+  stream: ({ user, signal }) => generateContentStream(user, { model: GEMINI_MODEL, signal })
+};
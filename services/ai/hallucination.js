@@ -1,30 +1,316 @@
-export function checkHallucinations(output, ctx) {
-  const flags = [];
-  const text = (output || "").toLowerCase();
-  
-  const whitelist = [
-    ...(ctx.allergies || []).map(a => a.toLowerCase()),
-    ...(ctx.medications || []).map(m => (m.name || "").toLowerCase())
-  ];
-  
-  // naive: if it mentions 'penicillin' but not in context, flag (example)
-  ["penicillin", "warfarin", "heparin", "insulin", "metformin"].forEach(term => {
-    if (text.includes(term) && !whitelist.includes(term)) {
-      flags.push({ 
-        reason: `mentions ${term} not in context`, 
-        span: term 
-      });
+import {
+  DRUG_NAMES,
+  DRUG_SUFFIXES,
+  DIAGNOSIS_SYNONYMS,
+  LAB_SYNONYMS,
+  DOSE_UNITS
+} from "./clinicalTerms.js";
+
+// Entity-grounded hallucination checker.
+//
+// Medications, doses, allergies, diagnoses, lab values and dates are
+// extracted from the AI output and each one is looked up in the input
+// context (the patient's documents plus the structured allergy/medication
+// lists). Anything that cannot be found is flagged with its character
+// offsets in the output and a severity:
+//   critical  contradicts the record in a way that can harm (e.g. NKDA when allergies exist,
+//             or a medication the patient is recorded as allergic to)
+//   high      medication, dose, allergy, lab value or ICD code absent from / different to the source
+//   medium    diagnosis or date absent from the source
+//
+// Each flag: { type, span, start, end, severity, reason, documentId?, sourceValues? }
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Longest alternatives first so "insulin glargine" wins over "insulin"
+const alternation = (terms) =>
+  [...new Set(terms)]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join("|");
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const UNIT_PATTERN = alternation(DOSE_UNITS);
+const DOSE_RE = new RegExp(`^[\\s:,-]{0,3}(\\d+(?:\\.\\d+)?)\\s?(${UNIT_PATTERN})\\b`, "i");
+const NUMBER_AFTER_RE = /^\s*(?:level\s*)?(?:of|is|was|at|=|:)?\s*(-?\d+(?:\.\d+)?)/i;
+const ICD10_RE = /\b[A-TV-Z]\d{2}\.\d{1,4}\b/g;
+const DATE_RES = [
+  /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g,
+  /\b(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/g,
+  /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/gi
+];
+
+// Short abbreviations ("K", "Na", "MI") only count when capitalised, so
+// ordinary words and dose units are not mistaken for entities.
+const isShortAlias = (term) => term.length <= 3;
+const capitalisedEnough = (matched) => /^[A-Z]/.test(matched);
+
+function toText(value) {
+  if (value == null) return "";
+  if (typeof value === "string") return value;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    return value.name || value.substance || value.drugName || value.medication || "";
+  }
+  return String(value);
+}
+
+// Accepts plain strings or the Patient sub-document shapes
+// ({ name, dosage } for medications, { substance } for allergies)
+function normaliseList(list) {
+  return (Array.isArray(list) ? list : [])
+    .map((item) => {
+      if (item && typeof item === "object" && !(item instanceof Date)) {
+        const parts = [toText(item), item.dose, item.dosage, item.reaction].filter(Boolean);
+        return parts.join(" ");
+      }
+      return toText(item);
+    })
+    .filter(Boolean);
+}
+
+function buildSources(ctx = {}) {
+  const sources = (ctx.documents || [])
+    .filter((d) => d && d.text)
+    .map((d) => ({ id: d.id ? String(d.id) : null, text: String(d.text) }));
+
+  const allergies = normaliseList(ctx.allergies);
+  const medications = normaliseList(ctx.medications || ctx.currentMedications);
+  const conditions = normaliseList(ctx.conditions);
+
+  if (medications.length) sources.push({ id: "medications", text: `Medications: ${medications.join("; ")}` });
+  if (conditions.length) sources.push({ id: "conditions", text: `Conditions: ${conditions.join("; ")}` });
+
+  const demo = ctx.demographics || {};
+  const demoText = [demo.name, toText(demo.dob), demo.sex].filter(Boolean).join(" ");
+  if (demoText) sources.push({ id: "demographics", text: demoText });
+
+  // Kept apart from the other sources: an allergy grounds allergy statements,
+  // never a medication, a diagnosis or a date
+  const allergySources = allergies.length
+    ? [{ id: "allergies", text: `Allergies: ${allergies.join("; ")}` }]
+    : [];
+  const allergyNames = (Array.isArray(ctx.allergies) ? ctx.allergies : []).map(toText).filter(Boolean);
+  return { sources, allergySources, allergies: allergyNames };
+}
+
+function findTerm(sources, term) {
+  const re = new RegExp(`\\b${escapeRegExp(term)}\\b`, "gi");
+  const hits = [];
+  for (const source of sources) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(source.text))) {
+      if (isShortAlias(term) && !capitalisedEnough(m[0])) continue;
+      hits.push({ source, index: m.index, end: m.index + m[0].length });
+    }
+  }
+  return hits;
+}
+
+function scan(re, text, fn) {
+  re.lastIndex = 0;
+  let m;
+  while ((m = re.exec(text))) fn(m);
+}
+
+function normaliseDate(parts, format) {
+  let year;
+  let month;
+  let day;
+  if (format === 0) [year, month, day] = parts;
+  else if (format === 1) {
+    [month, day, year] = parts;
+    if (year.length === 2) year = `20${year}`;
+  } else {
+    month = MONTHS.indexOf(parts[0].slice(0, 3).toLowerCase()) + 1;
+    [, day, year] = parts;
+  }
+  const mm = String(month).padStart(2, "0");
+  const dd = String(day).padStart(2, "0");
+  return `${year}-${mm}-${dd}`;
+}
+
+function extractDates(text) {
+  const dates = [];
+  DATE_RES.forEach((re, format) => {
+    scan(re, text, (m) => {
+      dates.push({ value: normaliseDate(m.slice(1), format), start: m.index, end: m.index + m[0].length, text: m[0] });
+    });
+  });
+  return dates;
+}
+
+const sameNumber = (a, b) => Math.abs(Number(a) - Number(b)) < 1e-9;
+
+function flag(flags, type, m, severity, reason, extra = {}) {
+  const start = m.start ?? m.index;
+  const span = m.text ?? m[0];
+  // One flag per span: the first (most specific) check wins
+  if (flags.some((f) => start < f.end && f.start < start + span.length)) return;
+  flags.push({ type, span, start, end: start + span.length, severity, reason, ...extra });
+}
+
+function checkMedications(output, sources, allergySources, statements, flags) {
+  const drugRe = new RegExp(
+    `\\b(?:${alternation(DRUG_NAMES)}|[a-z]{3,}(?:${alternation(DRUG_SUFFIXES)}))\\b`,
+    "gi"
+  );
+
+  scan(drugRe, output, (m) => {
+    const name = m[0];
+    const inAllergyStatement = statements.some(
+      ({ start, text }) => m.index >= start && m.index < start + text.length
+    );
+    if (inAllergyStatement) return;
+    if (findTerm(allergySources, name).length) {
+      flag(flags, "medication", m, "critical", `medication "${name}" matches a recorded allergy`);
+      return;
+    }
+
+    const hits = findTerm(sources, name);
+    if (!hits.length) {
+      flag(flags, "medication", m, "high", `medication "${name}" not found in patient context`);
+      return;
+    }
+
+    const after = output.slice(m.index + name.length, m.index + name.length + 20);
+    const dose = after.match(DOSE_RE);
+    if (!dose) return;
+
+    const [, amount, unit] = dose;
+    const doseGrounded = hits.some(({ source, end }) => {
+      const window = source.text.slice(end, end + 60);
+      const re = new RegExp(`(\\d+(?:\\.\\d+)?)\\s?${escapeRegExp(unit)}\\b`, "gi");
+      let d;
+      while ((d = re.exec(window))) {
+        if (sameNumber(d[1], amount)) return true;
+      }
+      return false;
+    });
+
+    if (!doseGrounded) {
+      const doseText = `${name}${after.slice(0, dose.index + dose[0].length)}`;
+      flag(
+        flags,
+        "dose",
+        { start: m.index, text: doseText },
+        "high",
+        `dose ${amount} ${unit} for ${name} not found in patient context`
+      );
     }
   });
-  
-  return flags;
 }
 
+function checkLabs(output, sources, flags) {
+  for (const group of LAB_SYNONYMS) {
+    const re = new RegExp(`\\b(?:${alternation(group)})\\b`, "gi");
+    scan(re, output, (m) => {
+      if (isShortAlias(m[0]) && !capitalisedEnough(m[0])) return;
+      const value = output.slice(m.index + m[0].length).match(NUMBER_AFTER_RE);
+      if (!value) return;
 
+      const claim = { start: m.index, text: output.slice(m.index, m.index + m[0].length + value[0].length) };
+      const sourceValues = [];
+      let documentId = null;
+      for (const term of group) {
+        for (const hit of findTerm(sources, term)) {
+          const v = hit.source.text.slice(hit.end).match(NUMBER_AFTER_RE);
+          if (v) {
+            sourceValues.push(Number(v[1]));
+            documentId = documentId || hit.source.id;
+          }
+        }
+      }
 
+      if (sourceValues.some((v) => sameNumber(v, value[1]))) return;
+      if (sourceValues.length) {
+        flag(flags, "lab_value", claim, "high",
+          `${group[0]} ${value[1]} does not match source value(s) ${[...new Set(sourceValues)].join(", ")}`,
+          { documentId, sourceValues: [...new Set(sourceValues)] });
+      } else {
+        flag(flags, "lab_value", claim, "high", `${group[0]} value ${value[1]} not found in patient context`);
+      }
+    });
+  }
+}
 
+// "allergy to X" / "X allergy" statements, with the substance's offsets
+function allergyStatements(output) {
+  const allergyRe = /\ballerg(?:y|ies|ic)\s+to\s+([a-z][a-z-]+(?:\s[a-z][a-z-]+)?)|\b([a-z][a-z-]+)\s+allergy\b/gi;
+  const statements = [];
+  scan(allergyRe, output, (m) => {
+    const substance = (m[1] || m[2]).toLowerCase();
+    if (["no", "known", "drug", "food", "an", "the", "any"].includes(substance)) return;
+    const offset = m[0].toLowerCase().indexOf(substance);
+    statements.push({ substance, start: m.index + offset, text: m[0].slice(offset, offset + substance.length) });
+  });
+  return statements;
+}
 
+function checkAllergies(output, sources, allergies, statements, flags) {
+  const nkda = /\b(?:NKDA|NKA|no known (?:drug )?allergies)\b/gi;
+  scan(nkda, output, (m) => {
+    if (allergies.length) {
+      flag(flags, "allergy", m, "critical",
+        `states no known allergies but record lists: ${allergies.join(", ")}`);
+    }
+  });
 
+  for (const statement of statements) {
+    const firstWord = statement.substance.split(/\s/)[0];
+    if (findTerm(sources, firstWord).length) continue;
+    flag(flags, "allergy", statement, "high",
+      `allergy to "${statement.substance}" not found in patient context`);
+  }
+}
 
+function checkDiagnoses(output, sources, flags) {
+  for (const group of DIAGNOSIS_SYNONYMS) {
+    const re = new RegExp(`\\b(?:${alternation(group)})\\b`, "gi");
+    scan(re, output, (m) => {
+      if (isShortAlias(m[0]) && m[0] !== m[0].toUpperCase()) return;
+      if (group.some((term) => findTerm(sources, term).length)) return;
+      flag(flags, "diagnosis", m, "medium", `diagnosis "${m[0]}" not found in patient context`);
+    });
+  }
 
+  scan(ICD10_RE, output, (m) => {
+    if (sources.some((s) => s.text.includes(m[0]))) return;
+    flag(flags, "diagnosis", m, "high", `ICD-10 code ${m[0]} not found in patient context`);
+  });
+}
 
+function checkDates(output, sources, flags) {
+  const known = new Set(sources.flatMap((s) => extractDates(s.text).map((d) => d.value)));
+  for (const date of extractDates(output)) {
+    if (!known.has(date.value)) {
+      flag(flags, "date", date, "medium", `date ${date.text} not found in patient context`);
+    }
+  }
+}
+
+/**
+ * Check AI output against the context it was generated from.
+ * @param {string} output - AI generated text
+ * @param {Object} ctx - { documents: [{ id, text }], allergies, medications, demographics }
+ * @returns {Array<Object>} Flags ordered by position in the output
+ */
+export function checkHallucinations(output, ctx = {}) {
+  const text = typeof output === "string" ? output : JSON.stringify(output || "");
+  if (!text) return [];
+
+  const { sources, allergySources, allergies } = buildSources(ctx);
+  const flags = [];
+
+  // Order matters: more specific checks claim their spans first
+  const statements = allergyStatements(text);
+  checkAllergies(text, [...sources, ...allergySources], allergies, statements, flags);
+  checkLabs(text, sources, flags);
+  checkMedications(text, sources, allergySources, statements, flags);
+  checkDiagnoses(text, sources, flags);
+  checkDates(text, sources, flags);
+
+  return flags.sort((a, b) => a.start - b.start);
+}
@@ -1,115 +1,303 @@
-import { runOpenAI } from "./openai.js";
-import { runOllama } from "./ollama.js";
+import openaiProvider from "./openai.js";
+import ollamaProvider from "./ollama.js";
+import azureProvider from "./azure.js";
+import geminiProvider from "./gemini.js";
 import { checkHallucinations } from "./hallucination.js";
-import { generateContent as runGemini } from "../geminiService.js";
+import {
+  registerProvider,
+  getProvider,
+  resolveProviderOrder,
+  getProviderTimeout,
+  classifyProviderError
+} from "./registry.js";
 import azureOpenAIService from "../azureOpenAIService.js";
+import documentRetrievalService from "../documentRetrievalService.js";
+
+export { registerProvider, unregisterProvider, listProviders } from "./registry.js";
+
+[azureProvider, openaiProvider, geminiProvider, ollamaProvider].forEach(registerProvider);
 
 const SYSTEM_PROMPT = "You are a clinical assistant. Use ONLY the provided patient context. If info is missing, say 'insufficient data in patient record'. Do not invent facts or use outside knowledge. Be concise, structured, and clinically cautious.";
 
-export async function runAiTask({ task, inputContext }) {
-  if (process.env.FEATURE_AI_ENABLED !== "true") {
+// FEATURE_AI_ENABLED gates every AI route, streaming or not
+export function isAiEnabled() {
+  return process.env.FEATURE_AI_ENABLED === "true";
+}
+
+export function assertAiEnabled() {
+  if (!isAiEnabled()) {
     const e = new Error("AI disabled");
     e.status = 503;
     throw e;
   }
-  
-  const taskPrompt = buildTaskPrompt(task, inputContext);
-  let used = null;
-  let output = null;
+}
+
+// Yields the registered, configured providers for a task in routing order,
+// recording why any were skipped in `details`.
+function* eligibleProviders(task, details) {
+  for (const name of resolveProviderOrder(task)) {
+    const provider = getProvider(name);
+    if (!provider) {
+      details[name] = { reason: "not_registered" };
+      continue;
+    }
+    if (provider.isConfigured && !provider.isConfigured()) {
+      details[name] = { reason: "not_configured" };
+      continue;
+    }
+    yield provider;
+  }
+}
+
+function allProvidersFailed(details) {
+  const e = new Error("All AI providers failed or are unavailable");
+  e.status = 503;
+  e.details = details;
+  return e;
+}
+
+/**
+ * Provider failures as sent to clients: one reason code per provider
+ * (timeout, rate_limited, auth, ...). The raw provider messages can name
+ * endpoints, deployments or keys, so they only go to the server log.
+ */
+export function providerReasons(details) {
+  if (!details) return undefined;
+  return Object.fromEntries(
+    Object.entries(details).map(([name, detail]) => [name, detail.reason])
+  );
+}
+
+function linkAbort(signal, controller) {
+  if (!signal) return;
+  if (signal.aborted) controller.abort();
+  else signal.addEventListener("abort", () => controller.abort(), { once: true });
+}
+
+async function runWithTimeout(provider, args, timeoutMs) {
+  const controller = new AbortController();
+  linkAbort(args.signal, controller);
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const e = new Error(`${provider.name} timed out after ${timeoutMs}ms`);
+      e.reason = "timeout";
+      reject(e);
+    }, timeoutMs);
+  });
 
-  // Try Azure OpenAI first (primary service)
   try {
-    console.log("🚀 [AI Service] Using Azure OpenAI as primary service...");
-    output = await azureOpenAIService.chatWithAI(taskPrompt, inputContext);
-    used = { 
-      provider: "azure-openai", 
-      name: "gpt-5-chat", 
-      temperature: 0.2 
-    };
-    console.log("✅ [AI Service] Azure OpenAI response successful");
-  } catch (azureError) {
-    console.warn("⚠️ [AI Service] Azure OpenAI failed, trying fallbacks:", azureError.message);
-    
-    // Fallback to OpenAI if available
-    if (process.env.OPENAI_API_KEY) {
-      try {
-        output = await runOpenAI({ system: SYSTEM_PROMPT, user: taskPrompt });
-        used = { 
-          provider: "openai", 
-          name: process.env.OPENAI_MODEL || "gpt-4o-mini", 
-          temperature: 0.2 
-        };
-        console.log("✅ [AI Service] OpenAI fallback successful");
-      } catch (error) {
-        // If OpenAI hits rate limit, try Gemini as fallback
-        if (error.status === 429 || error.message.includes("quota") || error.message.includes("rate limit")) {
-          console.log("OpenAI rate limited, falling back to Gemini AI...");
-          if (process.env.GEMINI_API_KEY) {
-            try {
-              output = await runGemini(taskPrompt, { model: "gemini-1.5-flash" });
-              used = { 
-                provider: "gemini", 
-                name: "gemini-1.5-flash", 
-                temperature: 0.2 
-              };
-              console.log("✅ [AI Service] Gemini fallback successful");
-            } catch (geminiError) {
-              console.error("Gemini fallback also failed:", geminiError.message);
-              // Continue to other fallbacks
-            }
-          }
-        }
-        
-        // Don't throw error here - let the fallback logic continue
-        console.log("OpenAI failed, continuing with fallback options...");
-      }
+    return await Promise.race([
+      provider.run({ ...args, signal: controller.signal }),
+      timeout
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// For streams the timeout is an idle timeout: it is re-armed on every token,
+// so long answers are not cut off as long as tokens keep arriving. Providers
+// without stream() are run normally and emitted as a single token.
+async function streamWithTimeout(provider, args, timeoutMs, onToken) {
+  const controller = new AbortController();
+  linkAbort(args.signal, controller);
+  let output = "";
+  let timer;
+  let rejectIdle;
+  const idle = new Promise((_, reject) => { rejectIdle = reject; });
+  const arm = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      controller.abort();
+      const e = new Error(`${provider.name} timed out after ${timeoutMs}ms without output`);
+      e.reason = "timeout";
+      rejectIdle(e);
+    }, timeoutMs);
+  };
+
+  const consume = async () => {
+    const providerArgs = { ...args, signal: controller.signal };
+    if (typeof provider.stream !== "function") {
+      output = (await provider.run(providerArgs)) || "";
+      if (output) onToken(output);
+      return;
+    }
+    for await (const token of provider.stream(providerArgs)) {
+      arm();
+      output += token;
+      onToken(token);
     }
+  };
+
+  arm();
+  try {
+    await Promise.race([consume(), idle]);
+    return output;
+  } catch (error) {
+    error.partialOutput = output;
+    throw error;
+  } finally {
+    clearTimeout(timer);
   }
-  
-  // If OpenAI failed or not available, try Gemini
-  if (!output && process.env.GEMINI_API_KEY) {
+}
+
+// Shared fallback loop for streaming. A provider that fails before emitting
+// anything falls through to the next one; once tokens have reached the
+// client the stream cannot be replayed, so a mid-stream failure is fatal.
+async function streamThroughProviders({ task, args, onToken }) {
+  const details = {};
+
+  for (const provider of eligibleProviders(task, details)) {
+    const { name } = provider;
     try {
-      output = await runGemini(taskPrompt, { model: "gemini-1.5-flash" });
-      used = { 
-        provider: "gemini", 
-        name: "gemini-1.5-flash", 
-        temperature: 0.2 
-      };
+      console.log(`🚀 [AI Service] Streaming ${task} from ${name}...`);
+      const output = await streamWithTimeout(provider, args, getProviderTimeout(name), onToken);
+
+      if (!output.trim()) {
+        details[name] = { reason: "empty_response" };
+        continue;
+      }
+
+      console.log(`✅ [AI Service] ${name} stream complete (${output.length} characters)`);
+      return { output, model: provider.model() };
     } catch (error) {
-      console.error("Gemini AI failed:", error.message);
+      if (args.signal?.aborted) {
+        const e = new Error("AI stream aborted by client");
+        e.status = 499;
+        e.reason = "aborted";
+        throw e;
+      }
+
+      const reason = classifyProviderError(error);
+      console.warn(`⚠️ [AI Service] ${name} stream failed (${reason}):`, error.message);
+      details[name] = { reason, message: error.message };
+
+      if (error.partialOutput) {
+        const e = new Error(`${name} failed mid-stream`);
+        e.status = 502;
+        e.details = details;
+        throw e;
+      }
     }
   }
+
+  throw allProvidersFailed(details);
+}
+
+export async function runAiTask({ task, inputContext }) {
+  assertAiEnabled();
   
-  // If still no output, try Ollama
-  if (!output && process.env.OLLAMA_ENDPOINT) {
+  const taskPrompt = buildTaskPrompt(task, inputContext);
+  const details = {};
+
+  for (const provider of eligibleProviders(task, details)) {
+    const { name } = provider;
     try {
-      output = await runOllama({ system: SYSTEM_PROMPT, user: taskPrompt });
-      used = { 
-        provider: "ollama", 
-        name: process.env.OLLAMA_MODEL || "llama3.1:8b", 
-        temperature: 0.2 
-      };
+      console.log(`🚀 [AI Service] Trying ${name} for ${task}...`);
+      const output = await runWithTimeout(
+        provider,
+        { system: SYSTEM_PROMPT, user: taskPrompt, prompt: taskPrompt, task, inputContext },
+        getProviderTimeout(name)
+      );
+
+      if (!output || !String(output).trim()) {
+        details[name] = { reason: "empty_response" };
+        continue;
+      }
+
+      console.log(`✅ [AI Service] ${name} response successful`);
+      const hallucinationFlags = checkHallucinations(output, inputContext);
+      return { output, model: provider.model(), hallucinationFlags };
     } catch (error) {
-      console.error("Ollama failed:", error.message);
+      const reason = classifyProviderError(error);
+      console.warn(`⚠️ [AI Service] ${name} failed (${reason}):`, error.message);
+      details[name] = { reason, message: error.message };
     }
   }
-  
-  // If no AI provider worked, throw our custom error
-  if (!output) {
-    const e = new Error("All AI providers failed or are unavailable");
-    e.status = 503;
-    e.details = {
-      openai: process.env.OPENAI_API_KEY ? "rate_limited" : "not_configured",
-      gemini: process.env.GEMINI_API_KEY ? "rate_limited" : "not_configured",
-      ollama: process.env.OLLAMA_ENDPOINT ? "failed" : "not_configured"
-    };
-    throw e;
-  }
+
+  throw allProvidersFailed(details);
+}
+
+/**
+ * Streaming variant of runAiTask. Tokens are passed to `onToken` as they
+ * arrive; the hallucination check runs once on the complete text.
+ * @returns {Promise<{output, model, hallucinationFlags}>}
+ */
+export async function streamAiTask({ task, inputContext, onToken, signal }) {
+  assertAiEnabled();
+
+  const taskPrompt = buildTaskPrompt(task, inputContext);
+  const { output, model } = await streamThroughProviders({
+    task,
+    args: { system: SYSTEM_PROMPT, user: taskPrompt, prompt: taskPrompt, task, inputContext, signal },
+    onToken
+  });
 
   const hallucinationFlags = checkHallucinations(output, inputContext);
-  return { output, model: used, hallucinationFlags };
+  return { output, model, hallucinationFlags };
+}
+
+// The material a chat reply is grounded in, in the shape checkHallucinations reads
+function chatGroundingContext(chatContext) {
+  const documents = [
+    ...(chatContext.documentContent || []).map(d => ({ id: d.fileId, text: d.content })),
+    ...(chatContext.retrievedChunks || []).map(c => ({ id: c.chunkId, text: c.text })),
+  ];
+  if (chatContext.clinicalInsights?.length) {
+    documents.push({ id: "insights", text: JSON.stringify(chatContext.clinicalInsights) });
+  }
+  if (chatContext.patientData && Object.keys(chatContext.patientData).length) {
+    documents.push({ id: "patientData", text: JSON.stringify(chatContext.patientData) });
+  }
+  if (chatContext.latestSummary) {
+    documents.push({ id: "summary", text: JSON.stringify(chatContext.latestSummary) });
+  }
+  return { documents };
 }
 
+/**
+ * Stream a ChatPanel reply. Uses the Azure chat prompts for every provider
+ * so fallbacks answer with the same instructions; routed as task "chat".
+ * The hallucination check runs once on the complete reply.
+ * @returns {Promise<{output, model, hallucinationFlags}>}
+ */
+export async function streamAiChat({ message, chatContext, onToken, signal }) {
+  assertAiEnabled();
+
+  const { output, model } = await streamThroughProviders({
+    task: "chat",
+    args: {
+      system: azureOpenAIService.buildChatSystemPrompt(),
+      user: azureOpenAIService.buildChatUserPrompt(message, chatContext),
+      prompt: message,
+      task: "chat",
+      inputContext: chatContext,
+      signal
+    },
+    onToken
+  });
+
+  const hallucinationFlags = checkHallucinations(output, chatGroundingContext(chatContext));
+  return { output, model, hallucinationFlags };
+}
+
+const TASK_INSTRUCTIONS = {
+  entity_extraction: "Extract key entities (problems, meds, allergies, dates) strictly from context.",
+  summarization: "Summarize clinically relevant findings only from the documents.",
+  differential_diagnosis: "Provide differential diagnosis ONLY from provided findings; list reasoning and red flags.",
+  treatment_planning: "Draft a cautious treatment plan based on context; note uncertainties.",
+  medication_safety: "Check interactions/contraindications using ONLY meds & allergies in context.",
+  soap_note: "Produce a concise SOAP note from the provided data only."
+};
+
+export function taskInstruction(task) {
+  return TASK_INSTRUCTIONS[task] || "Work strictly within the given patient context.";
+}
+
+// With retrieved excerpts (ctx.excerpts) the documents are listed without
+// their text and the excerpts follow, headed by the chunk ID and page to cite
 function buildTaskPrompt(task, ctx) {
   const baseCtx = JSON.stringify({
     demographics: ctx.demographics,
@@ -119,19 +307,16 @@ function buildTaskPrompt(task, ctx) {
       id: d.id, 
       type: d.type, 
       title: d.title, 
-      text: d.text.slice(0, 4000)
+      ...(ctx.excerpts ? {} : { text: d.text.slice(0, 4000) })
     }))
   });
   
-  const map = {
-    entity_extraction: "Extract key entities (problems, meds, allergies, dates) strictly from context.",
-    summarization: "Summarize clinically relevant findings only from the documents.",
-    differential_diagnosis: "Provide differential diagnosis ONLY from provided findings; list reasoning and red flags.",
-    treatment_planning: "Draft a cautious treatment plan based on context; note uncertainties.",
-    medication_safety: "Check interactions/contraindications using ONLY meds & allergies in context.",
-    soap_note: "Produce a concise SOAP note from the provided data only."
-  };
-  
-  const taskInstr = map[task] || "Work strictly within the given patient context.";
-  return `Task: ${task}\nInstructions: ${taskInstr}\nPatient Context(JSON): ${baseCtx}`;
+  let prompt = `Task: ${task}\nInstructions: ${taskInstruction(task)}\nPatient Context(JSON): ${baseCtx}`;
+  if (ctx.question) {
+    prompt += `\nQuestion: ${ctx.question}`;
+  }
+  if (ctx.excerpts) {
+    prompt += `\nDocument excerpts (cite those you use as [chunk ID, p. N]):\n${documentRetrievalService.formatExcerpts(ctx.excerpts)}`;
+  }
+  return prompt;
 }
@@ -1,28 +1,56 @@
 import fetch from "node-fetch";
+import { readLines } from "./streaming.js";
 
-export async function runOllama({ system, user }) {
+async function requestOllama({ system, user, signal, stream }) {
   const body = { 
     model: process.env.OLLAMA_MODEL || "llama3.1:8b", 
-    prompt: `${system}\n\n${user}` 
+    prompt: `${system}\n\n${user}`,
+    stream
   };
   
   const r = await fetch(`${process.env.OLLAMA_ENDPOINT}/api/generate`, { 
     method: "POST", 
     headers: { "Content-Type": "application/json" }, 
-    body: JSON.stringify(body) 
+    body: JSON.stringify(body),
+    signal
   });
   
-  if (!r.ok) throw new Error("Ollama request failed");
-  
+  if (!r.ok) {
+    const e = new Error(`Ollama request failed (${r.status})`);
+    e.status = r.status;
+    throw e;
+  }
+
+  return r;
+}
+
+export async function runOllama({ system, user, signal }) {
+  const r = await requestOllama({ system, user, signal, stream: false });
   const json = await r.json();
   return json.response || "";
 }
 
+// Ollama streams newline-delimited JSON objects: { response, done }
+export async function* streamOllama({ system, user, signal }) {
+  const r = await requestOllama({ system, user, signal, stream: true });
+
+  for await (const line of readLines(r.body)) {
+    if (!line.trim()) continue;
+    const json = JSON.parse(line);
+    if (json.error) throw new Error(`Ollama error: ${json.error}`);
+    if (json.response) yield json.response;
+    if (json.done) return;
+  }
+}
 
-
-
-
-
-
-
-
+export default {
+  name: "ollama",
+  isConfigured: () => Boolean(process.env.OLLAMA_ENDPOINT),
+  model: () => ({
+    provider: "ollama",
+    name: process.env.OLLAMA_MODEL || "llama3.1:8b",
+    temperature: 0.2
+  }),
+  run: ({ system, user, signal }) => runOllama({ system, user, signal }),
+  stream: ({ system, user, signal }) => streamOllama({ system, user, signal })
+};
@@ -1,23 +1,46 @@
 import OpenAI from "openai";
 
-export async function runOpenAI({ system, user }) {
-  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  
-  const resp = await client.chat.completions.create({
+function createRequest({ system, user }) {
+  return {
     model: process.env.OPENAI_MODEL || "gpt-4o-mini",
     temperature: 0.2,
     messages: [
       { role: "system", content: system }, 
       { role: "user", content: user }
     ]
-  });
+  };
+}
+
+export async function runOpenAI({ system, user, signal }) {
+  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  
+  const resp = await client.chat.completions.create(createRequest({ system, user }), { signal });
   
   return resp.choices?.[0]?.message?.content || "";
 }
 
+export async function* streamOpenAI({ system, user, signal }) {
+  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
+  const stream = await client.chat.completions.create(
+    { ...createRequest({ system, user }), stream: true },
+    { signal }
+  );
 
+  for await (const chunk of stream) {
+    const token = chunk.choices?.[0]?.delta?.content;
+    if (token) yield token;
+  }
+}
 
-
-
-
+export default {
+  name: "openai",
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  model: () => ({
+    provider: "openai",
+    name: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    temperature: 0.2
+  }),
+  run: ({ system, user, signal }) => runOpenAI({ system, user, signal }),
+  stream: ({ system, user, signal }) => streamOpenAI({ system, user, signal })
+};
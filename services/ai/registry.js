@@ -0,0 +1,115 @@
+// Provider registry for runAiTask.
+//
+// A provider is a plain object:
+//   {
+//     name: "openai",
+//     isConfigured: () => boolean,
+//     model: () => ({ provider, name, temperature }),
+//     run: async ({ system, user, prompt, task, inputContext, signal }) => string,
+//     stream: ({ ...same args }) => AsyncIterable<string>   // optional
+//   }
+//
+// `user` is the fully built prompt; `prompt` is the raw task prompt or chat
+// message for providers that wrap it in their own templates.
+//
+// Ordering and routing come from the environment:
+//   AI_PROVIDER_ORDER   comma separated default order
+//   AI_TASK_ROUTES      per-task order, e.g. "medication_safety=azure-openai;soap_note=openai,azure-openai"
+//   AI_PROVIDER_TIMEOUT_MS            default per-provider timeout
+//   AI_PROVIDER_TIMEOUT_<NAME>_MS     override for one provider (AZURE_OPENAI, OPENAI, ...)
+
+const DEFAULT_ORDER = ["azure-openai", "openai", "gemini", "ollama"];
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const providers = new Map();
+
+export function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.run !== "function") {
+    throw new Error("AI provider must have a name and a run() function");
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+export function unregisterProvider(name) {
+  return providers.delete(name);
+}
+
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+export function listProviders() {
+  return Array.from(providers.keys());
+}
+
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function parseTaskRoutes(value) {
+  const routes = {};
+  (value || "")
+    .split(";")
+    .map(s => s.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [task, list] = entry.split("=");
+      if (task && list) routes[task.trim()] = parseList(list);
+    });
+  return routes;
+}
+
+/**
+ * Resolve the ordered provider names to try for a task.
+ * A task route replaces the default order entirely, so a task pinned to
+ * one provider never falls through to the others. Without AI_PROVIDER_ORDER,
+ * providers registered beyond the built-in four are tried last.
+ */
+export function resolveProviderOrder(task) {
+  const routes = parseTaskRoutes(process.env.AI_TASK_ROUTES);
+  if (task && routes[task]) return routes[task];
+
+  const configured = parseList(process.env.AI_PROVIDER_ORDER);
+  if (configured.length) return configured;
+
+  const extras = listProviders().filter(name => !DEFAULT_ORDER.includes(name));
+  return [...DEFAULT_ORDER, ...extras];
+}
+
+export function getProviderTimeout(name) {
+  const key = `AI_PROVIDER_TIMEOUT_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_MS`;
+  const specific = parseInt(process.env[key], 10);
+  if (specific > 0) return specific;
+  const fallback = parseInt(process.env.AI_PROVIDER_TIMEOUT_MS, 10);
+  return fallback > 0 ? fallback : DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * Map a provider error onto a short failure reason for the 503 details.
+ */
+export function classifyProviderError(error) {
+  if (!error) return "failed";
+  if (error.reason) return error.reason;
+
+  const status = error.status || error.statusCode || error.response?.status;
+  const message = (error.message || "").toLowerCase();
+
+  if (error.name === "AbortError" || message.includes("timed out") || error.code === "ECONNABORTED") {
+    return "timeout";
+  }
+  if (status === 429 || message.includes("quota") || message.includes("rate limit")) {
+    return "rate_limited";
+  }
+  if (status === 401 || status === 403 || message.includes("unauthorized") || message.includes("api key")) {
+    return "auth_failed";
+  }
+  if (error.code === "ECONNREFUSED" || error.code === "ENOTFOUND" || error.code === "ECONNRESET") {
+    return "unreachable";
+  }
+  if (status >= 500) return "provider_error";
+  return "failed";
+}
@@ -0,0 +1,38 @@
+// Helpers for consuming provider token streams.
+
+/**
+ * Split a Node readable (or async iterable of Buffers/strings) into lines.
+ * @param {AsyncIterable<Buffer|string>} stream
+ */
+export async function* readLines(stream) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, "");
+      buffer = buffer.slice(newline + 1);
+      yield line;
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+/**
+ * Yield the JSON payload of each `data:` line of an OpenAI-style SSE body,
+ * stopping at the `[DONE]` sentinel.
+ * @param {AsyncIterable<Buffer|string>} stream
+ */
+export async function* readServerSentJSON(stream) {
+  for await (const line of readLines(stream)) {
+    if (!line.startsWith("data:")) continue;
+    const data = line.slice(5).trim();
+    if (!data) continue;
+    if (data === "[DONE]") return;
+    yield JSON.parse(data);
+  }
+}
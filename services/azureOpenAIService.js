@@ -7,6 +7,8 @@ import mammoth from 'mammoth';
 import XLSX from 'xlsx';
 import csv from 'csv-parser';
 import dotenv from 'dotenv';
+import { readServerSentJSON } from './ai/streaming.js';
+import documentRetrievalService from './documentRetrievalService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -47,15 +49,16 @@ class AzureOpenAIService {
    * Enhanced document analysis with Azure OpenAI
    * @param {string} filePath - Path to the document file
    * @param {string} mimeType - MIME type of the document
-   * @param {Object} options - Additional options for analysis
+   * @param {Object} options - Additional options for analysis; options.extractedText
+   *   skips extraction (e.g. text already OCR'd by documentExtractionService)
    * @returns {Promise<Object>} Comprehensive document analysis
    */
   async analyzeDocument(filePath, mimeType, options = {}) {
     try {
       console.log('🔍 [AzureOpenAI] Starting document analysis for:', filePath);
       
-      // Extract text content from the document
-      const extractedText = await this.extractTextFromFile(filePath, mimeType);
+      // Extract text content from the document, unless the caller already has it
+      const extractedText = options.extractedText || await this.extractTextFromFile(filePath, mimeType);
       
       if (!extractedText || extractedText.trim().length < 10) {
         // For very short content, provide a basic analysis instead of failing
@@ -238,6 +241,72 @@ class AzureOpenAIService {
     throw new Error(`Azure OpenAI API failed after ${this.maxRetries} attempts: ${lastError.message}`);
   }
 
+  /**
+   * Stream a chat completion from Azure OpenAI, yielding content deltas
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userPrompt - User prompt
+   * @param {Object} options - { signal } to abort the request
+   * @returns {AsyncGenerator<string>} Content tokens as they arrive
+   */
+  async *streamAzureOpenAI(systemPrompt, userPrompt, options = {}) {
+    if (!this.apiKey || !this.fullEndpoint) {
+      throw new Error('Azure OpenAI is not configured');
+    }
+
+    let response;
+    try {
+      response = await axios.post(
+        this.fullEndpoint,
+        {
+          messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt }
+          ],
+          max_tokens: this.maxTokens,
+          temperature: 0.2,
+          top_p: 0.9,
+          frequency_penalty: 0.1,
+          presence_penalty: 0.1,
+          stream: true
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'api-key': this.apiKey
+          },
+          responseType: 'stream',
+          signal: options.signal
+        }
+      );
+    } catch (error) {
+      // Streaming requests are not retried: the caller falls back to the next provider
+      if (error.response) {
+        const e = new Error(`Azure OpenAI API error: ${error.response.status}`);
+        e.status = error.response.status;
+        throw e;
+      }
+      throw error;
+    }
+
+    for await (const event of readServerSentJSON(response.data)) {
+      const token = event.choices?.[0]?.delta?.content;
+      if (token) yield token;
+    }
+  }
+
+  /**
+   * Streaming counterpart of chatWithAI, using the same clinical prompts
+   * @param {string} message - User message
+   * @param {Object} context - Chat context
+   * @param {Object} options - { signal } to abort the request
+   * @returns {AsyncGenerator<string>} Content tokens as they arrive
+   */
+  async *streamChatWithAI(message, context = {}, options = {}) {
+    const systemPrompt = this.buildChatSystemPrompt();
+    const userPrompt = this.buildChatUserPrompt(message, context);
+    yield* this.streamAzureOpenAI(systemPrompt, userPrompt, options);
+  }
+
   /**
    * Extract text content from various file types with proper parsing
    * @param {string} filePath - Path to the file
@@ -910,6 +979,7 @@ Ensure the analysis is thorough, clinically accurate, and provides actionable in
       primaryDiagnosis,
       recentDocuments, 
       documentContent,
+      retrievedChunks,
       clinicalInsights,
       patientData,
       focusedDocument,
@@ -943,6 +1013,11 @@ Content: ${doc.content}`;
       });
     }
 
+    // Add retrieved passages, each headed by the chunk ID and page to cite
+    if (retrievedChunks && retrievedChunks.length > 0) {
+      contextString += `\n\nRETRIEVED DOCUMENT EXCERPTS (most relevant to the query):\n\n${documentRetrievalService.formatExcerpts(retrievedChunks)}`;
+    }
+
     // Add clinical insights if available
     if (clinicalInsights && clinicalInsights.length > 0) {
       contextString += `\n\nCLINICAL INSIGHTS:`;
@@ -1008,7 +1083,8 @@ Please provide comprehensive clinical guidance that:
 4. Includes safety considerations and risk assessments
 5. Provides actionable next steps and follow-up recommendations
 6. Maintains clinical accuracy and professional standards
-7. Uses the available clinical insights and patient data effectively
+7. Uses the available clinical insights and patient data effectively${retrievedChunks && retrievedChunks.length > 0 ? `
+8. Cites the retrieved excerpts it relies on by chunk ID and page, e.g. [${retrievedChunks[0].chunkId}${retrievedChunks[0].pageNumber ? `, p. ${retrievedChunks[0].pageNumber}` : ''}], and says when the excerpts do not answer the query` : ''}
 
 Use the structured format outlined in the system prompt to ensure comprehensive and organized response.`;
 
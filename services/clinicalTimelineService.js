@@ -0,0 +1,381 @@
+import mongoose from "mongoose";
+import Patient from "../models/Patient.js";
+import User from "../models/User.js";
+import VisitRecord from "../models/VisitRecord.js";
+import File from "../models/File.js";
+import ClinicalAnalysis from "../models/ClinicalAnalysis.js";
+import PatientDocument from "../models/PatientDocument.js";
+import ClinicalAIOutput from "../models/ClinicalAIOutput.js";
+import PatientCommunication from "../models/PatientCommunication.js";
+import OASISAssessment from "../models/nursing/OASISAssessment.js";
+import SOAPNote from "../models/nursing/SOAPNote.js";
+import CarePlan from "../models/nursing/CarePlan.js";
+import MedicationRecord from "../models/nursing/MedicationRecord.js";
+import ProgressTracking from "../models/nursing/ProgressTracking.js";
+import OutcomeMeasure from "../models/nursing/OutcomeMeasure.js";
+import organizationService from "./organizationService.js";
+
+export class ClinicalTimelineError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = "ClinicalTimelineError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const OASIS_TYPE_LABELS = {
+  SOC: "Start of Care",
+  ROC: "Resumption of Care",
+  FU: "Follow-up",
+  TRF: "Transfer",
+  DC: "Discharge",
+};
+
+const truncate = (text, length = 160) => {
+  if (!text) return "";
+  const value = String(text).trim();
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+};
+
+const humanize = (value) =>
+  value ? String(value).replace(/[_-]+/g, " ").replace(/^\w/, (c) => c.toUpperCase()) : "";
+
+/**
+ * Every clinical collection that contributes to the timeline. `dateField`
+ * orders the entries, `authorField` names the User who wrote the record
+ * and `describe` turns a lean document into the entry's display fields.
+ */
+export const TIMELINE_SOURCES = {
+  visit: {
+    model: VisitRecord,
+    dateField: "visitDate",
+    authorField: "clinicianId",
+    select: "visitDate visitType discipline visitNotes clinicianId clinicianName",
+    describe: (doc) => ({
+      title: `${humanize(doc.visitType)} visit - ${String(doc.discipline || "").toUpperCase()}`,
+      summary: truncate(doc.visitNotes),
+      authorName: doc.clinicianName,
+    }),
+  },
+  oasis_assessment: {
+    model: OASISAssessment,
+    dateField: "createdAt",
+    authorField: "userId",
+    select: "createdAt assessmentType episodeId status userId",
+    describe: (doc) => ({
+      title: `OASIS ${OASIS_TYPE_LABELS[doc.assessmentType] || doc.assessmentType} assessment`,
+      summary: `Episode ${doc.episodeId}`,
+      status: doc.status,
+    }),
+  },
+  soap_note: {
+    model: SOAPNote,
+    dateField: "visitDate",
+    authorField: "userId",
+    select: "visitDate template status subjective.chiefComplaint signature.signed userId",
+    describe: (doc) => ({
+      title: `SOAP note (${doc.template || "general"})`,
+      summary: truncate(doc.subjective?.chiefComplaint),
+      status: doc.signature?.signed ? "signed" : doc.status,
+    }),
+  },
+  care_plan: {
+    model: CarePlan,
+    dateField: "createdAt",
+    authorField: "userId",
+    select: "createdAt planName planType priority status userId",
+    describe: (doc) => ({
+      title: doc.planName || "Care plan",
+      summary: `${humanize(doc.planType)} plan, ${doc.priority || "medium"} priority`,
+      status: doc.status,
+    }),
+  },
+  medication: {
+    model: MedicationRecord,
+    dateField: "createdAt",
+    authorField: "userId",
+    select: "createdAt medication.name medication.genericName status userId",
+    describe: (doc) => ({
+      title: `Medication: ${doc.medication?.name || "unnamed"}`,
+      summary: doc.medication?.genericName ? `Generic: ${doc.medication.genericName}` : "",
+      status: doc.status,
+    }),
+  },
+  progress: {
+    model: ProgressTracking,
+    dateField: "createdAt",
+    authorField: "userId",
+    select: "createdAt trackingPeriod status goals userId",
+    describe: (doc) => ({
+      title: "Progress tracking",
+      summary: `${doc.goals?.length || 0} goal(s) tracked`,
+      status: doc.status,
+    }),
+  },
+  outcome_measure: {
+    model: OutcomeMeasure,
+    dateField: "createdAt",
+    authorField: "userId",
+    select: "createdAt indicatorType category value status userId",
+    describe: (doc) => ({
+      title: `Outcome measure: ${humanize(doc.indicatorType)}`,
+      summary: `${humanize(doc.category)} score ${Math.round((doc.value || 0) * 100)}%`,
+      status: doc.status,
+    }),
+  },
+  clinical_document: {
+    model: PatientDocument,
+    dateField: "createdAt",
+    authorField: "createdBy",
+    select: "createdAt type title source createdBy",
+    describe: (doc) => ({
+      title: doc.title,
+      summary: `${humanize(doc.type)} document (${doc.source})`,
+    }),
+  },
+  document: {
+    model: File,
+    dateField: "createdAt",
+    authorField: "userId",
+    select: "createdAt originalname processingStatus userId",
+    describe: (doc) => ({
+      title: `Document uploaded: ${doc.originalname}`,
+      summary: `File processed with status: ${doc.processingStatus}`,
+      status: doc.processingStatus,
+    }),
+  },
+  analysis: {
+    model: ClinicalAnalysis,
+    dateField: "createdAt",
+    authorField: "createdBy",
+    select: "createdAt analysisType summary createdBy",
+    describe: (doc) => ({
+      title: `Clinical analysis: ${humanize(doc.analysisType)}`,
+      summary: truncate(doc.summary),
+    }),
+  },
+  ai_output: {
+    model: ClinicalAIOutput,
+    dateField: "createdAt",
+    authorField: "createdBy",
+    select: "createdAt task version hallucinationFlags createdBy",
+    describe: (doc) => ({
+      title: `AI ${humanize(doc.task).toLowerCase()}`,
+      summary: `Version ${doc.version}, ${doc.hallucinationFlags?.length || 0} flag(s)`,
+    }),
+  },
+  communication: {
+    model: PatientCommunication,
+    dateField: "createdAt",
+    authorField: "userId",
+    select: "createdAt communicationType message aiGenerated status userId",
+    describe: (doc) => ({
+      title: `${humanize(doc.communicationType)} communication${doc.aiGenerated ? " (AI-generated)" : ""}`,
+      summary: truncate(doc.message),
+      status: doc.status,
+    }),
+  },
+};
+
+export const TIMELINE_TYPES = Object.keys(TIMELINE_SOURCES);
+
+/**
+ * Patient timeline merged from every clinical collection, newest first.
+ * Entries are ordered by (date, _id) descending and paged with an opaque
+ * cursor encoding the last entry returned.
+ */
+class ClinicalTimelineService {
+  // Care team members read the whole chart, as in search (accessFor)
+  async assertPatient(patientId, userId) {
+    const patient = mongoose.Types.ObjectId.isValid(String(patientId))
+      ? await Patient.exists({
+          _id: patientId,
+          ...(await organizationService.patientScopeFor(userId)),
+        })
+      : null;
+    if (!patient) {
+      throw new ClinicalTimelineError("Patient not found", "PATIENT_NOT_FOUND", 404);
+    }
+  }
+
+  encodeCursor(entry) {
+    return Buffer.from(
+      JSON.stringify({ date: new Date(entry.date).toISOString(), id: String(entry.source.id) })
+    ).toString("base64url");
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { date, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+      const parsed = new Date(date);
+      if (Number.isNaN(parsed.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+        throw new Error("malformed");
+      }
+      return { date: parsed, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+      throw new ClinicalTimelineError("Invalid timeline cursor", "INVALID_CURSOR");
+    }
+  }
+
+  parseDate(value, name) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new ClinicalTimelineError(`${name} must be a valid date`, "INVALID_DATE");
+    }
+    return date;
+  }
+
+  parseTypes(types) {
+    if (!types || types.length === 0) return TIMELINE_TYPES;
+
+    const requested = [].concat(types).flatMap((type) => String(type).split(","));
+    const unknown = requested.filter((type) => !TIMELINE_SOURCES[type]);
+    if (unknown.length > 0) {
+      throw new ClinicalTimelineError(
+        `Unknown timeline type(s): ${unknown.join(", ")}. Valid types: ${TIMELINE_TYPES.join(", ")}`,
+        "INVALID_TYPE"
+      );
+    }
+    return [...new Set(requested)];
+  }
+
+  sourceQuery(source, patientId, { from, to, cursor }) {
+    const { dateField } = source;
+    const query = {
+      patientId: String(patientId),
+      [dateField]: {
+        $type: "date",
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to }),
+      },
+    };
+
+    if (cursor) {
+      query.$or = [
+        { [dateField]: { $lt: cursor.date } },
+        { [dateField]: cursor.date, _id: { $lt: cursor.id } },
+      ];
+    }
+    return query;
+  }
+
+  async loadAuthors(userIds) {
+    const ids = [...new Set(userIds.filter(Boolean).map(String))].filter((id) =>
+      mongoose.Types.ObjectId.isValid(id)
+    );
+    if (ids.length === 0) return new Map();
+
+    const users = await User.find({ _id: { $in: ids } })
+      .select("name firstName lastName profession")
+      .lean();
+    return new Map(users.map((user) => [String(user._id), user]));
+  }
+
+  toEntry(type, doc, patientId, authors) {
+    const source = TIMELINE_SOURCES[type];
+    const { authorName, ...display } = source.describe(doc);
+    const authorId = doc[source.authorField];
+    const author = authors.get(String(authorId));
+
+    return {
+      type,
+      date: doc[source.dateField],
+      ...display,
+      author: authorId
+        ? {
+            id: String(authorId),
+            name:
+              author?.name ||
+              [author?.firstName, author?.lastName].filter(Boolean).join(" ") ||
+              authorName ||
+              null,
+            profession: author?.profession || null,
+          }
+        : null,
+      source: {
+        model: source.model.modelName,
+        id: String(doc._id),
+        href: `/api/patients/${patientId}/timeline/${type}/${doc._id}`,
+      },
+    };
+  }
+
+  /**
+   * @param {string} patientId
+   * @param {string} userId
+   * @param {Object} options - { types, from, to, cursor, limit }
+   * @returns {Promise<{ entries: Object[], nextCursor: string|null, hasMore: boolean }>}
+   */
+  async getTimeline(patientId, userId, options = {}) {
+    const types = this.parseTypes(options.types);
+    const from = this.parseDate(options.from, "from");
+    const to = this.parseDate(options.to, "to");
+    const cursor = options.cursor ? this.decodeCursor(options.cursor) : null;
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    await this.assertPatient(patientId, userId);
+
+    // Each source returns at most limit + 1 rows; the merged page is the
+    // newest `limit` of those, and any leftover row means there is more
+    const results = await Promise.all(
+      types.map(async (type) => {
+        const source = TIMELINE_SOURCES[type];
+        const docs = await source.model
+          .find(this.sourceQuery(source, patientId, { from, to, cursor }))
+          .select(source.select)
+          .sort({ [source.dateField]: -1, _id: -1 })
+          .limit(limit + 1)
+          .lean();
+        return docs.map((doc) => ({ type, doc, date: doc[source.dateField] }));
+      })
+    );
+
+    const merged = results
+      .flat()
+      .sort(
+        (a, b) =>
+          new Date(b.date) - new Date(a.date) ||
+          (String(b.doc._id) > String(a.doc._id) ? 1 : -1)
+      );
+    const page = merged.slice(0, limit);
+
+    const authors = await this.loadAuthors(
+      page.map(({ type, doc }) => doc[TIMELINE_SOURCES[type].authorField])
+    );
+    const entries = page.map(({ type, doc }) => this.toEntry(type, doc, patientId, authors));
+    const hasMore = merged.length > limit;
+
+    return {
+      entries,
+      nextCursor: hasMore && entries.length > 0 ? this.encodeCursor(entries[entries.length - 1]) : null,
+      hasMore,
+    };
+  }
+
+  /**
+   * The full source record behind a timeline entry.
+   */
+  async getRecord(patientId, userId, type, recordId) {
+    const source = TIMELINE_SOURCES[type];
+    if (!source) {
+      throw new ClinicalTimelineError(`Unknown timeline type: ${type}`, "INVALID_TYPE");
+    }
+
+    await this.assertPatient(patientId, userId);
+
+    const record = mongoose.Types.ObjectId.isValid(String(recordId))
+      ? await source.model.findOne({ _id: recordId, patientId: String(patientId) }).lean()
+      : null;
+    if (!record) {
+      throw new ClinicalTimelineError("Timeline record not found", "RECORD_NOT_FOUND", 404);
+    }
+    return record;
+  }
+}
+
+export default new ClinicalTimelineService();
@@ -0,0 +1,241 @@
+import { WebSocketServer } from "ws";
+import jwt from "jsonwebtoken";
+import dictationService from "./nursing/DictationService.js";
+
+/**
+ * Streaming voice dictation.
+ *
+ * Client -> server
+ *   { type: "start", patientId?, language?, mimeType?, recognizer? }
+ *   binary frames, or { type: "audio", data: "<base64>" }   audio chunks
+ *   { type: "stop" }     finish, structure and save to history
+ *   { type: "cancel" }
+ *
+ * Server -> client
+ *   session_started, partial, final, soap_update, completed, cancelled, error
+ */
+class DictationWebSocket {
+  constructor() {
+    this.wss = null;
+    this.heartbeatInterval = null;
+  }
+
+  // Initialize WebSocket server
+  initialize(server, options = {}) {
+    this.wss = new WebSocketServer({
+      noServer: true,
+      path: "/ws/dictation",
+      maxPayload: 1024 * 1024,
+      ...options,
+    });
+
+    server.on("upgrade", (request, socket, head) => {
+      if (!this.wss.shouldHandle(request)) return;
+      this.wss.handleUpgrade(request, socket, head, (ws) => {
+        this.handleConnection(ws, request);
+      });
+    });
+
+    this.setupHeartbeat();
+
+    console.log("🎙️ Dictation WebSocket initialized");
+  }
+
+  // Handle new WebSocket connection
+  handleConnection(ws, request) {
+    try {
+      const url = new URL(request.url, "http://localhost:5000");
+      const token = url.searchParams.get("token");
+
+      if (!token) {
+        ws.close(1008, "Authentication required");
+        return;
+      }
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      ws.userId = String(decoded.userId);
+      ws.isAlive = true;
+      ws.sessionId = null;
+      ws.starting = false;
+
+      ws.on("message", (data, isBinary) => {
+        this.handleMessage(ws, data, isBinary);
+      });
+
+      ws.on("close", () => {
+        if (ws.sessionId) {
+          dictationService.cancelSession(ws.sessionId, ws.userId);
+        }
+      });
+
+      ws.on("pong", () => {
+        ws.isAlive = true;
+      });
+
+      this.send(ws, {
+        type: "connected",
+        userId: ws.userId,
+        recognizers: dictationService.listRecognizers(),
+      });
+    } catch (error) {
+      console.error("Dictation WebSocket connection error:", error);
+      ws.close(1008, "Authentication failed");
+    }
+  }
+
+  async handleMessage(ws, data, isBinary) {
+    try {
+      if (isBinary) {
+        return await this.pushAudio(ws, data);
+      }
+
+      const message = JSON.parse(data);
+      switch (message.type) {
+        case "start":
+          return await this.start(ws, message);
+        case "audio":
+          return await this.pushAudio(
+            ws,
+            Buffer.from(String(message.data || ""), "base64")
+          );
+        case "stop":
+          return await this.stop(ws);
+        case "cancel":
+          if (ws.sessionId) {
+            dictationService.cancelSession(ws.sessionId, ws.userId);
+            this.send(ws, { type: "cancelled", sessionId: ws.sessionId });
+            ws.sessionId = null;
+          }
+          return;
+        case "ping":
+          return this.send(ws, { type: "pong" });
+        default:
+          this.sendError(ws, {
+            code: "UNKNOWN_MESSAGE",
+            message: `Unknown message type: ${message.type}`,
+          });
+      }
+    } catch (error) {
+      this.sendError(ws, error);
+    }
+  }
+
+  async start(ws, message) {
+    // `starting` covers the await below, so a second start sent before the
+    // first resolves cannot open another session
+    if (ws.sessionId || ws.starting) {
+      return this.sendError(ws, {
+        code: "SESSION_ACTIVE",
+        message: "Stop or cancel the current dictation first",
+      });
+    }
+
+    ws.starting = true;
+    let session;
+    try {
+      session = await dictationService.startSession(
+        ws.userId,
+        {
+          patientId: message.patientId,
+          language: message.language,
+          mimeType: message.mimeType,
+          recognizer: message.recognizer,
+        },
+        (event) => {
+          if (event.type === "error" && event.sessionId === ws.sessionId) {
+            ws.sessionId = null;
+          }
+          this.send(ws, event);
+        }
+      );
+    } finally {
+      ws.starting = false;
+    }
+
+    // The socket closed while the session was opening
+    if (ws.readyState !== 1) {
+      dictationService.cancelSession(session.sessionId, ws.userId);
+      return;
+    }
+
+    ws.sessionId = session.sessionId;
+    this.send(ws, { type: "session_started", ...session });
+  }
+
+  async pushAudio(ws, chunk) {
+    if (!ws.sessionId) {
+      return this.sendError(ws, {
+        code: "NO_SESSION",
+        message: "Send a start message before audio",
+      });
+    }
+    if (chunk.length === 0) return;
+
+    try {
+      await dictationService.pushAudio(ws.sessionId, ws.userId, chunk);
+    } catch (error) {
+      // A dictation over the duration cap stays open so it can be stopped
+      if (error.code !== "DICTATION_TOO_LONG") ws.sessionId = null;
+      throw error;
+    }
+  }
+
+  async stop(ws) {
+    if (!ws.sessionId) {
+      return this.sendError(ws, {
+        code: "NO_SESSION",
+        message: "No dictation in progress",
+      });
+    }
+
+    const sessionId = ws.sessionId;
+    ws.sessionId = null;
+    const result = await dictationService.finishSession(sessionId, ws.userId);
+    this.send(ws, { type: "completed", ...result });
+  }
+
+  send(ws, message) {
+    if (ws.readyState === 1) {
+      // WebSocket.OPEN
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  sendError(ws, error) {
+    if (!error.code) {
+      console.error("Dictation WebSocket error:", error);
+    }
+    this.send(ws, {
+      type: "error",
+      code: error.code || "DICTATION_FAILED",
+      message: error.message,
+    });
+  }
+
+  // Set up heartbeat to detect broken connections
+  setupHeartbeat() {
+    this.heartbeatInterval = setInterval(() => {
+      this.wss.clients.forEach((ws) => {
+        if (ws.isAlive === false) {
+          ws.terminate();
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, 30000); // 30 seconds
+  }
+
+  // Cleanup
+  destroy() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+    }
+
+    if (this.wss) {
+      this.wss.close();
+    }
+  }
+}
+
+export default DictationWebSocket;
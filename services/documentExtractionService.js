@@ -0,0 +1,586 @@
+import 'dotenv/config';
+import { spawn } from 'child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import pdfParse from 'pdf-parse';
+import mammoth from 'mammoth';
+import XLSX from 'xlsx';
+import File from '../models/File.js';
+import documentRetrievalService from './documentRetrievalService.js';
+
+export class DocumentExtractionError extends Error {
+  constructor(message, code, statusCode = 422) {
+    super(message);
+    this.name = 'DocumentExtractionError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// A PDF page with less text than this is treated as a scan and OCR'd
+const MIN_TEXT_LAYER_CHARS = 20;
+const PAGE_SEPARATOR = '\n\n';
+
+const EXTENSION_FORMATS = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.doc': 'doc',
+  '.xlsx': 'spreadsheet',
+  '.xls': 'spreadsheet',
+  '.csv': 'spreadsheet',
+  '.html': 'html',
+  '.htm': 'html',
+  '.json': 'text',
+  '.txt': 'text',
+  '.png': 'image',
+  '.jpg': 'image',
+  '.jpeg': 'image',
+  '.tif': 'image',
+  '.tiff': 'image',
+  '.bmp': 'image',
+  '.webp': 'image'
+};
+
+const MIME_FORMATS = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'spreadsheet',
+  'application/vnd.ms-excel': 'spreadsheet',
+  'text/csv': 'spreadsheet',
+  'application/csv': 'spreadsheet',
+  'text/html': 'html',
+  'application/json': 'text',
+  'text/plain': 'text'
+};
+
+/**
+ * Turns uploaded documents into text without sending them anywhere:
+ *
+ *   PDF          pdf-parse per page; pages without a text layer are rendered
+ *                with pdftoppm (OCR_PDFTOPPM_BIN) and OCR'd
+ *   DOCX         mammoth
+ *   XLSX/XLS/CSV xlsx, one section per sheet
+ *   HTML         tags stripped, block elements kept as line breaks
+ *   images       tesseract (OCR_TESSERACT_BIN); multi-page TIFF faxes give
+ *                one section per page
+ *
+ * Results keep page-level provenance: pages[] gives each page's method, OCR
+ * confidence and character range in the combined text.
+ *
+ * Uploads are extracted by a background job that tracks its progress on the
+ * File record (processingStatus and extraction).
+ */
+class DocumentExtractionService {
+  constructor() {
+    this.ocrEnabled = process.env.OCR_ENABLED !== 'false';
+    this.tesseractBin = process.env.OCR_TESSERACT_BIN || 'tesseract';
+    this.pdftoppmBin = process.env.OCR_PDFTOPPM_BIN || 'pdftoppm';
+    this.ocrLanguage = process.env.OCR_LANGUAGE || 'eng';
+    this.ocrDpi = parseInt(process.env.OCR_DPI, 10) || 300;
+    this.ocrMaxPages = parseInt(process.env.OCR_MAX_PAGES, 10) || 50;
+    this.timeoutMs = parseInt(process.env.OCR_TIMEOUT_MS, 10) || 120000;
+    this.concurrency = parseInt(process.env.EXTRACTION_CONCURRENCY, 10) || 1;
+    this.maxAttempts = 3;
+
+    this.queue = [];
+    this.queued = new Set();
+    this.running = 0;
+  }
+
+  detectFormat(mimeType, fileName = '') {
+    const extension = path.extname(fileName).toLowerCase();
+    if (mimeType?.startsWith('image/')) return 'image';
+    return MIME_FORMATS[mimeType] || EXTENSION_FORMATS[extension] || null;
+  }
+
+  /**
+   * Extracts text from a file on disk.
+   * @returns {Promise<{text, pages, method, pageCount, ocrPageCount, ocrConfidence, warnings}>}
+   */
+  async extractFile(filePath, mimeType, fileName = filePath) {
+    const format = this.detectFormat(mimeType, fileName);
+    if (!format) {
+      throw new DocumentExtractionError(
+        `Unsupported file type: ${mimeType} (${path.extname(fileName) || 'no extension'})`,
+        'UNSUPPORTED_FORMAT'
+      );
+    }
+    if (format === 'doc') {
+      throw new DocumentExtractionError(
+        'Legacy .doc files cannot be read; save the document as DOCX or PDF',
+        'UNSUPPORTED_FORMAT'
+      );
+    }
+
+    const buffer = await readFile(filePath);
+    const warnings = [];
+    let sections;
+
+    console.log(`🔍 Extracting ${format} text from ${path.basename(fileName)}`);
+    switch (format) {
+      case 'pdf':
+        sections = await this.extractPdf(buffer, warnings);
+        break;
+      case 'docx':
+        sections = await this.extractDocx(buffer, warnings);
+        break;
+      case 'spreadsheet':
+        sections = this.extractSpreadsheet(buffer, path.extname(fileName).toLowerCase());
+        break;
+      case 'html':
+        sections = [{ text: htmlToText(buffer.toString('utf8')), method: 'text' }];
+        break;
+      case 'image':
+        sections = await this.extractImage(filePath);
+        break;
+      default:
+        sections = [{ text: buffer.toString('utf8').trim(), method: 'text' }];
+    }
+
+    const result = assemblePages(sections);
+    if (!result.text.trim()) {
+      throw new DocumentExtractionError(
+        warnings[0] || 'No text could be extracted from the document',
+        'NO_TEXT'
+      );
+    }
+
+    console.log(
+      `✅ Extracted ${result.text.length} characters from ${result.pageCount} page(s) (${result.method})`
+    );
+    return { ...result, warnings };
+  }
+
+  async extractPdf(buffer, warnings) {
+    const pages = [];
+    let data;
+    try {
+      // pdf.js reads the Buffer's whole backing ArrayBuffer, which for small
+      // files is Node's shared pool; a copy starts at offset 0
+      data = await pdfParse(new Uint8Array(buffer), {
+        max: 0,
+        pagerender: async (pageData) => {
+          const text = await renderPageText(pageData);
+          pages[pageData.pageIndex] = text;
+          return text;
+        }
+      });
+    } catch (error) {
+      if (/password/i.test(error.message)) {
+        throw new DocumentExtractionError('The PDF is password-protected', 'PASSWORD_PROTECTED');
+      }
+      throw new DocumentExtractionError(`Invalid PDF: ${error.message}`, 'INVALID_PDF');
+    }
+
+    const sections = [];
+    let ocrCount = 0;
+    for (let index = 0; index < data.numpages; index++) {
+      const text = (pages[index] || '').trim();
+      if (text.replace(/\s/g, '').length >= MIN_TEXT_LAYER_CHARS) {
+        sections.push({ text, method: 'text' });
+        continue;
+      }
+
+      const pageNumber = index + 1;
+      if (!this.ocrEnabled) {
+        warnings.push(`Page ${pageNumber} has no text layer and OCR is disabled`);
+        sections.push({ text, method: text ? 'text' : 'none' });
+      } else if (ocrCount >= this.ocrMaxPages) {
+        warnings.push(`Page ${pageNumber} not OCR'd: more than ${this.ocrMaxPages} scanned pages`);
+        sections.push({ text, method: text ? 'text' : 'none' });
+      } else {
+        ocrCount++;
+        try {
+          const [ocr] = await this.ocrPdfPage(buffer, pageNumber);
+          sections.push(ocr?.text ? ocr : { text, method: text ? 'text' : 'none' });
+        } catch (error) {
+          warnings.push(`Page ${pageNumber} OCR failed: ${error.message}`);
+          sections.push({ text, method: text ? 'text' : 'none' });
+        }
+      }
+    }
+    return sections;
+  }
+
+  async extractDocx(buffer, warnings) {
+    const result = await mammoth.extractRawText({ buffer });
+    for (const message of result.messages || []) {
+      if (message.type === 'error') warnings.push(message.message);
+    }
+    return [{ text: result.value.trim(), method: 'text' }];
+  }
+
+  extractSpreadsheet(buffer, extension) {
+    const workbook = XLSX.read(extension === '.csv' ? buffer.toString('utf8') : buffer, {
+      type: extension === '.csv' ? 'string' : 'buffer'
+    });
+    return workbook.SheetNames.map((name) => ({
+      label: name,
+      text: XLSX.utils.sheet_to_csv(workbook.Sheets[name], { blankrows: false }).trim(),
+      method: 'text'
+    }));
+  }
+
+  async extractImage(imagePath) {
+    if (!this.ocrEnabled) {
+      throw new DocumentExtractionError('Images need OCR, which is disabled', 'OCR_DISABLED');
+    }
+    return this.ocr(imagePath);
+  }
+
+  async ocrPdfPage(buffer, pageNumber) {
+    const workDir = await mkdtemp(path.join(os.tmpdir(), 'ocr-'));
+    try {
+      const pdfPath = path.join(workDir, 'document.pdf');
+      await writeFile(pdfPath, buffer);
+      const imageBase = path.join(workDir, 'page');
+      await this.run(this.pdftoppmBin, [
+        '-f', String(pageNumber),
+        '-l', String(pageNumber),
+        '-r', String(this.ocrDpi),
+        '-gray',
+        '-png',
+        '-singlefile',
+        pdfPath,
+        imageBase
+      ]);
+      return await this.ocr(`${imageBase}.png`);
+    } finally {
+      await rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  // One section per image page, with mean word confidence
+  async ocr(imagePath) {
+    const tsv = await this.run(this.tesseractBin, [
+      imagePath,
+      'stdout',
+      '-l', this.ocrLanguage,
+      '--dpi', String(this.ocrDpi),
+      'tsv'
+    ]);
+    return parseTesseractTsv(tsv).map((page) => ({ ...page, method: 'ocr' }));
+  }
+
+  // Runs a command and resolves with its stdout; rejects on a non-zero exit
+  // or after the timeout
+  run(command, args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      const stdout = [];
+      let stderr = '';
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${command} timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+
+      child.stdout.on('data', (chunk) => stdout.push(chunk));
+      child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-4000);
+      });
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Cannot run ${command}: ${error.message}`));
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve(Buffer.concat(stdout).toString('utf8'));
+        } else {
+          reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+    });
+  }
+
+  // ===== Background job =====
+
+  /**
+   * Queues a File for extraction. The File's processingStatus moves
+   * pending -> extracting -> extracted, and on to AI analysis when
+   * `analyze` is set.
+   */
+  async enqueue(fileId, { analyze = false, userId = null } = {}) {
+    await File.updateOne(
+      { _id: fileId },
+      {
+        $set: {
+          processingStatus: 'pending',
+          processingError: null,
+          'extraction.status': 'queued',
+          'extraction.analyzeWhenDone': analyze,
+          'extraction.queuedAt': new Date(),
+          'extraction.error': null
+        }
+      }
+    );
+    this.schedule(String(fileId), userId);
+  }
+
+  schedule(fileId, userId) {
+    if (this.queued.has(fileId)) return;
+    this.queued.add(fileId);
+    this.queue.push({ fileId, userId });
+    setImmediate(() => this.drain());
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.running++;
+      this.runJob(job)
+        .catch((error) => console.error(`❌ Extraction job for file ${job.fileId} crashed:`, error))
+        .finally(() => {
+          this.running--;
+          this.queued.delete(job.fileId);
+          this.drain();
+        });
+    }
+  }
+
+  async runJob({ fileId, userId }) {
+    const file = await File.findById(fileId);
+    if (!file || file.extraction?.status !== 'queued') return;
+
+    file.processingStatus = 'extracting';
+    file.extraction.status = 'running';
+    file.extraction.startedAt = new Date();
+    file.extraction.attempts = (file.extraction.attempts || 0) + 1;
+    await file.save();
+
+    try {
+      const result = await this.extractFile(file.path, file.mimetype, file.originalname);
+
+      file.extractedText = result.text;
+      file.contentLength = result.text.length;
+      file.pages = result.pages;
+      file.processingStatus = 'extracted';
+      Object.assign(file.extraction, {
+        status: 'completed',
+        method: result.method,
+        pageCount: result.pageCount,
+        ocrPageCount: result.ocrPageCount,
+        ocrConfidence: result.ocrConfidence,
+        warnings: result.warnings,
+        completedAt: new Date(),
+        error: null
+      });
+      await file.save();
+      console.log(`📄 Text extracted for ${file.originalname} (${result.method}, ${result.pageCount} page(s))`);
+      // Embed now so the first chat about the file does not wait for it
+      documentRetrievalService
+        .indexSource('file', file.toObject())
+        .catch((error) => console.error(`❌ Could not index ${file.originalname} for retrieval:`, error.message));
+    } catch (error) {
+      // Missing tools and timeouts may succeed later; bad documents will not
+      const retry = !(error instanceof DocumentExtractionError) && file.extraction.attempts < this.maxAttempts;
+      console.error(`❌ Text extraction failed for ${file.originalname}:`, error.message);
+
+      file.extraction.error = error.message;
+      if (retry) {
+        file.extraction.status = 'queued';
+        file.processingStatus = 'pending';
+        await file.save();
+        const delay = 5000 * 2 ** (file.extraction.attempts - 1);
+        setTimeout(() => this.schedule(fileId, userId), delay).unref();
+      } else {
+        file.extraction.status = 'failed';
+        file.extraction.completedAt = new Date();
+        file.processingStatus = 'failed';
+        file.processingError = `Text extraction failed: ${error.message}`;
+        file.processingCompleted = new Date();
+        await file.save();
+      }
+      return;
+    }
+
+    if (file.extraction.analyzeWhenDone) {
+      await this.analyze(file, userId || String(file.userId));
+    }
+  }
+
+  // Runs AI analysis on the extracted text, as a request to aiController would
+  async analyze(file, userId) {
+    console.log(`Starting auto-analysis for file: ${file.originalname}`);
+    try {
+      const aiController = await import('../controllers/aiController.js');
+      await aiController.analyzeFile(
+        { params: { fileId: file._id.toString() }, userId },
+        {
+          status: () => ({
+            json: async (data) => {
+              console.log(`Analysis response for ${file.originalname}:`, data?.success ? 'success' : data?.message);
+            }
+          })
+        }
+      );
+    } catch (error) {
+      console.error(`Auto-analysis failed for file ${file._id}:`, error);
+      await File.updateOne(
+        { _id: file._id },
+        {
+          $set: {
+            processingStatus: 'failed',
+            processingError: error.message || 'Auto-analysis failed',
+            processingCompleted: new Date()
+          }
+        }
+      ).catch((updateError) => console.error('Error updating failed file status:', updateError));
+    }
+  }
+
+  /**
+   * Re-queues extraction jobs interrupted by a restart.
+   */
+  async resumePending() {
+    const files = await File.find({ 'extraction.status': { $in: ['queued', 'running'] } })
+      .select('_id userId')
+      .lean();
+    if (files.length === 0) return 0;
+
+    await File.updateMany(
+      { _id: { $in: files.map((file) => file._id) }, 'extraction.status': 'running' },
+      { $set: { 'extraction.status': 'queued', processingStatus: 'pending' } }
+    );
+    files.forEach((file) => this.schedule(String(file._id), file.userId ? String(file.userId) : null));
+    console.log(`📄 Resumed ${files.length} text extraction job(s)`);
+    return files.length;
+  }
+
+  /**
+   * Extracted text with a [Page N] marker before each page, for prompts that
+   * should cite pages. Falls back to the plain text for single-page files.
+   */
+  textWithPageMarkers(file) {
+    const text = file.extractedText || '';
+    if (!file.pages || file.pages.length < 2) return text;
+    return file.pages
+      .map((page) => {
+        const label = page.label ? `[Page ${page.pageNumber}: ${page.label}]` : `[Page ${page.pageNumber}]`;
+        return `${label}\n${text.slice(page.start, page.end)}`;
+      })
+      .join(PAGE_SEPARATOR);
+  }
+
+  /**
+   * Page containing a character offset of extractedText, or null.
+   */
+  pageForOffset(file, offset) {
+    return (file.pages || []).find((page) => offset >= page.start && offset < page.end) || null;
+  }
+}
+
+// pdf-parse's default page renderer: items on the same baseline are joined,
+// a new baseline starts a new line
+function renderPageText(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false }).then((content) => {
+    let lastY;
+    let text = '';
+    for (const item of content.items) {
+      text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    return text;
+  });
+}
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Joins sections into one text and records where each one sits in it.
+ */
+export function assemblePages(sections) {
+  let text = '';
+  const pages = sections.map((section, index) => {
+    if (index > 0) text += PAGE_SEPARATOR;
+    const start = text.length;
+    text += section.text;
+    return {
+      pageNumber: index + 1,
+      label: section.label,
+      method: section.method,
+      confidence: section.confidence ?? null,
+      start,
+      end: text.length
+    };
+  });
+
+  const ocrPages = pages.filter((page) => page.method === 'ocr');
+  const textPages = pages.filter((page) => page.method === 'text');
+  return {
+    text,
+    pages,
+    method: ocrPages.length === 0 ? 'text' : textPages.length === 0 ? 'ocr' : 'mixed',
+    pageCount: pages.length,
+    ocrPageCount: ocrPages.length,
+    ocrConfidence: ocrPages.length
+      ? round(ocrPages.reduce((sum, page) => sum + (page.confidence || 0), 0) / ocrPages.length)
+      : null
+  };
+}
+
+/**
+ * Pages of text from tesseract TSV output. Words (level 5) are joined into
+ * lines, lines into paragraphs; a page's confidence is the mean word
+ * confidence scaled to 0-1.
+ */
+export function parseTesseractTsv(tsv) {
+  const pages = new Map();
+
+  for (const row of tsv.split('\n').slice(1)) {
+    const columns = row.split('\t');
+    if (columns.length < 12 || columns[0] !== '5') continue;
+    const [, pageNum, block, paragraph, line, , , , , , conf, word] = columns;
+    if (!word?.trim()) continue;
+
+    if (!pages.has(pageNum)) pages.set(pageNum, { paragraphs: new Map(), confidences: [] });
+    const page = pages.get(pageNum);
+    const paragraphKey = `${block}.${paragraph}`;
+    if (!page.paragraphs.has(paragraphKey)) page.paragraphs.set(paragraphKey, new Map());
+    const lines = page.paragraphs.get(paragraphKey);
+    if (!lines.has(line)) lines.set(line, []);
+    lines.get(line).push(word.trim());
+
+    const confidence = parseFloat(conf);
+    if (confidence >= 0) page.confidences.push(confidence / 100);
+  }
+
+  return [...pages.values()].map((page) => ({
+    text: [...page.paragraphs.values()]
+      .map((lines) => [...lines.values()].map((words) => words.join(' ')).join('\n'))
+      .join('\n\n'),
+    confidence: page.confidences.length
+      ? round(page.confidences.reduce((sum, value) => sum + value, 0) / page.confidences.length)
+      : 0
+  }));
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Visible text of an HTML document, keeping block elements on their own lines.
+ */
+export function htmlToText(html) {
+  return html
+    .replace(/<(script|style|head|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6]|table|section|article|header|footer|blockquote)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+      }
+      return ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .split('\n')
+    .map((line) => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+export default new DocumentExtractionService();
@@ -0,0 +1,280 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import DocumentChunk from '../models/DocumentChunk.js';
+import File from '../models/File.js';
+import PatientDocument from '../models/PatientDocument.js';
+import { embedTexts, embeddingModelId, getEmbeddingProvider, similarity } from './ai/embeddings.js';
+
+const CHUNK_CHARS = parseInt(process.env.RAG_CHUNK_CHARS, 10) || 1200;
+const CHUNK_OVERLAP = Math.floor(CHUNK_CHARS / 6);
+const TOP_K = parseInt(process.env.RAG_TOP_K, 10) || 8;
+// [Page N] / [Page N: label] markers, as written by textWithPageMarkers()
+const PAGE_MARKER = /\[Page (\d+)(?::\s*([^\]\n]*))?\]\n?/g;
+
+const hashText = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+// Both forms, since File.userId may hold either
+const userIdVariants = (userId) =>
+  mongoose.Types.ObjectId.isValid(String(userId))
+    ? [String(userId), new mongoose.Types.ObjectId(String(userId))]
+    : [userId];
+
+/**
+ * Page offsets of text containing [Page N] markers, or [] without them.
+ */
+export function pagesFromMarkers(text) {
+  const markers = [...text.matchAll(PAGE_MARKER)];
+  return markers.map((marker, i) => ({
+    pageNumber: Number(marker[1]),
+    label: marker[2] || undefined,
+    start: marker.index + marker[0].length,
+    end: i + 1 < markers.length ? markers[i + 1].index : text.length
+  }));
+}
+
+// Last paragraph, line, sentence or word break in text[from, to), or `to`
+function breakBefore(text, from, to) {
+  const window = text.slice(from, to);
+  const minimum = Math.floor(window.length / 2);
+  for (const separator of ['\n\n', '\n', '. ', ' ']) {
+    const at = window.lastIndexOf(separator);
+    if (at >= minimum) return from + at + separator.length;
+  }
+  return to;
+}
+
+/**
+ * Split text into overlapping passages of about RAG_CHUNK_CHARS characters.
+ * Passages never cross a page, so each cites a single page.
+ * @param {string} text
+ * @param {Array} pages - [{ pageNumber, label, start, end }] offsets into text
+ * @returns {Array<{index, text, start, end, pageNumber, pageLabel}>}
+ */
+export function chunkText(text, pages = [], size = CHUNK_CHARS, overlap = CHUNK_OVERLAP) {
+  const segments = pages.length
+    ? pages.map((page) => ({ ...page, pageLabel: page.label }))
+    : [{ start: 0, end: text.length, pageNumber: null }];
+  const chunks = [];
+
+  for (const segment of segments) {
+    let position = segment.start;
+    while (position < segment.end) {
+      const end = position + size < segment.end ? breakBefore(text, position, position + size) : segment.end;
+      const raw = text.slice(position, end);
+      const passage = raw.trim();
+      if (passage) {
+        const start = position + (raw.length - raw.trimStart().length);
+        chunks.push({
+          index: chunks.length,
+          text: passage,
+          start,
+          end: start + passage.length,
+          pageNumber: segment.pageNumber ?? null,
+          pageLabel: segment.pageLabel
+        });
+      }
+      if (end >= segment.end) break;
+
+      // Step back by the overlap, to the start of a word
+      let next = Math.max(position + 1, end - overlap);
+      const space = text.indexOf(' ', next);
+      if (space >= 0 && space < end) next = space + 1;
+      position = next;
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Retrieval over a patient's uploaded Files (extractedText) and
+ * PatientDocuments for AI chat and tasks.
+ *
+ * Sources are split into page-bounded passages and embedded with the
+ * provider from services/ai/embeddings.js. Chunks live in the DocumentChunk
+ * collection and are searched by cosine similarity in process, so no vector
+ * database is needed. Sources are (re)indexed when their text changes or
+ * the embedding model does, after extraction and lazily before retrieval.
+ */
+class DocumentRetrievalService {
+  constructor() {
+    // sourceId -> in-flight indexing, so concurrent requests embed once
+    this.indexing = new Map();
+  }
+
+  /**
+   * Chunk and embed one source unless it is already indexed with the
+   * current text and model.
+   * @param {'file'|'patient_document'} sourceType
+   * @returns {Promise<number>} chunks written
+   */
+  indexSource(sourceType, record) {
+    const key = `${sourceType}:${record._id}`;
+    if (!this.indexing.has(key)) {
+      this.indexing.set(
+        key,
+        this.buildChunks(sourceType, record).finally(() => this.indexing.delete(key))
+      );
+    }
+    return this.indexing.get(key);
+  }
+
+  async buildChunks(sourceType, record) {
+    const isFile = sourceType === 'file';
+    const text = (isFile ? record.extractedText : record.text) || '';
+    if (!text.trim()) {
+      await this.removeSource(sourceType, record._id);
+      return 0;
+    }
+
+    const sourceHash = hashText(text);
+    const model = embeddingModelId(getEmbeddingProvider());
+    if (await DocumentChunk.exists({ sourceType, sourceId: record._id, sourceHash, embeddingModel: model })) {
+      return 0;
+    }
+
+    const pages = isFile ? record.pages || [] : pagesFromMarkers(text);
+    const chunks = chunkText(text, pages);
+    const { vectors, model: embeddingModel } = await embedTexts(chunks.map((chunk) => chunk.text));
+
+    await DocumentChunk.bulkWrite(
+      chunks.map((chunk, i) => ({
+        updateOne: {
+          filter: { chunkId: `${record._id}:${chunk.index}` },
+          update: {
+            $set: {
+              ...chunk,
+              sourceType,
+              sourceId: record._id,
+              patientId: record.patientId ? String(record.patientId) : null,
+              userId: isFile && record.userId ? String(record.userId) : null,
+              title: isFile ? record.originalname : record.title,
+              sourceHash,
+              embeddingModel,
+              embedding: vectors[i]
+            }
+          },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+    await DocumentChunk.deleteMany({ sourceType, sourceId: record._id, index: { $gte: chunks.length } });
+
+    console.log(`🧩 Indexed ${chunks.length} passage(s) of ${isFile ? record.originalname : record.title} for retrieval`);
+    return chunks.length;
+  }
+
+  async removeSource(sourceType, sourceId) {
+    await DocumentChunk.deleteMany({ sourceType, sourceId });
+  }
+
+  // Chunk filters for the sources a request may read
+  sourceFilters({ patientId, userId, fileIds, documentIds, includePatientDocuments = true }) {
+    const filters = [];
+    if (fileIds) {
+      filters.push({ sourceType: 'file', sourceId: { $in: fileIds }, userId: String(userId) });
+    } else if (patientId && userId) {
+      filters.push({ sourceType: 'file', patientId: String(patientId), userId: String(userId) });
+    }
+    if (documentIds) {
+      filters.push({ sourceType: 'patient_document', sourceId: { $in: documentIds } });
+    } else if (patientId && includePatientDocuments) {
+      filters.push({ sourceType: 'patient_document', patientId: String(patientId) });
+    }
+    return filters;
+  }
+
+  // Index sources added or changed since they were last embedded
+  async ensureIndexed({ patientId, userId, fileIds, documentIds, includePatientDocuments = true }) {
+    const files =
+      fileIds || (patientId && userId)
+        ? await File.find({
+            ...(fileIds ? { _id: { $in: fileIds } } : { patientId: String(patientId) }),
+            userId: { $in: userIdVariants(userId) },
+            extractedText: { $nin: [null, ''] }
+          })
+            .select('originalname extractedText pages patientId userId')
+            .lean()
+        : [];
+
+    const documentFilter = documentIds
+      ? { _id: { $in: documentIds } }
+      : includePatientDocuments && mongoose.Types.ObjectId.isValid(String(patientId))
+        ? { patientId }
+        : null;
+    const documents = documentFilter
+      ? await PatientDocument.find(documentFilter).select('title text patientId').lean()
+      : [];
+
+    for (const file of files) await this.indexSource('file', file);
+    for (const document of documents) await this.indexSource('patient_document', document);
+  }
+
+  /**
+   * Top-k passages for a question across a patient's sources, or across the
+   * given fileIds / documentIds only.
+   * @param {string} query
+   * @param {Object} options - { patientId, userId, fileIds, documentIds, includePatientDocuments, k }
+   * @returns {Promise<Array<{chunkId, sourceType, sourceId, title, pageNumber, pageLabel, text, score}>>}
+   */
+  async retrieve(query, { k = TOP_K, ...options } = {}) {
+    const filters = this.sourceFilters(options);
+    if (!query || !filters.length) return [];
+
+    await this.ensureIndexed(options);
+    const {
+      model,
+      vectors: [queryVector]
+    } = await embedTexts([query]);
+
+    const candidates = await DocumentChunk.find({ embeddingModel: model, $or: filters })
+      .select('chunkId sourceType sourceId title index pageNumber pageLabel text embedding')
+      .lean();
+
+    return candidates
+      .map((chunk) => ({ chunk, score: similarity(queryVector, chunk.embedding) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || a.chunk.index - b.chunk.index)
+      .slice(0, k)
+      .map(({ chunk, score }) => ({
+        chunkId: chunk.chunkId,
+        sourceType: chunk.sourceType,
+        sourceId: String(chunk.sourceId),
+        title: chunk.title,
+        pageNumber: chunk.pageNumber,
+        pageLabel: chunk.pageLabel,
+        text: chunk.text,
+        score: Math.round(score * 1000) / 1000
+      }));
+  }
+
+  /**
+   * Passages as prompt text, each headed by the chunk ID and page to cite.
+   */
+  formatExcerpts(chunks) {
+    return chunks
+      .map((chunk) => `[${chunk.chunkId}] ${chunk.title || 'Document'}${chunk.pageNumber ? `, page ${chunk.pageNumber}` : ''}\n${chunk.text}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Retrieved passages an answer cites by chunk ID, in order of first citation.
+   */
+  citations(output, chunks) {
+    const text = String(output || '');
+    return chunks
+      // "<id>:1" must not match a citation of "<id>:12"
+      .map((chunk) => ({ chunk, at: text.search(new RegExp(`${chunk.chunkId}(?!\\d)`)) }))
+      .filter(({ at }) => at >= 0)
+      .sort((a, b) => a.at - b.at)
+      .map(({ chunk }) => ({
+        chunkId: chunk.chunkId,
+        sourceType: chunk.sourceType,
+        sourceId: chunk.sourceId,
+        title: chunk.title,
+        pageNumber: chunk.pageNumber
+      }));
+  }
+}
+
+export default new DocumentRetrievalService();
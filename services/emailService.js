@@ -297,6 +297,136 @@ The Jawbreaker Team
     `;
   }
 
+  /**
+   * Send organization invitation email
+   * @param {string} email - Invitee email address
+   * @param {string} inviteToken - Invitation token
+   * @param {string} organizationName - Organization the invitee is joining
+   * @param {string} role - Role granted on acceptance
+   * @param {string} inviterName - Name of the admin who sent the invitation
+   * @returns {Promise<Object>} Email sending result
+   */
+  async sendOrganizationInvitationEmail(email, inviteToken, organizationName, role, inviterName = "A colleague") {
+    await this.ensureInitialized();
+
+    if (!this.transporter) {
+      console.error("Email service not initialized");
+      return {
+        success: false,
+        error: "Email service not available",
+      };
+    }
+
+    const clientUrl = process.env.CLIENT_URL || "http://localhost:5174";
+    const inviteUrl = `${clientUrl}/organizations/accept?token=${inviteToken}`;
+    const text = `
+Hi,
+
+${inviterName} has invited you to join ${organizationName} on Jawbreaker as ${role}.
+
+To accept, sign in with this email address and visit:
+${inviteUrl}
+
+This invitation expires in 7 days. If you weren't expecting it, you can ignore this email.
+
+Best regards,
+The Jawbreaker Team
+    `;
+
+    const mailOptions = {
+      from: {
+        name: "Jawbreaker Support",
+        address: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      },
+      to: email,
+      subject: `You're invited to join ${organizationName} - Jawbreaker`,
+      html: `<p>${inviterName} has invited you to join <strong>${organizationName}</strong> on Jawbreaker as <strong>${role}</strong>.</p>
+<p>Sign in with this email address, then <a href="${inviteUrl}">accept the invitation</a>.</p>
+<p>This invitation expires in 7 days. If you weren't expecting it, you can ignore this email.</p>`,
+      text,
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      return {
+        success: true,
+        messageId: info.messageId,
+        previewUrl:
+          process.env.NODE_ENV === "development"
+            ? nodemailer.getTestMessageUrl(info)
+            : null,
+      };
+    } catch (error) {
+      console.error("Failed to send organization invitation email:", error);
+      return {
+        success: false,
+        error: "Failed to send email",
+      };
+    }
+  }
+
+  /**
+   * Send a due-soon or overdue reminder for a nursing task. Only the task
+   * title and due time are included; clinical details stay in the app.
+   * @param {string} email - Recipient email address
+   * @param {Object} reminder - { title, dueDate, type: "due_soon" | "overdue", userName }
+   * @returns {Promise<Object>} Email sending result
+   */
+  async sendTaskReminderEmail(email, { title, dueDate, type, userName = "there" }) {
+    await this.ensureInitialized();
+
+    if (!this.transporter) {
+      console.error("Email service not initialized");
+      return {
+        success: false,
+        error: "Email service not available",
+      };
+    }
+
+    const clientUrl = process.env.CLIENT_URL || "http://localhost:5174";
+    const due = new Date(dueDate).toUTCString();
+    const overdue = type === "overdue";
+    const summary = overdue ? `"${title}" was due ${due} and is overdue.` : `"${title}" is due ${due}.`;
+    const text = `
+Hi ${userName},
+
+${summary}
+
+Open your task list to update it:
+${clientUrl}
+
+Best regards,
+The Jawbreaker Team
+    `;
+
+    const mailOptions = {
+      from: {
+        name: "Jawbreaker Support",
+        address: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      },
+      to: email,
+      subject: `${overdue ? "Overdue" : "Due soon"}: ${title} - Jawbreaker`,
+      html: `<p>Hi ${userName},</p>
+<p>${summary}</p>
+<p><a href="${clientUrl}">Open your task list</a> to update it.</p>`,
+      text,
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      return {
+        success: true,
+        messageId: info.messageId,
+      };
+    } catch (error) {
+      console.error("Failed to send task reminder email:", error);
+      return {
+        success: false,
+        error: "Failed to send email",
+      };
+    }
+  }
+
   /**
    * Verify email service connection
    * @returns {Promise<boolean>} Connection status
@@ -0,0 +1,619 @@
+import crypto from "crypto";
+import Patient from "../../models/Patient.js";
+import organizationService from "../organizationService.js";
+import { validateResource } from "./r4Validator.js";
+
+// FHIR R4 exchange for patients: a Patient plus its MedicationStatement,
+// AllergyIntolerance and Condition resources in one Bundle.
+//
+// Export builds a "collection" Bundle from models/Patient.js. Import takes
+// any Bundle carrying exactly one Patient, matches it to an existing
+// patient by MRN and merges medications, allergies and conditions by name,
+// so a referral bundle adds to the chart instead of replacing it.
+
+const MRN_SYSTEM = process.env.FHIR_MRN_SYSTEM || "urn:jawbreaker:mrn";
+const DRUG_CODE_SYSTEM = process.env.FHIR_DRUG_CODE_SYSTEM || "urn:jawbreaker:drug-code";
+const RXNORM_SYSTEM = "http://www.nlm.nih.gov/research/umls/rxnorm";
+const SNOMED_SYSTEM = "http://snomed.info/sct";
+const IDENTIFIER_TYPE_SYSTEM = "http://terminology.hl7.org/CodeSystem/v2-0203";
+const ALLERGY_CLINICAL_SYSTEM = "http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical";
+const ALLERGY_VERIFICATION_SYSTEM = "http://terminology.hl7.org/CodeSystem/allergyintolerance-verification";
+const CONDITION_CLINICAL_SYSTEM = "http://terminology.hl7.org/CodeSystem/condition-clinical";
+const CONDITION_VERIFICATION_SYSTEM = "http://terminology.hl7.org/CodeSystem/condition-ver-status";
+const CONDITION_CATEGORY_SYSTEM = "http://terminology.hl7.org/CodeSystem/condition-category";
+
+const CONDITION_SEVERITY_CODES = {
+  mild: { code: "255604002", display: "Mild" },
+  moderate: { code: "6736007", display: "Moderate" },
+  severe: { code: "24484000", display: "Severe" },
+};
+
+const NOT_SPECIFIED = "Not specified";
+
+export class FHIRImportError extends Error {
+  constructor(message, code, statusCode = 422, issues = []) {
+    super(message);
+    this.name = "FHIRImportError";
+    this.code = code;
+    this.statusCode = statusCode;
+    this.issues = issues;
+  }
+}
+
+// Stable urn:uuid for an entry, so repeated exports of the same record
+// produce the same fullUrl
+function entryUrl(type, id) {
+  const hex = crypto.createHash("sha1").update(`${type}/${id}`).digest("hex");
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+const toDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : undefined);
+const toDateTime = (value) => (value ? new Date(value).toISOString() : undefined);
+
+// Drop undefined / empty values so the output never carries empty elements
+function compact(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(
+      ([, value]) =>
+        value !== undefined &&
+        value !== null &&
+        value !== "" &&
+        !(Array.isArray(value) && value.length === 0)
+    )
+  );
+}
+
+function conceptText(concept) {
+  if (!concept) return undefined;
+  const coding = concept.coding || [];
+  return concept.text || coding.find((c) => c.display)?.display || coding.find((c) => c.code)?.code;
+}
+
+function codingFrom(concept, system) {
+  return (concept?.coding || []).find((coding) => coding.system === system)?.code;
+}
+
+// ===== Export =====
+
+// "5 mg" -> doseAndRate with a doseQuantity; free-text doses stay in Dosage.text
+function doseAndRate(dose) {
+  const match = /^(\d+(?:\.\d+)?)\s*([a-zA-Zµ%][\w/%]*)$/.exec(String(dose || "").trim());
+  return match ? [{ doseQuantity: { value: Number(match[1]), unit: match[2] } }] : undefined;
+}
+
+function patientResource(patient) {
+  const demographics = patient.demographics || {};
+  const fullName = (demographics.name || patient.name || "").trim();
+  const parts = fullName.split(/\s+/).filter(Boolean);
+  const address = demographics.address || {};
+
+  return compact({
+    resourceType: "Patient",
+    id: String(patient._id),
+    meta: patient.updatedAt ? { lastUpdated: toDateTime(patient.updatedAt) } : undefined,
+    identifier: [
+      {
+        use: "usual",
+        type: {
+          coding: [{ system: IDENTIFIER_TYPE_SYSTEM, code: "MR", display: "Medical record number" }],
+        },
+        system: MRN_SYSTEM,
+        value: patient.mrn,
+      },
+    ],
+    active: patient.status ? patient.status === "active" : patient.isActive !== false,
+    name: fullName
+      ? [
+          compact({
+            use: "official",
+            text: fullName,
+            family: parts.length > 1 ? parts[parts.length - 1] : parts[0],
+            given: parts.slice(0, -1),
+          }),
+        ]
+      : undefined,
+    telecom: [
+      demographics.phone && { system: "phone", value: demographics.phone },
+      demographics.email && { system: "email", value: demographics.email },
+    ].filter(Boolean),
+    gender: demographics.sex,
+    birthDate: toDate(demographics.dob || patient.dateOfBirth),
+    deceasedBoolean: patient.status === "deceased" ? true : undefined,
+    address: Object.values(address).some(Boolean)
+      ? [
+          compact({
+            line: address.street ? [address.street] : undefined,
+            city: address.city,
+            state: address.state,
+            postalCode: address.zipCode,
+            country: address.country,
+          }),
+        ]
+      : undefined,
+  });
+}
+
+function medicationStatements(patient, subject) {
+  const now = new Date();
+  const current = (patient.currentMedications || []).map((med) => ({
+    resourceType: "MedicationStatement",
+    id: String(med._id),
+    status: med.endDate && new Date(med.endDate) <= now ? "completed" : "active",
+    medicationCodeableConcept: {
+      coding: [{ system: DRUG_CODE_SYSTEM, code: med.drugCode, display: med.name }],
+      text: med.name,
+    },
+    subject,
+    effectivePeriod: compact({ start: toDateTime(med.startDate), end: toDateTime(med.endDate) }),
+    dosage: [
+      compact({
+        text: [med.dose, med.route, med.frequency].filter(Boolean).join(" "),
+        timing: { code: { text: med.frequency } },
+        route: { text: med.route },
+        doseAndRate: doseAndRate(med.dose),
+      }),
+    ],
+  }));
+
+  // Legacy medication list, skipping names already in currentMedications
+  const currentNames = new Set(current.map((s) => s.medicationCodeableConcept.text.toLowerCase()));
+  const legacy = (patient.medications || [])
+    .filter((med) => med.name && !currentNames.has(med.name.toLowerCase()))
+    .map((med) =>
+      compact({
+        resourceType: "MedicationStatement",
+        id: String(med._id),
+        status: "active",
+        medicationCodeableConcept: { text: med.name },
+        subject,
+        informationSource: med.prescriber ? { display: med.prescriber } : undefined,
+        dosage: [
+          compact({
+            text: [med.dosage, med.frequency].join(" "),
+            timing: { code: { text: med.frequency } },
+            doseAndRate: doseAndRate(med.dosage),
+          }),
+        ],
+      })
+    );
+
+  return [...current, ...legacy];
+}
+
+function allergyResources(patient, subject) {
+  return (patient.allergies || []).map((allergy) =>
+    compact({
+      resourceType: "AllergyIntolerance",
+      id: String(allergy._id),
+      clinicalStatus: { coding: [{ system: ALLERGY_CLINICAL_SYSTEM, code: "active" }] },
+      criticality: allergy.severity === "life_threatening" ? "high" : undefined,
+      code: { text: allergy.substance },
+      patient: subject,
+      reaction: [
+        compact({
+          manifestation: [{ text: allergy.reaction }],
+          severity: allergy.severity === "life_threatening" ? "severe" : allergy.severity,
+        }),
+      ],
+    })
+  );
+}
+
+function conditionResources(patient, subject) {
+  const clinicalStatus = { active: "active", chronic: "active", inactive: "inactive", resolved: "resolved" };
+  const fromConditions = (patient.conditions || []).map((condition) =>
+    compact({
+      resourceType: "Condition",
+      id: String(condition._id),
+      clinicalStatus: {
+        coding: [{ system: CONDITION_CLINICAL_SYSTEM, code: clinicalStatus[condition.status] || "active" }],
+      },
+      category: [
+        { coding: [{ system: CONDITION_CATEGORY_SYSTEM, code: "problem-list-item", display: "Problem List Item" }] },
+      ],
+      severity: CONDITION_SEVERITY_CODES[condition.severity]
+        ? { coding: [{ system: SNOMED_SYSTEM, ...CONDITION_SEVERITY_CODES[condition.severity] }] }
+        : undefined,
+      code: { text: condition.name },
+      subject,
+      onsetDateTime: toDateTime(condition.onsetDate),
+    })
+  );
+
+  // Legacy diagnosis fields, skipping names already on the problem list
+  const known = new Set((patient.conditions || []).map((c) => c.name.toLowerCase()));
+  const diagnoses = [];
+  for (const name of [patient.primaryDiagnosis, ...(patient.secondaryDiagnoses || [])]) {
+    if (!name || known.has(name.toLowerCase())) continue;
+    known.add(name.toLowerCase());
+    diagnoses.push(name);
+  }
+  const fromDiagnoses = diagnoses.map((name, index) => ({
+    resourceType: "Condition",
+    id: `${patient._id}-dx-${index}`,
+    clinicalStatus: { coding: [{ system: CONDITION_CLINICAL_SYSTEM, code: "active" }] },
+    category: [
+      { coding: [{ system: CONDITION_CATEGORY_SYSTEM, code: "encounter-diagnosis", display: "Encounter Diagnosis" }] },
+    ],
+    code: { text: name },
+    subject,
+  }));
+
+  return [...fromConditions, ...fromDiagnoses];
+}
+
+/**
+ * Build a FHIR R4 collection Bundle for a patient document.
+ * Throws if the result does not validate, which would be a mapping bug.
+ */
+export function buildPatientBundle(patient) {
+  const patientEntry = patientResource(patient);
+  const patientUrl = entryUrl("Patient", patientEntry.id);
+  const subject = compact({ reference: patientUrl, display: patientEntry.name?.[0]?.text });
+
+  const resources = [
+    patientEntry,
+    ...medicationStatements(patient, subject),
+    ...allergyResources(patient, subject),
+    ...conditionResources(patient, subject),
+  ];
+
+  const bundle = {
+    resourceType: "Bundle",
+    id: crypto.randomUUID(),
+    type: "collection",
+    timestamp: new Date().toISOString(),
+    entry: resources.map((resource) => ({
+      fullUrl: resource === patientEntry ? patientUrl : entryUrl(resource.resourceType, resource.id),
+      resource,
+    })),
+  };
+
+  const issues = validateResource(bundle);
+  if (issues.length > 0) {
+    const error = new Error(`Generated FHIR bundle is invalid: ${issues[0].expression[0]} ${issues[0].diagnostics}`);
+    error.issues = issues;
+    throw error;
+  }
+  return bundle;
+}
+
+// ===== Import =====
+
+function pickMrn(patientResource) {
+  const identifiers = patientResource.identifier || [];
+  const ours = identifiers.find((id) => id.system === MRN_SYSTEM && id.value);
+  const typedMr = identifiers.find(
+    (id) => id.value && (id.type?.coding || []).some((c) => c.system === IDENTIFIER_TYPE_SYSTEM && c.code === "MR")
+  );
+  const onlyOne = identifiers.filter((id) => id.value).length === 1 ? identifiers.find((id) => id.value) : null;
+  return (ours || typedMr || onlyOne)?.value?.trim();
+}
+
+function parseDemographics(resource, warnings) {
+  const names = resource.name || [];
+  const name =
+    names.find((n) => n.use === "official") || names.find((n) => n.use === "usual") || names[0];
+  const fullName = name && (name.text || [...(name.given || []), name.family].filter(Boolean).join(" "));
+  if (!fullName) {
+    throw new FHIRImportError("Patient.name is required to create a patient", "MISSING_NAME");
+  }
+  if (!resource.birthDate) {
+    throw new FHIRImportError("Patient.birthDate is required to create a patient", "MISSING_BIRTH_DATE");
+  }
+
+  const telecom = resource.telecom || [];
+  const phones = telecom.filter((t) => t.system === "phone" && t.value);
+  const phone = (phones.find((t) => t.use === "mobile") || phones.find((t) => t.use === "home") || phones[0])?.value;
+  const email = telecom.find((t) => t.system === "email" && t.value)?.value;
+  const addresses = resource.address || [];
+  const address = addresses.find((a) => a.use === "home") || addresses[0];
+
+  if (!resource.gender) warnings.push("Patient.gender missing; recorded as unknown");
+
+  return {
+    name: fullName,
+    dob: new Date(resource.birthDate),
+    sex: resource.gender || "unknown",
+    phone,
+    email,
+    address: address
+      ? compact({
+          street: (address.line || []).join(", ") || undefined,
+          city: address.city,
+          state: address.state,
+          zipCode: address.postalCode,
+          country: address.country,
+        })
+      : undefined,
+  };
+}
+
+function parseMedication(statement, medications, warnings) {
+  if (["entered-in-error", "not-taken"].includes(statement.status)) return null;
+
+  let concept = statement.medicationCodeableConcept;
+  if (!concept && statement.medicationReference) {
+    concept = medications.get(statement.medicationReference.reference)?.code;
+    if (!concept && statement.medicationReference.display) {
+      concept = { text: statement.medicationReference.display };
+    }
+  }
+  const name = conceptText(concept);
+  if (!name) {
+    warnings.push(`MedicationStatement/${statement.id || "?"} skipped: no medication name`);
+    return null;
+  }
+
+  const coding = concept.coding || [];
+  const drugCode =
+    codingFrom(concept, DRUG_CODE_SYSTEM) ||
+    codingFrom(concept, RXNORM_SYSTEM) ||
+    coding.find((c) => c.code)?.code ||
+    "uncoded";
+
+  const dosage = (statement.dosage || [])[0] || {};
+  const doseQuantity = (dosage.doseAndRate || [])[0]?.doseQuantity;
+  const repeat = dosage.timing?.repeat;
+  const frequency =
+    conceptText(dosage.timing?.code) ||
+    (repeat?.frequency && repeat?.period
+      ? `${repeat.frequency} time(s) per ${repeat.period} ${repeat.periodUnit || ""}`.trim()
+      : undefined);
+
+  let startDate =
+    statement.effectivePeriod?.start || statement.effectiveDateTime || statement.dateAsserted;
+  if (!startDate) {
+    warnings.push(`${name}: no start date in MedicationStatement; recorded as the import date`);
+    startDate = new Date();
+  }
+  let endDate = statement.effectivePeriod?.end;
+  if (!endDate && ["completed", "stopped"].includes(statement.status)) {
+    endDate = statement.dateAsserted || new Date();
+  }
+
+  return compact({
+    drugCode,
+    name,
+    dose: doseQuantity?.value !== undefined
+      ? `${doseQuantity.value} ${doseQuantity.unit || doseQuantity.code || ""}`.trim()
+      : dosage.text || NOT_SPECIFIED,
+    route: conceptText(dosage.route) || NOT_SPECIFIED,
+    frequency: frequency || NOT_SPECIFIED,
+    startDate: new Date(startDate),
+    endDate: endDate ? new Date(endDate) : undefined,
+  });
+}
+
+function parseAllergy(resource, warnings) {
+  const verification = codingFrom(resource.verificationStatus, ALLERGY_VERIFICATION_SYSTEM);
+  if (["entered-in-error", "refuted"].includes(verification)) return null;
+  const substance = conceptText(resource.code);
+  if (!substance) {
+    warnings.push(`AllergyIntolerance/${resource.id || "?"} skipped: no substance`);
+    return null;
+  }
+  const clinical = codingFrom(resource.clinicalStatus, ALLERGY_CLINICAL_SYSTEM);
+  if (clinical && clinical !== "active") {
+    warnings.push(`${substance}: allergy is ${clinical}; not added to the active allergy list`);
+    return null;
+  }
+
+  const reactions = resource.reaction || [];
+  const manifestations = reactions.flatMap((r) => (r.manifestation || []).map(conceptText)).filter(Boolean);
+  const rank = ["mild", "moderate", "severe"];
+  const worst = reactions
+    .map((r) => r.severity)
+    .filter(Boolean)
+    .sort((a, b) => rank.indexOf(b) - rank.indexOf(a))[0];
+
+  let severity = resource.criticality === "high" ? "life_threatening" : worst;
+  if (!severity) {
+    warnings.push(`${substance}: allergy severity not stated; recorded as moderate`);
+    severity = "moderate";
+  }
+
+  return {
+    substance,
+    reaction:
+      [...new Set(manifestations)].join("; ") ||
+      reactions.find((r) => r.description)?.description ||
+      NOT_SPECIFIED,
+    severity,
+  };
+}
+
+function parseCondition(resource, warnings) {
+  const verification = codingFrom(resource.verificationStatus, CONDITION_VERIFICATION_SYSTEM);
+  if (["entered-in-error", "refuted"].includes(verification)) return null;
+  const name = conceptText(resource.code);
+  if (!name) {
+    warnings.push(`Condition/${resource.id || "?"} skipped: no code`);
+    return null;
+  }
+
+  const clinical = codingFrom(resource.clinicalStatus, CONDITION_CLINICAL_SYSTEM);
+  const status =
+    { active: "active", recurrence: "active", relapse: "active", inactive: "inactive", remission: "inactive", resolved: "resolved" }[
+      clinical
+    ] || "active";
+
+  const severityCode = codingFrom(resource.severity, SNOMED_SYSTEM);
+  const severity =
+    Object.keys(CONDITION_SEVERITY_CODES).find((key) => CONDITION_SEVERITY_CODES[key].code === severityCode) ||
+    Object.keys(CONDITION_SEVERITY_CODES).find((key) => conceptText(resource.severity)?.toLowerCase() === key);
+
+  const onset = resource.onsetDateTime || resource.onsetPeriod?.start;
+  return compact({
+    name,
+    status,
+    severity,
+    onsetDate: onset ? new Date(onset) : undefined,
+  });
+}
+
+/**
+ * Validate a Bundle and map it onto the Patient schema.
+ * @returns {{ mrn, demographics, deceased, currentMedications, allergies, conditions, warnings }}
+ */
+export function parsePatientBundle(bundle) {
+  if (bundle?.resourceType !== "Bundle") {
+    throw new FHIRImportError("Request body must be a FHIR Bundle", "NOT_A_BUNDLE");
+  }
+  const issues = validateResource(bundle, { allowUnknownResources: true });
+  if (issues.length > 0) {
+    throw new FHIRImportError("Bundle failed FHIR R4 validation", "INVALID_RESOURCE", 422, issues);
+  }
+
+  const entries = bundle.entry || [];
+  const patients = entries.filter((e) => e.resource?.resourceType === "Patient");
+  if (patients.length !== 1) {
+    throw new FHIRImportError(
+      `Bundle must contain exactly one Patient (found ${patients.length})`,
+      "PATIENT_COUNT"
+    );
+  }
+  const [patientEntry] = patients;
+  const patient = patientEntry.resource;
+
+  const mrn = pickMrn(patient);
+  if (!mrn) {
+    throw new FHIRImportError(
+      "Patient has no MRN identifier (an identifier typed MR, or the only identifier present)",
+      "MISSING_MRN"
+    );
+  }
+
+  // Every clinical resource must point at this Patient
+  const patientRefs = new Set([patientEntry.fullUrl, patient.id && `Patient/${patient.id}`].filter(Boolean));
+  const medications = new Map(
+    entries
+      .filter((e) => e.resource?.resourceType === "Medication")
+      .flatMap((e) => [
+        [e.fullUrl, e.resource],
+        [`Medication/${e.resource.id}`, e.resource],
+      ])
+  );
+
+  const warnings = [];
+  const result = {
+    mrn,
+    demographics: parseDemographics(patient, warnings),
+    deceased: Boolean(patient.deceasedBoolean || patient.deceasedDateTime),
+    currentMedications: [],
+    allergies: [],
+    conditions: [],
+    warnings,
+  };
+
+  entries.forEach((entry, index) => {
+    const resource = entry.resource;
+    const type = resource?.resourceType;
+    if (!["MedicationStatement", "AllergyIntolerance", "Condition"].includes(type)) return;
+
+    const reference = (type === "AllergyIntolerance" ? resource.patient : resource.subject)?.reference;
+    if (!patientRefs.has(reference)) {
+      throw new FHIRImportError(
+        `Bundle.entry[${index}] ${type} references "${reference}", not the bundle's Patient`,
+        "FOREIGN_SUBJECT"
+      );
+    }
+
+    if (type === "MedicationStatement") {
+      const med = parseMedication(resource, medications, warnings);
+      if (med) result.currentMedications.push(med);
+    } else if (type === "AllergyIntolerance") {
+      const allergy = parseAllergy(resource, warnings);
+      if (allergy) result.allergies.push(allergy);
+    } else {
+      const condition = parseCondition(resource, warnings);
+      if (condition) result.conditions.push(condition);
+    }
+  });
+
+  const ignored = entries.filter(
+    (e) => !["Patient", "MedicationStatement", "AllergyIntolerance", "Condition", "Medication"].includes(e.resource?.resourceType)
+  );
+  if (ignored.length > 0) {
+    const types = [...new Set(ignored.map((e) => e.resource?.resourceType || "entry without resource"))];
+    warnings.push(`Ignored ${ignored.length} unsupported entr${ignored.length === 1 ? "y" : "ies"}: ${types.join(", ")}`);
+  }
+
+  return result;
+}
+
+// Replace entries with the same key, append the rest
+function mergeByKey(existing, incoming, keyOf) {
+  const merged = [...existing];
+  for (const item of incoming) {
+    const index = merged.findIndex((current) => keyOf(current) === keyOf(item));
+    if (index >= 0) {
+      const current = merged[index];
+      merged[index] = { ...(current.toObject ? current.toObject() : current), ...item };
+    } else {
+      merged.push(item);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Create or update a patient from a FHIR Bundle, matching on MRN.
+ * @returns {{ created, patient, imported: { medications, allergies, conditions }, warnings }}
+ */
+export async function importPatientBundle(bundle, userId) {
+  const parsed = parsePatientBundle(bundle);
+  const byName = (key) => (item) => String(item[key] || "").trim().toLowerCase();
+
+  const tenant = await organizationService.getTenant(userId);
+  let patient = await Patient.findOne({
+    mrn: parsed.mrn,
+    ...organizationService.scope(tenant, ["createdBy", "userId"]),
+  });
+  if (!patient && (await Patient.exists({ mrn: parsed.mrn }))) {
+    throw new FHIRImportError(
+      `MRN ${parsed.mrn} belongs to a patient you do not have access to`,
+      "MRN_CONFLICT",
+      409
+    );
+  }
+  const created = !patient;
+
+  if (patient) {
+    const demographics = patient.demographics?.toObject ? patient.demographics.toObject() : patient.demographics || {};
+    patient.demographics = { ...demographics, ...compact(parsed.demographics) };
+    patient.currentMedications = mergeByKey(patient.currentMedications, parsed.currentMedications, byName("name"));
+    patient.allergies = mergeByKey(patient.allergies, parsed.allergies, byName("substance"));
+    patient.conditions = mergeByKey(patient.conditions, parsed.conditions, byName("name"));
+  } else {
+    patient = new Patient({
+      mrn: parsed.mrn,
+      demographics: compact(parsed.demographics),
+      currentMedications: parsed.currentMedications,
+      allergies: parsed.allergies,
+      conditions: parsed.conditions,
+      createdBy: userId,
+      organizationId: tenant.organizationId,
+    });
+  }
+  if (parsed.deceased) patient.status = "deceased";
+
+  const imported = {
+    medications: parsed.currentMedications.length,
+    allergies: parsed.allergies.length,
+    conditions: parsed.conditions.length,
+  };
+  patient.clinicalTimeline.push({
+    type: "referral",
+    date: new Date(),
+    summary: `FHIR bundle imported: ${imported.medications} medication(s), ${imported.allergies} allergy(ies), ${imported.conditions} condition(s)`,
+  });
+
+  await patient.save();
+  console.log(`📥 FHIR bundle ${created ? "created" : "updated"} patient ${patient._id} (MRN ${parsed.mrn})`);
+
+  return { created, patient, imported, warnings: parsed.warnings };
+}
+
+export default { buildPatientBundle, parsePatientBundle, importPatientBundle };
@@ -0,0 +1,371 @@
+// Structural validation of FHIR R4 resources.
+//
+// Covers the resources we exchange (Bundle, Patient, MedicationStatement,
+// AllergyIntolerance, Condition): element names, cardinality, required
+// elements, choice types ([x]), primitive formats and required code
+// bindings. Terminology (SNOMED, RxNorm, ...) is not checked.
+//
+// validateResource() returns a list of issues shaped like
+// OperationOutcome.issue: { severity, code, expression, diagnostics }.
+
+const PRIMITIVES = {
+  string: (v) => typeof v === "string" && v.trim().length > 0,
+  markdown: (v) => typeof v === "string" && v.trim().length > 0,
+  code: (v) => typeof v === "string" && /^[^\s]+( [^\s]+)*$/.test(v),
+  id: (v) => typeof v === "string" && /^[A-Za-z0-9\-.]{1,64}$/.test(v),
+  uri: (v) => typeof v === "string" && v.length > 0 && !/\s/.test(v),
+  canonical: (v) => typeof v === "string" && v.length > 0 && !/\s/.test(v),
+  xhtml: (v) => typeof v === "string" && /^<div[\s>]/.test(v.trim()),
+  boolean: (v) => typeof v === "boolean",
+  integer: (v) => Number.isInteger(v),
+  decimal: (v) => typeof v === "number" && Number.isFinite(v),
+  positiveInt: (v) => Number.isInteger(v) && v > 0,
+  unsignedInt: (v) => Number.isInteger(v) && v >= 0,
+  date: (v) =>
+    typeof v === "string" && /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/.test(v),
+  dateTime: (v) =>
+    typeof v === "string" &&
+    /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00)))?)?)?$/.test(v),
+  instant: (v) =>
+    typeof v === "string" &&
+    /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00))$/.test(v),
+};
+
+// Element definitions: el(type, min, max, codes). max is 1 or "*"; codes
+// is the required value set for a code element.
+// "any" accepts any object (backbone elements and datatypes we don't map).
+const el = (type, min = 0, max = 1, codes = null) => ({ type, min, max, codes });
+
+const ELEMENT = { id: el("string"), extension: el("any", 0, "*") };
+
+const DATATYPES = {
+  Coding: {
+    system: el("uri"), version: el("string"), code: el("code"),
+    display: el("string"), userSelected: el("boolean"),
+  },
+  CodeableConcept: { coding: el("Coding", 0, "*"), text: el("string") },
+  Reference: {
+    reference: el("string"), type: el("uri"), identifier: el("Identifier"), display: el("string"),
+  },
+  Identifier: {
+    use: el("code", 0, 1, ["usual", "official", "temp", "secondary", "old"]),
+    type: el("CodeableConcept"), system: el("uri"), value: el("string"),
+    period: el("Period"), assigner: el("Reference"),
+  },
+  HumanName: {
+    use: el("code", 0, 1, ["usual", "official", "temp", "nickname", "anonymous", "old", "maiden"]),
+    text: el("string"), family: el("string"), given: el("string", 0, "*"),
+    prefix: el("string", 0, "*"), suffix: el("string", 0, "*"), period: el("Period"),
+  },
+  ContactPoint: {
+    system: el("code", 0, 1, ["phone", "fax", "email", "pager", "url", "sms", "other"]),
+    value: el("string"),
+    use: el("code", 0, 1, ["home", "work", "temp", "old", "mobile"]),
+    rank: el("positiveInt"), period: el("Period"),
+  },
+  Address: {
+    use: el("code", 0, 1, ["home", "work", "temp", "old", "billing"]),
+    type: el("code", 0, 1, ["postal", "physical", "both"]),
+    text: el("string"), line: el("string", 0, "*"), city: el("string"), district: el("string"),
+    state: el("string"), postalCode: el("string"), country: el("string"), period: el("Period"),
+  },
+  Period: { start: el("dateTime"), end: el("dateTime") },
+  Quantity: {
+    value: el("decimal"), comparator: el("code", 0, 1, ["<", "<=", ">=", ">"]),
+    unit: el("string"), system: el("uri"), code: el("code"),
+  },
+  Annotation: {
+    authorReference: el("Reference"), authorString: el("string"),
+    time: el("dateTime"), text: el("markdown", 1),
+  },
+  Meta: {
+    versionId: el("id"), lastUpdated: el("instant"), source: el("uri"),
+    profile: el("canonical", 0, "*"), security: el("Coding", 0, "*"), tag: el("Coding", 0, "*"),
+  },
+  Narrative: {
+    status: el("code", 1, 1, ["generated", "extensions", "additional", "empty"]),
+    div: el("xhtml", 1),
+  },
+  Timing: { event: el("dateTime", 0, "*"), repeat: el("any"), code: el("CodeableConcept") },
+  Dosage: {
+    sequence: el("integer"), text: el("string"), additionalInstruction: el("CodeableConcept", 0, "*"),
+    patientInstruction: el("string"), timing: el("Timing"),
+    asNeededBoolean: el("boolean"), asNeededCodeableConcept: el("CodeableConcept"),
+    site: el("CodeableConcept"), route: el("CodeableConcept"), method: el("CodeableConcept"),
+    doseAndRate: el("any", 0, "*"), maxDosePerPeriod: el("any"),
+    maxDosePerAdministration: el("Quantity"), maxDosePerLifetime: el("Quantity"),
+  },
+};
+
+const DOMAIN_RESOURCE = {
+  id: el("id"), meta: el("Meta"), implicitRules: el("uri"), language: el("code"),
+  text: el("Narrative"), contained: el("any", 0, "*"),
+  extension: el("any", 0, "*"), modifierExtension: el("any", 0, "*"),
+};
+
+const ONSET_CHOICES = {
+  DateTime: el("dateTime"), Age: el("any"), Period: el("Period"), Range: el("any"), String: el("string"),
+};
+
+const RESOURCES = {
+  Bundle: {
+    elements: {
+      id: el("id"), meta: el("Meta"), implicitRules: el("uri"), language: el("code"),
+      identifier: el("Identifier"),
+      type: el("code", 1, 1, [
+        "document", "message", "transaction", "transaction-response", "batch",
+        "batch-response", "history", "searchset", "collection",
+      ]),
+      timestamp: el("instant"), total: el("unsignedInt"), link: el("any", 0, "*"),
+      entry: el("BundleEntry", 0, "*"), signature: el("any"),
+    },
+  },
+  Patient: {
+    elements: {
+      ...DOMAIN_RESOURCE,
+      identifier: el("Identifier", 0, "*"), active: el("boolean"), name: el("HumanName", 0, "*"),
+      telecom: el("ContactPoint", 0, "*"),
+      gender: el("code", 0, 1, ["male", "female", "other", "unknown"]),
+      birthDate: el("date"), address: el("Address", 0, "*"),
+      maritalStatus: el("CodeableConcept"), photo: el("any", 0, "*"), contact: el("any", 0, "*"),
+      communication: el("any", 0, "*"), generalPractitioner: el("Reference", 0, "*"),
+      managingOrganization: el("Reference"), link: el("any", 0, "*"),
+    },
+    choices: {
+      deceased: { Boolean: el("boolean"), DateTime: el("dateTime") },
+      multipleBirth: { Boolean: el("boolean"), Integer: el("integer") },
+    },
+  },
+  MedicationStatement: {
+    elements: {
+      ...DOMAIN_RESOURCE,
+      identifier: el("Identifier", 0, "*"), basedOn: el("Reference", 0, "*"),
+      partOf: el("Reference", 0, "*"),
+      status: el("code", 1, 1, [
+        "active", "completed", "entered-in-error", "intended", "stopped", "on-hold",
+        "unknown", "not-taken",
+      ]),
+      statusReason: el("CodeableConcept", 0, "*"), category: el("CodeableConcept"),
+      subject: el("Reference", 1), context: el("Reference"), dateAsserted: el("dateTime"),
+      informationSource: el("Reference"), derivedFrom: el("Reference", 0, "*"),
+      reasonCode: el("CodeableConcept", 0, "*"), reasonReference: el("Reference", 0, "*"),
+      note: el("Annotation", 0, "*"), dosage: el("Dosage", 0, "*"),
+    },
+    choices: {
+      medication: { CodeableConcept: el("CodeableConcept"), Reference: el("Reference"), min: 1 },
+      effective: { DateTime: el("dateTime"), Period: el("Period") },
+    },
+  },
+  AllergyIntolerance: {
+    elements: {
+      ...DOMAIN_RESOURCE,
+      identifier: el("Identifier", 0, "*"), clinicalStatus: el("CodeableConcept"),
+      verificationStatus: el("CodeableConcept"),
+      type: el("code", 0, 1, ["allergy", "intolerance"]),
+      category: el("code", 0, "*", ["food", "medication", "environment", "biologic"]),
+      criticality: el("code", 0, 1, ["low", "high", "unable-to-assess"]),
+      code: el("CodeableConcept"), patient: el("Reference", 1), encounter: el("Reference"),
+      recordedDate: el("dateTime"), recorder: el("Reference"), asserter: el("Reference"),
+      lastOccurrence: el("dateTime"), note: el("Annotation", 0, "*"),
+      reaction: el("AllergyReaction", 0, "*"),
+    },
+    choices: { onset: ONSET_CHOICES },
+  },
+  Condition: {
+    elements: {
+      ...DOMAIN_RESOURCE,
+      identifier: el("Identifier", 0, "*"), clinicalStatus: el("CodeableConcept"),
+      verificationStatus: el("CodeableConcept"), category: el("CodeableConcept", 0, "*"),
+      severity: el("CodeableConcept"), code: el("CodeableConcept"),
+      bodySite: el("CodeableConcept", 0, "*"), subject: el("Reference", 1),
+      encounter: el("Reference"), recordedDate: el("dateTime"), recorder: el("Reference"),
+      asserter: el("Reference"), stage: el("any", 0, "*"), evidence: el("any", 0, "*"),
+      note: el("Annotation", 0, "*"),
+    },
+    choices: {
+      onset: ONSET_CHOICES,
+      abatement: ONSET_CHOICES,
+    },
+  },
+};
+
+// Backbone elements we read, validated like datatypes
+DATATYPES.BundleEntry = {
+  link: el("any", 0, "*"), fullUrl: el("uri"), resource: el("Resource"),
+  search: el("any"), request: el("any"), response: el("any"),
+};
+DATATYPES.AllergyReaction = {
+  substance: el("CodeableConcept"), manifestation: el("CodeableConcept", 1, "*"),
+  description: el("string"), onset: el("dateTime"),
+  severity: el("code", 0, 1, ["mild", "moderate", "severe"]),
+  exposureRoute: el("CodeableConcept"), note: el("Annotation", 0, "*"),
+  modifierExtension: el("any", 0, "*"),
+};
+
+// Clinical status / verification status codes required by R4 invariants
+const STATUS_SYSTEMS = {
+  AllergyIntolerance: {
+    clinicalStatus: "http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical",
+    verificationStatus: "http://terminology.hl7.org/CodeSystem/allergyintolerance-verification",
+  },
+  Condition: {
+    clinicalStatus: "http://terminology.hl7.org/CodeSystem/condition-clinical",
+    verificationStatus: "http://terminology.hl7.org/CodeSystem/condition-ver-status",
+  },
+};
+
+export const SUPPORTED_RESOURCES = Object.keys(RESOURCES).filter((type) => type !== "Bundle");
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+function issue(path, diagnostics, code = "structure") {
+  return { severity: "error", code, expression: [path], diagnostics };
+}
+
+function validateValue(value, type, path, codes, issues, options) {
+  if (type === "any") {
+    if (!isPlainObject(value)) issues.push(issue(path, "must be an object"));
+    return;
+  }
+  if (type === "Resource") {
+    validateResourceInto(value, path, issues, options);
+    return;
+  }
+  if (PRIMITIVES[type]) {
+    if (!PRIMITIVES[type](value)) {
+      issues.push(issue(path, `is not a valid ${type}`, "value"));
+    } else if (codes && !codes.includes(value)) {
+      issues.push(issue(path, `must be one of: ${codes.join(", ")}`, "code-invalid"));
+    }
+    return;
+  }
+  validateObject(value, { ...ELEMENT, ...DATATYPES[type] }, {}, path, issues, options);
+}
+
+function validateObject(value, elements, choices, path, issues, options) {
+  if (!isPlainObject(value)) {
+    issues.push(issue(path, "must be an object"));
+    return;
+  }
+
+  const choiceNames = new Map();
+  for (const [base, variants] of Object.entries(choices)) {
+    for (const [suffix, def] of Object.entries(variants)) {
+      if (def && suffix !== "min") choiceNames.set(base + suffix, { base, def });
+    }
+  }
+
+  const seenChoices = new Map();
+  for (const [key, child] of Object.entries(value)) {
+    // Primitive extensions: "_birthDate" carries id/extension for "birthDate"
+    if (key.startsWith("_")) {
+      const base = key.slice(1);
+      if (!elements[base] && !choiceNames.has(base)) {
+        issues.push(issue(`${path}.${key}`, "unknown element"));
+      }
+      continue;
+    }
+    const choice = choiceNames.get(key);
+    const def = elements[key] || choice?.def;
+    if (!def) {
+      issues.push(issue(`${path}.${key}`, "unknown element"));
+      continue;
+    }
+    if (choice) {
+      if (seenChoices.has(choice.base)) {
+        issues.push(issue(`${path}.${key}`, `only one of ${choice.base}[x] may be present`));
+      }
+      seenChoices.set(choice.base, key);
+    }
+    checkCardinality(child, def, `${path}.${key}`, issues, options);
+  }
+
+  for (const [key, def] of Object.entries(elements)) {
+    if (def.min > 0 && (value[key] === undefined || value[key] === null)) {
+      issues.push(issue(`${path}.${key}`, "is required", "required"));
+    }
+  }
+  for (const [base, variants] of Object.entries(choices)) {
+    if (variants.min > 0 && !seenChoices.has(base)) {
+      issues.push(issue(`${path}.${base}[x]`, "is required", "required"));
+    }
+  }
+}
+
+function checkCardinality(value, def, path, issues, options) {
+  if (def.max === "*") {
+    if (!Array.isArray(value)) {
+      issues.push(issue(path, "must be an array"));
+      return;
+    }
+    if (value.length < def.min) {
+      issues.push(issue(path, `must have at least ${def.min} item(s)`, "required"));
+    }
+    value.forEach((item, index) =>
+      validateValue(item, def.type, `${path}[${index}]`, def.codes, issues, options)
+    );
+    return;
+  }
+  if (Array.isArray(value)) {
+    issues.push(issue(path, "must not be an array"));
+    return;
+  }
+  validateValue(value, def.type, path, def.codes, issues, options);
+}
+
+function checkStatusCodes(resource, path, issues) {
+  const systems = STATUS_SYSTEMS[resource.resourceType];
+  if (!systems) return;
+  for (const [element, system] of Object.entries(systems)) {
+    const codings = resource[element]?.coding || [];
+    if (resource[element] && !codings.some((coding) => coding.system === system && coding.code)) {
+      issues.push(issue(`${path}.${element}`, `must include a coding from ${system}`, "code-invalid"));
+    }
+  }
+  // con-4 / ait-1: entered-in-error records carry no clinical status
+  const verification = resource.verificationStatus?.coding?.find(
+    (coding) => coding.system === systems.verificationStatus
+  )?.code;
+  if (verification === "entered-in-error" && resource.clinicalStatus) {
+    issues.push(issue(`${path}.clinicalStatus`, "must be absent when verificationStatus is entered-in-error", "invariant"));
+  } else if (verification !== "entered-in-error" && !resource.clinicalStatus && resource.resourceType === "Condition") {
+    issues.push(issue(`${path}.clinicalStatus`, "is required unless verificationStatus is entered-in-error", "invariant"));
+  }
+}
+
+function validateResourceInto(resource, path, issues, options) {
+  if (!isPlainObject(resource)) {
+    issues.push(issue(path, "resource must be an object"));
+    return;
+  }
+  const definition = RESOURCES[resource.resourceType];
+  if (!definition) {
+    if (options.allowUnknownResources && typeof resource.resourceType === "string") return;
+    issues.push(issue(`${path}.resourceType`, `unsupported resourceType "${resource.resourceType}"`, "not-supported"));
+    return;
+  }
+  const resourcePath = path || resource.resourceType;
+  const elements = { resourceType: el("code", 1), ...definition.elements };
+  validateObject(resource, elements, definition.choices || {}, resourcePath, issues, options);
+  checkStatusCodes(resource, resourcePath, issues);
+}
+
+/**
+ * Validate a resource (or Bundle) against the R4 structure.
+ * @param {Object} resource
+ * @param {Object} [options]
+ * @param {boolean} [options.allowUnknownResources] - skip entries of types we don't read
+ * @returns {Array<{severity, code, expression, diagnostics}>} empty when valid
+ */
+export function validateResource(resource, options = {}) {
+  const issues = [];
+  validateResourceInto(resource, "", issues, options);
+  return issues;
+}
+
+export function toOperationOutcome(issues) {
+  return { resourceType: "OperationOutcome", issue: issues };
+}
+
+export default { validateResource, toOperationOutcome, SUPPORTED_RESOURCES };
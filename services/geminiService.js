@@ -1221,6 +1221,28 @@ export const generateContent = async (prompt, options = {}) => {
   }
 };
 
+/**
+ * Stream content from Gemini as text chunks
+ * @param {string} prompt - The prompt to send
+ * @param {Object} options - { model, signal }
+ * @returns {AsyncGenerator<string>} Text chunks as they arrive
+ */
+export async function* generateContentStream(prompt, options = {}) {
+  if (!genAI) {
+    throw new Error("Gemini AI is not configured - no API key provided");
+  }
+
+  const { signal } = options;
+  const model = getModelWithFallback(options.model || MODELS.FLASH);
+  const result = await model.generateContentStream(prompt, { signal });
+  for await (const chunk of result.stream) {
+    // Stop reading as soon as the client goes away
+    signal?.throwIfAborted();
+    const text = chunk.text();
+    if (text) yield text;
+  }
+}
+
 export default {
   extractTextFromFile,
   generateSOAPNote,
@@ -1230,4 +1252,5 @@ export default {
   chatWithAI,
   testConnection,
   generateContent,
+  generateContentStream,
 };
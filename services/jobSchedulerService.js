@@ -0,0 +1,625 @@
+import crypto from "crypto";
+import os from "os";
+import mongoose from "mongoose";
+import ScheduledJob from "../models/ScheduledJob.js";
+
+export class JobSchedulerError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = "JobSchedulerError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const POLL_MS = parseInt(process.env.SCHEDULER_POLL_MS, 10) || 5000;
+const MAX_CLAIMS_PER_TICK = 20;
+const RECENT_RUNS = 20;
+const FINISHED_JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+// Longest delay setTimeout accepts; later runs re-arm when it fires
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// ===== Cron expressions =====
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "dayOfWeek", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+
+const CRON_ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+function parseCronField(source, field) {
+  const values = new Set();
+  const toNumber = (token) => {
+    const index = field.names?.indexOf(token.toLowerCase());
+    const value = index >= 0 ? index + (field.name === "month" ? 1 : 0) : Number(token);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      throw new JobSchedulerError(`Invalid cron ${field.name}: ${token}`, "INVALID_CRON");
+    }
+    return value;
+  };
+
+  for (const part of source.split(",")) {
+    const [range, stepSource] = part.split("/");
+    const step = stepSource === undefined ? 1 : Number(stepSource);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new JobSchedulerError(`Invalid cron step: ${part}`, "INVALID_CRON");
+    }
+
+    let [start, end] = [field.min, field.max];
+    if (range !== "*") {
+      const [from, to] = range.split("-");
+      start = toNumber(from);
+      end = to === undefined ? (stepSource === undefined ? start : field.max) : toNumber(to);
+    }
+    if (start > end) {
+      throw new JobSchedulerError(`Invalid cron range: ${part}`, "INVALID_CRON");
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  if (field.name === "dayOfWeek" && values.delete(7)) values.add(0);
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression (minute hour day-of-month month
+ * day-of-week) with lists, ranges, steps, month/day names and @hourly,
+ * @daily, @weekly, @monthly.
+ */
+export function parseCron(expression) {
+  const source = CRON_ALIASES[expression?.trim()] || expression?.trim() || "";
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new JobSchedulerError(
+      `Cron expression needs 5 fields: ${expression}`,
+      "INVALID_CRON"
+    );
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) =>
+    parseCronField(part, CRON_FIELDS[index])
+  );
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // As in Vixie cron: with both day fields restricted, either may match
+    anyDay: parts[2] !== "*" && parts[4] !== "*",
+  };
+}
+
+/**
+ * First time strictly after `after` that matches the cron expression (UTC).
+ */
+export function nextCronRun(expression, after = new Date()) {
+  const cron = typeof expression === "string" ? parseCron(expression) : expression;
+  const time = new Date(after.getTime());
+  time.setUTCSeconds(0, 0);
+  time.setUTCMinutes(time.getUTCMinutes() + 1);
+
+  const dayMatches = () => {
+    const dom = cron.dayOfMonth.has(time.getUTCDate());
+    const dow = cron.dayOfWeek.has(time.getUTCDay());
+    return cron.anyDay ? dom || dow : dom && dow;
+  };
+
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (time.getTime() < limit) {
+    if (!cron.month.has(time.getUTCMonth() + 1)) {
+      time.setUTCMonth(time.getUTCMonth() + 1, 1);
+      time.setUTCHours(0, 0);
+    } else if (!dayMatches()) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0);
+    } else if (!cron.hour.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0);
+    } else if (!cron.minute.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1);
+    } else {
+      return time;
+    }
+  }
+  throw new JobSchedulerError(`Cron expression never fires: ${expression}`, "INVALID_CRON");
+}
+
+/**
+ * Mongo-backed job scheduler.
+ *
+ * Handlers are registered in code with define(); jobs are stored in
+ * ScheduledJob and survive restarts. Cluster jobs are claimed with an atomic
+ * lock so one instance runs each occurrence and are picked up on the poll
+ * (SCHEDULER_POLL_MS). Instance jobs run on every instance (for in-process
+ * state such as metrics and circuit breakers) on their own timers, so an
+ * `every` shorter than the poll is kept; they still run from their in-code
+ * definition while the database is down, and the poll only applies pause
+ * and run-now requests from the admin routes.
+ *
+ * A failed run is retried with exponential backoff up to maxAttempts; a
+ * recurring job then waits for its next regular occurrence. A handler may
+ * return { data } to persist new job data, or { done: true } to end a
+ * recurring job.
+ */
+class JobSchedulerService {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+    this.handlers = new Map();
+    this.pending = new Map(); // name -> options, written once connected
+    this.instanceJobs = new Map(); // name -> { options, nextRunAt, lastRequestSeen, paused, timer }
+    this.running = new Set();
+    this.timer = null;
+    this.started = false;
+  }
+
+  define(handler, fn) {
+    this.handlers.set(handler, fn);
+  }
+
+  /**
+   * Creates or updates a job.
+   * @param {string} name - Unique job name
+   * @param {Object} options - { handler, cron | every | runAt | delayMs, data,
+   *   scope, maxAttempts, backoffMs, timeoutMs, endAt }
+   */
+  async schedule(name, options = {}) {
+    const job = this.normalizeOptions(name, options);
+    if (job.scope === "instance") {
+      const local = this.instanceJobs.get(name);
+      clearTimeout(local?.timer);
+      this.instanceJobs.set(name, {
+        options: job,
+        nextRunAt: local?.nextRunAt || this.nextRun(job, new Date()),
+        lastRequestSeen: local?.lastRequestSeen || new Date(),
+        paused: local?.paused || false,
+        timer: null,
+      });
+      this.armInstanceJob(name);
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      this.pending.set(name, job);
+      return null;
+    }
+    return this.persist(name, job);
+  }
+
+  // Runs a handler once at a given time (or after delayMs)
+  async scheduleOnce(name, handler, runAt, data = {}, options = {}) {
+    return this.schedule(name, { ...options, handler, runAt, data });
+  }
+
+  async cancel(name) {
+    this.pending.delete(name);
+    clearTimeout(this.instanceJobs.get(name)?.timer);
+    this.instanceJobs.delete(name);
+    if (mongoose.connection.readyState !== 1) return false;
+    const result = await ScheduledJob.deleteOne({ name });
+    return result.deletedCount > 0;
+  }
+
+  normalizeOptions(name, options) {
+    if (!name) {
+      throw new JobSchedulerError("Job name is required", "INVALID_JOB");
+    }
+    const handler = options.handler || name;
+    const recurring = Boolean(options.cron || options.every);
+    if (options.cron) parseCron(options.cron);
+    if (options.every !== undefined && options.every !== null && !(options.every > 0)) {
+      throw new JobSchedulerError("every must be a positive number of milliseconds", "INVALID_JOB");
+    }
+    if (!recurring && options.runAt === undefined && options.delayMs === undefined) {
+      throw new JobSchedulerError("A job needs cron, every, runAt or delayMs", "INVALID_JOB");
+    }
+    if (options.scope === "instance" && !recurring) {
+      throw new JobSchedulerError("Instance jobs must be recurring", "INVALID_JOB");
+    }
+
+    return {
+      handler,
+      scope: options.scope || "cluster",
+      cron: options.cron || null,
+      every: options.every || null,
+      runAt: options.runAt
+        ? new Date(options.runAt)
+        : options.delayMs !== undefined
+          ? new Date(Date.now() + options.delayMs)
+          : null,
+      // Left unset so re-scheduling keeps data a handler has stored
+      data: options.data,
+      maxAttempts: options.maxAttempts ?? 3,
+      backoffMs: options.backoffMs ?? 30000,
+      timeoutMs: options.timeoutMs ?? 10 * 60 * 1000,
+      endAt: options.endAt ? new Date(options.endAt) : null,
+    };
+  }
+
+  nextRun(job, after) {
+    if (job.cron) return nextCronRun(job.cron, after);
+    if (job.every) return new Date(after.getTime() + job.every);
+    return null;
+  }
+
+  async persist(name, job) {
+    const existing = await ScheduledJob.findOne({ name }).lean();
+    const scheduleChanged =
+      !existing ||
+      existing.cron !== job.cron ||
+      existing.every !== job.every ||
+      Boolean(job.runAt) ||
+      ["completed", "failed"].includes(existing.status);
+
+    const update = {
+      handler: job.handler,
+      scope: job.scope,
+      cron: job.cron,
+      every: job.every,
+      maxAttempts: job.maxAttempts,
+      backoffMs: job.backoffMs,
+      timeoutMs: job.timeoutMs,
+      endAt: job.endAt,
+    };
+    if (job.data !== undefined) update.data = job.data;
+    if (scheduleChanged) {
+      update.nextRunAt = job.runAt || this.nextRun(job, new Date());
+      update.attempts = 0;
+      if (existing?.status !== "running") update.status = "scheduled";
+    }
+
+    return ScheduledJob.findOneAndUpdate(
+      { name },
+      { $set: update, $setOnInsert: { name } },
+      { upsert: true, new: true }
+    );
+  }
+
+  // ===== Running =====
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.schedule("job-scheduler.cleanup", { cron: "30 4 * * *" }).catch((error) =>
+      console.error("❌ Could not schedule job cleanup:", error.message)
+    );
+    console.log(`⏱️ Job scheduler started (${this.instanceId})`);
+    this.instanceJobs.forEach((_, name) => this.armInstanceJob(name));
+    this.loop();
+  }
+
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.instanceJobs.forEach((local) => {
+      clearTimeout(local.timer);
+      local.timer = null;
+    });
+  }
+
+  loop() {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.tick();
+      } catch (error) {
+        console.error("❌ Job scheduler tick failed:", error.message);
+      }
+      if (this.started) this.loop();
+    }, POLL_MS);
+    this.timer.unref?.();
+  }
+
+  async tick() {
+    const connected = mongoose.connection.readyState === 1;
+    if (connected && this.pending.size > 0) {
+      for (const [name, job] of [...this.pending]) {
+        await this.persist(name, job);
+        this.pending.delete(name);
+      }
+    }
+
+    if (connected) await this.syncInstanceJobs();
+    if (connected) await this.runClusterJobs();
+  }
+
+  async runClusterJobs() {
+    for (let claimed = 0; claimed < MAX_CLAIMS_PER_TICK; claimed++) {
+      const job = await this.claim();
+      if (!job) return;
+      await this.execute(job);
+    }
+  }
+
+  // Takes the lock on the next due cluster job; a lock past its expiry
+  // belonged to an instance that died mid-run
+  claim() {
+    const now = new Date();
+    return ScheduledJob.findOneAndUpdate(
+      {
+        scope: "cluster",
+        paused: false,
+        handler: { $in: [...this.handlers.keys()] },
+        $or: [
+          { status: "scheduled", nextRunAt: { $lte: now } },
+          { status: "running", lockedUntil: { $lt: now } },
+        ],
+      },
+      [
+        {
+          $set: {
+            status: "running",
+            lockedBy: this.instanceId,
+            lockedUntil: { $add: [now, "$timeoutMs"] },
+            lastRunAt: now,
+            attempts: { $add: ["$attempts", 1] },
+          },
+        },
+      ],
+      { sort: { nextRunAt: 1 }, new: true }
+    ).lean();
+  }
+
+  async execute(job) {
+    const startedAt = new Date();
+    let outcome;
+    try {
+      outcome = { result: await this.invoke(job) };
+    } catch (error) {
+      outcome = { error };
+    }
+    const finishedAt = new Date();
+    const run = {
+      instance: this.instanceId,
+      startedAt,
+      finishedAt,
+      durationMs: finishedAt - startedAt,
+      status: outcome.error ? "failed" : "succeeded",
+      error: outcome.error?.message,
+    };
+
+    const update = {
+      $set: {
+        lockedBy: null,
+        lockedUntil: null,
+        lastFinishedAt: finishedAt,
+        lastDurationMs: run.durationMs,
+        lastStatus: run.status,
+        lastError: run.error || null,
+      },
+      $inc: { runCount: 1, failCount: outcome.error ? 1 : 0 },
+      $push: { recentRuns: { $each: [run], $slice: -RECENT_RUNS } },
+    };
+    Object.assign(update.$set, this.afterRun(job, outcome, finishedAt));
+
+    if (outcome.error) {
+      console.error(
+        `❌ Job ${job.name} failed (attempt ${job.attempts}/${job.maxAttempts}):`,
+        outcome.error.message
+      );
+    }
+    await ScheduledJob.updateOne({ _id: job._id, lockedBy: this.instanceId }, update);
+  }
+
+  // Status, next run and attempts once a cluster run has finished
+  afterRun(job, { result, error }, now) {
+    if (result?.data !== undefined) {
+      job.data = result.data;
+    }
+    const next = { data: job.data };
+
+    if (error && job.attempts < job.maxAttempts) {
+      return {
+        ...next,
+        status: "scheduled",
+        nextRunAt: new Date(now.getTime() + job.backoffMs * 2 ** (job.attempts - 1)),
+      };
+    }
+
+    const recurringRun = (job.cron || job.every) && !result?.done && this.nextRun(job, now);
+    if (recurringRun && (!job.endAt || recurringRun <= job.endAt)) {
+      return { ...next, status: "scheduled", nextRunAt: recurringRun, attempts: 0 };
+    }
+    return {
+      ...next,
+      status: error ? "failed" : "completed",
+      nextRunAt: null,
+    };
+  }
+
+  invoke(job) {
+    const handler = this.handlers.get(job.handler);
+    if (!handler) {
+      return Promise.reject(new Error(`No handler registered for ${job.handler}`));
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Job timed out after ${job.timeoutMs}ms`)),
+        job.timeoutMs
+      );
+    });
+    return Promise.race([
+      Promise.resolve().then(() => handler(job.data || {}, job)),
+      timeout,
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  // Applies pause and run-now requests stored by the admin routes
+  async syncInstanceJobs() {
+    if (this.instanceJobs.size === 0) return;
+    const docs = await ScheduledJob.find({ name: { $in: [...this.instanceJobs.keys()] } })
+      .select("name paused runRequestedAt")
+      .lean();
+
+    for (const doc of docs) {
+      const local = this.instanceJobs.get(doc.name);
+      if (!local) continue;
+      local.paused = Boolean(doc.paused);
+      if (doc.runRequestedAt && doc.runRequestedAt > local.lastRequestSeen) {
+        local.lastRequestSeen = doc.runRequestedAt;
+        this.runInstanceJob(doc.name, { requested: true });
+      }
+    }
+  }
+
+  // Sets the job's timer for its next run
+  armInstanceJob(name) {
+    const local = this.instanceJobs.get(name);
+    if (!this.started || !local) return;
+    clearTimeout(local.timer);
+    const delay = Math.min(Math.max(0, local.nextRunAt - Date.now()), MAX_TIMER_MS);
+    local.timer = setTimeout(() => this.runInstanceJob(name), delay);
+    local.timer.unref?.();
+  }
+
+  // A run still in progress when the next one is due skips that occurrence
+  runInstanceJob(name, { requested = false } = {}) {
+    const local = this.instanceJobs.get(name);
+    if (!local) return;
+
+    const now = new Date();
+    if (!requested && local.nextRunAt > now) {
+      this.armInstanceJob(name);
+      return;
+    }
+    if (!requested) {
+      local.nextRunAt = this.nextRun(local.options, now);
+      this.armInstanceJob(name);
+    }
+    if (this.running.has(name) || !this.handlers.has(local.options.handler)) return;
+    if (local.paused && !requested) return;
+
+    this.running.add(name);
+    this.executeInstanceJob(name, local.options, mongoose.connection.readyState === 1)
+      .finally(() => this.running.delete(name));
+  }
+
+  async executeInstanceJob(name, options, connected) {
+    const startedAt = new Date();
+    let error = null;
+    try {
+      await this.invoke({ ...options, name });
+    } catch (runError) {
+      error = runError;
+      console.error(`❌ Instance job ${name} failed:`, runError.message);
+    }
+    if (!connected) return;
+
+    // Jobs running more often than the poll store at most one successful
+    // run per poll interval; every run is still counted
+    const finishedAt = new Date();
+    const local = this.instanceJobs.get(name);
+    if (local) {
+      local.unrecordedRuns = (local.unrecordedRuns || 0) + 1;
+      if (!error && finishedAt - (local.lastRecordedAt || 0) < POLL_MS) return;
+    }
+    const runs = local?.unrecordedRuns || 1;
+    if (local) {
+      local.unrecordedRuns = 0;
+      local.lastRecordedAt = finishedAt;
+    }
+
+    const status = error ? "failed" : "succeeded";
+    await ScheduledJob.updateOne(
+      { name },
+      {
+        $set: {
+          lastRunAt: startedAt,
+          lastFinishedAt: finishedAt,
+          lastDurationMs: finishedAt - startedAt,
+          lastStatus: status,
+          lastError: error?.message || null,
+        },
+        $inc: { runCount: runs, failCount: error ? 1 : 0 },
+        $push: {
+          recentRuns: {
+            $each: [
+              {
+                instance: this.instanceId,
+                startedAt,
+                finishedAt,
+                durationMs: finishedAt - startedAt,
+                status,
+                error: error?.message,
+              },
+            ],
+            $slice: -RECENT_RUNS,
+          },
+        },
+      }
+    ).catch((updateError) =>
+      console.error(`Failed to record run of ${name}:`, updateError.message)
+    );
+  }
+
+  // ===== Admin =====
+
+  async list({ status, handler, scope, paused } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (handler) filter.handler = handler;
+    if (scope) filter.scope = scope;
+    if (paused !== undefined) filter.paused = paused === true || paused === "true";
+    return ScheduledJob.find(filter).sort({ name: 1 }).lean();
+  }
+
+  async get(name) {
+    const job = await ScheduledJob.findOne({ name }).lean();
+    if (!job) {
+      throw new JobSchedulerError("Job not found", "JOB_NOT_FOUND", 404);
+    }
+    return job;
+  }
+
+  async pause(name) {
+    return this.update(name, { $set: { paused: true } });
+  }
+
+  async resume(name) {
+    return this.update(name, { $set: { paused: false } });
+  }
+
+  // Runs the job at the next poll; a finished or failed job is revived
+  async runNow(name) {
+    const job = await this.get(name);
+    if (job.scope === "instance") {
+      return this.update(name, { $set: { runRequestedAt: new Date() } });
+    }
+    if (job.status === "running") {
+      throw new JobSchedulerError("Job is already running", "JOB_RUNNING", 409);
+    }
+    return this.update(name, {
+      $set: { status: "scheduled", nextRunAt: new Date(), attempts: 0 },
+    });
+  }
+
+  async update(name, update) {
+    const job = await ScheduledJob.findOneAndUpdate({ name }, update, { new: true }).lean();
+    if (!job) {
+      throw new JobSchedulerError("Job not found", "JOB_NOT_FOUND", 404);
+    }
+    return job;
+  }
+}
+
+const jobScheduler = new JobSchedulerService();
+
+// Finished one-off jobs and ended recurring jobs are kept for a week
+jobScheduler.define("job-scheduler.cleanup", async () => {
+  const cutoff = new Date(Date.now() - FINISHED_JOB_RETENTION_MS);
+  const { deletedCount } = await ScheduledJob.deleteMany({
+    status: { $in: ["completed", "failed"] },
+    lastFinishedAt: { $lt: cutoff },
+  });
+  if (deletedCount > 0) console.log(`🧹 Removed ${deletedCount} finished job(s)`);
+});
+
+export default jobScheduler;
@@ -0,0 +1,302 @@
+import 'dotenv/config';
+import { spawn } from 'child_process';
+import { mkdtemp, writeFile, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+
+const SAMPLE_RATE = 16000;
+
+/**
+ * Speech-to-text that never leaves this server, for agencies that cannot
+ * send PHI audio to a cloud provider. Selected with
+ * SPEECH_TO_TEXT_PROVIDER=local; LOCAL_STT_ENGINE picks the engine:
+ *
+ *   whisper.cpp  runs the whisper.cpp CLI (LOCAL_STT_WHISPER_BIN) with a
+ *                ggml model (LOCAL_STT_WHISPER_MODEL) per recording
+ *   vosk         streams PCM to a running vosk-server (LOCAL_STT_VOSK_URL)
+ *
+ * Audio that is not already 16 kHz mono 16-bit WAV is converted with ffmpeg
+ * (LOCAL_STT_FFMPEG). Results have the same shape as
+ * realVoiceTranscriptionService.transcribeAudio, plus word timings:
+ * words: [{ word, start, end, confidence }] with times in seconds.
+ */
+class LocalSpeechToTextService {
+  constructor() {
+    this.provider = process.env.SPEECH_TO_TEXT_PROVIDER || 'cloud';
+    this.engine = process.env.LOCAL_STT_ENGINE || 'whisper.cpp';
+    this.whisperBin = process.env.LOCAL_STT_WHISPER_BIN || 'whisper-cli';
+    this.whisperModel = process.env.LOCAL_STT_WHISPER_MODEL || './models/ggml-base.en.bin';
+    this.threads = parseInt(process.env.LOCAL_STT_THREADS, 10) || Math.max(1, os.cpus().length - 1);
+    this.voskUrl = process.env.LOCAL_STT_VOSK_URL || 'ws://127.0.0.1:2700';
+    this.ffmpeg = process.env.LOCAL_STT_FFMPEG || 'ffmpeg';
+    this.timeoutMs = parseInt(process.env.LOCAL_STT_TIMEOUT_MS, 10) || 120000;
+  }
+
+  isEnabled() {
+    return this.provider === 'local';
+  }
+
+  async transcribeAudio(audioBuffer, options = {}) {
+    const workDir = await mkdtemp(path.join(os.tmpdir(), 'stt-'));
+
+    try {
+      console.log(`🎤 Starting local ${this.engine} transcription...`);
+      const wav = await this.toWav(audioBuffer, workDir, options);
+      const language = (options.language || 'en').split('-')[0];
+
+      let result;
+      if (this.engine === 'whisper.cpp') {
+        result = await this.transcribeWithWhisperCpp(wav, workDir, language, options);
+      } else if (this.engine === 'vosk') {
+        result = await this.transcribeWithVosk(wav);
+      } else {
+        throw new Error(`Unknown LOCAL_STT_ENGINE: ${this.engine}`);
+      }
+
+      console.log(`✅ Local ${this.engine} transcription:`, result.text);
+      return {
+        success: true,
+        text: result.text,
+        confidence: result.confidence,
+        language: result.language || language,
+        duration: wav.duration,
+        words: result.words,
+        provider: `local:${this.engine}`
+      };
+    } catch (error) {
+      console.error('❌ Local speech-to-text error:', error);
+      return {
+        success: false,
+        error: error.message,
+        text: '',
+        confidence: 0
+      };
+    } finally {
+      await rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Writes the recording as 16 kHz mono 16-bit WAV, converting with ffmpeg
+   * unless it already is one.
+   */
+  async toWav(audioBuffer, workDir, options = {}) {
+    const wavPath = path.join(workDir, 'audio.wav');
+    let buffer = Buffer.isBuffer(audioBuffer) ? audioBuffer : Buffer.from(audioBuffer);
+    let info = parseWav(buffer);
+
+    if (!info || info.sampleRate !== SAMPLE_RATE || info.channels !== 1 || info.bitsPerSample !== 16) {
+      const extension = (options.mimeType || 'audio/webm').split('/')[1]?.split(';')[0] || 'webm';
+      const inputPath = path.join(workDir, `input.${extension}`);
+      await writeFile(inputPath, buffer);
+      await this.run(this.ffmpeg, [
+        '-hide_banner', '-loglevel', 'error', '-y',
+        '-i', inputPath,
+        '-ar', String(SAMPLE_RATE), '-ac', '1', '-c:a', 'pcm_s16le',
+        wavPath
+      ]);
+      buffer = await readFile(wavPath);
+      info = parseWav(buffer);
+      if (!info) {
+        throw new Error('ffmpeg did not produce a readable WAV file');
+      }
+    } else {
+      await writeFile(wavPath, buffer);
+    }
+
+    return {
+      path: wavPath,
+      pcm: buffer.subarray(info.dataOffset, info.dataOffset + info.dataLength),
+      duration: info.dataLength / (SAMPLE_RATE * 2)
+    };
+  }
+
+  async transcribeWithWhisperCpp(wav, workDir, language, options = {}) {
+    const outputBase = path.join(workDir, 'transcript');
+    const args = [
+      '-m', this.whisperModel,
+      '-f', wav.path,
+      '-l', language,
+      '-t', String(this.threads),
+      '-ojf', // full JSON: tokens with probabilities and offsets
+      '-of', outputBase,
+      '-np'
+    ];
+    if (options.prompt) {
+      args.push('--prompt', options.prompt);
+    }
+
+    await this.run(this.whisperBin, args);
+    const output = JSON.parse(await readFile(`${outputBase}.json`, 'utf8'));
+    return parseWhisperCppOutput(output);
+  }
+
+  transcribeWithVosk(wav) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.voskUrl);
+      const results = [];
+      const timer = setTimeout(() => {
+        ws.terminate();
+        reject(new Error(`Vosk transcription timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+
+      ws.on('open', () => {
+        ws.send(JSON.stringify({ config: { sample_rate: SAMPLE_RATE, words: 1 } }));
+        // 0.25 s of 16-bit audio per frame
+        const frameSize = SAMPLE_RATE / 2;
+        for (let offset = 0; offset < wav.pcm.length; offset += frameSize) {
+          ws.send(wav.pcm.subarray(offset, offset + frameSize));
+        }
+        ws.send(JSON.stringify({ eof: 1 }));
+      });
+
+      ws.on('message', (data) => {
+        const message = JSON.parse(data);
+        if (message.text !== undefined || message.result) {
+          results.push(message);
+        }
+      });
+
+      ws.on('close', () => {
+        clearTimeout(timer);
+        resolve(parseVoskResults(results));
+      });
+
+      ws.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Vosk server unavailable at ${this.voskUrl}: ${error.message}`));
+      });
+    });
+  }
+
+  // Runs a command, rejecting on a non-zero exit or after the timeout
+  run(command, args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      let stderr = '';
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${command} timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+
+      child.stdout.resume();
+      child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-4000);
+      });
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Cannot run ${command}: ${error.message}`));
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Reads the format and data chunk of a PCM WAV file; null if not one.
+ */
+export function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data' && format) {
+      if (format.audioFormat !== 1) return null;
+      return {
+        ...format,
+        dataOffset: body,
+        dataLength: Math.min(size, buffer.length - body)
+      };
+    }
+    offset = body + size + (size % 2);
+  }
+  return null;
+}
+
+const average = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Words from whisper.cpp full JSON output. Tokens are sub-word pieces; a
+ * token starting with a space begins a new word, and special tokens such as
+ * [_BEG_] are skipped. A word's confidence is the mean of its token
+ * probabilities.
+ */
+export function parseWhisperCppOutput(output) {
+  const words = [];
+  let current = null;
+
+  for (const segment of output.transcription || []) {
+    for (const token of segment.tokens || []) {
+      const text = token.text || '';
+      if (/^\s*\[_?[A-Z_]+.*\]\s*$/.test(text) || !text.trim()) continue;
+
+      if (!current || /^\s/.test(text)) {
+        current = { word: '', start: token.offsets.from / 1000, end: token.offsets.to / 1000, probabilities: [] };
+        words.push(current);
+      }
+      current.word += text.trim();
+      current.end = token.offsets.to / 1000;
+      current.probabilities.push(token.p ?? 0);
+    }
+    current = null; // segments never share a word
+  }
+
+  const timed = words.map(({ probabilities, ...word }) => ({
+    ...word,
+    confidence: round(average(probabilities))
+  }));
+
+  return {
+    text: (output.transcription || []).map((segment) => segment.text.trim()).join(' ').trim(),
+    confidence: round(average(timed.map((word) => word.confidence))),
+    language: output.result?.language,
+    words: timed
+  };
+}
+
+/**
+ * Words from vosk-server result messages ({ result: [{ word, start, end, conf }], text }).
+ */
+export function parseVoskResults(results) {
+  const words = results.flatMap((message) =>
+    (message.result || []).map((entry) => ({
+      word: entry.word,
+      start: entry.start,
+      end: entry.end,
+      confidence: round(entry.conf ?? 0)
+    }))
+  );
+
+  return {
+    text: results.map((message) => (message.text || '').trim()).filter(Boolean).join(' '),
+    confidence: round(average(words.map((word) => word.confidence))),
+    words
+  };
+}
+
+export default new LocalSpeechToTextService();
@@ -0,0 +1,640 @@
+import mongoose from "mongoose";
+import MedicalLexiconTerm, {
+  LEXICON_CATEGORIES,
+} from "../models/MedicalLexiconTerm.js";
+import organizationService from "./organizationService.js";
+import {
+  DRUG_NAMES,
+  DIAGNOSIS_SYNONYMS,
+  LAB_SYNONYMS,
+} from "./ai/clinicalTerms.js";
+
+export class MedicalLexiconError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = "MedicalLexiconError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_VARIANTS = 20;
+
+// ===== Built-in lexicon =====
+
+// Misheard form -> canonical term
+const MISHEARINGS = {
+  "high per tension": "hypertension",
+  "hyper tension": "hypertension",
+  "hypo tension": "hypotension",
+  "die beaties": "diabetes",
+  "die a beaties": "diabetes",
+  "my cardial": "myocardial",
+  "new monia": "pneumonia",
+  "brady cardia": "bradycardia",
+  "tachy cardia": "tachycardia",
+  "dis nea": "dyspnea",
+  "ortho nea": "orthopnea",
+  "a dema": "edema",
+  "aus cultation": "auscultation",
+  "pal pation": "palpation",
+  "per cussion": "percussion",
+  "in spection": "inspection",
+  "sis tolic": "systolic",
+  "die stolic": "diastolic",
+  "mur mur": "murmur",
+  "gal lop": "gallop",
+  "metro pro lol": "metoprolol",
+  "lie sin o pril": "lisinopril",
+  "war far in": "warfarin",
+  "furo semide": "furosemide",
+  "a fib": "afib",
+};
+
+const ABBREVIATIONS = {
+  BP: "blood pressure",
+  HR: "heart rate",
+  RR: "respiratory rate",
+  "O2 sat": "oxygen saturation",
+  SOB: "shortness of breath",
+  DOE: "dyspnea on exertion",
+  PND: "paroxysmal nocturnal dyspnea",
+  JVD: "jugular venous distension",
+  PMI: "point of maximal impulse",
+  S1: "first heart sound",
+  S2: "second heart sound",
+  S3: "third heart sound",
+  S4: "fourth heart sound",
+};
+
+const ANATOMY = [
+  "abdomen", "ankle", "back", "bladder", "buttock", "chest", "coccyx",
+  "extremities", "groin", "head", "heart", "heel", "hip", "kidney", "knee",
+  "liver", "lung", "lungs", "neck", "pelvis", "perineum", "sacrum",
+  "shoulder", "skin", "thorax", "trachea", "wrist",
+];
+
+const SYMPTOMS = [
+  "chest pain", "shortness of breath", "dyspnea", "orthopnea", "palpitations",
+  "dizziness", "fatigue", "nausea", "vomiting", "headache", "fever", "chills",
+  "sweating", "cough", "constipation", "diarrhea", "confusion", "weakness",
+];
+
+const FINDINGS = [
+  "murmur", "gallop", "friction rub", "crackles", "wheezes", "rhonchi",
+  "edema", "cyanosis", "pallor", "diaphoresis", "jaundice", "erythema",
+  "tachycardia", "bradycardia", "hypotension", "hypoxia", "systolic",
+  "diastolic", "myocardial",
+];
+
+const PROCEDURES = [
+  "auscultation", "palpation", "percussion", "inspection", "wound care",
+  "dressing change", "catheterization", "suctioning", "nebulizer treatment",
+  "venipuncture",
+];
+
+// Frequent dictation words close enough to a term to be "corrected" by
+// fuzzy matching (e.g. "station" / "statin")
+const COMMON_WORDS = new Set([
+  "patient", "patients", "station", "stated", "states", "reports", "denies",
+  "family", "morning", "evening", "minutes", "history", "without", "within",
+  "normal", "stable", "tolerated", "continue", "continues", "remains",
+  "resting", "walking", "sitting", "breathing", "eating", "drinking",
+  "sleeping", "feeling", "morphing", "nursing", "visiting", "pressure",
+]);
+
+const VITAL_SIGN_PATTERNS = [
+  { pattern: /blood pressure.*?(\d+)\/(\d+)/gi, type: "blood_pressure" },
+  { pattern: /heart rate.*?(\d+)/gi, type: "heart_rate" },
+  { pattern: /respiratory rate.*?(\d+)/gi, type: "respiratory_rate" },
+  { pattern: /temperature.*?(\d+\.?\d*)/gi, type: "temperature" },
+  { pattern: /oxygen saturation.*?(\d+)%?/gi, type: "oxygen_saturation" },
+];
+
+// Findings that span free text between their words
+const FINDING_PATTERNS = [/normal.*?heart sounds/gi, /clear.*?lungs/gi, /diminished.*?sounds/gi];
+
+const DOSAGE_PATTERNS = [
+  { pattern: /(\d+)\s*milli\s*grams?/gi, replacement: "$1 mg" },
+  { pattern: /(\d+)\s*micro\s*grams?/gi, replacement: "$1 mcg" },
+  { pattern: /(\d+)\s*over\s*(\d+)/gi, replacement: "$1/$2" },
+  { pattern: /(\d+)\s*beats?\s*per\s*minute/gi, replacement: "$1 bpm" },
+  { pattern: /(\d+)\s*breaths?\s*per\s*minute/gi, replacement: "$1 rpm" },
+];
+
+// Entity bucket each category feeds (the shape extractMedicalEntities returns)
+const ENTITY_BUCKETS = {
+  drug: "medications",
+  diagnosis: "diagnoses",
+  anatomy: "anatomicalSites",
+  symptom: "symptoms",
+  finding: "assessmentFindings",
+  procedure: "procedures",
+  lab: "labValues",
+};
+
+const synonymEntries = (groups, category) =>
+  groups.map(([term, ...aliases]) => ({
+    term,
+    category,
+    aliases: aliases.filter((alias) => alias.length >= 3),
+  }));
+
+export const BUILTIN_LEXICON = [
+  ...DRUG_NAMES.map((term) => ({ term, category: "drug" })),
+  ...synonymEntries(DIAGNOSIS_SYNONYMS, "diagnosis"),
+  ...synonymEntries(LAB_SYNONYMS, "lab"),
+  ...ANATOMY.map((term) => ({ term, category: "anatomy" })),
+  ...SYMPTOMS.map((term) => ({ term, category: "symptom" })),
+  ...FINDINGS.map((term) => ({ term, category: "finding" })),
+  ...PROCEDURES.map((term) => ({ term, category: "procedure" })),
+  ...Object.entries(ABBREVIATIONS).map(([term, expansion]) => ({
+    term,
+    category: "abbreviation",
+    expansion,
+  })),
+].map((entry) => ({ source: "builtin", fuzzy: true, variants: [], ...entry }));
+
+// ===== Matching helpers =====
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const phraseRegex = (phrase, flags = "gi") =>
+  new RegExp(
+    `(?<![A-Za-z0-9])${escapeRegex(phrase.trim()).replace(/\s+/g, "\\s+")}(?![A-Za-z0-9])`,
+    flags
+  );
+
+const matchCase = (original, replacement) =>
+  /^[A-Z][a-z]/.test(original)
+    ? replacement.charAt(0).toUpperCase() + replacement.slice(1)
+    : replacement;
+
+/**
+ * Optimal string alignment distance, abandoned once it exceeds `max`.
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (
+        previousRow &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      next.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = next;
+  }
+  return row[b.length];
+}
+
+/**
+ * Builds the matchers for a set of lexicon entries.
+ */
+export function compileLexicon(entries) {
+  const phrases = [];
+  const known = new Set();
+  const fuzzy = new Map();
+  const abbreviations = [];
+  const names = {};
+
+  const addPhrase = (variant, entry) => {
+    if (variant.trim().toLowerCase() === entry.term.toLowerCase()) return;
+    phrases.push({
+      variant,
+      term: entry.term,
+      category: entry.category,
+      regex: phraseRegex(variant),
+    });
+  };
+
+  for (const entry of entries) {
+    for (const name of [entry.term, ...(entry.aliases || [])]) {
+      name
+        .toLowerCase()
+        .split(/\s+/)
+        .forEach((word) => known.add(word));
+    }
+    (entry.variants || []).forEach((variant) => addPhrase(variant, entry));
+
+    if (entry.category === "abbreviation") {
+      if (entry.expansion) {
+        abbreviations.push({
+          term: entry.term,
+          expansion: entry.expansion,
+          regex: phraseRegex(entry.term, "g"),
+        });
+      }
+      continue;
+    }
+
+    const key = entry.term.toLowerCase();
+    if (entry.fuzzy !== false && !/\s/.test(key) && key.length >= 6) {
+      if (!fuzzy.has(key[0])) fuzzy.set(key[0], []);
+      fuzzy.get(key[0]).push({ key, term: entry.term, category: entry.category });
+    }
+
+    const bucket = ENTITY_BUCKETS[entry.category];
+    if (bucket) {
+      names[bucket] = names[bucket] || new Map();
+      for (const name of [entry.term, ...(entry.aliases || [])]) {
+        names[bucket].set(name.toLowerCase(), entry.term);
+      }
+    }
+  }
+
+  const categoryOf = new Map(
+    entries.map((entry) => [entry.term.toLowerCase(), entry.category])
+  );
+  for (const [variant, term] of Object.entries(MISHEARINGS)) {
+    addPhrase(variant, { term, category: categoryOf.get(term) || null });
+  }
+  phrases.sort((a, b) => b.variant.length - a.variant.length);
+
+  const entityMatchers = Object.entries(names).map(([bucket, map]) => ({
+    bucket,
+    canonical: map,
+    regex: new RegExp(
+      `(?<![A-Za-z0-9])(?:${[...map.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegex)
+        .join("|")})(?![A-Za-z0-9])`,
+      "gi"
+    ),
+  }));
+
+  return { phrases, known, fuzzy, abbreviations, entityMatchers };
+}
+
+class MedicalLexiconService {
+  constructor() {
+    this.cache = new Map(); // organizationId | "builtin" -> { lexicon, expiresAt }
+  }
+
+  // ===== Lexicon loading =====
+
+  async getLexicon(organizationId = null) {
+    const key = organizationId ? String(organizationId) : "builtin";
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.lexicon;
+
+    let agencyTerms = [];
+    if (organizationId && mongoose.connection.readyState === 1) {
+      try {
+        agencyTerms = await MedicalLexiconTerm.find({
+          organizationId,
+          isActive: true,
+        }).lean();
+      } catch (error) {
+        console.error("Failed to load agency lexicon terms:", error);
+      }
+    }
+
+    const lexicon = compileLexicon([
+      ...BUILTIN_LEXICON,
+      ...agencyTerms.map((term) => ({ ...term, source: "organization" })),
+    ]);
+    this.cache.set(key, { lexicon, expiresAt: Date.now() + CACHE_TTL_MS });
+    return lexicon;
+  }
+
+  invalidate(organizationId) {
+    this.cache.delete(String(organizationId));
+  }
+
+  // ===== Transcript correction =====
+
+  /**
+   * Applies mishearings, fuzzy term matching, abbreviation expansion and
+   * dose standardization to a transcript. Every change is listed in
+   * `corrections` so it can be stored next to the original text.
+   */
+  async correctTranscript(text, { organizationId = null } = {}) {
+    return this.correct(text || "", await this.getLexicon(organizationId));
+  }
+
+  correct(text, lexicon) {
+    const corrections = [];
+    let corrected = text;
+
+    for (const phrase of lexicon.phrases) {
+      corrected = corrected.replace(phrase.regex, (match) => {
+        const replacement = matchCase(match, phrase.term);
+        corrections.push({
+          original: match,
+          corrected: replacement,
+          type: "mishearing",
+          category: phrase.category,
+          confidence: 0.95,
+        });
+        return replacement;
+      });
+    }
+
+    corrected = this.applyFuzzyMatches(corrected, lexicon, corrections);
+
+    for (const abbreviation of lexicon.abbreviations) {
+      corrected = corrected.replace(abbreviation.regex, (match) => {
+        corrections.push({
+          original: match,
+          corrected: abbreviation.expansion,
+          type: "abbreviation_expansion",
+          category: "abbreviation",
+          confidence: 0.9,
+        });
+        return abbreviation.expansion;
+      });
+    }
+
+    for (const { pattern, replacement } of DOSAGE_PATTERNS) {
+      corrected = corrected.replace(pattern, (match, ...groups) => {
+        const standardized = replacement.replace(
+          /\$(\d)/g,
+          (_, index) => groups[index - 1]
+        );
+        if (standardized !== match) {
+          corrections.push({
+            original: match,
+            corrected: standardized,
+            type: "dosage_standardization",
+            category: null,
+            confidence: 0.98,
+          });
+        }
+        return standardized;
+      });
+    }
+
+    return {
+      text: corrected,
+      originalText: text,
+      corrections,
+      correctionCount: corrections.length,
+    };
+  }
+
+  // Near-miss spellings of single-word terms, including terms the
+  // recognizer split into two or three words ("metro prolol")
+  applyFuzzyMatches(text, lexicon, corrections) {
+    const tokens = [...text.matchAll(/[A-Za-z][A-Za-z']*/g)].map((match) => ({
+      word: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+    }));
+    const isKnown = (token) =>
+      lexicon.known.has(token.word.toLowerCase()) ||
+      COMMON_WORDS.has(token.word.toLowerCase());
+
+    let output = "";
+    let cursor = 0;
+    let i = 0;
+    while (i < tokens.length) {
+      let match = null;
+
+      for (const span of [3, 2, 1]) {
+        const group = tokens.slice(i, i + span);
+        if (group.length < span || group.some(isKnown)) continue;
+        const separatedBySpaces = group.every(
+          (token, k) =>
+            k === 0 || /^[ \t]+$/.test(text.slice(group[k - 1].end, token.start))
+        );
+        if (!separatedBySpaces) continue;
+
+        const word = group.map((token) => token.word).join("").toLowerCase();
+        // Joined words must spell the term or be one edit away from a
+        // longer term; single words get one edit (two from ten letters)
+        const maxDistance =
+          span > 1 ? (word.length >= 8 ? 1 : 0) : word.length >= 10 ? 2 : 1;
+        if (span === 1 && word.length < 6) continue;
+
+        const candidate = this.closestTerm(word, lexicon, maxDistance);
+        if (candidate) {
+          match = { group, candidate };
+          break;
+        }
+      }
+
+      if (!match) {
+        i++;
+        continue;
+      }
+
+      const { group, candidate } = match;
+      const first = group[0];
+      const last = group[group.length - 1];
+      const original = text.slice(first.start, last.end);
+      const replacement = matchCase(original, candidate.term);
+      output += text.slice(cursor, first.start) + replacement;
+      cursor = last.end;
+      corrections.push({
+        original,
+        corrected: replacement,
+        type: "fuzzy_match",
+        category: candidate.category,
+        confidence:
+          candidate.distance === 0
+            ? 0.9
+            : Math.round((1 - candidate.distance / candidate.key.length) * 100) / 100,
+      });
+      i += group.length;
+    }
+
+    return output + text.slice(cursor);
+  }
+
+  closestTerm(word, lexicon, maxDistance) {
+    let best = null;
+    let tied = false;
+    for (const entry of lexicon.fuzzy.get(word[0]) || []) {
+      const distance = editDistance(word, entry.key, maxDistance);
+      if (distance > maxDistance) continue;
+      if (!best || distance < best.distance) {
+        best = { ...entry, distance };
+        tied = false;
+      } else if (distance === best.distance && entry.key !== best.key) {
+        tied = true;
+      }
+    }
+    return best && !tied ? best : null;
+  }
+
+  // ===== Entity extraction =====
+
+  async extractEntities(text, { organizationId = null } = {}) {
+    const lexicon = await this.getLexicon(organizationId);
+    const entities = {
+      symptoms: [],
+      diagnoses: [],
+      medications: [],
+      procedures: [],
+      anatomicalSites: [],
+      vitalSigns: [],
+      labValues: [],
+      assessmentFindings: [],
+    };
+
+    for (const matcher of lexicon.entityMatchers) {
+      for (const match of text.matchAll(matcher.regex)) {
+        entities[matcher.bucket].push({
+          text: match[0],
+          term: matcher.canonical.get(match[0].toLowerCase()),
+          confidence: 0.85,
+          position: match.index,
+        });
+      }
+    }
+
+    for (const pattern of FINDING_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        entities.assessmentFindings.push({
+          text: match[0],
+          confidence: 0.88,
+          position: match.index,
+        });
+      }
+    }
+
+    for (const { pattern, type } of VITAL_SIGN_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        entities.vitalSigns.push({
+          text: match[0],
+          type,
+          value: match[1],
+          confidence: 0.92,
+          position: match.index,
+        });
+      }
+    }
+
+    return entities;
+  }
+
+  // ===== Agency terms (admins add, members read) =====
+
+  async listTerms(organizationId, userId, { category } = {}) {
+    await organizationService.loadForMember(organizationId, userId);
+    const filter = { organizationId };
+    if (category) filter.category = category;
+    return MedicalLexiconTerm.find(filter).sort({ category: 1, normalizedTerm: 1 });
+  }
+
+  async addTerm(organizationId, userId, data = {}) {
+    await organizationService.loadForMember(organizationId, userId, "admin");
+    const term = new MedicalLexiconTerm({
+      ...this.validateTerm(data),
+      organizationId,
+      createdBy: userId,
+      updatedBy: userId,
+    });
+    await this.save(term);
+    this.invalidate(organizationId);
+    return term;
+  }
+
+  async updateTerm(organizationId, userId, termId, data = {}) {
+    await organizationService.loadForMember(organizationId, userId, "admin");
+    const term = await this.findTerm(organizationId, termId);
+    const updates = this.validateTerm({ ...term.toObject(), ...data });
+    for (const field of ["term", "category", "variants", "expansion", "fuzzy", "isActive"]) {
+      if (data[field] !== undefined) term[field] = updates[field];
+    }
+    term.updatedBy = userId;
+    await this.save(term);
+    this.invalidate(organizationId);
+    return term;
+  }
+
+  async removeTerm(organizationId, userId, termId) {
+    await organizationService.loadForMember(organizationId, userId, "admin");
+    const term = await this.findTerm(organizationId, termId);
+    await term.deleteOne();
+    this.invalidate(organizationId);
+    return term;
+  }
+
+  async findTerm(organizationId, termId) {
+    const term = mongoose.Types.ObjectId.isValid(String(termId))
+      ? await MedicalLexiconTerm.findOne({ _id: termId, organizationId })
+      : null;
+    if (!term) {
+      throw new MedicalLexiconError("Lexicon term not found", "TERM_NOT_FOUND", 404);
+    }
+    return term;
+  }
+
+  async save(term) {
+    try {
+      await term.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new MedicalLexiconError(
+          `"${term.term}" is already in the ${term.category} lexicon`,
+          "DUPLICATE_TERM",
+          409
+        );
+      }
+      throw error;
+    }
+  }
+
+  validateTerm(data) {
+    const term = typeof data.term === "string" ? data.term.trim() : "";
+    if (!term) {
+      throw new MedicalLexiconError("term is required", "INVALID_TERM");
+    }
+    if (!LEXICON_CATEGORIES.includes(data.category)) {
+      throw new MedicalLexiconError(
+        `category must be one of: ${LEXICON_CATEGORIES.join(", ")}`,
+        "INVALID_CATEGORY"
+      );
+    }
+
+    const variants = data.variants ?? [];
+    if (
+      !Array.isArray(variants) ||
+      variants.length > MAX_VARIANTS ||
+      variants.some((variant) => typeof variant !== "string" || variant.trim().length < 2)
+    ) {
+      throw new MedicalLexiconError(
+        `variants must be up to ${MAX_VARIANTS} strings of at least 2 characters`,
+        "INVALID_VARIANTS"
+      );
+    }
+
+    const expansion = typeof data.expansion === "string" ? data.expansion.trim() : "";
+    if (data.category === "abbreviation" && !expansion) {
+      throw new MedicalLexiconError(
+        "Abbreviations need an expansion",
+        "EXPANSION_REQUIRED"
+      );
+    }
+
+    return {
+      term,
+      category: data.category,
+      variants: [...new Set(variants.map((variant) => variant.trim()))].filter(
+        (variant) => variant.toLowerCase() !== term.toLowerCase()
+      ),
+      expansion: expansion || undefined,
+      fuzzy: data.fuzzy !== false,
+      isActive: data.isActive !== false,
+    };
+  }
+}
+
+export default new MedicalLexiconService();
@@ -0,0 +1,714 @@
+// Scoring library for standardized nursing assessment instruments.
+//
+// Each instrument is plain data: items with their allowed responses, the
+// published interpretation bands and any item-level alerts. The same
+// definitions are served to clients (/api/nursing/assessment-tools/*) and
+// used to score submissions, so the form and the score cannot drift apart.
+// Every score carries the instrument version that produced it; bump the
+// version whenever items, option scores or bands change.
+//
+// All instruments here are summed scales. An item either lists its
+// options ({ value, label, score? }, score defaulting to value) or gives an
+// integer range ({ min, max }).
+
+export class AssessmentScoringError extends Error {
+  constructor(message, code, statusCode = 422, details = []) {
+    super(message);
+    this.name = "AssessmentScoringError";
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const FREQUENCY_OPTIONS = [
+  { value: 0, label: "Not at all" },
+  { value: 1, label: "Several days" },
+  { value: 2, label: "More than half the days" },
+  { value: 3, label: "Nearly every day" },
+];
+
+const INDEPENDENCE_OPTIONS = [
+  { value: 1, label: "Independent" },
+  { value: 0, label: "Dependent" },
+];
+
+const PAIN_INTENSITY_BANDS = [
+  { min: 0, max: 0, level: "none", label: "No pain" },
+  { min: 1, max: 3, level: "mild", label: "Mild pain" },
+  { min: 4, max: 6, level: "moderate", label: "Moderate pain" },
+  { min: 7, max: 10, level: "severe", label: "Severe pain" },
+];
+
+const frequencyItems = (items) =>
+  items.map(([id, label]) => ({ id, label, options: FREQUENCY_OPTIONS }));
+
+export const INSTRUMENTS = {
+  braden: {
+    id: "braden",
+    name: "Braden Scale for Predicting Pressure Sore Risk",
+    version: "1.0",
+    assessmentType: "wound",
+    source:
+      "Bergstrom N, Braden BJ, Laguzza A, Holman V. Nurs Res 1987;36(4):205-10. Risk bands per Ayello EA, Braden B. Adv Skin Wound Care 2002;15(3):125-31.",
+    direction: "lower score = higher risk",
+    items: [
+      {
+        id: "sensoryPerception",
+        label: "Sensory perception",
+        options: [
+          { value: 1, label: "Completely limited" },
+          { value: 2, label: "Very limited" },
+          { value: 3, label: "Slightly limited" },
+          { value: 4, label: "No impairment" },
+        ],
+      },
+      {
+        id: "moisture",
+        label: "Moisture",
+        options: [
+          { value: 1, label: "Constantly moist" },
+          { value: 2, label: "Very moist" },
+          { value: 3, label: "Occasionally moist" },
+          { value: 4, label: "Rarely moist" },
+        ],
+      },
+      {
+        id: "activity",
+        label: "Activity",
+        options: [
+          { value: 1, label: "Bedfast" },
+          { value: 2, label: "Chairfast" },
+          { value: 3, label: "Walks occasionally" },
+          { value: 4, label: "Walks frequently" },
+        ],
+      },
+      {
+        id: "mobility",
+        label: "Mobility",
+        options: [
+          { value: 1, label: "Completely immobile" },
+          { value: 2, label: "Very limited" },
+          { value: 3, label: "Slightly limited" },
+          { value: 4, label: "No limitation" },
+        ],
+      },
+      {
+        id: "nutrition",
+        label: "Nutrition",
+        options: [
+          { value: 1, label: "Very poor" },
+          { value: 2, label: "Probably inadequate" },
+          { value: 3, label: "Adequate" },
+          { value: 4, label: "Excellent" },
+        ],
+      },
+      {
+        id: "frictionShear",
+        label: "Friction and shear",
+        options: [
+          { value: 1, label: "Problem" },
+          { value: 2, label: "Potential problem" },
+          { value: 3, label: "No apparent problem" },
+        ],
+      },
+    ],
+    interpretation: [
+      { min: 6, max: 9, level: "severe", label: "Severe risk" },
+      { min: 10, max: 12, level: "high", label: "High risk" },
+      { min: 13, max: 14, level: "moderate", label: "Moderate risk" },
+      { min: 15, max: 18, level: "mild", label: "At risk" },
+      { min: 19, max: 23, level: "none", label: "No risk" },
+    ],
+  },
+
+  morse: {
+    id: "morse",
+    name: "Morse Fall Scale",
+    version: "1.0",
+    assessmentType: "fall-risk",
+    source: "Morse JM, Morse RM, Tylko SJ. Can J Aging 1989;8(4):366-77.",
+    direction: "higher score = higher risk",
+    items: [
+      {
+        id: "historyOfFalls",
+        label: "History of falling (immediate or within 3 months)",
+        options: [
+          { value: 0, label: "No" },
+          { value: 25, label: "Yes" },
+        ],
+      },
+      {
+        id: "secondaryDiagnosis",
+        label: "Secondary diagnosis",
+        options: [
+          { value: 0, label: "No" },
+          { value: 15, label: "Yes" },
+        ],
+      },
+      {
+        id: "ambulatoryAid",
+        label: "Ambulatory aid",
+        options: [
+          { value: 0, label: "None, bed rest, wheelchair or nurse assist" },
+          { value: 15, label: "Crutches, cane or walker" },
+          { value: 30, label: "Furniture" },
+        ],
+      },
+      {
+        id: "ivTherapy",
+        label: "IV therapy or heparin lock",
+        options: [
+          { value: 0, label: "No" },
+          { value: 20, label: "Yes" },
+        ],
+      },
+      {
+        id: "gait",
+        label: "Gait",
+        options: [
+          { value: 0, label: "Normal, bed rest or immobile" },
+          { value: 10, label: "Weak" },
+          { value: 20, label: "Impaired" },
+        ],
+      },
+      {
+        id: "mentalStatus",
+        label: "Mental status",
+        options: [
+          { value: 0, label: "Oriented to own ability" },
+          { value: 15, label: "Overestimates or forgets limitations" },
+        ],
+      },
+    ],
+    interpretation: [
+      { min: 0, max: 24, level: "low", label: "Low risk" },
+      { min: 25, max: 44, level: "moderate", label: "Moderate risk" },
+      { min: 45, max: 125, level: "high", label: "High risk" },
+    ],
+  },
+
+  mmse: {
+    id: "mmse",
+    name: "Mini-Mental State Examination",
+    version: "1.0",
+    assessmentType: "mental-status",
+    source: "Folstein MF, Folstein SE, McHugh PR. J Psychiatr Res 1975;12(3):189-98.",
+    direction: "lower score = greater impairment",
+    items: [
+      { id: "orientationTime", label: "Orientation to time (year, season, date, day, month)", min: 0, max: 5 },
+      { id: "orientationPlace", label: "Orientation to place (state, county, town, building, floor)", min: 0, max: 5 },
+      { id: "registration", label: "Registration of three objects", min: 0, max: 3 },
+      { id: "attentionCalculation", label: "Attention and calculation (serial sevens or WORLD backwards)", min: 0, max: 5 },
+      { id: "recall", label: "Recall of the three objects", min: 0, max: 3 },
+      { id: "naming", label: "Naming two objects", min: 0, max: 2 },
+      { id: "repetition", label: "Repeating \"No ifs, ands, or buts\"", min: 0, max: 1 },
+      { id: "threeStageCommand", label: "Following a three-stage command", min: 0, max: 3 },
+      { id: "reading", label: "Reading and obeying \"Close your eyes\"", min: 0, max: 1 },
+      { id: "writing", label: "Writing a sentence", min: 0, max: 1 },
+      { id: "copying", label: "Copying intersecting pentagons", min: 0, max: 1 },
+    ],
+    interpretation: [
+      { min: 0, max: 9, level: "severe", label: "Severe cognitive impairment" },
+      { min: 10, max: 18, level: "moderate", label: "Moderate cognitive impairment" },
+      { min: 19, max: 23, level: "mild", label: "Mild cognitive impairment" },
+      { min: 24, max: 30, level: "normal", label: "No cognitive impairment" },
+    ],
+  },
+
+  phq9: {
+    id: "phq9",
+    name: "Patient Health Questionnaire-9",
+    version: "1.0",
+    assessmentType: "mental-status",
+    source: "Kroenke K, Spitzer RL, Williams JB. J Gen Intern Med 2001;16(9):606-13.",
+    direction: "higher score = more severe depression",
+    recallPeriod: "Over the last 2 weeks",
+    items: frequencyItems([
+      ["littleInterest", "Little interest or pleasure in doing things"],
+      ["feelingDown", "Feeling down, depressed, or hopeless"],
+      ["sleep", "Trouble falling or staying asleep, or sleeping too much"],
+      ["tired", "Feeling tired or having little energy"],
+      ["appetite", "Poor appetite or overeating"],
+      ["feelingBad", "Feeling bad about yourself, or that you are a failure or have let yourself or your family down"],
+      ["concentration", "Trouble concentrating on things, such as reading the newspaper or watching television"],
+      ["psychomotor", "Moving or speaking so slowly that other people could have noticed, or being so fidgety or restless that you have been moving around a lot more than usual"],
+      ["selfHarm", "Thoughts that you would be better off dead, or of hurting yourself in some way"],
+    ]),
+    interpretation: [
+      { min: 0, max: 4, level: "minimal", label: "Minimal depression" },
+      { min: 5, max: 9, level: "mild", label: "Mild depression" },
+      { min: 10, max: 14, level: "moderate", label: "Moderate depression" },
+      { min: 15, max: 19, level: "moderately-severe", label: "Moderately severe depression" },
+      { min: 20, max: 27, level: "severe", label: "Severe depression" },
+    ],
+    alerts: [
+      {
+        item: "selfHarm",
+        minScore: 1,
+        severity: "critical",
+        message: "Positive response to item 9 (thoughts of self-harm); assess suicide risk now",
+      },
+    ],
+  },
+
+  gad7: {
+    id: "gad7",
+    name: "Generalized Anxiety Disorder-7",
+    version: "1.0",
+    assessmentType: "mental-status",
+    source: "Spitzer RL, Kroenke K, Williams JBW, Löwe B. Arch Intern Med 2006;166(10):1092-7.",
+    direction: "higher score = more severe anxiety",
+    recallPeriod: "Over the last 2 weeks",
+    items: frequencyItems([
+      ["nervous", "Feeling nervous, anxious, or on edge"],
+      ["uncontrollableWorry", "Not being able to stop or control worrying"],
+      ["excessiveWorry", "Worrying too much about different things"],
+      ["troubleRelaxing", "Trouble relaxing"],
+      ["restless", "Being so restless that it is hard to sit still"],
+      ["irritable", "Becoming easily annoyed or irritable"],
+      ["afraid", "Feeling afraid, as if something awful might happen"],
+    ]),
+    interpretation: [
+      { min: 0, max: 4, level: "minimal", label: "Minimal anxiety" },
+      { min: 5, max: 9, level: "mild", label: "Mild anxiety" },
+      { min: 10, max: 14, level: "moderate", label: "Moderate anxiety" },
+      { min: 15, max: 21, level: "severe", label: "Severe anxiety" },
+    ],
+  },
+
+  katz: {
+    id: "katz",
+    name: "Katz Index of Independence in Activities of Daily Living",
+    version: "1.0",
+    assessmentType: "mobility",
+    source:
+      "Katz S, Downs TD, Cash HR, Grotz RC. Gerontologist 1970;10(1):20-30. Bands per Shelkey M, Wallace M. Try This: Katz Index (Hartford Institute for Geriatric Nursing).",
+    direction: "lower score = more dependent",
+    items: [
+      { id: "bathing", label: "Bathing", options: INDEPENDENCE_OPTIONS },
+      { id: "dressing", label: "Dressing", options: INDEPENDENCE_OPTIONS },
+      { id: "toileting", label: "Toileting", options: INDEPENDENCE_OPTIONS },
+      { id: "transferring", label: "Transferring", options: INDEPENDENCE_OPTIONS },
+      { id: "continence", label: "Continence", options: INDEPENDENCE_OPTIONS },
+      { id: "feeding", label: "Feeding", options: INDEPENDENCE_OPTIONS },
+    ],
+    interpretation: [
+      { min: 0, max: 2, level: "severe", label: "Severe functional impairment" },
+      { min: 3, max: 5, level: "moderate", label: "Moderate functional impairment" },
+      { min: 6, max: 6, level: "independent", label: "Full function" },
+    ],
+  },
+
+  lawton: {
+    id: "lawton",
+    name: "Lawton Instrumental Activities of Daily Living Scale",
+    version: "1.0",
+    assessmentType: "mobility",
+    // Lawton and Brody published no severity bands; the score is read
+    // against the patient's own baseline
+    source: "Lawton MP, Brody EM. Gerontologist 1969;9(3):179-86.",
+    direction: "lower score = more dependent",
+    items: [
+      {
+        id: "telephone",
+        label: "Ability to use telephone",
+        options: [
+          { value: "a", label: "Operates telephone on own initiative", score: 1 },
+          { value: "b", label: "Dials a few well-known numbers", score: 1 },
+          { value: "c", label: "Answers telephone but does not dial", score: 1 },
+          { value: "d", label: "Does not use telephone at all", score: 0 },
+        ],
+      },
+      {
+        id: "shopping",
+        label: "Shopping",
+        options: [
+          { value: "a", label: "Takes care of all shopping needs independently", score: 1 },
+          { value: "b", label: "Shops independently for small purchases", score: 0 },
+          { value: "c", label: "Needs to be accompanied on any shopping trip", score: 0 },
+          { value: "d", label: "Completely unable to shop", score: 0 },
+        ],
+      },
+      {
+        id: "foodPreparation",
+        label: "Food preparation",
+        options: [
+          { value: "a", label: "Plans, prepares and serves adequate meals independently", score: 1 },
+          { value: "b", label: "Prepares adequate meals if supplied with ingredients", score: 0 },
+          { value: "c", label: "Heats and serves prepared meals, or prepares meals but does not maintain an adequate diet", score: 0 },
+          { value: "d", label: "Needs to have meals prepared and served", score: 0 },
+        ],
+      },
+      {
+        id: "housekeeping",
+        label: "Housekeeping",
+        options: [
+          { value: "a", label: "Maintains house alone or with occasional assistance", score: 1 },
+          { value: "b", label: "Performs light daily tasks such as dishwashing and bed making", score: 1 },
+          { value: "c", label: "Performs light daily tasks but cannot maintain acceptable cleanliness", score: 1 },
+          { value: "d", label: "Needs help with all home maintenance tasks", score: 1 },
+          { value: "e", label: "Does not participate in any housekeeping tasks", score: 0 },
+        ],
+      },
+      {
+        id: "laundry",
+        label: "Laundry",
+        options: [
+          { value: "a", label: "Does personal laundry completely", score: 1 },
+          { value: "b", label: "Launders small items", score: 1 },
+          { value: "c", label: "All laundry must be done by others", score: 0 },
+        ],
+      },
+      {
+        id: "transportation",
+        label: "Mode of transportation",
+        options: [
+          { value: "a", label: "Travels independently on public transportation or drives own car", score: 1 },
+          { value: "b", label: "Arranges own travel via taxi but does not otherwise use public transportation", score: 1 },
+          { value: "c", label: "Travels on public transportation when assisted or accompanied", score: 1 },
+          { value: "d", label: "Travel limited to taxi or automobile with assistance", score: 0 },
+          { value: "e", label: "Does not travel at all", score: 0 },
+        ],
+      },
+      {
+        id: "medications",
+        label: "Responsibility for own medications",
+        options: [
+          { value: "a", label: "Takes medication in correct dosages at correct time", score: 1 },
+          { value: "b", label: "Takes medication if prepared in advance in separate dosages", score: 0 },
+          { value: "c", label: "Is not capable of dispensing own medication", score: 0 },
+        ],
+      },
+      {
+        id: "finances",
+        label: "Ability to handle finances",
+        options: [
+          { value: "a", label: "Manages financial matters independently", score: 1 },
+          { value: "b", label: "Manages day-to-day purchases but needs help with banking and major purchases", score: 1 },
+          { value: "c", label: "Incapable of handling money", score: 0 },
+        ],
+      },
+    ],
+    interpretation: [
+      { min: 0, max: 7, level: "needs-assistance", label: "Needs assistance with one or more IADLs" },
+      { min: 8, max: 8, level: "independent", label: "Independent in all IADLs" },
+    ],
+  },
+
+  norton: {
+    id: "norton",
+    name: "Norton Pressure Sore Risk Scale",
+    version: "1.0",
+    assessmentType: "wound",
+    source:
+      "Norton D, McLaren R, Exton-Smith AN. An Investigation of Geriatric Nursing Problems in Hospital. London: National Corporation for the Care of Old People; 1962.",
+    direction: "lower score = higher risk",
+    items: [
+      {
+        id: "physicalCondition",
+        label: "Physical condition",
+        options: [
+          { value: 4, label: "Good" },
+          { value: 3, label: "Fair" },
+          { value: 2, label: "Poor" },
+          { value: 1, label: "Very bad" },
+        ],
+      },
+      {
+        id: "mentalCondition",
+        label: "Mental condition",
+        options: [
+          { value: 4, label: "Alert" },
+          { value: 3, label: "Apathetic" },
+          { value: 2, label: "Confused" },
+          { value: 1, label: "Stuporous" },
+        ],
+      },
+      {
+        id: "activity",
+        label: "Activity",
+        options: [
+          { value: 4, label: "Ambulant" },
+          { value: 3, label: "Walks with help" },
+          { value: 2, label: "Chairbound" },
+          { value: 1, label: "Bedfast" },
+        ],
+      },
+      {
+        id: "mobility",
+        label: "Mobility",
+        options: [
+          { value: 4, label: "Full" },
+          { value: 3, label: "Slightly limited" },
+          { value: 2, label: "Very limited" },
+          { value: 1, label: "Immobile" },
+        ],
+      },
+      {
+        id: "incontinence",
+        label: "Incontinence",
+        options: [
+          { value: 4, label: "Not incontinent" },
+          { value: 3, label: "Occasionally" },
+          { value: 2, label: "Usually urine" },
+          { value: 1, label: "Doubly incontinent" },
+        ],
+      },
+    ],
+    interpretation: [
+      { min: 5, max: 11, level: "high", label: "High risk" },
+      { min: 12, max: 14, level: "moderate", label: "At risk" },
+      { min: 15, max: 20, level: "low", label: "Low risk" },
+    ],
+  },
+
+  "numeric-pain": {
+    id: "numeric-pain",
+    name: "Numeric Pain Rating Scale (0-10)",
+    version: "1.0",
+    assessmentType: "pain",
+    source: "Hawker GA, Mian S, Kendzerska T, French M. Arthritis Care Res 2011;63(S11):S240-52.",
+    direction: "higher score = more pain",
+    items: [{ id: "intensity", label: "Pain intensity right now", min: 0, max: 10 }],
+    interpretation: PAIN_INTENSITY_BANDS,
+  },
+
+  "wong-baker": {
+    id: "wong-baker",
+    name: "Wong-Baker FACES Pain Rating Scale",
+    version: "1.0",
+    assessmentType: "pain",
+    source: "Wong DL, Baker CM. Pediatr Nurs 1988;14(1):9-17.",
+    direction: "higher score = more pain",
+    items: [
+      {
+        id: "face",
+        label: "Face that best describes how much you hurt",
+        options: [
+          { value: 0, label: "No hurt" },
+          { value: 2, label: "Hurts little bit" },
+          { value: 4, label: "Hurts little more" },
+          { value: 6, label: "Hurts even more" },
+          { value: 8, label: "Hurts whole lot" },
+          { value: 10, label: "Hurts worst" },
+        ],
+      },
+    ],
+    interpretation: PAIN_INTENSITY_BANDS,
+  },
+
+  painad: {
+    id: "painad",
+    name: "Pain Assessment in Advanced Dementia (PAINAD)",
+    version: "1.0",
+    assessmentType: "pain",
+    source: "Warden V, Hurley AC, Volicer L. J Am Med Dir Assoc 2003;4(1):9-15.",
+    direction: "higher score = more pain",
+    items: [
+      {
+        id: "breathing",
+        label: "Breathing independent of vocalization",
+        options: [
+          { value: 0, label: "Normal" },
+          { value: 1, label: "Occasional labored breathing; short period of hyperventilation" },
+          { value: 2, label: "Noisy labored breathing; long period of hyperventilation; Cheyne-Stokes respirations" },
+        ],
+      },
+      {
+        id: "negativeVocalization",
+        label: "Negative vocalization",
+        options: [
+          { value: 0, label: "None" },
+          { value: 1, label: "Occasional moan or groan; low-level speech with a negative or disapproving quality" },
+          { value: 2, label: "Repeated troubled calling out; loud moaning or groaning; crying" },
+        ],
+      },
+      {
+        id: "facialExpression",
+        label: "Facial expression",
+        options: [
+          { value: 0, label: "Smiling or inexpressive" },
+          { value: 1, label: "Sad, frightened, frown" },
+          { value: 2, label: "Facial grimacing" },
+        ],
+      },
+      {
+        id: "bodyLanguage",
+        label: "Body language",
+        options: [
+          { value: 0, label: "Relaxed" },
+          { value: 1, label: "Tense; distressed pacing; fidgeting" },
+          { value: 2, label: "Rigid; fists clenched; knees pulled up; pulling or pushing away; striking out" },
+        ],
+      },
+      {
+        id: "consolability",
+        label: "Consolability",
+        options: [
+          { value: 0, label: "No need to console" },
+          { value: 1, label: "Distracted or reassured by voice or touch" },
+          { value: 2, label: "Unable to console, distract or reassure" },
+        ],
+      },
+    ],
+    interpretation: PAIN_INTENSITY_BANDS,
+  },
+};
+
+const optionScore = (option) => option.score ?? option.value;
+
+const itemRange = (item) =>
+  item.options
+    ? {
+        min: Math.min(...item.options.map(optionScore)),
+        max: Math.max(...item.options.map(optionScore)),
+      }
+    : { min: item.min, max: item.max };
+
+// Range of the summed score, derived from the items so it cannot disagree
+const scoreRange = (instrument) =>
+  instrument.items.reduce(
+    (range, item) => {
+      const { min, max } = itemRange(item);
+      return { min: range.min + min, max: range.max + max };
+    },
+    { min: 0, max: 0 }
+  );
+
+// Responses arrive from forms and JSON alike; "3" and 3 are the same answer
+const sameValue = (a, b) => String(a) === String(b);
+
+class AssessmentScoringEngine {
+  constructor(instruments = INSTRUMENTS) {
+    this.instruments = instruments;
+  }
+
+  listInstruments() {
+    return Object.values(this.instruments).map((instrument) =>
+      this.describe(instrument)
+    );
+  }
+
+  getInstrument(instrumentId) {
+    return this.instruments[instrumentId] || null;
+  }
+
+  /**
+   * Instruments for an assessment type ("pain", "fall-risk", ...)
+   */
+  instrumentsFor(assessmentType) {
+    return Object.values(this.instruments)
+      .filter((instrument) => instrument.assessmentType === assessmentType)
+      .map((instrument) => this.describe(instrument));
+  }
+
+  /**
+   * Client-facing definition: the instrument data plus its score range
+   */
+  describe(instrument) {
+    const { min, max } = scoreRange(instrument);
+    return { ...instrument, minScore: min, maxScore: max };
+  }
+
+  /**
+   * Validate item responses and score them.
+   * @param {string} instrumentId
+   * @param {Object} responses - { [itemId]: value }
+   * @returns {Object} score record, stored as-is on the assessment
+   */
+  score(instrumentId, responses) {
+    const instrument = this.getInstrument(instrumentId);
+    if (!instrument) {
+      throw new AssessmentScoringError(
+        `Unknown assessment instrument: ${instrumentId}`,
+        "UNKNOWN_INSTRUMENT",
+        404
+      );
+    }
+    if (!responses || typeof responses !== "object" || Array.isArray(responses)) {
+      throw new AssessmentScoringError(
+        "Responses must be an object keyed by item id",
+        "INVALID_RESPONSES"
+      );
+    }
+
+    const errors = [];
+    const itemScores = {};
+    const knownItems = new Set(instrument.items.map((item) => item.id));
+
+    for (const key of Object.keys(responses)) {
+      if (!knownItems.has(key)) {
+        errors.push({ item: key, message: "Unknown item" });
+      }
+    }
+
+    for (const item of instrument.items) {
+      const value = responses[item.id];
+      if (value === undefined || value === null || value === "") {
+        errors.push({ item: item.id, message: "Response is required" });
+        continue;
+      }
+
+      if (item.options) {
+        const option = item.options.find((candidate) => sameValue(candidate.value, value));
+        if (!option) {
+          errors.push({
+            item: item.id,
+            message: `Must be one of ${item.options.map((o) => o.value).join(", ")}`,
+          });
+          continue;
+        }
+        itemScores[item.id] = optionScore(option);
+      } else {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < item.min || number > item.max) {
+          errors.push({
+            item: item.id,
+            message: `Must be an integer from ${item.min} to ${item.max}`,
+          });
+          continue;
+        }
+        itemScores[item.id] = number;
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new AssessmentScoringError(
+        `Invalid ${instrument.name} responses`,
+        "INVALID_RESPONSES",
+        422,
+        errors
+      );
+    }
+
+    const totalScore = Object.values(itemScores).reduce((sum, score) => sum + score, 0);
+    const { min, max } = scoreRange(instrument);
+    const band = instrument.interpretation.find(
+      (candidate) => totalScore >= candidate.min && totalScore <= candidate.max
+    );
+    const alerts = (instrument.alerts || [])
+      .filter((alert) => itemScores[alert.item] >= alert.minScore)
+      .map(({ item, severity, message }) => ({ item, severity, message }));
+
+    return {
+      instrument: instrument.id,
+      name: instrument.name,
+      version: instrument.version,
+      totalScore,
+      minScore: min,
+      maxScore: max,
+      level: band?.level || null,
+      label: band?.label || null,
+      itemScores,
+      responses: Object.fromEntries(
+        instrument.items.map((item) => [item.id, responses[item.id]])
+      ),
+      alerts,
+      scoredAt: new Date(),
+    };
+  }
+}
+
+export { AssessmentScoringEngine };
+export default new AssessmentScoringEngine();
@@ -2,6 +2,8 @@ import CarePlan from "../../models/nursing/CarePlan.js";
 import NursingAIService from "./NursingAIService.js";
 import EventManager from "./EventManager.js";
 import NursingCacheService from "./NursingCacheService.js";
+import ResilienceKernel from "./ResilienceKernel.js";
+import organizationService from "../organizationService.js";
 import mongoose from "mongoose";
 import crypto from "crypto";
 
@@ -265,7 +267,6 @@ class CarePlansService {
       },
       cache: {
         ttl: parseInt(process.env.CARE_PLANS_CACHE_TTL) || 300000, // 5 minutes
-        maxSize: parseInt(process.env.CARE_PLANS_CACHE_MAX_SIZE) || 1000,
       },
       circuitBreaker: {
         threshold:
@@ -295,37 +296,18 @@ class CarePlansService {
     // Goal priority levels
     this.priorityLevels = ["low", "medium", "high", "critical"];
 
-    // Enhanced performance metrics
-    this.performanceMetrics = {
-      totalRequests: 0,
-      successfulRequests: 0,
-      failedRequests: 0,
-      averageResponseTime: 0,
-      totalResponseTime: 0,
-      cacheHits: 0,
-      cacheMisses: 0,
+    // Rate limits, circuit breakers, cache and metrics
+    this.resilience = new ResilienceKernel("CarePlansService", {
+      rateLimit: this.config.rateLimit,
+      circuitBreaker: this.config.circuitBreaker,
+      cache: this.config.cache,
       errors: {
-        validation: 0,
-        rateLimit: 0,
-        serviceUnavailable: 0,
-        database: 0,
-        ai: 0,
+        rateLimit: (message, retryAfter) => new RateLimitError(message, retryAfter),
+        unavailable: (message, dependency) =>
+          new ServiceUnavailableError(message, dependency),
       },
-    };
-
-    // Rate limiting tracker
-    this.rateLimitTracker = {};
-
-    // Circuit breaker state
-    this.circuitBreakerState = {
-      database: { status: "closed", failures: 0, lastFailure: null },
-      ai: { status: "closed", failures: 0, lastFailure: null },
-      cache: { status: "closed", failures: 0, lastFailure: null },
-    };
-
-    // Cache for intelligent caching
-    this.cache = {};
-    this.cacheTimestamps = {};
+    });
+    this.performanceMetrics = this.resilience.metrics;
     this.requestCounter = 0;
   }
 
@@ -358,122 +340,6 @@ class CarePlansService {
     console.error(JSON.stringify(logEntry));
   }
 
-  checkRateLimit(userId) {
-    const now = Date.now();
-    const userKey = `user_${userId}`;
-
-    if (!this.rateLimitTracker[userKey]) {
-      this.rateLimitTracker[userKey] = {
-        count: 0,
-        resetTime: now + this.config.rateLimit.windowMs,
-      };
-    }
-
-    const userLimit = this.rateLimitTracker[userKey];
-
-    if (now > userLimit.resetTime) {
-      userLimit.count = 0;
-      userLimit.resetTime = now + this.config.rateLimit.windowMs;
-    }
-
-    if (userLimit.count >= this.config.rateLimit.maxRequests) {
-      const retryAfter = Math.ceil((userLimit.resetTime - now) / 1000);
-      throw new RateLimitError(
-        `Rate limit exceeded for user ${userId}`,
-        retryAfter
-      );
-    }
-
-    userLimit.count++;
-  }
-
-  checkCircuitBreaker(service) {
-    const breaker = this.circuitBreakerState[service];
-    if (!breaker) return;
-
-    if (breaker.status === "open") {
-      const timeSinceLastFailure = Date.now() - breaker.lastFailure;
-      if (timeSinceLastFailure < this.config.circuitBreaker.timeout) {
-        throw new ServiceUnavailableError(
-          `${service} service is temporarily unavailable`,
-          service
-        );
-      }
-      breaker.status = "half-open";
-    }
-  }
-
-  updateCircuitBreaker(service, success) {
-    const breaker = this.circuitBreakerState[service];
-    if (!breaker) return;
-
-    if (success) {
-      breaker.status = "closed";
-      breaker.failures = 0;
-    } else {
-      breaker.failures++;
-      if (breaker.failures >= this.config.circuitBreaker.threshold) {
-        breaker.status = "open";
-        breaker.lastFailure = Date.now();
-      }
-    }
-  }
-
-  generateCacheKey(prefix, data) {
-    const dataString = JSON.stringify(data);
-    const hash = crypto.createHash("md5").update(dataString).digest("hex");
-    return `${prefix}_${hash}`;
-  }
-
-  getFromCache(cacheKey) {
-    const cached = this.cache[cacheKey];
-    if (!cached) {
-      this.performanceMetrics.cacheMisses++;
-      return null;
-    }
-
-    const now = Date.now();
-    if (now - cached.timestamp > this.config.cache.ttl) {
-      delete this.cache[cacheKey];
-      this.performanceMetrics.cacheMisses++;
-      return null;
-    }
-
-    this.performanceMetrics.cacheHits++;
-    return cached.data;
-  }
-
-  setCache(cacheKey, data) {
-    // Implement cache size limit
-    const cacheKeys = Object.keys(this.cache);
-    if (cacheKeys.length >= this.config.cache.maxSize) {
-      // Remove oldest entry
-      const oldestKey = cacheKeys.reduce((oldest, key) =>
-        this.cache[key].timestamp < this.cache[oldest].timestamp ? key : oldest
-      );
-      delete this.cache[oldestKey];
-    }
-
-    this.cache[cacheKey] = {
-      data,
-      timestamp: Date.now(),
-    };
-  }
-
-  updateMetrics(success, responseTime) {
-    this.performanceMetrics.totalRequests++;
-    this.performanceMetrics.totalResponseTime += responseTime;
-    this.performanceMetrics.averageResponseTime =
-      this.performanceMetrics.totalResponseTime /
-      this.performanceMetrics.totalRequests;
-
-    if (success) {
-      this.performanceMetrics.successfulRequests++;
-    } else {
-      this.performanceMetrics.failedRequests++;
-    }
-  }
-
   validateInputs(data, context = {}) {
     const validation = CarePlanValidator.validateCarePlanData(data, context);
     if (!validation.isValid) {
@@ -504,99 +370,34 @@ class CarePlansService {
     }
   }
 
-  // Service monitoring and management methods
-  getServiceStatus() {
-    try {
-      const cacheHitRate = this.calculateCacheHitRate();
-      const totalRequests = this.performanceMetrics.totalRequests || 0;
-      const successRate =
-        totalRequests > 0
-          ? (
-              ((this.performanceMetrics.successfulRequests || 0) /
-                totalRequests) *
-              100
-            ).toFixed(2)
-          : 0;
+  // Monitoring: the metrics and health contract shared by the nursing
+  // services through the resilience kernel
+  async getServiceStatus() {
+    return {
+      ...(await this.healthCheck()),
+      configuration: this.getConfiguration(),
+    };
+  }
 
-      return {
-        service: "CarePlansService",
-        status: "operational",
-        timestamp: new Date().toISOString(),
-        metrics: {
-          ...this.performanceMetrics,
-          successRate: `${successRate}%`,
-          averageResponseTime: this.performanceMetrics.averageResponseTime || 0,
-        },
-        cache: {
-          size: Object.keys(this.cache).length,
-          hitRate: `${(cacheHitRate * 100).toFixed(2)}%`,
-          maxSize: this.config.cache.maxSize,
-        },
-        circuitBreakers: Object.keys(this.circuitBreakerState).map(
-          (service) => ({
-            service,
-            state: this.circuitBreakerState[service].status,
-            failures: this.circuitBreakerState[service].failures,
-          })
-        ),
-        rateLimits: {
-          activeUsers: Object.keys(this.rateLimitTracker).length,
-          maxRateLimit: this.config.rateLimit.maxRequests,
-        },
-        configuration: {
-          aiProvider: this.config.aiProvider,
-          cacheTTL: this.config.cache.ttl,
-          circuitBreakerThreshold: this.config.circuitBreaker.threshold,
-        },
-      };
-    } catch (error) {
-      this.logError("Error getting service status", error, {});
-      return {
-        service: "CarePlansService",
-        status: "error",
-        timestamp: new Date().toISOString(),
-        error: error.message,
-      };
-    }
+  getPerformanceMetrics() {
+    return this.resilience.getMetrics();
   }
 
-  calculateCacheHitRate() {
-    const totalRequests =
-      this.performanceMetrics.cacheHits + this.performanceMetrics.cacheMisses;
-    return totalRequests > 0
-      ? this.performanceMetrics.cacheHits / totalRequests
-      : 0;
+  getErrorReport() {
+    return this.resilience.getErrorReport();
   }
 
-  getPerformanceMetrics() {
-    return {
-      ...this.performanceMetrics,
-      cacheHitRate: this.calculateCacheHitRate(),
-      successRate:
-        this.performanceMetrics.totalRequests > 0
-          ? (
-              (this.performanceMetrics.successfulRequests /
-                this.performanceMetrics.totalRequests) *
-              100
-            ).toFixed(2)
-          : 0,
-    };
+  async healthCheck() {
+    return this.resilience.healthCheck();
   }
 
-  clearCache() {
-    this.cache = {};
-    this.cacheTimestamps = {};
+  async clearCache() {
+    await this.resilience.clearCache();
     this.logInfo("Cache cleared");
   }
 
-  resetCircuitBreakers() {
-    Object.keys(this.circuitBreakerState).forEach((service) => {
-      this.circuitBreakerState[service] = {
-        status: "closed",
-        failures: 0,
-        lastFailure: null,
-      };
-    });
+  async resetCircuitBreakers() {
+    await this.resilience.resetCircuitBreakers();
     this.logInfo("Circuit breakers reset");
   }
 
@@ -609,76 +410,6 @@ class CarePlansService {
     };
   }
 
-  getErrorReport(timeframe = "24h") {
-    const cutoff = Date.now() - (timeframe === "24h" ? 86400000 : 3600000);
-    return {
-      timeframe,
-      totalErrors:
-        this.performanceMetrics.errors.validation +
-        this.performanceMetrics.errors.rateLimit +
-        this.performanceMetrics.errors.serviceUnavailable +
-        this.performanceMetrics.errors.database +
-        this.performanceMetrics.errors.ai,
-      errorBreakdown: this.performanceMetrics.errors,
-      circuitBreakerStatus: this.circuitBreakerState,
-      timestamp: new Date().toISOString(),
-    };
-  }
-
-  healthCheck() {
-    try {
-      const cacheStatus =
-        Object.keys(this.cache).length < this.config.cache.maxSize;
-      const circuitBreakerStatus = Object.values(
-        this.circuitBreakerState
-      ).every((state) => state.status === "closed");
-      const rateLimitStatus = Object.keys(this.rateLimitTracker).length < 1000; // Reasonable limit
-
-      const overallStatus =
-        cacheStatus && circuitBreakerStatus && rateLimitStatus
-          ? "healthy"
-          : "degraded";
-
-      return {
-        service: "CarePlansService",
-        status: overallStatus,
-        timestamp: new Date().toISOString(),
-        version: "1.0.0",
-        checks: {
-          cache: {
-            status: cacheStatus ? "healthy" : "warning",
-            size: Object.keys(this.cache).length,
-            maxSize: this.config.cache.maxSize,
-          },
-          circuitBreakers: {
-            status: circuitBreakerStatus ? "healthy" : "warning",
-            openBreakers: Object.values(this.circuitBreakerState).filter(
-              (state) => state.status === "open"
-            ).length,
-          },
-          rateLimits: {
-            status: rateLimitStatus ? "healthy" : "warning",
-            activeUsers: Object.keys(this.rateLimitTracker).length,
-          },
-        },
-        metrics: {
-          totalRequests: this.performanceMetrics.totalRequests || 0,
-          successfulRequests: this.performanceMetrics.successfulRequests || 0,
-          averageResponseTime: this.performanceMetrics.averageResponseTime || 0,
-        },
-      };
-    } catch (error) {
-      this.logError("Error during health check", error, {});
-      return {
-        service: "CarePlansService",
-        status: "unhealthy",
-        timestamp: new Date().toISOString(),
-        version: "1.0.0",
-        error: error.message,
-      };
-    }
-  }
-
   // Update goals (alias for updateCarePlanGoals)
   async updateGoals(carePlanId, goals, updatedBy) {
     return this.updateCarePlanGoals(carePlanId, goals, updatedBy);
@@ -691,8 +422,8 @@ class CarePlansService {
 
     try {
       // Input validation and rate limiting
-      this.checkRateLimit(userId);
-      this.checkCircuitBreaker("database");
+      await this.resilience.checkRateLimit(userId);
+      await this.resilience.checkCircuitBreaker("database");
 
       // Validate inputs
       this.validateInputs(
@@ -705,11 +436,11 @@ class CarePlansService {
       );
 
       // Check cache first
-      const cacheKey = this.generateCacheKey("care_plan", {
+      const cacheKey = this.resilience.cacheKey("care_plan", {
         carePlanId,
         userId,
       });
-      const cachedCarePlan = this.getFromCache(cacheKey);
+      const cachedCarePlan = await this.resilience.getCached(cacheKey);
 
       let carePlan;
       if (cachedCarePlan) {
@@ -730,7 +461,7 @@ class CarePlansService {
         }
 
         // Cache the care plan
-        this.setCache(cacheKey, carePlan);
+        await this.resilience.setCached(cacheKey, carePlan);
       }
 
       // Validate progress data
@@ -775,8 +506,9 @@ class CarePlansService {
         updatedGoals.length;
 
       // Update care plan with enhanced data
+      // Cached plans come back as plain objects
       const updatedCarePlan = {
-        ...carePlan.toObject(),
+        ...(typeof carePlan.toObject === "function" ? carePlan.toObject() : carePlan),
         goals: updatedGoals,
         overallProgress,
         lastProgressUpdate: new Date(),
@@ -798,9 +530,9 @@ class CarePlansService {
       // Update database with circuit breaker protection
       try {
         await CarePlan.findByIdAndUpdate(carePlanId, updatedCarePlan);
-        this.updateCircuitBreaker("database", true);
+        await this.resilience.recordResult("database", true);
       } catch (dbError) {
-        this.updateCircuitBreaker("database", false);
+        await this.resilience.recordFailure("database", dbError);
         throw new CarePlansServiceError(
           "Database update failed",
           "DATABASE_ERROR",
@@ -812,7 +544,7 @@ class CarePlansService {
       }
 
       // Update cache
-      this.setCache(cacheKey, updatedCarePlan);
+      await this.resilience.setCached(cacheKey, updatedCarePlan);
 
       // Emit progress update event
       this.eventManager.emit("carePlanProgressUpdated", {
@@ -827,7 +559,7 @@ class CarePlansService {
 
       // Update metrics
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(true, responseTime);
+      this.resilience.recordRequest(true, responseTime);
 
       this.logInfo("Care plan progress updated successfully", {
         requestId,
@@ -851,7 +583,7 @@ class CarePlansService {
       };
     } catch (error) {
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(false, responseTime);
+      this.resilience.recordRequest(false, responseTime);
 
       if (
         error instanceof CarePlansServiceError ||
@@ -1122,10 +854,16 @@ class CarePlansService {
         );
       }
 
+      const organizationId = await organizationService.assertPatientAccess(
+        carePlanData.patientId,
+        userId
+      );
+
       // Create care plan
       const carePlan = new CarePlan({
         ...carePlanData,
         userId,
+        organizationId,
         status: "draft",
         metadata: {
           createdAt: new Date(),
@@ -1185,7 +923,7 @@ class CarePlansService {
         throw new Error("Care plan not found");
       }
 
-      if (carePlan.userId.toString() !== userId) {
+      if (!(await this.isOwner(carePlan, userId))) {
         throw new Error("Unauthorized access to care plan");
       }
 
@@ -1265,7 +1003,7 @@ class CarePlansService {
       }
 
       // Check access permissions
-      const hasAccess = this.checkAccess(carePlan, userId);
+      const hasAccess = await this.checkAccess(carePlan, userId);
       if (!hasAccess) {
         throw new Error("Unauthorized access to care plan");
       }
@@ -1290,9 +1028,12 @@ class CarePlansService {
       });
 
       // Filter by user access
-      const accessiblePlans = carePlans.filter((plan) =>
-        this.checkAccess(plan, userId)
-      );
+      const accessiblePlans = [];
+      for (const plan of carePlans) {
+        if (await this.checkAccess(plan, userId)) {
+          accessiblePlans.push(plan);
+        }
+      }
 
       return {
         success: true,
@@ -1314,7 +1055,7 @@ class CarePlansService {
         throw new Error("Care plan not found");
       }
 
-      if (!this.checkAccess(carePlan, userId)) {
+      if (!(await this.checkAccess(carePlan, userId))) {
         throw new Error("Unauthorized access to care plan");
       }
 
@@ -1376,7 +1117,7 @@ class CarePlansService {
         throw new Error("Care plan not found");
       }
 
-      if (!this.checkAccess(carePlan, userId)) {
+      if (!(await this.checkAccess(carePlan, userId))) {
         throw new Error("Unauthorized access to care plan");
       }
 
@@ -1442,7 +1183,7 @@ class CarePlansService {
         throw new Error("Care plan not found");
       }
 
-      if (!this.checkAccess(carePlan, userId)) {
+      if (!(await this.checkAccess(carePlan, userId))) {
         throw new Error("Unauthorized access to care plan");
       }
 
@@ -1516,7 +1257,7 @@ class CarePlansService {
         throw new Error("Care plan not found");
       }
 
-      if (!this.checkAccess(carePlan, userId)) {
+      if (!(await this.checkAccess(carePlan, userId))) {
         throw new Error("Unauthorized access to care plan");
       }
 
@@ -1593,7 +1334,7 @@ class CarePlansService {
         throw new Error("Care plan not found");
       }
 
-      if (!this.checkAccess(carePlan, userId)) {
+      if (!(await this.checkAccess(carePlan, userId))) {
         throw new Error("Unauthorized access to care plan");
       }
 
@@ -1642,15 +1383,25 @@ class CarePlansService {
   }
 
   // Helper methods
-  checkAccess(carePlan, userId) {
-    // Owner has full access
-    if (
-      carePlan.userId.toString() === userId ||
-      carePlan.userId._id?.toString() === userId
-    ) {
+  async isOwner(carePlan, userId) {
+    const ownerId = carePlan.userId?._id || carePlan.userId;
+    return (
+      String(ownerId) === String(userId) &&
+      (await organizationService.canAccess(carePlan, userId))
+    );
+  }
+
+  async checkAccess(carePlan, userId) {
+    // Anyone in the plan's organization, or the owner of an unassigned plan
+    if (await organizationService.canAccess(carePlan, userId)) {
       return true;
     }
 
+    // Care team access only applies to plans outside an organization
+    if (carePlan.organizationId) {
+      return false;
+    }
+
     // Check team access
     const teamAccess = carePlan.team?.find(
       (member) =>
@@ -2023,7 +1774,7 @@ class CarePlansService {
         throw new Error("Care plan not found");
       }
 
-      if (!this.checkAccess(carePlan, userId)) {
+      if (!(await this.checkAccess(carePlan, userId))) {
         throw new Error("Unauthorized access to care plan");
       }
 
@@ -2108,7 +1859,7 @@ class CarePlansService {
         throw new Error("Care plan not found");
       }
 
-      if (!this.checkAccess(carePlan, userId)) {
+      if (!(await this.checkAccess(carePlan, userId))) {
         throw new Error("Unauthorized access to care plan");
       }
 
@@ -2183,7 +1934,7 @@ class CarePlansService {
         throw new Error("Care plan not found");
       }
 
-      if (carePlan.userId.toString() !== userId) {
+      if (!(await this.isOwner(carePlan, userId))) {
         throw new Error("Only plan owner can enable collaboration");
       }
 
@@ -2263,7 +2014,7 @@ class CarePlansService {
         throw new Error("Care plan not found");
       }
 
-      if (!this.checkAccess(carePlan, userId)) {
+      if (!(await this.checkAccess(carePlan, userId))) {
         throw new Error("Unauthorized access to care plan");
       }
 
@@ -2589,8 +2340,8 @@ class CarePlansService {
     const requestId = this.generateRequestId();
 
     try {
-      this.checkRateLimit(userId);
-      this.checkCircuitBreaker("database");
+      await this.resilience.checkRateLimit(userId);
+      await this.resilience.checkCircuitBreaker("database");
 
       // Validate inputs
       this.validateInputs(carePlanData, { requestId, userId });
@@ -2642,9 +2393,17 @@ class CarePlansService {
         )
       );
 
+      const organizationId = enhancedCarePlan.patientId
+        ? await organizationService.assertPatientAccess(
+            enhancedCarePlan.patientId,
+            userId
+          )
+        : await organizationService.organizationIdFor(userId);
+
       // Save to MongoDB database - data structure now matches frontend
       const carePlanDoc = new CarePlan({
         userId: new mongoose.Types.ObjectId(userId),
+        organizationId,
         patientId: enhancedCarePlan.patientId
           ? new mongoose.Types.ObjectId(enhancedCarePlan.patientId)
           : new mongoose.Types.ObjectId(),
@@ -2686,7 +2445,7 @@ class CarePlansService {
       });
 
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(true, responseTime);
+      this.resilience.recordRequest(true, responseTime);
 
       this.logInfo("Care plan created successfully", {
         requestId,
@@ -2703,7 +2462,7 @@ class CarePlansService {
       };
     } catch (error) {
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(false, responseTime);
+      this.resilience.recordRequest(false, responseTime);
       this.logError("Failed to create care plan", error, { requestId, userId });
 
       return {
@@ -2720,10 +2479,10 @@ class CarePlansService {
     const requestId = this.generateRequestId();
 
     try {
-      this.checkRateLimit(userId);
+      await this.resilience.checkRateLimit(userId);
 
       // Build query
-      const query = { userId: new mongoose.Types.ObjectId(userId) };
+      const query = await organizationService.scopeFor(userId);
 
       if (filters.status) {
         query.status = filters.status;
@@ -2740,7 +2499,7 @@ class CarePlansService {
         .lean();
 
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(true, responseTime);
+      this.resilience.recordRequest(true, responseTime);
 
       // Format care plans for frontend with patient information
       const formattedCarePlans = carePlans.map((plan) => ({
@@ -2768,7 +2527,7 @@ class CarePlansService {
       };
     } catch (error) {
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(false, responseTime);
+      this.resilience.recordRequest(false, responseTime);
       this.logError("Failed to get care plans", error, {
         requestId,
         userId,
@@ -2790,18 +2549,18 @@ class CarePlansService {
     const requestId = this.generateRequestId();
 
     try {
-      this.checkRateLimit(userId);
+      await this.resilience.checkRateLimit(userId);
 
       // Retrieve from MongoDB database with patient population
       const carePlan = await CarePlan.findOne({
         _id: new mongoose.Types.ObjectId(carePlanId),
-        userId: new mongoose.Types.ObjectId(userId),
+        ...(await organizationService.scopeFor(userId)),
       })
         .populate("patientId", "name medicalRecordNumber primaryDiagnosis")
         .lean();
 
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(true, responseTime);
+      this.resilience.recordRequest(true, responseTime);
 
       if (!carePlan) {
         return {
@@ -2838,7 +2597,7 @@ class CarePlansService {
       };
     } catch (error) {
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(false, responseTime);
+      this.resilience.recordRequest(false, responseTime);
       this.logError("Failed to get care plan", error, {
         requestId,
         userId,
@@ -2859,8 +2618,8 @@ class CarePlansService {
     const requestId = this.generateRequestId();
 
     try {
-      this.checkRateLimit(userId);
-      this.checkCircuitBreaker("database");
+      await this.resilience.checkRateLimit(userId);
+      await this.resilience.checkCircuitBreaker("database");
 
       // Get existing care plan
       const existingPlan = await this.getCarePlan(userId, carePlanId);
@@ -2875,11 +2634,14 @@ class CarePlansService {
       });
       console.log("📋 Existing plan version:", existingPlan.data?.version);
 
+      // Ownership and tenant fields are never taken from the client
+      const { userId: _owner, organizationId: _org, ...safeUpdates } = updates;
+
       // Update care plan in database
       const updatedCarePlan = await CarePlan.findByIdAndUpdate(
         carePlanId,
         {
-          ...updates,
+          ...safeUpdates,
           lastModified: new Date(),
           modifiedBy: userId,
           version: (existingPlan.data?.version || 1) + 1,
@@ -2891,14 +2653,14 @@ class CarePlansService {
         throw new Error("Failed to update care plan in database");
       }
 
-      this.updateCircuitBreaker("database", true);
+      await this.resilience.recordResult("database", true);
 
       // Clear cache
-      const cacheKey = this.generateCacheKey("care_plan", {
+      const cacheKey = this.resilience.cacheKey("care_plan", {
         carePlanId,
         userId,
       });
-      this.setCache(cacheKey, updatedCarePlan);
+      await this.resilience.setCached(cacheKey, updatedCarePlan);
 
       // Emit update event
       this.eventManager.emit("carePlanUpdated", {
@@ -2910,7 +2672,7 @@ class CarePlansService {
       });
 
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(true, responseTime);
+      this.resilience.recordRequest(true, responseTime);
 
       return {
         success: true,
@@ -2920,12 +2682,10 @@ class CarePlansService {
       };
     } catch (error) {
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(false, responseTime);
+      this.resilience.recordRequest(false, responseTime);
 
       // Update circuit breaker on database errors
-      if (error.name === "MongoError" || error.name === "ValidationError") {
-        this.updateCircuitBreaker("database", false);
-      }
+      await this.resilience.recordFailure("database", error);
 
       this.logError("Failed to update care plan", error, {
         requestId,
@@ -2947,8 +2707,8 @@ class CarePlansService {
     const requestId = this.generateRequestId();
 
     try {
-      this.checkRateLimit(userId);
-      this.checkCircuitBreaker("database");
+      await this.resilience.checkRateLimit(userId);
+      await this.resilience.checkCircuitBreaker("database");
 
       // Get existing care plan for event data
       const existingPlan = await this.getCarePlan(userId, carePlanId);
@@ -2965,21 +2725,21 @@ class CarePlansService {
       // Actually delete the care plan from database
       const deletedCarePlan = await CarePlan.findOneAndDelete({
         _id: new mongoose.Types.ObjectId(carePlanId),
-        userId: new mongoose.Types.ObjectId(userId),
+        ...(await organizationService.scopeFor(userId)),
       });
 
       if (!deletedCarePlan) {
         throw new Error("Failed to delete care plan from database");
       }
 
-      this.updateCircuitBreaker("database", true);
+      await this.resilience.recordResult("database", true);
 
       // Clear cache
-      const cacheKey = this.generateCacheKey("care_plan", {
+      const cacheKey = this.resilience.cacheKey("care_plan", {
         carePlanId,
         userId,
       });
-      this.clearCache(cacheKey);
+      await this.resilience.invalidate(cacheKey);
 
       // Emit deletion event
       this.eventManager.emit("carePlanDeleted", {
@@ -2990,7 +2750,7 @@ class CarePlansService {
       });
 
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(true, responseTime);
+      this.resilience.recordRequest(true, responseTime);
 
       return {
         success: true,
@@ -2999,7 +2759,7 @@ class CarePlansService {
       };
     } catch (error) {
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(false, responseTime);
+      this.resilience.recordRequest(false, responseTime);
       this.logError("Failed to delete care plan", error, {
         requestId,
         userId,
@@ -3020,7 +2780,7 @@ class CarePlansService {
     const requestId = this.generateRequestId();
 
     try {
-      this.checkRateLimit(userId);
+      await this.resilience.checkRateLimit(userId);
 
       // Get existing care plan
       const existingPlan = await this.getCarePlan(userId, carePlanId);
@@ -3063,7 +2823,7 @@ class CarePlansService {
       });
 
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(true, responseTime);
+      this.resilience.recordRequest(true, responseTime);
 
       return {
         success: true,
@@ -3074,7 +2834,7 @@ class CarePlansService {
       };
     } catch (error) {
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(false, responseTime);
+      this.resilience.recordRequest(false, responseTime);
       this.logError("Failed to update goal progress", error, {
         requestId,
         userId,
@@ -3096,7 +2856,7 @@ class CarePlansService {
     const requestId = this.generateRequestId();
 
     try {
-      this.checkRateLimit(userId);
+      await this.resilience.checkRateLimit(userId);
 
       // Get existing care plan
       const existingPlan = await this.getCarePlan(userId, carePlanId);
@@ -3130,7 +2890,7 @@ class CarePlansService {
       });
 
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(true, responseTime);
+      this.resilience.recordRequest(true, responseTime);
 
       return {
         success: true,
@@ -3140,7 +2900,7 @@ class CarePlansService {
       };
     } catch (error) {
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(false, responseTime);
+      this.resilience.recordRequest(false, responseTime);
       this.logError("Failed to complete intervention", error, {
         requestId,
         userId,
@@ -3162,7 +2922,7 @@ class CarePlansService {
     const requestId = this.generateRequestId();
 
     try {
-      this.checkRateLimit(userId);
+      await this.resilience.checkRateLimit(userId);
 
       // Get care plan
       const carePlan = await this.getCarePlan(userId, carePlanId);
@@ -3198,7 +2958,7 @@ class CarePlansService {
       };
 
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(true, responseTime);
+      this.resilience.recordRequest(true, responseTime);
 
       return {
         success: true,
@@ -3208,7 +2968,7 @@ class CarePlansService {
       };
     } catch (error) {
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(false, responseTime);
+      this.resilience.recordRequest(false, responseTime);
       this.logError("Failed to get care plan progress", error, {
         requestId,
         userId,
@@ -3229,7 +2989,7 @@ class CarePlansService {
     const requestId = this.generateRequestId();
 
     try {
-      this.checkRateLimit(userId);
+      await this.resilience.checkRateLimit(userId);
 
       // Mock analytics data
       const analytics = {
@@ -3259,7 +3019,7 @@ class CarePlansService {
       };
 
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(true, responseTime);
+      this.resilience.recordRequest(true, responseTime);
 
       return {
         success: true,
@@ -3269,7 +3029,7 @@ class CarePlansService {
       };
     } catch (error) {
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(false, responseTime);
+      this.resilience.recordRequest(false, responseTime);
       this.logError("Failed to get care plan analytics", error, {
         requestId,
         userId,
@@ -3302,8 +3062,8 @@ class CarePlansService {
 
     try {
       // Input validation and rate limiting
-      this.checkRateLimit(userId);
-      this.checkCircuitBreaker("ai");
+      await this.resilience.checkRateLimit(userId);
+      await this.resilience.checkCircuitBreaker("ai");
 
       this.logInfo("Generating AI care plan suggestions", {
         requestId,
@@ -3344,15 +3104,17 @@ class CarePlansService {
       };
 
       // Generate AI suggestions using the AI service
-      const aiResponse = await this.aiService.generateCarePlanSuggestions(
-        aiContext
-      );
-
-      if (!aiResponse.success) {
-        throw new Error(
-          aiResponse.error || "AI service failed to generate suggestions"
+      const aiResponse = await this.resilience.execute("ai", async () => {
+        const response = await this.aiService.generateCarePlanSuggestions(
+          aiContext
         );
-      }
+        if (!response.success) {
+          throw new Error(
+            response.error || "AI service failed to generate suggestions"
+          );
+        }
+        return response;
+      });
 
       // Process and enhance AI suggestions
       const suggestions = this.processAISuggestions(
@@ -3360,10 +3122,9 @@ class CarePlansService {
         patientContext
       );
 
-      // Update circuit breaker and metrics
-      this.updateCircuitBreaker("ai", true);
+      // Update metrics
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(true, responseTime);
+      this.resilience.recordRequest(true, responseTime);
 
       this.logInfo("AI care plan suggestions generated successfully", {
         requestId,
@@ -3385,8 +3146,7 @@ class CarePlansService {
       };
     } catch (error) {
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(false, responseTime);
-      this.updateCircuitBreaker("ai", false);
+      this.resilience.recordRequest(false, responseTime);
 
       this.logError("Failed to generate AI care plan suggestions", error, {
         requestId,
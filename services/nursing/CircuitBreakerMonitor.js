@@ -11,6 +11,18 @@
  */
 
 import { EventEmitter } from "events";
+import jobScheduler from "../jobSchedulerService.js";
+
+// Monitor behind each job; breakers live in process memory, so the jobs
+// run on every instance
+const monitors = new Map();
+
+jobScheduler.define("circuit-breakers.health-check", (data, job) =>
+  monitors.get(job.name)?.performHealthChecks()
+);
+jobScheduler.define("circuit-breakers.metrics", (data, job) =>
+  monitors.get(job.name)?.collectMetrics()
+);
 
 class CircuitBreakerMonitor extends EventEmitter {
   constructor(options = {}) {
@@ -574,18 +586,21 @@ class CircuitBreakerMonitor extends EventEmitter {
   }
 
   /**
-   * Start monitoring intervals
+   * Schedule health checks and metrics collection for this service
    */
   startMonitoring() {
-    // Health check interval
-    this.healthCheckInterval = setInterval(() => {
-      this.performHealthChecks();
-    }, this.config.healthCheckInterval);
-
-    // Metrics collection interval
-    this.metricsInterval = setInterval(() => {
-      this.collectMetrics();
-    }, this.config.metricsCollectionInterval);
+    const { serviceName } = this.config;
+    this.monitoringJobs = [
+      ["circuit-breakers.health-check", this.config.healthCheckInterval],
+      ["circuit-breakers.metrics", this.config.metricsCollectionInterval],
+    ].map(([handler, every]) => {
+      const name = `${handler}:${serviceName}`;
+      monitors.set(name, this);
+      jobScheduler
+        .schedule(name, { handler, every, scope: "instance" })
+        .catch((error) => console.error(`Failed to schedule ${name}:`, error));
+      return name;
+    });
 
     console.log("Circuit breaker monitoring started");
   }
@@ -633,15 +648,14 @@ class CircuitBreakerMonitor extends EventEmitter {
    * Stop monitoring
    */
   stopMonitoring() {
-    if (this.healthCheckInterval) {
-      clearInterval(this.healthCheckInterval);
-      this.healthCheckInterval = null;
-    }
-
-    if (this.metricsInterval) {
-      clearInterval(this.metricsInterval);
-      this.metricsInterval = null;
+    for (const name of this.monitoringJobs || []) {
+      if (monitors.get(name) !== this) continue;
+      monitors.delete(name);
+      jobScheduler
+        .cancel(name)
+        .catch((error) => console.error(`Failed to cancel ${name}:`, error));
     }
+    this.monitoringJobs = [];
 
     console.log("Circuit breaker monitoring stopped");
   }
@@ -2,6 +2,11 @@ import EventManager from "./EventManager.js";
 import NursingCacheService from "./NursingCacheService.js";
 import { ClinicalAIEngine } from "./ClinicalAIEngine.js";
 import crypto from "crypto";
+import clinicalGuidelineLibrary, {
+  diagnosisCodes,
+  evaluateCondition,
+  matchingCodes,
+} from "./ClinicalGuidelineLibrary.js";
 
 // Custom error classes for Clinical Decision Support Service
 class ClinicalDecisionSupportServiceError extends Error {
@@ -341,76 +346,9 @@ export class ClinicalDecisionSupportService {
       },
     };
 
-    // Clinical guidelines database
-    this.clinicalGuidelines = {
-      fallPrevention: {
-        name: "Fall Prevention Guidelines",
-        version: "2024.1",
-        source: "Joint Commission",
-        recommendations: [
-          {
-            condition: "morse_score >= 45",
-            recommendation: "Implement comprehensive fall prevention protocol",
-            evidence: "Level A - Reduces fall incidents by 40%",
-            urgency: "immediate",
-            interventions: [
-              "bed_alarm",
-              "hourly_rounding",
-              "mobility_assistance",
-            ],
-          },
-          {
-            condition: "morse_score >= 25 && morse_score < 45",
-            recommendation: "Implement moderate fall prevention measures",
-            evidence: "Level B - Reduces fall risk by 25%",
-            urgency: "high",
-            interventions: ["safety_education", "environmental_modifications"],
-          },
-        ],
-      },
-      medicationSafety: {
-        name: "Medication Safety Guidelines",
-        version: "2024.1",
-        source: "ISMP",
-        recommendations: [
-          {
-            condition: "medication_count >= 5",
-            recommendation: "Conduct comprehensive medication review",
-            evidence: "Level A - Reduces adverse drug events by 30%",
-            urgency: "high",
-            interventions: ["pharmacist_review", "drug_interaction_screening"],
-          },
-          {
-            condition: "high_risk_medications > 0",
-            recommendation: "Enhanced monitoring for high-risk medications",
-            evidence: "Level A - Prevents serious adverse events",
-            urgency: "immediate",
-            interventions: ["frequent_monitoring", "dose_adjustment"],
-          },
-        ],
-      },
-      cognitiveAssessment: {
-        name: "Cognitive Assessment Guidelines",
-        version: "2024.1",
-        source: "Alzheimer's Association",
-        recommendations: [
-          {
-            condition: "mmse_score < 24",
-            recommendation: "Comprehensive cognitive evaluation",
-            evidence: "Level A - Early intervention improves outcomes",
-            urgency: "high",
-            interventions: ["neuropsychological_testing", "family_education"],
-          },
-          {
-            condition: "mmse_score < 18",
-            recommendation: "Immediate cognitive support and safety measures",
-            evidence: "Level A - Prevents safety incidents",
-            urgency: "immediate",
-            interventions: ["safety_supervision", "cognitive_stimulation"],
-          },
-        ],
-      },
-    };
+    // Active guideline rule sets, keyed by guideline key, as last loaded
+    // from the guideline library (see loadGuidelines)
+    this.clinicalGuidelines = {};
 
     // Risk assessment algorithms
     this.riskAlgorithms = {
@@ -826,11 +764,10 @@ export class ClinicalDecisionSupportService {
     try {
       const recommendations = [];
       const alerts = [];
+      const guidelines = await this.loadGuidelines(patientData);
 
       // Process each clinical guideline
-      for (const [guidelineType, guideline] of Object.entries(
-        this.clinicalGuidelines
-      )) {
+      for (const [guidelineType, guideline] of Object.entries(guidelines)) {
         const guidelineRecommendations = await this.processGuideline(
           guideline,
           patientData,
@@ -858,7 +795,7 @@ export class ClinicalDecisionSupportService {
         recommendations: prioritizedRecommendations,
         alerts,
         evidenceLevel: "high",
-        guidelinesApplied: Object.keys(this.clinicalGuidelines),
+        guidelinesApplied: Object.keys(guidelines),
         generatedAt: new Date(),
       };
     } catch (error) {
@@ -879,9 +816,10 @@ export class ClinicalDecisionSupportService {
     try {
       const applicableGuidelines = [];
       const recommendations = [];
+      const guidelines = await this.loadGuidelines(patientData);
 
       // Evaluate each guideline against patient data
-      for (const [type, guideline] of Object.entries(this.clinicalGuidelines)) {
+      for (const [type, guideline] of Object.entries(guidelines)) {
         const evaluation = await this.evaluateGuideline(guideline, patientData);
 
         if (evaluation.applicable) {
@@ -900,7 +838,7 @@ export class ClinicalDecisionSupportService {
 
       // Create integration summary
       const integration = {
-        totalGuidelines: Object.keys(this.clinicalGuidelines).length,
+        totalGuidelines: Object.keys(guidelines).length,
         applicableGuidelines: applicableGuidelines.length,
         totalRecommendations: recommendations.length,
         highPriorityRecommendations: recommendations.filter(
@@ -1324,11 +1262,12 @@ export class ClinicalDecisionSupportService {
       };
 
       // Determine which guidelines to check
+      const guidelines = await this.loadGuidelines(patientData);
       const guidelinesToCheck = guidelineTypes
-        ? Object.entries(this.clinicalGuidelines).filter(([type]) =>
+        ? Object.entries(guidelines).filter(([type]) =>
             guidelineTypes.includes(type)
           )
-        : Object.entries(this.clinicalGuidelines);
+        : Object.entries(guidelines);
 
       for (const [guidelineType, guideline] of guidelinesToCheck) {
         const guidelineResult = await this.evaluateGuideline(
@@ -1584,6 +1523,8 @@ export class ClinicalDecisionSupportService {
             missingInterventions,
             urgency: recommendation.urgency,
             evidence: recommendation.evidence,
+            strength: recommendation.strength,
+            citation: recommendation.citation,
           });
         }
       }
@@ -1667,10 +1608,12 @@ export class ClinicalDecisionSupportService {
           guideline: guideline.name,
           recommendation: rule.recommendation,
           evidence: rule.evidence,
+          strength: rule.strength,
           urgency: rule.urgency,
           interventions: rule.interventions,
           source: guideline.source,
           version: guideline.version,
+          citation: rule.citation,
         });
 
         if (rule.urgency === "immediate") {
@@ -1679,6 +1622,7 @@ export class ClinicalDecisionSupportService {
             message: rule.recommendation,
             urgency: rule.urgency,
             source: guideline.name,
+            citation: rule.citation,
           });
         }
       }
@@ -1688,37 +1632,34 @@ export class ClinicalDecisionSupportService {
   }
 
   async evaluateCondition(condition, patientData) {
-    // Simple condition evaluation (in production, use a more sophisticated parser)
     try {
-      // Replace condition variables with actual data
-      let evaluableCondition = condition;
-
-      // Replace common variables
-      evaluableCondition = evaluableCondition.replace(
-        /morse_score/g,
-        patientData.morseScore || 0
-      );
-      evaluableCondition = evaluableCondition.replace(
-        /medication_count/g,
-        patientData.medicationCount || 0
-      );
-      evaluableCondition = evaluableCondition.replace(
-        /mmse_score/g,
-        patientData.mmseScore || 30
-      );
-      evaluableCondition = evaluableCondition.replace(
-        /high_risk_medications/g,
-        patientData.highRiskMedications || 0
-      );
-
-      // Simple evaluation (in production, use a safe expression evaluator)
-      return eval(evaluableCondition);
+      return evaluateCondition(condition, patientData);
     } catch (error) {
       console.error("Error evaluating condition:", condition, error);
       return false;
     }
   }
 
+  /**
+   * Active guidelines from the guideline library. Guidelines limited to
+   * condition codes are skipped for patients whose known codes don't match;
+   * guidelines without codes, or patients without codes, keep every guideline.
+   */
+  async loadGuidelines(patientData = {}) {
+    const ruleSets = await clinicalGuidelineLibrary.getRuleSets();
+    this.clinicalGuidelines = ruleSets;
+
+    const codes = patientData.conditionCodes || diagnosisCodes(patientData);
+    if (codes.length === 0) return ruleSets;
+    return Object.fromEntries(
+      Object.entries(ruleSets).filter(
+        ([, guideline]) =>
+          guideline.conditionCodes.length === 0 ||
+          matchingCodes(guideline, codes).length > 0
+      )
+    );
+  }
+
   async evaluateGuideline(guideline, patientData) {
     let applicableCount = 0;
     const recommendations = [];
@@ -1733,8 +1674,10 @@ export class ClinicalDecisionSupportService {
         recommendations.push({
           recommendation: rule.recommendation,
           evidence: rule.evidence,
+          strength: rule.strength,
           urgency: rule.urgency,
           interventions: rule.interventions,
+          citation: rule.citation,
         });
       }
     }
@@ -0,0 +1,706 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { fileURLToPath } from "url";
+import ClinicalGuideline from "../../models/nursing/ClinicalGuideline.js";
+import jobScheduler from "../jobSchedulerService.js";
+
+// Versioned clinical guideline library.
+//
+// Guidelines are imported from packages (see data/guidelines/) and stored one
+// document per version. Each version names its source organization,
+// publication date, recommendation strengths and the condition codes it
+// applies to. The newest version in effect is active; older versions, and
+// guidelines listed in another guideline's `replaces`, are superseded on
+// import and by the daily guidelines.retire-superseded job.
+//
+// Markdown package: one guideline per file
+//   ---
+//   key: fall-prevention
+//   version: 2024.1
+//   title: Fall Prevention Guidelines
+//   organization: Joint Commission
+//   published: 2024-01-01
+//   effective: 2024-02-01          (optional, defaults to published)
+//   codes: ICD-10-CM:Z91.81, R26.81 (optional)
+//   replaces: old-key              (optional)
+//   url: / category: / summary:    (optional)
+//   ---
+//   ## 1 Section title
+//   Section text.
+//   - **R1.1** (strong, Level A) Recommendation text.
+//     - when: morse_score >= 45
+//     - urgency: immediate
+//     - interventions: bed_alarm, hourly_rounding
+//
+// JSON package: a guideline object, an array of them or { "guidelines": [...] }
+// with the same fields, sections as { id, title, text, recommendations } and
+// recommendations as { id, text, strength, evidence, urgency, condition, interventions }.
+
+class ClinicalGuidelineError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = "ClinicalGuidelineError";
+    this.code = code;
+    this.statusCode = statusCode;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const STRENGTHS = ["strong", "moderate", "weak", "conditional", "consensus"];
+const URGENCIES = ["immediate", "high", "moderate", "low"];
+const KEY_RE = /^[a-z0-9][a-z0-9._-]*$/;
+const ICD10_RE = /\b[A-TV-Z]\d{2}(?:\.[0-9A-Z]{1,4})?\b/g;
+const PACKAGE_EXTENSIONS = [".md", ".markdown", ".json"];
+const REFRESH_INTERVAL_MS = 60 * 1000;
+const BUNDLED_PACKAGE_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../data/guidelines"
+);
+
+const invalid = (message) => new ClinicalGuidelineError(message, "INVALID_GUIDELINE");
+
+// ===== Rule conditions =====
+
+// Assessment values a recommendation's condition can use, with the value
+// assumed when the assessment is missing
+export const CONDITION_VARIABLES = {
+  morse_score: (patientData) => patientData.morseScore ?? 0,
+  medication_count: (patientData) => patientData.medicationCount ?? 0,
+  mmse_score: (patientData) => patientData.mmseScore ?? 30,
+  high_risk_medications: (patientData) => patientData.highRiskMedications ?? 0,
+};
+
+const COMPARATORS = {
+  ">=": (a, b) => a >= b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  "<": (a, b) => a < b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+const TOKEN_RE = /\s*(\d+(?:\.\d+)?|[A-Za-z_]\w*|>=|<=|==|!=|&&|\|\||[<>()!])/y;
+const parsedConditions = new Map();
+
+/**
+ * Parse a condition such as "morse_score >= 25 && morse_score < 45" into a
+ * tree. Only numbers, CONDITION_VARIABLES, comparisons, &&, ||, ! and
+ * parentheses are allowed, so imported packages cannot run code.
+ */
+export function parseCondition(source) {
+  const text = String(source || "").trim();
+  if (parsedConditions.has(text)) return parsedConditions.get(text);
+  const fail = (message) => invalid(`Condition "${text}": ${message}`);
+
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < text.length) {
+    const at = TOKEN_RE.lastIndex;
+    const match = TOKEN_RE.exec(text);
+    if (!match) throw fail(`unexpected "${text.slice(at).trim()}"`);
+    tokens.push(match[1]);
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const operand = () => {
+    const token = next();
+    if (token === "!") return { op: "!", operand: operand() };
+    if (token === "(") {
+      const node = or();
+      if (next() !== ")") throw fail('expected ")"');
+      return node;
+    }
+    if (/^\d/.test(token || "")) return { value: Number(token) };
+    if (token && CONDITION_VARIABLES[token]) return { variable: token };
+    throw fail(token === undefined ? "unexpected end" : `unknown term "${token}"`);
+  };
+  const comparison = () => {
+    const left = operand();
+    return COMPARATORS[peek()] ? { op: next(), left, right: operand() } : left;
+  };
+  const and = () => {
+    let node = comparison();
+    while (peek() === "&&") node = { op: next(), left: node, right: comparison() };
+    return node;
+  };
+  const or = () => {
+    let node = and();
+    while (peek() === "||") node = { op: next(), left: node, right: and() };
+    return node;
+  };
+
+  const tree = or();
+  if (position < tokens.length) throw fail(`unexpected "${tokens[position]}"`);
+  parsedConditions.set(text, tree);
+  return tree;
+}
+
+function evaluateNode(node, values) {
+  if ("value" in node) return node.value;
+  if ("variable" in node) return values[node.variable];
+  if (node.op === "!") return !evaluateNode(node.operand, values);
+  if (node.op === "&&") return evaluateNode(node.left, values) && evaluateNode(node.right, values);
+  if (node.op === "||") return evaluateNode(node.left, values) || evaluateNode(node.right, values);
+  return COMPARATORS[node.op](evaluateNode(node.left, values), evaluateNode(node.right, values));
+}
+
+export function evaluateCondition(condition, patientData = {}) {
+  const values = Object.fromEntries(
+    Object.entries(CONDITION_VARIABLES).map(([name, resolve]) => [name, resolve(patientData)])
+  );
+  return Boolean(evaluateNode(parseCondition(condition), values));
+}
+
+// ===== Condition codes =====
+
+const normalizeCode = (code) => String(code).toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+function parseCode(entry) {
+  if (entry && typeof entry === "object") {
+    return { system: entry.system || "ICD-10-CM", code: String(entry.code || "").trim(), display: entry.display };
+  }
+  const text = String(entry).trim();
+  const separator = text.lastIndexOf(":");
+  return separator > 0
+    ? { system: text.slice(0, separator).trim(), code: text.slice(separator + 1).trim() }
+    : { system: "ICD-10-CM", code: text };
+}
+
+// ICD-10 codes written in a patient's diagnoses
+export function diagnosisCodes(patient = {}) {
+  const text = [
+    patient.primaryDiagnosis,
+    ...(patient.secondaryDiagnoses || []),
+    ...(patient.conditions || []).flatMap((condition) => [condition.name, condition.code]),
+  ]
+    .filter(Boolean)
+    .join(" ")
+    .toUpperCase();
+  return [...new Set(text.match(ICD10_RE) || [])];
+}
+
+// Codes of the guideline that match any of the patient's codes
+export function matchingCodes(guideline, codes = []) {
+  const patientCodes = codes.map(normalizeCode);
+  return (guideline.conditionCodes || []).filter((conditionCode) =>
+    patientCodes.some((code) => code.startsWith(normalizeCode(conditionCode.code)))
+  );
+}
+
+// ===== Packages =====
+
+const splitList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((item) => (typeof item === "string" ? item.trim() : item))
+    .filter(Boolean);
+
+export function parseGuidelineMarkdown(raw) {
+  const match = /^﻿?---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(raw);
+  if (!match) throw invalid("Markdown guideline must start with a --- front matter block");
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+    const field = /^([A-Za-z][\w-]*):\s*(.*)$/.exec(line);
+    if (!field) throw invalid(`Unreadable front matter line "${line}"`);
+    meta[field[1]] = field[2].trim();
+  }
+
+  const sections = [];
+  const intro = [];
+  let section = null;
+  let recommendation = null;
+  for (const line of match[2].split(/\r?\n/)) {
+    const heading = /^##\s+(\S+)\s+(.+?)\s*$/.exec(line);
+    const item = /^[-*]\s+\*\*([^*]+)\*\*\s*(?:\(([^)]*)\))?\s*(.*)$/.exec(line);
+    const attribute = /^\s+[-*]\s+(when|urgency|interventions):\s*(.+)$/i.exec(line);
+
+    if (heading) {
+      section = { id: heading[1], title: heading[2], text: [], recommendations: [] };
+      sections.push(section);
+      recommendation = null;
+    } else if (/^#\s/.test(line)) {
+      continue;
+    } else if (item && section) {
+      const [strength, ...evidence] = (item[2] || "").split(",").map((part) => part.trim());
+      recommendation = {
+        id: item[1].trim(),
+        text: item[3].trim(),
+        strength: strength ? strength.toLowerCase() : undefined,
+        evidence: evidence.join(", ") || undefined,
+      };
+      section.recommendations.push(recommendation);
+    } else if (attribute && recommendation) {
+      const name = attribute[1].toLowerCase();
+      if (name === "when") recommendation.condition = attribute[2].trim();
+      if (name === "urgency") recommendation.urgency = attribute[2].trim().toLowerCase();
+      if (name === "interventions") recommendation.interventions = splitList(attribute[2]);
+    } else if (recommendation && /^\s+\S/.test(line)) {
+      recommendation.text = `${recommendation.text} ${line.trim()}`.trim();
+    } else {
+      recommendation = null;
+      (section ? section.text : intro).push(line);
+    }
+  }
+
+  return {
+    key: meta.key,
+    version: meta.version,
+    title: meta.title,
+    organization: meta.organization,
+    publicationDate: meta.published,
+    effectiveDate: meta.effective,
+    url: meta.url,
+    category: meta.category,
+    summary: meta.summary || intro.join("\n").trim() || undefined,
+    conditionCodes: splitList(meta.codes),
+    replaces: splitList(meta.replaces),
+    sections: sections.map((entry) => ({ ...entry, text: entry.text.join("\n").trim() })),
+  };
+}
+
+/**
+ * Validate a parsed guideline and convert it to the stored shape. Throws on
+ * the first problem so a bad package never becomes a half-imported one.
+ */
+export function normalizeGuideline(data, where = "guideline") {
+  const fail = (message) => {
+    throw invalid(`${where}: ${message}`);
+  };
+  if (!data || typeof data !== "object") fail("must be an object");
+  for (const field of ["key", "version", "title", "organization"]) {
+    if (!data[field] || typeof data[field] !== "string") fail(`${field} is required`);
+  }
+  if (!KEY_RE.test(data.key)) fail(`key "${data.key}" must be lowercase letters, digits, ".", "_" or "-"`);
+
+  const publicationDate = new Date(data.publicationDate);
+  if (!data.publicationDate || Number.isNaN(publicationDate.getTime())) {
+    fail("publication date is required (published: YYYY-MM-DD)");
+  }
+  const effectiveDate = data.effectiveDate ? new Date(data.effectiveDate) : publicationDate;
+  if (Number.isNaN(effectiveDate.getTime())) fail("effective date is not a date");
+  if (!Array.isArray(data.sections) || data.sections.length === 0) fail("must have at least one section");
+
+  const sectionIds = new Set();
+  const recommendationIds = new Set();
+  const sections = data.sections.map((section) => {
+    const sectionId = String(section.id ?? section.sectionId ?? "").trim();
+    if (!sectionId || !section.title) fail("sections need an id and a title");
+    if (sectionIds.has(sectionId)) fail(`duplicate section ${sectionId}`);
+    sectionIds.add(sectionId);
+
+    return {
+      sectionId,
+      title: String(section.title).trim(),
+      text: section.text || undefined,
+      recommendations: (section.recommendations || []).map((recommendation) => {
+        const recommendationId = String(recommendation.id ?? recommendation.recommendationId ?? "").trim();
+        const label = `recommendation ${recommendationId || "?"} in section ${sectionId}`;
+        if (!recommendationId || !recommendation.text) fail(`${label} needs an id and text`);
+        if (recommendationIds.has(recommendationId)) fail(`duplicate recommendation ${recommendationId}`);
+        recommendationIds.add(recommendationId);
+        if (!STRENGTHS.includes(recommendation.strength)) {
+          fail(`${label}: strength must be one of ${STRENGTHS.join(", ")}`);
+        }
+        if (recommendation.urgency && !URGENCIES.includes(recommendation.urgency)) {
+          fail(`${label}: urgency must be one of ${URGENCIES.join(", ")}`);
+        }
+        if (recommendation.condition) parseCondition(recommendation.condition);
+
+        return {
+          recommendationId,
+          text: String(recommendation.text).trim(),
+          strength: recommendation.strength,
+          evidence: recommendation.evidence || undefined,
+          urgency: recommendation.urgency || "moderate",
+          condition: recommendation.condition || undefined,
+          interventions: splitList(recommendation.interventions),
+        };
+      }),
+    };
+  });
+
+  const conditionCodes = splitList(data.conditionCodes).map(parseCode);
+  if (conditionCodes.some((code) => !code.code)) fail("condition codes cannot be empty");
+
+  const guideline = {
+    key: data.key,
+    version: data.version,
+    title: data.title.trim(),
+    organization: data.organization.trim(),
+    publicationDate,
+    effectiveDate,
+    url: data.url || undefined,
+    summary: data.summary || undefined,
+    category: data.category || undefined,
+    conditionCodes,
+    replaces: splitList(data.replaces),
+    sections,
+  };
+  guideline.checksum = crypto.createHash("sha256").update(JSON.stringify(guideline)).digest("hex");
+  return guideline;
+}
+
+/**
+ * Guidelines in a package file's contents.
+ * @param {string} raw - file contents
+ * @param {string} fileName - used for the format (.md/.markdown/.json) and errors
+ */
+export function parseGuidelinePackage(raw, fileName) {
+  const extension = path.extname(fileName).toLowerCase();
+  if (extension === ".md" || extension === ".markdown") {
+    return [normalizeGuideline(parseGuidelineMarkdown(raw), fileName)];
+  }
+  if (extension !== ".json") {
+    throw invalid(`${fileName}: packages must be Markdown (.md) or JSON (.json)`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    throw invalid(`${fileName} is not valid JSON: ${error.message}`);
+  }
+  const entries = Array.isArray(data) ? data : Array.isArray(data?.guidelines) ? data.guidelines : [data];
+  return entries.map((entry, index) =>
+    normalizeGuideline(entry, entries.length > 1 ? `${fileName} guideline ${index + 1}` : fileName)
+  );
+}
+
+// ===== Library =====
+
+// Where a recommendation came from, for display next to it
+export function citationFor(guideline, section, recommendation) {
+  const published = guideline.publicationDate ? new Date(guideline.publicationDate).toISOString().slice(0, 10) : null;
+  return {
+    guidelineId: guideline._id ? String(guideline._id) : null,
+    key: guideline.key,
+    title: guideline.title,
+    organization: guideline.organization,
+    version: guideline.version,
+    publicationDate: published,
+    sectionId: section.sectionId,
+    sectionTitle: section.title,
+    recommendationId: recommendation?.recommendationId || null,
+    url: guideline.url || null,
+    reference: `${guideline.organization}. ${guideline.title}, version ${guideline.version}${published ? ` (${published})` : ""}, section ${section.sectionId} ${section.title}${recommendation ? `, ${recommendation.recommendationId}` : ""}`,
+  };
+}
+
+class ClinicalGuidelineLibrary {
+  constructor() {
+    this.active = null;
+    this.lastChecked = 0;
+    this.loading = null;
+    this.bundled = null;
+  }
+
+  // The starter package, parsed from disk, for use before anything is
+  // imported or without a database
+  async getBundled() {
+    if (!this.bundled) {
+      this.bundled = this.readPackages(BUNDLED_PACKAGE_DIR)
+        .then((packages) => packages.flatMap((entry) => entry.guidelines))
+        .catch((error) => {
+          console.error("❌ Could not read bundled clinical guidelines:", error.message);
+          return [];
+        });
+    }
+    return this.bundled;
+  }
+
+  /**
+   * Active guideline versions, re-read from the database at most once a
+   * minute. Falls back to the bundled package when none are stored.
+   */
+  async getActive() {
+    if (this.active && Date.now() - this.lastChecked < REFRESH_INTERVAL_MS) {
+      return this.active;
+    }
+    if (!this.loading) {
+      this.loading = (async () => {
+        let active = [];
+        if (mongoose.connection.readyState === 1) {
+          try {
+            active = await ClinicalGuideline.find({ status: "active" }).sort({ key: 1 }).lean();
+          } catch (error) {
+            console.error("❌ Could not load clinical guidelines:", error.message);
+          }
+        }
+        this.active = active.length ? active : await this.getBundled();
+        this.lastChecked = Date.now();
+        return this.active;
+      })().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Active guidelines, optionally limited to those matching condition codes
+   * (guidelines without codes apply to every patient) or a text query.
+   */
+  async findGuidelines({ codes = [], query, category } = {}) {
+    const search = query ? String(query).toLowerCase() : null;
+    return (await this.getActive())
+      .map((guideline) => ({ guideline, matched: matchingCodes(guideline, codes) }))
+      .filter(({ guideline, matched }) => {
+        if (codes.length && guideline.conditionCodes.length && matched.length === 0) return false;
+        if (category && guideline.category !== category) return false;
+        if (search) {
+          const haystack = [guideline.title, guideline.summary, guideline.organization, ...guideline.sections.map((section) => section.title)]
+            .join(" ")
+            .toLowerCase();
+          if (!haystack.includes(search)) return false;
+        }
+        return true;
+      });
+  }
+
+  async readPackages(target) {
+    const stat = await fs.stat(target);
+    const files = stat.isDirectory()
+      ? (await fs.readdir(target))
+          .filter((name) => PACKAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+          .sort()
+          .map((name) => path.join(target, name))
+      : [target];
+    return Promise.all(
+      files.map(async (file) => ({
+        file,
+        guidelines: parseGuidelinePackage(await fs.readFile(file, "utf8"), path.basename(file)),
+      }))
+    );
+  }
+
+  /**
+   * Import validated guidelines. Re-importing an identical version is a
+   * no-op; a different guideline under an existing key and version is refused.
+   * @param {Array} guidelines - from parseGuidelinePackage()
+   * @param {Object} options - { packageName, importedBy }
+   */
+  async importGuidelines(guidelines, { packageName, importedBy } = {}) {
+    const seen = new Set();
+    for (const guideline of guidelines) {
+      const id = `${guideline.key}@${guideline.version}`;
+      if (seen.has(id)) throw invalid(`${id} appears twice in the package`);
+      seen.add(id);
+      const existing = await ClinicalGuideline.findOne({ key: guideline.key, version: guideline.version })
+        .select("checksum")
+        .lean();
+      if (existing && existing.checksum !== guideline.checksum) {
+        throw new ClinicalGuidelineError(
+          `${guideline.key} version ${guideline.version} already exists with different content; publish it as a new version`,
+          "DUPLICATE_VERSION",
+          409
+        );
+      }
+    }
+
+    const results = [];
+    for (const guideline of guidelines) {
+      const existing = await ClinicalGuideline.exists({ key: guideline.key, version: guideline.version });
+      if (!existing) {
+        await ClinicalGuideline.create({ ...guideline, package: packageName, importedBy, status: "pending" });
+      }
+      results.push({ key: guideline.key, version: guideline.version, imported: !existing });
+    }
+
+    await this.retireSuperseded();
+
+    const statuses = await ClinicalGuideline.find({
+      $or: results.map(({ key, version }) => ({ key, version })),
+    })
+      .select("key version status")
+      .lean();
+    return results.map((result) => ({
+      ...result,
+      status: statuses.find((entry) => entry.key === result.key && entry.version === result.version)?.status,
+    }));
+  }
+
+  async importPackage(raw, fileName, options = {}) {
+    return this.importGuidelines(parseGuidelinePackage(raw, fileName), {
+      packageName: fileName,
+      ...options,
+    });
+  }
+
+  // Import a package file or every package file in a directory
+  async importPath(target, options = {}) {
+    const packages = await this.readPackages(target);
+    const results = [];
+    for (const { file, guidelines } of packages) {
+      results.push(...(await this.importGuidelines(guidelines, { packageName: path.basename(file), ...options })));
+    }
+    return results;
+  }
+
+  /**
+   * Activate the newest version in effect for each key and supersede the
+   * versions it replaces, including guidelines named in `replaces`.
+   * @returns {Promise<{activated: number, superseded: number}>}
+   */
+  async retireSuperseded(now = new Date()) {
+    const current = await ClinicalGuideline.find({ status: { $in: ["pending", "active"] } })
+      .select("key version status effectiveDate publicationDate replaces")
+      .lean();
+
+    const newest = new Map();
+    for (const guideline of current) {
+      if (guideline.effectiveDate > now) continue;
+      const best = newest.get(guideline.key);
+      if (
+        !best ||
+        guideline.effectiveDate > best.effectiveDate ||
+        (guideline.effectiveDate.getTime() === best.effectiveDate.getTime() &&
+          guideline.publicationDate > best.publicationDate)
+      ) {
+        newest.set(guideline.key, guideline);
+      }
+    }
+
+    // key -> guideline that takes over from it
+    const successors = new Map(newest);
+    for (const guideline of newest.values()) {
+      for (const key of guideline.replaces || []) {
+        if (key !== guideline.key) successors.set(key, guideline);
+      }
+    }
+
+    let activated = 0;
+    let superseded = 0;
+    for (const guideline of current) {
+      const successor = successors.get(guideline.key);
+      if (!successor || guideline.effectiveDate > now) continue;
+
+      if (successor._id.equals(guideline._id)) {
+        if (guideline.status !== "active") {
+          await ClinicalGuideline.updateOne({ _id: guideline._id }, { $set: { status: "active" } });
+          activated++;
+        }
+      } else {
+        await ClinicalGuideline.updateOne(
+          { _id: guideline._id },
+          {
+            $set: {
+              status: "superseded",
+              supersededBy: successor._id,
+              retiredAt: now,
+              retiredReason: `Superseded by ${successor.key} version ${successor.version}`,
+            },
+          }
+        );
+        superseded++;
+      }
+    }
+
+    if (activated || superseded) {
+      console.log(`📚 Clinical guidelines: ${activated} version(s) activated, ${superseded} superseded`);
+      this.lastChecked = 0;
+    }
+    return { activated, superseded };
+  }
+
+  // Withdraw a guideline version without a replacement
+  async retire(guidelineId, { reason, retiredBy } = {}) {
+    const guideline = await ClinicalGuideline.findOneAndUpdate(
+      { _id: guidelineId, status: { $ne: "retired" } },
+      {
+        $set: {
+          status: "retired",
+          retiredAt: new Date(),
+          retiredReason: reason || `Retired by ${retiredBy || "an administrator"}`,
+        },
+      },
+      { new: true }
+    ).lean();
+    if (!guideline) {
+      throw new ClinicalGuidelineError("Guideline not found or already retired", "GUIDELINE_NOT_FOUND", 404);
+    }
+    this.lastChecked = 0;
+    return guideline;
+  }
+
+  async list({ status, key, code } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (key) filter.key = key;
+    if (code) filter["conditionCodes.code"] = code;
+    return ClinicalGuideline.find(filter).select("-sections").sort({ key: 1, effectiveDate: -1 }).lean();
+  }
+
+  async get(guidelineId) {
+    const guideline = mongoose.Types.ObjectId.isValid(String(guidelineId))
+      ? await ClinicalGuideline.findById(guidelineId).lean()
+      : null;
+    if (!guideline) {
+      throw new ClinicalGuidelineError("Guideline not found", "GUIDELINE_NOT_FOUND", 404);
+    }
+    return guideline;
+  }
+
+  async versions(key) {
+    return ClinicalGuideline.find({ key }).select("-sections").sort({ effectiveDate: -1 }).lean();
+  }
+
+  /**
+   * Active guidelines as rule sets for ClinicalDecisionSupportService, keyed
+   * by guideline key. Each rule carries the citation of its section.
+   */
+  async getRuleSets() {
+    const ruleSets = {};
+    for (const guideline of await this.getActive()) {
+      const recommendations = guideline.sections.flatMap((section) =>
+        section.recommendations
+          .filter((recommendation) => recommendation.condition)
+          .map((recommendation) => ({
+            condition: recommendation.condition,
+            recommendation: recommendation.text,
+            evidence: recommendation.evidence,
+            strength: recommendation.strength,
+            urgency: recommendation.urgency,
+            interventions: recommendation.interventions,
+            citation: citationFor(guideline, section, recommendation),
+          }))
+      );
+      if (recommendations.length === 0) continue;
+      ruleSets[guideline.key] = {
+        name: guideline.title,
+        version: guideline.version,
+        source: guideline.organization,
+        publicationDate: guideline.publicationDate,
+        conditionCodes: guideline.conditionCodes,
+        recommendations,
+      };
+    }
+    return ruleSets;
+  }
+
+  // Import the bundled package (unchanged versions are skipped) and keep
+  // supersession current as effective dates arrive
+  startBackgroundJobs() {
+    this.importPath(BUNDLED_PACKAGE_DIR, { importedBy: "system" })
+      .then((results) => {
+        const imported = results.filter((result) => result.imported).length;
+        if (imported) console.log(`📚 Imported ${imported} bundled clinical guideline(s)`);
+      })
+      .catch((error) => console.error("❌ Could not import bundled clinical guidelines:", error.message));
+
+    jobScheduler
+      .schedule("guidelines.retire-superseded", { cron: "0 1 * * *" })
+      .catch((error) => console.error("❌ Could not schedule guideline retirement:", error.message));
+  }
+}
+
+const clinicalGuidelineLibrary = new ClinicalGuidelineLibrary();
+
+jobScheduler.define("guidelines.retire-superseded", () => clinicalGuidelineLibrary.retireSuperseded());
+
+export { ClinicalGuidelineError };
+export default clinicalGuidelineLibrary;
@@ -0,0 +1,508 @@
+import { v4 as uuidv4 } from "uuid";
+import realVoiceTranscriptionService from "../realVoiceTranscriptionService.js";
+import voiceTranscriptionHistoryService from "../../nursing/services/voiceTranscriptionHistoryService.js";
+import organizationService from "../organizationService.js";
+import soapService from "./SOAPService.js";
+import { SOAP_SECTIONS } from "./SOAPSignatureChain.js";
+
+export class DictationError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = "DictationError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Splits text into complete sentences and the unfinished remainder
+const splitSentences = (text) => {
+  const sentences = [];
+  const pattern = /[^.!?]*[.!?]+/g;
+  let match;
+  let end = 0;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].trim()) sentences.push(match[0].trim());
+    end = pattern.lastIndex;
+  }
+  return { sentences, rest: text.slice(end) };
+};
+
+const words = (text) => text.trim().split(/\s+/).filter(Boolean);
+
+/**
+ * Recognizers turn a stream of audio chunks into text. A recognizer factory
+ * receives the session options ({ language, mimeType }) and returns an
+ * object with:
+ *
+ *   accept(chunk: Buffer) -> Promise<{ partial?: string, final?: string[] }>
+ *   finish()              -> Promise<{ final?: string[], confidence?, language?, duration? }>
+ *   abort()               -> void (optional)
+ *
+ * `partial` is the current unconfirmed hypothesis; `final` holds text that
+ * will not change again. Register replacements with
+ * dictationService.registerRecognizer().
+ */
+
+// Azure Whisper has no streaming endpoint, and container formats such as
+// WebM only decode from the first chunk, so each pass re-sends the whole
+// recording. To keep upload size linear in the recording length, a pass
+// runs only after `intervalMs` and once the recording has grown by
+// `growthFactor` since the previous pass, so passes thin out as dictation
+// goes on (DictationService also caps the recording at maxDurationMs).
+// Sentences that two consecutive transcriptions agree on are committed as
+// final.
+export const createWhisperRecognizer = (options = {}) => {
+  const intervalMs = options.intervalMs ?? 4000;
+  const growthFactor = options.growthFactor ?? 1.5;
+  const chunks = [];
+  let size = 0;
+  let transcribedSize = 0;
+  let lastRun = 0;
+  let previous = "";
+  let committedWords = 0;
+
+  const mimeType = options.mimeType || "audio/webm";
+  const extension = mimeType.split("/")[1]?.split(";")[0] || "webm";
+
+  const transcribe = async () => {
+    const result = await realVoiceTranscriptionService.transcribeAudio(
+      Buffer.concat(chunks, size),
+      {
+        mimeType,
+        filename: `dictation.${extension}`,
+        language: options.language,
+        prompt: "Clinical nursing documentation",
+      }
+    );
+    if (!result.success) {
+      throw new DictationError(
+        `Transcription failed: ${result.error}`,
+        "TRANSCRIPTION_FAILED",
+        502
+      );
+    }
+    transcribedSize = size;
+    lastRun = Date.now();
+    return result;
+  };
+
+  // Words after the committed ones, as whole sentences both runs agree on
+  const commitStable = (current) => {
+    const prev = words(previous);
+    const cur = words(current);
+    let agreed = 0;
+    while (
+      agreed < prev.length &&
+      agreed < cur.length &&
+      prev[agreed] === cur[agreed]
+    ) {
+      agreed++;
+    }
+    if (agreed <= committedWords) return [];
+    const { sentences } = splitSentences(
+      cur.slice(committedWords, agreed).join(" ")
+    );
+    const count = sentences.reduce(
+      (sum, sentence) => sum + words(sentence).length,
+      0
+    );
+    committedWords += count;
+    return sentences;
+  };
+
+  return {
+    async accept(chunk) {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (
+        Date.now() - lastRun < intervalMs ||
+        size < transcribedSize * growthFactor ||
+        size === transcribedSize
+      ) {
+        return {};
+      }
+      const { text } = await transcribe();
+      const final = commitStable(text);
+      previous = text;
+      return { partial: words(text).slice(committedWords).join(" "), final };
+    },
+
+    async finish() {
+      if (size === 0) return { final: [] };
+      const result = await transcribe();
+      const rest = words(result.text).slice(committedWords).join(" ");
+      return {
+        final: rest ? [rest] : [],
+        confidence: result.confidence,
+        language: result.language,
+        duration: result.duration,
+      };
+    },
+  };
+};
+
+// Stand-in for offline testing and text-only clients: each chunk is UTF-8
+// text as if it had been spoken. Complete sentences are final, the rest is
+// the partial hypothesis.
+export const createLocalTextRecognizer = () => {
+  let pending = "";
+
+  return {
+    async accept(chunk) {
+      pending += (pending ? " " : "") + chunk.toString("utf8").trim();
+      const { sentences, rest } = splitSentences(pending);
+      pending = rest.trim();
+      return { partial: pending, final: sentences };
+    },
+
+    async finish() {
+      const rest = pending.trim();
+      pending = "";
+      return { final: rest ? [rest] : [], confidence: 1 };
+    },
+  };
+};
+
+class DictationService {
+  constructor() {
+    this.recognizers = new Map();
+    this.sessions = new Map();
+    this.config = {
+      defaultRecognizer: process.env.DICTATION_RECOGNIZER || "whisper",
+      maxAudioBytes: 25 * 1024 * 1024, // Whisper upload limit
+      maxDurationMs:
+        parseInt(process.env.DICTATION_MAX_DURATION_MS, 10) || 10 * 60 * 1000,
+      maxSessionsPerUser: 2,
+      idleTimeoutMs: 2 * 60 * 1000,
+    };
+
+    this.registerRecognizer("whisper", createWhisperRecognizer);
+    this.registerRecognizer("local", createLocalTextRecognizer);
+  }
+
+  registerRecognizer(name, factory) {
+    if (typeof factory !== "function") {
+      throw new TypeError(`Recognizer ${name} must be a factory function`);
+    }
+    this.recognizers.set(name, factory);
+  }
+
+  listRecognizers() {
+    return [...this.recognizers.keys()];
+  }
+
+  /**
+   * Opens a dictation session. `emit(event)` receives partial, final,
+   * soap_update and error events for the client.
+   */
+  async startSession(userId, options = {}, emit = () => {}) {
+    const recognizerName = options.recognizer || this.config.defaultRecognizer;
+    const factory = this.recognizers.get(recognizerName);
+    if (!factory) {
+      throw new DictationError(
+        `Unknown recognizer: ${recognizerName}`,
+        "UNKNOWN_RECOGNIZER"
+      );
+    }
+
+    const open = [...this.sessions.values()].filter(
+      (session) => session.userId === String(userId)
+    );
+    if (open.length >= this.config.maxSessionsPerUser) {
+      throw new DictationError(
+        "Too many open dictation sessions",
+        "TOO_MANY_SESSIONS",
+        429
+      );
+    }
+
+    if (options.patientId) {
+      await organizationService.assertPatientAccess(options.patientId, userId);
+    }
+
+    const language = options.language || "en";
+    const session = {
+      id: uuidv4(),
+      userId: String(userId),
+      patientId: options.patientId ? String(options.patientId) : null,
+      organizationId: await organizationService.organizationIdFor(userId),
+      recognizerName,
+      recognizer: factory({ language, mimeType: options.mimeType }),
+      language,
+      mimeType: options.mimeType || "audio/webm",
+      emit,
+      startedAt: Date.now(),
+      audioBytes: 0,
+      chunks: 0,
+      segments: [],
+      partial: "",
+      soap: {
+        subjective: {},
+        objective: {},
+        assessment: {},
+        plan: {},
+      },
+      processingMethod: null,
+      structuringConfidence: null,
+      recognition: Promise.resolve(),
+      structuring: Promise.resolve(),
+      failed: null,
+      idleTimer: null,
+    };
+
+    this.sessions.set(session.id, session);
+    this.touch(session);
+    console.log(
+      `🎙️ Dictation session ${session.id} started (${recognizerName}) for user ${session.userId}`
+    );
+
+    return this.describe(session);
+  }
+
+  // Queues an audio chunk; recognition runs in arrival order
+  pushAudio(sessionId, userId, chunk) {
+    const session = this.getSession(sessionId, userId);
+
+    // Past the duration cap audio is refused but the session is kept, so
+    // the client can still stop and save what was dictated
+    if (Date.now() - session.startedAt > this.config.maxDurationMs) {
+      throw new DictationError(
+        "Dictation exceeds the maximum duration; stop to save it",
+        "DICTATION_TOO_LONG",
+        413
+      );
+    }
+
+    session.audioBytes += chunk.length;
+    session.chunks++;
+    if (session.audioBytes > this.config.maxAudioBytes) {
+      this.cancelSession(sessionId, userId);
+      throw new DictationError(
+        "Dictation exceeds the maximum recording size",
+        "AUDIO_TOO_LARGE",
+        413
+      );
+    }
+
+    this.touch(session);
+    session.recognition = session.recognition.then(async () => {
+      if (session.failed) return;
+      try {
+        this.handleRecognition(session, await session.recognizer.accept(chunk));
+      } catch (error) {
+        this.fail(session, error);
+      }
+    });
+    return session.recognition;
+  }
+
+  /**
+   * Flushes the recognizer, waits for structuring to catch up and saves the
+   * transcript to voice transcription history.
+   */
+  async finishSession(sessionId, userId) {
+    const session = this.getSession(sessionId, userId);
+    clearTimeout(session.idleTimer);
+
+    try {
+      await session.recognition;
+      if (session.failed) throw session.failed;
+
+      const result = await session.recognizer.finish();
+      this.handleRecognition(session, { final: result.final, partial: "" });
+      await session.structuring;
+
+      const transcript = session.segments.map((s) => s.text).join(" ").trim();
+      if (!transcript) {
+        throw new DictationError(
+          "Nothing was transcribed",
+          "EMPTY_TRANSCRIPT",
+          422
+        );
+      }
+
+      const originalText = session.segments
+        .map((s) => s.originalText ?? s.text)
+        .join(" ")
+        .trim();
+      const corrections = session.segments.flatMap((s) => s.corrections || []);
+
+      const processingTime = Date.now() - session.startedAt;
+      const saved = await voiceTranscriptionHistoryService.saveTranscription(
+        {
+          sessionId: session.id,
+          audioFileName: `dictation-${session.id}`,
+          audioSize: session.audioBytes,
+          audioDuration: result.duration ?? processingTime / 1000,
+          transcriptionText: transcript,
+          originalText,
+          corrections,
+          structuredDocumentation: {
+            ...session.soap,
+            processingMethod: session.processingMethod,
+            confidence: session.structuringConfidence,
+          },
+          processingTime,
+          confidence: result.confidence,
+          language: result.language || session.language,
+          tags: ["dictation", session.recognizerName],
+        },
+        session.userId,
+        session.patientId
+      );
+      if (!saved.success) {
+        console.error(
+          `❌ Dictation session ${session.id} not saved to history:`,
+          saved.error
+        );
+      }
+
+      return {
+        ...this.describe(session),
+        transcript,
+        originalText,
+        corrections,
+        segments: session.segments,
+        soap: session.soap,
+        confidence: result.confidence ?? null,
+        historyId: saved.success ? saved.data._id : null,
+        saveError: saved.success ? undefined : saved.error,
+      };
+    } finally {
+      this.sessions.delete(session.id);
+    }
+  }
+
+  cancelSession(sessionId, userId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.userId !== String(userId)) return false;
+
+    clearTimeout(session.idleTimer);
+    session.failed =
+      session.failed || new DictationError("Session cancelled", "CANCELLED");
+    session.recognizer.abort?.();
+    this.sessions.delete(sessionId);
+    console.log(`🎙️ Dictation session ${sessionId} cancelled`);
+    return true;
+  }
+
+  getSession(sessionId, userId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.userId !== String(userId)) {
+      throw new DictationError(
+        "Dictation session not found",
+        "SESSION_NOT_FOUND",
+        404
+      );
+    }
+    return session;
+  }
+
+  describe(session) {
+    return {
+      sessionId: session.id,
+      patientId: session.patientId,
+      recognizer: session.recognizerName,
+      language: session.language,
+      audioBytes: session.audioBytes,
+      chunks: session.chunks,
+      startedAt: new Date(session.startedAt),
+    };
+  }
+
+  handleRecognition(session, { partial, final = [] } = {}) {
+    for (const text of final) {
+      if (!text?.trim()) continue;
+      const sequence = session.segments.length + 1;
+      session.segments.push({ sequence, text: text.trim(), at: new Date() });
+      session.structuring = session.structuring.then(() =>
+        this.structureSegment(session, sequence)
+      );
+    }
+
+    if (final.length > 0) {
+      session.emit({
+        type: "final",
+        sessionId: session.id,
+        segments: session.segments.slice(-final.length),
+      });
+    }
+    if (partial !== undefined && partial !== session.partial) {
+      session.partial = partial;
+      session.emit({ type: "partial", sessionId: session.id, text: partial });
+    }
+  }
+
+  // Corrects one final segment's terminology and folds it into the SOAP
+  // sections built so far
+  async structureSegment(session, sequence) {
+    const segment = session.segments[sequence - 1];
+    try {
+      const corrected = await soapService.applyAdvancedMedicalCorrections(
+        { text: segment.text },
+        { organizationId: session.organizationId }
+      );
+      segment.originalText = segment.text;
+      segment.text = corrected.text;
+      segment.corrections = corrected.corrections;
+
+      const entities = await soapService.extractMedicalEntities(
+        corrected.text,
+        { organizationId: session.organizationId }
+      );
+      const structured = await soapService.structureVoiceInputAdvanced(
+        corrected.text,
+        session.soap,
+        entities
+      );
+
+      for (const section of SOAP_SECTIONS) {
+        if (structured[section]) session.soap[section] = structured[section];
+      }
+      session.processingMethod = structured.processingMethod;
+      session.structuringConfidence = structured.confidence ?? null;
+
+      if (this.sessions.has(session.id)) {
+        session.emit({
+          type: "soap_update",
+          sessionId: session.id,
+          sequence,
+          text: segment.text,
+          corrections: segment.corrections,
+          soap: session.soap,
+          processingMethod: structured.processingMethod,
+        });
+      }
+    } catch (error) {
+      // The transcript is still saved; only this segment stays unstructured
+      console.error(`Dictation structuring failed (${session.id}):`, error);
+    }
+  }
+
+  fail(session, error) {
+    session.failed = error;
+    session.emit({
+      type: "error",
+      sessionId: session.id,
+      code: error.code || "RECOGNITION_FAILED",
+      message: error.message,
+    });
+    this.cancelSession(session.id, session.userId);
+  }
+
+  touch(session) {
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(() => {
+      session.emit({
+        type: "error",
+        sessionId: session.id,
+        code: "SESSION_TIMEOUT",
+        message: "Dictation session closed after inactivity",
+      });
+      this.cancelSession(session.id, session.userId);
+    }, this.config.idleTimeoutMs);
+    session.idleTimer.unref?.();
+  }
+}
+
+export default new DictationService();
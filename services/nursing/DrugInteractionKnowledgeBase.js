@@ -0,0 +1,439 @@
+import fs from "fs/promises";
+import crypto from "crypto";
+import DrugInteractionDataset from "../../models/nursing/DrugInteractionDataset.js";
+import DrugInteraction from "../../models/nursing/DrugInteraction.js";
+
+// Local, versioned drug-interaction knowledge base.
+//
+// Datasets are imported from JSON files (see data/drug-interactions/) and
+// stored in Mongo; the active one is indexed in memory. Lookups are pure
+// functions of the active dataset, so the same drugs always give the same
+// answer, and every answer carries the dataset version that produced it.
+//
+// Dataset file:
+//   {
+//     "version": "2026.10",
+//     "name": "...", "source": "...", "description": "...",
+//     "drugs": [{ "id": "warfarin", "name": "warfarin", "synonyms": ["coumadin"], "rxcui": "11289" }],
+//     "interactions": [{ "drugs": ["warfarin", "aspirin"], "severity": "major",
+//                        "mechanism": "...", "clinicalEffect": "...", "management": "...",
+//                        "evidence": "established", "references": ["..."] }]
+//   }
+
+class DrugInteractionDatasetError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "DrugInteractionDatasetError";
+    this.code = code;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const SEVERITIES = ["minor", "moderate", "major", "contraindicated"];
+const EVIDENCE_LEVELS = ["theoretical", "case-report", "study", "established"];
+
+// Words that describe the product rather than the drug
+const FORM_WORDS = new Set([
+  "tablet", "tablets", "tab", "tabs", "capsule", "capsules", "cap", "caps",
+  "solution", "suspension", "syrup", "elixir", "injection", "injectable", "inj",
+  "oral", "po", "iv", "im", "sc", "subq", "topical", "patch", "cream", "ointment",
+  "er", "xr", "xl", "sr", "cr", "dr", "ec", "la", "odt", "extended", "release",
+  "delayed", "immediate", "chewable", "vial", "pen", "prefilled", "syringe",
+]);
+
+// Salt forms dropped on the second lookup pass ("metoprolol tartrate" -> "metoprolol")
+const SALT_WORDS = new Set([
+  "hydrochloride", "hcl", "sodium", "potassium", "calcium", "magnesium",
+  "tartrate", "succinate", "maleate", "besylate", "mesylate", "sulfate",
+  "citrate", "fumarate", "bitartrate", "acetate", "phosphate", "bromide",
+  "hyclate", "monohydrate", "dihydrate", "hemihydrate",
+]);
+
+// Strengths such as "25 mg", "800-160 mg" or "20 mEq"
+const DOSE_RE = /\b\d+(?:\.\d+)?(?:[-/]\d+(?:\.\d+)?)*\s*(?:mg\/ml|mcg\/hr|mg\/hr|mg|mcg|µg|g|ml|l|units?|iu|meq|%)(?![a-z])/g;
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+export function normalizeDrugName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(DOSE_RE, " ")
+    .replace(/[^a-z0-9\s-]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !FORM_WORDS.has(word) && !/^[\d.-]+$/.test(word))
+    .join(" ");
+}
+
+function lookupKeys(name) {
+  const normalized = normalizeDrugName(name);
+  if (!normalized) return [];
+  const withoutSalt = normalized
+    .split(" ")
+    .filter((word) => !SALT_WORDS.has(word))
+    .join(" ");
+  return withoutSalt && withoutSalt !== normalized ? [normalized, withoutSalt] : [normalized];
+}
+
+export const pairKey = (a, b) => [a, b].sort().join("|");
+
+// Names to try for a medication in any of the shapes used across the
+// service: a string, { name, genericName, brandNames, rxcui } or a
+// Medication document ({ medication: { ... } }).
+function describe(drug) {
+  if (!drug) return { rxcui: null, names: [] };
+  if (typeof drug === "string") return { rxcui: null, names: [drug] };
+  const info = drug.medication && typeof drug.medication === "object" ? drug.medication : drug;
+  return {
+    rxcui: info.rxcui ? String(info.rxcui) : null,
+    names: [info.genericName, info.name, ...(info.brandNames || [])].filter(Boolean),
+  };
+}
+
+function displayName(drug) {
+  const { names, rxcui } = describe(drug);
+  return names[0] || rxcui || "unknown";
+}
+
+/**
+ * Validate a parsed dataset file. Throws on the first structural problem so
+ * a bad file never becomes a half-imported dataset.
+ */
+export function validateDataset(data) {
+  const fail = (message) => {
+    throw new DrugInteractionDatasetError(message, "INVALID_DATASET");
+  };
+
+  if (!data || typeof data !== "object") fail("Dataset must be a JSON object");
+  if (!data.version || typeof data.version !== "string") fail("Dataset version is required");
+  if (!Array.isArray(data.drugs) || data.drugs.length === 0) fail("Dataset must list drugs");
+  if (!Array.isArray(data.interactions)) fail("Dataset must list interactions");
+
+  const ids = new Set();
+  const names = new Map();
+  for (const drug of data.drugs) {
+    if (!drug.id || !drug.name) fail(`Drug entries need an id and a name (${JSON.stringify(drug)})`);
+    if (ids.has(drug.id)) fail(`Duplicate drug id "${drug.id}"`);
+    ids.add(drug.id);
+    for (const name of [drug.name, ...(drug.synonyms || [])]) {
+      const key = normalizeDrugName(name);
+      if (names.has(key) && names.get(key) !== drug.id) {
+        fail(`Name "${name}" maps to both "${names.get(key)}" and "${drug.id}"`);
+      }
+      names.set(key, drug.id);
+    }
+  }
+
+  const pairs = new Set();
+  data.interactions.forEach((interaction, index) => {
+    const where = `interaction ${index + 1}`;
+    const drugs = interaction.drugs || [];
+    if (drugs.length !== 2) fail(`${where}: "drugs" must name exactly two drug ids`);
+    for (const id of drugs) {
+      if (!ids.has(id)) fail(`${where}: unknown drug id "${id}"`);
+    }
+    if (drugs[0] === drugs[1]) fail(`${where}: a drug cannot interact with itself`);
+    if (!SEVERITIES.includes(interaction.severity)) {
+      fail(`${where}: severity must be one of ${SEVERITIES.join(", ")}`);
+    }
+    if (interaction.evidence && !EVIDENCE_LEVELS.includes(interaction.evidence)) {
+      fail(`${where}: evidence must be one of ${EVIDENCE_LEVELS.join(", ")}`);
+    }
+    const key = pairKey(drugs[0], drugs[1]);
+    if (pairs.has(key)) fail(`${where}: duplicate pair ${key}`);
+    pairs.add(key);
+  });
+
+  return true;
+}
+
+class DrugInteractionKnowledgeBase {
+  constructor() {
+    this.index = null;
+    this.lastChecked = 0;
+    this.loading = null;
+  }
+
+  buildIndex(dataset, interactions) {
+    const drugsById = new Map();
+    const byName = new Map();
+    const byRxcui = new Map();
+
+    for (const drug of dataset.drugs) {
+      drugsById.set(drug.drugId, drug);
+      for (const name of [drug.name, ...(drug.synonyms || [])]) {
+        byName.set(normalizeDrugName(name), drug.drugId);
+      }
+      if (drug.rxcui) byRxcui.set(String(drug.rxcui), drug.drugId);
+    }
+
+    return {
+      version: dataset.version,
+      source: dataset.source || dataset.name || "local dataset",
+      checksum: dataset.checksum,
+      drugsById,
+      byName,
+      byRxcui,
+      interactions: new Map(interactions.map((i) => [i.pairKey, i])),
+    };
+  }
+
+  async loadActiveDataset() {
+    const dataset = await DrugInteractionDataset.findOne({ active: true }).lean();
+    if (!dataset) {
+      this.index = null;
+      return null;
+    }
+    const interactions = await DrugInteraction.find({ datasetVersion: dataset.version }).lean();
+    this.index = this.buildIndex(dataset, interactions);
+    console.log(
+      `💊 [DrugInteractionKB] Loaded dataset ${dataset.version} (${dataset.drugs.length} drugs, ${interactions.length} interactions)`
+    );
+    return this.index;
+  }
+
+  /**
+   * The in-memory index of the active dataset, re-checked against the
+   * database at most once a minute so activations on other instances apply.
+   * Returns null when no dataset has been imported and activated.
+   */
+  async getIndex() {
+    if (this.index && Date.now() - this.lastChecked < REFRESH_INTERVAL_MS) {
+      return this.index;
+    }
+    if (!this.loading) {
+      this.loading = (async () => {
+        const active = await DrugInteractionDataset.findOne({ active: true })
+          .select("version checksum")
+          .lean();
+        if (!active) {
+          this.index = null;
+        } else if (!this.index || this.index.version !== active.version || this.index.checksum !== active.checksum) {
+          await this.loadActiveDataset();
+        }
+        this.lastChecked = Date.now();
+        return this.index;
+      })().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async getActiveVersion() {
+    const index = await this.getIndex();
+    return index ? index.version : null;
+  }
+
+  resolveWithIndex(index, drug) {
+    const { rxcui, names } = describe(drug);
+    if (rxcui && index.byRxcui.has(rxcui)) {
+      return index.drugsById.get(index.byRxcui.get(rxcui));
+    }
+    for (const name of names) {
+      for (const key of lookupKeys(name)) {
+        const drugId = index.byName.get(key);
+        if (drugId) return index.drugsById.get(drugId);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Normalise a drug name, RxCUI or medication object to its dataset concept.
+   * @returns {Promise<{drugId, name, rxcui, synonyms, therapeuticClass}|null>}
+   */
+  async resolveDrug(drug) {
+    const index = await this.getIndex();
+    return index ? this.resolveWithIndex(index, drug) : null;
+  }
+
+  /**
+   * Look up the interaction between two drugs in the active dataset.
+   * `checked` is false when either drug is not in the dataset, which must
+   * not be read as "no interaction".
+   */
+  async findInteraction(drug1, drug2) {
+    const index = await this.getIndex();
+    if (!index) {
+      throw new DrugInteractionDatasetError(
+        "No drug interaction dataset is active",
+        "NO_ACTIVE_DATASET"
+      );
+    }
+
+    const resolved = [drug1, drug2].map((drug) => this.resolveWithIndex(index, drug));
+    const base = {
+      datasetVersion: index.version,
+      source: index.source,
+      drugs: resolved.map((concept, i) => ({
+        input: displayName(i === 0 ? drug1 : drug2),
+        drugId: concept?.drugId || null,
+        name: concept?.name || null,
+      })),
+    };
+
+    const unresolved = base.drugs.filter((d) => !d.drugId).map((d) => d.input);
+    if (unresolved.length) {
+      return { ...base, checked: false, hasInteraction: false, unresolved };
+    }
+    if (resolved[0].drugId === resolved[1].drugId) {
+      return { ...base, checked: true, hasInteraction: false, duplicateTherapy: true };
+    }
+
+    const interaction = index.interactions.get(pairKey(resolved[0].drugId, resolved[1].drugId));
+    if (!interaction) {
+      return { ...base, checked: true, hasInteraction: false };
+    }
+
+    return {
+      ...base,
+      checked: true,
+      hasInteraction: true,
+      severity: interaction.severity,
+      mechanism: interaction.mechanism,
+      clinicalEffect: interaction.clinicalEffect,
+      management: interaction.management,
+      evidenceLevel: interaction.evidence,
+      references: interaction.references || [],
+    };
+  }
+
+  /**
+   * Check every pair in a list of drugs.
+   * @returns {Promise<{datasetVersion, interactions, unresolved}>}
+   */
+  async checkAll(drugs = []) {
+    const interactions = [];
+    const unresolved = new Set();
+    let datasetVersion = null;
+
+    for (let i = 0; i < drugs.length; i++) {
+      for (let j = i + 1; j < drugs.length; j++) {
+        const result = await this.findInteraction(drugs[i], drugs[j]);
+        datasetVersion = result.datasetVersion;
+        (result.unresolved || []).forEach((name) => unresolved.add(name));
+        if (result.hasInteraction) interactions.push(result);
+      }
+    }
+
+    return {
+      datasetVersion: datasetVersion || (await this.getActiveVersion()),
+      interactions,
+      unresolved: [...unresolved],
+    };
+  }
+
+  /**
+   * Import a parsed dataset. The dataset is stored inactive unless
+   * options.activate is set.
+   * @param {Object} data - parsed dataset file
+   * @param {Object} options - { activate, importedBy, checksum }
+   */
+  async importDataset(data, options = {}) {
+    validateDataset(data);
+
+    if (await DrugInteractionDataset.exists({ version: data.version })) {
+      throw new DrugInteractionDatasetError(
+        `Dataset version ${data.version} already exists`,
+        "DUPLICATE_VERSION"
+      );
+    }
+
+    const checksum =
+      options.checksum ||
+      crypto.createHash("sha256").update(JSON.stringify(data)).digest("hex");
+
+    const dataset = await DrugInteractionDataset.create({
+      version: data.version,
+      name: data.name,
+      source: data.source,
+      description: data.description,
+      checksum,
+      drugs: data.drugs.map((drug) => ({
+        drugId: drug.id,
+        name: drug.name,
+        synonyms: drug.synonyms || [],
+        rxcui: drug.rxcui ? String(drug.rxcui) : undefined,
+        therapeuticClass: drug.therapeuticClass,
+      })),
+      drugCount: data.drugs.length,
+      interactionCount: data.interactions.length,
+      importedBy: options.importedBy,
+    });
+
+    try {
+      await DrugInteraction.insertMany(
+        data.interactions.map((interaction) => ({
+          datasetVersion: data.version,
+          pairKey: pairKey(interaction.drugs[0], interaction.drugs[1]),
+          drugs: [...interaction.drugs].sort(),
+          severity: interaction.severity,
+          mechanism: interaction.mechanism,
+          clinicalEffect: interaction.clinicalEffect,
+          management: interaction.management,
+          evidence: interaction.evidence || "established",
+          references: interaction.references || [],
+        }))
+      );
+    } catch (error) {
+      await DrugInteraction.deleteMany({ datasetVersion: data.version });
+      await DrugInteractionDataset.deleteOne({ _id: dataset._id });
+      throw error;
+    }
+
+    if (options.activate) {
+      await this.activateDataset(data.version);
+    }
+
+    return {
+      version: dataset.version,
+      checksum,
+      drugCount: dataset.drugCount,
+      interactionCount: dataset.interactionCount,
+      active: Boolean(options.activate),
+    };
+  }
+
+  async importDatasetFile(filePath, options = {}) {
+    const raw = await fs.readFile(filePath, "utf8");
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      throw new DrugInteractionDatasetError(
+        `Dataset file is not valid JSON: ${error.message}`,
+        "INVALID_DATASET"
+      );
+    }
+    const checksum = crypto.createHash("sha256").update(raw).digest("hex");
+    return this.importDataset(data, { ...options, checksum });
+  }
+
+  async activateDataset(version) {
+    const dataset = await DrugInteractionDataset.findOne({ version });
+    if (!dataset) {
+      throw new DrugInteractionDatasetError(`Dataset version ${version} not found`, "DATASET_NOT_FOUND");
+    }
+    await DrugInteractionDataset.updateMany(
+      { active: true, version: { $ne: version } },
+      { $set: { active: false } }
+    );
+    dataset.active = true;
+    dataset.activatedAt = new Date();
+    await dataset.save();
+
+    // Force the next lookup to reload
+    this.lastChecked = 0;
+    return { version, activatedAt: dataset.activatedAt };
+  }
+
+  async listDatasets() {
+    return DrugInteractionDataset.find()
+      .select("-drugs")
+      .sort({ importedAt: -1 })
+      .lean();
+  }
+}
+
+export { DrugInteractionDatasetError };
+export default new DrugInteractionKnowledgeBase();
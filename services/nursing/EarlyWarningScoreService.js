@@ -0,0 +1,464 @@
+import mongoose from "mongoose";
+import ClinicalAlert from "../../nursing/models/ClinicalAlert.js";
+import Organization from "../../models/Organization.js";
+import Patient from "../../models/Patient.js";
+import organizationService from "../organizationService.js";
+import jobScheduler from "../jobSchedulerService.js";
+
+export class EarlyWarningError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = "EarlyWarningError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const MINUTE_MS = 60 * 1000;
+const ESCALATION_JOB = "ews.escalate-overdue-alerts";
+
+// Escalation levels, lowest first. Clinical responses follow the RCP NEWS2
+// chart (2017); the response-time targets are local policy defaults.
+export const ESCALATION_LEVELS = {
+  low: {
+    severity: "low",
+    responseMinutes: 60,
+    monitoring: "Minimum 4-6 hourly observations",
+    response: "Assessment by a registered nurse to decide on frequency of monitoring or escalation",
+  },
+  "low-medium": {
+    severity: "medium",
+    responseMinutes: 30,
+    monitoring: "Minimum 1 hourly observations",
+    response: "Urgent review by a clinician to decide on cause and escalation of care",
+  },
+  medium: {
+    severity: "high",
+    responseMinutes: 30,
+    monitoring: "Minimum 1 hourly observations",
+    response: "Urgent review by a clinician competent in the assessment of acutely ill patients",
+  },
+  high: {
+    severity: "critical",
+    responseMinutes: 15,
+    monitoring: "Continuous monitoring of vital signs",
+    response: "Emergency assessment by a critical care team; consider transfer to a higher level of care",
+  },
+};
+const LEVEL_ORDER = Object.keys(ESCALATION_LEVELS);
+
+// Unacknowledged alerts escalate one level per missed response target, and
+// keep re-notifying at the top level up to this many times
+const MAX_ESCALATIONS = 5;
+
+// Score a value against ordered [upperBound, points] bands; the last band
+// has upperBound Infinity
+const band = (value, bands) => bands.find(([upper]) => value <= upper)[1];
+
+const CONSCIOUSNESS_CODES = {
+  a: "A",
+  alert: "A",
+  c: "C",
+  confused: "C",
+  "new confusion": "C",
+  v: "V",
+  voice: "V",
+  p: "P",
+  pain: "P",
+  u: "U",
+  unresponsive: "U",
+};
+
+const isPresent = (value) => value !== undefined && value !== null && value !== "";
+
+class EarlyWarningScoreService {
+  constructor() {
+    this.notifier = null;
+    this.monitorInterval = null;
+  }
+
+  /**
+   * WebSocket layer used to push alerts; anything with sendToUser(userId, message).
+   */
+  setNotifier(notifier) {
+    this.notifier = notifier;
+  }
+
+  /**
+   * Normalize vitals from API bodies, observations or visit records.
+   * Temperature in °F (> 50) is converted to °C.
+   */
+  normalizeVitals(input = {}) {
+    const number = (value) => (isPresent(value) ? Number(value) : null);
+
+    let systolic = number(input.systolic ?? input.systolicBP ?? input.bloodPressure?.systolic);
+    if (systolic === null && typeof input.bloodPressure === "string") {
+      systolic = number(input.bloodPressure.split("/")[0]);
+    }
+
+    let temperature = number(input.temperature);
+    if (temperature !== null && temperature > 50) {
+      temperature = Math.round((((temperature - 32) * 5) / 9) * 10) / 10;
+    }
+
+    const consciousness = isPresent(input.consciousness)
+      ? CONSCIOUSNESS_CODES[String(input.consciousness).trim().toLowerCase()] || null
+      : null;
+
+    const onOxygen = input.onSupplementalOxygen ?? input.supplementalOxygen ?? input.onOxygen;
+
+    const vitals = {
+      respiratoryRate: number(input.respiratoryRate),
+      oxygenSaturation: number(input.oxygenSaturation ?? input.spo2),
+      onSupplementalOxygen: isPresent(onOxygen) ? onOxygen === true || onOxygen === "true" : null,
+      systolic,
+      heartRate: number(input.heartRate ?? input.pulse),
+      consciousness,
+      temperature,
+    };
+
+    for (const [key, value] of Object.entries(vitals)) {
+      if (typeof value === "number" && !Number.isFinite(value)) {
+        throw new EarlyWarningError(`${key} must be a number`, "INVALID_VITALS", 422);
+      }
+    }
+    if (isPresent(input.consciousness) && !consciousness) {
+      throw new EarlyWarningError(
+        "consciousness must be one of A, C, V, P, U (ACVPU)",
+        "INVALID_VITALS",
+        422
+      );
+    }
+    return vitals;
+  }
+
+  /**
+   * National Early Warning Score 2 (Royal College of Physicians, 2017).
+   * Missing parameters are left out; the result is then flagged incomplete
+   * and its total is a lower bound.
+   * @param {Object} vitals - normalizeVitals() output
+   * @param {Object} options - { spo2Scale: 1 | 2 } (scale 2 only for
+   *   confirmed hypercapnic respiratory failure)
+   */
+  calculateNEWS2(vitals, { spo2Scale = 1 } = {}) {
+    const parameters = {};
+
+    if (vitals.respiratoryRate !== null) {
+      parameters.respiratoryRate = band(vitals.respiratoryRate, [
+        [8, 3], [11, 1], [20, 0], [24, 2], [Infinity, 3],
+      ]);
+    }
+
+    if (vitals.oxygenSaturation !== null) {
+      const spo2 = vitals.oxygenSaturation;
+      if (Number(spo2Scale) === 2) {
+        parameters.oxygenSaturation =
+          spo2 >= 93 && vitals.onSupplementalOxygen
+            ? band(spo2, [[94, 1], [96, 2], [Infinity, 3]])
+            : band(spo2, [[83, 3], [85, 2], [87, 1], [Infinity, 0]]);
+      } else {
+        parameters.oxygenSaturation = band(spo2, [[91, 3], [93, 2], [95, 1], [Infinity, 0]]);
+      }
+    }
+
+    if (vitals.onSupplementalOxygen !== null) {
+      parameters.supplementalOxygen = vitals.onSupplementalOxygen ? 2 : 0;
+    }
+
+    if (vitals.systolic !== null) {
+      parameters.systolic = band(vitals.systolic, [
+        [90, 3], [100, 2], [110, 1], [219, 0], [Infinity, 3],
+      ]);
+    }
+
+    if (vitals.heartRate !== null) {
+      parameters.heartRate = band(vitals.heartRate, [
+        [40, 3], [50, 1], [90, 0], [110, 1], [130, 2], [Infinity, 3],
+      ]);
+    }
+
+    if (vitals.consciousness !== null) {
+      parameters.consciousness = vitals.consciousness === "A" ? 0 : 3;
+    }
+
+    if (vitals.temperature !== null) {
+      parameters.temperature = band(vitals.temperature, [
+        [35.0, 3], [36.0, 1], [38.0, 0], [39.0, 1], [Infinity, 2],
+      ]);
+    }
+
+    const total = Object.values(parameters).reduce((sum, points) => sum + points, 0);
+    const redScore = Object.values(parameters).some((points) => points === 3);
+
+    let level = null;
+    if (total >= 7) level = "high";
+    else if (total >= 5) level = "medium";
+    else if (redScore) level = "low-medium";
+    else if (total >= 1) level = "low";
+
+    return this.result("NEWS2", parameters, total, level, {
+      spo2Scale: Number(spo2Scale) === 2 ? 2 : 1,
+      redScore,
+      required: [
+        "respiratoryRate",
+        "oxygenSaturation",
+        "supplementalOxygen",
+        "systolic",
+        "heartRate",
+        "consciousness",
+        "temperature",
+      ],
+    });
+  }
+
+  /**
+   * Modified Early Warning Score (Subbe et al., QJM 2001). AVPU only, so
+   * new confusion (C) scores as V.
+   */
+  calculateMEWS(vitals) {
+    const parameters = {};
+
+    if (vitals.systolic !== null) {
+      parameters.systolic = band(vitals.systolic, [
+        [70, 3], [80, 2], [100, 1], [199, 0], [Infinity, 2],
+      ]);
+    }
+
+    if (vitals.heartRate !== null) {
+      parameters.heartRate = band(vitals.heartRate, [
+        [40, 2], [50, 1], [100, 0], [110, 1], [129, 2], [Infinity, 3],
+      ]);
+    }
+
+    if (vitals.respiratoryRate !== null) {
+      parameters.respiratoryRate = band(vitals.respiratoryRate, [
+        [8, 2], [14, 0], [20, 1], [29, 2], [Infinity, 3],
+      ]);
+    }
+
+    if (vitals.temperature !== null) {
+      parameters.temperature = band(vitals.temperature, [
+        [34.9, 2], [38.4, 0], [Infinity, 2],
+      ]);
+    }
+
+    if (vitals.consciousness !== null) {
+      parameters.consciousness = { A: 0, C: 1, V: 1, P: 2, U: 3 }[vitals.consciousness];
+    }
+
+    const total = Object.values(parameters).reduce((sum, points) => sum + points, 0);
+    const redScore = Object.values(parameters).some((points) => points === 3);
+
+    let level = null;
+    if (total >= 5) level = "high";
+    else if (total >= 3) level = "medium";
+    else if (redScore) level = "low-medium";
+    else if (total >= 1) level = "low";
+
+    return this.result("MEWS", parameters, total, level, {
+      redScore,
+      required: ["systolic", "heartRate", "respiratoryRate", "temperature", "consciousness"],
+    });
+  }
+
+  result(system, parameters, total, level, { required, ...extra }) {
+    const missing = required.filter((parameter) => !(parameter in parameters));
+    const escalation = level ? ESCALATION_LEVELS[level] : null;
+    return {
+      system,
+      total,
+      parameters,
+      ...extra,
+      complete: missing.length === 0,
+      missing,
+      level: level || "none",
+      severity: escalation?.severity || null,
+      requiredResponseMinutes: escalation?.responseMinutes ?? null,
+      monitoring: escalation?.monitoring || "Minimum 12-hourly observations",
+      response: escalation?.response || "Continue routine monitoring",
+      calculatedAt: new Date(),
+    };
+  }
+
+  /**
+   * Score vitals and raise an alert for every score that calls for a
+   * clinical response (a score of 0 needs none).
+   * @param {Object} options - { userId, systems: ["NEWS2", "MEWS"], spo2Scale, source, sourceId }
+   * @returns {Promise<{ vitals, scores, alerts }>}
+   */
+  async scoreAndAlert(patientId, rawVitals, options = {}) {
+    const { userId, systems = ["NEWS2"], spo2Scale = 1, source = "system_generated", sourceId = null } = options;
+    const vitals = this.normalizeVitals(rawVitals);
+
+    if (Object.values(vitals).every((value) => value === null)) {
+      throw new EarlyWarningError("No scorable vital signs provided", "NO_VITALS", 422);
+    }
+
+    const scores = [];
+    if (systems.includes("NEWS2")) scores.push(this.calculateNEWS2(vitals, { spo2Scale }));
+    if (systems.includes("MEWS")) scores.push(this.calculateMEWS(vitals));
+
+    const alerts = [];
+    for (const score of scores) {
+      if (score.level === "none") continue;
+      alerts.push(await this.createAlert(patientId, userId, score, { source, sourceId }));
+    }
+
+    return { vitals, scores, alerts };
+  }
+
+  async createAlert(patientId, userId, score, { source, sourceId }) {
+    const escalation = ESCALATION_LEVELS[score.level];
+    const recipients = await this.careTeamFor(patientId);
+    const now = new Date();
+    const respondBy = new Date(now.getTime() + escalation.responseMinutes * MINUTE_MS);
+
+    const alert = await ClinicalAlert.createAlert({
+      patientId,
+      userId,
+      type: "vital_signs",
+      severity: escalation.severity,
+      title: `${score.system} ${score.total}: ${score.level} clinical risk`,
+      message: `${escalation.response}. ${escalation.monitoring}. Respond within ${escalation.responseMinutes} minutes.`,
+      details: { score },
+      source,
+      sourceId: mongoose.Types.ObjectId.isValid(String(sourceId)) ? sourceId : null,
+      recipients,
+      escalation: {
+        system: score.system,
+        score: score.total,
+        level: score.level,
+        requiredResponseMinutes: escalation.responseMinutes,
+        respondBy,
+        escalationCount: 0,
+      },
+      metadata: {
+        confidence: 1,
+        category: "early_warning",
+        tags: [score.system, score.level],
+      },
+    });
+
+    this.push(recipients, "clinical_alert", alert);
+    console.log(`🚨 ${score.system} ${score.total} (${score.level}) alert for patient ${patientId}`);
+    return alert;
+  }
+
+  // Patient owner and care team members
+  async careTeamFor(patientId) {
+    const patient = await Patient.findById(patientId).select("createdBy userId careTeam").lean();
+    if (!patient) return [];
+    const ids = [patient.createdBy, patient.userId, ...(patient.careTeam || []).map((member) => member.userId)]
+      .filter(Boolean)
+      .map(String);
+    return [...new Set(ids)];
+  }
+
+  push(userIds, type, alert) {
+    if (!this.notifier) return;
+    const message = {
+      type,
+      alert: {
+        id: String(alert._id),
+        patientId: String(alert.patientId),
+        severity: alert.severity,
+        title: alert.title,
+        message: alert.message,
+        escalation: alert.escalation,
+        createdAt: alert.createdAt,
+      },
+      timestamp: new Date().toISOString(),
+    };
+    for (const userId of userIds) {
+      this.notifier.sendToUser(String(userId), message);
+    }
+  }
+
+  /**
+   * Acknowledge an alert; any user with access to the patient may. Stops
+   * re-escalation.
+   */
+  async acknowledgeAlert(alertId, userId, notes = "") {
+    const alert = mongoose.Types.ObjectId.isValid(String(alertId))
+      ? await ClinicalAlert.findById(alertId)
+      : null;
+    const patient = alert
+      ? await Patient.findById(alert.patientId).select("createdBy userId organizationId careTeam").lean()
+      : null;
+
+    if (!alert || !(await organizationService.canAccessPatient(patient, userId))) {
+      throw new EarlyWarningError("Alert not found", "ALERT_NOT_FOUND", 404);
+    }
+    if (alert.acknowledged) return alert;
+
+    await alert.acknowledge(userId, notes);
+    this.push(alert.recipients || [], "clinical_alert_acknowledged", alert);
+    return alert;
+  }
+
+  /**
+   * Escalate alerts whose response target passed without acknowledgement:
+   * one level up (severity and response time), organization admins added
+   * to the recipients, and a fresh push to everyone.
+   */
+  async escalateOverdueAlerts(now = new Date()) {
+    const overdue = await ClinicalAlert.find({
+      acknowledged: false,
+      "escalation.respondBy": { $lte: now },
+      "escalation.escalationCount": { $lt: MAX_ESCALATIONS },
+    }).limit(100);
+
+    for (const alert of overdue) {
+      const currentIndex = LEVEL_ORDER.indexOf(alert.escalation.level);
+      const nextLevel = LEVEL_ORDER[Math.min(currentIndex + 1, LEVEL_ORDER.length - 1)];
+      const escalation = ESCALATION_LEVELS[nextLevel];
+
+      const recipients = new Set([
+        ...(alert.recipients || []).map(String),
+        ...(await this.escalationContacts(alert.patientId)),
+      ]);
+
+      alert.severity = escalation.severity;
+      alert.recipients = [...recipients];
+      alert.escalation.level = nextLevel;
+      alert.escalation.requiredResponseMinutes = escalation.responseMinutes;
+      alert.escalation.respondBy = new Date(now.getTime() + escalation.responseMinutes * MINUTE_MS);
+      alert.escalation.escalationCount += 1;
+      alert.escalation.lastEscalatedAt = now;
+      await alert.save();
+
+      this.push(alert.recipients, "clinical_alert_escalated", alert);
+      console.warn(
+        `⏫ Alert ${alert._id} unacknowledged; escalated to ${nextLevel} (#${alert.escalation.escalationCount})`
+      );
+    }
+
+    return overdue.length;
+  }
+
+  // Admins of the patient's organization
+  async escalationContacts(patientId) {
+    const patient = await Patient.findById(patientId).select("organizationId").lean();
+    if (!patient?.organizationId) return [];
+    const organization = await Organization.findById(patient.organizationId).select("members").lean();
+    return (organization?.members || [])
+      .filter((member) => member.role === "admin")
+      .map((member) => String(member.userId));
+  }
+
+  // Checked by one instance at a time through the job scheduler
+  startEscalationMonitor(intervalMs = MINUTE_MS) {
+    jobScheduler.define(ESCALATION_JOB, () => this.escalateOverdueAlerts());
+    jobScheduler
+      .schedule(ESCALATION_JOB, { every: intervalMs, maxAttempts: 1, timeoutMs: 5 * MINUTE_MS })
+      .catch((error) => console.error("❌ Could not schedule alert escalation:", error.message));
+    console.log("⏱️ Early warning alert escalation monitor scheduled");
+  }
+
+  stopEscalationMonitor() {
+    return jobScheduler.cancel(ESCALATION_JOB);
+  }
+}
+
+export { EarlyWarningScoreService };
+export default new EarlyWarningScoreService();
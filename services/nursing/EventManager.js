@@ -611,4 +611,7 @@ class EventManager extends EventEmitter {
   }
 }
 
+// Shared instance for services that emit without managing their own emitter
+export const eventManager = new EventManager();
+
 export default EventManager;
@@ -3,6 +3,8 @@ import MedicationRecord from "../../models/nursing/MedicationRecord.js";
 import ClinicalAIEngine from "./ClinicalAIEngine.js";
 import EventManager from "./EventManager.js";
 import NursingCacheService from "./NursingCacheService.js";
+import drugInteractionKB from "./DrugInteractionKnowledgeBase.js";
+import organizationService from "../organizationService.js";
 import crypto from "crypto";
 
 /**
@@ -130,13 +132,8 @@ class MedicationManagementService {
       }
     };
 
-    // Drug interaction databases and APIs
-    this.drugInteractionAPIs = {
-      fda: process.env.FDA_DRUG_API_URL,
-      rxnorm: process.env.RXNORM_API_URL,
-      drugbank: process.env.DRUGBANK_API_URL,
-      lexicomp: process.env.LEXICOMP_API_URL,
-    };
+    // Drug interactions come from the local versioned dataset
+    this.interactionKB = drugInteractionKB;
 
     // Real-time monitoring thresholds
     this.adherenceThresholds = {
@@ -809,9 +806,15 @@ class MedicationManagementService {
       // Enrich medication data with external APIs
       const enrichedData = await this.enrichMedicationData(sanitizedData);
 
+      const organizationId = await organizationService.assertPatientAccess(
+        patientId,
+        userId
+      );
+
       // Create medication record
       const medication = new Medication({
         userId,
+        organizationId,
         patientId,
         ...enrichedData,
         aiAnalysis: {
@@ -891,17 +894,26 @@ class MedicationManagementService {
       });
       
       // Input validation
-      this.validateInputs({ medication, existingMedications }, { method: "checkDrugInteractions" });
+      if (!this.getMedicationName(medication)) {
+        throw new ValidationError("Medication with a name or RxCUI is required", "medication");
+      }
+      if (!Array.isArray(existingMedications)) {
+        throw new ValidationError("Existing medications must be an array", "existingMedications");
+      }
       
       // Rate limiting (using medication ID as user ID)
       this.checkRateLimit(medication?.id || "system");
       
       // Circuit breaker check
       this.checkCircuitBreaker("interaction");
+
+      // Refuse rather than report "no interactions" without a dataset
+      const datasetVersion = await this.getInteractionDatasetVersion();
       
       // Generate cache key
       const cacheKey = this.generateCacheKey("drug_interactions", { 
         medicationId: medication?.id, 
+        datasetVersion,
         existingMedsHash: crypto.createHash("md5").update(JSON.stringify(existingMedications)).digest("hex") 
       });
       
@@ -913,6 +925,7 @@ class MedicationManagementService {
       }
 
       const interactions = [];
+      const unresolvedMedications = new Set();
 
       // Check interactions with existing medications
       for (const existingMed of existingMedications) {
@@ -921,7 +934,8 @@ class MedicationManagementService {
           existingMed
         );
 
-        if (interaction) {
+        (interaction.unresolved || []).forEach((name) => unresolvedMedications.add(name));
+        if (interaction.hasInteraction) {
           interactions.push(interaction);
         }
       }
@@ -963,6 +977,9 @@ class MedicationManagementService {
         interactions,
         criticalInteractions: criticalInteractions.length,
         riskScore,
+        datasetVersion,
+        // Not in the dataset, so not checked: show these to the clinician
+        unresolvedMedications: [...unresolvedMedications],
         summary: {
           totalInteractions: interactions.length,
           drugInteractions: interactions.filter(i => i.interactionType === "drug-drug").length,
@@ -1015,8 +1032,8 @@ class MedicationManagementService {
     try {
       this.logInfo("Checking medication interaction", { 
         requestId, 
-        medication1Id: medication1?.medication?.rxcui, 
-        medication2Id: medication2?.medication?.rxcui 
+        medication1: this.getMedicationName(medication1), 
+        medication2: this.getMedicationName(medication2) 
       });
       
       // Input validation
@@ -1024,20 +1041,25 @@ class MedicationManagementService {
         throw new ValidationError("Both medications are required", "medications");
       }
       
-      if (!medication1.medication?.rxcui || !medication2.medication?.rxcui) {
-        throw new ValidationError("Both medications must have valid RxCUI codes", "rxcui");
+      if (!this.getMedicationName(medication1) || !this.getMedicationName(medication2)) {
+        throw new ValidationError("Both medications must have a name or RxCUI", "medications");
       }
       
       // Rate limiting
-      this.checkRateLimit(medication1.medication.rxcui);
+      this.checkRateLimit(this.getMedicationName(medication1));
       
       // Circuit breaker check
       this.checkCircuitBreaker("medication_interaction");
+
+      const datasetVersion = await this.getInteractionDatasetVersion();
       
       // Generate cache key
       const cacheKey = this.generateCacheKey("medication_interaction", { 
-        rxcui1: medication1.medication.rxcui, 
-        rxcui2: medication2.medication.rxcui 
+        datasetVersion,
+        medication1: this.getMedicationName(medication1), 
+        rxcui1: medication1.medication?.rxcui || medication1.rxcui,
+        medication2: this.getMedicationName(medication2), 
+        rxcui2: medication2.medication?.rxcui || medication2.rxcui
       });
       
       // Check cache first
@@ -1047,16 +1069,19 @@ class MedicationManagementService {
         return cachedResult;
       }
 
-      // Call external drug interaction API
+      // Look up the pair in the local interaction dataset
       const interactionData = await this.callDrugInteractionAPI(
-        medication1.medication.rxcui,
-        medication2.medication.rxcui
+        medication1,
+        medication2
       );
 
-      if (!interactionData || !interactionData.hasInteraction) {
+      if (!interactionData.hasInteraction) {
         const result = {
           success: true,
           hasInteraction: false,
+          checked: interactionData.checked,
+          unresolved: interactionData.unresolved || [],
+          datasetVersion: interactionData.datasetVersion,
           requestId,
           timestamp: new Date().toISOString()
         };
@@ -1072,15 +1097,16 @@ class MedicationManagementService {
       const interaction = {
         success: true,
         hasInteraction: true,
-        interactingMedication: medication2.medication.name,
+        interactingMedication: this.getMedicationName(medication2),
         interactionType: "drug-drug",
         severity: interactionData.severity,
         mechanism: interactionData.mechanism,
         clinicalEffect: interactionData.clinicalEffect,
         management: interactionData.management,
         evidence: interactionData.evidenceLevel,
-        confidence: interactionData.confidence || 85,
+        confidence: 100,
         source: interactionData.source,
+        datasetVersion: interactionData.datasetVersion,
         references: interactionData.references || [],
         requestId,
         timestamp: new Date().toISOString()
@@ -1107,8 +1133,8 @@ class MedicationManagementService {
       
       this.logError("Error checking medication interaction", error, { 
         requestId, 
-        medication1Id: medication1?.medication?.rxcui,
-        medication2Id: medication2?.medication?.rxcui 
+        medication1: this.getMedicationName(medication1),
+        medication2: this.getMedicationName(medication2) 
       });
       
       if (error instanceof ValidationError || error instanceof RateLimitError || error instanceof ServiceUnavailableError) {
@@ -1157,7 +1183,7 @@ class MedicationManagementService {
       }
 
       const medication = await Medication.findById(medicationId);
-      if (!medication) {
+      if (!medication || !(await organizationService.canAccess(medication, userId))) {
         throw new ValidationError("Medication not found", "medicationId");
       }
 
@@ -1683,7 +1709,10 @@ class MedicationManagementService {
         return cachedResult;
       }
 
-      const stats = await Medication.getMedicationStats(userId, patientId);
+      const stats = await Medication.getMedicationStats(
+        await organizationService.matchFor(userId),
+        patientId
+      );
 
       // Additional AI-powered insights
       const aiInsights = await this.generateMedicationInsights(
@@ -1849,11 +1878,15 @@ class MedicationManagementService {
       // Get generic name and brand names
       if (enrichedData.medication.rxcui) {
         const drugInfo = await this.getDrugInfo(enrichedData.medication.rxcui);
-        enrichedData.medication.genericName = drugInfo.genericName;
-        enrichedData.medication.brandNames = drugInfo.brandNames;
-        enrichedData.medication.therapeuticClass = drugInfo.therapeuticClass;
-        enrichedData.medication.pharmacologicClass =
-          drugInfo.pharmacologicClass;
+        if (drugInfo) {
+          enrichedData.medication.genericName =
+            enrichedData.medication.genericName || drugInfo.genericName;
+          if (!enrichedData.medication.brandNames?.length) {
+            enrichedData.medication.brandNames = drugInfo.brandNames;
+          }
+          enrichedData.medication.therapeuticClass =
+            enrichedData.medication.therapeuticClass || drugInfo.therapeuticClass;
+        }
       }
 
       const result = {
@@ -2216,33 +2249,86 @@ class MedicationManagementService {
     );
   }
 
-  // External API integration methods (mock implementations)
-  async callDrugInteractionAPI(rxcui1, rxcui2) {
-    // Mock implementation - would call actual drug interaction API
-    return {
-      hasInteraction: Math.random() > 0.7, // 30% chance of interaction
-      severity: ["minor", "moderate", "major"][Math.floor(Math.random() * 3)],
-      mechanism: "Mock interaction mechanism",
-      clinicalEffect: "Mock clinical effect",
-      management: "Mock management recommendation",
-      evidenceLevel: "established",
-      confidence: 85,
-      source: "Mock Drug Database",
-    };
+  // Drug knowledge lookups against the local interaction dataset
+  // (services/nursing/DrugInteractionKnowledgeBase.js)
+
+  // Name of a medication given as a string, a Medication document or
+  // medication data ({ name, genericName, rxcui })
+  getMedicationName(medication) {
+    if (!medication) return null;
+    if (typeof medication === "string") return medication;
+    const info = medication.medication || medication;
+    return info.name || info.genericName || info.rxcui || null;
+  }
+
+  async getInteractionDatasetVersion() {
+    const version = await this.interactionKB.getActiveVersion();
+    if (!version) {
+      throw new ServiceUnavailableError(
+        "No drug interaction dataset is active; import one with npm run import:drug-interactions"
+      );
+    }
+    return version;
+  }
+
+  async callDrugInteractionAPI(drug1, drug2) {
+    try {
+      return await this.interactionKB.findInteraction(drug1, drug2);
+    } catch (error) {
+      if (error.code === "NO_ACTIVE_DATASET") {
+        throw new ServiceUnavailableError(error.message);
+      }
+      throw error;
+    }
   }
 
   async getRxCUI(medicationName) {
-    // Mock implementation - would call RxNorm API
-    return `RX${Math.floor(Math.random() * 1000000)}`;
+    const drug = await this.interactionKB.resolveDrug(medicationName);
+    return drug?.rxcui || null;
   }
 
   async getDrugInfo(rxcui) {
-    // Mock implementation - would call drug information API
+    const drug = await this.interactionKB.resolveDrug({ rxcui });
+    if (!drug) return null;
     return {
-      genericName: "Mock Generic Name",
-      brandNames: ["Mock Brand 1", "Mock Brand 2"],
-      therapeuticClass: "Mock Therapeutic Class",
-      pharmacologicClass: "Mock Pharmacologic Class",
+      genericName: drug.name,
+      brandNames: drug.synonyms || [],
+      therapeuticClass: drug.therapeuticClass,
+    };
+  }
+
+  /**
+   * Pairwise interaction check for a list of medication names or objects
+   */
+  async checkMedicationListInteractions(medications = []) {
+    if (!Array.isArray(medications) || medications.length === 0) {
+      throw new ValidationError("At least one medication is required", "medications");
+    }
+
+    await this.getInteractionDatasetVersion();
+    const result = await this.interactionKB.checkAll(medications);
+    const interactions = result.interactions.map((interaction) => ({
+      medication1: interaction.drugs[0].input,
+      medication2: interaction.drugs[1].input,
+      interactionType: "drug-drug",
+      severity: interaction.severity,
+      mechanism: interaction.mechanism,
+      clinicalEffect: interaction.clinicalEffect,
+      management: interaction.management,
+      evidence: interaction.evidenceLevel,
+      references: interaction.references,
+      source: interaction.source,
+      datasetVersion: interaction.datasetVersion,
+    }));
+
+    return {
+      success: true,
+      interactions,
+      criticalInteractions: interactions.filter(
+        (i) => i.severity === "contraindicated" || i.severity === "major"
+      ).length,
+      datasetVersion: result.datasetVersion,
+      unresolvedMedications: result.unresolved,
     };
   }
 
@@ -2252,6 +2338,7 @@ class MedicationManagementService {
   async performRealTimeDrugInteractionAnalysis(patientId, medicationData) {
     try {
       const analysisStartTime = Date.now();
+      const datasetVersion = await this.getInteractionDatasetVersion();
 
       // Get current active medications
       const activeMedications = await this.getActiveMedications(patientId);
@@ -2305,6 +2392,8 @@ class MedicationManagementService {
         severity: severityAssessment,
         recommendations: interactionAnalysis.recommendations,
         riskScore: interactionAnalysis.overallRiskScore,
+        datasetVersion,
+        unresolvedMedications: interactionAnalysis.unresolvedMedications,
         processingTime: Date.now() - analysisStartTime,
         timestamp: new Date().toISOString(),
       };
@@ -2329,6 +2418,14 @@ class MedicationManagementService {
       const interactions = [];
       let overallRiskScore = 0;
 
+      // Medications the dataset does not know were not checked
+      const unresolvedMedications = [];
+      for (const med of [newMedication, ...activeMedications]) {
+        if (!(await this.interactionKB.resolveDrug(med))) {
+          unresolvedMedications.push(this.getMedicationName(med));
+        }
+      }
+
       // Drug-drug interactions
       for (const activeMed of activeMedications) {
         const drugDrugInteraction = await this.analyzeDrugDrugInteraction(
@@ -2373,6 +2470,7 @@ class MedicationManagementService {
         interactions,
         overallRiskScore: Math.min(overallRiskScore, 100), // Cap at 100
         recommendations,
+        unresolvedMedications,
         analysisTimestamp: new Date().toISOString(),
         patientId: patientContext.patientId,
       };
@@ -2391,33 +2489,40 @@ class MedicationManagementService {
     patientContext
   ) {
     try {
-      // Check cache first
-      const cacheKey = `drug_drug_interaction:${newMedication.rxcui}:${activeMedication.medication.rxcui}`;
-      const cachedResult = await this.cacheService.get(cacheKey);
-
-      if (cachedResult) {
-        return cachedResult;
-      }
-
-      // Call multiple drug interaction databases
-      const interactionSources = await Promise.allSettled([
-        this.checkFDAInteractionDatabase(newMedication, activeMedication),
-        this.checkRxNormInteractions(newMedication, activeMedication),
-        this.checkDrugBankInteractions(newMedication, activeMedication),
-        this.checkLexicompInteractions(newMedication, activeMedication),
-      ]);
-
-      // Consolidate results from multiple sources
-      const consolidatedInteraction = this.consolidateInteractionResults(
-        interactionSources,
+      const interactionData = await this.callDrugInteractionAPI(
         newMedication,
         activeMedication
       );
 
-      if (!consolidatedInteraction) {
+      if (!interactionData.hasInteraction) {
         return null;
       }
 
+      // Check cache first (keyed by dataset version so a new import is used at once)
+      const [drug1, drug2] = interactionData.drugs;
+      const cacheKey = `drug_drug_interaction:${interactionData.datasetVersion}:${drug1.drugId}:${drug2.drugId}`;
+      const cachedResult = await this.cacheService.get(cacheKey);
+
+      if (cachedResult) {
+        return cachedResult;
+      }
+
+      const consolidatedInteraction = {
+        type: "drug-drug",
+        medication: this.getMedicationName(newMedication),
+        interactingMedication: this.getMedicationName(activeMedication),
+        severity: interactionData.severity,
+        mechanism: interactionData.mechanism,
+        clinicalEffect: interactionData.clinicalEffect,
+        management: interactionData.management,
+        evidence: interactionData.evidenceLevel,
+        references: interactionData.references,
+        sources: [interactionData.source],
+        datasetVersion: interactionData.datasetVersion,
+        confidence: 100,
+        riskScore: this.calculateInteractionRiskScore(interactionData.severity, 1),
+      };
+
       // Enhance with AI analysis
       const aiEnhancedInteraction = await this.enhanceInteractionWithAI(
         consolidatedInteraction,
@@ -2429,8 +2534,9 @@ class MedicationManagementService {
 
       return aiEnhancedInteraction;
     } catch (error) {
+      // A failed lookup must not read as "no interaction"
       console.error("Error analyzing drug-drug interaction:", error);
-      return null;
+      throw error;
     }
   }
 
@@ -2914,73 +3020,6 @@ class MedicationManagementService {
     return newProfile.criticalInteractionCount > 0;
   }
 
-  // Mock external API methods (would be replaced with real API calls)
-  async checkFDAInteractionDatabase(med1, med2) {
-    // Mock FDA interaction check
-    return {
-      hasInteraction: Math.random() > 0.8,
-      severity: "moderate",
-      source: "FDA",
-    };
-  }
-
-  async checkRxNormInteractions(med1, med2) {
-    // Mock RxNorm interaction check
-    return {
-      hasInteraction: Math.random() > 0.7,
-      severity: "minor",
-      source: "RxNorm",
-    };
-  }
-
-  async checkDrugBankInteractions(med1, med2) {
-    // Mock DrugBank interaction check
-    return {
-      hasInteraction: Math.random() > 0.6,
-      severity: "major",
-      source: "DrugBank",
-    };
-  }
-
-  async checkLexicompInteractions(med1, med2) {
-    // Mock Lexicomp interaction check
-    return {
-      hasInteraction: Math.random() > 0.75,
-      severity: "moderate",
-      source: "Lexicomp",
-    };
-  }
-
-  consolidateInteractionResults(sources, med1, med2) {
-    const validResults = sources
-      .filter(
-        (result) =>
-          result.status === "fulfilled" && result.value?.hasInteraction
-      )
-      .map((result) => result.value);
-
-    if (validResults.length === 0) {
-      return null;
-    }
-
-    // Consolidate multiple sources
-    const severities = validResults.map((r) => r.severity);
-    const highestSeverity = this.getHighestSeverity(severities);
-
-    return {
-      type: "drug-drug",
-      medication: med1.name,
-      interactingMedication: med2.medication.name,
-      severity: highestSeverity,
-      sources: validResults.map((r) => r.source),
-      confidence: Math.min(validResults.length * 25, 100),
-      riskScore: this.calculateInteractionRiskScore(
-        highestSeverity,
-        validResults.length
-      ),
-    };
-  }
-
   getHighestSeverity(severities) {
     const severityOrder = ["contraindicated", "major", "moderate", "minor"];
 
@@ -3119,7 +3158,7 @@ class MedicationManagementService {
   async performTherapeuticOptimization(userId, patientId, medicationId) {
     try {
       const medication = await Medication.findById(medicationId);
-      if (!medication) {
+      if (!medication || !(await organizationService.canAccess(medication, userId))) {
         throw new Error("Medication not found");
       }
 
@@ -3192,7 +3231,7 @@ class MedicationManagementService {
   async performPredictiveAdherenceModeling(userId, patientId, medicationId) {
     try {
       const medication = await Medication.findById(medicationId);
-      if (!medication) {
+      if (!medication || !(await organizationService.canAccess(medication, userId))) {
         throw new Error("Medication not found");
       }
 
@@ -3263,7 +3302,7 @@ class MedicationManagementService {
   async integrateWithClinicalDecisionSupport(userId, patientId, medicationId) {
     try {
       const medication = await Medication.findById(medicationId);
-      if (!medication) {
+      if (!medication || !(await organizationService.canAccess(medication, userId))) {
         throw new Error("Medication not found");
       }
 
@@ -4691,7 +4730,7 @@ class MedicationManagementService {
   getConfiguration() {
     return {
       ...this.config,
-      drugInteractionAPIs: this.drugInteractionAPIs,
+      drugInteractionDataset: this.interactionKB.index?.version || null,
       adherenceThresholds: this.adherenceThresholds,
       riskThresholds: this.riskThresholds
     };
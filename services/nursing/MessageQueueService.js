@@ -1,5 +1,19 @@
 import { EventEmitter } from "events";
 import Redis from "ioredis";
+import jobScheduler from "../jobSchedulerService.js";
+
+// In-memory queues of this process, swept by the message-queue.sweep job.
+// Published messages are processed straight away; the sweep picks up
+// delayed messages and anything left behind.
+const inMemoryQueues = new Set();
+
+jobScheduler.define("message-queue.sweep", () => {
+  for (const service of inMemoryQueues) {
+    for (const queueName of service.queues.keys()) {
+      service.processQueue(queueName);
+    }
+  }
+});
 
 class MessageQueueService extends EventEmitter {
   constructor() {
@@ -447,12 +461,10 @@ class MessageQueueService extends EventEmitter {
   // Start queue processors
   startQueueProcessors() {
     if (this.useInMemoryQueue) {
-      // Process queues every 100ms
-      this.processingInterval = setInterval(() => {
-        for (const queueName of this.queues.keys()) {
-          this.processQueue(queueName);
-        }
-      }, 100);
+      inMemoryQueues.add(this);
+      jobScheduler
+        .schedule("message-queue.sweep", { every: 1000, scope: "instance" })
+        .catch((error) => console.error("❌ MessageQueue: Could not schedule sweep:", error.message));
     }
   }
 
@@ -593,10 +605,7 @@ class MessageQueueService extends EventEmitter {
     try {
       console.log("🔄 MessageQueue: Shutting down...");
 
-      if (this.processingInterval) {
-        clearInterval(this.processingInterval);
-        this.processingInterval = null;
-      }
+      inMemoryQueues.delete(this);
 
       if (this.redis) {
         await this.redis.quit();
@@ -6,6 +6,9 @@ class MockCacheService extends EventEmitter {
     super();
     this.cache = new Map();
     this.timers = new Map();
+    this.tags = new Map();
+    this.keyTags = new Map();
+    this.buckets = new Map();
     this.defaultTTL = 3600; // 1 hour
     this.isConnected = true;
 
@@ -27,9 +30,16 @@ class MockCacheService extends EventEmitter {
 
   // Performance monitoring
   startPerformanceMonitoring() {
-    setInterval(() => {
+    this.metricsInterval = setInterval(() => {
       this.resetPerformanceMetrics();
     }, 3600000);
+    this.metricsInterval.unref?.();
+
+    // Refilled rate-limit buckets are dropped like the Redis keys expiring
+    this.bucketSweepInterval = setInterval(() => {
+      this.pruneBuckets();
+    }, 60000);
+    this.bucketSweepInterval.unref?.();
   }
 
   resetPerformanceMetrics() {
@@ -81,6 +91,7 @@ class MockCacheService extends EventEmitter {
         if (item) {
           this.cache.delete(key);
           this.clearTimer(key);
+          this.untag(key);
         }
 
         this.updatePerformanceMetrics("misses", responseTime);
@@ -147,6 +158,7 @@ class MockCacheService extends EventEmitter {
       const existed = this.cache.has(key);
       this.cache.delete(key);
       this.clearTimer(key);
+      this.untag(key);
 
       this.emit("cacheInvalidated", {
         key,
@@ -233,7 +245,9 @@ class MockCacheService extends EventEmitter {
     const timer = setTimeout(() => {
       this.cache.delete(key);
       this.timers.delete(key);
+      this.untag(key);
     }, ttl);
+    timer.unref?.();
     this.timers.set(key, timer);
   }
 
@@ -261,6 +275,110 @@ class MockCacheService extends EventEmitter {
     }
   }
 
+  async setWithTags(key, value, ttl = this.defaultTTL, tags = []) {
+    await this.set(key, value, ttl);
+    for (const tag of tags) {
+      if (!this.tags.has(tag)) {
+        this.tags.set(tag, new Set());
+      }
+      this.tags.get(tag).add(key);
+
+      if (!this.keyTags.has(key)) {
+        this.keyTags.set(key, new Set());
+      }
+      this.keyTags.get(key).add(tag);
+    }
+    return true;
+  }
+
+  async invalidateByTag(tag) {
+    const keys = this.tags.get(tag);
+    if (!keys) {
+      return 0;
+    }
+
+    const removed = [...keys];
+    for (const key of removed) {
+      await this.del(key);
+    }
+    this.tags.delete(tag);
+    return removed.length;
+  }
+
+  // Forget a removed entry's tags; tags left with no entries are dropped
+  untag(key) {
+    const tags = this.keyTags.get(key);
+    if (!tags) {
+      return;
+    }
+
+    for (const tag of tags) {
+      const keys = this.tags.get(tag);
+      keys?.delete(key);
+      if (keys?.size === 0) {
+        this.tags.delete(tag);
+      }
+    }
+    this.keyTags.delete(key);
+  }
+
+  // Same contract as NursingCacheService.consumeToken, local to this process
+  async consumeToken(key, capacity, refillPerMs, cost = 1) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: capacity, ts: now };
+    const tokens = Math.min(capacity, bucket.tokens + (now - bucket.ts) * refillPerMs);
+    const expiresAt = now + Math.ceil(capacity / refillPerMs) + 1000;
+
+    if (tokens >= cost) {
+      this.buckets.set(key, { tokens: tokens - cost, ts: now, expiresAt });
+      return { allowed: true, remaining: Math.floor(tokens - cost), retryAfterMs: 0 };
+    }
+
+    this.buckets.set(key, { tokens, ts: now, expiresAt });
+    return {
+      allowed: false,
+      remaining: Math.floor(tokens),
+      retryAfterMs: Math.ceil((cost - tokens) / refillPerMs),
+    };
+  }
+
+  pruneBuckets(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.expiresAt <= now) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  // Same contract as NursingCacheService.recordBreakerResult
+  async recordBreakerResult(key, success, threshold, ttl) {
+    const now = Date.now();
+    const item = this.cache.get(key);
+    const breaker =
+      item && (item.expiry === null || item.expiry > now)
+        ? item.value
+        : { status: "closed", failures: 0, openedAt: null };
+
+    if (success) {
+      if (breaker.status === "closed" && breaker.failures === 0) {
+        return breaker;
+      }
+      const closed = { status: "closed", failures: 0, openedAt: null };
+      await this.set(key, closed, ttl);
+      return closed;
+    }
+
+    const failures = breaker.failures + 1;
+    const open = breaker.status === "half-open" || failures >= threshold;
+    const next = {
+      status: open ? "open" : breaker.status,
+      failures,
+      openedAt: open ? now : breaker.openedAt,
+    };
+    await this.set(key, next, ttl);
+    return next;
+  }
+
   async initialize() {
     console.log("✅ Mock Cache Service initialized");
     this.emit("connected");
@@ -273,7 +391,12 @@ class MockCacheService extends EventEmitter {
       clearTimeout(timer);
     }
     this.timers.clear();
+    clearInterval(this.metricsInterval);
+    clearInterval(this.bucketSweepInterval);
     this.cache.clear();
+    this.tags.clear();
+    this.keyTags.clear();
+    this.buckets.clear();
   }
 
   async shutdown() {
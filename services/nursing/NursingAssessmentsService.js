@@ -1,7 +1,17 @@
 import NursingAssessment from "../../models/nursing/NursingAssessment.js";
 import EventManager from "./EventManager.js";
-import NursingCacheService from "./NursingCacheService.js";
+import ResilienceKernel from "./ResilienceKernel.js";
 import crypto from "crypto";
+import assessmentScoringEngine, {
+  AssessmentScoringError,
+} from "./AssessmentScoringEngine.js";
+
+// painAssessment.scale value recorded for each pain instrument
+const PAIN_SCALE_TYPES = {
+  "numeric-pain": "numeric",
+  "wong-baker": "faces",
+  painad: "behavioral",
+};
 
 // Custom error classes for Nursing Assessments Service
 class NursingAssessmentsServiceError extends Error {
@@ -135,66 +145,18 @@ class NursingAssessmentValidator {
       return { errors, warnings };
     }
 
-    // Validate based on tool type
-    switch (toolType) {
-      case "braden":
-        const bradenCategories = [
-          "sensoryPerception",
-          "moisture",
-          "activity",
-          "mobility",
-          "nutrition",
-          "frictionShear",
-        ];
-        for (const [key, value] of Object.entries(scores)) {
-          if (!bradenCategories.includes(key)) {
-            warnings.push(`Unknown Braden category: ${key}`);
-            continue;
-          }
-          if (typeof value !== "number" || value < 1 || value > 4) {
-            errors.push(`${key} score must be a number between 1 and 4`);
-          }
-        }
-        break;
-
-      case "morse":
-        const morseCategories = [
-          "historyOfFalls",
-          "secondaryDiagnosis",
-          "ambulatoryAid",
-          "ivTherapy",
-          "gait",
-          "mentalStatus",
-        ];
-        for (const [key, value] of Object.entries(scores)) {
-          if (!morseCategories.includes(key)) {
-            warnings.push(`Unknown Morse category: ${key}`);
-            continue;
-          }
-          if (typeof value !== "number" || value < 0 || value > 25) {
-            errors.push(`${key} score must be a number between 0 and 25`);
-          }
-        }
-        break;
-
-      case "mmse":
-        const mmseCategories = [
-          "orientation",
-          "registration",
-          "attentionCalculation",
-          "recall",
-          "language",
-        ];
-        for (const [key, value] of Object.entries(scores)) {
-          if (!mmseCategories.includes(key)) {
-            warnings.push(`Unknown MMSE category: ${key}`);
-            continue;
-          }
-          if (typeof value !== "number" || value < 0 || value > 30) {
-            errors.push(`${key} score must be a number between 0 and 30`);
-          }
-        }
-        break;
+    // Item-level validation against the instrument definition
+    if (assessmentScoringEngine.getInstrument(toolType)) {
+      try {
+        assessmentScoringEngine.score(toolType, scores);
+      } catch (error) {
+        if (!(error instanceof AssessmentScoringError)) throw error;
+        errors.push(
+          ...(error.details.length > 0
+            ? error.details.map((detail) => `${detail.item}: ${detail.message}`)
+            : [error.message])
+        );
+      }
     }
 
     return { errors, warnings };
@@ -275,8 +237,9 @@ class NursingAssessmentValidator {
   }
 
   static isValidToolType(toolType) {
-    const validTools = ["braden", "morse", "mmse", "custom"];
-    return validTools.includes(toolType);
+    return (
+      toolType === "custom" || Boolean(assessmentScoringEngine.getInstrument(toolType))
+    );
   }
 
   static isValidDate(dateString) {
@@ -318,7 +281,6 @@ class NursingAssessmentValidator {
 export class NursingAssessmentsService {
   constructor() {
     this.eventManager = new EventManager();
-    this.cache = new NursingCacheService();
 
     // Enhanced configuration with environment variables
     this.config = {
@@ -333,8 +295,6 @@ export class NursingAssessmentsService {
       },
       cache: {
         ttl: parseInt(process.env.NURSING_ASSESSMENTS_CACHE_TTL) || 300000, // 5 minutes
-        maxSize:
-          parseInt(process.env.NURSING_ASSESSMENTS_CACHE_MAX_SIZE) || 1000,
       },
       circuitBreaker: {
         threshold:
@@ -352,103 +312,21 @@ export class NursingAssessmentsService {
       },
     };
 
-    // Standardized assessment tools configuration
-    this.assessmentTools = {
-      braden: {
-        name: "Braden Scale for Predicting Pressure Sore Risk",
-        categories: [
-          "sensoryPerception",
-          "moisture",
-          "activity",
-          "mobility",
-          "nutrition",
-          "frictionShear",
-        ],
-        scoring: {
-          min: 6,
-          max: 23,
-          riskLevels: {
-            high: { min: 6, max: 9 },
-            moderate: { min: 10, max: 12 },
-            mild: { min: 13, max: 14 },
-            minimal: { min: 15, max: 18 },
-            noRisk: { min: 19, max: 23 },
-          },
-        },
-      },
-      morse: {
-        name: "Morse Fall Scale",
-        categories: [
-          "historyOfFalls",
-          "secondaryDiagnosis",
-          "ambulatoryAid",
-          "ivTherapy",
-          "gait",
-          "mentalStatus",
-        ],
-        scoring: {
-          min: 0,
-          max: 125,
-          riskLevels: {
-            low: { min: 0, max: 24 },
-            moderate: { min: 25, max: 44 },
-            high: { min: 45, max: 125 },
-          },
-        },
-      },
-      mmse: {
-        name: "Mini-Mental State Examination",
-        categories: [
-          "orientation",
-          "registration",
-          "attentionCalculation",
-          "recall",
-          "language",
-        ],
-        scoring: {
-          min: 0,
-          max: 30,
-          cognitiveImpairment: {
-            severe: { min: 0, max: 9 },
-            moderate: { min: 10, max: 18 },
-            mild: { min: 19, max: 23 },
-            normal: { min: 24, max: 30 },
-          },
-        },
-      },
-    };
+    // Standardized assessment instruments: item definitions and scoring
+    this.scoringEngine = assessmentScoringEngine;
 
-    // Enhanced performance metrics
-    this.performanceMetrics = {
-      totalRequests: 0,
-      successfulRequests: 0,
-      failedRequests: 0,
-      averageResponseTime: 0,
-      totalResponseTime: 0,
-      cacheHits: 0,
-      cacheMisses: 0,
+    // Rate limits, circuit breakers, cache and metrics
+    this.resilience = new ResilienceKernel("NursingAssessmentsService", {
+      rateLimit: this.config.rateLimit,
+      circuitBreaker: this.config.circuitBreaker,
+      cache: this.config.cache,
       errors: {
-        validation: 0,
-        rateLimit: 0,
-        serviceUnavailable: 0,
-        database: 0,
-        ai: 0,
+        rateLimit: (message, retryAfter) => new RateLimitError(message, retryAfter),
+        unavailable: (message, dependency) =>
+          new ServiceUnavailableError(message, dependency),
       },
-    };
-
-    // Rate limiting tracker
-    this.rateLimitTracker = {};
-
-    // Circuit breaker state
-    this.circuitBreakerState = {
-      database: { status: "closed", failures: 0, lastFailure: null },
-      ai: { status: "closed", failures: 0, lastFailure: null },
-      cache: { status: "closed", failures: 0, lastFailure: null },
-    };
-
-    // Cache for intelligent caching
-    this.cache = {};
-    this.cacheTimestamps = {};
+    });
+    this.performanceMetrics = this.resilience.metrics;
     this.requestCounter = 0;
   }
 
@@ -483,122 +361,6 @@ export class NursingAssessmentsService {
     console.error(JSON.stringify(logEntry));
   }
 
-  checkRateLimit(userId) {
-    const now = Date.now();
-    const userKey = `user_${userId}`;
-
-    if (!this.rateLimitTracker[userKey]) {
-      this.rateLimitTracker[userKey] = {
-        count: 0,
-        resetTime: now + this.config.rateLimit.windowMs,
-      };
-    }
-
-    const userLimit = this.rateLimitTracker[userKey];
-
-    if (now > userLimit.resetTime) {
-      userLimit.count = 0;
-      userLimit.resetTime = now + this.config.rateLimit.windowMs;
-    }
-
-    if (userLimit.count >= this.config.rateLimit.maxRequests) {
-      const retryAfter = Math.ceil((userLimit.resetTime - now) / 1000);
-      throw new RateLimitError(
-        `Rate limit exceeded for user ${userId}`,
-        retryAfter
-      );
-    }
-
-    userLimit.count++;
-  }
-
-  checkCircuitBreaker(service) {
-    const breaker = this.circuitBreakerState[service];
-    if (!breaker) return;
-
-    if (breaker.status === "open") {
-      const timeSinceLastFailure = Date.now() - breaker.lastFailure;
-      if (timeSinceLastFailure < this.config.circuitBreaker.timeout) {
-        throw new ServiceUnavailableError(
-          `${service} service is temporarily unavailable`,
-          service
-        );
-      }
-      breaker.status = "half-open";
-    }
-  }
-
-  updateCircuitBreaker(service, success) {
-    const breaker = this.circuitBreakerState[service];
-    if (!breaker) return;
-
-    if (success) {
-      breaker.status = "closed";
-      breaker.failures = 0;
-    } else {
-      breaker.failures++;
-      if (breaker.failures >= this.config.circuitBreaker.threshold) {
-        breaker.status = "open";
-        breaker.lastFailure = Date.now();
-      }
-    }
-  }
-
-  generateCacheKey(prefix, data) {
-    const dataString = JSON.stringify(data);
-    const hash = crypto.createHash("md5").update(dataString).digest("hex");
-    return `${prefix}_${hash}`;
-  }
-
-  getFromCache(cacheKey) {
-    const cached = this.cache[cacheKey];
-    if (!cached) {
-      this.performanceMetrics.cacheMisses++;
-      return null;
-    }
-
-    const now = Date.now();
-    if (now - cached.timestamp > this.config.cache.ttl) {
-      delete this.cache[cacheKey];
-      this.performanceMetrics.cacheMisses++;
-      return null;
-    }
-
-    this.performanceMetrics.cacheHits++;
-    return cached.data;
-  }
-
-  setCache(cacheKey, data) {
-    // Implement cache size limit
-    const cacheKeys = Object.keys(this.cache);
-    if (cacheKeys.length >= this.config.cache.maxSize) {
-      // Remove oldest entry
-      const oldestKey = cacheKeys.reduce((oldest, key) =>
-        this.cache[key].timestamp < this.cache[oldest].timestamp ? key : oldest
-      );
-      delete this.cache[oldestKey];
-    }
-
-    this.cache[cacheKey] = {
-      data,
-      timestamp: Date.now(),
-    };
-  }
-
-  updateMetrics(success, responseTime) {
-    this.performanceMetrics.totalRequests++;
-    this.performanceMetrics.totalResponseTime += responseTime;
-    this.performanceMetrics.averageResponseTime =
-      this.performanceMetrics.totalResponseTime /
-      this.performanceMetrics.totalRequests;
-
-    if (success) {
-      this.performanceMetrics.successfulRequests++;
-    } else {
-      this.performanceMetrics.failedRequests++;
-    }
-  }
-
   validateInputs(data, context = {}) {
     const validation = NursingAssessmentValidator.validateAssessmentData(
       data,
@@ -635,179 +397,44 @@ export class NursingAssessmentsService {
     }
   }
 
-  // Service monitoring and management methods
-  getServiceStatus() {
-    try {
-      const cacheHitRate = this.calculateCacheHitRate();
-      const totalRequests = this.performanceMetrics.totalRequests || 0;
-      const successRate =
-        totalRequests > 0
-          ? (
-              ((this.performanceMetrics.successfulRequests || 0) /
-                totalRequests) *
-              100
-            ).toFixed(2)
-          : 0;
+  // Monitoring: the metrics and health contract shared by the nursing
+  // services through the resilience kernel
+  async getServiceStatus() {
+    return {
+      ...(await this.healthCheck()),
+      configuration: this.getConfiguration(),
+    };
+  }
 
-      return {
-        service: "NursingAssessmentsService",
-        status: "operational",
-        timestamp: new Date().toISOString(),
-        metrics: {
-          ...this.performanceMetrics,
-          successRate: `${successRate}%`,
-          averageResponseTime: this.performanceMetrics.averageResponseTime || 0,
-        },
-        cache: {
-          size: Object.keys(this.cache).length,
-          hitRate: `${(cacheHitRate * 100).toFixed(2)}%`,
-          maxSize: this.config.cache.maxSize,
-        },
-        circuitBreakers: Object.keys(this.circuitBreakerState).map(
-          (service) => ({
-            service,
-            state: this.circuitBreakerState[service].status,
-            failures: this.circuitBreakerState[service].failures,
-          })
-        ),
-        rateLimits: {
-          activeUsers: Object.keys(this.rateLimitTracker).length,
-          maxRateLimit: this.config.rateLimit.maxRequests,
-        },
-        configuration: {
-          aiProvider: this.config.aiProvider,
-          cacheTTL: this.config.cache.ttl,
-          circuitBreakerThreshold: this.config.circuitBreaker.threshold,
-        },
-      };
-    } catch (error) {
-      this.logError("Error getting service status", error, {});
-      return {
-        service: "NursingAssessmentsService",
-        status: "error",
-        timestamp: new Date().toISOString(),
-        error: error.message,
-      };
-    }
+  getPerformanceMetrics() {
+    return this.resilience.getMetrics();
   }
 
-  calculateCacheHitRate() {
-    const totalRequests =
-      this.performanceMetrics.cacheHits + this.performanceMetrics.cacheMisses;
-    return totalRequests > 0
-      ? this.performanceMetrics.cacheHits / totalRequests
-      : 0;
+  getErrorReport() {
+    return this.resilience.getErrorReport();
   }
 
-  getPerformanceMetrics() {
-    return {
-      ...this.performanceMetrics,
-      cacheHitRate: this.calculateCacheHitRate(),
-      successRate:
-        this.performanceMetrics.totalRequests > 0
-          ? (
-              (this.performanceMetrics.successfulRequests /
-                this.performanceMetrics.totalRequests) *
-              100
-            ).toFixed(2)
-          : 0,
-    };
+  async healthCheck() {
+    return this.resilience.healthCheck();
   }
 
-  clearCache() {
-    this.cache = {};
-    this.cacheTimestamps = {};
+  async clearCache() {
+    await this.resilience.clearCache();
     this.logInfo("Cache cleared");
   }
 
-  resetCircuitBreakers() {
-    Object.keys(this.circuitBreakerState).forEach((service) => {
-      this.circuitBreakerState[service] = {
-        status: "closed",
-        failures: 0,
-        lastFailure: null,
-      };
-    });
+  async resetCircuitBreakers() {
+    await this.resilience.resetCircuitBreakers();
     this.logInfo("Circuit breakers reset");
   }
 
   getConfiguration() {
     return {
       ...this.config,
-      assessmentTools: Object.keys(this.assessmentTools).length,
+      assessmentTools: this.scoringEngine.listInstruments().length,
     };
   }
 
-  getErrorReport(timeframe = "24h") {
-    const cutoff = Date.now() - (timeframe === "24h" ? 86400000 : 3600000);
-    return {
-      timeframe,
-      totalErrors:
-        this.performanceMetrics.errors.validation +
-        this.performanceMetrics.errors.rateLimit +
-        this.performanceMetrics.errors.serviceUnavailable +
-        this.performanceMetrics.errors.database +
-        this.performanceMetrics.errors.ai,
-      errorBreakdown: this.performanceMetrics.errors,
-      circuitBreakerStatus: this.circuitBreakerState,
-      timestamp: new Date().toISOString(),
-    };
-  }
-
-  healthCheck() {
-    try {
-      const cacheStatus =
-        Object.keys(this.cache).length < this.config.cache.maxSize;
-      const circuitBreakerStatus = Object.values(
-        this.circuitBreakerState
-      ).every((state) => state.status === "closed");
-      const rateLimitStatus = Object.keys(this.rateLimitTracker).length < 1000; // Reasonable limit
-
-      const overallStatus =
-        cacheStatus && circuitBreakerStatus && rateLimitStatus
-          ? "healthy"
-          : "degraded";
-
-      return {
-        service: "NursingAssessmentsService",
-        status: overallStatus,
-        timestamp: new Date().toISOString(),
-        version: "1.0.0",
-        checks: {
-          cache: {
-            status: cacheStatus ? "healthy" : "warning",
-            size: Object.keys(this.cache).length,
-            maxSize: this.config.cache.maxSize,
-          },
-          circuitBreakers: {
-            status: circuitBreakerStatus ? "healthy" : "warning",
-            openBreakers: Object.values(this.circuitBreakerState).filter(
-              (state) => state.status === "open"
-            ).length,
-          },
-          rateLimits: {
-            status: rateLimitStatus ? "healthy" : "warning",
-            activeUsers: Object.keys(this.rateLimitTracker).length,
-          },
-        },
-        metrics: {
-          totalRequests: this.performanceMetrics.totalRequests || 0,
-          successfulRequests: this.performanceMetrics.successfulRequests || 0,
-          averageResponseTime: this.performanceMetrics.averageResponseTime || 0,
-        },
-      };
-    } catch (error) {
-      this.logError("Error during health check", error, {});
-      return {
-        service: "NursingAssessmentsService",
-        status: "unhealthy",
-        timestamp: new Date().toISOString(),
-        version: "1.0.0",
-        error: error.message,
-      };
-    }
-  }
-
   /**
    * Create a new nursing assessment with enhanced error handling and monitoring
    */
@@ -817,8 +444,8 @@ export class NursingAssessmentsService {
 
     try {
       // Input validation and rate limiting
-      this.checkRateLimit(userId);
-      this.checkCircuitBreaker("database");
+      await this.resilience.checkRateLimit(userId);
+      await this.resilience.checkCircuitBreaker("database");
 
       // Validate inputs
       this.validateInputs(assessmentData, {
@@ -828,12 +455,12 @@ export class NursingAssessmentsService {
       });
 
       // Check cache first
-      const cacheKey = this.generateCacheKey("assessment", {
+      const cacheKey = this.resilience.cacheKey("assessment", {
         patientId: assessmentData.patientId,
         assessmentType: assessmentData.assessmentType,
         userId,
       });
-      const cachedAssessment = this.getFromCache(cacheKey);
+      const cachedAssessment = await this.resilience.getCached(cacheKey);
 
       if (cachedAssessment) {
         this.logInfo("Assessment retrieved from cache", {
@@ -864,10 +491,6 @@ export class NursingAssessmentsService {
       try {
         if (assessment.assessmentType === "fall-risk") {
           assessment.calculateMorseScore();
-        } else if (assessment.assessmentType === "pressure-ulcer") {
-          assessment.calculateBradenScore();
-        } else if (assessment.assessmentType === "cognitive") {
-          assessment.calculateMMSEScore();
         }
       } catch (scoreError) {
         this.logError("Error calculating assessment scores", scoreError, {
@@ -880,11 +503,10 @@ export class NursingAssessmentsService {
 
       // Generate AI insights with circuit breaker protection
       try {
-        this.checkCircuitBreaker("ai");
-        await assessment.generateAIInsights();
-        this.updateCircuitBreaker("ai", true);
+        await this.resilience.execute("ai", () =>
+          assessment.generateAIInsights()
+        );
       } catch (aiError) {
-        this.updateCircuitBreaker("ai", false);
         this.logError("Error generating AI insights", aiError, {
           requestId,
           assessmentType: assessment.assessmentType,
@@ -905,7 +527,7 @@ export class NursingAssessmentsService {
       });
 
       // Cache assessment data
-      await this.cache.setAssessment(assessment._id.toString(), assessment);
+      await this.cacheAssessment(assessment);
 
       return {
         success: true,
@@ -922,13 +544,21 @@ export class NursingAssessmentsService {
     }
   }
 
+  // Single assessments are cached by id and tagged with their patient
+  async cacheAssessment(assessment) {
+    const patientId = assessment.patientId?._id || assessment.patientId;
+    await this.resilience.setCached(`assessment:${assessment._id}`, assessment, {
+      tags: [`patient:${patientId}`],
+    });
+  }
+
   /**
    * Get assessment by ID
    */
   async getAssessment(assessmentId) {
     try {
       // Try cache first
-      let assessment = await this.cache.getAssessment(assessmentId);
+      let assessment = await this.resilience.getCached(`assessment:${assessmentId}`);
 
       if (!assessment) {
         // Fetch from database
@@ -938,7 +568,7 @@ export class NursingAssessmentsService {
 
         if (assessment) {
           // Cache for future requests
-          await this.cache.setAssessment(assessmentId, assessment);
+          await this.cacheAssessment(assessment);
         }
       }
 
@@ -1074,7 +704,7 @@ export class NursingAssessmentsService {
       });
 
       // Update cache
-      await this.cache.setAssessment(assessmentId, assessment);
+      await this.cacheAssessment(assessment);
 
       return {
         success: true,
@@ -1101,47 +731,46 @@ export class NursingAssessmentsService {
     assessmentData
   ) {
     try {
-      const tool = this.assessmentTools[toolType];
+      // Score first so invalid responses never produce an assessment record
+      const score = this.calculateToolScores(toolType, assessmentData);
+      const tool = this.scoringEngine.getInstrument(toolType);
 
-      if (!tool) {
-        return {
-          success: false,
-          error: `Unknown assessment tool: ${toolType}`,
-          assessment: null,
-        };
-      }
-
-      // Create assessment with tool-specific structure
-      const assessment = await this.createAssessment({
-        patientId,
-        userId,
-        assessmentType: this.getAssessmentTypeFromTool(toolType),
-        assessmentData: this.formatToolData(toolType, assessmentData),
-        metadata: {
-          assessmentTool: tool.name,
-          startTime: new Date(),
+      const assessment = await this.createAssessment(
+        {
+          patientId,
+          userId,
+          assessmentDate: new Date(),
+          assessmentType: tool.assessmentType,
+          assessmentData: this.formatToolData(toolType, score),
+          instrumentScores: [score],
+          metadata: {
+            assessmentTool: tool.name,
+            startTime: new Date(),
+          },
         },
-      });
+        userId
+      );
 
       if (assessment.success) {
-        // Calculate tool-specific scores
-        const scores = await this.calculateToolScores(
-          toolType,
-          assessment.assessment
-        );
-
-        // Update assessment with scores
-        assessment.assessment.aiAnalysis.toolScores = scores;
-        await assessment.assessment.save();
-
         return {
           ...assessment,
-          scores,
+          scores: score,
         };
       }
 
       return assessment;
     } catch (error) {
+      if (error instanceof AssessmentScoringError) {
+        return {
+          success: false,
+          error: error.message,
+          code: error.code,
+          statusCode: error.statusCode,
+          details: error.details,
+          assessment: null,
+        };
+      }
+
       console.error("Error performing standardized assessment:", error);
       return {
         success: false,
@@ -1352,89 +981,43 @@ export class NursingAssessmentsService {
   }
 
   getAssessmentTypeFromTool(toolType) {
-    const mapping = {
-      braden: "wound",
-      morse: "fall-risk",
-      mmse: "mental-status",
-    };
-
-    return mapping[toolType] || "focused";
+    return this.scoringEngine.getInstrument(toolType)?.assessmentType || "focused";
   }
 
-  formatToolData(toolType, data) {
-    // Format data according to tool requirements
+  // Mirror the score into the legacy assessmentData fields that the
+  // completeness and AI insight calculations read
+  formatToolData(toolType, score) {
     switch (toolType) {
       case "morse":
         return {
           fallRiskAssessment: {
-            morseScale: data,
+            morseScale: { ...score.itemScores, totalScore: score.totalScore },
           },
         };
       case "mmse":
         return {
-          mentalStatusExam: data,
+          mentalStatusExam: { mmseScore: score.totalScore },
         };
-      default:
-        return data;
-    }
-  }
-
-  async calculateToolScores(toolType, assessment) {
-    const tool = this.assessmentTools[toolType];
-    const scores = {};
-
-    switch (toolType) {
-      case "morse":
-        const morseResult = assessment.calculateMorseScore();
-        scores.morseScale = {
-          totalScore: morseResult.totalScore,
-          riskLevel: morseResult.riskLevel,
-          maxScore: tool.scoring.max,
+      case "numeric-pain":
+      case "wong-baker":
+      case "painad":
+        return {
+          painAssessment: {
+            intensity: score.totalScore,
+            scale: PAIN_SCALE_TYPES[toolType],
+          },
         };
-        break;
-
-      case "braden":
-        // Implement Braden scale calculation
-        scores.bradenScale = this.calculateBradenScore(assessment);
-        break;
-
-      case "mmse":
-        // Implement MMSE calculation
-        scores.mmse = this.calculateMMSEScore(assessment);
-        break;
+      default:
+        return {};
     }
-
-    return scores;
-  }
-
-  calculateBradenScore(assessment) {
-    // Placeholder for Braden scale calculation
-    return {
-      totalScore: 15,
-      riskLevel: "mild",
-      maxScore: 23,
-    };
   }
 
-  calculateMMSEScore(assessment) {
-    // Placeholder for MMSE calculation
-    const mmseData = assessment.assessmentData?.mentalStatusExam;
-    if (mmseData?.mmseScore) {
-      const score = mmseData.mmseScore;
-      let cognitiveLevel = "normal";
-
-      if (score <= 9) cognitiveLevel = "severe";
-      else if (score <= 18) cognitiveLevel = "moderate";
-      else if (score <= 23) cognitiveLevel = "mild";
-
-      return {
-        totalScore: score,
-        cognitiveLevel,
-        maxScore: 30,
-      };
-    }
-
-    return null;
+  /**
+   * Validate and score item responses for a standardized instrument.
+   * Throws AssessmentScoringError on an unknown tool or invalid responses.
+   */
+  calculateToolScores(toolType, responses) {
+    return this.scoringEngine.score(toolType, responses);
   }
 
   getChanges(original, updated) {
@@ -1464,7 +1047,8 @@ export class NursingAssessmentsService {
       }
     }
 
-    if (assessment.assessmentData?.mentalStatusExam?.mmseScore) {
+    // An MMSE of 0 is a real (severely impaired) score
+    if (assessment.assessmentData?.mentalStatusExam?.mmseScore != null) {
       scores.mmse = assessment.assessmentData.mentalStatusExam.mmseScore;
     }
 
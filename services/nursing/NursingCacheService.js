@@ -1,6 +1,92 @@
 import redis from "redis";
 import StorageOptimizationService from "./StorageOptimizationService.js";
 import EventEmitter from "events";
+import jobScheduler from "../jobSchedulerService.js";
+
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call("HMGET", KEYS[1], "tokens", "ts")
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+local allowed = 0
+local retryAfter = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+else
+  retryAfter = math.ceil((cost - tokens) / rate)
+end
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "ts", tostring(now))
+redis.call("PEXPIRE", KEYS[1], math.ceil(capacity / rate) + 1000)
+return { allowed, math.floor(tokens), retryAfter }
+`;
+
+const BREAKER_RESULT_SCRIPT = `
+local success = ARGV[1] == "1"
+local threshold = tonumber(ARGV[2])
+local ttl = tonumber(ARGV[3])
+local raw = redis.call("GET", KEYS[1])
+local breaker = raw and cjson.decode(raw) or { status = "closed", failures = 0 }
+local failures = tonumber(breaker.failures) or 0
+local openedAt = tonumber(breaker.openedAt)
+local status = breaker.status or "closed"
+if success then
+  if status == "closed" and failures == 0 then
+    return cjson.encode({ status = status, failures = failures, openedAt = openedAt or cjson.null })
+  end
+  status = "closed"
+  failures = 0
+  openedAt = nil
+else
+  failures = failures + 1
+  if status == "half-open" or failures >= threshold then
+    local time = redis.call("TIME")
+    status = "open"
+    openedAt = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+  end
+end
+local state = cjson.encode({ status = status, failures = failures, openedAt = openedAt or cjson.null })
+redis.call("SET", KEYS[1], state, "EX", ttl)
+return state
+`;
+
+// Every cache in this process. Metrics and batch invalidations are
+// per-process, so those jobs run on each instance against all of them;
+// memory and tag maintenance act on the shared Redis and run once.
+const caches = new Set();
+const connectedCaches = () => [...caches].filter((cache) => cache.isConnected);
+let jobsScheduled = false;
+
+jobScheduler.define("nursing-cache.reset-metrics", () => {
+  caches.forEach((cache) => cache.resetPerformanceMetrics());
+});
+jobScheduler.define("nursing-cache.batch-invalidations", () =>
+  Promise.all(connectedCaches().map((cache) => cache.processBatchInvalidations()))
+);
+jobScheduler.define("nursing-cache.performance-report", () => {
+  connectedCaches().forEach((cache) => cache.emitPerformanceReport());
+});
+jobScheduler.define("nursing-cache.optimize-memory", async () => {
+  await connectedCaches()[0]?.optimizeMemoryUsage();
+});
+jobScheduler.define("nursing-cache.tag-cleanup", async () => {
+  await connectedCaches()[0]?.cleanupTagReferences();
+});
+
+function scheduleCacheJobs() {
+  if (jobsScheduled) return;
+  jobsScheduled = true;
+  Promise.all([
+    jobScheduler.schedule("nursing-cache.reset-metrics", { every: 3600000, scope: "instance" }),
+    jobScheduler.schedule("nursing-cache.batch-invalidations", { every: 30000, scope: "instance" }),
+    jobScheduler.schedule("nursing-cache.performance-report", { every: 300000, scope: "instance" }),
+  ]).catch((error) => console.error("Failed to schedule cache jobs:", error.message));
+}
 
 class NursingCacheService extends EventEmitter {
   constructor() {
@@ -51,12 +137,11 @@ class NursingCacheService extends EventEmitter {
     this.startPerformanceMonitoring();
   }
 
-  // Enhanced performance monitoring
+  // Enhanced performance monitoring: metrics reset hourly by the
+  // nursing-cache.reset-metrics job
   startPerformanceMonitoring() {
-    // Reset metrics every hour
-    setInterval(() => {
-      this.resetPerformanceMetrics();
-    }, 3600000);
+    caches.add(this);
+    scheduleCacheJobs();
   }
 
   resetPerformanceMetrics() {
@@ -487,21 +572,20 @@ class NursingCacheService extends EventEmitter {
     }
   }
 
-  // Start maintenance tasks
+  // Start maintenance tasks. Batch invalidations (every 30 seconds) and
+  // performance reports (every 5 minutes) are scheduler jobs that run for
+  // every connected cache.
   startMaintenanceTasks() {
-    // Process batch invalidations every 30 seconds
-    setInterval(async () => {
-      await this.processBatchInvalidations();
-    }, 30000);
-
-    // Emit performance metrics every 5 minutes
-    setInterval(() => {
-      this.emit("performanceReport", {
-        ...this.performanceMetrics,
-        hitRate: this.calculateHitRate(),
-        timestamp: new Date(),
-      });
-    }, 300000);
+    caches.add(this);
+    scheduleCacheJobs();
+  }
+
+  emitPerformanceReport() {
+    this.emit("performanceReport", {
+      ...this.performanceMetrics,
+      hitRate: this.calculateHitRate(),
+      timestamp: new Date(),
+    });
   }
 
   // Calculate current hit rate
@@ -1006,6 +1090,30 @@ class NursingCacheService extends EventEmitter {
     }
   }
 
+  // Token bucket shared by every instance using this Redis database. The
+  // script refills from Redis server time so clock skew between app
+  // servers does not matter. refillPerMs is tokens added per millisecond.
+  async consumeToken(key, capacity, refillPerMs, cost = 1) {
+    const result = await this.redisClient.eval(TOKEN_BUCKET_SCRIPT, {
+      keys: [key],
+      arguments: [String(capacity), String(refillPerMs), String(cost)],
+    });
+
+    const [allowed, remaining, retryAfterMs] = result.map(Number);
+    return { allowed: allowed === 1, remaining, retryAfterMs };
+  }
+
+  // Circuit breaker result applied in one script, so instances recording
+  // at the same time cannot overwrite each other's failure counts. The
+  // state is stored as JSON and reads back through get().
+  async recordBreakerResult(key, success, threshold, ttl) {
+    const state = await this.redisClient.eval(BREAKER_RESULT_SCRIPT, {
+      keys: [key],
+      arguments: [success ? "1" : "0", String(threshold), String(ttl)],
+    });
+    return JSON.parse(state);
+  }
+
   // Cache warming strategies
   async warmCache(dataType, identifiers = []) {
     console.log(`🔥 Starting cache warming for ${dataType}`);
@@ -1220,41 +1328,44 @@ class NursingCacheService extends EventEmitter {
     }
   }
 
-  // Scheduled cache maintenance
+  // Scheduled cache maintenance, run by one instance for the shared Redis
   startMaintenanceScheduler() {
-    // Run memory optimization every hour
-    setInterval(async () => {
-      await this.optimizeMemoryUsage();
-    }, 60 * 60 * 1000);
+    caches.add(this);
+    Promise.all([
+      // Memory optimization every hour
+      jobScheduler.schedule("nursing-cache.optimize-memory", { every: 60 * 60 * 1000 }),
+      // Expired tag references every 30 minutes
+      jobScheduler.schedule("nursing-cache.tag-cleanup", { every: 30 * 60 * 1000 }),
+    ]).catch((error) => console.error("Failed to schedule cache maintenance:", error.message));
 
-    // Clean up expired tag references every 30 minutes
-    setInterval(async () => {
-      try {
-        const tagKeys = await this.redisClient.keys("tag:*");
-        for (const tagKey of tagKeys) {
-          const members = await this.redisClient.sMembers(tagKey);
-          const validMembers = [];
-
-          for (const member of members) {
-            const exists = await this.redisClient.exists(member);
-            if (exists) {
-              validMembers.push(member);
-            }
+    console.log("🕐 Cache maintenance scheduler started");
+  }
+
+  // Drop tag members whose keys have expired
+  async cleanupTagReferences() {
+    try {
+      const tagKeys = await this.redisClient.keys("tag:*");
+      for (const tagKey of tagKeys) {
+        const members = await this.redisClient.sMembers(tagKey);
+        const validMembers = [];
+
+        for (const member of members) {
+          const exists = await this.redisClient.exists(member);
+          if (exists) {
+            validMembers.push(member);
           }
+        }
 
-          if (validMembers.length !== members.length) {
-            await this.redisClient.del(tagKey);
-            if (validMembers.length > 0) {
-              await this.redisClient.sAdd(tagKey, validMembers);
-            }
+        if (validMembers.length !== members.length) {
+          await this.redisClient.del(tagKey);
+          if (validMembers.length > 0) {
+            await this.redisClient.sAdd(tagKey, validMembers);
           }
         }
-      } catch (error) {
-        console.error("Tag cleanup error:", error);
       }
-    }, 30 * 60 * 1000);
-
-    console.log("🕐 Cache maintenance scheduler started");
+    } catch (error) {
+      console.error("Tag cleanup error:", error);
+    }
   }
 
   // Cleanup and shutdown
@@ -1269,6 +1380,7 @@ class NursingCacheService extends EventEmitter {
   }
 
   async shutdown() {
+    caches.delete(this);
     try {
       if (this.redisClient) {
         await this.redisClient.quit();
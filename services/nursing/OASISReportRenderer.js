@@ -0,0 +1,492 @@
+import PDFDocument from "pdfkit";
+
+// Renders OASIS assessments for chart audits.
+//
+// Items are grouped in the same sections as models/nursing/OASISAssessment.js.
+// Scores are shown for the items that feed calculateScores() (functional and
+// cognitive domains); other items are reported as answered.
+
+export const OASIS_REPORT_SECTIONS = [
+  {
+    title: "Administrative",
+    items: {
+      M0010: "Agency Medicare Provider Number",
+      M0014: "Branch State",
+      M0016: "Branch ID Number",
+      M0018: "National Provider Identifier",
+      M0020: "Patient ID Number",
+      M0030: "Start of Care Date",
+      M0032: "Resumption of Care Date",
+    },
+  },
+  {
+    title: "Patient Demographics and History",
+    items: {
+      M0040: "Patient Name",
+      M0050: "Patient State of Residence",
+      M0060: "Patient ZIP Code",
+      M0063: "Medicare Number",
+      M0064: "Social Security Number",
+      M0065: "Medicaid Number",
+      M0066: "Birth Date",
+      M0069: "Gender",
+      M0070: "Race/Ethnicity",
+      M0072: "Primary Language",
+    },
+  },
+  {
+    title: "Clinical Record",
+    items: {
+      M0080: "Discipline of Person Completing Assessment",
+      M0090: "Date Assessment Completed",
+      M0100: "Reason for Assessment",
+      M0102: "Date of Physician Ordered Start of Care",
+      M0104: "Date of Referral",
+    },
+  },
+  {
+    title: "Patient History and Diagnoses",
+    items: {
+      M0110: "Episode Timing",
+      M0140: "Race/Ethnicity",
+      M1000: "Inpatient Facility Discharged From",
+      M1005: "Inpatient Discharge Date",
+      M1010: "Inpatient Diagnoses (ICD-10-CM)",
+      M1011: "Inpatient Procedures (ICD-10-PCS)",
+      M1016: "Diagnoses Requiring Regimen Change",
+      M1018: "Conditions Prior to Regimen Change",
+      M1020: "Primary Diagnosis",
+      M1021: "Other Diagnoses",
+      M1023: "Other Diagnoses",
+      M1025: "Other Diagnoses",
+      M1027: "Other Diagnoses",
+      M1029: "Other Diagnoses",
+      M1031: "Other Diagnoses",
+    },
+  },
+  {
+    title: "Living Arrangements",
+    items: {
+      M1100: "Patient Living Situation",
+      M1110: "Availability of Assistance",
+    },
+  },
+  {
+    title: "Sensory Status",
+    items: {
+      M1200: "Vision",
+      M1210: "Ability to Hear",
+      M1220: "Understanding of Verbal Content",
+      M1230: "Speech and Oral Expression",
+    },
+  },
+  {
+    title: "Integumentary Status",
+    items: {
+      M1300: "Pressure Ulcer Assessment",
+      M1302: "Risk for Developing Pressure Ulcers",
+      M1306: "Unhealed Pressure Ulcer Present",
+      M1307: "Oldest Stage 2 Pressure Ulcer at Discharge",
+      M1308: "Number of Unhealed Pressure Ulcers at Each Stage",
+      M1309: "Largest Pressure Ulcer Stage",
+      M1310: "Pressure Ulcer Length",
+      M1312: "Pressure Ulcer Width",
+      M1314: "Pressure Ulcer Depth",
+      M1320: "Status of Most Problematic Pressure Ulcer",
+      M1322: "Number of Stage 1 Pressure Ulcers",
+      M1324: "Stage of Most Problematic Unhealed Pressure Ulcer",
+      M1330: "Stasis Ulcer Present",
+      M1332: "Number of Stasis Ulcers",
+      M1334: "Status of Most Problematic Stasis Ulcer",
+      M1340: "Surgical Wound Present",
+      M1342: "Status of Most Problematic Surgical Wound",
+    },
+  },
+  {
+    title: "Respiratory Status",
+    items: {
+      M1400: "Dyspnea / Short of Breath",
+      M1410: "Respiratory Treatments at Home",
+    },
+  },
+  {
+    title: "Cardiac Status",
+    items: {
+      M1500: "Symptoms in Heart Failure Patients",
+    },
+  },
+  {
+    title: "Elimination Status",
+    items: {
+      M1600: "Treated for Urinary Tract Infection",
+      M1610: "Urinary Incontinence or Catheter",
+      M1615: "When Urinary Incontinence Occurs",
+      M1620: "Bowel Incontinence Frequency",
+      M1630: "Ostomy for Bowel Elimination",
+    },
+  },
+  {
+    title: "Neuro/Emotional/Behavioral Status",
+    items: {
+      M1700: "Cognitive Functioning",
+      M1710: "When Confused",
+      M1720: "When Anxious",
+      M1730: "Depression Screening",
+      M1740: "Cognitive, Behavioral and Psychiatric Symptoms",
+      M1745: "Frequency of Disruptive Behavior Symptoms",
+    },
+  },
+  {
+    title: "ADL/IADL",
+    items: {
+      M1800: "Grooming",
+      M1810: "Dress Upper Body",
+      M1820: "Dress Lower Body",
+      M1830: "Bathing",
+      M1840: "Toilet Transferring",
+      M1845: "Toileting Hygiene",
+      M1850: "Transferring",
+      M1860: "Ambulation/Locomotion",
+      M1870: "Feeding or Eating",
+      M1880: "Plan and Prepare Light Meals",
+      M1890: "Ability to Use Telephone",
+    },
+  },
+  {
+    title: "Medications",
+    items: {
+      M2000: "Drug Regimen Review",
+      M2002: "Medication Follow-up",
+      M2004: "Medication Intervention",
+      M2010: "High Risk Drug Education",
+      M2020: "Management of Oral Medications",
+      M2030: "Management of Injectable Medications",
+    },
+  },
+  {
+    title: "Care Management",
+    items: {
+      M2100: "Types and Sources of Assistance",
+      M2110: "Frequency of ADL/IADL Assistance",
+    },
+  },
+  {
+    title: "Therapy Need and Plan of Care",
+    items: {
+      M2200: "Therapy Need",
+      M2250: "Plan of Care Synopsis",
+      M2300: "Emergent Care",
+      M2310: "Reason for Emergent Care",
+      M2400: "Intervention Synopsis",
+      M2410: "Intervention Synopsis",
+      M2420: "Discharge Disposition",
+    },
+  },
+];
+
+// Items summed by OASISAssessment.calculateScores()
+const SCORED_ITEMS = {
+  M1700: "cognitive",
+  M1710: "cognitive",
+  M1720: "cognitive",
+  M1800: "functional",
+  M1810: "functional",
+  M1820: "functional",
+  M1830: "functional",
+  M1840: "functional",
+  M1850: "functional",
+  M1860: "functional",
+  M1870: "functional",
+};
+
+const SIGNED_STATUSES = ["submitted", "locked"];
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().slice(0, 10) : "";
+
+function formatResponse(value) {
+  if (value === null || value === undefined || value === "") return "";
+  if (value instanceof Date) return formatDate(value);
+  if (Array.isArray(value)) return value.map(formatResponse).filter(Boolean).join("; ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function itemScore(code, value) {
+  if (!SCORED_ITEMS[code] || value === null || value === undefined || value === "") {
+    return "";
+  }
+  const score = parseInt(value, 10);
+  return Number.isNaN(score) ? "" : String(score);
+}
+
+function personName(person) {
+  if (!person || typeof person !== "object") return "";
+  const full = [person.firstName, person.lastName].filter(Boolean).join(" ");
+  return full || person.name || person.demographics?.name || "";
+}
+
+/**
+ * Flatten an assessment into one row per M-item, in section order.
+ * @param {Object} assessment - OASISAssessment document (or plain object)
+ * @returns {Array<{section, code, label, response, score}>}
+ */
+export function buildOASISReportRows(assessment) {
+  const data = assessment.oasisData || {};
+  return OASIS_REPORT_SECTIONS.flatMap((section) =>
+    Object.entries(section.items).map(([code, label]) => ({
+      section: section.title,
+      code,
+      label,
+      response: formatResponse(data[code]),
+      score: itemScore(code, data[code]),
+    }))
+  );
+}
+
+function signatureBlock(assessment, clinician) {
+  const signed = SIGNED_STATUSES.includes(assessment.status);
+  const data = assessment.oasisData || {};
+  return {
+    clinician: personName(clinician),
+    licenseNumber: clinician?.licenseNumber || "",
+    discipline: formatResponse(data.M0080),
+    completedDate: formatDate(data.M0090 || assessment.metadata?.completedAt),
+    signed,
+    signedAt: signed ? formatDate(assessment.submissionData?.submittedAt || assessment.updatedAt) : "",
+  };
+}
+
+function reportHeader(reportData) {
+  const { assessment } = reportData;
+  const patient = assessment.patientId && typeof assessment.patientId === "object"
+    ? assessment.patientId
+    : null;
+  const data = assessment.oasisData || {};
+  return {
+    assessmentId: String(assessment._id),
+    assessmentType: assessment.assessmentType,
+    episodeId: assessment.episodeId || "",
+    status: assessment.status,
+    patientName: personName(patient) || formatResponse(data.M0040),
+    patientMrn: patient?.mrn || patient?.medicalRecordNumber || formatResponse(data.M0020),
+    birthDate: formatDate(patient?.demographics?.dob || patient?.dateOfBirth || data.M0066),
+    generatedAt: reportData.generatedAt || new Date(),
+  };
+}
+
+// Leading =, +, - or @ is evaluated as a formula by spreadsheet applications
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render the assessment as CSV, one row per M-item.
+ * @param {Object} reportData - { assessment, generatedAt }
+ * @returns {string}
+ */
+export function renderOASISCsv(reportData) {
+  const header = reportHeader(reportData);
+  const columns = [
+    "assessment_id",
+    "assessment_type",
+    "section",
+    "m_item",
+    "description",
+    "response",
+    "score",
+  ];
+  const lines = [columns.join(",")];
+  for (const row of buildOASISReportRows(reportData.assessment)) {
+    lines.push(
+      [
+        header.assessmentId,
+        header.assessmentType,
+        row.section,
+        row.code,
+        row.label,
+        row.response,
+        row.score,
+      ]
+        .map(csvCell)
+        .join(",")
+    );
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+const PAGE_MARGIN = 50;
+const COLUMNS = [
+  { key: "code", title: "Item", width: 55 },
+  { key: "label", title: "Description", width: 215 },
+  { key: "response", title: "Response", width: 192 },
+  { key: "score", title: "Score", width: 50 },
+];
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN - 20) {
+    doc.addPage();
+  }
+}
+
+function drawTableRow(doc, row, { bold = false } = {}) {
+  const font = bold ? "Helvetica-Bold" : "Helvetica";
+  doc.font(font).fontSize(9);
+  const height =
+    Math.max(
+      ...COLUMNS.map((col) =>
+        doc.heightOfString(row[col.key] || " ", { width: col.width - 6 })
+      )
+    ) + 6;
+  ensureSpace(doc, height);
+
+  const top = doc.y;
+  let x = PAGE_MARGIN;
+  for (const col of COLUMNS) {
+    doc.font(font).fontSize(9).text(row[col.key] || "", x + 3, top + 3, {
+      width: col.width - 6,
+    });
+    x += col.width;
+  }
+  doc
+    .moveTo(PAGE_MARGIN, top + height)
+    .lineTo(x, top + height)
+    .lineWidth(0.5)
+    .strokeColor("#cccccc")
+    .stroke();
+  doc.x = PAGE_MARGIN;
+  doc.y = top + height;
+}
+
+function drawKeyValues(doc, pairs) {
+  doc.fontSize(10);
+  for (const [label, value] of pairs) {
+    doc
+      .font("Helvetica-Bold")
+      .text(`${label}: `, { continued: true })
+      .font("Helvetica")
+      .text(value || "-");
+  }
+}
+
+/**
+ * Render the assessment as a PDF laid out by OASIS section.
+ * @param {Object} reportData - { assessment, generatedAt }
+ * @returns {Promise<Buffer>}
+ */
+export function renderOASISPdf(reportData) {
+  const { assessment } = reportData;
+  const header = reportHeader(reportData);
+  const scoring = assessment.scoring || {};
+  // Signed by the assessing clinician, not whoever requested the report
+  const signature = signatureBlock(assessment, assessment.userId);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "LETTER",
+      margin: PAGE_MARGIN,
+      bufferPages: true,
+      info: {
+        Title: `OASIS ${header.assessmentType} Assessment ${header.assessmentId}`,
+        Subject: "OASIS assessment report",
+      },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(16).text("OASIS Assessment Report");
+    doc.moveDown(0.5);
+    drawKeyValues(doc, [
+      ["Patient", header.patientName],
+      ["MRN / Patient ID", header.patientMrn],
+      ["Birth Date", header.birthDate],
+      ["Assessment Type", header.assessmentType],
+      ["Episode", header.episodeId],
+      ["Status", header.status],
+      ["Assessment ID", header.assessmentId],
+    ]);
+
+    doc.moveDown();
+    doc.font("Helvetica-Bold").fontSize(12).text("Scores");
+    doc.moveDown(0.3);
+    const domains = scoring.domainScores || {};
+    const risks = scoring.riskCategories || {};
+    drawKeyValues(doc, [
+      ["Total Score", formatResponse(scoring.totalScore)],
+      ["Functional", formatResponse(domains.functional)],
+      ["Cognitive", formatResponse(domains.cognitive)],
+      ["Behavioral", formatResponse(domains.behavioral)],
+      ["Physiological", formatResponse(domains.physiological)],
+      ["Hospitalization Risk", formatResponse(risks.hospitalization)],
+      ["Emergency Department Risk", formatResponse(risks.emergencyDept)],
+      ["Improvement Potential", formatResponse(risks.improvement)],
+    ]);
+
+    const rows = buildOASISReportRows(assessment);
+    for (const section of OASIS_REPORT_SECTIONS) {
+      doc.moveDown();
+      ensureSpace(doc, 60);
+      doc.x = PAGE_MARGIN;
+      doc.font("Helvetica-Bold").fontSize(12).text(section.title);
+      doc.moveDown(0.3);
+      drawTableRow(
+        doc,
+        Object.fromEntries(COLUMNS.map((col) => [col.key, col.title])),
+        { bold: true }
+      );
+      rows
+        .filter((row) => row.section === section.title)
+        .forEach((row) => drawTableRow(doc, { ...row, response: row.response || "-" }));
+    }
+
+    doc.moveDown(2);
+    ensureSpace(doc, 110);
+    doc.x = PAGE_MARGIN;
+    doc.font("Helvetica-Bold").fontSize(12).text("Clinician Signature");
+    doc.moveDown(0.3);
+    drawKeyValues(doc, [
+      ["Clinician", signature.clinician],
+      ["License Number", signature.licenseNumber],
+      ["Discipline (M0080)", signature.discipline],
+      ["Date Assessment Completed (M0090)", signature.completedDate],
+    ]);
+    doc.moveDown();
+    if (signature.signed) {
+      doc
+        .font("Helvetica-Oblique")
+        .fontSize(10)
+        .text(`Electronically signed by ${signature.clinician || "clinician"} on ${signature.signedAt}`);
+    } else {
+      doc
+        .font("Helvetica")
+        .fontSize(10)
+        .text("Signature: ____________________________    Date: ______________");
+    }
+
+    // Footer on every page
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise start a new page
+      doc.page.margins.bottom = 0;
+      const bottom = doc.page.height - PAGE_MARGIN + 10;
+      doc
+        .font("Helvetica")
+        .fontSize(8)
+        .fillColor("#666666")
+        .text(
+          `Generated ${header.generatedAt.toISOString()}  |  Page ${i + 1} of ${range.count}`,
+          PAGE_MARGIN,
+          bottom,
+          { width: doc.page.width - PAGE_MARGIN * 2, align: "center", lineBreak: false }
+        );
+      doc.fillColor("black");
+    }
+
+    doc.end();
+  });
+}
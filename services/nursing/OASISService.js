@@ -1,8 +1,18 @@
 import OASISAssessment from "../../models/nursing/OASISAssessment.js";
 import NursingAIService from "./NursingAIService.js";
 import EventManager from "./EventManager.js";
-import NursingCacheService from "./NursingCacheService.js";
+import ResilienceKernel from "./ResilienceKernel.js";
+import organizationService from "../organizationService.js";
 import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { renderOASISPdf, renderOASISCsv } from "./OASISReportRenderer.js";
+import {
+  buildSubmissionFile,
+  loadSubmissionSpec,
+  MAX_CORRECTION_NUMBER,
+  SubmissionSpecError,
+} from "./OASISSubmissionFormat.js";
 
 // Custom error classes for OASIS Service
 class OASISServiceError extends Error {
@@ -111,7 +121,6 @@ class OASISService {
   constructor() {
     this.aiService = NursingAIService;
     this.eventManager = EventManager;
-    this.cacheService = NursingCacheService;
 
     // Enhanced configuration with environment variables
     this.config = {
@@ -121,8 +130,7 @@ class OASISService {
         windowMs: parseInt(process.env.OASIS_RATE_LIMIT_WINDOW_MS) || 60000
       },
       cache: {
-        ttl: parseInt(process.env.OASIS_CACHE_TTL) || 300000, // 5 minutes
-        maxSize: parseInt(process.env.OASIS_CACHE_MAX_SIZE) || 1000
+        ttl: parseInt(process.env.OASIS_CACHE_TTL) || 300000 // 5 minutes
       },
       circuitBreaker: {
         threshold: parseInt(process.env.OASIS_CIRCUIT_BREAKER_THRESHOLD) || 5,
@@ -143,38 +151,30 @@ class OASISService {
     // Scoring algorithms
     this.scoringAlgorithms = this.initializeScoringAlgorithms();
 
-    // Enhanced performance metrics
-    this.performanceMetrics = {
-      totalRequests: 0,
-      successfulRequests: 0,
-      failedRequests: 0,
-      averageResponseTime: 0,
-      totalResponseTime: 0,
-      cacheHits: 0,
-      cacheMisses: 0,
+    // Rate limits, circuit breakers, cache and metrics
+    this.resilience = new ResilienceKernel('OASISService', {
+      rateLimit: this.config.rateLimit,
+      circuitBreaker: this.config.circuitBreaker,
+      cache: this.config.cache,
       errors: {
-        validation: 0,
-        rateLimit: 0,
-        serviceUnavailable: 0,
-        database: 0,
-        ai: 0
+        rateLimit: (message, retryAfter) => new RateLimitError(message, retryAfter),
+        unavailable: (message, dependency) => new ServiceUnavailableError(message, dependency)
       }
-    };
-
-    // Rate limiting tracker
-    this.rateLimitTracker = {};
+    });
+    this.performanceMetrics = this.resilience.metrics;
+    this.requestCounter = 0;
 
-    // Circuit breaker state
-    this.circuitBreakerState = {
-      database: { status: 'closed', failures: 0, lastFailure: null },
-      ai: { status: 'closed', failures: 0, lastFailure: null },
-      cache: { status: 'closed', failures: 0, lastFailure: null }
+    // Assessments are cached as plain objects in the resilience cache
+    const toCached = (value) =>
+      typeof value?.toJSON === "function" ? value.toJSON() : value;
+    this.cacheService = {
+      getAssessment: (assessmentId) =>
+        this.resilience.getCached(`assessment:${assessmentId}`),
+      setAssessment: (assessmentId, assessment) =>
+        this.resilience.setCached(`assessment:${assessmentId}`, toCached(assessment)),
+      set: (key, value, ttlSeconds) =>
+        this.resilience.setCached(key, toCached(value), { ttl: ttlSeconds * 1000 }),
     };
-
-    // Cache for intelligent caching
-    this.cache = {};
-    this.cacheTimestamps = {};
-    this.requestCounter = 0;
   }
 
   // Utility methods for enhanced functionality
@@ -206,117 +206,14 @@ class OASISService {
     console.error(JSON.stringify(logEntry));
   }
 
-  checkRateLimit(userId) {
-    const now = Date.now();
-    const userKey = `user_${userId}`;
-    
-    if (!this.rateLimitTracker[userKey]) {
-      this.rateLimitTracker[userKey] = { count: 0, resetTime: now + this.config.rateLimit.windowMs };
-    }
-    
-    const userLimit = this.rateLimitTracker[userKey];
-    
-    if (now > userLimit.resetTime) {
-      userLimit.count = 0;
-      userLimit.resetTime = now + this.config.rateLimit.windowMs;
-    }
-    
-    if (userLimit.count >= this.config.rateLimit.maxRequests) {
-      const retryAfter = Math.ceil((userLimit.resetTime - now) / 1000);
-      throw new RateLimitError(`Rate limit exceeded for user ${userId}`, retryAfter);
-    }
-    
-    userLimit.count++;
-  }
-
-  checkCircuitBreaker(service) {
-    const breaker = this.circuitBreakerState[service];
-    if (!breaker) return;
-    
-    if (breaker.status === 'open') {
-      const timeSinceLastFailure = Date.now() - breaker.lastFailure;
-      if (timeSinceLastFailure < this.config.circuitBreaker.timeout) {
-        throw new ServiceUnavailableError(`${service} service is temporarily unavailable`, service);
-      }
-      breaker.status = 'half-open';
-    }
-  }
-
-  updateCircuitBreaker(service, success) {
-    const breaker = this.circuitBreakerState[service];
-    if (!breaker) return;
-    
-    if (success) {
-      breaker.status = 'closed';
-      breaker.failures = 0;
-    } else {
-      breaker.failures++;
-      if (breaker.failures >= this.config.circuitBreaker.threshold) {
-        breaker.status = 'open';
-        breaker.lastFailure = Date.now();
-      }
-    }
-  }
-
-  generateCacheKey(prefix, data) {
-    const dataString = JSON.stringify(data);
-    const hash = crypto.createHash('md5').update(dataString).digest('hex');
-    return `${prefix}_${hash}`;
-  }
-
-  getFromCache(cacheKey) {
-    const cached = this.cache[cacheKey];
-    if (!cached) {
-      this.performanceMetrics.cacheMisses++;
-      return null;
-    }
-    
-    const now = Date.now();
-    if (now - cached.timestamp > this.config.cache.ttl) {
-      delete this.cache[cacheKey];
-      this.performanceMetrics.cacheMisses++;
-      return null;
-    }
-    
-    this.performanceMetrics.cacheHits++;
-    return cached.data;
-  }
-
-  setCache(cacheKey, data) {
-    // Implement cache size limit
-    const cacheKeys = Object.keys(this.cache);
-    if (cacheKeys.length >= this.config.cache.maxSize) {
-      // Remove oldest entry
-      const oldestKey = cacheKeys.reduce((oldest, key) => 
-        this.cache[key].timestamp < this.cache[oldest].timestamp ? key : oldest
-      );
-      delete this.cache[oldestKey];
-    }
-    
-    this.cache[cacheKey] = {
-      data,
-      timestamp: Date.now()
-    };
-  }
-
-  updateMetrics(success, responseTime) {
-    this.performanceMetrics.totalRequests++;
-    this.performanceMetrics.totalResponseTime += responseTime;
-    this.performanceMetrics.averageResponseTime = 
-      this.performanceMetrics.totalResponseTime / this.performanceMetrics.totalRequests;
-    
-    if (success) {
-      this.performanceMetrics.successfulRequests++;
-    } else {
-      this.performanceMetrics.failedRequests++;
-    }
-  }
-
+  // Pass null as data for methods that only take ids
   validateInputs(data, context = {}) {
-    const validation = InputValidator.validateAssessmentData(data, context);
-    if (!validation.isValid) {
-      this.performanceMetrics.errors.validation++;
-      throw new ValidationError(`Validation failed: ${validation.errors.join(', ')}`, 'assessmentData');
+    if (data !== null) {
+      const validation = InputValidator.validateAssessmentData(data, context);
+      if (!validation.isValid) {
+        this.performanceMetrics.errors.validation++;
+        throw new ValidationError(`Validation failed: ${validation.errors.join(', ')}`, 'assessmentData');
+      }
     }
     
     if (context.userId) {
@@ -328,85 +225,35 @@ class OASISService {
     }
   }
 
-  // Service monitoring and management methods
-  getServiceStatus() {
-    try {
-      const cacheHitRate = this.calculateCacheHitRate();
-      const totalRequests = this.performanceMetrics.totalRequests || 0;
-      const successRate = totalRequests > 0 
-        ? ((this.performanceMetrics.successfulRequests || 0) / totalRequests * 100).toFixed(2)
-        : 0;
-      
-      return {
-        service: 'OASISService',
-        status: 'operational',
-        timestamp: new Date().toISOString(),
-        metrics: {
-          ...this.performanceMetrics,
-          successRate: `${successRate}%`,
-          averageResponseTime: this.performanceMetrics.averageResponseTime || 0
-        },
-        cache: {
-          size: Object.keys(this.cache).length,
-          hitRate: `${(cacheHitRate * 100).toFixed(2)}%`,
-          maxSize: this.config.cache.maxSize
-        },
-        circuitBreakers: Object.keys(this.circuitBreakerState).map(service => ({
-          service,
-          state: this.circuitBreakerState[service].status,
-          failures: this.circuitBreakerState[service].failures
-        })),
-        rateLimits: {
-          activeUsers: Object.keys(this.rateLimitTracker).length,
-          maxRateLimit: this.config.rateLimit.maxRequests
-        },
-        configuration: {
-          aiProvider: this.config.aiProvider,
-          cacheTTL: this.config.cache.ttl,
-          circuitBreakerThreshold: this.config.circuitBreaker.threshold
-        }
-      };
-    } catch (error) {
-      this.logError("Error getting service status", error, {});
-      return {
-        service: 'OASISService',
-        status: 'error',
-        timestamp: new Date().toISOString(),
-        error: error.message
-      };
-    }
+  // Monitoring: the metrics and health contract shared by the nursing
+  // services through the resilience kernel
+  async getServiceStatus() {
+    return {
+      ...(await this.healthCheck()),
+      configuration: this.getConfiguration()
+    };
   }
 
-  calculateCacheHitRate() {
-    const totalRequests = this.performanceMetrics.cacheHits + this.performanceMetrics.cacheMisses;
-    return totalRequests > 0 ? this.performanceMetrics.cacheHits / totalRequests : 0;
+  getPerformanceMetrics() {
+    return this.resilience.getMetrics();
   }
 
-  getPerformanceMetrics() {
-    return {
-      ...this.performanceMetrics,
-      cacheHitRate: this.calculateCacheHitRate(),
-      successRate: this.performanceMetrics.totalRequests > 0 
-        ? (this.performanceMetrics.successfulRequests / this.performanceMetrics.totalRequests * 100).toFixed(2)
-        : 0
-    };
+  getErrorReport() {
+    return this.resilience.getErrorReport();
   }
 
-  clearCache() {
-    this.cache = {};
-    this.cacheTimestamps = {};
-    this.logInfo("Cache cleared");
+  async healthCheck() {
+    return this.resilience.healthCheck();
   }
 
-  resetCircuitBreakers() {
-    Object.keys(this.circuitBreakerState).forEach(service => {
-      this.circuitBreakerState[service] = {
-        status: 'closed',
-        failures: 0,
-        lastFailure: null
-      };
-    });
-    this.logInfo("Circuit breakers reset");
+  async clearCache() {
+    await this.resilience.clearCache();
+    this.logInfo('Cache cleared');
+  }
+
+  async resetCircuitBreakers() {
+    await this.resilience.resetCircuitBreakers();
+    this.logInfo('Circuit breakers reset');
   }
 
   getConfiguration() {
@@ -418,67 +265,6 @@ class OASISService {
     };
   }
 
-  getErrorReport(timeframe = "24h") {
-    const cutoff = Date.now() - (timeframe === "24h" ? 86400000 : 3600000);
-    return {
-      timeframe,
-      totalErrors: this.performanceMetrics.errors.validation +
-                   this.performanceMetrics.errors.rateLimit +
-                   this.performanceMetrics.errors.serviceUnavailable +
-                   this.performanceMetrics.errors.database +
-                   this.performanceMetrics.errors.ai,
-      errorBreakdown: this.performanceMetrics.errors,
-      circuitBreakerStatus: this.circuitBreakerState,
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  healthCheck() {
-    try {
-      const cacheStatus = Object.keys(this.cache).length < this.config.cache.maxSize;
-      const circuitBreakerStatus = Object.values(this.circuitBreakerState).every(state => state.status === 'closed');
-      const rateLimitStatus = Object.keys(this.rateLimitTracker).length < 1000; // Reasonable limit
-      
-      const overallStatus = cacheStatus && circuitBreakerStatus && rateLimitStatus ? 'healthy' : 'degraded';
-      
-      return {
-        service: 'OASISService',
-        status: overallStatus,
-        timestamp: new Date().toISOString(),
-        version: '1.0.0',
-        checks: {
-          cache: {
-            status: cacheStatus ? 'healthy' : 'warning',
-            size: Object.keys(this.cache).length,
-            maxSize: this.config.cache.maxSize
-          },
-          circuitBreakers: {
-            status: circuitBreakerStatus ? 'healthy' : 'warning',
-            openBreakers: Object.values(this.circuitBreakerState).filter(state => state.status === 'open').length
-          },
-          rateLimits: {
-            status: rateLimitStatus ? 'healthy' : 'warning',
-            activeUsers: Object.keys(this.rateLimitTracker).length
-          }
-        },
-        metrics: {
-          totalRequests: this.performanceMetrics.totalRequests || 0,
-          successfulRequests: this.performanceMetrics.successfulRequests || 0,
-          averageResponseTime: this.performanceMetrics.averageResponseTime || 0
-        }
-      };
-    } catch (error) {
-      this.logError("Error during health check", error, {});
-      return {
-        service: 'OASISService',
-        status: 'unhealthy',
-        timestamp: new Date().toISOString(),
-        version: '1.0.0',
-        error: error.message
-      };
-    }
-  }
-
   // Create new OASIS assessment
   async createAssessment(assessmentData, userId) {
     const requestId = this.generateRequestId();
@@ -496,10 +282,10 @@ class OASISService {
       this.validateInputs(assessmentData, { method: "createAssessment", userId });
       
       // Check rate limit
-      this.checkRateLimit(userId);
+      await this.resilience.checkRateLimit(userId);
       
       // Check circuit breaker
-      this.checkCircuitBreaker('database');
+      await this.resilience.checkCircuitBreaker('database');
       
       // Validate user has nursing premium access
       if (!(await this.validatePremiumAccess(userId))) {
@@ -520,10 +306,16 @@ class OASISService {
         );
       }
 
+      const organizationId = await organizationService.assertPatientAccess(
+        assessmentData.patientId,
+        userId
+      );
+
       // Create assessment with AI analysis
       const assessment = new OASISAssessment({
         ...assessmentData,
         userId,
+        organizationId,
         status: "draft",
         metadata: {
           createdAt: new Date(),
@@ -538,14 +330,12 @@ class OASISService {
       // Get AI analysis with circuit breaker protection
       let aiAnalysis = null;
       try {
-        this.checkCircuitBreaker('ai');
-        aiAnalysis = await this.aiService.analyzeOASISAssessment(
-        assessment.oasisData,
-        { patientId: assessment.patientId }
-      );
-        this.updateCircuitBreaker('ai', true);
+        aiAnalysis = await this.resilience.execute('ai', () =>
+          this.aiService.analyzeOASISAssessment(assessment.oasisData, {
+            patientId: assessment.patientId,
+          })
+        );
       } catch (aiError) {
-        this.updateCircuitBreaker('ai', false);
         this.performanceMetrics.errors.ai++;
         this.logError("AI analysis failed, continuing without AI analysis", aiError, { 
           requestId, 
@@ -563,11 +353,10 @@ class OASISService {
 
       // Cache for quick access
       try {
-        this.checkCircuitBreaker('cache');
-      await this.cacheService.setAssessment(assessment._id, assessment);
-        this.updateCircuitBreaker('cache', true);
+        await this.resilience.execute('cache', () =>
+          this.cacheService.setAssessment(assessment._id, assessment)
+        );
       } catch (cacheError) {
-        this.updateCircuitBreaker('cache', false);
         this.logError("Cache operation failed", cacheError, { 
           requestId, 
           assessmentId: assessment._id 
@@ -592,10 +381,10 @@ class OASISService {
       };
       
       // Update circuit breaker
-      this.updateCircuitBreaker('database', true);
+      await this.resilience.recordResult('database', true);
       
       // Update metrics
-      this.updateMetrics(true, Date.now() - startTime);
+      this.resilience.recordRequest(true, Date.now() - startTime);
       
       this.logInfo("OASIS assessment created successfully", { 
         requestId, 
@@ -605,8 +394,8 @@ class OASISService {
 
       return result;
     } catch (error) {
-      this.updateCircuitBreaker('database', false);
-      this.updateMetrics(false, Date.now() - startTime);
+      await this.resilience.recordFailure('database', error);
+      this.resilience.recordRequest(false, Date.now() - startTime);
       
       this.logError("Error creating OASIS assessment", error, { 
         requestId, 
@@ -630,7 +419,7 @@ class OASISService {
         throw new Error("Assessment not found");
       }
 
-      if (assessment.userId.toString() !== userId) {
+      if (!(await organizationService.canAccess(assessment, userId))) {
         throw new Error("Unauthorized access to assessment");
       }
 
@@ -731,7 +520,7 @@ class OASISService {
         throw new Error("Assessment not found");
       }
 
-      if (assessment.userId._id.toString() !== userId) {
+      if (!(await organizationService.canAccess(assessment, userId))) {
         throw new Error("Unauthorized access to assessment");
       }
 
@@ -748,16 +537,13 @@ class OASISService {
   // Get assessments for patient
   async getPatientAssessments(patientId, userId, options = {}) {
     try {
-      const assessments = await OASISAssessment.getByPatient(patientId, {
+      // Limited to the user's organization (or their own assessments)
+      const userAssessments = await OASISAssessment.getByPatient(patientId, {
         limit: options.limit || 20,
         sort: options.sort || { createdAt: -1 },
+        filter: await organizationService.scopeFor(userId),
       });
 
-      // Filter by user access
-      const userAssessments = assessments.filter(
-        (assessment) => assessment.userId.toString() === userId
-      );
-
       return {
         success: true,
         assessments: userAssessments,
@@ -785,10 +571,10 @@ class OASISService {
       this.validateInputs({}, { method: "submitAssessment", userId, assessmentId });
       
       // Check rate limit
-      this.checkRateLimit(userId);
+      await this.resilience.checkRateLimit(userId);
       
       // Check circuit breaker
-      this.checkCircuitBreaker('database');
+      await this.resilience.checkCircuitBreaker('database');
       
       const assessment = await OASISAssessment.findById(assessmentId);
 
@@ -796,7 +582,7 @@ class OASISService {
         throw new OASISServiceError("Assessment not found", "ASSESSMENT_NOT_FOUND");
       }
 
-      if (assessment.userId.toString() !== userId) {
+      if (!(await organizationService.canAccess(assessment, userId))) {
         throw new OASISServiceError("Unauthorized access to assessment", "UNAUTHORIZED_ACCESS");
       }
 
@@ -815,10 +601,21 @@ class OASISService {
         );
       }
 
+      // Submitting again corrects the record CMS already holds
+      const previous = assessment.submissionData;
+      const correctionNumber = previous?.submittedAt ? (previous.correctionNumber || 0) + 1 : 0;
+      if (correctionNumber > MAX_CORRECTION_NUMBER) {
+        throw new ValidationError(
+          `Assessment has reached the CMS limit of ${MAX_CORRECTION_NUMBER} corrections`,
+          "correctionNumber"
+        );
+      }
+
       // Update status and submission data
       assessment.status = "submitted";
       assessment.submissionData = {
         submittedAt: new Date(),
+        correctionNumber,
         submittedBy: userId,
         confirmationNumber: this.generateConfirmationNumber(),
         errors: complianceCheck.warnings || [],
@@ -829,11 +626,10 @@ class OASISService {
 
       // Update cache
       try {
-        this.checkCircuitBreaker('cache');
-      await this.cacheService.setAssessment(assessmentId, assessment);
-        this.updateCircuitBreaker('cache', true);
+        await this.resilience.execute('cache', () =>
+          this.cacheService.setAssessment(assessmentId, assessment)
+        );
       } catch (cacheError) {
-        this.updateCircuitBreaker('cache', false);
         this.logError("Cache update failed during submission", cacheError, { 
           requestId, 
           assessmentId 
@@ -857,10 +653,10 @@ class OASISService {
       };
       
       // Update circuit breaker
-      this.updateCircuitBreaker('database', true);
+      await this.resilience.recordResult('database', true);
       
       // Update metrics
-      this.updateMetrics(true, Date.now() - startTime);
+      this.resilience.recordRequest(true, Date.now() - startTime);
       
       this.logInfo("OASIS assessment submitted successfully", { 
         requestId, 
@@ -871,8 +667,8 @@ class OASISService {
 
       return result;
     } catch (error) {
-      this.updateCircuitBreaker('database', false);
-      this.updateMetrics(false, Date.now() - startTime);
+      await this.resilience.recordFailure('database', error);
+      this.resilience.recordRequest(false, Date.now() - startTime);
       
       this.logError("Error submitting OASIS assessment", error, { 
         requestId, 
@@ -901,44 +697,29 @@ class OASISService {
       });
       
       // Input validation
-      this.validateInputs({}, { method: "generateReport", userId, assessmentId });
+      this.validateInputs(null, { method: "generateReport", userId, assessmentId });
       
       // Check rate limit
-      this.checkRateLimit(userId);
+      await this.resilience.checkRateLimit(userId);
       
       // Check circuit breaker
-      this.checkCircuitBreaker('database');
-      
-      // Generate cache key
-      const cacheKey = this.generateCacheKey("report", { 
-        assessmentId, 
-        userId, 
-        format 
-      });
-      
-      // Check cache first
-      const cachedResult = this.getFromCache(cacheKey);
-      if (cachedResult) {
-        this.updateMetrics(true, Date.now() - startTime);
-        return cachedResult;
-      }
+      await this.resilience.checkCircuitBreaker('database');
       
+      // Not cached: every PDF/CSV request renders the assessment as it is now
       const assessment = await OASISAssessment.findById(assessmentId)
         .populate("patientId")
-        .populate("userId");
+        .populate("userId", "firstName lastName name email licenseNumber");
 
       if (!assessment) {
         throw new OASISServiceError("Assessment not found", "ASSESSMENT_NOT_FOUND");
       }
 
-      if (assessment.userId._id.toString() !== userId) {
-        throw new OASISServiceError("Unauthorized access to assessment", "UNAUTHORIZED_ACCESS");
-      }
+      await this.assertAssessmentAccess(assessment, userId);
 
       const reportData = {
         assessment,
         generatedAt: new Date(),
-        generatedBy: assessment.userId,
+        generatedBy: userId,
         format,
       };
 
@@ -966,14 +747,11 @@ class OASISService {
         timestamp: new Date().toISOString()
       };
       
-      // Cache the result
-      this.setCache(cacheKey, result);
-      
       // Update circuit breaker
-      this.updateCircuitBreaker('database', true);
+      await this.resilience.recordResult('database', true);
       
       // Update metrics
-      this.updateMetrics(true, Date.now() - startTime);
+      this.resilience.recordRequest(true, Date.now() - startTime);
       
       this.logInfo("OASIS report generated successfully", { 
         requestId, 
@@ -984,8 +762,8 @@ class OASISService {
 
       return result;
     } catch (error) {
-      this.updateCircuitBreaker('database', false);
-      this.updateMetrics(false, Date.now() - startTime);
+      await this.resilience.recordFailure('database', error);
+      this.resilience.recordRequest(false, Date.now() - startTime);
       
       this.logError("Error generating OASIS report", error, { 
         requestId, 
@@ -1446,16 +1224,59 @@ class OASISService {
     return errors;
   }
 
-  // Generate PDF report
-  async generatePDFReport(reportData) {
-    // This would integrate with a PDF generation service
+  // Members of the assessment's organization, or its author for unassigned ones
+  async assertAssessmentAccess(assessment, userId) {
+    if (!(await organizationService.canAccess(assessment, userId))) {
+      throw new OASISServiceError("Unauthorized access to assessment", "UNAUTHORIZED_ACCESS");
+    }
+  }
+
+  // Reports are written outside uploads/, which is served without authentication
+  getReportsDirectory() {
+    return process.env.OASIS_REPORTS_DIR || path.join(process.cwd(), "storage", "oasis-reports");
+  }
+
+  // Write a rendered report to disk and record it on the assessment
+  async storeReport(reportData, content) {
+    const { assessment, format } = reportData;
+    const reportId = crypto.randomUUID();
+    const fileName = `oasis-${assessment._id}-${reportId}.${format}`;
+    const directory = this.getReportsDirectory();
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, fileName), content);
+
+    const entry = {
+      reportId,
+      format,
+      fileName,
+      size: Buffer.byteLength(content),
+      checksum: crypto.createHash("sha256").update(content).digest("hex"),
+      generatedAt: reportData.generatedAt,
+      generatedBy: reportData.generatedBy,
+    };
+    await OASISAssessment.updateOne(
+      { _id: assessment._id },
+      { $push: { reports: entry } }
+    );
+
     return {
-      type: "pdf",
-      url: `/api/nursing/oasis/reports/${reportData.assessment._id}.pdf`,
+      type: format,
+      reportId,
+      fileName,
+      size: entry.size,
+      checksum: entry.checksum,
+      url: `/api/nursing/oasis/assessments/${assessment._id}/reports/${reportId}`,
       generated: true,
     };
   }
 
+  // Generate PDF report
+  async generatePDFReport(reportData) {
+    const pdf = await renderOASISPdf(reportData);
+    return this.storeReport(reportData, pdf);
+  }
+
   // Generate JSON report
   async generateJSONReport(reportData) {
     return {
@@ -1467,14 +1288,124 @@ class OASISService {
 
   // Generate CSV report
   async generateCSVReport(reportData) {
-    // This would convert assessment data to CSV format
+    const csv = renderOASISCsv(reportData);
+    return this.storeReport(reportData, csv);
+  }
+
+  // Resolve a stored report for download after checking assessment ownership
+  async getReportFile(assessmentId, reportId, userId) {
+    this.validateInputs(null, { method: "getReportFile", userId, assessmentId });
+
+    const assessment = await OASISAssessment.findById(assessmentId).select("userId organizationId reports");
+    if (!assessment) {
+      throw new OASISServiceError("Assessment not found", "ASSESSMENT_NOT_FOUND");
+    }
+
+    await this.assertAssessmentAccess(assessment, userId);
+
+    const report = (assessment.reports || []).find((r) => r.reportId === reportId);
+    if (!report) {
+      throw new OASISServiceError("Report not found", "REPORT_NOT_FOUND");
+    }
+
+    const filePath = path.join(this.getReportsDirectory(), path.basename(report.fileName));
+    try {
+      await fs.access(filePath);
+    } catch {
+      throw new OASISServiceError("Report file is no longer available", "REPORT_NOT_FOUND");
+    }
+
     return {
-      type: "csv",
-      url: `/api/nursing/oasis/reports/${reportData.assessment._id}.csv`,
-      generated: true,
+      filePath,
+      fileName: report.fileName,
+      format: report.format,
+      contentType: report.format === "pdf" ? "application/pdf" : "text/csv; charset=utf-8",
+      size: report.size,
     };
   }
 
+  // Build the CMS fixed-width submission file for the assessments this user
+  // submitted in [startDate, endDate]
+  async exportSubmissionBatch(userId, { startDate, endDate } = {}) {
+    const requestId = this.generateRequestId();
+    const startTime = Date.now();
+
+    try {
+      this.validateInputs(null, { method: "exportSubmissionBatch", userId });
+
+      const start = startDate ? new Date(startDate) : null;
+      const end = endDate ? new Date(endDate) : null;
+      if (!start || isNaN(start) || !end || isNaN(end)) {
+        throw new ValidationError("startDate and endDate are required dates", "dateRange");
+      }
+      if (start > end) {
+        throw new ValidationError("startDate must be before endDate", "dateRange");
+      }
+      // A bare end date covers the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(String(endDate))) {
+        end.setUTCHours(23, 59, 59, 999);
+      }
+
+      await this.resilience.checkRateLimit(userId);
+      await this.resilience.checkCircuitBreaker('database');
+
+      const spec = await loadSubmissionSpec();
+
+      // The batch covers the whole agency, not just this user's assessments
+      const assessments = await OASISAssessment.find({
+        ...(await organizationService.scopeFor(userId)),
+        status: { $in: ["submitted", "locked"] },
+        "submissionData.submittedAt": { $gte: start, $lte: end },
+      }).sort({ "submissionData.submittedAt": 1 });
+
+      const batch = buildSubmissionFile(assessments, {
+        spec,
+        startDate: start,
+        endDate: end,
+        requiredItemsFor: (type) => this.getRequiredMItems(type),
+      });
+
+      const stamp = new Date().toISOString().replace(/[-:]/g, "").slice(0, 15);
+      const result = {
+        success: true,
+        fileName: `oasis-${batch.agencyId || "batch"}-${stamp}.txt`,
+        content: batch.content,
+        agencyId: batch.agencyId,
+        dataSpecVersion: batch.specVersion,
+        exportedCount: batch.accepted.length,
+        rejectedCount: batch.rejected.length,
+        accepted: batch.accepted,
+        rejected: batch.rejected,
+        requestId,
+      };
+
+      await this.resilience.recordResult('database', true);
+      this.resilience.recordRequest(true, Date.now() - startTime);
+      this.logInfo("OASIS submission batch exported", {
+        requestId,
+        userId,
+        exported: result.exportedCount,
+        rejected: result.rejectedCount,
+        responseTime: Date.now() - startTime
+      });
+
+      return result;
+    } catch (error) {
+      await this.resilience.recordFailure('database', error);
+      this.resilience.recordRequest(false, Date.now() - startTime);
+      this.logError("Error exporting OASIS submission batch", error, { requestId, userId });
+
+      if (error instanceof SubmissionSpecError) {
+        throw new OASISServiceError(error.message, error.code);
+      }
+
+      if (error instanceof ValidationError || error instanceof RateLimitError || error instanceof ServiceUnavailableError || error instanceof OASISServiceError) {
+        throw error;
+      }
+      throw new OASISServiceError("Failed to export OASIS submission batch", "SUBMISSION_EXPORT_ERROR");
+    }
+  }
+
   // ADVANCED FEATURES
 
   // AI-Powered Risk Stratification
@@ -1482,7 +1413,7 @@ class OASISService {
     try {
       const assessment = await OASISAssessment.findById(assessmentId);
 
-      if (!assessment || assessment.userId.toString() !== userId) {
+      if (!assessment || !(await organizationService.canAccess(assessment, userId))) {
         throw new Error("Assessment not found or unauthorized");
       }
 
@@ -1556,7 +1487,7 @@ class OASISService {
     try {
       const assessment = await OASISAssessment.findById(assessmentId);
 
-      if (!assessment || assessment.userId.toString() !== userId) {
+      if (!assessment || !(await organizationService.canAccess(assessment, userId))) {
         throw new Error("Assessment not found or unauthorized");
       }
 
@@ -1633,6 +1564,7 @@ class OASISService {
       };
 
       const assessments = await OASISAssessment.find({
+        ...(await organizationService.scopeFor(userId)),
         userId,
         createdAt: { $gte: dateRange.start, $lte: dateRange.end },
       }).sort({ createdAt: -1 });
@@ -3116,6 +3048,7 @@ class OASISService {
       };
 
       const assessments = await OASISAssessment.find({
+        ...(await organizationService.scopeFor(userId)),
         userId,
         createdAt: { $gte: dateRange.start, $lte: dateRange.end },
       }).sort({ createdAt: -1 });
@@ -3157,7 +3090,7 @@ class OASISService {
     try {
       const assessment = await OASISAssessment.findById(assessmentId);
 
-      if (!assessment || assessment.userId.toString() !== userId) {
+      if (!assessment || !(await organizationService.canAccess(assessment, userId))) {
         throw new Error("Assessment not found or unauthorized");
       }
 
@@ -3261,7 +3194,7 @@ class OASISService {
     try {
       const assessment = await OASISAssessment.findById(assessmentId);
 
-      if (!assessment || assessment.userId.toString() !== userId) {
+      if (!assessment || !(await organizationService.canAccess(assessment, userId))) {
         throw new Error("Assessment not found or unauthorized");
       }
 
@@ -3313,7 +3246,7 @@ class OASISService {
     try {
       const assessment = await OASISAssessment.findById(assessmentId);
 
-      if (!assessment || assessment.userId.toString() !== userId) {
+      if (!assessment || !(await organizationService.canAccess(assessment, userId))) {
         throw new Error("Assessment not found or unauthorized");
       }
 
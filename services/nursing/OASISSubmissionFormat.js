@@ -0,0 +1,507 @@
+// CMS OASIS-E fixed-width submission records.
+//
+// The record layouts are not written in code. They are loaded from a JSON
+// conversion of the CMS OASIS-E data submission specifications
+// (OASIS_SUBMISSION_SPEC), so each field sits at the start position and
+// length the published spec gives it and a new spec release is a data
+// change. data/oasis/submission-spec.json ships the default layout
+// (1448-character records: A1 header, B1 body, Z1 trailer); point
+// OASIS_SUBMISSION_SPEC at another conversion to replace it:
+//
+//   {
+//     "version": "<data spec version written to the records>",
+//     "recordLength": <characters per record>,
+//     "lineEnd": "\r\n",
+//     "records": { "header": [fields], "body": [fields], "trailer": [fields] }
+//   }
+//
+// A field is { name, start, length, type } where start is the 1-based
+// position from the spec, plus where its value comes from:
+//   item            OASIS item in oasisData ("M0069", "GG0130A1", ...);
+//                   "index" picks one entry of a multi-part item
+//   item + option   one checkbox of a check-all-that-apply item, written as
+//                   1/0 (A1005 ethnicity, A1010 race, M1028, ...)
+//   source          a value not held in oasisData, one of FIELD_SOURCES
+//   value           a constant (record identifiers, fixed codes)
+// Positions the spec leaves unassigned are written as spaces. The header and
+// trailer records are optional; a spec without them produces body records
+// only. They describe the batch, not one assessment, so they take source and
+// value fields only. Field types:
+//   A  alphanumeric, upper-cased, left justified, space padded
+//   N  numeric response code, right justified, zero padded ("-" = not assessed)
+//   D  date as YYYYMMDD
+//
+// Edit checks run before a record is written. Fatal edits keep the
+// assessment out of the batch; warnings are reported but do not block it.
+
+import fs from "fs/promises";
+import path from "path";
+
+export const SUBMISSION_SPEC_PATH =
+  process.env.OASIS_SUBMISSION_SPEC || path.join(process.cwd(), "data", "oasis", "submission-spec.json");
+
+// Highest correction number the two-digit CRCTN_NUM field can carry
+export const MAX_CORRECTION_NUMBER = 99;
+
+const FIELD_TYPES = ["A", "N", "D"];
+const COMPLETED_STATUSES = ["completed", "reviewed", "submitted", "locked"];
+
+// Reason for assessment (M0100) by assessmentType
+const ASSESSMENT_REASON = { SOC: "01", ROC: "03", FU: "04", TRF: "06", DC: "09" };
+
+const DISCIPLINE_CODES = { rn: "1", nurse: "1", nursing: "1", pt: "2", slp: "3", st: "3", ot: "4" };
+const GENDER_CODES = { m: "1", male: "1", 1: "1", f: "2", female: "2", 2: "2" };
+
+const DIAGNOSIS_ITEMS = ["M1021", "M1023"];
+const ICD10_RE = /\b([A-TV-Z]\d{2}(?:\.?[A-Z0-9]{1,4})?)\b/i;
+
+export class SubmissionSpecError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "SubmissionSpecError";
+    this.code = code;
+  }
+}
+
+// Items whose stored answers need converting to the submitted form
+const ITEM_VALUES = {
+  M0060: (value) => String(value).replace(/\D/g, ""),
+  M0064: (value) => String(value).replace(/[\s-]/g, ""),
+  M0069: (value) => genderCode(value),
+  M0080: (value) => disciplineCode(value),
+  ...Object.fromEntries(DIAGNOSIS_ITEMS.map((item) => [item, (value) => icdCode(value)])),
+};
+
+// Values that come from the assessment or the batch rather than oasisData
+const FIELD_SOURCES = {
+  assessmentReason: (ctx) => ASSESSMENT_REASON[ctx.assessment.assessmentType],
+  correctionNumber: (ctx) => String(correctionNumber(ctx.assessment)),
+  // 1 = new record, 2 = modification of a record already accepted by CMS
+  transactionType: (ctx) => (correctionNumber(ctx.assessment) > 0 ? "2" : "1"),
+  patientFirstName: (ctx) => splitName(ctx.data.M0040).first,
+  patientLastName: (ctx) => splitName(ctx.data.M0040).last,
+  specVersion: (ctx) => ctx.spec.version,
+  fileCreateDate: (ctx) => ctx.createdAt,
+  agencyId: (ctx) => ctx.agencyId,
+  agencyNpi: () => process.env.FACILITY_NPI || "",
+  softwareVendor: () => process.env.OASIS_SOFTWARE_VENDOR || "NURSING SYSTEM",
+  periodStart: (ctx) => ctx.startDate,
+  periodEnd: (ctx) => ctx.endDate,
+  assessmentCount: (ctx) => String(ctx.bodyCount),
+  recordCount: (ctx) => String(ctx.recordCount),
+};
+
+const correctionNumber = (assessment) => assessment.submissionData?.correctionNumber || 0;
+
+function checkLayout(name, fields, recordLength) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new SubmissionSpecError(`${name} record has no fields`, "INVALID_SUBMISSION_SPEC");
+  }
+  const layout = [...fields].sort((a, b) => a.start - b.start);
+  let end = 0;
+  for (const f of layout) {
+    const label = `${name} field ${f.name || "(unnamed)"}`;
+    if (!f.name || !Number.isInteger(f.start) || f.start < 1 || !Number.isInteger(f.length) || f.length < 1) {
+      throw new SubmissionSpecError(`${label} needs a name, start and length`, "INVALID_SUBMISSION_SPEC");
+    }
+    if (!FIELD_TYPES.includes(f.type)) {
+      throw new SubmissionSpecError(`${label} has unknown type "${f.type}"`, "INVALID_SUBMISSION_SPEC");
+    }
+    if ([f.item, f.source, f.value].filter((v) => v !== undefined).length !== 1) {
+      throw new SubmissionSpecError(`${label} needs exactly one of item, source or value`, "INVALID_SUBMISSION_SPEC");
+    }
+    if (f.item !== undefined && name !== "body") {
+      throw new SubmissionSpecError(`${label} reads an OASIS item; only body records hold items`, "INVALID_SUBMISSION_SPEC");
+    }
+    if (f.source !== undefined && !FIELD_SOURCES[f.source]) {
+      throw new SubmissionSpecError(`${label} has unknown source "${f.source}"`, "INVALID_SUBMISSION_SPEC");
+    }
+    if (f.start <= end) {
+      throw new SubmissionSpecError(`${label} at ${f.start} overlaps the field ending at ${end}`, "INVALID_SUBMISSION_SPEC");
+    }
+    end = f.start + f.length - 1;
+    if (end > recordLength) {
+      throw new SubmissionSpecError(`${label} ends at ${end}, past the ${recordLength}-character record`, "INVALID_SUBMISSION_SPEC");
+    }
+  }
+  return layout;
+}
+
+/**
+ * Validate a parsed submission spec and return it with its layouts sorted
+ * by start position.
+ */
+export function parseSubmissionSpec(spec) {
+  if (!spec || typeof spec !== "object" || !spec.records) {
+    throw new SubmissionSpecError("Submission spec must have records", "INVALID_SUBMISSION_SPEC");
+  }
+  if (!spec.version) {
+    throw new SubmissionSpecError("Submission spec must name its data spec version", "INVALID_SUBMISSION_SPEC");
+  }
+  if (!Number.isInteger(spec.recordLength) || spec.recordLength < 1) {
+    throw new SubmissionSpecError("Submission spec must give recordLength", "INVALID_SUBMISSION_SPEC");
+  }
+  const records = {};
+  for (const name of ["header", "body", "trailer"]) {
+    if (name !== "body" && spec.records[name] === undefined) continue;
+    records[name] = checkLayout(name, spec.records[name], spec.recordLength);
+  }
+  return {
+    version: String(spec.version),
+    recordLength: spec.recordLength,
+    lineEnd: spec.lineEnd || "\r\n",
+    records,
+  };
+}
+
+const loadedSpecs = new Map();
+
+/**
+ * Load and validate the submission spec file, once per path.
+ * @throws {SubmissionSpecError} SUBMISSION_SPEC_MISSING when no spec is installed
+ */
+export async function loadSubmissionSpec(filePath = SUBMISSION_SPEC_PATH) {
+  if (!loadedSpecs.has(filePath)) {
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new SubmissionSpecError(
+          `No OASIS submission spec at ${filePath}; convert the CMS OASIS-E data specifications and set OASIS_SUBMISSION_SPEC`,
+          "SUBMISSION_SPEC_MISSING"
+        );
+      }
+      throw error;
+    }
+    let spec;
+    try {
+      spec = JSON.parse(raw);
+    } catch (error) {
+      throw new SubmissionSpecError(`Submission spec is not valid JSON: ${error.message}`, "INVALID_SUBMISSION_SPEC");
+    }
+    loadedSpecs.set(filePath, parseSubmissionSpec(spec));
+  }
+  return loadedSpecs.get(filePath);
+}
+
+function isBlank(value) {
+  return (
+    value === null ||
+    value === undefined ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function splitName(name) {
+  const text = String(name || "").trim();
+  if (!text) return { first: "", last: "" };
+  if (text.includes(",")) {
+    const [last, first] = text.split(",").map((s) => s.trim());
+    return { first: first || "", last };
+  }
+  const parts = text.split(/\s+/);
+  const last = parts.length > 1 ? parts.pop() : "";
+  return { first: parts.join(" "), last };
+}
+
+function genderCode(value) {
+  if (isBlank(value)) return "";
+  return GENDER_CODES[String(value).trim().toLowerCase()] || String(value);
+}
+
+function disciplineCode(value) {
+  if (isBlank(value)) return "";
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return text;
+  return DISCIPLINE_CODES[text.toLowerCase()] || text;
+}
+
+function icdCode(value) {
+  if (isBlank(value)) return "";
+  const match = String(value).match(ICD10_RE);
+  return match ? match[1].toUpperCase() : String(value);
+}
+
+function parseDate(value) {
+  if (isBlank(value)) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const yyyymmdd = (date) => date.toISOString().slice(0, 10).replace(/-/g, "");
+
+// Strip accents so names like "José" survive the ASCII-only record
+const toAscii = (text) => text.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+
+// Response codes: "2", "02" and "2 - Needs assistance" all encode as "02"
+function responseCode(value) {
+  const text = String(value).trim();
+  if (text === "-" || text === "^") return text;
+  const match = text.match(/^(\d+)\b/);
+  return match ? match[1] : null;
+}
+
+// Checkbox responses: "B", "b" and "B. Black or African American" all mean B
+function checkedOptions(value) {
+  return (Array.isArray(value) ? value : [value])
+    .filter((v) => !isBlank(v))
+    .map((v) => String(v).trim().toUpperCase().match(/^([A-Z])\b/)?.[1] ?? null);
+}
+
+function rawFieldValue(f, ctx) {
+  if (f.value !== undefined) return f.value;
+  if (f.source) return FIELD_SOURCES[f.source](ctx);
+
+  let value = ctx.data[f.item];
+  if (isBlank(value)) return "";
+  if (f.option !== undefined) {
+    return checkedOptions(value).includes(String(f.option).toUpperCase()) ? "1" : "0";
+  }
+  if (f.index !== undefined) {
+    value = Array.isArray(value) ? value[f.index] : f.index === 0 ? value : "";
+    if (isBlank(value)) return "";
+  }
+  return ITEM_VALUES[f.item] ? ITEM_VALUES[f.item](value) : value;
+}
+
+/**
+ * Encode one field. Returns { text } or { error } when the value cannot be
+ * represented in the field.
+ */
+function encodeField(f, raw) {
+  if (isBlank(raw)) return { text: " ".repeat(f.length) };
+
+  if (f.type === "D") {
+    const date = parseDate(raw);
+    if (!date) return { error: `invalid date "${raw}"` };
+    return { text: yyyymmdd(date) };
+  }
+
+  if (f.type === "N") {
+    const code = responseCode(raw);
+    if (code === null) return { error: `"${raw}" is not a response code` };
+    if (code === "-" || code === "^") return { text: code.padEnd(f.length, " ") };
+    if (code.length > f.length) return { error: `response code "${code}" is longer than ${f.length}` };
+    return { text: code.padStart(f.length, "0") };
+  }
+
+  const text = toAscii(Array.isArray(raw) ? raw.join(" ") : String(raw)).toUpperCase().trim();
+  if (/[^\x20-\x7E]/.test(text)) return { error: "contains characters outside the submission character set" };
+  if (text.length > f.length) return { error: `value is ${text.length} characters, field allows ${f.length}` };
+  return { text: text.padEnd(f.length, " ") };
+}
+
+function buildRecord(layout, ctx) {
+  const errors = [];
+  const chars = Array(ctx.spec.recordLength).fill(" ");
+  for (const f of layout) {
+    const { text, error } = encodeField(f, rawFieldValue(f, ctx));
+    if (error) {
+      errors.push({ item: f.item || f.name, field: f.name, edit: "FORMAT", message: `${f.name}: ${error}` });
+      continue;
+    }
+    chars.splice(f.start - 1, f.length, ...text);
+  }
+  return { record: chars.join(""), errors };
+}
+
+// National Provider Identifier check digit (Luhn over "80840" + first 9 digits)
+export function isValidNPI(npi) {
+  if (!/^\d{10}$/.test(npi)) return false;
+  const digits = `80840${npi.slice(0, 9)}`.split("").map(Number);
+  let sum = 0;
+  for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+    let d = digits[i];
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return (10 - (sum % 10)) % 10 === Number(npi[9]);
+}
+
+/**
+ * Run the CMS edit checks for one assessment.
+ * @param {Object} assessment - OASISAssessment document
+ * @param {Object} options - { requiredItems, agencyId, now }
+ * @returns {{ fatal: Array, warnings: Array }}
+ */
+export function runSubmissionEdits(assessment, options = {}) {
+  const data = assessment.oasisData || {};
+  const now = options.now || new Date();
+  const fatal = [];
+  const warnings = [];
+  const add = (list, item, edit, message) => list.push({ item, edit, message });
+
+  if (!COMPLETED_STATUSES.includes(assessment.status)) {
+    add(fatal, "status", "STATUS", `assessment status "${assessment.status}" is not completed`);
+  }
+  if (!ASSESSMENT_REASON[assessment.assessmentType]) {
+    add(fatal, "M0100", "REASON", `unknown assessment type "${assessment.assessmentType}"`);
+  }
+
+  const required = new Set([...(options.requiredItems || []), "M0040", "M0080", "M0090"]);
+  for (const item of required) {
+    if (isBlank(data[item])) add(fatal, item, "REQUIRED", `${item} is required`);
+  }
+
+  if (options.agencyId && !isBlank(data.M0010) && String(data.M0010).trim().toUpperCase() !== options.agencyId) {
+    add(fatal, "M0010", "AGENCY", `M0010 ${data.M0010} does not match batch agency ${options.agencyId}`);
+  }
+  if (!isBlank(data.M0010) && !/^[A-Z0-9]{6}$/i.test(String(data.M0010).trim())) {
+    add(fatal, "M0010", "FORMAT", "M0010 must be the 6-character CMS Certification Number");
+  }
+  if (!isBlank(data.M0018) && !isValidNPI(String(data.M0018).trim())) {
+    add(fatal, "M0018", "NPI", "M0018 is not a valid NPI");
+  }
+  if (!isBlank(data.M0050) && !/^[A-Z]{2}$/i.test(String(data.M0050).trim())) {
+    add(fatal, "M0050", "FORMAT", "M0050 must be a 2-letter state code");
+  }
+  if (!isBlank(data.M0060) && !/^\d{5}(?:-?\d{4})?$/.test(String(data.M0060).trim())) {
+    add(fatal, "M0060", "FORMAT", "M0060 must be a 5 or 9 digit ZIP code");
+  }
+  if (isBlank(data.M0064)) {
+    add(warnings, "M0064", "REQUIRED", 'M0064 is blank; use "UK" when the SSN is unknown');
+  } else if (!/^(\d{9}|UK)$/i.test(String(data.M0064).replace(/[\s-]/g, ""))) {
+    add(fatal, "M0064", "FORMAT", 'M0064 must be 9 digits or "UK"');
+  }
+  if (!isBlank(data.M0069) && !["1", "2"].includes(genderCode(data.M0069))) {
+    add(fatal, "M0069", "VALUE", "M0069 must be 1 (male) or 2 (female)");
+  }
+  if (!isBlank(data.M0080) && !["1", "2", "3", "4"].includes(disciplineCode(data.M0080))) {
+    add(fatal, "M0080", "VALUE", "M0080 must be RN, PT, SLP/ST or OT");
+  }
+
+  for (const item of ["A1005", "A1010"]) {
+    if (!isBlank(data[item]) && checkedOptions(data[item]).includes(null)) {
+      add(fatal, item, "FORMAT", `${item} responses must be checkbox letters`);
+    }
+  }
+  if (correctionNumber(assessment) > MAX_CORRECTION_NUMBER) {
+    add(fatal, "CRCTN_NUM", "CORRECTION", `assessment has been corrected more than ${MAX_CORRECTION_NUMBER} times`);
+  }
+
+  for (const item of DIAGNOSIS_ITEMS) {
+    if (!isBlank(data[item]) && !ICD10_RE.test(String(data[item]))) {
+      add(fatal, item, "ICD", `${item} does not contain an ICD-10-CM code`);
+    }
+  }
+
+  const completed = parseDate(data.M0090);
+  const birth = parseDate(data.M0066);
+  const startOfCare = parseDate(data.M0030);
+  for (const [item, date] of [["M0090", completed], ["M0066", birth], ["M0030", startOfCare]]) {
+    if (date && date > now) add(fatal, item, "DATE", `${item} is in the future`);
+  }
+  if (birth && completed && birth > completed) {
+    add(fatal, "M0066", "DATE", "M0066 birth date is after M0090");
+  }
+  if (startOfCare && completed && startOfCare > completed) {
+    add(fatal, "M0030", "DATE", "M0030 start of care is after M0090");
+  }
+  if (assessment.assessmentType === "SOC" && startOfCare && completed) {
+    const days = (completed - startOfCare) / (24 * 60 * 60 * 1000);
+    if (days > 5) add(warnings, "M0090", "TIMING", "SOC assessment completed more than 5 days after M0030");
+  }
+
+  return { fatal, warnings };
+}
+
+/**
+ * Build the body record for one assessment after running the edit checks.
+ * @param {Object} options - { spec, requiredItems, agencyId, now }
+ * @returns {{ record: string|null, fatal: Array, warnings: Array }}
+ */
+export function buildSubmissionRecord(assessment, options = {}) {
+  const { fatal, warnings } = runSubmissionEdits(assessment, options);
+  const ctx = { spec: options.spec, assessment, data: assessment.oasisData || {} };
+  const { record, errors } = buildRecord(options.spec.records.body, ctx);
+  // Report each item once: an edit failure already explains the bad field
+  const flagged = new Set(fatal.map((e) => e.item));
+  fatal.push(...errors.filter((e) => !flagged.has(e.item)));
+  return { record: fatal.length ? null : record, fatal, warnings };
+}
+
+/**
+ * Build a header or trailer record. These describe the whole batch, so a
+ * value that does not fit (a count or date too long for its field) fails
+ * the export instead of being written as blanks.
+ * @throws {SubmissionSpecError} INVALID_BATCH_RECORD
+ */
+function buildBatchRecord(name, layout, ctx) {
+  const { record, errors } = buildRecord(layout, ctx);
+  if (errors.length) {
+    throw new SubmissionSpecError(
+      `${name} record: ${errors.map((e) => e.message).join("; ")}`,
+      "INVALID_BATCH_RECORD"
+    );
+  }
+  return record;
+}
+
+/**
+ * Build a complete submission file (header, body records, trailer).
+ * Assessments that fail a fatal edit are left out and listed in `rejected`.
+ * @throws {SubmissionSpecError} INVALID_BATCH_RECORD when the header or
+ *   trailer cannot be encoded
+ * @param {Array} assessments - OASISAssessment documents
+ * @param {Object} options - { spec, startDate, endDate, requiredItemsFor(type), now }
+ */
+export function buildSubmissionFile(assessments, options = {}) {
+  const { spec } = options;
+  const agencyId = assessments
+    .map((a) => String(a.oasisData?.M0010 || "").trim().toUpperCase())
+    .find(Boolean) || "";
+
+  const accepted = [];
+  const rejected = [];
+  const bodies = [];
+  for (const assessment of assessments) {
+    const result = buildSubmissionRecord(assessment, {
+      spec,
+      requiredItems: options.requiredItemsFor?.(assessment.assessmentType),
+      agencyId,
+      now: options.now,
+    });
+    const summary = {
+      assessmentId: String(assessment._id),
+      assessmentType: assessment.assessmentType,
+      correctionNumber: correctionNumber(assessment),
+      fatal: result.fatal,
+      warnings: result.warnings,
+    };
+    if (result.record) {
+      bodies.push(result.record);
+      accepted.push(summary);
+    } else {
+      rejected.push(summary);
+    }
+  }
+
+  const { header, trailer } = spec.records;
+  const ctx = {
+    spec,
+    createdAt: options.now || new Date(),
+    agencyId,
+    startDate: options.startDate,
+    endDate: options.endDate,
+    bodyCount: bodies.length,
+    recordCount: bodies.length + (header ? 1 : 0) + (trailer ? 1 : 0),
+  };
+  const records = [
+    ...(header ? [buildBatchRecord("header", header, ctx)] : []),
+    ...bodies,
+    ...(trailer ? [buildBatchRecord("trailer", trailer, ctx)] : []),
+  ];
+
+  return {
+    content: records.join(spec.lineEnd) + spec.lineEnd,
+    agencyId,
+    specVersion: spec.version,
+    accepted,
+    rejected,
+  };
+}
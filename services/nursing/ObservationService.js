@@ -0,0 +1,599 @@
+import { Readable } from "stream";
+import csv from "csv-parser";
+import mongoose from "mongoose";
+import Observation, { OBSERVATION_TYPES } from "../../models/nursing/Observation.js";
+import Patient from "../../models/Patient.js";
+import VisitRecord from "../../models/VisitRecord.js";
+import organizationService from "../organizationService.js";
+
+export class ObservationError extends Error {
+  constructor(message, code, statusCode = 400, details = []) {
+    super(message);
+    this.name = "ObservationError";
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_BATCH_SIZE = 500;
+const MAX_IMPORT_ROWS = 10000;
+// Readings further apart than this are not treated as an orthostatic pair
+const ORTHOSTATIC_PAIR_WINDOW_MS = 30 * 60 * 1000;
+
+// Stored unit per type, plausible range (rejects typos, not abnormal values)
+// and accepted input units with their conversion to the stored unit
+const READING_TYPES = {
+  heart_rate: { unit: "bpm", min: 20, max: 300 },
+  respiratory_rate: { unit: "breaths/min", min: 2, max: 80 },
+  oxygen_saturation: { unit: "%", min: 50, max: 100 },
+  temperature: {
+    unit: "°C",
+    min: 25,
+    max: 45,
+    conversions: { c: (v) => v, f: (v) => ((v - 32) * 5) / 9 },
+  },
+  weight: {
+    unit: "kg",
+    min: 0.5,
+    max: 700,
+    conversions: { kg: (v) => v, lb: (v) => v * 0.45359237, lbs: (v) => v * 0.45359237 },
+  },
+  blood_glucose: {
+    unit: "mg/dL",
+    min: 10,
+    max: 1500,
+    conversions: { "mg/dl": (v) => v, "mmol/l": (v) => v * 18.016 },
+  },
+  pain: { unit: "0-10", min: 0, max: 10, integer: true },
+};
+
+// Adult reference ranges used to flag readings and derive the trend
+const NORMAL_RANGES = {
+  systolic: { min: 90, max: 140 },
+  diastolic: { min: 60, max: 90 },
+  heart_rate: { min: 60, max: 100 },
+  respiratory_rate: { min: 12, max: 20 },
+  oxygen_saturation: { min: 95, max: 100 },
+  temperature: { min: 36.1, max: 38.0 },
+  blood_glucose: { min: 70, max: 180 },
+};
+
+const EVENT_TYPES = ["fall", "incident"];
+const INCIDENT_SEVERITIES = ["none", "minor", "moderate", "major", "death"];
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+const toNumber = (value) => (isBlank(value) ? null : Number(value));
+
+const toBoolean = (value) =>
+  isBlank(value) ? undefined : ["true", "yes", "y", "1"].includes(String(value).trim().toLowerCase());
+
+const normalizeUnit = (unit) =>
+  String(unit)
+    .trim()
+    .toLowerCase()
+    .replace(/^°/, "")
+    .replace(/^deg/, "");
+
+/**
+ * Patient observation store: vital signs, point-of-care readings and
+ * fall/incident events, ingested manually, from devices, by CSV import or
+ * copied from visit records. RiskStratificationAI reads its recent window.
+ */
+class ObservationService {
+  /**
+   * Validate one observation and convert it to the stored units.
+   * @returns {{ doc?: Object, errors: string[] }}
+   */
+  normalize(input = {}) {
+    const errors = [];
+    const type = String(input.type || "").trim().toLowerCase();
+
+    if (!OBSERVATION_TYPES.includes(type)) {
+      return { errors: [`type must be one of ${OBSERVATION_TYPES.join(", ")}`] };
+    }
+
+    const observedAt = isBlank(input.observedAt) ? new Date() : new Date(input.observedAt);
+    if (isNaN(observedAt.getTime())) {
+      errors.push("observedAt is not a valid date");
+    } else if (observedAt.getTime() > Date.now() + 5 * 60 * 1000) {
+      errors.push("observedAt cannot be in the future");
+    }
+
+    const doc = { type, observedAt };
+    if (!isBlank(input.notes)) doc.notes = String(input.notes).trim();
+    if (!isBlank(input.position)) {
+      const position = String(input.position).trim().toLowerCase();
+      if (["lying", "sitting", "standing"].includes(position)) {
+        doc.position = position;
+      } else {
+        errors.push("position must be lying, sitting or standing");
+      }
+    }
+
+    if (type === "blood_pressure") {
+      let { systolic, diastolic } = input;
+      // "128/84" is accepted in value
+      if (isBlank(systolic) && typeof input.value === "string" && input.value.includes("/")) {
+        [systolic, diastolic] = input.value.split("/");
+      }
+      systolic = toNumber(systolic);
+      diastolic = toNumber(diastolic);
+      if (!Number.isFinite(systolic) || systolic < 40 || systolic > 300) {
+        errors.push("systolic must be a number from 40 to 300");
+      }
+      if (!Number.isFinite(diastolic) || diastolic < 20 || diastolic > 200) {
+        errors.push("diastolic must be a number from 20 to 200");
+      }
+      if (Number.isFinite(systolic) && Number.isFinite(diastolic) && systolic <= diastolic) {
+        errors.push("systolic must be greater than diastolic");
+      }
+      Object.assign(doc, { systolic, diastolic, unit: "mmHg" });
+    } else if (EVENT_TYPES.includes(type)) {
+      const incident = input.incident || {};
+      const severity = incident.severity ?? input.severity;
+      if (!isBlank(severity) && !INCIDENT_SEVERITIES.includes(String(severity))) {
+        errors.push(`severity must be one of ${INCIDENT_SEVERITIES.join(", ")}`);
+      }
+      doc.incident = {
+        category: String(incident.category ?? input.category ?? type).trim(),
+        severity: isBlank(severity) ? undefined : String(severity),
+        injury: toBoolean(incident.injury ?? input.injury),
+        description: isBlank(incident.description ?? input.description)
+          ? undefined
+          : String(incident.description ?? input.description).trim(),
+      };
+    } else {
+      const spec = READING_TYPES[type];
+      let value = toNumber(input.value);
+      if (!Number.isFinite(value)) {
+        errors.push("value must be a number");
+      } else {
+        if (spec.conversions && !isBlank(input.unit)) {
+          const convert = spec.conversions[normalizeUnit(input.unit)];
+          if (convert) {
+            value = round(convert(value), 2);
+          } else {
+            errors.push(`unit must be one of ${Object.keys(spec.conversions).join(", ")}`);
+          }
+        }
+        if (value < spec.min || value > spec.max) {
+          // Converted readings are range-checked in the stored unit
+          errors.push(
+            `value must be from ${spec.min} to ${spec.max}` +
+              (spec.conversions ? ` ${spec.unit}` : "")
+          );
+        }
+        if (spec.integer && !Number.isInteger(value)) {
+          errors.push("value must be a whole number");
+        }
+      }
+      Object.assign(doc, { value, unit: spec.unit });
+    }
+
+    return errors.length > 0 ? { errors } : { doc, errors };
+  }
+
+  // The patient's organization, or an error when the user may not chart on it
+  async resolvePatient(patientId, userId) {
+    const patient = mongoose.Types.ObjectId.isValid(String(patientId))
+      ? await Patient.findById(patientId).select("createdBy userId organizationId careTeam").lean()
+      : null;
+    if (!patient || !(await organizationService.canAccessPatient(patient, userId))) {
+      throw new ObservationError("Patient not found", "PATIENT_NOT_FOUND", 404);
+    }
+    return patient;
+  }
+
+  /**
+   * Record one or more observations for a patient. All-or-nothing: any
+   * invalid entry rejects the batch with per-entry details.
+   */
+  async recordObservations(patientId, userId, inputs, { source = "manual" } = {}) {
+    const entries = [].concat(inputs || []);
+    if (entries.length === 0) {
+      throw new ObservationError("No observations provided", "NO_OBSERVATIONS");
+    }
+    if (entries.length > MAX_BATCH_SIZE) {
+      throw new ObservationError(
+        `At most ${MAX_BATCH_SIZE} observations per request`,
+        "BATCH_TOO_LARGE",
+        413
+      );
+    }
+
+    const patient = await this.resolvePatient(patientId, userId);
+
+    const docs = [];
+    const details = [];
+    entries.forEach((entry, index) => {
+      const { doc, errors } = this.normalize(entry);
+      if (errors.length > 0) {
+        details.push({ index, errors });
+      } else {
+        docs.push(doc);
+      }
+    });
+
+    if (details.length > 0) {
+      throw new ObservationError("Invalid observations", "INVALID_OBSERVATIONS", 422, details);
+    }
+
+    const saved = await Observation.insertMany(
+      docs.map((doc) => ({
+        ...doc,
+        patientId: patient._id,
+        organizationId: patient.organizationId || null,
+        recordedBy: userId,
+        source,
+      }))
+    );
+
+    console.log(`🩺 Recorded ${saved.length} observation(s) for patient ${patientId}`);
+    return saved;
+  }
+
+  /**
+   * Bulk CSV import. Columns: patientId (or a defaultPatientId), type,
+   * observedAt, value, systolic, diastolic, unit, position, notes, and for
+   * falls/incidents category, severity, injury, description.
+   * Valid rows are saved; invalid rows are reported by line number.
+   */
+  async importCsv(input, userId, { defaultPatientId = null } = {}) {
+    const rows = await this.parseCsv(input);
+    if (rows.length === 0) {
+      throw new ObservationError("CSV file has no data rows", "EMPTY_IMPORT");
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new ObservationError(
+        `At most ${MAX_IMPORT_ROWS} rows per import`,
+        "IMPORT_TOO_LARGE",
+        413
+      );
+    }
+
+    const patients = new Map();
+    const docs = [];
+    const errors = [];
+
+    for (const [index, row] of rows.entries()) {
+      // Line 1 is the header
+      const line = index + 2;
+      const patientId = String(row.patientId || defaultPatientId || "").trim();
+      if (!patientId) {
+        errors.push({ line, errors: ["patientId is required"] });
+        continue;
+      }
+
+      if (!patients.has(patientId)) {
+        patients.set(
+          patientId,
+          await this.resolvePatient(patientId, userId).catch(() => null)
+        );
+      }
+      const patient = patients.get(patientId);
+      if (!patient) {
+        errors.push({ line, errors: [`Patient ${patientId} not found`] });
+        continue;
+      }
+
+      const { doc, errors: rowErrors } = this.normalize(row);
+      if (rowErrors.length > 0) {
+        errors.push({ line, errors: rowErrors });
+        continue;
+      }
+
+      docs.push({
+        ...doc,
+        patientId: patient._id,
+        organizationId: patient.organizationId || null,
+        recordedBy: userId,
+        source: "csv_import",
+      });
+    }
+
+    if (docs.length > 0) {
+      await Observation.insertMany(docs);
+    }
+
+    console.log(
+      `📥 Observation CSV import: ${docs.length} imported, ${errors.length} rejected`
+    );
+    return {
+      totalRows: rows.length,
+      imported: docs.length,
+      rejected: errors.length,
+      errors,
+    };
+  }
+
+  parseCsv(input) {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      Readable.from([Buffer.isBuffer(input) ? input : Buffer.from(String(input || ""))])
+        .pipe(
+          csv({
+            mapHeaders: ({ header }) => header.trim().replace(/^\uFEFF/, ""),
+            mapValues: ({ value }) => value.trim(),
+          })
+        )
+        .on("data", (row) => rows.push(row))
+        .on("end", () => resolve(rows))
+        .on("error", (error) =>
+          reject(new ObservationError(`Invalid CSV: ${error.message}`, "INVALID_CSV"))
+        );
+    });
+  }
+
+  /**
+   * Copy a visit record's vital signs into the store. Idempotent: each
+   * reading is keyed by the visit id and type.
+   */
+  async recordVisitVitals(visitRecord) {
+    const vitals = visitRecord?.vitalSigns;
+    if (!vitals || !mongoose.Types.ObjectId.isValid(String(visitRecord.patientId))) {
+      return 0;
+    }
+
+    const readings = [
+      { type: "blood_pressure", value: vitals.bloodPressure },
+      { type: "heart_rate", value: vitals.heartRate },
+      { type: "respiratory_rate", value: vitals.respiratoryRate },
+      { type: "temperature", value: vitals.temperature, unit: vitals.temperature > 50 ? "F" : "C" },
+      { type: "oxygen_saturation", value: vitals.oxygenSaturation },
+      { type: "pain", value: vitals.painScore },
+      { type: "weight", value: vitals.weight },
+    ].filter((reading) => !isBlank(reading.value));
+
+    const operations = [];
+    for (const reading of readings) {
+      const { doc, errors } = this.normalize({ ...reading, observedAt: visitRecord.visitDate });
+      if (errors.length > 0) {
+        console.warn(
+          `⚠️ Skipping ${reading.type} from visit ${visitRecord._id}: ${errors.join("; ")}`
+        );
+        continue;
+      }
+      const key = { source: "visit_record", sourceRef: String(visitRecord._id), type: doc.type };
+      operations.push({
+        updateOne: {
+          filter: key,
+          update: {
+            $setOnInsert: {
+              ...doc,
+              ...key,
+              patientId: visitRecord.patientId,
+              recordedBy: visitRecord.clinicianId,
+              organizationId: visitRecord.organizationId || null,
+            },
+          },
+          upsert: true,
+        },
+      });
+    }
+
+    if (operations.length === 0) return 0;
+    const result = await Observation.bulkWrite(operations, { ordered: false });
+    return result.upsertedCount || 0;
+  }
+
+  /**
+   * Pull vital signs from the patient's visit records since a date.
+   */
+  async syncVisitRecords(patientId, since = null) {
+    const filter = { patientId: String(patientId) };
+    if (since) filter.visitDate = { $gte: since };
+
+    const visits = await VisitRecord.find(filter)
+      .select("patientId visitDate clinicianId vitalSigns")
+      .lean();
+
+    const patient = await Patient.findById(patientId).select("organizationId").lean();
+    let copied = 0;
+    for (const visit of visits) {
+      copied += await this.recordVisitVitals({
+        ...visit,
+        organizationId: patient?.organizationId,
+      });
+    }
+    return copied;
+  }
+
+  /**
+   * Observations for a patient, newest first.
+   */
+  async getObservations(patientId, { types, since, until, limit = 200, includeErrors = false } = {}) {
+    const filter = { patientId };
+    if (!includeErrors) filter.status = "final";
+    if (types?.length) filter.type = { $in: [].concat(types) };
+    if (since || until) {
+      filter.observedAt = {};
+      if (since) filter.observedAt.$gte = new Date(since);
+      if (until) filter.observedAt.$lte = new Date(until);
+    }
+
+    return Observation.find(filter)
+      .sort({ observedAt: -1 })
+      .limit(Math.min(Number(limit) || 200, 1000))
+      .lean();
+  }
+
+  /**
+   * Mark an observation as entered in error; it stays in the record but
+   * drops out of summaries and risk inputs.
+   */
+  async markEnteredInError(patientId, observationId, userId, reason) {
+    await this.resolvePatient(patientId, userId);
+    const observation = mongoose.Types.ObjectId.isValid(String(observationId))
+      ? await Observation.findOneAndUpdate(
+          { _id: observationId, patientId },
+          {
+            $set: {
+              status: "entered_in_error",
+              notes: reason ? `Entered in error: ${reason}` : "Entered in error",
+            },
+          },
+          { new: true }
+        )
+      : null;
+    if (!observation) {
+      throw new ObservationError("Observation not found", "OBSERVATION_NOT_FOUND", 404);
+    }
+    return observation;
+  }
+
+  /**
+   * Latest vital signs in the window, with abnormal flags, an orthostatic
+   * check and the trend between the first and last readings.
+   */
+  async getVitalsSummary(patientId, { hours = 72 } = {}) {
+    const since = new Date(Date.now() - hours * HOUR_MS);
+    await this.syncVisitRecords(patientId, since);
+
+    const readings = await this.getObservations(patientId, {
+      types: Object.keys(READING_TYPES).concat("blood_pressure"),
+      since,
+      limit: 1000,
+    });
+
+    const byType = {};
+    for (const reading of readings) {
+      (byType[reading.type] ||= []).push(reading);
+    }
+
+    const latest = (type) => byType[type]?.[0] || null;
+    const earliest = (type) => byType[type]?.[byType[type].length - 1] || null;
+    const latestBp = latest("blood_pressure");
+
+    return {
+      window_hours: hours,
+      reading_count: readings.length,
+      blood_pressure: {
+        systolic: latestBp?.systolic ?? null,
+        diastolic: latestBp?.diastolic ?? null,
+      },
+      heart_rate: latest("heart_rate")?.value ?? null,
+      temperature: latest("temperature")?.value ?? null,
+      respiratory_rate: latest("respiratory_rate")?.value ?? null,
+      oxygen_saturation: latest("oxygen_saturation")?.value ?? null,
+      weight: latest("weight")?.value ?? null,
+      weight_change: this.change(latest("weight"), earliest("weight")),
+      blood_glucose: latest("blood_glucose")?.value ?? null,
+      pain: latest("pain")?.value ?? null,
+      orthostatic_changes: this.orthostaticChanges(byType.blood_pressure || []),
+      abnormal: this.abnormalFindings(latest),
+      last_updated: readings[0]?.observedAt || null,
+      stability_trend: this.stabilityTrend(byType),
+    };
+  }
+
+  /**
+   * Falls and incidents in the window, newest first.
+   */
+  async getIncidents(patientId, { hours = 72 } = {}) {
+    return this.getObservations(patientId, {
+      types: EVENT_TYPES,
+      since: new Date(Date.now() - hours * HOUR_MS),
+    });
+  }
+
+  change(latest, earliest) {
+    if (!latest || !earliest || latest === earliest) return null;
+    return round(latest.value - earliest.value, 2);
+  }
+
+  deviation(field, value) {
+    const range = NORMAL_RANGES[field];
+    if (!range || value === null || value === undefined) return 0;
+    if (value < range.min) return (range.min - value) / range.min;
+    if (value > range.max) return (value - range.max) / range.max;
+    return 0;
+  }
+
+  readingDeviation(reading) {
+    if (!reading) return 0;
+    if (reading.type === "blood_pressure") {
+      return (
+        this.deviation("systolic", reading.systolic) +
+        this.deviation("diastolic", reading.diastolic)
+      );
+    }
+    return this.deviation(reading.type, reading.value);
+  }
+
+  abnormalFindings(latest) {
+    const findings = [];
+    const bp = latest("blood_pressure");
+    if (bp) {
+      for (const field of ["systolic", "diastolic"]) {
+        if (this.deviation(field, bp[field]) > 0) {
+          findings.push({ vital: `${field}_blood_pressure`, value: bp[field], observedAt: bp.observedAt });
+        }
+      }
+    }
+    for (const type of Object.keys(NORMAL_RANGES)) {
+      const reading = latest(type);
+      if (reading && this.deviation(type, reading.value) > 0) {
+        findings.push({ vital: type, value: reading.value, observedAt: reading.observedAt });
+      }
+    }
+    return findings;
+  }
+
+  // Compares total deviation from normal across vitals at the start and
+  // end of the window
+  stabilityTrend(byType) {
+    const types = Object.keys(byType).filter((type) => byType[type].length >= 2);
+    if (types.length === 0) {
+      return Object.keys(byType).length > 0 ? "stable" : "unknown";
+    }
+
+    let first = 0;
+    let last = 0;
+    for (const type of types) {
+      const series = byType[type];
+      last += this.readingDeviation(series[0]);
+      first += this.readingDeviation(series[series.length - 1]);
+    }
+
+    const delta = last - first;
+    if (delta > 0.05) return "declining";
+    if (delta < -0.05) return "improving";
+    return "stable";
+  }
+
+  // Standing reading compared with the lying/sitting reading just before it;
+  // a drop of >= 20 systolic or >= 10 diastolic is orthostatic hypotension
+  orthostaticChanges(bloodPressures) {
+    const standing = bloodPressures.find((reading) => reading.position === "standing");
+    if (!standing) return null;
+
+    const baseline = bloodPressures.find(
+      (reading) =>
+        ["lying", "sitting"].includes(reading.position) &&
+        reading.observedAt <= standing.observedAt &&
+        standing.observedAt - reading.observedAt <= ORTHOSTATIC_PAIR_WINDOW_MS
+    );
+    if (!baseline) return null;
+
+    const systolicDrop = baseline.systolic - standing.systolic;
+    const diastolicDrop = baseline.diastolic - standing.diastolic;
+    return {
+      baseline_position: baseline.position,
+      systolic_drop: systolicDrop,
+      diastolic_drop: diastolicDrop,
+      positive: systolicDrop >= 20 || diastolicDrop >= 10,
+      measured_at: standing.observedAt,
+    };
+  }
+}
+
+export { ObservationService };
+export default new ObservationService();
@@ -10,6 +10,16 @@ import { generateClinicalAnalysis } from "../openaiService.js";
 import OutcomeMeasure from "../../models/nursing/OutcomeMeasure.js";
 import File from "../../models/File.js";
 import { EventEmitter } from "events";
+import jobScheduler from "../jobSchedulerService.js";
+
+// Service instance behind each monitoring job. Monitoring compares against
+// this process's analysis cache and emits to its listeners, so the jobs
+// are instance-scoped.
+const monitors = new Map();
+
+jobScheduler.define("outcome-measures.monitor", ({ userId, patientId }, job) =>
+  monitors.get(job.name)?.checkForNewDocuments(userId, patientId)
+);
 
 class OutcomeMeasuresAIService extends EventEmitter {
   constructor() {
@@ -1099,43 +1109,17 @@ class OutcomeMeasuresAIService extends EventEmitter {
   async startRealTimeMonitoring(userId, patientId) {
     try {
       console.log(`Starting real-time monitoring for patient ${patientId}`);
-      
-      // Set up document change monitoring
-      const monitoringKey = `${userId}-${patientId}`;
-      
+
       // Check for new documents every 30 seconds
-      const monitoringInterval = setInterval(async () => {
-        try {
-          const latestDocuments = await this.getPatientDocuments(userId, patientId);
-          const cachedData = this.analysisCache.get(monitoringKey);
-          
-          if (cachedData && latestDocuments.length > cachedData.documentsAnalyzed) {
-            console.log(`New documents detected for patient ${patientId}, updating analysis`);
-            
-            // Update outcome measures with new documents
-            const updatedMeasures = await this.updateOutcomeMeasuresWithNewDocument(
-              userId, 
-              patientId, 
-              latestDocuments[0]._id
-            );
-            
-            // Emit real-time update
-            this.emit('realTimeUpdate', {
-              userId,
-              patientId,
-              updatedMeasures,
-              timestamp: new Date().toISOString()
-            });
-          }
-        } catch (error) {
-          console.error(`Error in real-time monitoring for patient ${patientId}:`, error);
-        }
-      }, 30000); // 30 seconds
-      
-      // Store monitoring interval for cleanup
-      this.monitoringIntervals = this.monitoringIntervals || new Map();
-      this.monitoringIntervals.set(monitoringKey, monitoringInterval);
-      
+      const jobName = `outcome-measures.monitor:${userId}-${patientId}`;
+      monitors.set(jobName, this);
+      await jobScheduler.schedule(jobName, {
+        handler: "outcome-measures.monitor",
+        every: 30000,
+        scope: "instance",
+        data: { userId: String(userId), patientId: String(patientId) },
+      });
+
       console.log(`Real-time monitoring started for patient ${patientId}`);
     } catch (error) {
       console.error("Error starting real-time monitoring:", error);
@@ -1143,18 +1127,48 @@ class OutcomeMeasuresAIService extends EventEmitter {
     }
   }
 
+  /**
+   * Re-analyze when the patient has documents the cached analysis has not seen
+   * @param {string} userId - User ID
+   * @param {string} patientId - Patient ID
+   */
+  async checkForNewDocuments(userId, patientId) {
+    const latestDocuments = await this.getPatientDocuments(userId, patientId);
+    const cachedData = this.analysisCache.get(`${userId}-${patientId}`);
+
+    if (cachedData && latestDocuments.length > cachedData.documentsAnalyzed) {
+      console.log(`New documents detected for patient ${patientId}, updating analysis`);
+
+      // Update outcome measures with new documents
+      const updatedMeasures = await this.updateOutcomeMeasuresWithNewDocument(
+        userId,
+        patientId,
+        latestDocuments[0]._id
+      );
+
+      // Emit real-time update
+      this.emit('realTimeUpdate', {
+        userId,
+        patientId,
+        updatedMeasures,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   /**
    * Stop real-time monitoring for a patient
    * @param {string} userId - User ID
    * @param {string} patientId - Patient ID
    */
   stopRealTimeMonitoring(userId, patientId) {
-    const monitoringKey = `${userId}-${patientId}`;
-    const interval = this.monitoringIntervals?.get(monitoringKey);
-    
-    if (interval) {
-      clearInterval(interval);
-      this.monitoringIntervals.delete(monitoringKey);
+    const jobName = `outcome-measures.monitor:${userId}-${patientId}`;
+
+    if (monitors.get(jobName) === this) {
+      monitors.delete(jobName);
+      jobScheduler.cancel(jobName).catch((error) =>
+        console.error("Error cancelling real-time monitoring:", error)
+      );
       console.log(`Real-time monitoring stopped for patient ${patientId}`);
     }
   }
@@ -1350,12 +1364,13 @@ class OutcomeMeasuresAIService extends EventEmitter {
    * Clean up resources and stop monitoring
    */
   cleanup() {
-    // Stop all monitoring intervals
-    if (this.monitoringIntervals) {
-      this.monitoringIntervals.forEach((interval) => {
-        clearInterval(interval);
-      });
-      this.monitoringIntervals.clear();
+    // Stop all monitoring jobs
+    for (const [jobName, service] of monitors) {
+      if (service !== this) continue;
+      monitors.delete(jobName);
+      jobScheduler.cancel(jobName).catch((error) =>
+        console.error("Error cancelling real-time monitoring:", error)
+      );
     }
     
     // Clear cache
@@ -2,6 +2,7 @@ import ProgressTracking from "../../models/nursing/ProgressTracking.js";
 import NursingAIService from "./NursingAIService.js";
 import EventManager from "./EventManager.js";
 import NursingCacheService from "./NursingCacheService.js";
+import ResilienceKernel from "./ResilienceKernel.js";
 import ProgressAnalyticsService from "./ProgressAnalyticsService.js";
 import crypto from "crypto";
 
@@ -271,8 +272,7 @@ class ProgressTrackingService {
         windowMs: parseInt(process.env.PROGRESS_TRACKING_RATE_LIMIT_WINDOW_MS) || 60000
       },
       cache: {
-        ttl: parseInt(process.env.PROGRESS_TRACKING_CACHE_TTL) || 300000, // 5 minutes
-        maxSize: parseInt(process.env.PROGRESS_TRACKING_CACHE_MAX_SIZE) || 1000
+        ttl: parseInt(process.env.PROGRESS_TRACKING_CACHE_TTL) || 300000 // 5 minutes
       },
       circuitBreaker: {
         threshold: parseInt(process.env.PROGRESS_TRACKING_CIRCUIT_BREAKER_THRESHOLD) || 5,
@@ -293,37 +293,17 @@ class ProgressTrackingService {
     // Real-time tracking intervals
     this.trackingIntervals = new Map();
 
-    // Enhanced performance metrics
-    this.performanceMetrics = {
-      totalRequests: 0,
-      successfulRequests: 0,
-      failedRequests: 0,
-      averageResponseTime: 0,
-      totalResponseTime: 0,
-      cacheHits: 0,
-      cacheMisses: 0,
+    // Rate limits, circuit breakers, cache and metrics
+    this.resilience = new ResilienceKernel('ProgressTrackingService', {
+      rateLimit: this.config.rateLimit,
+      circuitBreaker: this.config.circuitBreaker,
+      cache: this.config.cache,
       errors: {
-        validation: 0,
-        rateLimit: 0,
-        serviceUnavailable: 0,
-        database: 0,
-        ai: 0
+        rateLimit: (message, retryAfter) => new RateLimitError(message, retryAfter),
+        unavailable: (message, dependency) => new ServiceUnavailableError(message, dependency)
       }
-    };
-
-    // Rate limiting tracker
-    this.rateLimitTracker = {};
-
-    // Circuit breaker state
-    this.circuitBreakerState = {
-      database: { status: 'closed', failures: 0, lastFailure: null },
-      ai: { status: 'closed', failures: 0, lastFailure: null },
-      cache: { status: 'closed', failures: 0, lastFailure: null }
-    };
-
-    // Cache for intelligent caching
-    this.cache = {};
-    this.cacheTimestamps = {};
+    });
+    this.performanceMetrics = this.resilience.metrics;
     this.requestCounter = 0;
   }
 
@@ -356,112 +336,6 @@ class ProgressTrackingService {
     console.error(JSON.stringify(logEntry));
   }
 
-  checkRateLimit(userId) {
-    const now = Date.now();
-    const userKey = `user_${userId}`;
-    
-    if (!this.rateLimitTracker[userKey]) {
-      this.rateLimitTracker[userKey] = { count: 0, resetTime: now + this.config.rateLimit.windowMs };
-    }
-    
-    const userLimit = this.rateLimitTracker[userKey];
-    
-    if (now > userLimit.resetTime) {
-      userLimit.count = 0;
-      userLimit.resetTime = now + this.config.rateLimit.windowMs;
-    }
-    
-    if (userLimit.count >= this.config.rateLimit.maxRequests) {
-      const retryAfter = Math.ceil((userLimit.resetTime - now) / 1000);
-      throw new RateLimitError(`Rate limit exceeded for user ${userId}`, retryAfter);
-    }
-    
-    userLimit.count++;
-  }
-
-  checkCircuitBreaker(service) {
-    const breaker = this.circuitBreakerState[service];
-    if (!breaker) return;
-    
-    if (breaker.status === 'open') {
-      const timeSinceLastFailure = Date.now() - breaker.lastFailure;
-      if (timeSinceLastFailure < this.config.circuitBreaker.timeout) {
-        throw new ServiceUnavailableError(`${service} service is temporarily unavailable`, service);
-      }
-      breaker.status = 'half-open';
-    }
-  }
-
-  updateCircuitBreaker(service, success) {
-    const breaker = this.circuitBreakerState[service];
-    if (!breaker) return;
-    
-    if (success) {
-      breaker.status = 'closed';
-      breaker.failures = 0;
-    } else {
-      breaker.failures++;
-      if (breaker.failures >= this.config.circuitBreaker.threshold) {
-        breaker.status = 'open';
-        breaker.lastFailure = Date.now();
-      }
-    }
-  }
-
-  generateCacheKey(prefix, data) {
-    const dataString = JSON.stringify(data);
-    const hash = crypto.createHash('md5').update(dataString).digest('hex');
-    return `${prefix}_${hash}`;
-  }
-
-  getFromCache(cacheKey) {
-    const cached = this.cache[cacheKey];
-    if (!cached) {
-      this.performanceMetrics.cacheMisses++;
-      return null;
-    }
-    
-    const now = Date.now();
-    if (now - cached.timestamp > this.config.cache.ttl) {
-      delete this.cache[cacheKey];
-      this.performanceMetrics.cacheMisses++;
-      return null;
-    }
-    
-    this.performanceMetrics.cacheHits++;
-    return cached.data;
-  }
-
-  setCache(cacheKey, data) {
-    // Implement cache size limit
-    const cacheKeys = Object.keys(this.cache);
-    if (cacheKeys.length >= this.config.cache.maxSize) {
-      // Remove oldest entry
-      const oldestKey = cacheKeys.reduce((oldest, key) => 
-        this.cache[key].timestamp < this.cache[oldest].timestamp ? key : oldest
-      );
-      delete this.cache[oldestKey];
-    }
-    
-    this.cache[cacheKey] = {
-      data,
-      timestamp: Date.now()
-    };
-  }
-
-  updateMetrics(success, responseTime) {
-    this.performanceMetrics.totalRequests++;
-    this.performanceMetrics.totalResponseTime += responseTime;
-    this.performanceMetrics.averageResponseTime = 
-      this.performanceMetrics.totalResponseTime / this.performanceMetrics.totalRequests;
-    
-    if (success) {
-      this.performanceMetrics.successfulRequests++;
-    } else {
-      this.performanceMetrics.failedRequests++;
-    }
-  }
-
   validateInputs(data, context = {}) {
     const validation = ProgressTrackingValidator.validateProgressData(data, context);
     if (!validation.isValid) {
@@ -486,85 +360,35 @@ class ProgressTrackingService {
     }
   }
 
-  // Service monitoring and management methods
-  getServiceStatus() {
-    try {
-      const cacheHitRate = this.calculateCacheHitRate();
-      const totalRequests = this.performanceMetrics.totalRequests || 0;
-      const successRate = totalRequests > 0 
-        ? ((this.performanceMetrics.successfulRequests || 0) / totalRequests * 100).toFixed(2)
-        : 0;
-      
-      return {
-        service: 'ProgressTrackingService',
-        status: 'operational',
-        timestamp: new Date().toISOString(),
-        metrics: {
-          ...this.performanceMetrics,
-          successRate: `${successRate}%`,
-          averageResponseTime: this.performanceMetrics.averageResponseTime || 0
-        },
-        cache: {
-          size: Object.keys(this.cache).length,
-          hitRate: `${(cacheHitRate * 100).toFixed(2)}%`,
-          maxSize: this.config.cache.maxSize
-        },
-        circuitBreakers: Object.keys(this.circuitBreakerState).map(service => ({
-          service,
-          state: this.circuitBreakerState[service].status,
-          failures: this.circuitBreakerState[service].failures
-        })),
-        rateLimits: {
-          activeUsers: Object.keys(this.rateLimitTracker).length,
-          maxRateLimit: this.config.rateLimit.maxRequests
-        },
-        configuration: {
-          aiProvider: this.config.aiProvider,
-          cacheTTL: this.config.cache.ttl,
-          circuitBreakerThreshold: this.config.circuitBreaker.threshold
-        }
-      };
-    } catch (error) {
-      this.logError("Error getting service status", error, {});
-      return {
-        service: 'ProgressTrackingService',
-        status: 'error',
-        timestamp: new Date().toISOString(),
-        error: error.message
-      };
-    }
+  // Monitoring: the metrics and health contract shared by the nursing
+  // services through the resilience kernel
+  async getServiceStatus() {
+    return {
+      ...(await this.healthCheck()),
+      configuration: this.getConfiguration()
+    };
   }
 
-  calculateCacheHitRate() {
-    const totalRequests = this.performanceMetrics.cacheHits + this.performanceMetrics.cacheMisses;
-    return totalRequests > 0 ? this.performanceMetrics.cacheHits / totalRequests : 0;
+  getPerformanceMetrics() {
+    return this.resilience.getMetrics();
   }
 
-  getPerformanceMetrics() {
-    return {
-      ...this.performanceMetrics,
-      cacheHitRate: this.calculateCacheHitRate(),
-      successRate: this.performanceMetrics.totalRequests > 0 
-        ? (this.performanceMetrics.successfulRequests / this.performanceMetrics.totalRequests * 100).toFixed(2)
-        : 0
-    };
+  getErrorReport() {
+    return this.resilience.getErrorReport();
   }
 
-  clearCache() {
-    this.cache = {};
-    this.cacheTimestamps = {};
-    this.logInfo("Cache cleared");
+  async healthCheck() {
+    return this.resilience.healthCheck();
   }
 
-  resetCircuitBreakers() {
-    Object.keys(this.circuitBreakerState).forEach(service => {
-      this.circuitBreakerState[service] = {
-        status: 'closed',
-        failures: 0,
-        lastFailure: null
-      };
-    });
-    this.logInfo("Circuit breakers reset");
+  async clearCache() {
+    await this.resilience.clearCache();
+    this.logInfo('Cache cleared');
+  }
+
+  async resetCircuitBreakers() {
+    await this.resilience.resetCircuitBreakers();
+    this.logInfo('Circuit breakers reset');
   }
 
   getConfiguration() {
@@ -576,67 +400,6 @@ class ProgressTrackingService {
     };
   }
 
-  getErrorReport(timeframe = "24h") {
-    const cutoff = Date.now() - (timeframe === "24h" ? 86400000 : 3600000);
-    return {
-      timeframe,
-      totalErrors: this.performanceMetrics.errors.validation +
-                   this.performanceMetrics.errors.rateLimit +
-                   this.performanceMetrics.errors.serviceUnavailable +
-                   this.performanceMetrics.errors.database +
-                   this.performanceMetrics.errors.ai,
-      errorBreakdown: this.performanceMetrics.errors,
-      circuitBreakerStatus: this.circuitBreakerState,
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  healthCheck() {
-    try {
-      const cacheStatus = Object.keys(this.cache).length < this.config.cache.maxSize;
-      const circuitBreakerStatus = Object.values(this.circuitBreakerState).every(state => state.status === 'closed');
-      const rateLimitStatus = Object.keys(this.rateLimitTracker).length < 1000; // Reasonable limit
-      
-      const overallStatus = cacheStatus && circuitBreakerStatus && rateLimitStatus ? 'healthy' : 'degraded';
-      
-      return {
-        service: 'ProgressTrackingService',
-        status: overallStatus,
-        timestamp: new Date().toISOString(),
-        version: '1.0.0',
-        checks: {
-          cache: {
-            status: cacheStatus ? 'healthy' : 'warning',
-            size: Object.keys(this.cache).length,
-            maxSize: this.config.cache.maxSize
-          },
-          circuitBreakers: {
-            status: circuitBreakerStatus ? 'healthy' : 'warning',
-            openBreakers: Object.values(this.circuitBreakerState).filter(state => state.status === 'open').length
-          },
-          rateLimits: {
-            status: rateLimitStatus ? 'healthy' : 'warning',
-            activeUsers: Object.keys(this.rateLimitTracker).length
-          }
-        },
-        metrics: {
-          totalRequests: this.performanceMetrics.totalRequests || 0,
-          successfulRequests: this.performanceMetrics.successfulRequests || 0,
-          averageResponseTime: this.performanceMetrics.averageResponseTime || 0
-        }
-      };
-    } catch (error) {
-      this.logError("Error during health check", error, {});
-      return {
-        service: 'ProgressTrackingService',
-        status: 'unhealthy',
-        timestamp: new Date().toISOString(),
-        version: '1.0.0',
-        error: error.message
-      };
-    }
-  }
-
   // Record progress (alias for recordPatientProgress)
   async recordProgress(patientId, progressData, recordedBy) {
     return this.recordPatientProgress(patientId, progressData, recordedBy);
@@ -1,6 +1,7 @@
 // Regulatory and Compliance Integration Service for nursing backend
 import axios from "axios";
 import crypto from "crypto";
+import jobScheduler from "../jobSchedulerService.js";
 
 class RegulatoryComplianceService {
   constructor() {
@@ -105,17 +106,19 @@ class RegulatoryComplianceService {
     );
   }
 
-  // Initialize compliance monitoring
+  // Initialize compliance monitoring; each check runs on one instance
   initializeComplianceMonitoring() {
-    // Set up periodic compliance checks
-    setInterval(() => {
-      this.performComplianceCheck();
-    }, 24 * 60 * 60 * 1000); // Daily compliance checks
-
-    // Set up regulatory data updates
-    setInterval(() => {
-      this.updateRegulatoryData();
-    }, 7 * 24 * 60 * 60 * 1000); // Weekly regulatory updates
+    jobScheduler.define("compliance.check", () => this.performComplianceCheck());
+    jobScheduler.define("compliance.regulatory-update", () => this.updateRegulatoryData());
+
+    Promise.all([
+      // Daily compliance checks
+      jobScheduler.schedule("compliance.check", { cron: "0 2 * * *" }),
+      // Weekly regulatory updates
+      jobScheduler.schedule("compliance.regulatory-update", { cron: "0 3 * * 0" }),
+    ]).catch((error) =>
+      console.error("Failed to schedule compliance monitoring:", error.message)
+    );
 
     console.log("Compliance monitoring initialized");
   }
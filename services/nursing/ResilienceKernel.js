@@ -0,0 +1,465 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import User from "../../models/User.js";
+import { getUserPlanInfo } from "../../middleware/planValidation.js";
+import CacheFactory from "./CacheFactory.js";
+import MockCacheService from "./MockCacheService.js";
+
+export class ResilienceError extends Error {
+  constructor(message, code, statusCode, details = {}) {
+    super(message);
+    this.name = "ResilienceError";
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Share of a service's configured request budget for each subscription plan
+export const PLAN_RATE_MULTIPLIERS = {
+  free: 0.25,
+  "nursing-monthly": 1,
+  "nursing-annual": 1,
+  "nursing-professional": 2,
+  professional: 1,
+  default: 1,
+};
+
+const KEY_PREFIX = "nursing:resilience:";
+const PLAN_CACHE_TTL = 300; // seconds
+const BREAKER_STATE_TTL = 86400; // seconds
+const ALL_ENTRIES_TAG = "all";
+
+// Connection failures and timeouts from the network or the MongoDB driver
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "EHOSTUNREACH",
+  "ENOTFOUND",
+  "EPIPE",
+  "ETIMEDOUT",
+]);
+const DEPENDENCY_ERROR_NAMES = new Set([
+  "MongoNetworkError",
+  "MongoNetworkTimeoutError",
+  "MongoNotConnectedError",
+  "MongoServerSelectionError",
+  "MongoTopologyClosedError",
+  "MongoWriteConcernError",
+]);
+
+/**
+ * Whether an error means a dependency failed rather than the request being
+ * refused. Mongoose reports an unreachable database as a buffering timeout.
+ */
+export const isDependencyError = (error) =>
+  Boolean(error) &&
+  (NETWORK_ERROR_CODES.has(error.code) ||
+    DEPENDENCY_ERROR_NAMES.has(error.name) ||
+    /buffering timed out/.test(error.message || ""));
+
+const closedBreaker = () => ({ status: "closed", failures: 0, openedAt: null });
+
+const planMultiplier = (planId) =>
+  PLAN_RATE_MULTIPLIERS[planId] ?? PLAN_RATE_MULTIPLIERS.default;
+
+// Used until (or unless) CacheFactory has a connected backend
+let localBackend = null;
+
+/**
+ * Rate limiting, circuit breaking, caching and metrics shared by the
+ * nursing services. Bucket, breaker and cache state lives in the
+ * CacheFactory backend, so with Redis every app instance sees the same
+ * limits and breaker state; without it the state is per process.
+ */
+export class ResilienceKernel {
+  /**
+   * @param {string} serviceName - Names the service in keys and health reports
+   * @param {Object} options
+   * @param {Object} options.rateLimit - { maxRequests, windowMs } for the default plan
+   * @param {Object} options.circuitBreaker - { threshold, timeout }
+   * @param {Object} options.cache - { ttl } in milliseconds
+   * @param {string[]} options.dependencies - Dependencies with a breaker
+   * @param {Object} options.errors - { rateLimit(message, retryAfter),
+   *   unavailable(message, dependency) } factories for the service's own errors
+   */
+  constructor(serviceName, options = {}) {
+    this.serviceName = serviceName;
+    this.config = {
+      rateLimit: { maxRequests: 100, windowMs: 60000, ...options.rateLimit },
+      circuitBreaker: { threshold: 5, timeout: 60000, ...options.circuitBreaker },
+      cache: { ttl: 300000, ...options.cache },
+    };
+    this.dependencies = options.dependencies || ["database", "ai", "cache"];
+
+    this.createRateLimitError =
+      options.errors?.rateLimit ||
+      ((message, retryAfter) =>
+        new ResilienceError(message, "RATE_LIMITED", 429, { retryAfter }));
+    this.createUnavailableError =
+      options.errors?.unavailable ||
+      ((message, dependency) =>
+        new ResilienceError(message, "SERVICE_UNAVAILABLE", 503, { dependency }));
+
+    // Request metrics are per process; services add their own error categories
+    this.metrics = {
+      totalRequests: 0,
+      successfulRequests: 0,
+      failedRequests: 0,
+      averageResponseTime: 0,
+      totalResponseTime: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      errors: {
+        validation: 0,
+        rateLimit: 0,
+        serviceUnavailable: 0,
+        database: 0,
+        ai: 0,
+      },
+    };
+
+    // Last breaker state this process read, for synchronous reporting
+    this.breakers = Object.fromEntries(
+      this.dependencies.map((dependency) => [dependency, closedBreaker()])
+    );
+  }
+
+  static backend() {
+    const shared = CacheFactory.instance;
+    if (shared?.isConnected && typeof shared.consumeToken === "function") {
+      return shared;
+    }
+    if (!localBackend) {
+      localBackend = new MockCacheService();
+    }
+    return localBackend;
+  }
+
+  static backendType() {
+    const backend = ResilienceKernel.backend();
+    return backend === CacheFactory.instance ? CacheFactory.getCacheType() : "memory";
+  }
+
+  /**
+   * Connect the shared backend. Without REDIS_HOST the kernel keeps its
+   * in-process store.
+   */
+  static async connect() {
+    if (!process.env.REDIS_HOST) {
+      return ResilienceKernel.backendType();
+    }
+    await CacheFactory.createCacheService();
+    return ResilienceKernel.backendType();
+  }
+
+  key(kind, id) {
+    return `${KEY_PREFIX}${this.serviceName}:${kind}:${id}`;
+  }
+
+  // ===========================================
+  // RATE LIMITING
+  // ===========================================
+
+  /**
+   * Plan that sets the user's request budget: the most generous of their
+   * active plans, cached for a few minutes.
+   */
+  async resolvePlan(userId) {
+    if (!mongoose.isValidObjectId(userId) || mongoose.connection.readyState !== 1) {
+      return "default";
+    }
+
+    const backend = ResilienceKernel.backend();
+    const cacheKey = `${KEY_PREFIX}plan:${userId}`;
+    const cached = await backend.get(cacheKey).catch(() => null);
+    if (cached?.plan) {
+      return cached.plan;
+    }
+
+    let plan = "default";
+    try {
+      const user = await User.findById(userId).populate("subscriptions").lean();
+      if (user) {
+        const { planIds } = getUserPlanInfo(user);
+        plan = planIds.reduce(
+          (best, planId) => (planMultiplier(planId) > planMultiplier(best) ? planId : best),
+          planIds[0] || "free"
+        );
+      }
+    } catch (error) {
+      console.error(`Failed to resolve plan for user ${userId}:`, error.message);
+      return "default";
+    }
+
+    await backend.set(cacheKey, { plan }, PLAN_CACHE_TTL).catch(() => false);
+    return plan;
+  }
+
+  /**
+   * Take one token from the user's bucket. The bucket holds the plan's
+   * share of maxRequests and refills over windowMs. Throws the service's
+   * rate-limit error when empty; fails open if the store is unreachable.
+   */
+  async checkRateLimit(userId, plan = null) {
+    const planId = plan || (await this.resolvePlan(userId));
+    const capacity = Math.max(
+      1,
+      Math.round(this.config.rateLimit.maxRequests * planMultiplier(planId))
+    );
+    const refillPerMs = capacity / this.config.rateLimit.windowMs;
+
+    let result;
+    try {
+      result = await ResilienceKernel.backend().consumeToken(
+        this.key("bucket", userId),
+        capacity,
+        refillPerMs
+      );
+    } catch (error) {
+      console.error(`${this.serviceName} rate limit store unavailable:`, error.message);
+      return { allowed: true, remaining: null, plan: planId };
+    }
+
+    if (!result.allowed) {
+      this.metrics.errors.rateLimit++;
+      throw this.createRateLimitError(
+        `Rate limit exceeded for user ${userId}`,
+        Math.max(1, Math.ceil(result.retryAfterMs / 1000))
+      );
+    }
+    return { ...result, plan: planId };
+  }
+
+  // ===========================================
+  // CIRCUIT BREAKERS
+  // ===========================================
+
+  async getBreaker(dependency) {
+    const state = await ResilienceKernel.backend()
+      .get(this.key("breaker", dependency))
+      .catch(() => null);
+    this.breakers[dependency] = state || closedBreaker();
+    return this.breakers[dependency];
+  }
+
+  async saveBreaker(dependency, state) {
+    this.breakers[dependency] = state;
+    await ResilienceKernel.backend()
+      .set(this.key("breaker", dependency), state, BREAKER_STATE_TTL)
+      .catch(() => false);
+  }
+
+  /**
+   * Throws the service's unavailable error while the dependency's breaker
+   * is open; after the timeout one trial call is let through (half-open).
+   */
+  async checkCircuitBreaker(dependency) {
+    if (!this.dependencies.includes(dependency)) return;
+
+    const breaker = await this.getBreaker(dependency);
+    if (breaker.status !== "open") return;
+
+    if (Date.now() - breaker.openedAt < this.config.circuitBreaker.timeout) {
+      this.metrics.errors.serviceUnavailable++;
+      throw this.createUnavailableError(
+        `${dependency} service is temporarily unavailable`,
+        dependency
+      );
+    }
+    await this.saveBreaker(dependency, { ...breaker, status: "half-open" });
+  }
+
+  /**
+   * Count a success or failure on the dependency's breaker. The backend
+   * applies the change atomically, so every instance's results add up.
+   */
+  async recordResult(dependency, success) {
+    if (!this.dependencies.includes(dependency)) return;
+
+    try {
+      this.breakers[dependency] = await ResilienceKernel.backend().recordBreakerResult(
+        this.key("breaker", dependency),
+        success,
+        this.config.circuitBreaker.threshold,
+        BREAKER_STATE_TTL
+      );
+    } catch (error) {
+      console.error(`${this.serviceName} breaker store unavailable:`, error.message);
+    }
+  }
+
+  /**
+   * Count a caught error against the dependency only when the dependency
+   * itself failed. Validation, access, not-found and rate-limit errors are
+   * the request's fault and must not open a breaker shared by every user.
+   */
+  async recordFailure(dependency, error) {
+    if (isDependencyError(error)) {
+      await this.recordResult(dependency, false);
+    }
+  }
+
+  // Run an operation behind the dependency's breaker. The operation should
+  // be the dependency call alone: any error it throws counts as a failure.
+  async execute(dependency, operation) {
+    await this.checkCircuitBreaker(dependency);
+    try {
+      const result = await operation();
+      await this.recordResult(dependency, true);
+      return result;
+    } catch (error) {
+      await this.recordResult(dependency, false);
+      throw error;
+    }
+  }
+
+  async getCircuitBreakers() {
+    const breakers = await Promise.all(
+      this.dependencies.map(async (dependency) => ({
+        dependency,
+        ...(await this.getBreaker(dependency)),
+      }))
+    );
+    return breakers;
+  }
+
+  async resetCircuitBreakers() {
+    await Promise.all(
+      this.dependencies.map((dependency) => this.saveBreaker(dependency, closedBreaker()))
+    );
+  }
+
+  // ===========================================
+  // CACHE
+  // ===========================================
+
+  cacheKey(prefix, data) {
+    const hash = crypto.createHash("md5").update(JSON.stringify(data)).digest("hex");
+    return `${prefix}_${hash}`;
+  }
+
+  async getCached(key) {
+    const value = await ResilienceKernel.backend()
+      .get(this.key("cache", key))
+      .catch(() => null);
+
+    if (value === null || value === undefined) {
+      this.metrics.cacheMisses++;
+      return null;
+    }
+    this.metrics.cacheHits++;
+    return value;
+  }
+
+  /**
+   * Cache a value; tags (e.g. "patient:<id>") let related entries be
+   * dropped together with invalidateTags().
+   */
+  async setCached(key, value, { ttl = this.config.cache.ttl, tags = [] } = {}) {
+    return ResilienceKernel.backend()
+      .setWithTags(
+        this.key("cache", key),
+        value,
+        Math.max(1, Math.ceil(ttl / 1000)),
+        [ALL_ENTRIES_TAG, ...tags].map((tag) => this.key("tag", tag))
+      )
+      .catch(() => false);
+  }
+
+  async invalidate(key) {
+    return ResilienceKernel.backend()
+      .del(this.key("cache", key))
+      .catch(() => false);
+  }
+
+  async invalidateTags(...tags) {
+    const backend = ResilienceKernel.backend();
+    let removed = 0;
+    for (const tag of tags) {
+      removed += await backend.invalidateByTag(this.key("tag", tag)).catch(() => 0);
+    }
+    return removed;
+  }
+
+  // Drop every entry this service has cached
+  async clearCache() {
+    return this.invalidateTags(ALL_ENTRIES_TAG);
+  }
+
+  // ===========================================
+  // METRICS AND HEALTH
+  // ===========================================
+
+  recordRequest(success, responseTime) {
+    this.metrics.totalRequests++;
+    this.metrics.totalResponseTime += responseTime;
+    this.metrics.averageResponseTime =
+      this.metrics.totalResponseTime / this.metrics.totalRequests;
+
+    if (success) {
+      this.metrics.successfulRequests++;
+    } else {
+      this.metrics.failedRequests++;
+    }
+  }
+
+  getMetrics() {
+    const cacheLookups = this.metrics.cacheHits + this.metrics.cacheMisses;
+    return {
+      ...this.metrics,
+      errors: { ...this.metrics.errors },
+      cacheHitRate: cacheLookups > 0 ? this.metrics.cacheHits / cacheLookups : 0,
+      successRate:
+        this.metrics.totalRequests > 0
+          ? ((this.metrics.successfulRequests / this.metrics.totalRequests) * 100).toFixed(2)
+          : 0,
+    };
+  }
+
+  getErrorReport() {
+    const errors = { ...this.metrics.errors };
+    return {
+      service: this.serviceName,
+      totalErrors: Object.values(errors).reduce((sum, count) => sum + count, 0),
+      errorBreakdown: errors,
+      circuitBreakerStatus: { ...this.breakers },
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async healthCheck() {
+    const backend = ResilienceKernel.backend();
+    const backendHealthy = await Promise.resolve(backend.healthCheck()).catch(() => false);
+    const breakers = await this.getCircuitBreakers();
+    const openBreakers = breakers
+      .filter((breaker) => breaker.status === "open")
+      .map((breaker) => breaker.dependency);
+
+    return {
+      service: this.serviceName,
+      status: backendHealthy && openBreakers.length === 0 ? "healthy" : "degraded",
+      timestamp: new Date().toISOString(),
+      backend: ResilienceKernel.backendType(),
+      checks: {
+        cache: {
+          status: backendHealthy ? "healthy" : "warning",
+        },
+        circuitBreakers: {
+          status: openBreakers.length === 0 ? "healthy" : "warning",
+          openBreakers,
+          breakers,
+        },
+        rateLimits: {
+          status: "healthy",
+          maxRequests: this.config.rateLimit.maxRequests,
+          windowMs: this.config.rateLimit.windowMs,
+          rejected: this.metrics.errors.rateLimit,
+        },
+      },
+      metrics: this.getMetrics(),
+    };
+  }
+}
+
+export default ResilienceKernel;
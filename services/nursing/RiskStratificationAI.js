@@ -1,5 +1,39 @@
 // Risk Stratification AI Service for nursing care
 import azureOpenAIService from '../azureOpenAIService.js';
+import Medication from '../../models/nursing/Medication.js';
+import NursingAssessment from '../../models/nursing/NursingAssessment.js';
+import User from '../../models/User.js';
+import Risk from '../../nursing/models/Risk.js';
+import observationService from './ObservationService.js';
+
+// Window of observations, incidents and care team input behind a stratification
+const REAL_TIME_WINDOW_HOURS = 72;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Keyword lists matched against medication name, generic name and classes
+const MEDICATION_RISK_CLASSES = {
+  anticoagulants: [
+    'anticoagulant', 'warfarin', 'heparin', 'enoxaparin', 'apixaban',
+    'rivaroxaban', 'dabigatran', 'edoxaban',
+  ],
+  sedating: [
+    'opioid', 'benzodiazepine', 'sedative', 'hypnotic', 'antipsychotic',
+    'oxycodone', 'hydrocodone', 'morphine', 'hydromorphone', 'fentanyl',
+    'tramadol', 'lorazepam', 'diazepam', 'alprazolam', 'clonazepam',
+    'temazepam', 'zolpidem', 'diphenhydramine', 'hydroxyzine', 'quetiapine',
+  ],
+  orthostatic: [
+    'antihypertensive', 'diuretic', 'alpha blocker', 'nitrate', 'lisinopril',
+    'losartan', 'amlodipine', 'metoprolol', 'carvedilol', 'furosemide',
+    'hydrochlorothiazide', 'tamsulosin', 'doxazosin', 'prazosin',
+    'terazosin', 'nitroglycerin', 'isosorbide',
+  ],
+  // ISMP high-alert medications not already covered above
+  high_alert: [
+    'insulin', 'chemotherap', 'methotrexate', 'digoxin', 'amiodarone',
+    'potassium chloride', 'sulfonylurea', 'glipizide', 'glyburide',
+  ],
+};
 
 class RiskStratificationAI {
   constructor() {
@@ -22,6 +56,7 @@ class RiskStratificationAI {
         "history_of_falls",
         "vision_impairment",
         "balance_issues",
+        "vital_sign_instability",
       ],
       weights: {
         age: 0.15,
@@ -68,6 +103,7 @@ class RiskStratificationAI {
         "comorbidities",
         "age",
         "nutritional_status",
+        "vital_sign_instability",
       ],
       weights: {
         immune_status: 0.25,
@@ -246,34 +282,54 @@ class RiskStratificationAI {
   // Get current vital signs for risk assessment
   async getCurrentVitals(patientId) {
     try {
-      // This would integrate with real-time monitoring systems
-      return {
-        blood_pressure: { systolic: null, diastolic: null },
-        heart_rate: null,
-        temperature: null,
-        respiratory_rate: null,
-        oxygen_saturation: null,
-        orthostatic_changes: null,
-        last_updated: new Date(),
-        stability_trend: "stable", // stable, improving, declining
-      };
+      return await observationService.getVitalsSummary(patientId, {
+        hours: REAL_TIME_WINDOW_HOURS,
+      });
     } catch (error) {
       console.error("Error getting current vitals for risk assessment:", error);
       return null;
     }
   }
 
-  // Get mobility data for fall risk assessment
+  // Get mobility data for fall risk assessment: the latest Morse and Katz
+  // scores plus falls recorded in the window
   async getMobilityData(patientId) {
     try {
+      const [morse, katz, incidents] = await Promise.all([
+        this.getLatestInstrumentScore(patientId, "morse"),
+        this.getLatestInstrumentScore(patientId, "katz"),
+        observationService.getIncidents(patientId, {
+          hours: REAL_TIME_WINDOW_HOURS,
+        }),
+      ]);
+
+      const gait = morse?.score.itemScores?.gait;
+      const ambulatoryAid = morse?.score.itemScores?.ambulatoryAid;
+      const assessedAt = [morse?.assessedAt, katz?.assessedAt]
+        .filter(Boolean)
+        .sort((a, b) => b - a)[0];
+
       return {
-        mobility_score: null,
-        gait_stability: null,
+        // Percentage of ADLs the patient depends on others for
+        mobility_score: katz
+          ? Math.round((1 - katz.score.totalScore / katz.score.maxScore) * 100)
+          : null,
+        fall_risk_score: morse?.score.totalScore ?? null,
+        fall_risk_level: morse?.score.level ?? null,
+        gait_stability:
+          gait === undefined
+            ? null
+            : { 0: "normal", 10: "weak", 20: "impaired" }[gait],
         balance_assessment: null,
-        assistive_devices: [],
+        assistive_devices:
+          ambulatoryAid === 15
+            ? ["crutches, cane or walker"]
+            : ambulatoryAid === 30
+            ? ["furniture"]
+            : [],
         mobility_restrictions: [],
-        recent_falls: [],
-        last_assessed: new Date(),
+        recent_falls: incidents.filter((incident) => incident.type === "fall"),
+        last_assessed: assessedAt || null,
       };
     } catch (error) {
       console.error("Error getting mobility data:", error);
@@ -281,16 +337,78 @@ class RiskStratificationAI {
     }
   }
 
-  // Get medication-related risk factors
+  async getLatestInstrumentScore(patientId, instrument) {
+    const assessment = await NursingAssessment.findOne({
+      patientId,
+      "instrumentScores.instrument": instrument,
+    })
+      .sort({ createdAt: -1 })
+      .select("instrumentScores createdAt")
+      .lean();
+
+    const score = assessment?.instrumentScores.find(
+      (entry) => entry.instrument === instrument
+    );
+    return score ? { score, assessedAt: score.scoredAt || assessment.createdAt } : null;
+  }
+
+  // Get medication-related risk factors from the patient's medication list
   async getMedicationRiskFactors(patientId) {
     try {
+      const changedSince = new Date(Date.now() - 24 * HOUR_MS);
+      const medications = await Medication.find({
+        patientId,
+        $or: [
+          { "administration.status": "active" },
+          { "administration.discontinuedDate": { $gte: changedSince } },
+        ],
+      })
+        .select("medication administration.status administration.discontinuedDate administration.adherence createdAt updatedAt")
+        .lean();
+
+      const active = medications.filter(
+        (medication) => medication.administration?.status === "active"
+      );
+      const summarize = (medication) => ({
+        id: medication._id,
+        name: medication.medication?.name,
+      });
+      const inClass = (riskClass) =>
+        active.filter((medication) => this.matchesMedicationClass(medication, riskClass));
+
+      const anticoagulants = inClass("anticoagulants");
+      const sedating = inClass("sedating");
+
       return {
-        high_risk_medications: [],
-        sedating_medications: [],
-        orthostatic_medications: [],
-        anticoagulants: [],
-        medication_changes_24h: [],
-        adherence_issues: [],
+        active_count: active.length,
+        high_risk_medications: [
+          ...new Set([...anticoagulants, ...sedating, ...inClass("high_alert")]),
+        ].map(summarize),
+        sedating_medications: sedating.map(summarize),
+        orthostatic_medications: inClass("orthostatic").map(summarize),
+        anticoagulants: anticoagulants.map(summarize),
+        medication_changes_24h: medications
+          .filter(
+            (medication) =>
+              medication.createdAt >= changedSince ||
+              medication.administration?.discontinuedDate >= changedSince
+          )
+          .map((medication) => ({
+            ...summarize(medication),
+            change:
+              medication.administration?.status === "active" ? "started" : "discontinued",
+          })),
+        // Only medications with recorded administrations have a meaningful rate
+        adherence_issues: active
+          .filter(
+            (medication) =>
+              medication.administration?.adherence?.pattern?.length > 0 &&
+              medication.administration.adherence.overall < 80
+          )
+          .map((medication) => ({
+            ...summarize(medication),
+            adherence: medication.administration.adherence.overall,
+          })),
         last_updated: new Date(),
       };
     } catch (error) {
@@ -299,6 +417,19 @@ class RiskStratificationAI {
     }
   }
 
+  matchesMedicationClass(medication, riskClass) {
+    const text = [
+      medication.medication?.name,
+      medication.medication?.genericName,
+      medication.medication?.therapeuticClass,
+      medication.medication?.pharmacologicClass,
+    ]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+    return MEDICATION_RISK_CLASSES[riskClass].some((keyword) => text.includes(keyword));
+  }
+
   // Get environmental risk factors
   async getEnvironmentalRiskFactors(patientId) {
     try {
@@ -320,23 +451,74 @@ class RiskStratificationAI {
   // Get recent incidents or near-misses
   async getRecentIncidents(patientId) {
     try {
-      return [];
+      const incidents = await observationService.getIncidents(patientId, {
+        hours: REAL_TIME_WINDOW_HOURS,
+      });
+      return incidents.map((incident) => ({
+        id: incident._id,
+        type: incident.type,
+        category: incident.incident?.category,
+        severity: incident.incident?.severity,
+        injury: incident.incident?.injury ?? null,
+        description: incident.incident?.description,
+        occurred_at: incident.observedAt,
+      }));
     } catch (error) {
       console.error("Error getting recent incidents:", error);
       return [];
     }
   }
 
-  // Get care team risk input
+  // Get care team risk input: open risks raised or updated in the window,
+  // grouped by the discipline of the clinician who raised them
   async getCareTeamRiskInput(patientId) {
     try {
-      return {
+      const risks = await Risk.find({
+        patientId,
+        status: { $in: ["active", "monitoring", "escalated"] },
+        updatedAt: { $gte: new Date(Date.now() - REAL_TIME_WINDOW_HOURS * HOUR_MS) },
+      })
+        .sort({ updatedAt: -1 })
+        .lean();
+
+      const authors = await User.find({
+        _id: { $in: [...new Set(risks.map((risk) => String(risk.createdBy)))] },
+      })
+        .select("profession")
+        .lean();
+      const professionOf = new Map(
+        authors.map((author) => [String(author._id), author.profession])
+      );
+
+      const input = {
         nurse_concerns: [],
         physician_risk_notes: [],
         therapy_risk_assessment: null,
+        // Family-reported concerns are not captured in this system yet
         family_concerns: [],
-        last_updated: new Date(),
+        last_updated: risks[0]?.updatedAt || null,
       };
+
+      for (const risk of risks) {
+        const entry = {
+          id: risk._id,
+          category: risk.category,
+          severity: risk.severity,
+          description: risk.description,
+          status: risk.status,
+          updated_at: risk.updatedAt,
+        };
+        const profession = professionOf.get(String(risk.createdBy));
+        if (profession === "physical-therapy") {
+          input.therapy_risk_assessment ||= entry;
+        } else if (profession === "medical-provider" || profession === "doctor") {
+          input.physician_risk_notes.push(entry);
+        } else {
+          input.nurse_concerns.push(entry);
+        }
+      }
+
+      return input;
     } catch (error) {
       console.error("Error getting care team risk input:", error);
       return null;
@@ -593,7 +775,7 @@ class RiskStratificationAI {
       vital_signs_stability:
         enhancedPatientData.current_vitals?.stability_trend || "unknown",
       mobility_status:
-        enhancedPatientData.mobility_data?.mobility_score || "unknown",
+        enhancedPatientData.mobility_data?.mobility_score ?? "unknown",
       medication_changes:
         enhancedPatientData.medication_risk_factors?.medication_changes_24h
           ?.length || 0,
@@ -692,10 +874,26 @@ class RiskStratificationAI {
     // Map patient data fields to risk factors
     const fieldMapping = {
       age: (data) => Math.min(data.age / 100, 1), // Normalize age
-      mobility_score: (data) => data.mobility_score / 100,
+      mobility_score: (data) =>
+        (data.mobility_score ?? data.mobility_data?.mobility_score ?? null) === null
+          ? null
+          : (data.mobility_score ?? data.mobility_data.mobility_score) / 100,
       cognitive_status: (data) => data.cognitive_assessment?.score / 100,
-      medication_count: (data) => Math.min(data.medications?.length / 20, 1),
-      history_of_falls: (data) => (data.fall_history ? 1 : 0),
+      medication_count: (data) => {
+        const count =
+          data.medications?.length ?? data.medication_risk_factors?.active_count;
+        return count === undefined ? null : Math.min(count / 20, 1);
+      },
+      history_of_falls: (data) =>
+        data.fall_history ||
+        data.recent_incidents?.some((incident) => incident.type === "fall")
+          ? 1
+          : 0,
+      high_risk_medications: (data) =>
+        data.medication_risk_factors
+          ? Math.min(data.medication_risk_factors.high_risk_medications.length / 3, 1)
+          : null,
+      vital_sign_instability: (data) => this.vitalInstability(data.current_vitals),
       comorbidities: (data) => Math.min(data.comorbidities?.length / 10, 1),
       immune_status: (data) => (data.immune_compromised ? 1 : 0.2),
       invasive_devices: (data) => data.devices?.length / 5,
@@ -716,6 +914,17 @@ class RiskStratificationAI {
     return patientData[factor] !== undefined ? patientData[factor] : null;
   }
 
+  // 0-1 instability from the observation window: abnormal latest readings,
+  // a positive orthostatic check and a declining trend
+  vitalInstability(vitals) {
+    if (!vitals?.reading_count) return null;
+
+    let instability = Math.min((vitals.abnormal?.length || 0) / 4, 1);
+    if (vitals.orthostatic_changes?.positive) instability += 0.5;
+    if (vitals.stability_trend === "declining") instability += 0.25;
+    return Math.min(instability, 1);
+  }
+
   // Enhance risk score with AI analysis
   async enhanceWithAI(patientData, riskType, baseScore) {
     try {
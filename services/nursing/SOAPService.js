@@ -1,15 +1,33 @@
 import crypto from "crypto";
 import SOAPNote from "../../models/nursing/SOAPNote.js";
 import NursingAIService from "./NursingAIService.js";
-import EventManager from "./EventManager.js";
-import NursingCacheService from "./NursingCacheService.js";
+import { eventManager } from "./EventManager.js";
+import ResilienceKernel from "./ResilienceKernel.js";
+import User from "../../models/User.js";
+import organizationService from "../organizationService.js";
+import medicalLexiconService from "../medicalLexiconService.js";
+import jobScheduler from "../jobSchedulerService.js";
+import {
+  COSIGNATURE_REQUIRED_CREDENTIALS,
+  SOAP_SECTIONS,
+  chainHead,
+  getPath,
+  hashContent,
+  hashLink,
+  snapshotContent,
+  verifyChain,
+} from "./SOAPSignatureChain.js";
+
+// Drafts left open longer than this stop auto-saving
+const AUTO_SAVE_MAX_MS = 12 * 60 * 60 * 1000;
 
 // Custom error classes for SOAP Service
-class SOAPServiceError extends Error {
-  constructor(message, code) {
+export class SOAPServiceError extends Error {
+  constructor(message, code, statusCode = 400) {
     super(message);
     this.name = "SOAPServiceError";
     this.code = code;
+    this.statusCode = statusCode;
     this.timestamp = new Date().toISOString();
   }
 }
@@ -114,8 +132,7 @@ class InputValidator {
 class SOAPService {
   constructor() {
     this.aiService = NursingAIService;
-    this.eventManager = EventManager;
-    this.cacheService = NursingCacheService;
+    this.eventManager = eventManager;
 
     // Enhanced configuration with environment variables
     this.config = {
@@ -125,8 +142,7 @@ class SOAPService {
         windowMs: parseInt(process.env.SOAP_RATE_LIMIT_WINDOW_MS) || 60000
       },
       cache: {
-        ttl: parseInt(process.env.SOAP_CACHE_TTL) || 300000, // 5 minutes
-        maxSize: parseInt(process.env.SOAP_CACHE_MAX_SIZE) || 1000
+        ttl: parseInt(process.env.SOAP_CACHE_TTL) || 300000 // 5 minutes
       },
       circuitBreaker: {
         threshold: parseInt(process.env.SOAP_CIRCUIT_BREAKER_THRESHOLD) || 5,
@@ -151,41 +167,31 @@ class SOAPService {
     // Voice-to-text integration placeholder
     this.voiceToTextEnabled = false;
 
-    // Enhanced performance metrics
-    this.performanceMetrics = {
-      totalRequests: 0,
-      successfulRequests: 0,
-      failedRequests: 0,
-      averageResponseTime: 0,
-      totalResponseTime: 0,
-      cacheHits: 0,
-      cacheMisses: 0,
+    // Rate limits, circuit breakers, cache and metrics
+    this.resilience = new ResilienceKernel('SOAPService', {
+      rateLimit: this.config.rateLimit,
+      circuitBreaker: this.config.circuitBreaker,
+      cache: this.config.cache,
       errors: {
-        validation: 0,
-        rateLimit: 0,
-        serviceUnavailable: 0,
-        database: 0,
-        ai: 0
+        rateLimit: (message, retryAfter) => new RateLimitError(message, retryAfter),
+        unavailable: (message, dependency) => new ServiceUnavailableError(message, dependency)
       }
-    };
-
-    // Rate limiting tracker
-    this.rateLimitTracker = {};
+    });
+    this.performanceMetrics = this.resilience.metrics;
+    this.requestCounter = 0;
 
-    // Circuit breaker state
-    this.circuitBreakerState = {
-      database: { status: 'closed', failures: 0, lastFailure: null },
-      ai: { status: 'closed', failures: 0, lastFailure: null },
-      cache: { status: 'closed', failures: 0, lastFailure: null }
+    // Notes are cached as plain objects in the resilience cache
+    this.cacheService = {
+      getSOAPNote: (noteId) => this.resilience.getCached(`note:${noteId}`),
+      setSOAPNote: (noteId, soapNote) =>
+        this.resilience.setCached(
+          `note:${noteId}`,
+          typeof soapNote.toJSON === "function" ? soapNote.toJSON() : soapNote
+        ),
     };
 
-    // Cache for intelligent caching
-    this.cache = {};
-    this.cacheTimestamps = {};
-    this.requestCounter = 0;
-
-    // Auto-save tracking
-    this.autoSaveTimers = new Map();
+    // Auto-save jobs started by this instance
+    this.autoSaveJobs = new Set();
   }
 
   // Utility methods for enhanced functionality
@@ -217,112 +223,6 @@ class SOAPService {
     console.error(JSON.stringify(logEntry));
   }
 
-  checkRateLimit(userId) {
-    const now = Date.now();
-    const userKey = `user_${userId}`;
-    
-    if (!this.rateLimitTracker[userKey]) {
-      this.rateLimitTracker[userKey] = { count: 0, resetTime: now + this.config.rateLimit.windowMs };
-    }
-    
-    const userLimit = this.rateLimitTracker[userKey];
-    
-    if (now > userLimit.resetTime) {
-      userLimit.count = 0;
-      userLimit.resetTime = now + this.config.rateLimit.windowMs;
-    }
-    
-    if (userLimit.count >= this.config.rateLimit.maxRequests) {
-      const retryAfter = Math.ceil((userLimit.resetTime - now) / 1000);
-      throw new RateLimitError(`Rate limit exceeded for user ${userId}`, retryAfter);
-    }
-    
-    userLimit.count++;
-  }
-
-  checkCircuitBreaker(service) {
-    const breaker = this.circuitBreakerState[service];
-    if (!breaker) return;
-    
-    if (breaker.status === 'open') {
-      const timeSinceLastFailure = Date.now() - breaker.lastFailure;
-      if (timeSinceLastFailure < this.config.circuitBreaker.timeout) {
-        throw new ServiceUnavailableError(`${service} service is temporarily unavailable`, service);
-      }
-      breaker.status = 'half-open';
-    }
-  }
-
-  updateCircuitBreaker(service, success) {
-    const breaker = this.circuitBreakerState[service];
-    if (!breaker) return;
-    
-    if (success) {
-      breaker.status = 'closed';
-      breaker.failures = 0;
-    } else {
-      breaker.failures++;
-      if (breaker.failures >= this.config.circuitBreaker.threshold) {
-        breaker.status = 'open';
-        breaker.lastFailure = Date.now();
-      }
-    }
-  }
-
-  generateCacheKey(prefix, data) {
-    const dataString = JSON.stringify(data);
-    const hash = crypto.createHash('md5').update(dataString).digest('hex');
-    return `${prefix}_${hash}`;
-  }
-
-  getFromCache(cacheKey) {
-    const cached = this.cache[cacheKey];
-    if (!cached) {
-      this.performanceMetrics.cacheMisses++;
-      return null;
-    }
-    
-    const now = Date.now();
-    if (now - cached.timestamp > this.config.cache.ttl) {
-      delete this.cache[cacheKey];
-      this.performanceMetrics.cacheMisses++;
-      return null;
-    }
-    
-    this.performanceMetrics.cacheHits++;
-    return cached.data;
-  }
-
-  setCache(cacheKey, data) {
-    // Implement cache size limit
-    const cacheKeys = Object.keys(this.cache);
-    if (cacheKeys.length >= this.config.cache.maxSize) {
-      // Remove oldest entry
-      const oldestKey = cacheKeys.reduce((oldest, key) => 
-        this.cache[key].timestamp < this.cache[oldest].timestamp ? key : oldest
-      );
-      delete this.cache[oldestKey];
-    }
-    
-    this.cache[cacheKey] = {
-      data,
-      timestamp: Date.now()
-    };
-  }
-
-  updateMetrics(success, responseTime) {
-    this.performanceMetrics.totalRequests++;
-    this.performanceMetrics.totalResponseTime += responseTime;
-    this.performanceMetrics.averageResponseTime = 
-      this.performanceMetrics.totalResponseTime / this.performanceMetrics.totalRequests;
-    
-    if (success) {
-      this.performanceMetrics.successfulRequests++;
-    } else {
-      this.performanceMetrics.failedRequests++;
-    }
-  }
-
   validateInputs(data, context = {}) {
     const validation = InputValidator.validateSOAPData(data, context);
     if (!validation.isValid) {
@@ -339,85 +239,34 @@ class SOAPService {
     }
   }
 
-  // Service monitoring and management methods
-  getServiceStatus() {
-    try {
-      const cacheHitRate = this.calculateCacheHitRate();
-      const totalRequests = this.performanceMetrics.totalRequests || 0;
-      const successRate = totalRequests > 0 
-        ? ((this.performanceMetrics.successfulRequests || 0) / totalRequests * 100).toFixed(2)
-        : 0;
-      
-      return {
-        service: 'SOAPService',
-        status: 'operational',
-        timestamp: new Date().toISOString(),
-        metrics: {
-          ...this.performanceMetrics,
-          successRate: `${successRate}%`,
-          averageResponseTime: this.performanceMetrics.averageResponseTime || 0
-        },
-        cache: {
-          size: Object.keys(this.cache).length,
-          hitRate: `${(cacheHitRate * 100).toFixed(2)}%`,
-          maxSize: this.config.cache.maxSize
-        },
-        circuitBreakers: Object.keys(this.circuitBreakerState).map(service => ({
-          service,
-          state: this.circuitBreakerState[service].status,
-          failures: this.circuitBreakerState[service].failures
-        })),
-        rateLimits: {
-          activeUsers: Object.keys(this.rateLimitTracker).length,
-          maxRateLimit: this.config.rateLimit.maxRequests
-        },
-        configuration: {
-          aiProvider: this.config.aiProvider,
-          cacheTTL: this.config.cache.ttl,
-          circuitBreakerThreshold: this.config.circuitBreaker.threshold,
-          autoSaveEnabled: this.config.autoSave.enabled
-        }
-      };
-    } catch (error) {
-      this.logError("Error getting service status", error, {});
-      return {
-        service: 'SOAPService',
-        status: 'error',
-        timestamp: new Date().toISOString(),
-        error: error.message
-      };
-    }
+  // Monitoring: the metrics and health contract shared by the nursing
+  // services through the resilience kernel
+  async getServiceStatus() {
+    return {
+      ...(await this.healthCheck()),
+      configuration: this.getConfiguration()
+    };
   }
 
-  calculateCacheHitRate() {
-    const totalRequests = this.performanceMetrics.cacheHits + this.performanceMetrics.cacheMisses;
-    return totalRequests > 0 ? this.performanceMetrics.cacheHits / totalRequests : 0;
+  getPerformanceMetrics() {
+    return this.resilience.getMetrics();
   }
 
-  getPerformanceMetrics() {
-    return {
-      ...this.performanceMetrics,
-      cacheHitRate: this.calculateCacheHitRate(),
-      successRate: this.performanceMetrics.totalRequests > 0 
-        ? (this.performanceMetrics.successfulRequests / this.performanceMetrics.totalRequests * 100).toFixed(2)
-        : 0
-    };
+  getErrorReport() {
+    return this.resilience.getErrorReport();
+  }
+
+  async healthCheck() {
+    return this.resilience.healthCheck();
   }
 
-  clearCache() {
-    this.cache = {};
-    this.cacheTimestamps = {};
+  async clearCache() {
+    await this.resilience.clearCache();
     this.logInfo("Cache cleared");
   }
 
-  resetCircuitBreakers() {
-    Object.keys(this.circuitBreakerState).forEach(service => {
-      this.circuitBreakerState[service] = {
-        status: 'closed',
-        failures: 0,
-        lastFailure: null
-      };
-    });
+  async resetCircuitBreakers() {
+    await this.resilience.resetCircuitBreakers();
     this.logInfo("Circuit breakers reset");
   }
 
@@ -425,75 +274,10 @@ class SOAPService {
     return {
       ...this.config,
       templates: Object.keys(this.templates).length,
-      autoSaveTimers: this.autoSaveTimers.size
+      autoSaveJobs: this.autoSaveJobs.size
     };
   }
 
-  getErrorReport(timeframe = "24h") {
-    const cutoff = Date.now() - (timeframe === "24h" ? 86400000 : 3600000);
-    return {
-      timeframe,
-      totalErrors: this.performanceMetrics.errors.validation +
-                   this.performanceMetrics.errors.rateLimit +
-                   this.performanceMetrics.errors.serviceUnavailable +
-                   this.performanceMetrics.errors.database +
-                   this.performanceMetrics.errors.ai,
-      errorBreakdown: this.performanceMetrics.errors,
-      circuitBreakerStatus: this.circuitBreakerState,
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  healthCheck() {
-    try {
-      const cacheStatus = Object.keys(this.cache).length < this.config.cache.maxSize;
-      const circuitBreakerStatus = Object.values(this.circuitBreakerState).every(state => state.status === 'closed');
-      const rateLimitStatus = Object.keys(this.rateLimitTracker).length < 1000; // Reasonable limit
-      
-      const overallStatus = cacheStatus && circuitBreakerStatus && rateLimitStatus ? 'healthy' : 'degraded';
-      
-      return {
-        service: 'SOAPService',
-        status: overallStatus,
-        timestamp: new Date().toISOString(),
-        version: '1.0.0',
-        checks: {
-          cache: {
-            status: cacheStatus ? 'healthy' : 'warning',
-            size: Object.keys(this.cache).length,
-            maxSize: this.config.cache.maxSize
-          },
-          circuitBreakers: {
-            status: circuitBreakerStatus ? 'healthy' : 'warning',
-            openBreakers: Object.values(this.circuitBreakerState).filter(state => state.status === 'open').length
-          },
-          rateLimits: {
-            status: rateLimitStatus ? 'healthy' : 'warning',
-            activeUsers: Object.keys(this.rateLimitTracker).length
-          },
-          autoSave: {
-            status: this.config.autoSave.enabled ? 'enabled' : 'disabled',
-            activeTimers: this.autoSaveTimers.size
-          }
-        },
-        metrics: {
-          totalRequests: this.performanceMetrics.totalRequests || 0,
-          successfulRequests: this.performanceMetrics.successfulRequests || 0,
-          averageResponseTime: this.performanceMetrics.averageResponseTime || 0
-        }
-      };
-    } catch (error) {
-      this.logError("Error during health check", error, {});
-      return {
-        service: 'SOAPService',
-        status: 'unhealthy',
-        timestamp: new Date().toISOString(),
-        version: '1.0.0',
-        error: error.message
-      };
-    }
-  }
-
   // Generate template (alias for generateSOAPTemplate)
   async generateTemplate(assessmentType, patientData) {
     return this.generateSOAPTemplate(assessmentType, patientData);
@@ -729,11 +513,17 @@ class SOAPService {
         soapData = this.applyTemplate(noteData.template, soapData);
       }
 
+      const organizationId = await organizationService.assertPatientAccess(
+        noteData.patientId,
+        userId
+      );
+
       // Create SOAP note
       const soapNote = new SOAPNote({
         ...noteData,
         soapData,
         userId,
+        organizationId,
         status: "draft",
         metadata: {
           createdAt: new Date(),
@@ -791,12 +581,17 @@ class SOAPService {
         throw new Error("SOAP note not found");
       }
 
-      if (soapNote.userId.toString() !== userId) {
+      if (!(await this.isOwner(soapNote, userId))) {
         throw new Error("Unauthorized access to SOAP note");
       }
 
-      if (soapNote.status === "signed" && !isAutoSave) {
-        throw new Error("Cannot modify signed SOAP note");
+      // Signed notes change only through addenda and amendments
+      if (soapNote.signature?.signed) {
+        throw new SOAPServiceError(
+          "Cannot modify signed SOAP note; add an addendum or amendment",
+          "NOTE_LOCKED",
+          409
+        );
       }
 
       // Track changes for version control
@@ -882,7 +677,7 @@ class SOAPService {
       }
 
       // Check access permissions
-      const hasAccess = this.checkAccess(soapNote, userId);
+      const hasAccess = await this.checkAccess(soapNote, userId);
       if (!hasAccess) {
         throw new Error("Unauthorized access to SOAP note");
       }
@@ -900,15 +695,16 @@ class SOAPService {
   // Get SOAP notes for patient
   async getPatientSOAPNotes(patientId, userId, options = {}) {
     try {
-      const soapNotes = await SOAPNote.getByPatient(patientId, {
-        limit: options.limit || 20,
-        sort: options.sort || { createdAt: -1 },
-      });
-
-      // Filter by user access
-      const accessibleNotes = soapNotes.filter((note) =>
-        this.checkAccess(note, userId)
-      );
+      // The user's organization, plus unassigned notes shared with them
+      const accessibleNotes = await SOAPNote.find({
+        patientId,
+        $or: [
+          await organizationService.scopeFor(userId),
+          { organizationId: null, "collaboration.sharedWith.userId": userId },
+        ],
+      })
+        .sort(options.sort || { createdAt: -1 })
+        .limit(options.limit || 20);
 
       return {
         success: true,
@@ -930,10 +726,19 @@ class SOAPService {
         throw new Error("SOAP note not found");
       }
 
-      if (soapNote.userId.toString() !== userId) {
+      if (!(await this.isOwner(soapNote, userId))) {
         throw new Error("Only note owner can share");
       }
 
+      // Organization notes are already visible to every member; sharing
+      // must not carry them outside the organization
+      if (soapNote.organizationId) {
+        const recipient = await organizationService.getTenant(shareData.userId);
+        if (String(recipient.organizationId) !== String(soapNote.organizationId)) {
+          throw new Error("SOAP notes can only be shared within the organization");
+        }
+      }
+
       // Add to shared users
       const existingShare = soapNote.collaboration.sharedWith.find(
         (share) => share.userId.toString() === shareData.userId
@@ -981,7 +786,7 @@ class SOAPService {
         throw new Error("SOAP note not found");
       }
 
-      if (!this.checkAccess(soapNote, userId)) {
+      if (!(await this.checkAccess(soapNote, userId))) {
         throw new Error("Unauthorized access to SOAP note");
       }
 
@@ -1008,41 +813,100 @@ class SOAPService {
     }
   }
 
-  // Sign SOAP note
+  // Sign SOAP note. Signing locks the note: later changes are made only as
+  // signed addenda or amendments. Students, LPNs and LVNs (or any signer who
+  // names a co-signer) leave the note pending a supervising co-signature.
   async signSOAPNote(noteId, userId, signatureData = {}) {
     try {
-      const soapNote = await SOAPNote.findById(noteId);
-
-      if (!soapNote) {
-        throw new Error("SOAP note not found");
-      }
+      const soapNote = await this.findNote(noteId);
 
-      if (soapNote.userId.toString() !== userId) {
-        throw new Error("Only note owner can sign");
+      if (!(await this.isOwner(soapNote, userId))) {
+        throw new SOAPServiceError(
+          "Only note owner can sign",
+          "NOT_NOTE_OWNER",
+          403
+        );
       }
 
-      if (soapNote.status === "signed") {
-        throw new Error("SOAP note is already signed");
+      if (soapNote.signature?.signed) {
+        throw new SOAPServiceError(
+          "SOAP note is already signed",
+          "ALREADY_SIGNED",
+          409
+        );
       }
 
       // Validate completeness before signing
       const qualityScore = soapNote.calculateQualityScore();
       if (qualityScore < 70) {
-        throw new Error(
-          "SOAP note quality score too low for signing (minimum 70%)"
+        throw new SOAPServiceError(
+          "SOAP note quality score too low for signing (minimum 70%)",
+          "QUALITY_TOO_LOW",
+          422
+        );
+      }
+      const validation = soapNote.validateRequiredFields();
+      if (!validation.isValid) {
+        throw new SOAPServiceError(
+          `SOAP note is incomplete: ${validation.errors.join(", ")}`,
+          "NOTE_INCOMPLETE",
+          422
+        );
+      }
+
+      const signer = await this.getSigner(userId);
+      const cosignatureRequired = COSIGNATURE_REQUIRED_CREDENTIALS.includes(
+        signer.clinicalCredential
+      );
+      const cosignerId = signatureData.cosignerId || null;
+
+      if (cosignatureRequired && !cosignerId) {
+        throw new SOAPServiceError(
+          `A co-signer is required for ${signer.clinicalCredential} signatures`,
+          "COSIGNER_REQUIRED",
+          400
         );
       }
+      if (cosignerId) {
+        await this.assertCosigner(soapNote, userId, cosignerId);
+      }
+
+      const signedAt = new Date();
+      const link = {
+        kind: "signature",
+        contentHash: hashContent(snapshotContent(soapNote)),
+        previousHash: null,
+        signedBy: userId,
+        signerCredential: signer.clinicalCredential,
+        signedAt,
+      };
 
-      // Update signature
       soapNote.signature = {
         signed: true,
         signedBy: userId,
-        signedAt: new Date(),
-        signatureHash: this.generateSignatureHash(soapNote, userId),
+        signedAt,
+        signerCredential: signer.clinicalCredential,
+        contentHash: link.contentHash,
+        signatureHash: this.generateSignatureHash(soapNote, link),
         witnessedBy: signatureData.witnessedBy || null,
+        ipAddress: signatureData.ipAddress,
       };
 
-      soapNote.status = "signed";
+      if (cosignerId) {
+        soapNote.cosignature = {
+          required: true,
+          requestedFrom: cosignerId,
+          requestedAt: signedAt,
+          status: "pending",
+        };
+      }
+
+      soapNote.status = cosignerId ? "pending_cosignature" : "signed";
+      soapNote.history.push({
+        userId,
+        action: "signed",
+        notes: cosignerId ? "Co-signature requested" : undefined,
+      });
 
       await soapNote.save();
 
@@ -1055,6 +919,13 @@ class SOAPService {
         userId,
         signedAt: soapNote.signature.signedAt,
       });
+      if (cosignerId) {
+        this.eventManager.emit("soapNoteCosignatureRequested", {
+          noteId,
+          userId,
+          cosignerId: String(cosignerId),
+        });
+      }
 
       return {
         success: true,
@@ -1066,6 +937,351 @@ class SOAPService {
     }
   }
 
+  // Re-route a pending co-signature to another supervising clinician
+  async requestCosignature(noteId, userId, cosignerId) {
+    const soapNote = await this.findNote(noteId);
+
+    if (!(await this.isOwner(soapNote, userId))) {
+      throw new SOAPServiceError(
+        "Only note owner can request a co-signature",
+        "NOT_NOTE_OWNER",
+        403
+      );
+    }
+    if (soapNote.cosignature?.status !== "pending") {
+      throw new SOAPServiceError(
+        "SOAP note has no pending co-signature",
+        "NO_PENDING_COSIGNATURE",
+        409
+      );
+    }
+    if (!cosignerId) {
+      throw new SOAPServiceError(
+        "cosignerId is required",
+        "COSIGNER_REQUIRED",
+        400
+      );
+    }
+
+    await this.assertCosigner(soapNote, userId, cosignerId);
+
+    soapNote.cosignature.requestedFrom = cosignerId;
+    soapNote.cosignature.requestedAt = new Date();
+    soapNote.history.push({ userId, action: "cosignature_requested" });
+    await soapNote.save();
+    await this.cacheService.setSOAPNote(noteId, soapNote);
+
+    this.eventManager.emit("soapNoteCosignatureRequested", {
+      noteId,
+      userId,
+      cosignerId: String(cosignerId),
+    });
+
+    return { success: true, soapNote };
+  }
+
+  // Co-sign a note by the clinician the request was routed to
+  async cosignSOAPNote(noteId, userId, cosignatureData = {}) {
+    const soapNote = await this.findNote(noteId);
+    const cosignature = soapNote.cosignature;
+
+    if (cosignature?.status !== "pending") {
+      throw new SOAPServiceError(
+        "SOAP note has no pending co-signature",
+        "NO_PENDING_COSIGNATURE",
+        409
+      );
+    }
+    if (
+      String(cosignature.requestedFrom) !== String(userId) ||
+      !(await this.checkAccess(soapNote, userId))
+    ) {
+      throw new SOAPServiceError(
+        "Co-signature was requested from another clinician",
+        "NOT_REQUESTED_COSIGNER",
+        403
+      );
+    }
+
+    // The co-signer attests to exactly what the author signed
+    if (
+      hashContent(snapshotContent(soapNote)) !== soapNote.signature.contentHash
+    ) {
+      throw new SOAPServiceError(
+        "SOAP note content no longer matches the author's signature",
+        "CONTENT_MISMATCH",
+        409
+      );
+    }
+
+    const signer = await this.getSigner(userId);
+    const link = {
+      kind: "cosignature",
+      contentHash: soapNote.signature.contentHash,
+      previousHash: soapNote.signature.signatureHash,
+      signedBy: userId,
+      signerCredential: signer.clinicalCredential,
+      signedAt: new Date(),
+    };
+
+    Object.assign(cosignature, {
+      status: "signed",
+      signedBy: userId,
+      signedAt: link.signedAt,
+      signerCredential: link.signerCredential,
+      previousHash: link.previousHash,
+      signatureHash: this.generateSignatureHash(soapNote, link),
+      notes: cosignatureData.notes,
+      ipAddress: cosignatureData.ipAddress,
+    });
+    soapNote.status = "signed";
+    soapNote.history.push({
+      userId,
+      action: "cosigned",
+      notes: cosignatureData.notes,
+    });
+
+    await soapNote.save();
+    await this.cacheService.setSOAPNote(noteId, soapNote);
+
+    this.eventManager.emit("soapNoteCosigned", {
+      noteId,
+      userId,
+      authorId: String(soapNote.signature.signedBy),
+      signedAt: link.signedAt,
+    });
+
+    return { success: true, soapNote };
+  }
+
+  // Append a signed addendum (extra text, note content unchanged) or an
+  // amendment (author-only correction of S/O/A/P fields) to a signed note.
+  // `changes` maps dotted section paths to their new values, e.g.
+  // { "assessment.primaryDiagnosis": "..." }.
+  async amendSOAPNote(noteId, userId, amendmentData = {}) {
+    const { type = "addendum", reason, text, changes, ipAddress } =
+      amendmentData;
+    const soapNote = await this.findNote(noteId);
+
+    if (!["addendum", "amendment"].includes(type)) {
+      throw new SOAPServiceError(
+        "type must be addendum or amendment",
+        "INVALID_AMENDMENT_TYPE",
+        400
+      );
+    }
+    if (!soapNote.signature?.signed) {
+      throw new SOAPServiceError(
+        "Only signed notes take addenda or amendments; edit the draft instead",
+        "NOTE_NOT_SIGNED",
+        409
+      );
+    }
+    if (soapNote.cosignature?.status === "pending") {
+      throw new SOAPServiceError(
+        "SOAP note is awaiting co-signature",
+        "COSIGNATURE_PENDING",
+        409
+      );
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new SOAPServiceError(
+        "A reason is required",
+        "REASON_REQUIRED",
+        400
+      );
+    }
+
+    const allowed =
+      type === "amendment"
+        ? await this.isOwner(soapNote, userId)
+        : await this.checkAccess(soapNote, userId);
+    if (!allowed) {
+      throw new SOAPServiceError(
+        type === "amendment"
+          ? "Only note owner can amend"
+          : "Unauthorized access to SOAP note",
+        type === "amendment" ? "NOT_NOTE_OWNER" : "ACCESS_DENIED",
+        403
+      );
+    }
+
+    let changeList = [];
+    if (type === "amendment") {
+      changeList = this.buildAmendmentChanges(soapNote, changes);
+    } else if (!text || !String(text).trim()) {
+      throw new SOAPServiceError(
+        "Addendum text is required",
+        "TEXT_REQUIRED",
+        400
+      );
+    }
+
+    for (const change of changeList) {
+      soapNote.set(change.path, change.value);
+    }
+    // Store the values as cast by the schema so the hash re-verifies
+    const content = snapshotContent(soapNote);
+    changeList.forEach((change) => {
+      change.value = getPath(content, change.path);
+    });
+
+    const signer = await this.getSigner(userId);
+    const link = {
+      kind: type,
+      sequence: soapNote.amendments.length + 1,
+      reason: String(reason).trim(),
+      text: text ? String(text) : undefined,
+      changes: changeList,
+      contentHash: hashContent(content),
+      previousHash: chainHead(soapNote),
+      signedBy: userId,
+      signerCredential: signer.clinicalCredential,
+      signedAt: new Date(),
+    };
+
+    soapNote.amendments.push({
+      sequence: link.sequence,
+      type,
+      reason: link.reason,
+      text: link.text,
+      changes: changeList,
+      contentHash: link.contentHash,
+      previousHash: link.previousHash,
+      signatureHash: this.generateSignatureHash(soapNote, link),
+      signedBy: userId,
+      signerCredential: link.signerCredential,
+      signedAt: link.signedAt,
+      ipAddress,
+    });
+
+    if (type === "amendment") {
+      soapNote.status = "amended";
+      soapNote.version = (soapNote.version || 1) + 1;
+    }
+    soapNote.history.push({
+      userId,
+      action: type,
+      changes: changeList.map(({ path }) => path),
+      notes: link.reason,
+    });
+
+    await soapNote.save();
+    await this.cacheService.setSOAPNote(noteId, soapNote);
+
+    this.eventManager.emit("soapNoteAmended", {
+      noteId,
+      userId,
+      type,
+      sequence: link.sequence,
+    });
+
+    return {
+      success: true,
+      soapNote,
+      amendment: soapNote.amendments[soapNote.amendments.length - 1],
+    };
+  }
+
+  // Recompute every signature, co-signature and amendment hash of a note
+  async verifySignatureChain(noteId, userId) {
+    const soapNote = await this.findNote(noteId);
+
+    if (!(await this.checkAccess(soapNote, userId))) {
+      throw new SOAPServiceError(
+        "Unauthorized access to SOAP note",
+        "ACCESS_DENIED",
+        403
+      );
+    }
+
+    return {
+      noteId: String(soapNote._id),
+      status: soapNote.status,
+      verifiedAt: new Date(),
+      ...verifyChain(soapNote),
+    };
+  }
+
+  // Validate amendment changes: S/O/A/P schema paths only
+  buildAmendmentChanges(soapNote, changes) {
+    if (
+      !changes ||
+      typeof changes !== "object" ||
+      Array.isArray(changes) ||
+      Object.keys(changes).length === 0
+    ) {
+      throw new SOAPServiceError(
+        "An amendment needs at least one change",
+        "CHANGES_REQUIRED",
+        400
+      );
+    }
+
+    const content = snapshotContent(soapNote);
+    return Object.entries(changes).map(([path, value]) => {
+      const section = path.split(".")[0];
+      if (
+        !SOAP_SECTIONS.includes(section) ||
+        path === section ||
+        soapNote.schema.pathType(path) === "adhocOrUndefined"
+      ) {
+        throw new SOAPServiceError(
+          `Cannot amend ${path}; amendments change subjective, objective, assessment or plan fields`,
+          "INVALID_AMENDMENT_PATH",
+          400
+        );
+      }
+      return { path, value, previousValue: getPath(content, path) };
+    });
+  }
+
+  async findNote(noteId) {
+    const soapNote = await SOAPNote.findById(noteId);
+    if (!soapNote) {
+      throw new SOAPServiceError("SOAP note not found", "NOTE_NOT_FOUND", 404);
+    }
+    return soapNote;
+  }
+
+  async getSigner(userId) {
+    const signer = await User.findById(userId)
+      .select("name clinicalCredential")
+      .lean();
+    if (!signer) {
+      throw new SOAPServiceError("Signer not found", "SIGNER_NOT_FOUND", 404);
+    }
+    return signer;
+  }
+
+  // A co-signer must be someone else, able to see the note, and not
+  // themselves need a co-signature
+  async assertCosigner(soapNote, userId, cosignerId) {
+    if (String(cosignerId) === String(userId)) {
+      throw new SOAPServiceError(
+        "A note cannot be co-signed by its author",
+        "INVALID_COSIGNER",
+        400
+      );
+    }
+
+    const cosigner = await User.findById(cosignerId)
+      .select("clinicalCredential")
+      .lean()
+      .catch(() => null);
+    if (
+      !cosigner ||
+      COSIGNATURE_REQUIRED_CREDENTIALS.includes(cosigner.clinicalCredential) ||
+      !(await this.checkAccess(soapNote, String(cosignerId)))
+    ) {
+      throw new SOAPServiceError(
+        "Co-signer must be a supervising clinician with access to this note",
+        "INVALID_COSIGNER",
+        400
+      );
+    }
+  }
+
   // Generate PDF of SOAP note
   async generatePDF(noteId, userId) {
     try {
@@ -1077,7 +1293,7 @@ class SOAPService {
         throw new Error("SOAP note not found");
       }
 
-      if (!this.checkAccess(soapNote, userId)) {
+      if (!(await this.checkAccess(soapNote, userId))) {
         throw new Error("Unauthorized access to SOAP note");
       }
 
@@ -1357,7 +1573,7 @@ class SOAPService {
       const pipeline = [];
 
       // Match stage
-      const matchConditions = { userId };
+      const matchConditions = { ...(await organizationService.matchFor(userId)) };
 
       if (patientId) {
         matchConditions.patientId = patientId;
@@ -1580,7 +1796,12 @@ class SOAPService {
   async getAdvancedQualityMetrics(userId, dateRange = {}) {
     try {
       const pipeline = [
-        { $match: { userId, ...this.buildDateRangeFilter(dateRange) } },
+        {
+          $match: {
+            ...(await organizationService.ownMatchFor(userId)),
+            ...this.buildDateRangeFilter(dateRange),
+          },
+        },
         {
           $group: {
             _id: null,
@@ -1695,7 +1916,7 @@ class SOAPService {
         throw new Error("SOAP note not found");
       }
 
-      if (!this.checkAccess(soapNote, userId)) {
+      if (!(await this.checkAccess(soapNote, userId))) {
         throw new Error("Unauthorized access to SOAP note");
       }
 
@@ -1708,13 +1929,16 @@ class SOAPService {
       });
 
       // Apply advanced medical vocabulary corrections
+      const organizationId = await organizationService.organizationIdFor(userId);
       const correctedText = await this.applyAdvancedMedicalCorrections(
-        transcription
+        transcription,
+        { organizationId }
       );
 
       // Extract medical entities and terminology
       const medicalEntities = await this.extractMedicalEntities(
-        correctedText.text
+        correctedText.text,
+        { organizationId }
       );
 
       // Get AI suggestions for SOAP structure with clinical context
@@ -1850,60 +2074,57 @@ class SOAPService {
     }
   }
 
-  // Auto-save functionality
+  // Auto-save functionality: a soap.autosave job flushes the cached draft
+  // every autoSaveInterval until the note leaves draft (or after 12 hours)
   startAutoSave(noteId, userId) {
-    const autoSaveKey = `autosave_${noteId}_${userId}`;
+    const jobName = `soap.autosave:${noteId}:${userId}`;
+    this.autoSaveJobs.add(jobName);
+
+    jobScheduler
+      .schedule(jobName, {
+        handler: "soap.autosave",
+        every: this.autoSaveInterval,
+        data: { noteId: String(noteId), userId: String(userId) },
+        endAt: new Date(Date.now() + AUTO_SAVE_MAX_MS),
+        maxAttempts: 1,
+      })
+      .catch((error) => console.error("Auto-save scheduling error:", error));
+  }
+
+  async autoSave(noteId, userId) {
+    // Get current note from cache
+    const currentNote = await this.cacheService.getSOAPNote(noteId);
+    if (!currentNote) return;
+    if (currentNote.status !== "draft") return { done: true };
 
-    // Clear existing auto-save if any
-    if (this.autoSaveTimers && this.autoSaveTimers[autoSaveKey]) {
-      clearInterval(this.autoSaveTimers[autoSaveKey]);
-    }
-
-    // Initialize timers object if not exists
-    if (!this.autoSaveTimers) {
-      this.autoSaveTimers = {};
+    try {
+      await this.updateSOAPNote(noteId, { soapData: currentNote.soapData }, userId, true);
+    } catch (error) {
+      // Signed since the draft was cached: the signature chain owns it now
+      if (error.code === "NOTE_LOCKED") return { done: true };
+      throw error;
     }
-
-    // Set up auto-save timer
-    this.autoSaveTimers[autoSaveKey] = setInterval(async () => {
-      try {
-        // Get current note from cache
-        const currentNote = await this.cacheService.getSOAPNote(noteId);
-        if (currentNote && currentNote.status === "draft") {
-          await this.updateSOAPNote(
-            noteId,
-            { soapData: currentNote.soapData },
-            userId,
-            true
-          );
-        }
-      } catch (error) {
-        console.error("Auto-save error:", error);
-      }
-    }, this.autoSaveInterval);
   }
 
   // Stop auto-save
   stopAutoSave(noteId, userId) {
-    const autoSaveKey = `autosave_${noteId}_${userId}`;
-
-    if (this.autoSaveTimers && this.autoSaveTimers[autoSaveKey]) {
-      clearInterval(this.autoSaveTimers[autoSaveKey]);
-      delete this.autoSaveTimers[autoSaveKey];
-    }
+    const jobName = `soap.autosave:${noteId}:${userId}`;
+    this.autoSaveJobs.delete(jobName);
+    return jobScheduler.cancel(jobName);
   }
 
   // Check access permissions
-  checkAccess(soapNote, userId) {
-    // Owner has full access
-    if (
-      soapNote.userId.toString() === userId ||
-      soapNote.userId._id?.toString() === userId
-    ) {
+  async checkAccess(soapNote, userId) {
+    // Organization members (or the owner of an unassigned note)
+    if (await organizationService.canAccess(soapNote, userId)) {
       return true;
     }
 
-    // Check shared access
+    // Sharing applies to unassigned notes only; organization notes never
+    // leave the organization
+    if (soapNote.organizationId) {
+      return false;
+    }
     const sharedAccess = soapNote.collaboration.sharedWith.find(
       (share) =>
         share.userId.toString() === userId ||
@@ -1913,6 +2134,15 @@ class SOAPService {
     return !!sharedAccess;
   }
 
+  // Author of the note, and still within the note's organization
+  async isOwner(soapNote, userId) {
+    const ownerId = soapNote.userId?._id || soapNote.userId;
+    return (
+      String(ownerId) === String(userId) &&
+      (await organizationService.canAccess(soapNote, userId))
+    );
+  }
+
   // Track changes between versions
   trackChanges(oldData, newData) {
     const changes = [];
@@ -1945,15 +2175,9 @@ class SOAPService {
     );
   }
 
-  // Generate signature hash
-  generateSignatureHash(soapNote, userId) {
-    const data = JSON.stringify({
-      noteId: soapNote._id,
-      userId,
-      content: soapNote.soapData,
-      timestamp: new Date().toISOString(),
-    });
-    return crypto.createHash("sha256").update(data).digest("hex");
+  // Generate signature hash for one link of the note's signature chain
+  generateSignatureHash(soapNote, link) {
+    return hashLink(soapNote._id, link);
   }
 
   // Apply template to SOAP data
@@ -1984,125 +2208,13 @@ class SOAPService {
     return "Placeholder transcription text";
   }
 
-  // Apply advanced medical corrections with context awareness
-  async applyAdvancedMedicalCorrections(transcription) {
+  // Apply the medical lexicon (built-in terms plus the agency's own) to a
+  // transcript; corrections list every change made to the original text
+  async applyAdvancedMedicalCorrections(transcription, { organizationId } = {}) {
     try {
-      const corrections = [];
-      let correctedText = transcription.text;
-
-      // Medical terminology corrections database
-      const medicalCorrections = {
-        // Common misheard medical terms
-        "high per tension": "hypertension",
-        "die beaties": "diabetes",
-        "my cardial": "myocardial",
-        "new monia": "pneumonia",
-        "brady cardia": "bradycardia",
-        "tachy cardia": "tachycardia",
-        "dis nea": "dyspnea",
-        "ortho nea": "orthopnea",
-        "a dema": "edema",
-        "aus cultation": "auscultation",
-        "pal pation": "palpation",
-        "per cussion": "percussion",
-        "in spection": "inspection",
-        "sis tolic": "systolic",
-        "die stolic": "diastolic",
-        "mur mur": "murmur",
-        "gal lop": "gallop",
-        "friction rub": "friction rub",
-      };
-
-      // Apply corrections
-      for (const [incorrect, correct] of Object.entries(medicalCorrections)) {
-        const regex = new RegExp(incorrect, "gi");
-        if (regex.test(correctedText)) {
-          correctedText = correctedText.replace(regex, correct);
-          corrections.push({
-            original: incorrect,
-            corrected: correct,
-            confidence: 0.95,
-          });
-        }
-      }
-
-      // Dosage and measurement corrections
-      const dosagePatterns = [
-        { pattern: /(\d+)\s*milli\s*grams?/gi, replacement: "$1 mg" },
-        { pattern: /(\d+)\s*micro\s*grams?/gi, replacement: "$1 mcg" },
-        { pattern: /(\d+)\s*units?/gi, replacement: "$1 units" },
-        { pattern: /(\d+)\s*over\s*(\d+)/gi, replacement: "$1/$2" },
-        { pattern: /(\d+)\s*beats?\s*per\s*minute/gi, replacement: "$1 bpm" },
-        { pattern: /(\d+)\s*breaths?\s*per\s*minute/gi, replacement: "$1 rpm" },
-      ];
-
-      dosagePatterns.forEach(({ pattern, replacement }) => {
-        if (pattern.test(correctedText)) {
-          const matches = correctedText.match(pattern);
-          correctedText = correctedText.replace(pattern, replacement);
-          if (matches) {
-            corrections.push({
-              original: matches[0],
-              corrected: replacement,
-              type: "dosage_standardization",
-              confidence: 0.98,
-            });
-          }
-        }
+      return await medicalLexiconService.correctTranscript(transcription.text, {
+        organizationId,
       });
-
-      // Medical abbreviation expansion
-      const abbreviations = {
-        BP: "blood pressure",
-        HR: "heart rate",
-        RR: "respiratory rate",
-        "O2 sat": "oxygen saturation",
-        SOB: "shortness of breath",
-        DOE: "dyspnea on exertion",
-        PND: "paroxysmal nocturnal dyspnea",
-        JVD: "jugular venous distension",
-        PMI: "point of maximal impulse",
-        S1: "first heart sound",
-        S2: "second heart sound",
-        S3: "third heart sound",
-        S4: "fourth heart sound",
-      };
-
-      // Context-aware abbreviation expansion
-      for (const [abbrev, expansion] of Object.entries(abbreviations)) {
-        const regex = new RegExp(`\\b${abbrev}\\b`, "gi");
-        if (regex.test(correctedText)) {
-          // Only expand if context suggests it's medical
-          const contextWords = [
-            "patient",
-            "assessment",
-            "examination",
-            "findings",
-            "normal",
-            "abnormal",
-          ];
-          const hasContext = contextWords.some((word) =>
-            correctedText.toLowerCase().includes(word)
-          );
-
-          if (hasContext) {
-            correctedText = correctedText.replace(regex, expansion);
-            corrections.push({
-              original: abbrev,
-              corrected: expansion,
-              type: "abbreviation_expansion",
-              confidence: 0.9,
-            });
-          }
-        }
-      }
-
-      return {
-        text: correctedText,
-        corrections,
-        originalText: transcription.text,
-        correctionCount: corrections.length,
-      };
     } catch (error) {
       console.error("Error applying medical corrections:", error);
       return {
@@ -2116,126 +2228,11 @@ class SOAPService {
   }
 
   // Extract medical entities and terminology
-  async extractMedicalEntities(text) {
+  async extractMedicalEntities(text, { organizationId } = {}) {
     try {
-      const entities = {
-        symptoms: [],
-        diagnoses: [],
-        medications: [],
-        procedures: [],
-        anatomicalSites: [],
-        vitalSigns: [],
-        labValues: [],
-        assessmentFindings: [],
-      };
-
-      // Symptom patterns
-      const symptomPatterns = [
-        /chest pain/gi,
-        /shortness of breath/gi,
-        /dyspnea/gi,
-        /palpitations/gi,
-        /dizziness/gi,
-        /fatigue/gi,
-        /nausea/gi,
-        /vomiting/gi,
-        /headache/gi,
-        /fever/gi,
-        /chills/gi,
-        /sweating/gi,
-      ];
-
-      symptomPatterns.forEach((pattern) => {
-        const matches = text.match(pattern);
-        if (matches) {
-          matches.forEach((match) => {
-            entities.symptoms.push({
-              text: match,
-              confidence: 0.85,
-              position: text.indexOf(match),
-            });
-          });
-        }
-      });
-
-      // Vital signs patterns
-      const vitalSignsPatterns = [
-        { pattern: /blood pressure.*?(\d+)\/(\d+)/gi, type: "blood_pressure" },
-        { pattern: /heart rate.*?(\d+)/gi, type: "heart_rate" },
-        { pattern: /respiratory rate.*?(\d+)/gi, type: "respiratory_rate" },
-        { pattern: /temperature.*?(\d+\.?\d*)/gi, type: "temperature" },
-        { pattern: /oxygen saturation.*?(\d+)%?/gi, type: "oxygen_saturation" },
-      ];
-
-      vitalSignsPatterns.forEach(({ pattern, type }) => {
-        const matches = [...text.matchAll(pattern)];
-        matches.forEach((match) => {
-          entities.vitalSigns.push({
-            text: match[0],
-            type,
-            value: match[1],
-            confidence: 0.92,
-            position: match.index,
-          });
-        });
-      });
-
-      // Assessment findings patterns
-      const assessmentPatterns = [
-        /normal.*?heart sounds/gi,
-        /murmur/gi,
-        /gallop/gi,
-        /friction rub/gi,
-        /clear.*?lungs/gi,
-        /crackles/gi,
-        /wheezes/gi,
-        /diminished.*?sounds/gi,
-        /edema/gi,
-        /cyanosis/gi,
-        /pallor/gi,
-        /diaphoresis/gi,
-      ];
-
-      assessmentPatterns.forEach((pattern) => {
-        const matches = text.match(pattern);
-        if (matches) {
-          matches.forEach((match) => {
-            entities.assessmentFindings.push({
-              text: match,
-              confidence: 0.88,
-              position: text.indexOf(match),
-            });
-          });
-        }
-      });
-
-      // Anatomical sites
-      const anatomicalPatterns = [
-        /chest/gi,
-        /heart/gi,
-        /lungs?/gi,
-        /abdomen/gi,
-        /extremities/gi,
-        /neck/gi,
-        /head/gi,
-        /back/gi,
-        /skin/gi,
-      ];
-
-      anatomicalPatterns.forEach((pattern) => {
-        const matches = text.match(pattern);
-        if (matches) {
-          matches.forEach((match) => {
-            entities.anatomicalSites.push({
-              text: match,
-              confidence: 0.8,
-              position: text.indexOf(match),
-            });
-          });
-        }
+      return await medicalLexiconService.extractEntities(text, {
+        organizationId,
       });
-
-      return entities;
     } catch (error) {
       console.error("Error extracting medical entities:", error);
       return {
@@ -2275,16 +2272,24 @@ class SOAPService {
         Maintain clinical accuracy and professional terminology.
       `;
 
-      const aiResult = await this.aiService.enhanceSOAPNote(
-        { freeText: text, structuringPrompt },
-        {
-          structureOnly: true,
-          medicalEntities,
-          existingData,
-        }
-      );
+      // An unavailable AI provider falls back to rule-based structuring
+      const aiResult = await this.aiService
+        .enhanceSOAPNote(
+          { freeText: text, structuringPrompt },
+          {
+            structureOnly: true,
+            medicalEntities,
+            existingData,
+          }
+        )
+        .catch((error) => ({ success: false, error: error.message }));
 
-      if (aiResult.success) {
+      // Only a response that actually carries SOAP sections is merged;
+      // enhancement-only responses fall through to rule-based structuring
+      if (
+        aiResult.success &&
+        SOAP_SECTIONS.some((section) => aiResult.enhancement?.[section])
+      ) {
         // Merge with existing data intelligently
         const structuredData = this.mergeSOAPData(
           existingData,
@@ -2947,7 +2952,7 @@ class SOAPService {
       const pipeline = [
         {
           $match: {
-            userId,
+            ...(await organizationService.ownMatchFor(userId)),
             createdAt: { $gte: thirtyDaysAgo },
           },
         },
@@ -3061,4 +3066,10 @@ class SOAPService {
   }
 }
 
-export default new SOAPService();
+const soapService = new SOAPService();
+
+jobScheduler.define("soap.autosave", ({ noteId, userId }) =>
+  soapService.autoSave(noteId, userId)
+);
+
+export default soapService;
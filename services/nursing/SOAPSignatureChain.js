@@ -0,0 +1,222 @@
+import crypto from "crypto";
+
+/**
+ * Hashing and verification for the SOAP note signature chain.
+ *
+ * A signed note carries a chain of hashes: the author's signature, an
+ * optional supervising co-signature, then one entry per addendum or
+ * amendment. Every link hashes its own fields together with the hash of the
+ * link before it, and every link records a hash of the note's S/O/A/P
+ * content at that point, so both the history and the current content can be
+ * re-verified later from the stored note alone.
+ */
+
+export const SOAP_SECTIONS = ["subjective", "objective", "assessment", "plan"];
+
+// Credentials whose signature must be co-signed by a supervising clinician
+export const COSIGNATURE_REQUIRED_CREDENTIALS = ["student", "LPN", "LVN"];
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// Normalizes a value to the shape that is hashed: dates as ISO strings,
+// ObjectIds as hex strings, undefined values and empty objects dropped (as
+// Mongoose's minimize does), object keys sorted
+const normalize = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value?.toHexString === "function") return value.toHexString();
+  if (Array.isArray(value)) {
+    return value.map((item) => {
+      const normalized = normalize(item);
+      return normalized === undefined ? null : normalized;
+    });
+  }
+  if (typeof value === "object") {
+    const source = isPlainObject(value) ? value : { ...value };
+    const result = {};
+    for (const key of Object.keys(source).sort()) {
+      const normalized = normalize(source[key]);
+      if (normalized !== undefined) result[key] = normalized;
+    }
+    return Object.keys(result).length > 0 ? result : undefined;
+  }
+  return value;
+};
+
+export const canonicalize = (value) => JSON.stringify(normalize(value) ?? null);
+
+/**
+ * Plain copy of the note's S/O/A/P sections, the content every link hashes.
+ */
+export const snapshotContent = (soapNote) => {
+  const source =
+    typeof soapNote.toObject === "function"
+      ? soapNote.toObject({ depopulate: true, virtuals: false })
+      : soapNote;
+  const content = {};
+  for (const section of SOAP_SECTIONS) {
+    content[section] = structuredClone(normalize(source[section]) ?? {});
+  }
+  return content;
+};
+
+export const hashContent = (content) => sha256(canonicalize(content));
+
+/**
+ * Hash of one link. `kind` is signature, cosignature, addendum or amendment.
+ */
+export const hashLink = (noteId, link) =>
+  sha256(
+    canonicalize({
+      noteId: String(noteId),
+      kind: link.kind,
+      sequence: link.sequence ?? 0,
+      reason: link.reason ?? null,
+      text: link.text ?? null,
+      changes: (link.changes || []).map(({ path, value }) => ({ path, value })),
+      contentHash: link.contentHash ?? null,
+      previousHash: link.previousHash ?? null,
+      signedBy: String(link.signedBy),
+      signerCredential: link.signerCredential ?? null,
+      signedAt: new Date(link.signedAt).toISOString(),
+    })
+  );
+
+export const getPath = (object, path) =>
+  path
+    .split(".")
+    .reduce(
+      (current, key) => (current == null ? undefined : current[key]),
+      object
+    );
+
+const setPath = (object, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let current = object;
+  for (const key of keys) {
+    if (current[key] == null || typeof current[key] !== "object") {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  if (value === undefined) {
+    delete current[last];
+  } else {
+    current[last] = value;
+  }
+};
+
+/**
+ * Hash of the link that the next addendum or amendment must chain to.
+ */
+export const chainHead = (soapNote) => {
+  const amendments = soapNote.amendments || [];
+  if (amendments.length > 0) {
+    return amendments[amendments.length - 1].signatureHash;
+  }
+  if (soapNote.cosignature?.status === "signed") {
+    return soapNote.cosignature.signatureHash;
+  }
+  return soapNote.signature?.signatureHash || null;
+};
+
+/**
+ * Recomputes every link of a signed note. Content hashes are checked by
+ * walking back from the current content, undoing each amendment with the
+ * previous values it recorded.
+ */
+export const verifyChain = (soapNote) => {
+  const links = [];
+  const signature = soapNote.signature || {};
+
+  if (!signature.signed) {
+    return { valid: false, signed: false, links, contentHash: null };
+  }
+
+  const check = (link, expectedPrevious, content) => {
+    const problems = [];
+    if ((link.previousHash ?? null) !== (expectedPrevious ?? null)) {
+      problems.push("previous hash does not match the preceding link");
+    }
+    if (content && link.contentHash !== hashContent(content)) {
+      problems.push("content hash does not match the note content");
+    }
+    if (link.signatureHash !== hashLink(soapNote._id, link)) {
+      problems.push("signature hash does not match the signed fields");
+    }
+    links.push({
+      kind: link.kind,
+      sequence: link.sequence ?? 0,
+      signedBy: link.signedBy,
+      signedAt: link.signedAt,
+      signatureHash: link.signatureHash,
+      valid: problems.length === 0,
+      problems,
+    });
+  };
+
+  // Content as it stood after each amendment, newest first
+  const amendments = [...(soapNote.amendments || [])].sort(
+    (a, b) => a.sequence - b.sequence
+  );
+  const content = snapshotContent(soapNote);
+  const currentContentHash = hashContent(content);
+  const contentAt = new Array(amendments.length);
+  for (let i = amendments.length - 1; i >= 0; i--) {
+    contentAt[i] = structuredClone(content);
+    if (amendments[i].type === "amendment") {
+      // A path that was unset before the amendment has no previousValue
+      for (const change of plain(amendments[i]).changes || []) {
+        setPath(content, change.path, change.previousValue);
+      }
+    }
+  }
+
+  check({ kind: "signature", ...plain(signature) }, null, content);
+
+  let previousHash = signature.signatureHash;
+  const cosignature = soapNote.cosignature || {};
+  if (cosignature.status === "signed") {
+    // The co-signer attests to the content the author signed
+    check(
+      {
+        kind: "cosignature",
+        ...plain(cosignature),
+        contentHash: signature.contentHash,
+      },
+      previousHash,
+      null
+    );
+    previousHash = cosignature.signatureHash;
+  }
+
+  amendments.forEach((amendment, index) => {
+    check(
+      { kind: amendment.type, ...plain(amendment) },
+      previousHash,
+      contentAt[index]
+    );
+    previousHash = amendment.signatureHash;
+  });
+
+  return {
+    valid: links.every((link) => link.valid),
+    signed: true,
+    cosignaturePending: cosignature.status === "pending",
+    contentHash: currentContentHash,
+    links,
+  };
+};
+
+function plain(subdocument) {
+  return typeof subdocument?.toObject === "function"
+    ? subdocument.toObject({ depopulate: true })
+    : { ...subdocument };
+}
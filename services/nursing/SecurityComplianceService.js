@@ -294,39 +294,77 @@ class SecurityComplianceService {
   }
 
   // Implement role-based access control
-  checkPermission(userRole, resource, action) {
+  // context (userId, ipAddress, path...) is attached to the audit entry of a denial
+  checkPermission(userRole, resource, action, context = {}) {
     const permissions = {
       admin: {
         "*": ["create", "read", "update", "delete", "manage"],
       },
+      // Users without a recorded profession
+      clinician: {
+        patients: ["create", "read", "update", "delete"],
+        documents: ["create", "read", "update", "delete"],
+        assessments: ["create", "read", "update"],
+        "soap-notes": ["create", "read", "update", "delete"],
+        medications: ["create", "read", "update", "delete"],
+        "care-plans": ["create", "read", "update", "delete"],
+        progress: ["create", "read", "update"],
+        oasis: ["create", "read", "update"],
+        outcomes: ["create", "read", "update"],
+        "clinical-decisions": ["create", "read", "update"],
+        observations: ["create", "read", "update"],
+      },
       nurse: {
+        patients: ["create", "read", "update", "delete"],
+        documents: ["create", "read", "update", "delete"],
         assessments: ["create", "read", "update"],
-        "soap-notes": ["create", "read", "update"],
-        medications: ["create", "read", "update"],
-        "care-plans": ["create", "read", "update"],
+        "soap-notes": ["create", "read", "update", "delete"],
+        medications: ["create", "read", "update", "delete"],
+        "care-plans": ["create", "read", "update", "delete"],
         progress: ["create", "read", "update"],
         oasis: ["create", "read", "update"],
         outcomes: ["read"],
+        "clinical-decisions": ["create", "read"],
+        observations: ["create", "read", "update"],
       },
       doctor: {
+        patients: ["create", "read", "update", "delete"],
+        documents: ["create", "read", "update", "delete"],
         assessments: ["read", "update"],
-        "soap-notes": ["create", "read", "update"],
-        medications: ["create", "read", "update"],
+        "soap-notes": ["create", "read", "update", "delete"],
+        medications: ["create", "read", "update", "delete"],
         "care-plans": ["create", "read", "update"],
         progress: ["read", "update"],
+        oasis: ["read"],
         outcomes: ["read", "update"],
         "clinical-decisions": ["create", "read", "update"],
+        observations: ["create", "read", "update"],
       },
       therapist: {
+        patients: ["read", "update"],
+        documents: ["create", "read", "update", "delete"],
         assessments: ["create", "read", "update"],
+        medications: ["read"],
         progress: ["create", "read", "update"],
         "care-plans": ["read", "update"],
         outcomes: ["read"],
+        observations: ["create", "read"],
       },
       viewer: {
+        patients: ["read"],
+        documents: ["read"],
         assessments: ["read"],
         "soap-notes": ["read"],
+        medications: ["read"],
+        "care-plans": ["read"],
         progress: ["read"],
+        oasis: ["read"],
+        outcomes: ["read"],
+        observations: ["read"],
+      },
+      billing: {
+        patients: ["read"],
+        oasis: ["read"],
         outcomes: ["read"],
       },
     };
@@ -334,6 +372,7 @@ class SecurityComplianceService {
     const rolePermissions = permissions[userRole];
     if (!rolePermissions) {
       this.logSecurityEvent("access_denied", {
+        ...context,
         userRole,
         resource,
         action,
@@ -342,9 +381,15 @@ class SecurityComplianceService {
       return false;
     }
 
+    // Check wildcard permissions
+    if (rolePermissions["*"] && rolePermissions["*"].includes(action)) {
+      return true;
+    }
+
     const resourcePermissions = rolePermissions[resource];
     if (!resourcePermissions) {
       this.logSecurityEvent("access_denied", {
+        ...context,
         userRole,
         resource,
         action,
@@ -353,15 +398,11 @@ class SecurityComplianceService {
       return false;
     }
 
-    // Check wildcard permissions
-    if (rolePermissions["*"] && rolePermissions["*"].includes(action)) {
-      return true;
-    }
-
     const hasPermission = resourcePermissions.includes(action);
 
     if (!hasPermission) {
       this.logSecurityEvent("access_denied", {
+        ...context,
         userRole,
         resource,
         action,
@@ -0,0 +1,460 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Organization, { ORGANIZATION_ROLES } from "../models/Organization.js";
+import User from "../models/User.js";
+import Patient from "../models/Patient.js";
+import OASISAssessment from "../models/nursing/OASISAssessment.js";
+import SOAPNote from "../models/nursing/SOAPNote.js";
+import CarePlan from "../models/nursing/CarePlan.js";
+import Medication from "../models/nursing/Medication.js";
+import emailService from "./emailService.js";
+
+export class OrganizationError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = "OrganizationError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Membership is looked up on every scoped query; keep it briefly so a
+// removal takes effect within seconds on every instance
+const MEMBERSHIP_TTL_MS = 10 * 1000;
+
+// Clinical collections owned by an organization once their author joins one
+const TENANT_MODELS = [
+  { model: Patient, ownerFields: ["createdBy", "userId"] },
+  { model: OASISAssessment, ownerFields: ["userId"] },
+  { model: SOAPNote, ownerFields: ["userId"] },
+  { model: CarePlan, ownerFields: ["userId"] },
+  { model: Medication, ownerFields: ["userId"] },
+];
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const idOf = (value) => String(value?._id || value);
+
+/**
+ * Organizations (agencies, practices) and tenant isolation.
+ *
+ * Records carry an organizationId. A member of an organization sees every
+ * record of that organization; a user outside any organization sees only
+ * the unassigned records they own. Services call getTenant(userId) and
+ * build their filters with scope() / canAccess().
+ */
+class OrganizationService {
+  constructor() {
+    this.membershipCache = new Map();
+  }
+
+  // ===== Tenant resolution =====
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<{ userId: string, organizationId: ObjectId|null, role: string|null }>}
+   */
+  async getTenant(userId) {
+    const key = String(userId);
+    const cached = this.membershipCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.tenant;
+
+    let organization = null;
+    if (mongoose.Types.ObjectId.isValid(key)) {
+      organization = await Organization.findOne(
+        { "members.userId": key, isActive: true },
+        { members: { $elemMatch: { userId: key } } }
+      ).lean();
+    }
+
+    const tenant = {
+      userId: key,
+      organizationId: organization?._id || null,
+      role: organization?.members?.[0]?.role || null,
+    };
+    this.membershipCache.set(key, { tenant, expiresAt: Date.now() + MEMBERSHIP_TTL_MS });
+    return tenant;
+  }
+
+  invalidate(userId) {
+    this.membershipCache.delete(String(userId));
+  }
+
+  /**
+   * Mongo filter limiting a query to the tenant's records.
+   * @param {Object} tenant - from getTenant()
+   * @param {string|string[]} ownerFields - fields naming the record's author
+   */
+  scope(tenant, ownerFields = "userId") {
+    if (tenant.organizationId) {
+      return { organizationId: tenant.organizationId };
+    }
+    const fields = [].concat(ownerFields);
+    return fields.length === 1
+      ? { organizationId: null, [fields[0]]: tenant.userId }
+      : { organizationId: null, $or: fields.map((field) => ({ [field]: tenant.userId })) };
+  }
+
+  /**
+   * Convenience for services that only have a userId.
+   */
+  async scopeFor(userId, ownerFields = "userId") {
+    return this.scope(await this.getTenant(userId), ownerFields);
+  }
+
+  /**
+   * scopeFor() for aggregation $match stages, which skip Mongoose casting:
+   * ids are ObjectIds, and owner fields also match legacy string ids.
+   */
+  async matchFor(userId, ownerFields = "userId") {
+    const tenant = await this.getTenant(userId);
+    if (tenant.organizationId) {
+      return { organizationId: new mongoose.Types.ObjectId(String(tenant.organizationId)) };
+    }
+    const ids = this.idVariants(tenant.userId);
+    return {
+      organizationId: null,
+      $or: [].concat(ownerFields).map((field) => ({ [field]: { $in: ids } })),
+    };
+  }
+
+  /**
+   * matchFor() narrowed to records the user authored ("my" metrics).
+   */
+  async ownMatchFor(userId) {
+    return { ...(await this.matchFor(userId)), userId: { $in: this.idVariants(userId) } };
+  }
+
+  idVariants(userId) {
+    const id = String(userId);
+    return mongoose.Types.ObjectId.isValid(id) ? [new mongoose.Types.ObjectId(id), id] : [id];
+  }
+
+  /**
+   * Whether a loaded record belongs to the user's tenant.
+   * ownerFields may hold populated documents, ObjectIds or strings.
+   */
+  async canAccess(record, userId, ownerFields = "userId") {
+    if (!record) return false;
+    const tenant = await this.getTenant(userId);
+    if (record.organizationId) {
+      return Boolean(tenant.organizationId) && idOf(record.organizationId) === idOf(tenant.organizationId);
+    }
+    return [].concat(ownerFields).some(
+      (field) => record[field] && idOf(record[field]) === tenant.userId
+    );
+  }
+
+  /**
+   * Patient filter: the tenant's patients plus patients whose care team
+   * includes the user.
+   */
+  async patientScopeFor(userId) {
+    const tenant = await this.getTenant(userId);
+    return {
+      $or: [
+        this.scope(tenant, ["createdBy", "userId"]),
+        { "careTeam.userId": tenant.userId },
+      ],
+    };
+  }
+
+  /**
+   * canAccess() for a loaded patient, including care team membership.
+   */
+  async canAccessPatient(patient, userId) {
+    if (await this.canAccess(patient, userId, ["createdBy", "userId"])) {
+      return true;
+    }
+    return (patient?.careTeam || []).some(
+      (member) => idOf(member.userId) === String(userId)
+    );
+  }
+
+  /**
+   * Throws unless the user may work on the patient's chart: the same rule as
+   * patientScopeFor(), so care team members can add records as well as read
+   * them. Returns the patient's organizationId to stamp on those records, so
+   * they stay in the patient's tenant whoever wrote them.
+   */
+  async assertPatientAccess(patientId, userId) {
+    const patient = mongoose.Types.ObjectId.isValid(String(patientId))
+      ? await Patient.findOne({ _id: patientId, ...(await this.patientScopeFor(userId)) })
+          .select("organizationId")
+          .lean()
+      : null;
+    if (!patient) {
+      throw new OrganizationError("Patient not found", "PATIENT_NOT_FOUND", 404);
+    }
+    return patient.organizationId || null;
+  }
+
+  /**
+   * organizationId to stamp on a record the user creates.
+   */
+  async organizationIdFor(userId) {
+    return (await this.getTenant(userId)).organizationId;
+  }
+
+  // Move a user's unassigned records into the organization they joined
+  async adoptUserRecords(userId, organizationId) {
+    const adopted = {};
+    for (const { model, ownerFields } of TENANT_MODELS) {
+      const result = await model.updateMany(
+        { organizationId: null, $or: ownerFields.map((field) => ({ [field]: userId })) },
+        { $set: { organizationId } }
+      );
+      adopted[model.modelName] = result.modifiedCount || 0;
+    }
+    console.log(`🏥 Organization ${organizationId} adopted records of user ${userId}:`, adopted);
+    return adopted;
+  }
+
+  // ===== Organizations =====
+
+  async createOrganization(userId, { name, type, npi } = {}) {
+    if (!name || !String(name).trim()) {
+      throw new OrganizationError("Organization name is required", "NAME_REQUIRED");
+    }
+    await this.assertNotMember(userId);
+
+    const organization = await Organization.create({
+      name,
+      type,
+      npi,
+      createdBy: userId,
+      members: [{ userId, role: "admin" }],
+    });
+    this.invalidate(userId);
+
+    const adopted = await this.adoptUserRecords(userId, organization._id);
+    return { organization, adopted };
+  }
+
+  async getOrganizationForUser(userId) {
+    const tenant = await this.getTenant(userId);
+    if (!tenant.organizationId) return null;
+    return this.getOrganization(tenant.organizationId, userId);
+  }
+
+  async getOrganization(organizationId, userId) {
+    const { organization, member } = await this.loadForMember(organizationId, userId);
+    await organization.populate("members.userId", "name email profession");
+
+    const result = organization.toObject();
+    result.role = member.role;
+    // Invitations (even hashed) are admin business
+    result.invitations =
+      member.role === "admin"
+        ? result.invitations.map(({ tokenHash, ...invitation }) => invitation)
+        : undefined;
+    return result;
+  }
+
+  async updateOrganization(organizationId, userId, updates = {}) {
+    const { organization } = await this.loadForMember(organizationId, userId, "admin");
+    for (const field of ["name", "type", "npi"]) {
+      if (updates[field] !== undefined) organization[field] = updates[field];
+    }
+    await organization.save();
+    return organization;
+  }
+
+  // ===== Invitations =====
+
+  async inviteMember(organizationId, userId, { email, role = "clinician" } = {}) {
+    const { organization } = await this.loadForMember(organizationId, userId, "admin");
+
+    const normalizedEmail = String(email || "").trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+      throw new OrganizationError("A valid email address is required", "INVALID_EMAIL");
+    }
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      throw new OrganizationError(`Role must be one of: ${ORGANIZATION_ROLES.join(", ")}`, "INVALID_ROLE");
+    }
+
+    const existingUser = await User.findOne({ email: normalizedEmail }).select("_id");
+    if (existingUser && organization.getMember(existingUser._id)) {
+      throw new OrganizationError("This user is already a member", "ALREADY_MEMBER", 409);
+    }
+
+    const now = new Date();
+    const pending = organization.invitations.filter(
+      (invitation) => invitation.status === "pending" && invitation.expiresAt > now
+    );
+    if (pending.some((invitation) => invitation.email === normalizedEmail)) {
+      throw new OrganizationError("An invitation is already pending for this email", "ALREADY_INVITED", 409);
+    }
+    await this.assertSeatAvailable(organization, pending.length + 1);
+
+    const token = crypto.randomBytes(32).toString("hex");
+    organization.invitations.push({
+      email: normalizedEmail,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: userId,
+      expiresAt: new Date(now.getTime() + INVITATION_TTL_MS),
+    });
+    await organization.save();
+    const invitation = organization.invitations[organization.invitations.length - 1];
+
+    const inviter = await User.findById(userId).select("name");
+    const emailResult = await emailService.sendOrganizationInvitationEmail(
+      normalizedEmail,
+      token,
+      organization.name,
+      role,
+      inviter?.name
+    );
+    if (!emailResult.success) {
+      console.error("Failed to send organization invitation email:", emailResult.error);
+    }
+
+    return {
+      invitation: {
+        _id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        status: invitation.status,
+        expiresAt: invitation.expiresAt,
+      },
+      emailSent: emailResult.success,
+      // In development, return the token for testing (as password reset does)
+      ...(process.env.NODE_ENV === "development" && { token }),
+    };
+  }
+
+  async revokeInvitation(organizationId, userId, invitationId) {
+    const { organization } = await this.loadForMember(organizationId, userId, "admin");
+    const invitation = organization.invitations.id(invitationId);
+    if (!invitation || invitation.status !== "pending") {
+      throw new OrganizationError("Pending invitation not found", "INVITATION_NOT_FOUND", 404);
+    }
+    invitation.status = "revoked";
+    await organization.save();
+    return invitation;
+  }
+
+  async acceptInvitation(userId, token) {
+    if (!token) {
+      throw new OrganizationError("Invitation token is required", "TOKEN_REQUIRED");
+    }
+    const tokenHash = hashToken(String(token));
+    const organization = await Organization.findOne({ "invitations.tokenHash": tokenHash, isActive: true });
+    const invitation = organization?.invitations.find((i) => i.tokenHash === tokenHash);
+    if (!invitation || invitation.status !== "pending") {
+      throw new OrganizationError("Invitation not found or no longer valid", "INVITATION_NOT_FOUND", 404);
+    }
+    if (invitation.expiresAt <= new Date()) {
+      throw new OrganizationError("Invitation has expired", "INVITATION_EXPIRED", 410);
+    }
+
+    const user = await User.findById(userId).select("email");
+    if (!user || user.email.toLowerCase() !== invitation.email) {
+      throw new OrganizationError(
+        "This invitation was sent to a different email address",
+        "INVITATION_EMAIL_MISMATCH",
+        403
+      );
+    }
+    await this.assertNotMember(userId);
+
+    invitation.status = "accepted";
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = userId;
+    organization.members.push({ userId, role: invitation.role, invitedBy: invitation.invitedBy });
+    await organization.save();
+    this.invalidate(userId);
+
+    const adopted = await this.adoptUserRecords(userId, organization._id);
+    return { organization, role: invitation.role, adopted };
+  }
+
+  // ===== Members =====
+
+  async updateMemberRole(organizationId, userId, memberUserId, role) {
+    const { organization } = await this.loadForMember(organizationId, userId, "admin");
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      throw new OrganizationError(`Role must be one of: ${ORGANIZATION_ROLES.join(", ")}`, "INVALID_ROLE");
+    }
+    const member = organization.getMember(memberUserId);
+    if (!member) {
+      throw new OrganizationError("Member not found", "MEMBER_NOT_FOUND", 404);
+    }
+    if (member.role === "admin" && role !== "admin" && organization.getAdminCount() === 1) {
+      throw new OrganizationError("An organization needs at least one admin", "LAST_ADMIN", 409);
+    }
+    member.role = role;
+    await organization.save();
+    this.invalidate(memberUserId);
+    return member;
+  }
+
+  /**
+   * Remove a member (admins) or leave (any member removing themselves).
+   * Records stay with the organization.
+   */
+  async removeMember(organizationId, userId, memberUserId) {
+    const leaving = String(userId) === String(memberUserId);
+    const { organization } = await this.loadForMember(organizationId, userId, leaving ? null : "admin");
+    const member = organization.getMember(memberUserId);
+    if (!member) {
+      throw new OrganizationError("Member not found", "MEMBER_NOT_FOUND", 404);
+    }
+    if (member.role === "admin" && organization.getAdminCount() === 1) {
+      throw new OrganizationError("An organization needs at least one admin", "LAST_ADMIN", 409);
+    }
+    organization.members = organization.members.filter(
+      (m) => m.userId.toString() !== String(memberUserId)
+    );
+    await organization.save();
+    this.invalidate(memberUserId);
+    return { removed: String(memberUserId) };
+  }
+
+  // ===== Helpers =====
+
+  async loadForMember(organizationId, userId, requiredRole = null) {
+    if (!mongoose.Types.ObjectId.isValid(String(organizationId))) {
+      throw new OrganizationError("Organization not found", "ORGANIZATION_NOT_FOUND", 404);
+    }
+    const organization = await Organization.findOne({ _id: organizationId, isActive: true });
+    const member = organization?.getMember(userId);
+    // Non-members get the same answer as for a missing organization
+    if (!member) {
+      throw new OrganizationError("Organization not found", "ORGANIZATION_NOT_FOUND", 404);
+    }
+    if (requiredRole && member.role !== requiredRole) {
+      throw new OrganizationError(`Requires the ${requiredRole} role`, "INSUFFICIENT_ROLE", 403);
+    }
+    return { organization, member };
+  }
+
+  async assertNotMember(userId) {
+    const existing = await Organization.exists({ "members.userId": userId, isActive: true });
+    if (existing) {
+      throw new OrganizationError(
+        "You already belong to an organization; leave it first",
+        "ALREADY_IN_ORGANIZATION",
+        409
+      );
+    }
+  }
+
+  // Seats come from the creator's plan (featureAccess.limits.teamMembers),
+  // counting members besides the creator plus pending invitations
+  async assertSeatAvailable(organization, pendingInvitations) {
+    const owner = await User.findById(organization.createdBy).select("featureAccess");
+    const limit = owner?.featureAccess?.limits?.teamMembers ?? 0;
+    const used = organization.members.length - 1 + pendingInvitations;
+    if (used > limit) {
+      throw new OrganizationError(
+        `Team member limit reached (${limit}); upgrade the plan to invite more members`,
+        "TEAM_LIMIT_REACHED",
+        403
+      );
+    }
+  }
+}
+
+export default new OrganizationService();
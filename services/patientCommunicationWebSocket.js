@@ -14,12 +14,21 @@ class PatientCommunicationWebSocket extends EventEmitter {
 
   // Initialize WebSocket server
   initialize(server, options = {}) {
+    // noServer: other WebSocket endpoints share the HTTP server, and a
+    // server-bound WebSocketServer rejects upgrades for paths it doesn't own
     this.wss = new WebSocketServer({
-      server,
+      noServer: true,
       path: "/ws/patient-communication",
       ...options,
     });
 
+    server.on("upgrade", (request, socket, head) => {
+      if (!this.wss.shouldHandle(request)) return;
+      this.wss.handleUpgrade(request, socket, head, (ws) => {
+        this.wss.emit("connection", ws, request);
+      });
+    });
+
     this.wss.on("connection", (ws, request) => {
       this.handleConnection(ws, request);
     });
@@ -201,15 +210,19 @@ class PatientCommunicationWebSocket extends EventEmitter {
   }
 
   // Send message to specific user
+  // Returns the number of open connections the message was sent to
   sendToUser(userId, message) {
     const userConnections = this.connections.get(userId);
+    let sent = 0;
     if (userConnections) {
       userConnections.forEach(ws => {
         if (ws.readyState === 1) { // WebSocket.OPEN
           ws.send(JSON.stringify(message));
+          sent++;
         }
       });
     }
+    return sent;
   }
 
   // Handle disconnection
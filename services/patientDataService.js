@@ -1,8 +1,11 @@
 import mongoose from "mongoose";
 import Patient from "../models/Patient.js";
 import VisitRecord from "../models/VisitRecord.js";
+import observationService from "./nursing/ObservationService.js";
+import earlyWarningScoreService from "./nursing/EarlyWarningScoreService.js";
 import File from "../models/File.js";
-import ClinicalAnalysis from "../models/ClinicalAnalysis.js";
+import organizationService from "./organizationService.js";
+import clinicalTimelineService from "./clinicalTimelineService.js";
 import crypto from "crypto";
 
 class PatientDataService {
@@ -35,6 +38,12 @@ class PatientDataService {
     return decrypted;
   }
 
+  // Tenant filter for patients: the user's organization, or their own
+  // unassigned patients, plus patients whose care team includes the user
+  static patientScope(userId) {
+    return organizationService.patientScopeFor(userId);
+  }
+
   // Patient Management Methods
   static async createPatient(patientData, userId) {
     try {
@@ -44,6 +53,7 @@ class PatientDataService {
         name: this.encryptData(patientData.name),
         medicalRecordNumber: patientData.medicalRecordNumber, // Keep searchable
         createdBy: userId,
+        organizationId: await organizationService.organizationIdFor(userId),
       };
 
       const patient = new Patient(encryptedData);
@@ -60,10 +70,7 @@ class PatientDataService {
     try {
       const patient = await Patient.findOne({
         _id: patientId,
-        $or: [
-          { createdBy: userId }, // New format
-          { userId: userId }, // Legacy format
-        ],
+        ...(await this.patientScope(userId)),
       });
       if (!patient) {
         throw new Error("Patient not found or access denied");
@@ -74,7 +81,9 @@ class PatientDataService {
         updates.name = this.encryptData(updates.name);
       }
 
-      Object.assign(patient, updates);
+      // Ownership and the care team are not updatable here
+      const { organizationId, createdBy, careTeam, ...allowedUpdates } = updates;
+      Object.assign(patient, allowedUpdates);
       await patient.save();
 
       return this.decryptPatientData(patient);
@@ -87,10 +96,7 @@ class PatientDataService {
     try {
       const patient = await Patient.findOne({
         _id: patientId,
-        $or: [
-          { createdBy: userId }, // New format
-          { userId: userId }, // Legacy format
-        ],
+        ...(await this.patientScope(userId)),
       })
         .populate(
           "documents",
@@ -116,12 +122,7 @@ class PatientDataService {
       // Search by medical record number (not encrypted) and other fields
       const patients = await Patient.find({
         $and: [
-          {
-            $or: [
-              { createdBy: userId }, // New format
-              { userId: userId }, // Legacy format
-            ],
-          },
+          await this.patientScope(userId),
           {
             $or: [
               { isActive: true },
@@ -165,12 +166,7 @@ class PatientDataService {
       const patient = await Patient.findOne({
         $and: [
           { medicalRecordNumber: mrn },
-          {
-            $or: [
-              { createdBy: userId }, // New format
-              { userId: userId }, // Legacy format
-            ],
-          },
+          await this.patientScope(userId),
           {
             $or: [
               { isActive: true },
@@ -195,10 +191,7 @@ class PatientDataService {
     try {
       const patient = await Patient.findOne({
         _id: patientId,
-        $or: [
-          { createdBy: userId }, // New format
-          { userId: userId }, // Legacy format
-        ],
+        ...(await this.patientScope(userId)),
       });
       if (!patient) {
         throw new Error("Patient not found or access denied");
@@ -247,10 +240,7 @@ class PatientDataService {
         console.log('📋 Attempting to use Patient model...');
         patient = await Patient.findOne({
           _id: patientId,
-          $or: [
-            { createdBy: userId }, // New format
-            { userId: userId }, // Legacy format
-          ],
+          ...(await this.patientScope(userId)),
         });
         
         if (patient) {
@@ -269,7 +259,10 @@ class PatientDataService {
               _id: new mongoose.Types.ObjectId(patientId) 
             });
             
-            if (directPatient) {
+            if (
+              directPatient &&
+              (await organizationService.canAccessPatient(directPatient, userId))
+            ) {
               console.log(`✅ Direct collection access successful: ${directPatient.name}`);
               patientName = directPatient.name;
               // Create a minimal patient object for compatibility
@@ -392,10 +385,7 @@ class PatientDataService {
     try {
       const patient = await Patient.findOne({
         _id: patientId,
-        $or: [
-          { createdBy: userId }, // New format
-          { userId: userId }, // Legacy format
-        ],
+        ...(await this.patientScope(userId)),
       });
       if (!patient) {
         throw new Error("Patient not found or access denied");
@@ -409,6 +399,30 @@ class PatientDataService {
 
       await visitRecord.save();
 
+      // Vital signs also go to the observation store; the visit is saved
+      // either way and later risk queries re-sync missed readings
+      try {
+        await observationService.recordVisitVitals({
+          ...visitRecord.toObject(),
+          organizationId: patient.organizationId,
+        });
+      } catch (error) {
+        console.warn(`⚠️ Could not copy visit vitals to observations: ${error.message}`);
+      }
+
+      // Early warning score for the visit's vitals
+      try {
+        await earlyWarningScoreService.scoreAndAlert(
+          patientId,
+          visitRecord.toObject().vitalSigns || {},
+          { userId, sourceId: visitRecord._id }
+        );
+      } catch (error) {
+        if (error.code !== "NO_VITALS") {
+          console.warn(`⚠️ Could not score visit vitals: ${error.message}`);
+        }
+      }
+
       // Add visit to patient's visits array
       patient.visits.push(visitRecord._id);
       await patient.save();
@@ -423,10 +437,7 @@ class PatientDataService {
     try {
       const patient = await Patient.findOne({
         _id: patientId,
-        $or: [
-          { createdBy: userId }, // New format
-          { userId: userId }, // Legacy format
-        ],
+        ...(await this.patientScope(userId)),
       });
       if (!patient) {
         throw new Error("Patient not found or access denied");
@@ -439,87 +450,9 @@ class PatientDataService {
     }
   }
 
-  // Clinical Timeline Generation
-  static async getClinicalTimeline(patientId, userId) {
-    try {
-      const patient = await Patient.findOne({
-        _id: patientId,
-        $or: [
-          { createdBy: userId }, // New format
-          { userId: userId }, // Legacy format
-        ],
-      });
-      if (!patient) {
-        throw new Error("Patient not found or access denied");
-      }
-
-      // Get all visits
-      const visits = await VisitRecord.find({ patientId })
-        .sort({ visitDate: -1 })
-        .populate("clinicianId", "name");
-
-      // Get all documents
-      const documents = await File.find({ patientId }).sort({ createdAt: -1 });
-
-      // Get all clinical analyses
-      const analyses = await ClinicalAnalysis.find({ patientId })
-        .sort({ createdAt: -1 })
-        .populate("fileId", "filename");
-
-      // Combine into timeline events
-      const timelineEvents = [];
-
-      // Add visit events
-      visits.forEach((visit) => {
-        timelineEvents.push({
-          type: "visit",
-          date: visit.visitDate,
-          title: `${
-            visit.visitType.charAt(0).toUpperCase() + visit.visitType.slice(1)
-          } Visit - ${visit.discipline.toUpperCase()}`,
-          description: visit.visitNotes.substring(0, 100) + "...",
-          clinician: visit.clinicianName,
-          data: visit.visitSummary,
-        });
-      });
-
-      // Add document events
-      documents.forEach((doc) => {
-        timelineEvents.push({
-          type: "document",
-          date: doc.createdAt,
-          title: `Document Uploaded: ${doc.originalname}`,
-          description: `File processed with status: ${doc.processingStatus}`,
-          data: {
-            filename: doc.filename,
-            originalname: doc.originalname,
-            processingStatus: doc.processingStatus,
-          },
-        });
-      });
-
-      // Add analysis events
-      analyses.forEach((analysis) => {
-        timelineEvents.push({
-          type: "analysis",
-          date: analysis.createdAt,
-          title: `Clinical Analysis - ${analysis.analysisType}`,
-          description: analysis.summary.substring(0, 100) + "...",
-          data: {
-            analysisType: analysis.analysisType,
-            confidence: analysis.confidence,
-            insightsCount: analysis.clinicalInsights.length,
-          },
-        });
-      });
-
-      // Sort by date (most recent first)
-      timelineEvents.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-      return timelineEvents;
-    } catch (error) {
-      throw new Error(`Failed to generate clinical timeline: ${error.message}`);
-    }
+  // Clinical timeline merged from every clinical collection
+  static async getClinicalTimeline(patientId, userId, options = {}) {
+    return clinicalTimelineService.getTimeline(patientId, userId, options);
   }
 
   // Helper method to decrypt patient data
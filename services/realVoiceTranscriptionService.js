@@ -1,5 +1,6 @@
 import 'dotenv/config';
 import multer from 'multer';
+import localSpeechToTextService from './localSpeechToTextService.js';
 
 class RealVoiceTranscriptionService {
   constructor() {
@@ -13,6 +14,11 @@ class RealVoiceTranscriptionService {
    * Perform REAL speech-to-text using Azure OpenAI Whisper API
    */
   async transcribeAudio(audioBuffer, options = {}) {
+    // SPEECH_TO_TEXT_PROVIDER=local keeps audio on this server
+    if (localSpeechToTextService.isEnabled()) {
+      return localSpeechToTextService.transcribeAudio(audioBuffer, options);
+    }
+
     try {
       console.log('🎤 Starting REAL Azure OpenAI Whisper transcription...');
       
@@ -0,0 +1,782 @@
+import mongoose from "mongoose";
+import { Client } from "@elastic/elasticsearch";
+import SearchDocument, { SEARCH_TYPES } from "../models/SearchDocument.js";
+import Patient from "../models/Patient.js";
+import PatientDocument from "../models/PatientDocument.js";
+import PatientCommunication from "../models/PatientCommunication.js";
+import User from "../models/User.js";
+import SOAPNote from "../models/nursing/SOAPNote.js";
+import OASISAssessment from "../models/nursing/OASISAssessment.js";
+import VoiceTranscriptionHistory from "../nursing/models/VoiceTranscriptionHistory.js";
+import organizationService from "./organizationService.js";
+import jobScheduler from "./jobSchedulerService.js";
+import securityComplianceService from "./nursing/SecurityComplianceService.js";
+import auditService from "./auditService.js";
+
+export class SearchError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = "SearchError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const ELASTICSEARCH_URL = process.env.ELASTICSEARCH_URL;
+const ELASTICSEARCH_INDEX = process.env.ELASTICSEARCH_INDEX || "clinical-search";
+const INDEX_INTERVAL_MS = parseInt(process.env.SEARCH_INDEX_INTERVAL_MS, 10) || 60 * 1000;
+const INDEX_BATCH_SIZE = 500;
+// Records indexed per type per run; the rest follow on the next run
+const MAX_INDEXED_PER_RUN = 5000;
+const MAX_LIMIT = 50;
+const SNIPPET_LENGTH = 200;
+const FACET_SIZE = 10;
+
+// Permission-matrix resource a role needs to see each result type
+const TYPE_RESOURCES = {
+  patient: "patients",
+  soap_note: "soap-notes",
+  oasis: "oasis",
+  document: "documents",
+  transcript: "documents",
+  communication: "patients",
+};
+
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "has", "in",
+  "is", "it", "of", "on", "or", "that", "the", "to", "was", "were", "with",
+]);
+
+// OASIS items holding free text: diagnoses, plan of care and interventions
+const OASIS_TEXT_ITEMS = [
+  "M1010", "M1011", "M1016", "M1018", "M1020", "M1021", "M1023", "M1025",
+  "M1027", "M1029", "M1031", "M2250", "M2310", "M2400", "M2410",
+];
+
+const idOf = (value) => (value?._id ?? value ?? null);
+const validId = (value) =>
+  value && mongoose.Types.ObjectId.isValid(String(value)) ? String(value) : null;
+const joinText = (...parts) =>
+  parts
+    .flat(Infinity)
+    .filter((part) => typeof part === "string" && part.trim())
+    .join("\n");
+const labelled = (label, value) =>
+  typeof value === "string" && value.trim() ? `${label}: ${value.trim()}` : null;
+
+/**
+ * Indexed collections. Each builds the searchable fields of one record;
+ * access and patient fields are added from the record's patient.
+ */
+const SOURCES = {
+  patient: {
+    model: Patient,
+    patientIdOf: (record) => record._id,
+    build: (record) => ({
+      authorId: record.createdBy,
+      title: joinText(
+        record.demographics?.name || record.name,
+        record.mrn ? `MRN ${record.mrn}` : null
+      ).replace("\n", " "),
+      body: joinText(
+        labelled("Primary diagnosis", record.primaryDiagnosis),
+        record.secondaryDiagnoses,
+        (record.conditions || []).map((condition) => condition.name),
+        (record.medications || []).map((medication) => medication.name),
+        (record.currentMedications || []).map((medication) => medication.name),
+        (record.allergies || []).map((allergy) => labelled("Allergy", allergy.substance))
+      ),
+      date: record.createdAt,
+    }),
+  },
+  soap_note: {
+    model: SOAPNote,
+    patientIdOf: (record) => record.patientId,
+    build: (record) => ({
+      authorId: record.userId,
+      title: joinText(
+        "SOAP note",
+        record.assessment?.primaryDiagnosis || record.subjective?.chiefComplaint
+      ).replace("\n", ": "),
+      body: joinText(
+        labelled("Chief complaint", record.subjective?.chiefComplaint),
+        record.subjective?.historyOfPresentIllness,
+        Object.values(record.subjective?.reviewOfSystems || {}),
+        record.subjective?.pastMedicalHistory,
+        Object.values(record.objective?.physicalExam || {}),
+        (record.objective?.diagnosticResults || []).map((result) =>
+          joinText(result.testType, result.result, result.interpretation)
+        ),
+        labelled("Assessment", record.assessment?.primaryDiagnosis),
+        record.assessment?.secondaryDiagnoses,
+        record.assessment?.clinicalImpression,
+        (record.plan?.treatments || []).map((treatment) =>
+          joinText(treatment.intervention, treatment.instructions)
+        ),
+        (record.plan?.medications || []).map((medication) => medication.name),
+        record.plan?.followUp,
+        record.plan?.patientEducation
+      ),
+      date: record.visitDate || record.createdAt,
+    }),
+  },
+  oasis: {
+    model: OASISAssessment,
+    patientIdOf: (record) => record.patientId,
+    build: (record) => ({
+      authorId: record.userId,
+      title: `OASIS ${record.assessmentType} assessment`,
+      body: joinText(
+        OASIS_TEXT_ITEMS.map((item) => record.oasisData?.[item]),
+        record.aiAnalysis?.recommendations,
+        record.aiAnalysis?.insights,
+        record.aiAnalysis?.flaggedItems
+      ),
+      date: record.metadata?.completedAt || record.createdAt,
+    }),
+  },
+  document: {
+    model: PatientDocument,
+    patientIdOf: (record) => record.patientId,
+    build: (record) => ({
+      authorId: record.createdBy,
+      title: record.title,
+      body: record.text,
+      date: record.createdAt,
+    }),
+  },
+  transcript: {
+    model: VoiceTranscriptionHistory,
+    patientIdOf: (record) => record.patientId,
+    // Deleted transcripts leave the index
+    removed: (record) => record.isDeleted,
+    build: (record) => ({
+      authorId: record.userId,
+      title: joinText("Voice transcription", record.audioFileName).replace("\n", ": "),
+      body: joinText(record.transcriptionText, record.notes),
+      date: record.createdAt,
+    }),
+  },
+  communication: {
+    model: PatientCommunication,
+    patientIdOf: (record) => record.patientId,
+    build: (record) => ({
+      authorId: record.userId,
+      title: `Patient ${String(record.communicationType).replace("_", " ")} message`,
+      body: joinText(record.message, record.response),
+      date: record.createdAt,
+    }),
+  },
+};
+
+// ===== Highlighting =====
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Words of a query worth highlighting: quoted phrases are split into
+ * words, negated (-word) terms and stop words are dropped, and simple
+ * English suffixes are removed to approximate the text index's stemming.
+ */
+export function queryTerms(query) {
+  const terms = String(query || "")
+    .replace(/-"[^"]*"/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .flatMap((word) => word.toLowerCase().replace(/["]/g, "").split(/[^\p{L}\p{N}]+/u))
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map((word) => (word.length > 4 ? word.replace(/(ies|es|s|ing|ed|ly)$/, "") : word));
+  return [...new Set(terms)];
+}
+
+/**
+ * HTML-escaped excerpt of `text` around the densest run of query terms,
+ * with the matches wrapped in <mark>.
+ */
+export function highlight(text, terms, length = SNIPPET_LENGTH) {
+  const source = String(text || "").replace(/\s+/g, " ").trim();
+  if (!source) return "";
+
+  const pattern = terms.length
+    ? new RegExp(`\\b(?:${terms.map(escapeRegExp).join("|")})[\\p{L}\\p{N}]*`, "giu")
+    : null;
+  const matches = pattern ? [...source.matchAll(pattern)] : [];
+
+  // Start the excerpt shortly before the match with most matches after it
+  let start = 0;
+  if (matches.length) {
+    let best = 0;
+    for (const match of matches) {
+      const from = Math.max(0, match.index - 40);
+      const count = matches.filter(
+        (other) => other.index >= from && other.index < from + length
+      ).length;
+      if (count > best) {
+        best = count;
+        start = from;
+      }
+    }
+    if (start > 0) {
+      const space = source.indexOf(" ", start);
+      start = space >= 0 && space < matches[0].index + length ? space + 1 : start;
+    }
+  }
+  const end = Math.min(source.length, start + length);
+  const excerpt = source.slice(start, end);
+
+  let html = "";
+  let last = 0;
+  for (const match of pattern ? excerpt.matchAll(pattern) : []) {
+    html += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(excerpt.slice(last));
+  return `${start > 0 ? "…" : ""}${html}${end < source.length ? "…" : ""}`;
+}
+
+/**
+ * Clinical full-text search over patients, SOAP notes, OASIS assessments,
+ * patient documents, voice transcripts and patient communications.
+ *
+ * Records are copied into SearchDocument by the search.index job, which
+ * picks up changes by updatedAt every SEARCH_INDEX_INTERVAL_MS; the daily
+ * search.reconcile job drops records deleted at the source. Queries run on
+ * that collection's text index, or on Elasticsearch when ELASTICSEARCH_URL
+ * is set (falling back to the local index if the cluster fails).
+ *
+ * Results are limited to the user's tenant plus patients whose care team
+ * includes them, and to the record types their role may read.
+ */
+class SearchService {
+  constructor() {
+    this.client = ELASTICSEARCH_URL
+      ? new Client({
+          node: ELASTICSEARCH_URL,
+          ...(process.env.ELASTICSEARCH_USERNAME && {
+            auth: {
+              username: process.env.ELASTICSEARCH_USERNAME,
+              password: process.env.ELASTICSEARCH_PASSWORD,
+            },
+          }),
+        })
+      : null;
+    this.indexReady = null;
+  }
+
+  get backend() {
+    return this.client ? "elasticsearch" : "local";
+  }
+
+  // ===== Searching =====
+
+  /**
+   * @param {string} userId
+   * @param {Object} params - { q, types, patientId, authorId, from, to, page, limit }
+   * @param {Object} options - { role } from the permission matrix
+   */
+  async search(userId, params = {}, { role } = {}) {
+    const q = String(params.q || "").trim();
+    if (q.length < 2) {
+      throw new SearchError("Search query must be at least 2 characters", "QUERY_REQUIRED");
+    }
+
+    const types = this.allowedTypes(role, params.types);
+    const page = Math.max(1, parseInt(params.page, 10) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(params.limit, 10) || 20));
+    const query = {
+      q,
+      types,
+      patientId: validId(params.patientId),
+      authorId: validId(params.authorId),
+      from: params.from ? new Date(params.from) : null,
+      to: params.to ? new Date(params.to) : null,
+      skip: (page - 1) * limit,
+      limit,
+    };
+    for (const bound of ["from", "to"]) {
+      if (query[bound] && Number.isNaN(query[bound].getTime())) {
+        throw new SearchError(`Invalid ${bound} date`, "INVALID_DATE");
+      }
+    }
+
+    const access = await this.accessFor(userId);
+    let result;
+    if (types.length === 0) {
+      result = { total: 0, results: [], facets: { type: [], patient: [], author: [], date: [] } };
+    } else if (this.client) {
+      try {
+        result = { ...(await this.searchElasticsearch(query, access)), backend: "elasticsearch" };
+      } catch (error) {
+        console.error("❌ Elasticsearch search failed, using local index:", error.message);
+      }
+    }
+    result = result || { ...(await this.searchLocal(query, access)), backend: "local" };
+    result.facets.author = await this.labelAuthors(result.facets.author);
+
+    auditService.logAction({
+      actorId: validId(userId),
+      action: "clinical_search",
+      patientId: query.patientId,
+      meta: { query: q, types, total: result.total },
+    });
+
+    return { query: q, page, limit, backend: this.backend, ...result };
+  }
+
+  // Requested types the role may read (all readable types by default)
+  allowedTypes(role, requested) {
+    const wanted = requested
+      ? [].concat(requested).flatMap((type) => String(type).split(","))
+      : SEARCH_TYPES;
+    const unknown = wanted.filter((type) => !SEARCH_TYPES.includes(type));
+    if (unknown.length) {
+      throw new SearchError(`Unknown search type: ${unknown.join(", ")}`, "INVALID_TYPE");
+    }
+    return wanted.filter(
+      (type) =>
+        !role ||
+        securityComplianceService.checkPermission(role, TYPE_RESOURCES[type], "read", { path: "search" })
+    );
+  }
+
+  // The tenant's documents, plus every record of patients whose care team
+  // includes the user: the same chart the clinical timeline shows them
+  // (organizationService.patientScopeFor)
+  async accessFor(userId) {
+    const tenant = await organizationService.getTenant(userId);
+    const careTeamPatientIds = mongoose.Types.ObjectId.isValid(tenant.userId)
+      ? await Patient.find({ "careTeam.userId": tenant.userId }).distinct("_id")
+      : [];
+    return {
+      tenant,
+      careTeamPatientIds,
+      match: {
+        $or: [
+          await organizationService.matchFor(userId, "ownerIds"),
+          { patientId: { $in: careTeamPatientIds } },
+        ],
+      },
+    };
+  }
+
+  async searchLocal(query, access) {
+    const filters = [access.match, { type: { $in: query.types } }];
+    if (query.patientId) filters.push({ patientId: new mongoose.Types.ObjectId(query.patientId) });
+    if (query.authorId) filters.push({ authorId: new mongoose.Types.ObjectId(query.authorId) });
+    if (query.from || query.to) {
+      filters.push({
+        date: { ...(query.from && { $gte: query.from }), ...(query.to && { $lte: query.to }) },
+      });
+    }
+
+    const [facetResult] = await SearchDocument.aggregate([
+      { $match: { $text: { $search: query.q }, $and: filters } },
+      { $addFields: { score: { $meta: "textScore" } } },
+      {
+        $facet: {
+          results: [
+            { $sort: { score: -1, date: -1 } },
+            { $skip: query.skip },
+            { $limit: query.limit },
+          ],
+          total: [{ $count: "count" }],
+          type: [{ $group: { _id: "$type", count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+          patient: [
+            { $match: { patientId: { $ne: null } } },
+            { $group: { _id: "$patientId", label: { $first: "$patientName" }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: FACET_SIZE },
+          ],
+          author: [
+            { $match: { authorId: { $ne: null } } },
+            { $group: { _id: "$authorId", count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: FACET_SIZE },
+          ],
+          date: [
+            { $match: { date: { $ne: null } } },
+            { $group: { _id: { $dateToString: { format: "%Y-%m", date: "$date" } }, count: { $sum: 1 } } },
+            { $sort: { _id: -1 } },
+          ],
+        },
+      },
+    ]);
+
+    const terms = queryTerms(query.q);
+    const bucket = (entry) => ({
+      value: String(entry._id),
+      ...(entry.label !== undefined && { label: entry.label }),
+      count: entry.count,
+    });
+    return {
+      total: facetResult.total[0]?.count || 0,
+      results: facetResult.results.map((doc) =>
+        this.formatResult(doc, doc.score, {
+          title: highlight(doc.title, terms, SNIPPET_LENGTH),
+          snippet: highlight(doc.body, terms),
+        })
+      ),
+      facets: {
+        type: facetResult.type.map(bucket),
+        patient: facetResult.patient.map(bucket),
+        author: facetResult.author.map(bucket),
+        date: facetResult.date.map(bucket),
+      },
+    };
+  }
+
+  formatResult(doc, score, { title, snippet }) {
+    return {
+      id: `${doc.type}:${doc.sourceId}`,
+      type: doc.type,
+      sourceId: String(doc.sourceId),
+      title: title || escapeHtml(doc.title || ""),
+      snippet,
+      score,
+      date: doc.date || null,
+      patient: doc.patientId ? { id: String(doc.patientId), name: doc.patientName || null } : null,
+      authorId: doc.authorId ? String(doc.authorId) : null,
+    };
+  }
+
+  async labelAuthors(buckets) {
+    if (!buckets.length) return buckets;
+    const users = await User.find({ _id: { $in: buckets.map((bucket) => bucket.value) } })
+      .select("name firstName lastName")
+      .lean();
+    const names = new Map(
+      users.map((user) => [
+        String(user._id),
+        user.name || joinText(user.firstName, user.lastName).replace("\n", " ") || null,
+      ])
+    );
+    return buckets.map((bucket) => ({ ...bucket, label: names.get(bucket.value) || null }));
+  }
+
+  // ===== Elasticsearch =====
+
+  ensureIndex() {
+    this.indexReady =
+      this.indexReady ||
+      (async () => {
+        if (await this.client.indices.exists({ index: ELASTICSEARCH_INDEX })) return;
+        await this.client.indices.create({
+          index: ELASTICSEARCH_INDEX,
+          mappings: {
+            properties: {
+              type: { type: "keyword" },
+              sourceId: { type: "keyword" },
+              patientId: { type: "keyword" },
+              patientName: { type: "text", fields: { keyword: { type: "keyword" } } },
+              organizationId: { type: "keyword" },
+              ownerIds: { type: "keyword" },
+              authorId: { type: "keyword" },
+              title: { type: "text", analyzer: "english" },
+              body: { type: "text", analyzer: "english" },
+              date: { type: "date" },
+            },
+          },
+        });
+        console.log(`🔎 Created Elasticsearch index ${ELASTICSEARCH_INDEX}`);
+      })().catch((error) => {
+        this.indexReady = null;
+        throw error;
+      });
+    return this.indexReady;
+  }
+
+  async searchElasticsearch(query, { tenant, careTeamPatientIds }) {
+    await this.ensureIndex();
+
+    const access = tenant.organizationId
+      ? [{ term: { organizationId: String(tenant.organizationId) } }]
+      : [
+          {
+            bool: {
+              must: [{ term: { ownerIds: tenant.userId } }],
+              must_not: [{ exists: { field: "organizationId" } }],
+            },
+          },
+        ];
+    if (careTeamPatientIds.length) {
+      access.push({ terms: { patientId: careTeamPatientIds.map(String) } });
+    }
+    const filter = [
+      { bool: { should: access, minimum_should_match: 1 } },
+      { terms: { type: query.types } },
+    ];
+    if (query.patientId) filter.push({ term: { patientId: query.patientId } });
+    if (query.authorId) filter.push({ term: { authorId: query.authorId } });
+    if (query.from || query.to) {
+      filter.push({
+        range: { date: { ...(query.from && { gte: query.from }), ...(query.to && { lte: query.to }) } },
+      });
+    }
+
+    const response = await this.client.search({
+      index: ELASTICSEARCH_INDEX,
+      from: query.skip,
+      size: query.limit,
+      track_total_hits: true,
+      query: {
+        bool: {
+          must: [
+            {
+              simple_query_string: {
+                query: query.q,
+                fields: ["title^5", "patientName^3", "body"],
+                default_operator: "or",
+              },
+            },
+          ],
+          filter,
+        },
+      },
+      sort: ["_score", { date: { order: "desc", missing: "_last" } }],
+      highlight: {
+        encoder: "html",
+        pre_tags: ["<mark>"],
+        post_tags: ["</mark>"],
+        fields: {
+          title: { number_of_fragments: 0 },
+          body: { fragment_size: SNIPPET_LENGTH, number_of_fragments: 1, no_match_size: SNIPPET_LENGTH },
+        },
+      },
+      aggs: {
+        type: { terms: { field: "type" } },
+        patient: {
+          terms: { field: "patientId", size: FACET_SIZE },
+          aggs: { name: { terms: { field: "patientName.keyword", size: 1 } } },
+        },
+        author: { terms: { field: "authorId", size: FACET_SIZE } },
+        date: {
+          date_histogram: { field: "date", calendar_interval: "month", format: "yyyy-MM", min_doc_count: 1, order: { _key: "desc" } },
+        },
+      },
+    });
+
+    const bucket = (entry) => ({ value: entry.key_as_string || String(entry.key), count: entry.doc_count });
+    return {
+      total: response.hits.total.value,
+      results: response.hits.hits.map((hit) =>
+        this.formatResult(hit._source, hit._score, {
+          title: hit.highlight?.title?.[0],
+          snippet: hit.highlight?.body?.[0] || "",
+        })
+      ),
+      facets: {
+        type: response.aggregations.type.buckets.map(bucket),
+        patient: response.aggregations.patient.buckets.map((entry) => ({
+          ...bucket(entry),
+          label: entry.name.buckets[0]?.key || null,
+        })),
+        author: response.aggregations.author.buckets.map(bucket),
+        date: response.aggregations.date.buckets.map(bucket),
+      },
+    };
+  }
+
+  async mirrorToElasticsearch(docs, removed) {
+    if (!this.client || (!docs.length && !removed.length)) return;
+    await this.ensureIndex();
+    const operations = [
+      ...docs.flatMap(({ _id, __v, createdAt, updatedAt, ...doc }) => [
+        { index: { _index: ELASTICSEARCH_INDEX, _id: `${doc.type}:${doc.sourceId}` } },
+        {
+          ...doc,
+          sourceId: String(doc.sourceId),
+          patientId: doc.patientId ? String(doc.patientId) : null,
+          organizationId: doc.organizationId ? String(doc.organizationId) : null,
+          authorId: doc.authorId ? String(doc.authorId) : null,
+        },
+      ]),
+      ...removed.map((id) => ({ delete: { _index: ELASTICSEARCH_INDEX, _id: id } })),
+    ];
+    const response = await this.client.bulk({ operations });
+    if (response.errors) {
+      const failed = response.items.filter(
+        (item) => Object.values(item)[0].error && Object.values(item)[0].status !== 404
+      );
+      if (failed.length) {
+        console.error(`❌ Elasticsearch rejected ${failed.length} search document(s)`);
+      }
+    }
+  }
+
+  // ===== Indexing =====
+
+  /**
+   * Search documents for source records. Records whose patient is outside
+   * every tenant (no organization and no owner) are still indexed for
+   * their author.
+   */
+  async buildDocuments(type, records) {
+    const source = SOURCES[type];
+    const patientIds = [
+      ...new Set(records.map((record) => validId(source.patientIdOf(record))).filter(Boolean)),
+    ];
+    const patients = new Map(
+      (
+        await Patient.find({ _id: { $in: patientIds } })
+          .select("demographics.name name organizationId createdBy userId")
+          .lean()
+      ).map((patient) => [String(patient._id), patient])
+    );
+
+    const docs = [];
+    for (const record of records) {
+      const patient = patients.get(validId(source.patientIdOf(record)) || "");
+      const fields = source.build(record);
+      const authorId = validId(idOf(fields.authorId));
+      const organizationId =
+        record.organizationId ??
+        patient?.organizationId ??
+        (authorId && !patient ? await organizationService.organizationIdFor(authorId) : null);
+
+      docs.push({
+        type,
+        sourceId: record._id,
+        patientId: patient?._id || null,
+        patientName: patient?.demographics?.name || patient?.name || null,
+        organizationId: organizationId || null,
+        ownerIds: [
+          ...new Set([authorId, validId(patient?.createdBy), validId(patient?.userId)].filter(Boolean)),
+        ],
+        authorId,
+        title: fields.title || "",
+        body: fields.body || "",
+        date: fields.date || record.createdAt || null,
+      });
+    }
+    return docs;
+  }
+
+  async writeDocuments(docs, removedKeys) {
+    if (docs.length) {
+      await SearchDocument.bulkWrite(
+        docs.map((doc) => ({
+          updateOne: {
+            filter: { type: doc.type, sourceId: doc.sourceId },
+            update: { $set: doc },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+    }
+    if (removedKeys.length) {
+      await SearchDocument.deleteMany({
+        $or: removedKeys.map(({ type, sourceId }) => ({ type, sourceId })),
+      });
+    }
+    try {
+      await this.mirrorToElasticsearch(
+        docs,
+        removedKeys.map(({ type, sourceId }) => `${type}:${sourceId}`)
+      );
+    } catch (error) {
+      // The local index stays current; a reindex resynchronises the cluster
+      console.error("❌ Elasticsearch indexing failed:", error.message);
+    }
+  }
+
+  /**
+   * Index records changed since the stored watermarks.
+   * @param {Object} watermarks - { [type]: { updatedAt, id } } from the job data
+   * @returns {Promise<Object>} updated watermarks
+   */
+  async indexChanges(watermarks = {}) {
+    const next = { ...watermarks };
+    for (const type of SEARCH_TYPES) {
+      const source = SOURCES[type];
+      let indexed = 0;
+
+      while (indexed < MAX_INDEXED_PER_RUN) {
+        const mark = next[type];
+        const filter = mark
+          ? {
+              $or: [
+                { updatedAt: { $gt: new Date(mark.updatedAt) } },
+                { updatedAt: new Date(mark.updatedAt), _id: { $gt: new mongoose.Types.ObjectId(mark.id) } },
+              ],
+            }
+          : {};
+        const records = await source.model
+          .find(filter)
+          .sort({ updatedAt: 1, _id: 1 })
+          .limit(INDEX_BATCH_SIZE)
+          .lean();
+        if (!records.length) break;
+
+        const removed = records.filter((record) => source.removed?.(record));
+        const kept = records.filter((record) => !source.removed?.(record));
+        await this.writeDocuments(
+          await this.buildDocuments(type, kept),
+          removed.map((record) => ({ type, sourceId: record._id }))
+        );
+
+        const last = records[records.length - 1];
+        next[type] = { updatedAt: last.updatedAt || new Date(0), id: String(last._id) };
+        indexed += records.length;
+        if (records.length < INDEX_BATCH_SIZE) break;
+      }
+
+      if (indexed > 0) console.log(`🔎 Indexed ${indexed} ${type} record(s) for search`);
+    }
+    return next;
+  }
+
+  // Remove search documents whose source record was deleted
+  async reconcile() {
+    let removed = 0;
+    for (const type of SEARCH_TYPES) {
+      let lastId = null;
+      for (;;) {
+        const batch = await SearchDocument.find({ type, ...(lastId && { _id: { $gt: lastId } }) })
+          .sort({ _id: 1 })
+          .limit(INDEX_BATCH_SIZE)
+          .select("sourceId")
+          .lean();
+        if (!batch.length) break;
+        lastId = batch[batch.length - 1]._id;
+
+        const existing = new Set(
+          (await SOURCES[type].model.find({ _id: { $in: batch.map((doc) => doc.sourceId) } }).distinct("_id")).map(String)
+        );
+        const missing = batch
+          .filter((doc) => !existing.has(String(doc.sourceId)))
+          .map((doc) => ({ type, sourceId: doc.sourceId }));
+        if (missing.length) {
+          await this.writeDocuments([], missing);
+          removed += missing.length;
+        }
+      }
+    }
+    if (removed > 0) console.log(`🧹 Removed ${removed} deleted record(s) from search`);
+    return removed;
+  }
+
+  // Rebuild the index from scratch on the next scheduler poll
+  async reindex() {
+    await jobScheduler.schedule("search.index", { every: INDEX_INTERVAL_MS, data: {} });
+    return jobScheduler.runNow("search.index");
+  }
+
+  startBackgroundJobs() {
+    Promise.all([
+      jobScheduler.schedule("search.index", { every: INDEX_INTERVAL_MS, maxAttempts: 1 }),
+      jobScheduler.schedule("search.reconcile", { cron: "15 3 * * *" }),
+    ]).catch((error) => console.error("❌ Could not schedule search indexing:", error.message));
+  }
+}
+
+const searchService = new SearchService();
+
+jobScheduler.define("search.index", async (watermarks) => ({
+  data: await searchService.indexChanges(watermarks),
+}));
+jobScheduler.define("search.reconcile", () => searchService.reconcile());
+
+export default searchService;
@@ -0,0 +1,90 @@
+import { describe, it, expect } from "@jest/globals";
+import { checkHallucinations } from "../../services/ai/hallucination.js";
+
+const ctx = {
+  documents: [
+    {
+      id: "doc-1",
+      text: "Discharged 2026-09-28. Metformin 500 mg twice daily. Potassium 4.1 mmol/L. Heart failure, I50.9.",
+    },
+  ],
+  allergies: [{ substance: "Penicillin", reaction: "rash" }],
+  medications: [{ name: "Lisinopril", dosage: "10 mg" }],
+};
+
+const summarise = (flags) => flags.map(({ type, span, severity }) => ({ type, span, severity }));
+
+describe("checkHallucinations", () => {
+  it("accepts output grounded in the documents and structured lists", () => {
+    expect(
+      checkHallucinations(
+        "Continue metformin 500 mg and lisinopril 10 mg. Potassium 4.1. CHF stable (I50.9). " +
+          "Discharged 09/28/2026. Allergy to penicillin.",
+        ctx
+      )
+    ).toEqual([]);
+  });
+
+  it("flags each ungrounded entity with its span and severity, in output order", () => {
+    const output =
+      "Start warfarin 5 mg. Metformin 1000 mg. Potassium 5.2. Patient has COPD, E11.9. " +
+      "Follow up 10/15/2026. Allergic to sulfa.";
+    const flags = checkHallucinations(output, ctx);
+
+    expect(summarise(flags)).toEqual([
+      { type: "medication", span: "warfarin", severity: "high" },
+      { type: "dose", span: "Metformin 1000 mg", severity: "high" },
+      { type: "lab_value", span: "Potassium 5.2", severity: "high" },
+      { type: "diagnosis", span: "COPD", severity: "medium" },
+      { type: "diagnosis", span: "E11.9", severity: "high" },
+      { type: "date", span: "10/15/2026", severity: "medium" },
+      { type: "allergy", span: "sulfa", severity: "high" },
+    ]);
+    for (const flag of flags) {
+      expect(output.slice(flag.start, flag.end)).toBe(flag.span);
+    }
+  });
+
+  it("reports the source value a contradicted lab came from", () => {
+    const [flag] = checkHallucinations("Potassium 5.2 today.", ctx);
+
+    expect(flag).toMatchObject({
+      type: "lab_value",
+      documentId: "doc-1",
+      sourceValues: [4.1],
+    });
+  });
+
+  it("treats NKDA as critical when the record lists allergies", () => {
+    expect(summarise(checkHallucinations("Patient is NKDA.", ctx))).toEqual([
+      { type: "allergy", span: "NKDA", severity: "critical" },
+    ]);
+    expect(checkHallucinations("Patient is NKDA.", { documents: [] })).toEqual([]);
+  });
+
+  it("flags a medication the patient is allergic to as critical", () => {
+    const output = "Start penicillin 500 mg.";
+    const flags = checkHallucinations(output, ctx);
+
+    expect(summarise(flags)).toEqual([
+      { type: "medication", span: "penicillin", severity: "critical" },
+    ]);
+    expect(flags[0].reason).toMatch(/recorded allergy/);
+    expect(output.slice(flags[0].start, flags[0].end)).toBe("penicillin");
+  });
+
+  it("ignores short abbreviations written in lower case", () => {
+    expect(checkHallucinations("The plan is ok, mi amigo.", ctx)).toEqual([]);
+    expect(summarise(checkHallucinations("History of MI.", ctx))).toEqual([
+      { type: "diagnosis", span: "MI", severity: "medium" },
+    ]);
+  });
+
+  it("checks structured output as JSON and skips empty output", () => {
+    expect(checkHallucinations({ plan: "Metformin 500 mg" }, ctx)).toEqual([]);
+    expect(summarise(checkHallucinations({ plan: "Add warfarin" }, ctx))).toEqual([
+      { type: "medication", span: "warfarin", severity: "high" },
+    ]);
+    expect(checkHallucinations("", ctx)).toEqual([]);
+  });
+});
@@ -0,0 +1,166 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import mongoose from "mongoose";
+import Patient from "../models/Patient.js";
+import organizationService from "../services/organizationService.js";
+import clinicalTimelineService, {
+  TIMELINE_SOURCES,
+  TIMELINE_TYPES,
+} from "../services/clinicalTimelineService.js";
+
+const userId = new mongoose.Types.ObjectId().toString();
+const patientId = new mongoose.Types.ObjectId().toString();
+
+// Ids in creation order, so later ids sort after earlier ones
+const ids = Array.from({ length: 6 }, () => new mongoose.Types.ObjectId());
+
+// A source model whose find() chain answers with the given documents after
+// applying the cursor filter and limit the way Mongo would
+const sourceModel = (type, docs) => {
+  const { dateField } = TIMELINE_SOURCES[type];
+  return jest.spyOn(TIMELINE_SOURCES[type].model, "find").mockImplementation((query) => {
+    let matched = docs;
+    if (query.$or) {
+      const [{ [dateField]: { $lt: before } }, tie] = query.$or;
+      matched = docs.filter(
+        (doc) =>
+          doc[dateField] < before ||
+          (doc[dateField].getTime() === tie[dateField].getTime() &&
+            String(doc._id) < String(tie._id.$lt))
+      );
+    }
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      limit: (limit) => {
+        chain.limitTo = limit;
+        return chain;
+      },
+      lean: async () => matched.slice(0, chain.limitTo),
+    };
+    return chain;
+  });
+};
+
+describe("clinicalTimelineService patient access", () => {
+  beforeEach(() => {
+    jest.spyOn(organizationService, "getTenant").mockResolvedValue({
+      userId,
+      organizationId: null,
+      role: null,
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("admits care team members with the patientScopeFor() rule search uses", async () => {
+    jest.spyOn(Patient, "exists").mockResolvedValue({ _id: patientId });
+
+    await clinicalTimelineService.assertPatient(patientId, userId);
+
+    expect(Patient.exists).toHaveBeenCalledWith({
+      _id: patientId,
+      ...(await organizationService.patientScopeFor(userId)),
+    });
+    expect(Patient.exists.mock.calls[0][0].$or).toContainEqual({ "careTeam.userId": userId });
+  });
+
+  it("reports other patients as not found", async () => {
+    jest.spyOn(Patient, "exists").mockResolvedValue(null);
+
+    await expect(clinicalTimelineService.assertPatient(patientId, userId)).rejects.toMatchObject({
+      name: "ClinicalTimelineError",
+      code: "PATIENT_NOT_FOUND",
+      statusCode: 404,
+    });
+  });
+});
+
+describe("clinicalTimelineService cursors", () => {
+  it("round-trips the last entry's date and id", () => {
+    const entry = { date: "2026-10-01T09:30:00.000Z", source: { id: String(ids[0]) } };
+
+    expect(clinicalTimelineService.decodeCursor(clinicalTimelineService.encodeCursor(entry))).toEqual({
+      date: new Date("2026-10-01T09:30:00.000Z"),
+      id: ids[0],
+    });
+  });
+
+  it.each([
+    ["not base64 json", "%%%"],
+    ["a bad date", Buffer.from(JSON.stringify({ date: "soon", id: String(ids[0]) })).toString("base64url")],
+    ["a bad id", Buffer.from(JSON.stringify({ date: "2026-10-01", id: "42" })).toString("base64url")],
+  ])("rejects %s", (label, cursor) => {
+    expect(() => clinicalTimelineService.decodeCursor(cursor)).toThrow(
+      expect.objectContaining({ code: "INVALID_CURSOR", statusCode: 400 })
+    );
+  });
+
+  it("pages strictly after the cursor, breaking date ties by id", () => {
+    const cursor = { date: new Date("2026-10-01"), id: ids[2] };
+
+    expect(
+      clinicalTimelineService.sourceQuery(TIMELINE_SOURCES.soap_note, patientId, { cursor })
+    ).toEqual({
+      patientId,
+      visitDate: { $type: "date" },
+      $or: [
+        { visitDate: { $lt: cursor.date } },
+        { visitDate: cursor.date, _id: { $lt: ids[2] } },
+      ],
+    });
+  });
+
+  it("validates the requested types", () => {
+    expect(clinicalTimelineService.parseTypes(undefined)).toBe(TIMELINE_TYPES);
+    expect(clinicalTimelineService.parseTypes(["visit,soap_note", "visit"])).toEqual([
+      "visit",
+      "soap_note",
+    ]);
+    expect(() => clinicalTimelineService.parseTypes("visit,xray")).toThrow(
+      expect.objectContaining({ code: "INVALID_TYPE" })
+    );
+  });
+});
+
+describe("clinicalTimelineService.getTimeline", () => {
+  beforeEach(() => {
+    jest.spyOn(clinicalTimelineService, "assertPatient").mockResolvedValue();
+    jest.spyOn(clinicalTimelineService, "loadAuthors").mockResolvedValue(new Map());
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("merges sources newest first and pages through them without gaps or repeats", async () => {
+    const sameDay = new Date("2026-10-03T12:00:00Z");
+    // Each source's rows in its own (date, _id) descending order
+    sourceModel("soap_note", [
+      { _id: ids[5], visitDate: sameDay },
+      { _id: ids[1], visitDate: sameDay },
+      { _id: ids[0], visitDate: new Date("2026-10-01T12:00:00Z") },
+    ]);
+    sourceModel("care_plan", [
+      { _id: ids[4], createdAt: new Date("2026-10-04T12:00:00Z") },
+      { _id: ids[3], createdAt: sameDay },
+      { _id: ids[2], createdAt: new Date("2026-10-02T12:00:00Z") },
+    ]);
+
+    const pages = [];
+    let cursor;
+    do {
+      const page = await clinicalTimelineService.getTimeline(patientId, userId, {
+        types: "soap_note,care_plan",
+        limit: 2,
+        cursor,
+      });
+      pages.push(page.entries.map((entry) => entry.source.id));
+      cursor = page.nextCursor;
+      expect(page.hasMore).toBe(Boolean(cursor));
+    } while (cursor);
+
+    expect(pages).toEqual([
+      [String(ids[4]), String(ids[5])],
+      [String(ids[3]), String(ids[1])],
+      [String(ids[2]), String(ids[0])],
+    ]);
+  });
+});
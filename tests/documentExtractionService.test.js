@@ -0,0 +1,170 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+
+// pdf-parse starts a worker on import; the tests feed it pages directly
+const pdfParse = jest.fn();
+jest.unstable_mockModule("pdf-parse", () => ({ default: pdfParse }));
+
+const {
+  default: documentExtractionService,
+  assemblePages,
+  parseTesseractTsv,
+  htmlToText,
+} = await import("../services/documentExtractionService.js");
+
+// A pdf.js page whose text items all sit on one baseline
+const pdfPage = (pageIndex, text) => ({
+  pageIndex,
+  getTextContent: async () => ({ items: [{ str: text, transform: [0, 0, 0, 0, 0, 700] }] }),
+});
+
+const pdfWithPages = (texts) =>
+  pdfParse.mockImplementation(async (data, options) => {
+    for (const [index, text] of texts.entries()) await options.pagerender(pdfPage(index, text));
+    return { numpages: texts.length };
+  });
+
+const tsvRow = (page, block, paragraph, line, conf, word) =>
+  ["5", page, block, paragraph, line, "1", "0", "0", "10", "10", conf, word].join("\t");
+
+describe("assemblePages", () => {
+  it("records each section's character range and the OCR confidence", () => {
+    const result = assemblePages([
+      { text: "Discharge summary", method: "text" },
+      { text: "Faxed orders", method: "ocr", confidence: 0.9 },
+      { text: "Signature page", method: "ocr", confidence: 0.6, label: "Sheet 3" },
+    ]);
+
+    expect(result).toMatchObject({ method: "mixed", pageCount: 3, ocrPageCount: 2, ocrConfidence: 0.75 });
+    for (const [index, page] of result.pages.entries()) {
+      expect(page.pageNumber).toBe(index + 1);
+    }
+    expect(result.pages.map((page) => result.text.slice(page.start, page.end))).toEqual([
+      "Discharge summary",
+      "Faxed orders",
+      "Signature page",
+    ]);
+    expect(result.pages[2].label).toBe("Sheet 3");
+  });
+
+  it("reports text-only documents without an OCR confidence", () => {
+    expect(assemblePages([{ text: "Note", method: "text" }])).toMatchObject({
+      method: "text",
+      ocrPageCount: 0,
+      ocrConfidence: null,
+    });
+  });
+});
+
+describe("parseTesseractTsv", () => {
+  it("joins words into lines and paragraphs per page with mean confidence", () => {
+    const tsv = [
+      "level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext",
+      "1\t1\t0\t0\t0\t0\t0\t0\t100\t100\t-1\t",
+      tsvRow(1, 1, 1, 1, "90", "Wound"),
+      tsvRow(1, 1, 1, 1, "80", "care"),
+      tsvRow(1, 1, 1, 2, "70", "daily"),
+      tsvRow(1, 2, 1, 1, "60", "Signed"),
+      tsvRow(1, 2, 1, 1, "-1", " "),
+      tsvRow(2, 1, 1, 1, "50", "Page two"),
+    ].join("\n");
+
+    expect(parseTesseractTsv(tsv)).toEqual([
+      { text: "Wound care\ndaily\n\nSigned", confidence: 0.75 },
+      { text: "Page two", confidence: 0.5 },
+    ]);
+  });
+});
+
+describe("htmlToText", () => {
+  it("keeps block elements on their own lines and decodes entities", () => {
+    expect(
+      htmlToText(
+        "<html><head><title>x</title></head><body><h1>Plan</h1><!-- draft -->" +
+          "<p>BP&nbsp;128/84 &amp; HR&#160;72</p><table><tr><td>Na</td><td>&#x31;38</td></tr></table>" +
+          "<script>alert(1)</script>Line<br>break</body></html>"
+      )
+    ).toBe("Plan\nBP 128/84 & HR 72\nNa 138\nLine\nbreak");
+  });
+});
+
+describe("DocumentExtractionService", () => {
+  let ocrEnabled;
+  let ocrMaxPages;
+
+  beforeEach(() => {
+    ({ ocrEnabled, ocrMaxPages } = documentExtractionService);
+    documentExtractionService.ocrEnabled = true;
+  });
+
+  afterEach(() => {
+    Object.assign(documentExtractionService, { ocrEnabled, ocrMaxPages });
+    jest.restoreAllMocks();
+  });
+
+  it("detects formats from the MIME type, then the extension", () => {
+    expect(documentExtractionService.detectFormat("image/tiff", "fax.bin")).toBe("image");
+    expect(documentExtractionService.detectFormat("application/octet-stream", "Labs.XLSX")).toBe(
+      "spreadsheet"
+    );
+    expect(documentExtractionService.detectFormat("text/csv", "labs.txt")).toBe("spreadsheet");
+    expect(documentExtractionService.detectFormat("application/zip", "notes.zip")).toBeNull();
+  });
+
+  it("OCRs only the PDF pages without a text layer", async () => {
+    pdfWithPages(["Referral letter for home health services", "", "Medication list: metformin 500 mg"]);
+    const ocrPdfPage = jest
+      .spyOn(documentExtractionService, "ocrPdfPage")
+      .mockResolvedValue([{ text: "Scanned consent form", confidence: 0.82, method: "ocr" }]);
+    const warnings = [];
+
+    const sections = await documentExtractionService.extractPdf(Buffer.from("%PDF"), warnings);
+
+    expect(ocrPdfPage).toHaveBeenCalledTimes(1);
+    expect(ocrPdfPage).toHaveBeenCalledWith(expect.any(Buffer), 2);
+    expect(sections.map((section) => section.method)).toEqual(["text", "ocr", "text"]);
+    expect(assemblePages(sections).pages[1]).toMatchObject({ pageNumber: 2, method: "ocr", confidence: 0.82 });
+    expect(warnings).toEqual([]);
+  });
+
+  it("warns about scanned pages it could not OCR", async () => {
+    pdfWithPages(["", "short", ""]);
+    documentExtractionService.ocrMaxPages = 1;
+    jest.spyOn(documentExtractionService, "ocrPdfPage").mockRejectedValue(new Error("pdftoppm missing"));
+    const warnings = [];
+
+    const sections = await documentExtractionService.extractPdf(Buffer.from("%PDF"), warnings);
+
+    expect(sections).toEqual([
+      { text: "", method: "none" },
+      { text: "short", method: "text" },
+      { text: "", method: "none" },
+    ]);
+    expect(warnings).toEqual([
+      "Page 1 OCR failed: pdftoppm missing",
+      "Page 2 not OCR'd: more than 1 scanned pages",
+      "Page 3 not OCR'd: more than 1 scanned pages",
+    ]);
+  });
+
+  it("reports password-protected PDFs", async () => {
+    pdfParse.mockRejectedValue(new Error("No password given"));
+
+    await expect(documentExtractionService.extractPdf(Buffer.from("%PDF"), [])).rejects.toMatchObject({
+      code: "PASSWORD_PROTECTED",
+    });
+  });
+
+  it("maps offsets back to pages and labels pages for prompts", () => {
+    const { text, pages } = assemblePages([
+      { text: "First page", method: "text" },
+      { text: "Second page", method: "ocr", confidence: 0.9, label: "Fax" },
+    ]);
+    const file = { extractedText: text, pages };
+
+    expect(documentExtractionService.pageForOffset(file, text.indexOf("Second")).pageNumber).toBe(2);
+    expect(documentExtractionService.pageForOffset(file, text.length)).toBeNull();
+    expect(documentExtractionService.textWithPageMarkers(file)).toBe(
+      "[Page 1]\nFirst page\n\n[Page 2: Fax]\nSecond page"
+    );
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect } from "@jest/globals";
+import documentRetrievalService, {
+  chunkText,
+  pagesFromMarkers,
+} from "../services/documentRetrievalService.js";
+
+const sentence = (page, n) => `Page ${page} sentence ${n} about wound care and dressing changes.`;
+const pageText = (page, count) =>
+  Array.from({ length: count }, (_, i) => sentence(page, i + 1)).join(" ");
+
+// Joins page texts and records each page's offsets, as extraction does
+const paginate = (sections) => {
+  let text = "";
+  const pages = sections.map(({ text: pageBody, label }, index) => {
+    if (index > 0) text += "\n\n";
+    const start = text.length;
+    text += pageBody;
+    return { pageNumber: index + 1, label, start, end: text.length };
+  });
+  return { text, pages };
+};
+
+describe("chunkText", () => {
+  const { text, pages } = paginate([
+    { text: pageText(1, 12) },
+    { text: "Short signature page.", label: "Fax" },
+    { text: pageText(3, 12) },
+  ]);
+  const chunks = chunkText(text, pages, 300, 50);
+
+  it("keeps every passage inside one page and cites that page", () => {
+    for (const chunk of chunks) {
+      const page = pages.find((p) => p.pageNumber === chunk.pageNumber);
+      expect(chunk.start).toBeGreaterThanOrEqual(page.start);
+      expect(chunk.end).toBeLessThanOrEqual(page.end);
+      expect(chunk.text).toBe(text.slice(chunk.start, chunk.end));
+      expect(chunk.text).not.toMatch(/^\s|\s$/);
+    }
+    expect(chunks.map((chunk) => chunk.index)).toEqual(chunks.map((_, i) => i));
+    expect(chunks.find((chunk) => chunk.pageNumber === 2)).toMatchObject({
+      text: "Short signature page.",
+      pageLabel: "Fax",
+    });
+    const thirdPage = chunks.filter((chunk) => chunk.text.includes("Page 3 sentence"));
+    expect(thirdPage.map((chunk) => chunk.pageNumber)).toEqual(thirdPage.map(() => 3));
+  });
+
+  it("covers each page with passages that overlap and start at word breaks", () => {
+    const firstPage = chunks.filter((chunk) => chunk.pageNumber === 1);
+
+    expect(firstPage.length).toBeGreaterThan(1);
+    expect(firstPage[0].start).toBe(pages[0].start);
+    expect(firstPage[firstPage.length - 1].end).toBe(pages[0].end);
+    firstPage.slice(1).forEach((chunk, i) => {
+      expect(chunk.start).toBeLessThan(firstPage[i].end);
+      expect(chunk.start).toBeGreaterThan(firstPage[i].start);
+      expect(text[chunk.start - 1]).toBe(" ");
+      expect(chunk.text.length).toBeLessThanOrEqual(300);
+    });
+  });
+
+  it("leaves the page empty for text without pages", () => {
+    expect(chunkText("  A single note.  ")).toEqual([
+      {
+        index: 0,
+        text: "A single note.",
+        start: 2,
+        end: 16,
+        pageNumber: null,
+        pageLabel: undefined,
+      },
+    ]);
+  });
+});
+
+describe("pagesFromMarkers", () => {
+  it("reads the offsets of each [Page N] section", () => {
+    const text = "[Page 1]\nAdmission note\n\n[Page 2: Orders]\nStart heparin";
+    const pages = pagesFromMarkers(text);
+
+    expect(pages.map(({ pageNumber, label }) => [pageNumber, label])).toEqual([
+      [1, undefined],
+      [2, "Orders"],
+    ]);
+    expect(pages.map(({ start, end }) => text.slice(start, end))).toEqual([
+      "Admission note\n\n",
+      "Start heparin",
+    ]);
+    expect(pagesFromMarkers("No markers here")).toEqual([]);
+  });
+});
+
+describe("documentRetrievalService.sourceFilters", () => {
+  it("limits a patient's files to the requesting user and includes patient documents", () => {
+    expect(documentRetrievalService.sourceFilters({ patientId: "p1", userId: "u1" })).toEqual([
+      { sourceType: "file", patientId: "p1", userId: "u1" },
+      { sourceType: "patient_document", patientId: "p1" },
+    ]);
+  });
+
+  it("narrows to the given files and documents", () => {
+    expect(
+      documentRetrievalService.sourceFilters({
+        patientId: "p1",
+        userId: "u1",
+        fileIds: ["f1"],
+        documentIds: ["d1"],
+      })
+    ).toEqual([
+      { sourceType: "file", sourceId: { $in: ["f1"] }, userId: "u1" },
+      { sourceType: "patient_document", sourceId: { $in: ["d1"] } },
+    ]);
+  });
+
+  it("reads nothing without a patient, files or documents", () => {
+    expect(documentRetrievalService.sourceFilters({ userId: "u1" })).toEqual([]);
+    expect(
+      documentRetrievalService.sourceFilters({ patientId: "p1", includePatientDocuments: false })
+    ).toEqual([]);
+  });
+});
+
+describe("documentRetrievalService citations", () => {
+  const chunks = [
+    { chunkId: "f1:1", sourceId: "f1", title: "Discharge", pageNumber: 2, text: "A" },
+    { chunkId: "f1:12", sourceId: "f1", title: "Discharge", pageNumber: 5, text: "B" },
+  ];
+
+  it("heads each excerpt with the chunk ID and page to cite", () => {
+    expect(documentRetrievalService.formatExcerpts(chunks)).toBe(
+      "[f1:1] Discharge, page 2\nA\n\n[f1:12] Discharge, page 5\nB"
+    );
+  });
+
+  it("lists cited passages in order of first citation without prefix matches", () => {
+    expect(
+      documentRetrievalService
+        .citations("Dose changed [f1:12]; see also [f1:12].", chunks)
+        .map((chunk) => chunk.chunkId)
+    ).toEqual(["f1:12"]);
+    expect(
+      documentRetrievalService
+        .citations("Per [f1:12] and [f1:1].", chunks)
+        .map((chunk) => chunk.pageNumber)
+    ).toEqual([5, 2]);
+  });
+});
@@ -0,0 +1,145 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import mongoose from "mongoose";
+import Patient from "../../models/Patient.js";
+import organizationService from "../../services/organizationService.js";
+import {
+  buildPatientBundle,
+  parsePatientBundle,
+  importPatientBundle,
+} from "../../services/fhir/patientBundle.js";
+
+const userId = new mongoose.Types.ObjectId().toString();
+const organizationId = new mongoose.Types.ObjectId();
+
+const buildPatient = () =>
+  new Patient({
+    mrn: "MRN-20417",
+    demographics: {
+      name: "Ada Lovelace",
+      dob: new Date("1948-12-10"),
+      sex: "female",
+      phone: "555-0142",
+      email: "ada@example.com",
+      address: { street: "12 Analytical Way", city: "Portland", state: "OR", zipCode: "97201" },
+    },
+    currentMedications: [
+      {
+        drugCode: "860975",
+        name: "Metformin",
+        dose: "500 mg",
+        route: "oral",
+        frequency: "twice daily",
+        startDate: new Date("2026-01-05T00:00:00Z"),
+      },
+      {
+        drugCode: "314076",
+        name: "Lisinopril",
+        dose: "10 mg",
+        route: "oral",
+        frequency: "daily",
+        startDate: new Date("2025-06-01T00:00:00Z"),
+        endDate: new Date("2026-02-01T00:00:00Z"),
+      },
+    ],
+    allergies: [
+      { substance: "Penicillin", reaction: "Hives", severity: "severe" },
+      { substance: "Peanuts", reaction: "Anaphylaxis", severity: "life_threatening" },
+    ],
+    conditions: [{ name: "Type 2 diabetes", status: "chronic", severity: "moderate" }],
+  });
+
+const plain = (list, fields) =>
+  list.map((item) => Object.fromEntries(fields.map((field) => [field, item[field]])));
+
+describe("FHIR patient bundle round trip", () => {
+  it("reads back the demographics, medications and allergies it wrote", () => {
+    const patient = buildPatient();
+    const parsed = parsePatientBundle(buildPatientBundle(patient));
+
+    expect(parsed.mrn).toBe(patient.mrn);
+    expect(parsed.demographics).toEqual({
+      name: "Ada Lovelace",
+      dob: new Date("1948-12-10"),
+      sex: "female",
+      phone: "555-0142",
+      email: "ada@example.com",
+      address: { street: "12 Analytical Way", city: "Portland", state: "OR", zipCode: "97201" },
+    });
+
+    const medicationFields = ["drugCode", "name", "dose", "route", "frequency", "startDate", "endDate"];
+    expect(plain(parsed.currentMedications, medicationFields)).toEqual(
+      plain(patient.currentMedications, medicationFields)
+    );
+
+    const allergyFields = ["substance", "reaction", "severity"];
+    expect(plain(parsed.allergies, allergyFields)).toEqual(plain(patient.allergies, allergyFields));
+    expect(parsed.conditions).toEqual([
+      { name: "Type 2 diabetes", status: "active", severity: "moderate" },
+    ]);
+    expect(parsed.warnings).toEqual([]);
+  });
+
+  it("rejects a bundle whose resources fail R4 validation", () => {
+    const bundle = buildPatientBundle(buildPatient());
+    bundle.entry[0].resource.gender = "F";
+
+    expect(() => parsePatientBundle(bundle)).toThrow(
+      expect.objectContaining({
+        code: "INVALID_RESOURCE",
+        issues: [expect.objectContaining({ expression: ["Bundle.entry[0].resource.gender"] })],
+      })
+    );
+  });
+
+  it("rejects clinical resources that point at another patient", () => {
+    const bundle = buildPatientBundle(buildPatient());
+    bundle.entry[1].resource.subject = { reference: "Patient/someone-else" };
+
+    expect(() => parsePatientBundle(bundle)).toThrow(
+      expect.objectContaining({ code: "FOREIGN_SUBJECT" })
+    );
+  });
+});
+
+describe("importPatientBundle", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(organizationService, "getTenant").mockResolvedValue({
+      userId,
+      organizationId,
+      role: "clinician",
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("refuses an MRN that belongs to another tenant's patient", async () => {
+    jest.spyOn(Patient, "findOne").mockResolvedValue(null);
+    jest.spyOn(Patient, "exists").mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const save = jest.spyOn(Patient.prototype, "save");
+
+    await expect(
+      importPatientBundle(buildPatientBundle(buildPatient()), userId)
+    ).rejects.toMatchObject({ name: "FHIRImportError", code: "MRN_CONFLICT", statusCode: 409 });
+    expect(Patient.findOne).toHaveBeenCalledWith({ mrn: "MRN-20417", organizationId });
+    expect(Patient.exists).toHaveBeenCalledWith({ mrn: "MRN-20417" });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it("creates a new MRN in the importing user's tenant", async () => {
+    jest.spyOn(Patient, "findOne").mockResolvedValue(null);
+    jest.spyOn(Patient, "exists").mockResolvedValue(null);
+    jest.spyOn(Patient.prototype, "save").mockImplementation(async function save() {
+      return this;
+    });
+
+    const result = await importPatientBundle(buildPatientBundle(buildPatient()), userId);
+
+    expect(result).toMatchObject({
+      created: true,
+      imported: { medications: 2, allergies: 2, conditions: 1 },
+    });
+    expect(result.patient.organizationId).toEqual(organizationId);
+    expect(String(result.patient.createdBy)).toBe(userId);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from "@jest/globals";
+import { validateResource } from "../../services/fhir/r4Validator.js";
+
+const subject = { reference: "Patient/p1" };
+const CONDITION_CLINICAL = "http://terminology.hl7.org/CodeSystem/condition-clinical";
+const CONDITION_VERIFICATION = "http://terminology.hl7.org/CodeSystem/condition-ver-status";
+
+const issuesOf = (resource, options) =>
+  validateResource(resource, options).map(({ code, expression }) => [code, expression[0]]);
+
+describe("validateResource", () => {
+  it("accepts well-formed resources", () => {
+    expect(
+      validateResource({
+        resourceType: "Patient",
+        id: "p1",
+        name: [{ use: "official", family: "Lovelace", given: ["Ada"] }],
+        gender: "female",
+        birthDate: "1948-12-10",
+        deceasedBoolean: false,
+        _birthDate: { extension: [{ url: "http://example.org/precision" }] },
+      })
+    ).toEqual([]);
+    expect(
+      validateResource({
+        resourceType: "MedicationStatement",
+        status: "active",
+        medicationCodeableConcept: { text: "Metformin" },
+        subject,
+        effectiveDateTime: "2026-01-05T08:00:00Z",
+      })
+    ).toEqual([]);
+  });
+
+  it("rejects unknown elements, bad primitives and codes outside the value set", () => {
+    expect(
+      issuesOf({
+        resourceType: "Patient",
+        gender: "F",
+        birthDate: "12/10/1948",
+        active: "yes",
+        nickname: "Ada",
+        name: { text: "Ada Lovelace" },
+      })
+    ).toEqual([
+      ["code-invalid", "Patient.gender"],
+      ["value", "Patient.birthDate"],
+      ["value", "Patient.active"],
+      ["structure", "Patient.nickname"],
+      ["structure", "Patient.name"],
+    ]);
+  });
+
+  it("enforces required elements and choice types", () => {
+    expect(issuesOf({ resourceType: "MedicationStatement", subject })).toEqual([
+      ["required", "MedicationStatement.status"],
+      ["required", "MedicationStatement.medication[x]"],
+    ]);
+    expect(
+      issuesOf({
+        resourceType: "MedicationStatement",
+        status: "active",
+        subject,
+        medicationCodeableConcept: { text: "Metformin" },
+        medicationReference: { reference: "Medication/m1" },
+      })
+    ).toEqual([["structure", "MedicationStatement.medicationReference"]]);
+  });
+
+  it("requires reaction manifestations on allergies", () => {
+    expect(
+      issuesOf({
+        resourceType: "AllergyIntolerance",
+        patient: subject,
+        reaction: [{ severity: "severe", manifestation: [] }],
+      })
+    ).toEqual([["required", "AllergyIntolerance.reaction[0].manifestation"]]);
+  });
+
+  it("applies the Condition status invariants", () => {
+    expect(issuesOf({ resourceType: "Condition", subject, code: { text: "CHF" } })).toEqual([
+      ["invariant", "Condition.clinicalStatus"],
+    ]);
+    expect(
+      issuesOf({
+        resourceType: "Condition",
+        subject,
+        clinicalStatus: { coding: [{ system: CONDITION_CLINICAL, code: "active" }] },
+        verificationStatus: { coding: [{ system: CONDITION_VERIFICATION, code: "entered-in-error" }] },
+      })
+    ).toEqual([["invariant", "Condition.clinicalStatus"]]);
+    expect(
+      issuesOf({ resourceType: "Condition", subject, clinicalStatus: { text: "active" } })
+    ).toEqual([["code-invalid", "Condition.clinicalStatus"]]);
+  });
+
+  it("validates Bundle entries and skips unread resource types only when asked", () => {
+    const bundle = {
+      resourceType: "Bundle",
+      type: "collection",
+      timestamp: "2026-10-01",
+      entry: [
+        { fullUrl: "urn:uuid:1", resource: { resourceType: "Observation", status: "final" } },
+        { resource: { resourceType: "Patient", gender: "unknown" } },
+      ],
+    };
+
+    expect(issuesOf(bundle)).toEqual([
+      ["value", "Bundle.timestamp"],
+      ["not-supported", "Bundle.entry[0].resource.resourceType"],
+    ]);
+    expect(issuesOf(bundle, { allowUnknownResources: true })).toEqual([
+      ["value", "Bundle.timestamp"],
+    ]);
+  });
+});
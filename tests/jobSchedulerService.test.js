@@ -0,0 +1,174 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import ScheduledJob from "../models/ScheduledJob.js";
+import jobScheduler, { nextCronRun, parseCron } from "../services/jobSchedulerService.js";
+
+describe("jobScheduler instance jobs", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2026-10-01T00:00:00Z") });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await jobScheduler.cancel("test.sweep");
+    jobScheduler.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("runs on their own interval even when it is shorter than the poll", async () => {
+    const sweep = jest.fn();
+    jobScheduler.define("test.sweep", sweep);
+    await jobScheduler.schedule("test.sweep", { every: 1000, scope: "instance" });
+    jobScheduler.start();
+
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(sweep).toHaveBeenCalledTimes(5);
+  });
+
+  it("stops running once cancelled", async () => {
+    const sweep = jest.fn();
+    jobScheduler.define("test.sweep", sweep);
+    await jobScheduler.schedule("test.sweep", { every: 1000, scope: "instance" });
+    jobScheduler.start();
+
+    await jest.advanceTimersByTimeAsync(2000);
+    await jobScheduler.cancel("test.sweep");
+    await jest.advanceTimersByTimeAsync(3000);
+
+    expect(sweep).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("nextCronRun", () => {
+  it("finds the next matching minute in UTC", () => {
+    const after = new Date("2026-10-01T10:17:30Z");
+
+    expect(nextCronRun("*/15 * * * *", after).toISOString()).toBe("2026-10-01T10:30:00.000Z");
+    expect(nextCronRun("30 4 * * *", after).toISOString()).toBe("2026-10-02T04:30:00.000Z");
+    expect(nextCronRun("0 9 * * mon", after).toISOString()).toBe("2026-10-05T09:00:00.000Z");
+  });
+});
+
+describe("parseCron", () => {
+  it.each(["* * * *", "61 * * * *", "*/0 * * * *", "0 9 * * funday"])("rejects %p", (expression) => {
+    expect(() => parseCron(expression)).toThrow(expect.objectContaining({ code: "INVALID_CRON" }));
+  });
+});
+
+describe("jobScheduler.normalizeOptions", () => {
+  it("fills in the retry defaults", () => {
+    expect(jobScheduler.normalizeOptions("sweep", { every: 60000 })).toMatchObject({
+      handler: "sweep",
+      scope: "cluster",
+      maxAttempts: 3,
+      backoffMs: 30000,
+      runAt: null,
+    });
+  });
+
+  it.each([
+    [{}, /needs cron, every, runAt or delayMs/],
+    [{ every: 0 }, /positive number/],
+    [{ delayMs: 1000, scope: "instance" }, /must be recurring/],
+  ])("rejects %p", (options, message) => {
+    expect(() => jobScheduler.normalizeOptions("sweep", options)).toThrow(
+      expect.objectContaining({ code: "INVALID_JOB", message: expect.stringMatching(message) })
+    );
+  });
+});
+
+describe("jobScheduler.afterRun", () => {
+  const now = new Date("2026-10-01T12:00:00Z");
+  const failure = { error: new Error("timeout") };
+  const job = (fields) => ({ name: "sweep", maxAttempts: 3, backoffMs: 30000, data: {}, ...fields });
+  const secondsLater = (state) => (state.nextRunAt - now) / 1000;
+
+  it("doubles the backoff on each failed attempt", () => {
+    expect(secondsLater(jobScheduler.afterRun(job({ attempts: 1 }), failure, now))).toBe(30);
+    expect(secondsLater(jobScheduler.afterRun(job({ attempts: 2 }), failure, now))).toBe(60);
+    expect(jobScheduler.afterRun(job({ attempts: 2 }), failure, now).status).toBe("scheduled");
+  });
+
+  it("fails a one-off job once its attempts are used up", () => {
+    expect(jobScheduler.afterRun(job({ attempts: 3 }), failure, now)).toEqual({
+      data: {},
+      status: "failed",
+      nextRunAt: null,
+    });
+  });
+
+  it("sends a recurring job that ran out of attempts to its next occurrence", () => {
+    expect(
+      jobScheduler.afterRun(job({ attempts: 3, cron: "0 * * * *" }), failure, now)
+    ).toEqual({
+      data: {},
+      status: "scheduled",
+      nextRunAt: new Date("2026-10-01T13:00:00Z"),
+      attempts: 0,
+    });
+  });
+
+  it("ends recurring jobs that finish, pass endAt or return done", () => {
+    expect(jobScheduler.afterRun(job({ attempts: 1, runAt: now }), { result: undefined }, now)).toMatchObject({
+      status: "completed",
+      nextRunAt: null,
+    });
+    expect(
+      jobScheduler.afterRun(
+        job({ attempts: 1, every: 60 * 60 * 1000, endAt: new Date("2026-10-01T12:30:00Z") }),
+        { result: undefined },
+        now
+      ).status
+    ).toBe("completed");
+    expect(
+      jobScheduler.afterRun(job({ attempts: 1, every: 60000 }), { result: { done: true } }, now).status
+    ).toBe("completed");
+  });
+
+  it("keeps data the handler returns", () => {
+    expect(
+      jobScheduler.afterRun(job({ attempts: 1, every: 60000 }), { result: { data: { cursor: 42 } } }, now)
+    ).toMatchObject({ data: { cursor: 42 }, nextRunAt: new Date("2026-10-01T12:01:00Z") });
+  });
+});
+
+describe("jobScheduler.claim", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2026-10-01T12:00:00Z") });
+    jobScheduler.define("test.sweep", () => {});
+  });
+
+  afterEach(() => {
+    jobScheduler.handlers.delete("test.sweep");
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("locks the oldest due job, or one whose lock expired, and counts the attempt", async () => {
+    const lean = jest.fn().mockResolvedValue(null);
+    jest.spyOn(ScheduledJob, "findOneAndUpdate").mockReturnValue({ lean });
+    const now = new Date();
+
+    await jobScheduler.claim();
+
+    const [filter, [{ $set }], options] = ScheduledJob.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      scope: "cluster",
+      paused: false,
+      handler: { $in: expect.arrayContaining(["test.sweep"]) },
+      $or: [
+        { status: "scheduled", nextRunAt: { $lte: now } },
+        { status: "running", lockedUntil: { $lt: now } },
+      ],
+    });
+    expect($set).toEqual({
+      status: "running",
+      lockedBy: jobScheduler.instanceId,
+      lockedUntil: { $add: [now, "$timeoutMs"] },
+      lastRunAt: now,
+      attempts: { $add: ["$attempts", 1] },
+    });
+    expect(options).toEqual({ sort: { nextRunAt: 1 }, new: true });
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect } from "@jest/globals";
+import assessmentScoringEngine, {
+  AssessmentScoringEngine,
+  INSTRUMENTS,
+} from "../../services/nursing/AssessmentScoringEngine.js";
+
+const respond = (instrumentId, value) =>
+  Object.fromEntries(INSTRUMENTS[instrumentId].items.map((item) => [item.id, value]));
+
+describe("AssessmentScoringEngine instruments", () => {
+  it.each(Object.keys(INSTRUMENTS))(
+    "%s bands cover its score range without gaps or overlaps",
+    (instrumentId) => {
+      const { minScore, maxScore, interpretation } = assessmentScoringEngine.describe(
+        INSTRUMENTS[instrumentId]
+      );
+      const bands = [...interpretation].sort((a, b) => a.min - b.min);
+
+      expect(bands[0].min).toBe(minScore);
+      expect(bands[bands.length - 1].max).toBe(maxScore);
+      bands.slice(1).forEach((band, i) => expect(band.min).toBe(bands[i].max + 1));
+    }
+  );
+
+  it("lists the instruments for an assessment type", () => {
+    expect(assessmentScoringEngine.instrumentsFor("pain").map((i) => i.id)).toEqual([
+      "numeric-pain",
+      "wong-baker",
+      "painad",
+    ]);
+  });
+});
+
+describe("AssessmentScoringEngine.score", () => {
+  it("sums item scores and reports the band", () => {
+    const result = assessmentScoringEngine.score("braden", {
+      sensoryPerception: 3,
+      moisture: 2,
+      activity: 2,
+      mobility: 3,
+      nutrition: 2,
+      frictionShear: 2,
+    });
+
+    expect(result).toMatchObject({
+      instrument: "braden",
+      version: "1.0",
+      totalScore: 14,
+      minScore: 6,
+      maxScore: 23,
+      level: "moderate",
+      alerts: [],
+    });
+  });
+
+  it("accepts numeric answers sent as strings", () => {
+    const result = assessmentScoringEngine.score("morse", {
+      historyOfFalls: "25",
+      secondaryDiagnosis: "15",
+      ambulatoryAid: "0",
+      ivTherapy: "20",
+      gait: "0",
+      mentalStatus: "0",
+    });
+
+    expect(result.totalScore).toBe(60);
+    expect(result.level).toBe("high");
+  });
+
+  it("uses option scores when they differ from the answer", () => {
+    const result = assessmentScoringEngine.score("lawton", respond("lawton", "a"));
+
+    expect(result.totalScore).toBe(8);
+    expect(result.level).toBe("independent");
+    expect(result.responses.telephone).toBe("a");
+  });
+
+  it("scores the bottom of the range, including zero", () => {
+    const result = assessmentScoringEngine.score("mmse", respond("mmse", 0));
+
+    expect(result.totalScore).toBe(0);
+    expect(result.level).toBe("severe");
+  });
+
+  it("raises item alerts such as PHQ-9 item 9", () => {
+    const result = assessmentScoringEngine.score("phq9", {
+      ...respond("phq9", 0),
+      selfHarm: 1,
+    });
+
+    expect(result.totalScore).toBe(1);
+    expect(result.level).toBe("minimal");
+    expect(result.alerts).toEqual([
+      expect.objectContaining({ item: "selfHarm", severity: "critical" }),
+    ]);
+  });
+
+  it("lists every invalid response", () => {
+    let error;
+    try {
+      assessmentScoringEngine.score("mmse", {
+        ...respond("mmse", 1),
+        orientationTime: 6,
+        recall: 1.5,
+        naming: "",
+        favouriteColour: "blue",
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toMatchObject({ code: "INVALID_RESPONSES", statusCode: 422 });
+    expect(error.details.map((d) => d.item).sort()).toEqual([
+      "favouriteColour",
+      "naming",
+      "orientationTime",
+      "recall",
+    ]);
+  });
+
+  it("rejects options outside the list", () => {
+    expect(() =>
+      assessmentScoringEngine.score("wong-baker", { face: 3 })
+    ).toThrow(expect.objectContaining({ code: "INVALID_RESPONSES" }));
+  });
+
+  it("rejects unknown instruments and non-object responses", () => {
+    expect(() => assessmentScoringEngine.score("apgar", {})).toThrow(
+      expect.objectContaining({ code: "UNKNOWN_INSTRUMENT", statusCode: 404 })
+    );
+    expect(() => assessmentScoringEngine.score("katz", [1, 1])).toThrow(
+      expect.objectContaining({ code: "INVALID_RESPONSES" })
+    );
+  });
+
+  it("scores custom instrument sets", () => {
+    const engine = new AssessmentScoringEngine({
+      tiny: {
+        id: "tiny",
+        name: "Tiny",
+        version: "0.1",
+        items: [{ id: "only", label: "Only", min: 0, max: 2 }],
+        interpretation: [{ min: 0, max: 2, level: "any", label: "Any" }],
+      },
+    });
+
+    expect(engine.score("tiny", { only: 2 }).totalScore).toBe(2);
+    expect(engine.listInstruments()).toEqual([
+      expect.objectContaining({ id: "tiny", minScore: 0, maxScore: 2 }),
+    ]);
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  evaluateCondition,
+  parseCondition,
+} from "../../services/nursing/ClinicalGuidelineLibrary.js";
+
+describe("guideline conditions", () => {
+  it("keeps a recorded score of zero", () => {
+    expect(evaluateCondition("mmse_score < 18", { mmseScore: 0 })).toBe(true);
+    expect(evaluateCondition("morse_score >= 45", { morseScore: 0 })).toBe(false);
+  });
+
+  it("assumes the default only when the assessment is missing", () => {
+    expect(evaluateCondition("mmse_score < 24", {})).toBe(false);
+    expect(evaluateCondition("mmse_score < 24", { mmseScore: null })).toBe(false);
+  });
+
+  it("combines comparisons", () => {
+    const condition = "morse_score >= 25 && morse_score < 45 || !(medication_count < 10)";
+
+    expect(evaluateCondition(condition, { morseScore: 30 })).toBe(true);
+    expect(evaluateCondition(condition, { morseScore: 50, medicationCount: 12 })).toBe(true);
+    expect(evaluateCondition(condition, { morseScore: 50, medicationCount: 3 })).toBe(false);
+  });
+
+  it("rejects anything but the known variables and operators", () => {
+    expect(() => parseCondition("process.exit(1)")).toThrow(/unexpected|unknown term/);
+    expect(() => parseCondition("age > 80")).toThrow(/unknown term "age"/);
+  });
+});
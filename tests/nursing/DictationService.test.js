@@ -0,0 +1,98 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+
+// The AI providers load pdf-parse, which starts a worker on import; an
+// unavailable provider leaves segments to rule-based structuring
+jest.unstable_mockModule("../../services/nursing/NursingAIService.js", () => ({
+  default: { enhanceSOAPNote: async () => ({ success: false }) },
+}));
+
+const transcribeAudio = jest.fn();
+jest.unstable_mockModule("../../services/realVoiceTranscriptionService.js", () => ({
+  default: { transcribeAudio },
+}));
+
+const { default: dictationService, createWhisperRecognizer } = await import(
+  "../../services/nursing/DictationService.js"
+);
+const { default: organizationService } = await import(
+  "../../services/organizationService.js"
+);
+
+const chunk = () => Buffer.alloc(1000);
+
+describe("whisper recognizer", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2026-10-01T00:00:00Z") });
+    transcribeAudio.mockReset();
+    transcribeAudio.mockImplementation(async (audio) => ({
+      success: true,
+      text: `${audio.length} bytes.`,
+    }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("re-transcribes only as the recording grows, keeping uploads linear", async () => {
+    const recognizer = createWhisperRecognizer({ intervalMs: 1000, growthFactor: 1.5 });
+
+    for (let i = 0; i < 100; i++) {
+      await recognizer.accept(chunk());
+      jest.advanceTimersByTime(1000);
+    }
+
+    const uploads = transcribeAudio.mock.calls.map(([audio]) => audio.length);
+    expect(uploads).toEqual([1000, 2000, 3000, 5000, 8000, 12000, 18000, 27000, 41000, 62000, 93000]);
+    expect(uploads.reduce((sum, n) => sum + n, 0)).toBeLessThan(3 * 100 * 1000);
+  });
+
+  it("transcribes the whole recording once more on finish", async () => {
+    const recognizer = createWhisperRecognizer({ intervalMs: 1000 });
+    await recognizer.accept(chunk());
+    jest.advanceTimersByTime(1000);
+    await recognizer.accept(chunk());
+
+    const result = await recognizer.finish();
+
+    expect(transcribeAudio).toHaveBeenLastCalledWith(
+      expect.objectContaining({ length: 2000 }),
+      expect.any(Object)
+    );
+    expect(result.final).toEqual(["2000 bytes."]);
+  });
+});
+
+describe("dictation duration cap", () => {
+  const { maxDurationMs } = dictationService.config;
+
+  beforeEach(() => {
+    // Below the idle timeout, so only the cap ends the dictation
+    dictationService.config.maxDurationMs = 60 * 1000;
+    jest.useFakeTimers({ now: new Date("2026-10-01T00:00:00Z") });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(organizationService, "organizationIdFor").mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    dictationService.config.maxDurationMs = maxDurationMs;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("refuses audio past the cap but keeps the session to be stopped", async () => {
+    const { sessionId } = await dictationService.startSession("user-1", {
+      recognizer: "local",
+    });
+    await dictationService.pushAudio(sessionId, "user-1", Buffer.from("Patient resting."));
+
+    jest.advanceTimersByTime(dictationService.config.maxDurationMs + 1);
+
+    expect(() =>
+      dictationService.pushAudio(sessionId, "user-1", Buffer.from("More."))
+    ).toThrow(expect.objectContaining({ code: "DICTATION_TOO_LONG" }));
+    expect(dictationService.getSession(sessionId, "user-1").chunks).toBe(1);
+
+    dictationService.cancelSession(sessionId, "user-1");
+  });
+});
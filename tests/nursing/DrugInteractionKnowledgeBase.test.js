@@ -0,0 +1,98 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import DrugInteractionDataset from "../../models/nursing/DrugInteractionDataset.js";
+import DrugInteraction from "../../models/nursing/DrugInteraction.js";
+import drugInteractionKB from "../../services/nursing/DrugInteractionKnowledgeBase.js";
+
+const STARTER_FILE = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../data/drug-interactions/starter.json"
+);
+
+const STARTER_VERSION = JSON.parse(fs.readFileSync(STARTER_FILE, "utf8")).version;
+
+// Serves queries from what importDataset() stored, standing in for Mongo
+const query = (result) => ({ select: () => query(result), lean: async () => result });
+
+describe("DrugInteractionKnowledgeBase with the starter dataset", () => {
+  let stored;
+
+  beforeEach(async () => {
+    stored = { dataset: null, interactions: [] };
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(DrugInteractionDataset, "exists").mockResolvedValue(null);
+    jest.spyOn(DrugInteractionDataset, "create").mockImplementation(async (doc) => {
+      stored.dataset = { ...doc, active: true };
+      return stored.dataset;
+    });
+    jest.spyOn(DrugInteraction, "insertMany").mockImplementation(async (docs) => {
+      stored.interactions = docs;
+      return docs;
+    });
+    jest
+      .spyOn(DrugInteractionDataset, "findOne")
+      .mockImplementation(() => query(stored.dataset));
+    jest.spyOn(DrugInteraction, "find").mockImplementation(() => query(stored.interactions));
+
+    drugInteractionKB.index = null;
+    drugInteractionKB.lastChecked = 0;
+    await drugInteractionKB.importDatasetFile(STARTER_FILE);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("gives the same answer for a pair in either order", async () => {
+    const forward = await drugInteractionKB.findInteraction("warfarin", "aspirin");
+    const reverse = await drugInteractionKB.findInteraction("aspirin", "warfarin");
+
+    expect(forward).toMatchObject({ checked: true, hasInteraction: true, severity: "major" });
+    const { drugs: forwardDrugs, ...forwardResult } = forward;
+    const { drugs: reverseDrugs, ...reverseResult } = reverse;
+    expect(reverseResult).toEqual(forwardResult);
+    expect(reverseDrugs).toEqual([...forwardDrugs].reverse());
+  });
+
+  it("resolves brand names and strengths to the dataset concept", async () => {
+    const result = await drugInteractionKB.findInteraction(
+      "Coumadin 5 mg tablet",
+      { medication: { name: "Bayer Aspirin" } }
+    );
+
+    expect(result.drugs.map((drug) => drug.drugId)).toEqual(["warfarin", "aspirin"]);
+    expect(result.hasInteraction).toBe(true);
+  });
+
+  it("stamps every answer with the dataset version", async () => {
+    await expect(drugInteractionKB.findInteraction("warfarin", "aspirin")).resolves.toMatchObject({
+      datasetVersion: STARTER_VERSION,
+    });
+    await expect(drugInteractionKB.findInteraction("digoxin", "ibuprofen")).resolves.toMatchObject({
+      datasetVersion: STARTER_VERSION,
+    });
+    await expect(drugInteractionKB.checkAll(["warfarin", "aspirin"])).resolves.toMatchObject({
+      datasetVersion: STARTER_VERSION,
+    });
+  });
+
+  it("reports drugs missing from the dataset as unchecked, not as safe", async () => {
+    const result = await drugInteractionKB.findInteraction("warfarin", "zzz-unlisted");
+
+    expect(result).toMatchObject({
+      checked: false,
+      hasInteraction: false,
+      unresolved: ["zzz-unlisted"],
+    });
+  });
+
+  it("refuses to answer without an active dataset", async () => {
+    stored.dataset = null;
+    drugInteractionKB.lastChecked = 0;
+
+    await expect(drugInteractionKB.findInteraction("warfarin", "aspirin")).rejects.toMatchObject({
+      name: "DrugInteractionDatasetError",
+      code: "NO_ACTIVE_DATASET",
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect } from "@jest/globals";
+import earlyWarningScoreService from "../../services/nursing/EarlyWarningScoreService.js";
+
+const normal = {
+  respiratoryRate: 14,
+  oxygenSaturation: 97,
+  onSupplementalOxygen: false,
+  systolic: 120,
+  heartRate: 72,
+  consciousness: "A",
+  temperature: 37,
+};
+
+const news2 = (vitals, options) =>
+  earlyWarningScoreService.calculateNEWS2(
+    earlyWarningScoreService.normalizeVitals({ ...normal, ...vitals }),
+    options
+  );
+const mews = (vitals) =>
+  earlyWarningScoreService.calculateMEWS(
+    earlyWarningScoreService.normalizeVitals({ ...normal, ...vitals })
+  );
+
+describe("EarlyWarningScoreService.normalizeVitals", () => {
+  it("reads the aliases used by observations and visit records", () => {
+    expect(
+      earlyWarningScoreService.normalizeVitals({
+        bloodPressure: "132/84",
+        pulse: "88",
+        spo2: 95,
+        supplementalOxygen: "true",
+        consciousness: "new confusion",
+        temperature: 100.4,
+      })
+    ).toEqual({
+      respiratoryRate: null,
+      oxygenSaturation: 95,
+      onSupplementalOxygen: true,
+      systolic: 132,
+      heartRate: 88,
+      consciousness: "C",
+      temperature: 38,
+    });
+  });
+
+  it("rejects non-numeric values and unknown ACVPU codes", () => {
+    expect(() => earlyWarningScoreService.normalizeVitals({ heartRate: "fast" })).toThrow(
+      expect.objectContaining({ code: "INVALID_VITALS", statusCode: 422 })
+    );
+    expect(() => earlyWarningScoreService.normalizeVitals({ consciousness: "drowsy" })).toThrow(
+      expect.objectContaining({ code: "INVALID_VITALS" })
+    );
+  });
+});
+
+describe("EarlyWarningScoreService.calculateNEWS2", () => {
+  it("scores normal observations as zero with routine monitoring", () => {
+    expect(news2()).toMatchObject({
+      system: "NEWS2",
+      total: 0,
+      complete: true,
+      level: "none",
+      severity: null,
+      requiredResponseMinutes: null,
+    });
+  });
+
+  it.each([
+    [{ respiratoryRate: 8 }, "respiratoryRate", 3],
+    [{ respiratoryRate: 9 }, "respiratoryRate", 1],
+    [{ respiratoryRate: 21 }, "respiratoryRate", 2],
+    [{ respiratoryRate: 25 }, "respiratoryRate", 3],
+    [{ oxygenSaturation: 91 }, "oxygenSaturation", 3],
+    [{ oxygenSaturation: 95 }, "oxygenSaturation", 1],
+    [{ systolic: 90 }, "systolic", 3],
+    [{ systolic: 110 }, "systolic", 1],
+    [{ systolic: 220 }, "systolic", 3],
+    [{ heartRate: 40 }, "heartRate", 3],
+    [{ heartRate: 91 }, "heartRate", 1],
+    [{ heartRate: 131 }, "heartRate", 3],
+    [{ temperature: 35 }, "temperature", 3],
+    [{ temperature: 38.1 }, "temperature", 1],
+    [{ temperature: 39.1 }, "temperature", 2],
+    [{ consciousness: "C" }, "consciousness", 3],
+  ])("scores %o as %s = %i at the band edge", (vitals, parameter, points) => {
+    expect(news2(vitals).parameters[parameter]).toBe(points);
+  });
+
+  it("uses SpO2 scale 2 only when asked", () => {
+    expect(news2({ oxygenSaturation: 88 }).parameters.oxygenSaturation).toBe(3);
+    expect(news2({ oxygenSaturation: 88 }, { spo2Scale: 2 }).parameters.oxygenSaturation).toBe(0);
+    expect(
+      news2({ oxygenSaturation: 97, onSupplementalOxygen: true }, { spo2Scale: 2 }).parameters
+        .oxygenSaturation
+    ).toBe(3);
+    expect(news2({}, { spo2Scale: 2 }).spo2Scale).toBe(2);
+  });
+
+  it("escalates a single red parameter to low-medium", () => {
+    expect(news2({ consciousness: "V" })).toMatchObject({
+      total: 3,
+      redScore: true,
+      level: "low-medium",
+      severity: "medium",
+      requiredResponseMinutes: 30,
+    });
+  });
+
+  it("bands aggregate scores into low, medium and high", () => {
+    expect(news2({ heartRate: 95 }).level).toBe("low");
+    expect(news2({ heartRate: 115, respiratoryRate: 22, temperature: 38.5 }).level).toBe(
+      "medium"
+    );
+    expect(
+      news2({
+        respiratoryRate: 26,
+        oxygenSaturation: 90,
+        onSupplementalOxygen: true,
+        heartRate: 120,
+      })
+    ).toMatchObject({ total: 10, level: "high", severity: "critical", requiredResponseMinutes: 15 });
+  });
+
+  it("flags missing parameters and treats the total as a lower bound", () => {
+    const result = earlyWarningScoreService.calculateNEWS2(
+      earlyWarningScoreService.normalizeVitals({ heartRate: 135 })
+    );
+
+    expect(result.total).toBe(3);
+    expect(result.complete).toBe(false);
+    expect(result.missing).toEqual([
+      "respiratoryRate",
+      "oxygenSaturation",
+      "supplementalOxygen",
+      "systolic",
+      "consciousness",
+      "temperature",
+    ]);
+  });
+});
+
+describe("EarlyWarningScoreService.calculateMEWS", () => {
+  it("scores new confusion as V and bands the total", () => {
+    expect(mews({ consciousness: "C" }).parameters.consciousness).toBe(1);
+    expect(mews({ systolic: 75, heartRate: 105 })).toMatchObject({
+      system: "MEWS",
+      total: 3,
+      level: "medium",
+    });
+    expect(mews({ respiratoryRate: 30, heartRate: 130 })).toMatchObject({
+      total: 6,
+      level: "high",
+    });
+  });
+
+  it("ignores oxygen, which MEWS does not score", () => {
+    const result = mews({ oxygenSaturation: 85, onSupplementalOxygen: true });
+
+    expect(result.total).toBe(0);
+    expect(result.complete).toBe(true);
+  });
+});
+
+describe("EarlyWarningScoreService.scoreAndAlert", () => {
+  it("refuses to score without any vital signs", async () => {
+    await expect(
+      earlyWarningScoreService.scoreAndAlert("patient-1", { notes: "resting" })
+    ).rejects.toMatchObject({ code: "NO_VITALS", statusCode: 422 });
+  });
+});
@@ -0,0 +1,277 @@
+import { describe, it, expect } from "@jest/globals";
+import fs from "fs";
+import path from "path";
+import {
+  buildSubmissionFile,
+  buildSubmissionRecord,
+  isValidNPI,
+  loadSubmissionSpec,
+  parseSubmissionSpec,
+  runSubmissionEdits,
+} from "../../services/nursing/OASISSubmissionFormat.js";
+
+// Test layout only; real exports use the layout converted from the CMS spec
+const FIXTURE_PATH = path.join(process.cwd(), "tests", "fixtures", "oasis", "submission-spec.json");
+const rawSpec = () => JSON.parse(fs.readFileSync(FIXTURE_PATH, "utf8"));
+
+const NOW = new Date("2026-10-01T12:00:00Z");
+
+const buildAssessment = (overrides = {}, data = {}) => ({
+  _id: "assessment-1",
+  status: "submitted",
+  assessmentType: "SOC",
+  submissionData: { correctionNumber: 0 },
+  oasisData: {
+    M0010: "123456",
+    M0030: "2026-09-08",
+    M0040: "Doe, José",
+    M0064: "UK",
+    M0066: "1940-05-02",
+    M0069: "female",
+    M0080: "RN",
+    M0090: "2026-09-10",
+    A1010: ["B. Black or African American"],
+    M1021: "I50.9 Heart failure, unspecified",
+    M1850: "2 - Needs assistance",
+    ...data,
+  },
+  ...overrides,
+});
+
+describe("OASIS submission spec", () => {
+  it("loads the layout with fields sorted by start position", async () => {
+    const spec = await loadSubmissionSpec(FIXTURE_PATH);
+
+    expect(spec.version).toBe("TEST-1.0");
+    expect(spec.records.body.map((f) => f.start)).toEqual(
+      [...spec.records.body.map((f) => f.start)].sort((a, b) => a - b)
+    );
+    expect(spec.records.body[0].name).toBe("REC_ID");
+  });
+
+  it("refuses to export without an installed spec", async () => {
+    await expect(
+      loadSubmissionSpec(path.join(process.cwd(), "tests", "fixtures", "missing.json"))
+    ).rejects.toMatchObject({ code: "SUBMISSION_SPEC_MISSING" });
+  });
+
+  it("rejects overlapping fields and fields past the record end", () => {
+    const overlapping = rawSpec();
+    overlapping.records.body.push({ name: "EXTRA", start: 50, length: 2, type: "A", value: "X" });
+    expect(() => parseSubmissionSpec(overlapping)).toThrow(/overlaps/);
+
+    const tooLong = rawSpec();
+    tooLong.records.body.push({ name: "EXTRA", start: 59, length: 3, type: "A", value: "X" });
+    expect(() => parseSubmissionSpec(tooLong)).toThrow(/past the 60-character record/);
+  });
+
+  it("rejects OASIS items in the header and trailer", () => {
+    const spec = rawSpec();
+    spec.records.trailer.push({ name: "M0010", start: 13, length: 6, type: "A", item: "M0010" });
+
+    expect(() => parseSubmissionSpec(spec)).toThrow(
+      expect.objectContaining({ code: "INVALID_SUBMISSION_SPEC" })
+    );
+  });
+});
+
+describe("OASIS submission records", () => {
+  const spec = parseSubmissionSpec(rawSpec());
+
+  it("writes every field at its position with the padding of its type", () => {
+    const { record, fatal } = buildSubmissionRecord(buildAssessment(), { spec, now: NOW });
+
+    expect(fatal).toEqual([]);
+    expect(record).toHaveLength(60);
+    expect(record).toBe(
+      [
+        "B1", // value
+        "123456", // A, item
+        "DOE       ", // A, left justified, space padded
+        "JOSE    ", // accents stripped
+        "2", // gender code
+        "19400502", // D
+        "01", // SOC reason
+        "00", // N, zero padded
+        "1", // new record
+        "1", // checkbox B checked
+        "I50.9  ", // ICD code only
+        "02", // response code from "2 - Needs assistance"
+        "20260910",
+        "  ", // unassigned positions
+      ].join("")
+    );
+  });
+
+  it("marks corrections as modifications with their correction number", () => {
+    const { record } = buildSubmissionRecord(
+      buildAssessment({ submissionData: { correctionNumber: 3 } }),
+      { spec, now: NOW }
+    );
+
+    expect(record.slice(37, 40)).toBe("032");
+  });
+
+  it("leaves no record when a value does not fit its field", () => {
+    const { record, fatal } = buildSubmissionRecord(
+      buildAssessment({}, { M1850: "123 - out of range" }),
+      { spec, now: NOW }
+    );
+
+    expect(record).toBeNull();
+    expect(fatal).toEqual([
+      expect.objectContaining({ item: "M1850", edit: "FORMAT" }),
+    ]);
+  });
+
+  it("builds the header, bodies and trailer and lists rejected assessments", () => {
+    const rejectedAssessment = buildAssessment({ _id: "assessment-2", status: "draft" });
+    const file = buildSubmissionFile([buildAssessment(), rejectedAssessment], {
+      spec,
+      now: NOW,
+    });
+    const lines = file.content.split("\r\n");
+
+    expect(lines).toHaveLength(4);
+    expect(lines[3]).toBe("");
+    expect(lines[0]).toBe("A1TEST-1.0  20261001123456003".padEnd(60, " "));
+    expect(lines[1].startsWith("B1123456")).toBe(true);
+    expect(lines[2]).toBe("Z10000100003".padEnd(60, " "));
+    expect(file.accepted.map((a) => a.assessmentId)).toEqual(["assessment-1"]);
+    expect(file.rejected).toEqual([
+      expect.objectContaining({
+        assessmentId: "assessment-2",
+        fatal: [expect.objectContaining({ edit: "STATUS" })],
+      }),
+    ]);
+  });
+
+  it("fails the batch when a header or trailer value does not fit", () => {
+    const narrow = rawSpec();
+    narrow.records.trailer[1].length = 1;
+    const assessments = Array.from({ length: 10 }, (_, i) =>
+      buildAssessment({ _id: `assessment-${i}` })
+    );
+
+    expect(() =>
+      buildSubmissionFile(assessments, { spec: parseSubmissionSpec(narrow), now: NOW })
+    ).toThrow(expect.objectContaining({ code: "INVALID_BATCH_RECORD" }));
+  });
+});
+
+describe("shipped OASIS submission spec", () => {
+  const at = (record, start, length) => record.slice(start - 1, start - 1 + length);
+
+  it("is installed at the default path with 1448-character records", async () => {
+    const spec = await loadSubmissionSpec();
+
+    expect(spec.recordLength).toBe(1448);
+    expect(spec.records.header[0]).toMatchObject({ name: "REC_ID", start: 1, value: "A1" });
+    expect(spec.records.trailer[0]).toMatchObject({ name: "REC_ID", start: 1, value: "Z1" });
+  });
+
+  it("places body fields at their offsets in item order", async () => {
+    const spec = await loadSubmissionSpec();
+    const { record, fatal } = buildSubmissionRecord(
+      buildAssessment({ submissionData: { correctionNumber: 2 } }),
+      { spec, now: NOW }
+    );
+
+    expect(fatal).toEqual([]);
+    expect(record).toHaveLength(1448);
+    expect(at(record, 1, 7)).toBe("B1OASIS");
+    expect(at(record, 18, 3)).toBe("022");
+    expect(at(record, 21, 6)).toBe("123456");
+    expect(at(record, 85, 12)).toBe("JOSE        ");
+    expect(at(record, 97, 18)).toBe("DOE               ");
+    expect(at(record, 163, 9)).toBe("194005022");
+    expect(at(record, 180, 1)).toBe("1");
+    expect(at(record, 218, 8)).toBe("20260910");
+    expect(at(record, 254, 8)).toBe("I50.9   ");
+    expect(at(record, 380, 2)).toBe("02");
+    expect(record.slice(415)).toBe(" ".repeat(1448 - 415));
+
+    const items = spec.records.body.filter((f) => /^M\d{4}$/.test(f.item)).map((f) => f.item);
+    expect(items).toEqual([...items].sort());
+  });
+
+  it("writes a batch file whose every record is full length", async () => {
+    const spec = await loadSubmissionSpec();
+    const file = buildSubmissionFile([buildAssessment()], { spec, now: NOW });
+    const lines = file.content.split("\r\n").slice(0, -1);
+
+    expect(lines.map((line) => line.length)).toEqual([1448, 1448, 1448]);
+    expect(at(lines[0], 21, 6)).toBe("123456");
+    expect(at(lines[2], 1, 14)).toBe("Z1000001000003");
+  });
+});
+
+describe("OASIS submission edit checks", () => {
+  const edits = (overrides, data) =>
+    runSubmissionEdits(buildAssessment(overrides, data), { now: NOW, agencyId: "123456" });
+  const editCodes = (list) => list.map((e) => `${e.item}:${e.edit}`);
+
+  it("passes a complete assessment", () => {
+    expect(edits()).toEqual({ fatal: [], warnings: [] });
+  });
+
+  it("requires the identification items", () => {
+    expect(editCodes(edits({}, { M0040: "", M0090: null }).fatal)).toEqual(
+      expect.arrayContaining(["M0040:REQUIRED", "M0090:REQUIRED"])
+    );
+  });
+
+  it("checks formats, codes and the batch agency", () => {
+    const { fatal } = edits(
+      {},
+      {
+        M0010: "654321",
+        M0018: "1234567890",
+        M0050: "Ohio",
+        M0060: "1234",
+        M0064: "12345",
+        M0069: "unknown",
+        M1021: "heart failure",
+      }
+    );
+
+    expect(editCodes(fatal)).toEqual(
+      expect.arrayContaining([
+        "M0010:AGENCY",
+        "M0018:NPI",
+        "M0050:FORMAT",
+        "M0060:FORMAT",
+        "M0064:FORMAT",
+        "M0069:VALUE",
+        "M1021:ICD",
+      ])
+    );
+  });
+
+  it("checks date order and future dates", () => {
+    const { fatal } = edits({}, { M0066: "2026-09-11", M0030: "2026-12-01" });
+
+    expect(editCodes(fatal)).toEqual(
+      expect.arrayContaining(["M0066:DATE", "M0030:DATE"])
+    );
+  });
+
+  it("rejects correction numbers past two digits", () => {
+    expect(editCodes(edits({ submissionData: { correctionNumber: 100 } }).fatal)).toEqual([
+      "CRCTN_NUM:CORRECTION",
+    ]);
+  });
+
+  it("warns about a late SOC and a blank SSN without rejecting", () => {
+    const { fatal, warnings } = edits({}, { M0030: "2026-09-01", M0064: "" });
+
+    expect(fatal).toEqual([]);
+    expect(editCodes(warnings)).toEqual(["M0064:REQUIRED", "M0090:TIMING"]);
+  });
+
+  it("validates the NPI check digit", () => {
+    expect(isValidNPI("1234567893")).toBe(true);
+    expect(isValidNPI("1234567890")).toBe(false);
+    expect(isValidNPI("12345")).toBe(false);
+  });
+});
@@ -0,0 +1,129 @@
+import { jest, describe, it, expect, afterEach } from "@jest/globals";
+import { ObservationService } from "../../services/nursing/ObservationService.js";
+
+const service = new ObservationService();
+
+const at = (minutesAgo) => new Date(Date.now() - minutesAgo * 60 * 1000);
+
+describe("ObservationService.normalize", () => {
+  it("converts readings to the stored units", () => {
+    expect(service.normalize({ type: "temperature", value: "100.4", unit: "°F" }).doc).toMatchObject({
+      value: 38,
+      unit: "°C",
+    });
+    expect(service.normalize({ type: "weight", value: 154, unit: "lbs" }).doc).toMatchObject({
+      value: 69.85,
+      unit: "kg",
+    });
+    expect(service.normalize({ type: "blood_glucose", value: 5.5, unit: "mmol/L" }).doc.value).toBe(
+      99.09
+    );
+  });
+
+  it("reads blood pressure written as systolic/diastolic", () => {
+    expect(
+      service.normalize({ type: "Blood_Pressure", value: "128/84", position: "Standing" }).doc
+    ).toMatchObject({ type: "blood_pressure", systolic: 128, diastolic: 84, unit: "mmHg", position: "standing" });
+  });
+
+  it("lists every problem with an entry", () => {
+    expect(service.normalize({ type: "blood_pressure", systolic: 70, diastolic: 90 }).errors).toEqual([
+      "systolic must be greater than diastolic",
+    ]);
+    expect(service.normalize({ type: "pain", value: 4.5 }).errors).toEqual([
+      "value must be a whole number",
+    ]);
+    expect(
+      service.normalize({ type: "temperature", value: 212, unit: "kelvin", position: "upright" }).errors
+    ).toEqual([
+      "position must be lying, sitting or standing",
+      "unit must be one of c, f",
+      "value must be from 25 to 45 °C",
+    ]);
+    expect(
+      service.normalize({ type: "heart_rate", value: 80, observedAt: at(-60) }).errors
+    ).toEqual(["observedAt cannot be in the future"]);
+    expect(service.normalize({ type: "mood" }).errors[0]).toMatch(/^type must be one of/);
+  });
+
+  it("records falls and incidents with their details", () => {
+    expect(
+      service.normalize({ type: "fall", severity: "minor", injury: "yes", description: " Slipped " }).doc
+        .incident
+    ).toEqual({ category: "fall", severity: "minor", injury: true, description: "Slipped" });
+    expect(service.normalize({ type: "incident", severity: "bad" }).errors).toEqual([
+      "severity must be one of none, minor, moderate, major, death",
+    ]);
+  });
+});
+
+describe("ObservationService.getVitalsSummary", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  // Readings as getObservations() returns them: newest first
+  const summarise = (readings) => {
+    jest.spyOn(service, "syncVisitRecords").mockResolvedValue(0);
+    jest.spyOn(service, "getObservations").mockResolvedValue(readings);
+    return service.getVitalsSummary("patient-1");
+  };
+
+  it("reports the latest readings and flags those out of range", async () => {
+    const summary = await summarise([
+      { type: "heart_rate", value: 112, observedAt: at(10) },
+      { type: "weight", value: 71.5, observedAt: at(20) },
+      { type: "blood_pressure", systolic: 150, diastolic: 85, observedAt: at(30) },
+      { type: "heart_rate", value: 88, observedAt: at(600) },
+      { type: "weight", value: 70, observedAt: at(2000) },
+    ]);
+
+    expect(summary).toMatchObject({
+      window_hours: 72,
+      reading_count: 5,
+      blood_pressure: { systolic: 150, diastolic: 85 },
+      heart_rate: 112,
+      weight: 71.5,
+      weight_change: 1.5,
+      temperature: null,
+      stability_trend: "declining",
+      orthostatic_changes: null,
+    });
+    expect(summary.abnormal.map(({ vital, value }) => [vital, value])).toEqual([
+      ["systolic_blood_pressure", 150],
+      ["heart_rate", 112],
+    ]);
+    expect(service.getObservations).toHaveBeenCalledWith(
+      "patient-1",
+      expect.objectContaining({ since: expect.any(Date), limit: 1000 })
+    );
+  });
+
+  it("pairs a standing blood pressure with the reading just before it", async () => {
+    const summary = await summarise([
+      { type: "blood_pressure", systolic: 104, diastolic: 70, position: "standing", observedAt: at(5) },
+      { type: "blood_pressure", systolic: 128, diastolic: 76, position: "lying", observedAt: at(15) },
+    ]);
+
+    expect(summary.orthostatic_changes).toMatchObject({
+      baseline_position: "lying",
+      systolic_drop: 24,
+      diastolic_drop: 6,
+      positive: true,
+    });
+  });
+
+  it("ignores a lying reading too long before the standing one", async () => {
+    const summary = await summarise([
+      { type: "blood_pressure", systolic: 104, diastolic: 70, position: "standing", observedAt: at(5) },
+      { type: "blood_pressure", systolic: 128, diastolic: 76, position: "lying", observedAt: at(60) },
+    ]);
+
+    expect(summary.orthostatic_changes).toBeNull();
+  });
+
+  it("calls the trend unknown without readings and stable with one of each", async () => {
+    expect((await summarise([])).stability_trend).toBe("unknown");
+    expect(
+      (await summarise([{ type: "oxygen_saturation", value: 88, observedAt: at(5) }])).stability_trend
+    ).toBe("stable");
+  });
+});
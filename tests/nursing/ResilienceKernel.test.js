@@ -0,0 +1,112 @@
+import { jest, describe, it, expect, beforeAll, beforeEach, afterAll } from "@jest/globals";
+import ResilienceKernel, {
+  isDependencyError,
+} from "../../services/nursing/ResilienceKernel.js";
+
+const networkError = () =>
+  Object.assign(new Error("connect ECONNREFUSED 127.0.0.1:27017"), {
+    code: "ECONNREFUSED",
+  });
+
+// The in-process backend announces itself when first created
+beforeAll(() => {
+  const log = jest.spyOn(console, "log").mockImplementation(() => {});
+  ResilienceKernel.backend();
+  log.mockRestore();
+});
+
+afterAll(() => ResilienceKernel.backend().cleanup());
+
+describe("ResilienceKernel circuit breaker", () => {
+  let kernel;
+
+  beforeEach(() => {
+    kernel = new ResilienceKernel(`Test${Math.random()}`, {
+      circuitBreaker: { threshold: 2, timeout: 60000 },
+    });
+  });
+
+  it("classifies only dependency failures", () => {
+    expect(isDependencyError(networkError())).toBe(true);
+    expect(isDependencyError({ name: "MongoServerSelectionError" })).toBe(true);
+    expect(
+      isDependencyError(
+        new Error("Operation `users.findOne()` buffering timed out after 10000ms")
+      )
+    ).toBe(true);
+    expect(isDependencyError(new Error("Assessment not found"))).toBe(false);
+    expect(
+      isDependencyError(Object.assign(new Error("bad"), { name: "ValidationError" }))
+    ).toBe(false);
+    expect(isDependencyError(null)).toBe(false);
+  });
+
+  it("does not count request errors against the breaker", async () => {
+    for (let i = 0; i < 5; i++) {
+      await kernel.recordFailure("database", new Error("Unauthorized access"));
+    }
+
+    expect(await kernel.getBreaker("database")).toMatchObject({
+      status: "closed",
+      failures: 0,
+    });
+    await expect(kernel.checkCircuitBreaker("database")).resolves.toBeUndefined();
+  });
+
+  it("opens after the threshold of dependency failures and closes on success", async () => {
+    await kernel.recordFailure("database", networkError());
+    expect(await kernel.getBreaker("database")).toMatchObject({
+      status: "closed",
+      failures: 1,
+    });
+
+    await kernel.recordFailure("database", networkError());
+    expect(await kernel.getBreaker("database")).toMatchObject({
+      status: "open",
+      failures: 2,
+    });
+    await expect(kernel.checkCircuitBreaker("database")).rejects.toMatchObject({
+      code: "SERVICE_UNAVAILABLE",
+    });
+
+    await kernel.recordResult("database", true);
+    expect(await kernel.getBreaker("database")).toMatchObject({
+      status: "closed",
+      failures: 0,
+    });
+  });
+
+  it("adds up failures recorded at the same time", async () => {
+    kernel.config.circuitBreaker.threshold = 100;
+    await Promise.all(
+      Array.from({ length: 10 }, () => kernel.recordResult("database", false))
+    );
+
+    expect((await kernel.getBreaker("database")).failures).toBe(10);
+  });
+});
+
+describe("MockCacheService maintenance", () => {
+  const backend = () => ResilienceKernel.backend();
+
+  it("drops tags once their entries are gone", async () => {
+    await backend().setWithTags("entry:1", { a: 1 }, 60, ["tag:a", "tag:b"]);
+    await backend().setWithTags("entry:2", { a: 2 }, 60, ["tag:a"]);
+
+    await backend().del("entry:1");
+    expect(backend().tags.has("tag:b")).toBe(false);
+    expect([...backend().tags.get("tag:a")]).toEqual(["entry:2"]);
+
+    expect(await backend().invalidateByTag("tag:a")).toBe(1);
+    expect(backend().tags.has("tag:a")).toBe(false);
+    expect(backend().keyTags.size).toBe(0);
+  });
+
+  it("prunes rate-limit buckets that have refilled", async () => {
+    await backend().consumeToken("bucket:1", 10, 10 / 1000);
+    expect(backend().buckets.has("bucket:1")).toBe(true);
+
+    backend().pruneBuckets(Date.now() + 2001);
+    expect(backend().buckets.has("bucket:1")).toBe(false);
+  });
+});
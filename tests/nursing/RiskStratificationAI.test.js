@@ -0,0 +1,98 @@
+import { jest, describe, it, expect, afterEach } from "@jest/globals";
+
+// The AI services load pdf-parse, which starts a worker on import
+jest.unstable_mockModule("../../services/azureOpenAIService.js", () => ({
+  default: {},
+}));
+
+const { default: observationService } = await import(
+  "../../services/nursing/ObservationService.js"
+);
+// The service logs its model setup on import
+const log = jest.spyOn(console, "log").mockImplementation(() => {});
+const { default: riskStratificationAI } = await import(
+  "../../services/nursing/RiskStratificationAI.js"
+);
+log.mockRestore();
+
+const fall = {
+  _id: "obs-1",
+  type: "fall",
+  observedAt: new Date("2026-10-18T22:10:00Z"),
+  incident: { category: "fall", severity: "minor", injury: false, description: "Found on floor" },
+};
+const incident = {
+  _id: "obs-2",
+  type: "incident",
+  observedAt: new Date("2026-10-18T08:00:00Z"),
+  incident: { category: "medication error", severity: "none" },
+};
+
+describe("RiskStratificationAI observation inputs", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("reads vitals and incidents from the last 72 hours of observations", async () => {
+    jest.spyOn(observationService, "getVitalsSummary").mockResolvedValue({ heart_rate: 96 });
+    jest.spyOn(observationService, "getIncidents").mockResolvedValue([fall, incident]);
+
+    await expect(riskStratificationAI.getCurrentVitals("patient-1")).resolves.toEqual({
+      heart_rate: 96,
+    });
+    await expect(riskStratificationAI.getRecentIncidents("patient-1")).resolves.toEqual([
+      {
+        id: "obs-1",
+        type: "fall",
+        category: "fall",
+        severity: "minor",
+        injury: false,
+        description: "Found on floor",
+        occurred_at: fall.observedAt,
+      },
+      {
+        id: "obs-2",
+        type: "incident",
+        category: "medication error",
+        severity: "none",
+        injury: null,
+        description: undefined,
+        occurred_at: incident.observedAt,
+      },
+    ]);
+    expect(observationService.getVitalsSummary).toHaveBeenCalledWith("patient-1", { hours: 72 });
+    expect(observationService.getIncidents).toHaveBeenCalledWith("patient-1", { hours: 72 });
+  });
+
+  it("derives mobility inputs from Morse and Katz scores and recent falls", async () => {
+    jest.spyOn(observationService, "getIncidents").mockResolvedValue([fall, incident]);
+    jest
+      .spyOn(riskStratificationAI, "getLatestInstrumentScore")
+      .mockImplementation(async (patientId, instrument) =>
+        instrument === "morse"
+          ? {
+              assessedAt: new Date("2026-10-17T09:00:00Z"),
+              score: { totalScore: 55, level: "high", itemScores: { gait: 20, ambulatoryAid: 15 } },
+            }
+          : {
+              assessedAt: new Date("2026-10-18T09:00:00Z"),
+              score: { totalScore: 4, maxScore: 6 },
+            }
+      );
+
+    await expect(riskStratificationAI.getMobilityData("patient-1")).resolves.toMatchObject({
+      mobility_score: 33,
+      fall_risk_score: 55,
+      fall_risk_level: "high",
+      gait_stability: "impaired",
+      assistive_devices: ["crutches, cane or walker"],
+      recent_falls: [fall],
+      last_assessed: new Date("2026-10-18T09:00:00Z"),
+    });
+  });
+
+  it("leaves vitals out rather than failing the assessment", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(observationService, "getVitalsSummary").mockRejectedValue(new Error("db down"));
+
+    await expect(riskStratificationAI.getCurrentVitals("patient-1")).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,169 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import mongoose from "mongoose";
+
+// The AI providers load pdf-parse, which starts a worker on import
+const enhanceSOAPNote = jest.fn();
+jest.unstable_mockModule("../../services/nursing/NursingAIService.js", () => ({
+  default: { enhanceSOAPNote },
+}));
+
+const { default: SOAPNote } = await import("../../models/nursing/SOAPNote.js");
+const { default: User } = await import("../../models/User.js");
+const { default: organizationService } = await import(
+  "../../services/organizationService.js"
+);
+const { eventManager } = await import("../../services/nursing/EventManager.js");
+const { snapshotContent } = await import("../../services/nursing/SOAPSignatureChain.js");
+const { default: soapService } = await import("../../services/nursing/SOAPService.js");
+const { default: SOAPSignatureController } = await import(
+  "../../controllers/nursing/SOAPSignatureController.js"
+);
+
+const authorId = new mongoose.Types.ObjectId().toString();
+
+const buildNote = () =>
+  new SOAPNote({
+    patientId: new mongoose.Types.ObjectId(),
+    userId: authorId,
+    visitDate: new Date("2026-10-01T09:00:00Z"),
+    subjective: {
+      chiefComplaint: "Shortness of breath",
+      historyOfPresentIllness: "Worse on exertion for two days",
+    },
+    objective: {
+      vitalSigns: { heartRate: 92, respiratoryRate: 22 },
+      physicalExam: { respiratory: "Bibasilar crackles" },
+    },
+    assessment: { primaryDiagnosis: "Heart failure exacerbation" },
+    plan: { treatments: [{ intervention: "Furosemide 40 mg IV" }] },
+  });
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("SOAPSignatureController.signNote", () => {
+  let note;
+
+  beforeEach(() => {
+    note = buildNote();
+    // The in-process note cache announces itself when first used
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(note, "save").mockResolvedValue(note);
+    jest.spyOn(SOAPNote, "findById").mockResolvedValue(note);
+    jest.spyOn(User, "findById").mockReturnValue({
+      select: () => ({ lean: async () => ({ clinicalCredential: "RN" }) }),
+    });
+    jest
+      .spyOn(organizationService, "getTenant")
+      .mockResolvedValue({ userId: authorId, organizationId: null, role: null });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    eventManager.removeAllListeners();
+  });
+
+  it("signs and locks the note and responds with success", async () => {
+    const signed = jest.fn();
+    eventManager.on("soapNoteSigned", signed);
+    const res = mockResponse();
+
+    await new SOAPSignatureController().signNote(
+      { params: { id: String(note._id) }, body: {}, userId: authorId, ip: "127.0.0.1" },
+      res
+    );
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true, message: "SOAP note signed" })
+    );
+    expect(note.save).toHaveBeenCalledTimes(1);
+    expect(note.status).toBe("signed");
+    expect(note.signature.signed).toBe(true);
+    expect(note.signature.signerCredential).toBe("RN");
+    expect(signed).toHaveBeenCalledWith(
+      expect.objectContaining({ noteId: String(note._id), userId: authorId })
+    );
+  });
+
+  it("rejects a second signature with a conflict", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    note.signature = { signed: true, signedBy: authorId, signedAt: new Date() };
+    const res = mockResponse();
+
+    await new SOAPSignatureController().signNote(
+      { params: { id: String(note._id) }, body: {}, userId: authorId },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: false, code: "ALREADY_SIGNED" })
+    );
+  });
+});
+
+describe("signature chain after edits", () => {
+  let note;
+
+  beforeEach(async () => {
+    note = buildNote();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(note, "save").mockResolvedValue(note);
+    jest.spyOn(SOAPNote, "findById").mockResolvedValue(note);
+    jest.spyOn(User, "findById").mockReturnValue({
+      select: () => ({ lean: async () => ({ clinicalCredential: "RN" }) }),
+    });
+    jest
+      .spyOn(organizationService, "getTenant")
+      .mockResolvedValue({ userId: authorId, organizationId: null, role: null });
+    jest.spyOn(organizationService, "organizationIdFor").mockResolvedValue(null);
+    jest.spyOn(soapService, "generateClinicalSuggestions").mockResolvedValue({});
+    enhanceSOAPNote.mockResolvedValue({
+      success: true,
+      enhancement: { subjective: { chiefComplaint: "Chest pain" } },
+    });
+
+    await soapService.signSOAPNote(String(note._id), authorId);
+    note.save.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    eventManager.removeAllListeners();
+  });
+
+  it("keeps the signed content through autosave and voice auto-update", async () => {
+    const signedContent = snapshotContent(note);
+    const noteId = String(note._id);
+    // A draft cached before signing, as another instance may still hold it
+    await soapService.cacheService.setSOAPNote(noteId, { ...note.toJSON(), status: "draft" });
+
+    await expect(soapService.autoSave(noteId, authorId)).resolves.toEqual({ done: true });
+    await expect(
+      soapService.updateSOAPNote(
+        noteId,
+        { subjective: { chiefComplaint: "Chest pain" } },
+        authorId,
+        true
+      )
+    ).rejects.toMatchObject({ code: "NOTE_LOCKED", statusCode: 409 });
+    await expect(
+      soapService.processVoiceInput(noteId, authorId, Buffer.from("audio"), {
+        autoUpdate: true,
+      })
+    ).rejects.toMatchObject({ code: "NOTE_LOCKED" });
+
+    expect(note.save).not.toHaveBeenCalled();
+    expect(snapshotContent(note)).toEqual(signedContent);
+    await expect(soapService.verifySignatureChain(noteId, authorId)).resolves.toMatchObject({
+      valid: true,
+      signed: true,
+    });
+  });
+});
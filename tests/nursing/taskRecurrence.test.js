@@ -0,0 +1,127 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  occurrences,
+  parseRecurrenceRule,
+  ruleForTask,
+} from "../../nursing/services/taskRecurrence.js";
+
+// 2026-10-01 is a Thursday
+const START = "2026-10-01T09:00:00.000Z";
+
+const dates = (source, start = START, limit = 10) => {
+  const result = [];
+  for (const { date } of occurrences(parseRecurrenceRule(source), new Date(start))) {
+    result.push(date.toISOString());
+    if (result.length >= limit) break;
+  }
+  return result;
+};
+
+describe("parseRecurrenceRule", () => {
+  it("parses the supported parts", () => {
+    expect(parseRecurrenceRule("RRULE:FREQ=weekly;INTERVAL=2;BYDAY=MO,fr;COUNT=6;WKST=MO")).toEqual({
+      freq: "WEEKLY",
+      interval: 2,
+      byDay: [1, 5],
+      byMonthDay: [],
+      count: 6,
+      until: null,
+    });
+    expect(parseRecurrenceRule("FREQ=MONTHLY;UNTIL=20261231").until.toISOString()).toBe(
+      "2026-12-31T23:59:59.000Z"
+    );
+  });
+
+  it.each([
+    ["", /required/],
+    ["INTERVAL=2", /needs FREQ/],
+    ["FREQ=YEARLY", /FREQ must be/],
+    ["FREQ=DAILY;INTERVAL=0", /INTERVAL must be/],
+    ["FREQ=WEEKLY;BYDAY=1MO", /plain weekdays/],
+    ["FREQ=DAILY;BYDAY=MO", /only supported with FREQ=WEEKLY/],
+    ["FREQ=MONTHLY;BYMONTHDAY=0", /cannot be 0/],
+    ["FREQ=DAILY;COUNT=3;UNTIL=20261231", /not both/],
+    ["FREQ=DAILY;UNTIL=tomorrow", /UNTIL must be a date/],
+    ["FREQ=DAILY;BYHOUR=9", /Unsupported/],
+  ])("rejects %p", (source, message) => {
+    expect(() => parseRecurrenceRule(source)).toThrow(
+      expect.objectContaining({ code: "INVALID_RECURRENCE_RULE", message: expect.stringMatching(message) })
+    );
+  });
+});
+
+describe("ruleForTask", () => {
+  it("builds a rule from the pattern and interval", () => {
+    expect(ruleForTask({ recurringPattern: "weekly", recurringInterval: 2 })).toMatchObject({
+      freq: "WEEKLY",
+      interval: 2,
+    });
+    expect(ruleForTask({})).toMatchObject({ freq: "DAILY", interval: 1 });
+  });
+
+  it("uses the RRULE for the custom pattern", () => {
+    expect(
+      ruleForTask({ recurringPattern: "custom", recurrenceRule: "FREQ=MONTHLY;BYMONTHDAY=1,15" })
+    ).toMatchObject({ freq: "MONTHLY", byMonthDay: [1, 15] });
+    expect(() => ruleForTask({ recurringPattern: "custom" })).toThrow(/required/);
+  });
+});
+
+describe("occurrences", () => {
+  it("counts the first task towards COUNT", () => {
+    const all = [...occurrences(parseRecurrenceRule("FREQ=DAILY;INTERVAL=2;COUNT=3"), new Date(START))];
+
+    expect(all.map(({ date, index }) => [date.toISOString(), index])).toEqual([
+      [START, 1],
+      ["2026-10-03T09:00:00.000Z", 2],
+      ["2026-10-05T09:00:00.000Z", 3],
+    ]);
+  });
+
+  it("walks weekdays within Monday-based weeks", () => {
+    expect(dates("FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=5")).toEqual([
+      START,
+      "2026-10-02T09:00:00.000Z",
+      "2026-10-05T09:00:00.000Z",
+      "2026-10-07T09:00:00.000Z",
+      "2026-10-09T09:00:00.000Z",
+    ]);
+    expect(dates("FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH", START, 4)).toEqual([
+      START,
+      "2026-10-13T09:00:00.000Z",
+      "2026-10-15T09:00:00.000Z",
+      "2026-10-27T09:00:00.000Z",
+    ]);
+  });
+
+  it("counts negative month days from the month end", () => {
+    expect(dates("FREQ=MONTHLY;BYMONTHDAY=-1", "2026-01-31T08:30:00.000Z", 4)).toEqual([
+      "2026-01-31T08:30:00.000Z",
+      "2026-02-28T08:30:00.000Z",
+      "2026-03-31T08:30:00.000Z",
+      "2026-04-30T08:30:00.000Z",
+    ]);
+  });
+
+  it("skips months that lack the start's day", () => {
+    expect(dates("FREQ=MONTHLY", "2026-01-31T08:30:00.000Z", 3)).toEqual([
+      "2026-01-31T08:30:00.000Z",
+      "2026-03-31T08:30:00.000Z",
+      "2026-05-31T08:30:00.000Z",
+    ]);
+  });
+
+  it("includes the whole UNTIL day", () => {
+    expect(dates("FREQ=DAILY;UNTIL=20261003")).toEqual([
+      START,
+      "2026-10-02T09:00:00.000Z",
+      "2026-10-03T09:00:00.000Z",
+    ]);
+  });
+
+  it("ends a rule that can never match again", () => {
+    expect(dates("FREQ=MONTHLY;INTERVAL=12;BYMONTHDAY=30", "2026-02-01T09:00:00.000Z")).toEqual([
+      "2026-02-01T09:00:00.000Z",
+    ]);
+  });
+});
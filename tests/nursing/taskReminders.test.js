@@ -0,0 +1,89 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import mongoose from "mongoose";
+
+// The AI services load pdf-parse, which starts a worker on import
+jest.unstable_mockModule("../../services/aiService.js", () => ({
+  analyzeDocumentWithAI: jest.fn(),
+  generateKnowledgeRecommendations: jest.fn(),
+}));
+jest.unstable_mockModule("../../services/azureOpenAIService.js", () => ({
+  default: {},
+}));
+
+const sendTaskReminderEmail = jest.fn();
+jest.unstable_mockModule("../../services/emailService.js", () => ({
+  default: { sendTaskReminderEmail },
+}));
+
+const { default: User } = await import("../../models/User.js");
+const { default: taskManagementService } = await import(
+  "../../nursing/services/taskManagementService.js"
+);
+
+const creatorId = new mongoose.Types.ObjectId().toString();
+const assigneeId = new mongoose.Types.ObjectId().toString();
+
+const buildTask = (assignedTo) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: "Wound dressing change",
+  dueDate: new Date("2026-10-01T10:00:00Z"),
+  priority: "high",
+  category: "wound_care",
+  patientId: new mongoose.Types.ObjectId(),
+  userId: creatorId,
+  assignedTo,
+});
+
+const notification = {
+  _id: new mongoose.Types.ObjectId(),
+  type: "due_soon",
+  message: "Due in one hour",
+};
+
+describe("task reminder delivery", () => {
+  const sendToUser = jest.fn(() => 1);
+
+  beforeEach(() => {
+    sendToUser.mockClear();
+    sendTaskReminderEmail.mockReset();
+    sendTaskReminderEmail.mockResolvedValue({ success: true });
+    taskManagementService.setNotifier({ sendToUser });
+    jest.spyOn(User, "findById").mockImplementation((id) => ({
+      select: () => ({
+        lean: async () => ({ email: `${id}@example.com`, firstName: "Sam" }),
+      }),
+    }));
+  });
+
+  afterEach(() => {
+    taskManagementService.setNotifier(null);
+    jest.restoreAllMocks();
+  });
+
+  it("sends the reminder to the assignee", async () => {
+    const deliveredVia = await taskManagementService.deliverReminder(
+      buildTask(assigneeId),
+      notification
+    );
+
+    expect(deliveredVia).toEqual(["websocket", "email"]);
+    expect(sendToUser).toHaveBeenCalledWith(
+      assigneeId,
+      expect.objectContaining({ type: "task_reminder" })
+    );
+    expect(sendTaskReminderEmail).toHaveBeenCalledWith(
+      `${assigneeId}@example.com`,
+      expect.objectContaining({ title: "Wound dressing change" })
+    );
+  });
+
+  it.each([undefined, "", "Night shift RN"])(
+    "falls back to the creator when assignedTo is %p",
+    async (assignedTo) => {
+      await taskManagementService.deliverReminder(buildTask(assignedTo), notification);
+
+      expect(sendToUser).toHaveBeenCalledWith(creatorId, expect.any(Object));
+      expect(User.findById).toHaveBeenCalledWith(creatorId);
+    }
+  );
+});
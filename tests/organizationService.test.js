@@ -0,0 +1,59 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import mongoose from "mongoose";
+import Patient from "../models/Patient.js";
+import organizationService from "../services/organizationService.js";
+
+const memberId = new mongoose.Types.ObjectId().toString();
+const patientId = new mongoose.Types.ObjectId().toString();
+const patientOrgId = new mongoose.Types.ObjectId();
+
+describe("organizationService.assertPatientAccess", () => {
+  let filters;
+
+  beforeEach(() => {
+    filters = [];
+    jest.spyOn(organizationService, "getTenant").mockResolvedValue({
+      userId: memberId,
+      organizationId: null,
+      role: null,
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const patientsMatching = (patient) =>
+    jest.spyOn(Patient, "findOne").mockImplementation((filter) => {
+      filters.push(filter);
+      return { select: () => ({ lean: async () => patient }) };
+    });
+
+  it("admits care team members with the patientScopeFor() rule", async () => {
+    patientsMatching({ _id: patientId, organizationId: patientOrgId });
+
+    await expect(
+      organizationService.assertPatientAccess(patientId, memberId)
+    ).resolves.toBe(patientOrgId);
+    expect(filters).toEqual([
+      { _id: patientId, ...(await organizationService.patientScopeFor(memberId)) },
+    ]);
+    expect(filters[0].$or).toContainEqual({ "careTeam.userId": memberId });
+  });
+
+  it("returns null for a patient outside any organization", async () => {
+    patientsMatching({ _id: patientId, organizationId: null });
+
+    await expect(organizationService.assertPatientAccess(patientId, memberId)).resolves.toBeNull();
+  });
+
+  it("reports other patients and malformed ids as not found", async () => {
+    patientsMatching(null);
+
+    await expect(
+      organizationService.assertPatientAccess(patientId, memberId)
+    ).rejects.toMatchObject({ code: "PATIENT_NOT_FOUND", statusCode: 404 });
+    await expect(
+      organizationService.assertPatientAccess("not-an-id", memberId)
+    ).rejects.toMatchObject({ code: "PATIENT_NOT_FOUND" });
+    expect(filters).toHaveLength(1);
+  });
+});
@@ -0,0 +1,63 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import mongoose from "mongoose";
+
+// The AI services load pdf-parse, which starts a worker on import
+jest.unstable_mockModule("../services/aiService.js", () => ({
+  analyzeDocumentWithAI: jest.fn(),
+  generateKnowledgeRecommendations: jest.fn(),
+}));
+jest.unstable_mockModule("../services/azureOpenAIService.js", () => ({
+  default: {},
+}));
+
+const { default: Patient } = await import("../models/Patient.js");
+const { default: organizationService } = await import("../services/organizationService.js");
+const { updatePatient } = await import("../controllers/patientsController.js");
+
+const memberId = new mongoose.Types.ObjectId().toString();
+const patientId = new mongoose.Types.ObjectId().toString();
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("updatePatient", () => {
+  beforeEach(() => {
+    jest.spyOn(organizationService, "getTenant").mockResolvedValue({
+      userId: memberId,
+      organizationId: null,
+      role: null,
+    });
+    jest.spyOn(Patient, "findOneAndUpdate").mockResolvedValue({ _id: patientId });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("never updates ownership or the care team", async () => {
+    const res = response();
+    await updatePatient(
+      {
+        userId: memberId,
+        params: { id: patientId },
+        body: {
+          phone: "555-0100",
+          userId: memberId,
+          createdBy: memberId,
+          organizationId: new mongoose.Types.ObjectId().toString(),
+          careTeam: [],
+        },
+      },
+      res
+    );
+
+    expect(Patient.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: patientId, ...(await organizationService.patientScopeFor(memberId)) },
+      { phone: "555-0100" },
+      expect.any(Object)
+    );
+    expect(res.json).toHaveBeenCalledWith({ success: true, patient: { _id: patientId } });
+  });
+});
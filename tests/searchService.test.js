@@ -0,0 +1,152 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import mongoose from "mongoose";
+import Patient from "../models/Patient.js";
+import SearchDocument from "../models/SearchDocument.js";
+import organizationService from "../services/organizationService.js";
+
+// SecurityComplianceService logs its setup on import
+const log = jest.spyOn(console, "log").mockImplementation(() => {});
+const { default: searchService } = await import("../services/searchService.js");
+const { default: securityComplianceService } = await import(
+  "../services/nursing/SecurityComplianceService.js"
+);
+log.mockRestore();
+
+const userId = new mongoose.Types.ObjectId().toString();
+const organizationId = new mongoose.Types.ObjectId();
+const careTeamPatientId = new mongoose.Types.ObjectId();
+
+const emptySearchResponse = {
+  hits: { total: { value: 0 }, hits: [] },
+  aggregations: {
+    type: { buckets: [] },
+    patient: { buckets: [] },
+    author: { buckets: [] },
+    date: { buckets: [] },
+  },
+};
+
+// The access clause of the Elasticsearch query searchElasticsearch() sends
+const elasticsearchAccess = async (access) => {
+  const search = jest.fn().mockResolvedValue(emptySearchResponse);
+  searchService.client = { search };
+  searchService.indexReady = Promise.resolve();
+  try {
+    await searchService.searchElasticsearch(
+      { q: "wound", types: ["patient", "soap_note"], skip: 0, limit: 20 },
+      access
+    );
+  } finally {
+    searchService.client = null;
+    searchService.indexReady = null;
+  }
+  return search.mock.calls[0][0].query.bool.filter[0].bool.should;
+};
+
+describe("searchService care team access", () => {
+  beforeEach(() => {
+    jest.spyOn(organizationService, "getTenant").mockResolvedValue({
+      userId,
+      organizationId,
+      role: "clinician",
+    });
+    jest.spyOn(Patient, "find").mockReturnValue({ distinct: async () => [careTeamPatientId] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  // The clinical timeline shows care team members the whole chart, so
+  // search must not hide the notes and assessments it links to
+  it("matches every record type of care team patients, like the timeline", async () => {
+    const access = await searchService.accessFor(userId);
+
+    expect(Patient.find).toHaveBeenCalledWith({ "careTeam.userId": userId });
+    expect(access.match.$or).toEqual([
+      { organizationId },
+      { patientId: { $in: [careTeamPatientId] } },
+    ]);
+  });
+
+  it("sends the same rule to Elasticsearch", async () => {
+    const should = await elasticsearchAccess(await searchService.accessFor(userId));
+
+    expect(should).toEqual([
+      { term: { organizationId: String(organizationId) } },
+      { terms: { patientId: [String(careTeamPatientId)] } },
+    ]);
+  });
+});
+
+describe("searchService access filters", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const tenantOf = (tenant) => {
+    jest.spyOn(organizationService, "getTenant").mockResolvedValue(tenant);
+    jest.spyOn(Patient, "find").mockReturnValue({ distinct: async () => [] });
+  };
+
+  it("limits a user outside any organization to the unassigned records they own", async () => {
+    tenantOf({ userId, organizationId: null, role: null });
+
+    const access = await searchService.accessFor(userId);
+
+    expect(access.match.$or[0]).toEqual({
+      organizationId: null,
+      $or: [{ ownerIds: { $in: [new mongoose.Types.ObjectId(userId), userId] } }],
+    });
+    expect(await elasticsearchAccess(access)).toEqual([
+      {
+        bool: {
+          must: [{ term: { ownerIds: userId } }],
+          must_not: [{ exists: { field: "organizationId" } }],
+        },
+      },
+    ]);
+  });
+
+  it("skips the care team lookup for ids that are not ObjectIds", async () => {
+    tenantOf({ userId: "legacy-user", organizationId: null, role: null });
+
+    const access = await searchService.accessFor("legacy-user");
+
+    expect(Patient.find).not.toHaveBeenCalled();
+    expect(access.careTeamPatientIds).toEqual([]);
+    expect(access.match.$or[1]).toEqual({ patientId: { $in: [] } });
+  });
+
+  it("keeps the filters in the local query alongside the text search", async () => {
+    tenantOf({ userId, organizationId, role: "clinician" });
+    const aggregate = jest
+      .spyOn(SearchDocument, "aggregate")
+      .mockResolvedValue([{ results: [], total: [], type: [], patient: [], author: [], date: [] }]);
+    const access = await searchService.accessFor(userId);
+    const patientId = new mongoose.Types.ObjectId().toString();
+
+    await searchService.searchLocal(
+      { q: "wound", types: ["soap_note"], patientId, skip: 0, limit: 20 },
+      access
+    );
+
+    expect(aggregate.mock.calls[0][0][0]).toEqual({
+      $match: {
+        $text: { $search: "wound" },
+        $and: [
+          access.match,
+          { type: { $in: ["soap_note"] } },
+          { patientId: new mongoose.Types.ObjectId(patientId) },
+        ],
+      },
+    });
+  });
+
+  it("drops the record types a role may not read", () => {
+    jest.spyOn(securityComplianceService, "logSecurityEvent").mockImplementation(() => {});
+
+    expect(searchService.allowedTypes("billing")).toEqual(["patient", "oasis", "communication"]);
+    expect(searchService.allowedTypes("therapist", "patient,soap_note")).toEqual(["patient"]);
+    expect(searchService.allowedTypes(null, ["transcript"])).toEqual(["transcript"]);
+    expect(() => searchService.allowedTypes("nurse", "xray")).toThrow(
+      expect.objectContaining({ name: "SearchError", code: "INVALID_TYPE" })
+    );
+  });
+});
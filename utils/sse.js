@@ -0,0 +1,41 @@
+/**
+ * Server-Sent Events helpers for streaming AI responses.
+ *
+ * Clients opt in with `?stream=true`, `{ "stream": true }` in the body or an
+ * `Accept: text/event-stream` header. Events sent:
+ *   token  { text }                    incremental output
+ *   done   { ...final payload }        once the result has been saved
+ *   error  { error, providers? }       terminal failure
+ */
+
+export const wantsEventStream = (req) =>
+  req.query?.stream === "true" ||
+  req.body?.stream === true ||
+  (req.headers.accept || "").includes("text/event-stream");
+
+export const openEventStream = (req, res) => {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  // Disable proxy buffering (nginx) so tokens are delivered immediately
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+
+  // Abort upstream provider requests if the client goes away
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+};
+
+export const sendEvent = (res, event, data) => {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+export const endEventStream = (res, event, data) => {
+  sendEvent(res, event, data);
+  if (!res.writableEnded) res.end();
+};